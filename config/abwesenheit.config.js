@@ -0,0 +1,24 @@
+// config/abwesenheit.config.js - Urlaubsanträge, Krankmeldungen und Urlaubskonto
+// Resturlaub wird in das Folgejahr übertragen und verfällt, wenn er bis zum Ende des
+// Übertragungszeitraums (§7 Abs. 3 BUrlG: 31.03.) nicht genommen wurde.
+
+const { zahl, positiv } = require('../utils/config.utils');
+
+const abwesenheitConfig = {
+  // Jahresurlaub, falls beim Mitarbeiter keiner hinterlegt ist (Tage bei einer Fünftagewoche)
+  urlaubstage: zahl(process.env.URLAUBSTAGE, 28),
+  // Übertrag: genommen werden muss der Resturlaub bis zum Ende dieses Monats im Folgejahr
+  uebertragBisMonat: zahl(process.env.URLAUB_UEBERTRAG_BIS_MONAT, 3),
+  // Höchstens übertragbare Tage; leer = ohne Begrenzung
+  uebertragHoechstTage: process.env.URLAUB_UEBERTRAG_MAX ? zahl(process.env.URLAUB_UEBERTRAG_MAX, null) : null,
+  // Ab diesem Krankheitstag (Kalendertage) ist eine Arbeitsunfähigkeitsbescheinigung vorzulegen (§5 EntgFG)
+  auAbTag: zahl(process.env.AU_AB_TAG, 4),
+  // Positionen, die neben Administratoren Anträge genehmigen dürfen (Vorarbeiter)
+  genehmigerPositionen: (process.env.ABWESENHEIT_GENEHMIGER || 'Geschäftsführer,Teamleiter')
+    .split(',').map(position => position.trim()).filter(Boolean),
+  // Verfügbarkeit der Mitarbeiter regelmäßig an laufende Abwesenheiten anpassen
+  automatisch: process.env.ABWESENHEIT_AUTOMATISCH !== 'false',
+  intervallStunden: positiv(process.env.ABWESENHEIT_INTERVALL_STUNDEN, 1)
+};
+
+module.exports = abwesenheitConfig;
@@ -0,0 +1,37 @@
+// config/apikey.config.js - Persönliche API-Schlüssel für Integrationen
+// (Kontaktformular der Website, Buchhaltungsabgleich). Ein Schlüssel handelt im Namen seines
+// Benutzers, darf aber nur die Bereiche seiner Scopes (`<bereich>:read` oder `<bereich>:write`) nutzen.
+
+const { zahl } = require('../utils/config.utils');
+
+const apiKeyConfig = {
+  // Kennzeichnet Schlüssel im Authorization-Header und in Secret-Scannern
+  praefix: 'hum_',
+  // Höchstzahl aktiver Schlüssel je Benutzer
+  hoechstAnzahl: zahl(process.env.API_KEY_MAX, 10),
+  // Letzte Nutzung höchstens so oft speichern
+  nutzungIntervallSekunden: 60,
+  // Per Schlüssel erreichbare Bereiche (erstes Pfadsegment nach /api); Anmeldung, Benutzer,
+  // Konfiguration und die Schlüsselverwaltung selbst bleiben der Anmeldung mit Passwort vorbehalten
+  bereiche: [
+    'umzuege',
+    'aufnahmen',
+    'mitarbeiter',
+    'zeiterfassung',
+    'abwesenheiten',
+    'finanzen',
+    'fahrzeuge',
+    'disposition',
+    'clients',
+    'projects',
+    'tasks',
+    'uploads',
+    'files',
+    'benachrichtigungen'
+  ]
+};
+
+// Alle gültigen Scopes; write schließt read ein
+apiKeyConfig.scopes = apiKeyConfig.bereiche.flatMap(bereich => [`${bereich}:read`, `${bereich}:write`]);
+
+module.exports = apiKeyConfig;
@@ -0,0 +1,26 @@
+// config/arbzg.config.js - Prüfung der Zeiterfassung nach dem Arbeitszeitgesetz (ArbZG)
+// Im Modus "warnen" werden Verstöße am Eintrag vermerkt, im Modus "ablehnen" werden Einträge mit
+// Verstößen gegen Höchstarbeitszeit, Pausen oder Ruhezeit nicht gespeichert. Überschreitungen
+// des Durchschnitts können im Ausgleichszeitraum noch ausgeglichen werden und bleiben Warnungen.
+
+const { zahl } = require('../utils/config.utils');
+
+const arbzgConfig = {
+  modus: process.env.ARBZG_MODUS === 'ablehnen' ? 'ablehnen' : 'warnen',
+  // §3: höchstens 10 Stunden je Werktag, im Durchschnitt 8 Stunden (48 Stunden je Woche bei 6 Werktagen)
+  hoechstTagesstunden: 10,
+  durchschnittWochenstunden: 48,
+  ausgleichWochen: 24,
+  // §4: Ruhepausen nach Arbeitszeit in Minuten, Pausen zählen erst ab 15 Minuten,
+  // höchstens 6 Stunden am Stück ohne Ruhepause
+  pausen: [
+    { abMinuten: 9 * 60, minuten: 45 },
+    { abMinuten: 6 * 60, minuten: 30 }
+  ],
+  pausenblockMinuten: 15,
+  hoechstBlockMinuten: 6 * 60,
+  // §5: ununterbrochene Ruhezeit nach Ende der täglichen Arbeitszeit
+  ruhezeitStunden: zahl(process.env.ARBZG_RUHEZEIT_STUNDEN, 11)
+};
+
+module.exports = arbzgConfig;
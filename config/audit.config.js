@@ -0,0 +1,31 @@
+// config/audit.config.js - Protokoll aller Änderungen (Anlegen, Ändern, Löschen) mit Benutzer, IP und Feldänderungen
+// Einträge werden nie geändert. Für Rechnungen und Angebote (GoBD) können sie auch nicht gelöscht werden,
+// für alle anderen Daten nur über den AuditService (z. B. bei Löschfristen nach DSGVO).
+
+const { zahl } = require('../utils/config.utils');
+
+const auditConfig = {
+  // Einträge dieser Modelle sind unveränderlich und unlöschbar
+  unveraenderlich: ['Rechnung', 'Angebot'],
+  // Nie protokollierte Felder (technisch oder geheim)
+  ignorierteFelder: [
+    '_id',
+    '__v',
+    'createdAt',
+    'updatedAt',
+    'password',
+    'resetPasswordToken',
+    'resetPasswordExpire',
+    'twoFactorSecret',
+    'twoFactorRecoveryCodes',
+    'twoFactorLastStep',
+    'twoFactorChallenge',
+    'twoFactorChallengeExpire',
+    'twoFactorChallengeAttempts',
+    'hash'
+  ],
+  // Längere Texte (z. B. eingebettete Bilder) werden gekürzt gespeichert
+  hoechstLaenge: zahl(process.env.AUDIT_MAX_WERT_LAENGE, 2000)
+};
+
+module.exports = auditConfig;
@@ -0,0 +1,138 @@
+// config/berechtigungen.config.js - Benannte Rollen und Berechtigungen (`<ressource>:<aktion>`)
+// Administratoren dürfen alles. Andere Benutzer erhalten die Berechtigungen ihrer benannten Rollen
+// (z. B. Disponent, Buchhaltung) oder - ohne benannte Rolle - die Grundrechte der Rolle mitarbeiter,
+// jeweils ergänzt um einzeln vergebene Berechtigungen. `*` am Ende gilt für alle Aktionen darunter.
+
+const berechtigungen = {
+  'umzug:read': 'Umzüge ansehen',
+  'umzug:write': 'Umzüge anlegen und bearbeiten',
+  'umzug:delete': 'Umzüge, Notizen und Leistungen löschen, Umzüge stornieren',
+  'client:read': 'Kunden ansehen',
+  'client:write': 'Kunden anlegen und bearbeiten',
+  'client:delete': 'Kunden löschen',
+  'projekt:read': 'Projekte ansehen',
+  'projekt:write': 'Projekte anlegen und bearbeiten',
+  'projekt:delete': 'Projekte löschen',
+  'task:read': 'Aufgaben ansehen',
+  'task:write': 'Aufgaben anlegen und bearbeiten',
+  'task:delete': 'Aufgaben löschen',
+  'aufnahme:read': 'Aufnahmen ansehen',
+  'aufnahme:write': 'Aufnahmen anlegen und bearbeiten',
+  'angebot:read': 'Angebote ansehen',
+  'angebot:write': 'Angebote erstellen und bearbeiten',
+  'angebot:delete': 'Angebote löschen',
+  'angebot:dokumente:read': 'Dateien zu Angeboten ansehen',
+  'rechnung:read': 'Rechnungen ansehen',
+  'rechnung:write': 'Rechnungen erstellen und bearbeiten',
+  'rechnung:delete': 'Rechnungen löschen',
+  'rechnung:approve': 'Zahlungseingänge bestätigen',
+  'rechnung:dokumente:read': 'Dateien zu Rechnungen ansehen',
+  'mahnwesen:run': 'Mahnlauf starten',
+  'projektkosten:read': 'Projektkosten ansehen',
+  'projektkosten:write': 'Projektkosten erfassen und bearbeiten',
+  'projektkosten:delete': 'Projektkosten löschen',
+  'finanzen:read': 'Finanzübersichten ansehen',
+  'finanzen:export': 'DATEV-Buchungsexport',
+  'lohn:export': 'Lohnexport für DATEV Lohn und Gehalt',
+  'mitarbeiter:read': 'Mitarbeiter ansehen',
+  'mitarbeiter:write': 'Mitarbeiter anlegen und bearbeiten',
+  'mitarbeiter:delete': 'Mitarbeiter löschen',
+  'mitarbeiter:gehalt:read': 'Gehalt von Mitarbeitern sehen',
+  'mitarbeiter:gehalt:write': 'Gehalt von Mitarbeitern ändern',
+  'mitarbeiter:notfallkontakt:read': 'Notfallkontakte von Mitarbeitern sehen',
+  'mitarbeiter:notfallkontakt:write': 'Notfallkontakte von Mitarbeitern ändern',
+  'mitarbeiter:dokumente:read': 'Personalunterlagen von Mitarbeitern sehen (z. B. Arbeitsunfähigkeitsbescheinigungen)',
+  'zeiterfassung:manage': 'Zeiten anderer Mitarbeiter verwalten und auswerten, stellvertretend stempeln',
+  'abwesenheit:approve': 'Abwesenheiten genehmigen und ablehnen',
+  'abwesenheit:approve:own': 'Eigene Abwesenheitsanträge selbst entscheiden',
+  'fahrzeug:read': 'Fahrzeuge ansehen',
+  'fahrzeug:write': 'Fahrzeuge und Wartungen bearbeiten',
+  'fahrzeug:delete': 'Fahrzeuge und Wartungen löschen',
+  'fahrtenbuch:write': 'Fahrten und Tankungen eintragen',
+  'fahrtenbuch:close': 'Fahrtenbuch prüfen, abschließen und Umzügen zurechnen',
+  'disposition:read': 'Einsatzplanung ansehen',
+  'benachrichtigung:send': 'Benachrichtigungen an andere senden',
+  'upload:read': 'Dateien zu Umzügen, Aufnahmen, Fahrzeugen und Dokumente ansehen',
+  'upload:write': 'Dateien hochladen, eigene Dateien bearbeiten und löschen',
+  'upload:manage': 'Dateien anderer Benutzer bearbeiten und löschen',
+  'upload:audit': 'Zugriffsprotokolle von Dateien ansehen',
+  'benutzer:manage': 'Benutzer, Rollen und Berechtigungen verwalten',
+  'audit:read': 'Änderungsprotokoll einsehen',
+  'dsgvo:manage': 'DSGVO-Auskünfte erstellen und personenbezogene Daten löschen'
+};
+
+const berechtigungenConfig = {
+  berechtigungen,
+  // Alle gültigen Berechtigungen
+  liste: Object.keys(berechtigungen),
+  // Grundrechte der Rolle mitarbeiter ohne benannte Rolle (ohne Löschen, Zahlungsfreigabe und Personaldaten)
+  standard: [
+    'client:read',
+    'client:write',
+    'projekt:read',
+    'projekt:write',
+    'task:read',
+    'task:write',
+    'umzug:read',
+    'umzug:write',
+    'aufnahme:*',
+    'angebot:read',
+    'angebot:write',
+    'rechnung:read',
+    'rechnung:write',
+    'projektkosten:read',
+    'projektkosten:write',
+    'finanzen:read',
+    'mitarbeiter:read',
+    'mitarbeiter:write',
+    'fahrzeug:read',
+    'fahrzeug:write',
+    'fahrtenbuch:write',
+    'disposition:read',
+    'upload:read',
+    'upload:write'
+  ],
+  rollen: {
+    disponent: {
+      bezeichnung: 'Disponent',
+      berechtigungen: [
+        'client:read', 'projekt:read', 'task:*', 'umzug:*', 'aufnahme:read', 'angebot:read', 'mitarbeiter:read',
+        'fahrzeug:read', 'disposition:read', 'upload:read', 'upload:write'
+      ]
+    },
+    buchhaltung: {
+      bezeichnung: 'Buchhaltung',
+      berechtigungen: [
+        'client:*', 'projekt:read', 'umzug:read', 'angebot:*', 'rechnung:*', 'mahnwesen:run', 'projektkosten:*',
+        'finanzen:*', 'lohn:export', 'mitarbeiter:*', 'zeiterfassung:manage', 'fahrzeug:read', 'fahrtenbuch:close',
+        'upload:read'
+      ]
+    },
+    vorarbeiter: {
+      bezeichnung: 'Vorarbeiter',
+      berechtigungen: [
+        'task:read', 'task:write', 'umzug:read', 'umzug:write', 'mitarbeiter:read', 'zeiterfassung:manage',
+        'abwesenheit:approve', 'fahrzeug:read', 'fahrtenbuch:write', 'disposition:read', 'upload:read', 'upload:write'
+      ]
+    },
+    aufnehmer: {
+      bezeichnung: 'Aufnehmer',
+      berechtigungen: [
+        'client:read', 'client:write', 'umzug:read', 'aufnahme:*', 'angebot:read', 'angebot:write',
+        'upload:read', 'upload:write'
+      ]
+    },
+    fahrer: {
+      bezeichnung: 'Fahrer',
+      // Fahrer laden Fotos (z. B. Schäden) hoch und sehen nur ihre eigenen Dateien
+      berechtigungen: ['umzug:read', 'fahrzeug:read', 'fahrtenbuch:write', 'disposition:read', 'upload:write']
+    }
+  },
+  // Personaldaten im Mitarbeiter, die nur mit der jeweiligen Berechtigung ausgeliefert und geändert werden
+  geschuetzteFelder: {
+    gehalt: { lesen: 'mitarbeiter:gehalt:read', schreiben: 'mitarbeiter:gehalt:write' },
+    notfallkontakt: { lesen: 'mitarbeiter:notfallkontakt:read', schreiben: 'mitarbeiter:notfallkontakt:write' }
+  }
+};
+
+module.exports = berechtigungenConfig;
@@ -0,0 +1,48 @@
+// config/company.config.js - Firmenstammdaten für Belege (Rechnungen, Angebote, Schreiben)
+// Pflichtangaben nach §14 Abs. 4 UStG: vollständiger Name und Anschrift des leistenden
+// Unternehmers sowie Steuernummer oder USt-IdNr.
+
+const companyConfig = {
+  name: process.env.FIRMA_NAME || 'Hummert Umzug GmbH',
+  adresse: {
+    strasse: process.env.FIRMA_STRASSE || '',
+    plz: process.env.FIRMA_PLZ || '',
+    ort: process.env.FIRMA_ORT || '',
+    land: process.env.FIRMA_LAND || 'Deutschland'
+  },
+  kontakt: {
+    // Ansprechpartner für Rückfragen zu Rechnungen (Pflichtangabe in der XRechnung)
+    ansprechpartner: process.env.FIRMA_ANSPRECHPARTNER || '',
+    telefon: process.env.FIRMA_TELEFON || '',
+    email: process.env.FIRMA_EMAIL || process.env.EMAIL_USER || '',
+    web: process.env.FIRMA_WEB || 'https://www.lagerlogix.de'
+  },
+  steuer: {
+    steuernummer: process.env.FIRMA_STEUERNUMMER || '',
+    ustId: process.env.FIRMA_USTID || ''
+  },
+  handelsregister: {
+    gericht: process.env.FIRMA_REGISTERGERICHT || '',
+    nummer: process.env.FIRMA_HRB || '',
+    geschaeftsfuehrer: process.env.FIRMA_GESCHAEFTSFUEHRER || ''
+  },
+  // TrueType-Schriften für PDF/A (ZUGFeRD): PDF/A verlangt eingebettete Schriften,
+  // die Standardschrift Helvetica wird dann durch diese Dateien ersetzt
+  schriften: {
+    normal: process.env.PDF_SCHRIFT || '',
+    fett: process.env.PDF_SCHRIFT_FETT || ''
+  },
+  // Standard-Bankverbindung, falls die Rechnung keine eigene enthält
+  bankverbindung: {
+    kontoinhaber: process.env.FIRMA_KONTOINHABER || process.env.FIRMA_NAME || 'Hummert Umzug GmbH',
+    iban: process.env.FIRMA_IBAN || '',
+    bic: process.env.FIRMA_BIC || '',
+    bankname: process.env.FIRMA_BANKNAME || ''
+  }
+};
+
+if (process.env.NODE_ENV === 'production' && !companyConfig.steuer.steuernummer && !companyConfig.steuer.ustId) {
+  console.warn('WARNUNG: Weder FIRMA_STEUERNUMMER noch FIRMA_USTID gesetzt - Rechnungen erfüllen §14 UStG nicht!');
+}
+
+module.exports = companyConfig;
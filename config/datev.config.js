@@ -0,0 +1,85 @@
+// config/datev.config.js - Kontenzuordnung und Stammdaten für den DATEV-Export (Buchungsstapel)
+// Erlöse werden auf Konten ohne Steuerautomatik gebucht, die Umsatzsteuer ergibt sich aus dem
+// BU-Schlüssel. Die Kontenzuordnung je Projektkosten-Kategorie kann über eine JSON-Datei
+// (DATEV_KONTEN_DATEI) je Kontenrahmen überschrieben werden, z. B.
+// { "SKR03": { "kosten": { "Fahrzeuge": { "konto": "4530" } } } }
+
+const fs = require('fs');
+const path = require('path');
+
+const standardKonten = {
+  SKR03: {
+    debitor: '10000', // Sammeldebitor
+    kreditor: '70000', // Sammelkreditor
+    kasse: '1000',
+    erloese: { 19: '8200', 7: '8200', 0: '8200' },
+    kosten: {
+      Personal: { konto: '4100', vorsteuer: false },
+      Fahrzeuge: { konto: '4500', vorsteuer: true },
+      Material: { konto: '3000', vorsteuer: true },
+      Unterauftrag: { konto: '3100', vorsteuer: true },
+      Sonstiges: { konto: '4900', vorsteuer: true }
+    }
+  },
+  SKR04: {
+    debitor: '10000',
+    kreditor: '70000',
+    kasse: '1600',
+    erloese: { 19: '4200', 7: '4200', 0: '4200' },
+    kosten: {
+      Personal: { konto: '6000', vorsteuer: false },
+      Fahrzeuge: { konto: '6500', vorsteuer: true },
+      Material: { konto: '5000', vorsteuer: true },
+      Unterauftrag: { konto: '5900', vorsteuer: true },
+      Sonstiges: { konto: '6300', vorsteuer: true }
+    }
+  }
+};
+
+// Kontenzuordnung je Kontenrahmen zusammenführen; Werte der Datei haben Vorrang
+const ladeKonten = () => {
+  const datei = process.env.DATEV_KONTEN_DATEI;
+  if (!datei) {
+    return standardKonten;
+  }
+
+  try {
+    const inhalt = JSON.parse(fs.readFileSync(path.resolve(datei), 'utf8'));
+    const konten = {};
+    Object.keys(standardKonten).forEach(skr => {
+      const basis = standardKonten[skr];
+      const ueberschreibung = inhalt[skr] || {};
+      const kosten = { ...basis.kosten };
+      Object.keys(ueberschreibung.kosten || {}).forEach(kategorie => {
+        kosten[kategorie] = { ...kosten[kategorie], ...ueberschreibung.kosten[kategorie] };
+      });
+      konten[skr] = {
+        ...basis,
+        ...ueberschreibung,
+        erloese: { ...basis.erloese, ...ueberschreibung.erloese },
+        kosten
+      };
+    });
+    return konten;
+  } catch (error) {
+    console.warn(`WARNUNG: DATEV-Kontenzuordnung ${datei} konnte nicht geladen werden (${error.message}) - Standardkonten werden verwendet`);
+    return standardKonten;
+  }
+};
+
+const datevConfig = {
+  beraternummer: process.env.DATEV_BERATERNUMMER || '',
+  mandantennummer: process.env.DATEV_MANDANTENNUMMER || '',
+  kontenrahmen: process.env.DATEV_KONTENRAHMEN === 'SKR04' ? 'SKR04' : 'SKR03',
+  // Beginn des Wirtschaftsjahres als MMTT (Kalenderjahr: 0101)
+  wirtschaftsjahrBeginn: process.env.DATEV_WJ_BEGINN || '0101',
+  sachkontenlaenge: parseInt(process.env.DATEV_SACHKONTENLAENGE, 10) || 4,
+  // BU-Schlüssel nach Steuersatz: Umsatzsteuer (Erlöse) und Vorsteuer (Kosten)
+  buSchluessel: {
+    umsatzsteuer: { 19: '3', 7: '2', 0: '' },
+    vorsteuer: { 19: '9', 7: '8', 0: '' }
+  },
+  konten: ladeKonten()
+};
+
+module.exports = datevConfig;
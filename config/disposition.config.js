@@ -0,0 +1,24 @@
+// config/disposition.config.js - Richtwerte für Fahrzeugvorschläge der Disposition
+// Die Tageskosten je Fahrzeugtyp gelten nur, wenn am Fahrzeug selbst keine `kostenProTag`
+// hinterlegt sind (Miete/Leasing, Kraftstoff-Pauschale, Versicherung anteilig).
+
+const { zahl } = require('../utils/config.utils');
+
+const dispositionConfig = {
+  kostenProTag: {
+    LKW: zahl(process.env.DISPOSITION_KOSTEN_LKW, 260),
+    Transporter: zahl(process.env.DISPOSITION_KOSTEN_TRANSPORTER, 140),
+    PKW: zahl(process.env.DISPOSITION_KOSTEN_PKW, 70),
+    Sonstige: zahl(process.env.DISPOSITION_KOSTEN_SONSTIGE, 150)
+  },
+  // Zuschlag auf das Umzugsvolumen für Stauverluste beim Beladen (0.1 = 10 %)
+  ladereserve: zahl(process.env.DISPOSITION_LADERESERVE, 0.1),
+  // Gewichtsschätzung, wenn weder Umzug noch Aufnahme ein Gewicht enthalten
+  kilogrammProKubikmeter: zahl(process.env.DISPOSITION_KG_PRO_KUBIKMETER, 150),
+  // Höchstzahl an Fahrzeugen je Vorschlag
+  maxFahrzeuge: zahl(process.env.DISPOSITION_MAX_FAHRZEUGE, 4),
+  // Anzahl der zusätzlich zurückgegebenen Alternativen
+  alternativen: 3
+};
+
+module.exports = dispositionConfig;
@@ -0,0 +1,117 @@
+// config/dsgvo.config.js - Auskunft (Art. 15 DSGVO) und Löschung (Art. 17 DSGVO) für Kunden und Mitarbeiter
+// Unterlagen mit gesetzlicher Aufbewahrungspflicht werden nicht gelöscht, sondern bis zum Fristende aufbewahrt
+// (Art. 17 Abs. 3 lit. b DSGVO). Die Frist beginnt mit dem Schluss des Kalenderjahres (§147 Abs. 4 AO, §257 Abs. 5 HGB).
+
+const { zahl } = require('../utils/config.utils');
+
+const dsgvoConfig = {
+  // Ersatz für Namen und Pflichtfelder bei der Pseudonymisierung
+  pseudonym: process.env.DSGVO_PSEUDONYM || 'DSGVO gelöscht',
+  // Ersatz für eindeutige E-Mail-Adressen (Benutzerkonten), `{id}` wird durch die ID ersetzt
+  pseudonymEmail: 'geloescht-{id}@dsgvo.invalid',
+  // Aufbewahrungsfristen in Jahren je Unterlage
+  aufbewahrung: {
+    Rechnung: {
+      jahre: zahl(process.env.DSGVO_FRIST_RECHNUNG, 10),
+      grund: 'Rechnung/Buchungsbeleg (§147 Abs. 1 Nr. 4 AO, §257 Abs. 1 Nr. 4 HGB, §14b UStG)'
+    },
+    Angebot: {
+      jahre: zahl(process.env.DSGVO_FRIST_ANGEBOT, 6),
+      grund: 'Handelsbrief (§147 Abs. 1 Nr. 2 AO, §257 Abs. 1 Nr. 2 HGB)'
+    },
+    // Ohne eigene Frist: aufbewahrt, solange eine zugehörige Rechnung oder ein Angebot aufbewahrt wird
+    Client: {
+      grund: 'Empfänger aufbewahrungspflichtiger Rechnungen oder Angebote (§14 Abs. 4 Nr. 1 UStG, §147 AO)'
+    },
+    Umzug: {
+      grund: 'Auftragsunterlage zu einer aufbewahrungspflichtigen Rechnung (§147 Abs. 1 Nr. 2 AO)'
+    },
+    Upload: {
+      grund: 'Anlage zu einer aufbewahrungspflichtigen Unterlage'
+    },
+    // Lohnkonto und Grundlagen der Lohnabrechnung
+    Mitarbeiter: {
+      jahre: zahl(process.env.DSGVO_FRIST_LOHN, 6),
+      grund: 'Lohnkonto (§41 Abs. 1 EStG, §147 Abs. 1 Nr. 5 AO)'
+    },
+    Zeiterfassung: {
+      jahre: zahl(process.env.DSGVO_FRIST_LOHN, 6),
+      grund: 'Grundlage der Lohnabrechnung (§41 Abs. 1 EStG, §147 Abs. 1 Nr. 5 AO)'
+    },
+    Stempelung: {
+      jahre: zahl(process.env.DSGVO_FRIST_LOHN, 6),
+      grund: 'Grundlage der Lohnabrechnung (§41 Abs. 1 EStG, §147 Abs. 1 Nr. 5 AO)'
+    },
+    Abwesenheit: {
+      jahre: zahl(process.env.DSGVO_FRIST_LOHN, 6),
+      grund: 'Grundlage der Lohnabrechnung und Entgeltfortzahlung (§41 Abs. 1 EStG, §147 Abs. 1 Nr. 5 AO)'
+    },
+    // Fahrten des Mitarbeiters als Fahrer; die Einträge verweisen nur auf den pseudonymisierten Mitarbeiter
+    Fahrtenbuch: {
+      jahre: zahl(process.env.DSGVO_FRIST_FAHRTENBUCH, 10),
+      grund: 'Fahrtenbuch (§147 Abs. 1 Nr. 4 AO, R 8.1 Abs. 9 LStR), fälschungssicher verkettet'
+    },
+    // Einträge des Benutzers im Änderungsprotokoll bleiben ohne Frist erhalten
+    AuditLog: {
+      grund: 'Nachvollziehbarkeit von Änderungen an Büchern und Belegen (§146 Abs. 4 AO, GoBD)'
+    }
+  },
+  // Personenbezogene Felder je Modell: `pseudonym` ersetzt (Pflichtfelder), `entfernen` gelöscht.
+  // `aufbewahren` bleibt erhalten, solange die Unterlage aufbewahrt werden muss.
+  felder: {
+    Client: {
+      pseudonym: ['name'],
+      entfernen: ['contactPerson', 'email', 'phone', 'address', 'notes', 'eInvoice.electronicAddress', 'eInvoice.vatId'],
+      // Rechnungsempfänger (§14 Abs. 4 Nr. 1 UStG)
+      aufbewahren: ['name', 'address', 'eInvoice.electronicAddress', 'eInvoice.vatId']
+    },
+    // Auftraggeber: Kontakt und Anschriften (Leistungsort); weitere Kontakte nur, wenn sie die Person sind
+    Umzug: {
+      pseudonym: ['auftraggeber.name', 'auftraggeber.telefon', 'auszugsadresse.strasse', 'auszugsadresse.hausnummer',
+        'einzugsadresse.strasse', 'einzugsadresse.hausnummer'],
+      entfernen: ['auftraggeber.email', 'auszugsadresse.koordinaten', 'einzugsadresse.koordinaten', 'zwischenstopps',
+        'kundenzufriedenheit.kommentar'],
+      aufbewahren: ['auftraggeber.name', 'auszugsadresse', 'einzugsadresse', 'zwischenstopps']
+    },
+    // Einzelner Eintrag in Umzug.kontakte
+    Kontakt: {
+      pseudonym: ['name', 'telefon'],
+      entfernen: ['email'],
+      aufbewahren: []
+    },
+    // Projektname und Beschreibung enthalten oft den Kundennamen
+    Project: {
+      pseudonym: ['name'],
+      entfernen: ['description'],
+      aufbewahren: []
+    },
+    Aufnahme: {
+      pseudonym: ['kundenName', 'auszugsadresse.strasse', 'auszugsadresse.hausnummer', 'einzugsadresse.strasse',
+        'einzugsadresse.hausnummer'],
+      entfernen: ['kontaktperson', 'telefon', 'email', 'notizen', 'besonderheiten', 'bilder'],
+      aufbewahren: []
+    },
+    Mitarbeiter: {
+      pseudonym: ['vorname', 'nachname'],
+      entfernen: ['telefon', 'email', 'adresse', 'gehalt', 'bankverbindung', 'notfallkontakt', 'notizen', 'profilbild',
+        'faehigkeiten', 'fuehrerscheinklassen'],
+      // Angaben des Lohnkontos (§4 LStDV)
+      aufbewahren: ['vorname', 'nachname', 'adresse', 'gehalt', 'bankverbindung']
+    },
+    User: {
+      pseudonym: ['name', 'email'],
+      entfernen: ['telefon', 'profileImage', 'position'],
+      aufbewahren: []
+    },
+    // Standort beim Stempeln wird für die Lohnabrechnung nicht benötigt
+    Stempelung: {
+      pseudonym: [],
+      entfernen: ['kommen.position', 'gehen.position'],
+      aufbewahren: []
+    }
+  },
+  // Höchstzahl gefundener Datensätze je Modell (Schutz vor zu allgemeinen Suchkriterien)
+  maxTreffer: zahl(process.env.DSGVO_MAX_TREFFER, 1000)
+};
+
+module.exports = dsgvoConfig;
@@ -0,0 +1,55 @@
+// config/lohn.config.js - Stundenzettel und Lohnexport (DATEV Lohn und Gehalt)
+// Zuschläge werden als Stunden je Zuschlagsart exportiert; die Sätze hier entsprechen den
+// steuerfreien Höchstsätzen nach §3b EStG und dienen der Anzeige auf dem Stundenzettel.
+// Die Lohnarten sind mandantenspezifisch und können über eine JSON-Datei (LOHNARTEN_DATEI)
+// überschrieben werden, z. B. { "ueberstunden": "1200", "nacht25": "1410" }
+
+const fs = require('fs');
+const path = require('path');
+
+const { zahl } = require('../utils/config.utils');
+
+const standardLohnarten = {
+  stunden: '100', // Geleistete Stunden (Stundenlohn)
+  ueberstunden: '200',
+  nacht25: '300', // Nachtarbeit 20-6 Uhr
+  nacht40: '301', // Nachtarbeit 0-4 Uhr bei Arbeitsbeginn vor 0 Uhr
+  sonntag: '310',
+  feiertag125: '320',
+  feiertag150: '321' // 24.12. ab 14 Uhr, 25./26.12. und 1.5.
+};
+
+const ladeLohnarten = () => {
+  const datei = process.env.LOHNARTEN_DATEI;
+  if (!datei) {
+    return standardLohnarten;
+  }
+
+  try {
+    return { ...standardLohnarten, ...JSON.parse(fs.readFileSync(path.resolve(datei), 'utf8')) };
+  } catch (error) {
+    console.warn(`WARNUNG: Lohnarten ${datei} konnten nicht geladen werden (${error.message}) - Standardlohnarten werden verwendet`);
+    return standardLohnarten;
+  }
+};
+
+const lohnConfig = {
+  // Bundesland des Betriebssitzes für Feiertage, falls beim Mitarbeiter keines hinterlegt ist
+  bundesland: process.env.FIRMA_BUNDESLAND || '',
+  // Zuschlagssätze in Prozent
+  zuschlaege: {
+    nacht25: zahl(process.env.ZUSCHLAG_NACHT, 25),
+    nacht40: zahl(process.env.ZUSCHLAG_NACHT_KERN, 40),
+    sonntag: zahl(process.env.ZUSCHLAG_SONNTAG, 50),
+    feiertag125: zahl(process.env.ZUSCHLAG_FEIERTAG, 125),
+    feiertag150: zahl(process.env.ZUSCHLAG_FEIERTAG_HOCH, 150)
+  },
+  // Minijob: monatliche Verdienstgrenze und gesetzlicher Mindestlohn (Stand 2026)
+  minijob: {
+    verdienstgrenze: zahl(process.env.MINIJOB_VERDIENSTGRENZE, 603),
+    mindestlohn: zahl(process.env.MINDESTLOHN, 13.90)
+  },
+  lohnarten: ladeLohnarten()
+};
+
+module.exports = lohnConfig;
@@ -0,0 +1,54 @@
+// config/mahnwesen.config.js - Mahnstufen, Gebühren und Verzugszinsen
+// Die Wartetage einer Stufe zählen ab der Fälligkeit der Rechnung (Stufe 1) bzw. ab der
+// Zahlungsfrist der vorherigen Stufe. Gebühren werden als pauschale Mahnkosten ausgewiesen.
+
+const { zahl, positiv } = require('../utils/config.utils');
+
+const mahnwesenConfig = {
+  stufen: [
+    {
+      stufe: 1,
+      bezeichnung: 'Zahlungserinnerung',
+      wartetage: zahl(process.env.MAHNUNG_STUFE1_WARTETAGE, 7),
+      gebuehr: zahl(process.env.MAHNUNG_STUFE1_GEBUEHR, 0),
+      zahlungsfristTage: 7
+    },
+    {
+      stufe: 2,
+      bezeichnung: '1. Mahnung',
+      wartetage: zahl(process.env.MAHNUNG_STUFE2_WARTETAGE, 7),
+      gebuehr: zahl(process.env.MAHNUNG_STUFE2_GEBUEHR, 5),
+      zahlungsfristTage: 10
+    },
+    {
+      stufe: 3,
+      bezeichnung: '2. Mahnung',
+      wartetage: zahl(process.env.MAHNUNG_STUFE3_WARTETAGE, 7),
+      gebuehr: zahl(process.env.MAHNUNG_STUFE3_GEBUEHR, 10),
+      zahlungsfristTage: 7
+    },
+    {
+      stufe: 4,
+      bezeichnung: 'Inkasso-Übergabe',
+      wartetage: zahl(process.env.MAHNUNG_STUFE4_WARTETAGE, 7),
+      gebuehr: zahl(process.env.MAHNUNG_STUFE4_GEBUEHR, 0),
+      zahlungsfristTage: 0
+    }
+  ],
+  verzugszinsen: {
+    // Basiszinssatz nach §247 BGB - wird halbjährlich (1.1./1.7.) von der Bundesbank angepasst
+    basiszinssatz: zahl(process.env.BASISZINSSATZ, 1.27),
+    // §288 Abs. 1 und 2 BGB: Verbraucher + 5 Prozentpunkte, Unternehmer + 9 Prozentpunkte
+    aufschlagVerbraucher: 5,
+    aufschlagUnternehmer: 9,
+    // §288 Abs. 5 BGB: Verzugspauschale gegenüber Unternehmern, einmalig ab der 1. Mahnung
+    pauschaleUnternehmer: zahl(process.env.MAHNUNG_PAUSCHALE_UNTERNEHMER, 40)
+  },
+  // Automatischer Mahnlauf (MAHNLAUF_AUTOMATISCH=true), Intervall in Stunden
+  automatisch: process.env.MAHNLAUF_AUTOMATISCH === 'true',
+  intervallStunden: positiv(process.env.MAHNLAUF_INTERVALL_STUNDEN, 24),
+  // Mahnschreiben per E-Mail an den Kunden senden (sonst nur erzeugen und vermerken)
+  emailVersand: process.env.MAHNUNG_EMAIL_VERSAND === 'true'
+};
+
+module.exports = mahnwesenConfig;
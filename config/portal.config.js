@@ -0,0 +1,22 @@
+// config/portal.config.js - Kundenportal mit signierten Anmeldelinks (Magic Links)
+// Die Links werden mit einem eigenen Schlüssel signiert, damit Kunden-Token nie als
+// Mitarbeiter-JWT (middleware/auth.js) akzeptiert werden und umgekehrt.
+
+const crypto = require('crypto');
+
+const { positiv } = require('../utils/config.utils');
+
+const portalConfig = {
+  secret: process.env.PORTAL_SECRET || (process.env.NODE_ENV === 'production'
+    ? (() => { throw new Error('PORTAL_SECRET is required in production'); })()
+    : crypto.randomBytes(64).toString('hex')),
+  algorithm: 'HS256',
+  issuer: process.env.JWT_ISSUER || 'lagerlogix',
+  audience: 'kundenportal',
+  // Gültigkeit eines per E-Mail versandten Links
+  linkGueltigkeitStunden: positiv(process.env.PORTAL_LINK_GUELTIGKEIT_STUNDEN, 72),
+  // Adresse der Portal-Oberfläche; der Token wird als Query-Parameter angehängt
+  url: process.env.PORTAL_URL || 'https://www.lagerlogix.de/kundenportal'
+};
+
+module.exports = portalConfig;
@@ -0,0 +1,93 @@
+// config/preise.config.js - Preistabelle für die Angebotskalkulation aus Aufnahmen
+// Alle Preise sind Nettopreise in Euro. Die Standardwerte können über eine JSON-Datei
+// (PREISTABELLE_DATEI) ganz oder teilweise überschrieben werden, ohne den Code anzupassen.
+
+const fs = require('fs');
+const path = require('path');
+
+const standardPreistabelle = {
+  mehrwertsteuer: 19,
+  angebot: {
+    gueltigkeitTage: 30
+  },
+  transport: {
+    anfahrtspauschale: 120, // Fahrzeugbereitstellung inkl. An- und Abfahrt
+    proKubikmeter: 18
+  },
+  personal: {
+    stundensatz: 45, // pro Mitarbeiterstunde
+    montageStundensatz: 55,
+    stundenProKubikmeter: 0.6, // Be- und Entladen in Mannstunden
+    mindestStunden: 4,
+    demontageMinutenProStueck: 30,
+    montageMinutenProStueck: 40
+  },
+  zuschlaege: {
+    etageOhneAufzugProKubikmeter: 2.5, // je Etage über/unter dem Erdgeschoss
+    etageMitAufzugProKubikmeter: 0.5,
+    tragewegFreiMeter: 20,
+    tragewegProAngefangene10mProKubikmeter: 1.5,
+    zerbrechlichProStueck: 8,
+    wertvollProStueck: 15,
+    schwerProStueck: 25,
+    unhandlichProStueck: 12
+  },
+  material: {
+    kartonProStueck: 2.9,
+    verpackungProStueck: 6.5
+  },
+  // Richtwerte, wenn ein Möbelstück ohne Maße erfasst wurde (m³ je Stück)
+  volumenProKategorie: {
+    schrank: 1.5,
+    tisch: 0.6,
+    stuhl: 0.2,
+    sofa: 1.2,
+    bett: 1.4,
+    karton: 0.1,
+    klavier: 1.5,
+    geraet: 0.6,
+    pflanze: 0.3,
+    sonstiges: 0.3
+  },
+  // Pauschalen für Zusatzleistungen der Aufnahme
+  zusatzleistungen: {
+    packservice: 200,
+    montageservice: 150,
+    entsorgung: 180,
+    reinigung: 160,
+    lagerung: 250,
+    klaviertransport: 300,
+    kuecheAbbau: 120,
+    kuecheAufbau: 180,
+    kuecheAnschluss: 90
+  }
+};
+
+// Verschachtelte Objekte zusammenführen; Werte aus der Überschreibung haben Vorrang
+const zusammenfuehren = (basis, ueberschreibung) => {
+  const ergebnis = { ...basis };
+  Object.keys(ueberschreibung || {}).forEach(key => {
+    const wert = ueberschreibung[key];
+    ergebnis[key] = wert && typeof wert === 'object' && !Array.isArray(wert) && typeof basis[key] === 'object'
+      ? zusammenfuehren(basis[key], wert)
+      : wert;
+  });
+  return ergebnis;
+};
+
+const ladePreistabelle = () => {
+  const datei = process.env.PREISTABELLE_DATEI;
+  if (!datei) {
+    return standardPreistabelle;
+  }
+
+  try {
+    const inhalt = JSON.parse(fs.readFileSync(path.resolve(datei), 'utf8'));
+    return zusammenfuehren(standardPreistabelle, inhalt);
+  } catch (error) {
+    console.warn(`WARNUNG: Preistabelle ${datei} konnte nicht geladen werden (${error.message}) - Standardpreise werden verwendet`);
+    return standardPreistabelle;
+  }
+};
+
+module.exports = ladePreistabelle();
@@ -0,0 +1,30 @@
+// config/stempeluhr.config.js - Ein- und Ausstempeln per Smartphone mit Standortprüfung
+// Beim Kommen und Gehen muss der Standort im Umkreis einer Adresse des zugewiesenen Umzugs
+// (Auszug, Einzug, Zwischenstopps) liegen. Die Adressen werden beim ersten Stempeln über den
+// unter GEOCODING_URL eingetragenen Dienst (z. B. Nominatim) geokodiert und am Umzug gespeichert.
+// Ohne GEOCODING_URL werden keine Adressen an Dritte übermittelt; geprüft wird dann nur gegen
+// bereits gespeicherte Koordinaten.
+
+const { positiv } = require('../utils/config.utils');
+
+const stempeluhrConfig = {
+  // Umkreis um die Umzugsadressen in Metern
+  radiusMeter: positiv(process.env.STEMPELUHR_RADIUS_METER, 300),
+  // Standorte mit schlechterer GPS-Genauigkeit werden abgelehnt
+  hoechstGenauigkeitMeter: positiv(process.env.STEMPELUHR_GENAUIGKEIT_METER, 250),
+  // ablehnen: Stempeln außerhalb des Umkreises wird abgelehnt, warnen: nur vermerkt
+  modus: process.env.STEMPELUHR_MODUS === 'warnen' ? 'warnen' : 'ablehnen',
+  // Offene Schichten: Erinnerung an Mitarbeiter und Disposition nach so vielen Stunden
+  offenAlarmStunden: positiv(process.env.STEMPELUHR_OFFEN_ALARM_STUNDEN, 11),
+  automatisch: process.env.STEMPELUHR_AUTOMATISCH !== 'false',
+  intervallMinuten: positiv(process.env.STEMPELUHR_INTERVALL_MINUTEN, 30),
+  geocoding: {
+    // Nur mit ausdrücklich gesetzter URL aktiv (Kundenadressen gehen an den Dienst)
+    url: process.env.GEOCODING_URL || '',
+    // Nominatim verlangt eine aussagekräftige Kennung der Anwendung
+    userAgent: process.env.GEOCODING_USER_AGENT || 'hummert-umzug-api',
+    timeoutMs: positiv(process.env.GEOCODING_TIMEOUT_MS, 5000)
+  }
+};
+
+module.exports = stempeluhrConfig;
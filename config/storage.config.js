@@ -0,0 +1,54 @@
+// config/storage.config.js - Ablage hochgeladener Dateien
+// Treiber 'lokal' speichert im Dateisystem, 's3' in einem S3-kompatiblen Objektspeicher
+// (AWS S3, MinIO, Hetzner/IONOS Object Storage). Für lokale Tests mit MinIO:
+// STORAGE_TREIBER=s3, S3_ENDPOINT=http://localhost:9000, S3_PATH_STYLE=true
+
+const crypto = require('crypto');
+const path = require('path');
+
+const { positiv } = require('../utils/config.utils');
+
+const storageConfig = {
+  treiber: (process.env.STORAGE_TREIBER || 'lokal').toLowerCase(),
+  lokal: {
+    verzeichnis: process.env.STORAGE_VERZEICHNIS
+      ? path.resolve(process.env.STORAGE_VERZEICHNIS)
+      : path.join(__dirname, '..', 'uploads')
+  },
+  s3: {
+    endpoint: process.env.S3_ENDPOINT || null, // leer = AWS (https://s3.<region>.amazonaws.com)
+    region: process.env.S3_REGION || 'eu-central-1',
+    bucket: process.env.S3_BUCKET || 'lagerlogix-uploads',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+    // MinIO und die meisten Fremdanbieter erwarten den Bucket im Pfad statt in der Subdomain
+    pathStyle: process.env.S3_PATH_STYLE
+      ? process.env.S3_PATH_STYLE === 'true'
+      : Boolean(process.env.S3_ENDPOINT)
+  },
+  // Signierte Download-Links (/api/uploads/:id/download?ablauf=...&signatur=...)
+  download: {
+    secret: process.env.DOWNLOAD_SECRET || (process.env.NODE_ENV === 'production'
+      ? (() => { throw new Error('DOWNLOAD_SECRET is required in production'); })()
+      : crypto.randomBytes(64).toString('hex')),
+    // Standard für Links im Frontend, Obergrenze z.B. für Links in E-Mails
+    gueltigkeitMinuten: positiv(process.env.DOWNLOAD_LINK_GUELTIGKEIT_MINUTEN, 15),
+    maxGueltigkeitStunden: positiv(process.env.DOWNLOAD_LINK_MAX_GUELTIGKEIT_STUNDEN, 168),
+    // Öffentliche Adresse der API für absolute Links; leer = relative Links
+    basisUrl: (process.env.API_URL || '').replace(/\/$/, '')
+  },
+  // Bildverarbeitung beim Hochladen (services/bild.service.js): längste Kante in Pixeln
+  bilder: {
+    thumbnailPx: positiv(process.env.BILD_THUMBNAIL_PX, 320),
+    webPx: positiv(process.env.BILD_WEB_PX, 1600),
+    qualitaet: positiv(process.env.BILD_QUALITAET, 80)
+  },
+  // ZIP-Uploads (POST /api/uploads/zip): Schutz vor übergroßen Archiven und ZIP-Bomben
+  archiv: {
+    maxZipMb: positiv(process.env.ZIP_MAX_MB, 100),
+    maxEintraege: positiv(process.env.ZIP_MAX_EINTRAEGE, 200),
+    maxEntpacktMb: positiv(process.env.ZIP_MAX_ENTPACKT_MB, 500)
+  }
+};
+
+module.exports = storageConfig;
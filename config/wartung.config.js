@@ -0,0 +1,28 @@
+// config/wartung.config.js - Erinnerungen und automatische Sperrung bei Fahrzeugwartungen
+// Erinnert wird je Vorlaufstufe einmal (z.B. 30, 7 und 1 Tag vor Fälligkeit), bei Intervallen
+// nach Kilometern zusätzlich, sobald die Restlaufleistung unter `vorlaufKilometer` fällt.
+
+const { zahl, positiv } = require('../utils/config.utils');
+
+const liste = (wert, standard) => {
+  const zahlen = String(wert || '').split(',').map(Number).filter(Number.isFinite);
+  return zahlen.length > 0 ? zahlen.sort((a, b) => b - a) : standard;
+};
+
+const wartungConfig = {
+  vorlaufTage: liste(process.env.WARTUNG_VORLAUF_TAGE, [30, 7, 1]),
+  vorlaufKilometer: zahl(process.env.WARTUNG_VORLAUF_KILOMETER, 1000),
+  // Gesetzliche Fristen für den Folgetermin der Hauptuntersuchung (§29 StVZO), wenn kein Intervall hinterlegt ist
+  huMonate: {
+    LKW: 12,
+    Transporter: 24,
+    PKW: 24,
+    Anhänger: 24,
+    Sonstige: 24
+  },
+  // Prüflauf: Fahrzeuge am Werkstatttag sperren und Erinnerungen versenden
+  automatisch: process.env.WARTUNG_AUTOMATISCH !== 'false',
+  intervallStunden: positiv(process.env.WARTUNG_INTERVALL_STUNDEN, 1)
+};
+
+module.exports = wartungConfig;
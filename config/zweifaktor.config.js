@@ -0,0 +1,36 @@
+// config/zweifaktor.config.js - Zwei-Faktor-Anmeldung mit Einmalcodes aus einer Authenticator-App (TOTP, RFC 6238)
+// Nach dem Passwort wird ein sechsstelliger Code oder ein einmaliger Wiederherstellungscode
+// verlangt. Für Administratoren und Mitarbeiter mit Zugriff auf Finanzdaten ist 2FA Pflicht.
+
+const { zahl } = require('../utils/config.utils');
+
+// Leerer Wert schaltet die Pflicht ab
+const liste = (wert, standard) => (wert !== undefined ? wert : standard)
+  .split(',').map(eintrag => eintrag.trim()).filter(Boolean);
+
+const zweiFaktorConfig = {
+  // Anzeigename des Kontos in der Authenticator-App
+  issuer: process.env.ZWEI_FAKTOR_ISSUER || process.env.FIRMA_NAME || 'Hummert Umzug',
+  periodeSekunden: 30,
+  stellen: 6,
+  // Akzeptierte Abweichung der Uhr in Zeitschritten vor und zurück
+  toleranzSchritte: zahl(process.env.ZWEI_FAKTOR_TOLERANZ, 1),
+  wiederherstellungscodes: 10,
+  // Gültigkeit des zweiten Anmeldeschritts nach korrektem Passwort
+  anmeldungMinuten: zahl(process.env.ZWEI_FAKTOR_ANMELDUNG_MINUTEN, 5),
+  // Danach muss die Anmeldung mit dem Passwort neu begonnen werden
+  hoechstFehlversuche: 5,
+  // Pflicht für diese Benutzerrollen ...
+  pflichtRollen: liste(process.env.ZWEI_FAKTOR_PFLICHT_ROLLEN, 'admin'),
+  // ... für Benutzer mit einer dieser Berechtigungen (z. B. Rolle Buchhaltung) ...
+  pflichtBerechtigungen: liste(
+    process.env.ZWEI_FAKTOR_PFLICHT_BERECHTIGUNGEN,
+    'rechnung:approve,finanzen:export,lohn:export,mitarbeiter:gehalt:read,benutzer:manage,dsgvo:manage'
+  ),
+  // ... und für Mitarbeiter auf diesen Positionen (Buchhaltung und Geschäftsführung sehen Finanzdaten)
+  pflichtPositionen: liste(process.env.ZWEI_FAKTOR_PFLICHT_POSITIONEN, 'Geschäftsführer,Verwaltung'),
+  // Zwischenspeicher der Positionsprüfung je Benutzer
+  pflichtCacheSekunden: zahl(process.env.ZWEI_FAKTOR_PFLICHT_CACHE_SEKUNDEN, 300)
+};
+
+module.exports = zweiFaktorConfig;
@@ -0,0 +1,302 @@
+// controllers/abwesenheit.controller.js
+const multer = require('multer');
+const { validationResult } = require('express-validator');
+const Abwesenheit = require('../models/abwesenheit.model');
+const Mitarbeiter = require('../models/mitarbeiter.model');
+const Upload = require('../models/upload.model');
+const AbwesenheitService = require('../services/abwesenheit.service');
+const StorageService = require('../services/storage.service');
+const BildService = require('../services/bild.service');
+const { catchAsync, createValidationError, createNotFoundError, AppError } = require('../utils/error.utils');
+
+const pruefeValidierung = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createValidationError(errors);
+  }
+};
+
+// Mitarbeiter-Datensatz des angemeldeten Benutzers
+const eigenerMitarbeiter = (user) => Mitarbeiter.findOne({ userId: user.id });
+
+/**
+ * Resolve the employee a request refers to; others than the own record need approval rights
+ * @returns {Promise<Object>} { mitarbeiter, genehmiger }
+ */
+const zielMitarbeiter = async (req, mitarbeiterId) => {
+  const genehmiger = await AbwesenheitService.darfGenehmigen(req.user);
+  const eigener = await eigenerMitarbeiter(req.user);
+
+  if (mitarbeiterId && (!eigener || String(eigener._id) !== String(mitarbeiterId))) {
+    if (!genehmiger) {
+      throw new AppError('Keine Berechtigung für Abwesenheiten anderer Mitarbeiter', 403);
+    }
+    const mitarbeiter = await Mitarbeiter.findById(mitarbeiterId);
+    if (!mitarbeiter) {
+      throw createNotFoundError('Mitarbeiter');
+    }
+    return { mitarbeiter, genehmiger };
+  }
+
+  if (!eigener) {
+    throw createNotFoundError('Mitarbeiter');
+  }
+  return { mitarbeiter: eigener, genehmiger };
+};
+
+// Abwesenheit laden, die der Benutzer sehen darf (eigene oder mit Genehmigungsrecht)
+const ladeAbwesenheit = async (req) => {
+  const abwesenheit = await Abwesenheit.findById(req.params.id);
+  if (!abwesenheit) {
+    throw createNotFoundError('Abwesenheit');
+  }
+
+  const genehmiger = await AbwesenheitService.darfGenehmigen(req.user);
+  if (!genehmiger) {
+    const eigener = await eigenerMitarbeiter(req.user);
+    if (!eigener || String(eigener._id) !== String(abwesenheit.mitarbeiter)) {
+      throw createNotFoundError('Abwesenheit');
+    }
+  }
+  return { abwesenheit, genehmiger };
+};
+
+// Abwesenheiten auflisten; ohne Genehmigungsrecht nur die eigenen
+exports.getAbwesenheiten = catchAsync(async (req, res) => {
+  pruefeValidierung(req);
+
+  const { mitarbeiterId, art, status, jahr } = req.query;
+  const genehmiger = await AbwesenheitService.darfGenehmigen(req.user);
+  const filter = {};
+
+  if (genehmiger) {
+    if (mitarbeiterId) filter.mitarbeiter = mitarbeiterId;
+  } else {
+    const eigener = await eigenerMitarbeiter(req.user);
+    if (!eigener) {
+      throw createNotFoundError('Mitarbeiter');
+    }
+    filter.mitarbeiter = eigener._id;
+  }
+  if (art) filter.art = art;
+  if (status) filter.status = status;
+  if (jahr) {
+    filter.von = { $lte: new Date(jahr, 11, 31, 23, 59, 59, 999) };
+    filter.bis = { $gte: new Date(jahr, 0, 1) };
+  }
+
+  const abwesenheiten = await Abwesenheit.find(filter)
+    .populate('mitarbeiter', 'vorname nachname position abteilung')
+    .populate('entschiedenVon', 'name')
+    .sort({ von: -1 });
+
+  res.json({
+    success: true,
+    data: abwesenheiten.map(abwesenheit => ({
+      ...abwesenheit.toObject(),
+      auFehlt: AbwesenheitService.auErforderlich(abwesenheit)
+    }))
+  });
+});
+
+// Abwesenheit mit Konflikten zu gebuchten Umzügen
+exports.getAbwesenheit = catchAsync(async (req, res) => {
+  pruefeValidierung(req);
+
+  const { abwesenheit } = await ladeAbwesenheit(req);
+  const konflikte = ['beantragt', 'genehmigt'].includes(abwesenheit.status)
+    ? await AbwesenheitService.konflikte(abwesenheit.mitarbeiter, abwesenheit.von, abwesenheit.bis)
+    : [];
+  await abwesenheit.populate([
+    { path: 'mitarbeiter', select: 'vorname nachname position abteilung' },
+    { path: 'au', select: 'originalname mimetype groesse createdAt' }
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      ...abwesenheit.toObject(),
+      auFehlt: AbwesenheitService.auErforderlich(abwesenheit),
+      konflikte
+    }
+  });
+});
+
+// Abwesenheit beantragen bzw. Krankmeldung erfassen
+exports.createAbwesenheit = catchAsync(async (req, res) => {
+  pruefeValidierung(req);
+
+  const { mitarbeiter } = await zielMitarbeiter(req, req.body.mitarbeiterId);
+  const { abwesenheit, konflikte, hinweise } = await AbwesenheitService.beantragen(mitarbeiter, req.body, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: abwesenheit.status === 'genehmigt' ? 'Krankmeldung erfasst' : 'Abwesenheit beantragt',
+    data: abwesenheit,
+    konflikte,
+    hinweise
+  });
+});
+
+// Antrag genehmigen (Administrator oder Vorarbeiter)
+exports.genehmigeAbwesenheit = catchAsync(async (req, res) => {
+  pruefeValidierung(req);
+
+  if (!await AbwesenheitService.darfGenehmigen(req.user)) {
+    throw new AppError('Nur Administratoren und Vorarbeiter dürfen Abwesenheiten genehmigen', 403);
+  }
+
+  const { abwesenheit, konflikte } = await AbwesenheitService.entscheiden(req.params.id, true, req.user);
+
+  res.json({
+    success: true,
+    message: 'Abwesenheit genehmigt',
+    data: abwesenheit,
+    konflikte
+  });
+});
+
+// Antrag ablehnen (Administrator oder Vorarbeiter)
+exports.lehneAbwesenheitAb = catchAsync(async (req, res) => {
+  pruefeValidierung(req);
+
+  if (!await AbwesenheitService.darfGenehmigen(req.user)) {
+    throw new AppError('Nur Administratoren und Vorarbeiter dürfen Abwesenheiten ablehnen', 403);
+  }
+
+  const { abwesenheit } = await AbwesenheitService.entscheiden(req.params.id, false, req.user, req.body.ablehnungsgrund);
+
+  res.json({
+    success: true,
+    message: 'Abwesenheit abgelehnt',
+    data: abwesenheit
+  });
+});
+
+// Abwesenheit stornieren; Mitarbeiter selbst nur, solange sie noch nicht begonnen hat
+exports.storniereAbwesenheit = catchAsync(async (req, res) => {
+  pruefeValidierung(req);
+
+  const { abwesenheit, genehmiger } = await ladeAbwesenheit(req);
+  if (!genehmiger && abwesenheit.art !== 'Krankheit' && abwesenheit.status === 'genehmigt' && abwesenheit.von <= new Date()) {
+    throw new AppError('Begonnene Abwesenheiten können nur von Administratoren oder Vorarbeitern storniert werden', 403);
+  }
+  if (!genehmiger && abwesenheit.art === 'Krankheit') {
+    throw new AppError('Krankmeldungen können nur von Administratoren oder Vorarbeitern storniert werden', 403);
+  }
+
+  await AbwesenheitService.stornieren(abwesenheit);
+
+  res.json({
+    success: true,
+    message: 'Abwesenheit storniert',
+    data: abwesenheit
+  });
+});
+
+// Multer-Konfiguration für Arbeitsunfähigkeitsbescheinigungen (PDF oder Foto)
+const auUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (['application/pdf', 'image/jpeg', 'image/png'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Nur PDF, JPG oder PNG sind erlaubt'), false);
+    }
+  },
+  limits: { fileSize: 10 * 1024 * 1024 } // 10 MB Limit
+}).single('datei');
+
+// Arbeitsunfähigkeitsbescheinigung zu einer Krankmeldung hochladen
+exports.uploadAu = catchAsync(async (req, res) => {
+  pruefeValidierung(req);
+
+  const { abwesenheit } = await ladeAbwesenheit(req);
+  if (abwesenheit.art !== 'Krankheit') {
+    throw new AppError('Eine AU kann nur zu einer Krankmeldung hochgeladen werden', 400);
+  }
+
+  await new Promise((resolve, reject) => {
+    auUpload(req, res, (err) => {
+      if (err) {
+        return reject(new AppError(`Upload-Fehler: ${err.message}`, 400));
+      }
+      resolve();
+    });
+  });
+
+  if (!req.file) {
+    throw new AppError('Keine Datei hochgeladen', 400);
+  }
+
+  // Fotos werden ausgerichtet und von EXIF/GPS befreit
+  const gespeichert = req.file.mimetype.startsWith('image/')
+    ? await BildService.speichereBild(req.file, 'abwesenheiten')
+    : await StorageService.speichereUpload(req.file, 'abwesenheiten');
+
+  try {
+    const uploadEintrag = await Upload.create({
+      originalname: req.file.originalname,
+      filename: gespeichert.schluessel.split('/').pop(),
+      pfad: gespeichert.schluessel,
+      mimetype: gespeichert.mimetype || req.file.mimetype,
+      groesse: gespeichert.groesse,
+      bild: gespeichert.bild,
+      kategorie: 'mitarbeiter',
+      bezugId: abwesenheit.mitarbeiter,
+      bezugModell: 'Mitarbeiter',
+      beschreibung: 'Arbeitsunfähigkeitsbescheinigung',
+      hochgeladenVon: req.user.id
+    });
+
+    abwesenheit.au = uploadEintrag._id;
+    await abwesenheit.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'AU erfolgreich hochgeladen',
+      data: {
+        abwesenheit,
+        upload: uploadEintrag
+      }
+    });
+  } catch (error) {
+    // Wenn ein Fehler auftritt, die hochgeladene Datei löschen
+    await StorageService.loeschen(gespeichert.schluessel).catch(() => {});
+    await BildService.loescheVarianten(gespeichert).catch(() => {});
+    throw new AppError(`Fehler beim Speichern der AU: ${error.message}`, 500);
+  }
+});
+
+// Urlaubskonto eines Mitarbeiters (Anspruch, Übertrag, genommen, Rest)
+exports.getUrlaubskonto = catchAsync(async (req, res) => {
+  pruefeValidierung(req);
+
+  const { mitarbeiter } = await zielMitarbeiter(req, req.query.mitarbeiterId);
+  const jahr = req.query.jahr || new Date().getFullYear();
+  const abwesenheiten = await Abwesenheit.find({ mitarbeiter: mitarbeiter._id, art: 'Urlaub' });
+
+  res.json({
+    success: true,
+    data: {
+      mitarbeiter: { _id: mitarbeiter._id, name: `${mitarbeiter.vorname} ${mitarbeiter.nachname}` },
+      ...AbwesenheitService.urlaubskonto(mitarbeiter, jahr, abwesenheiten)
+    }
+  });
+});
+
+// Teamkalender; Krankheiten sehen nur Administratoren und Vorarbeiter im Detail
+exports.getKalender = catchAsync(async (req, res) => {
+  pruefeValidierung(req);
+
+  const { von, bis, abteilung } = req.query;
+  const kalender = await AbwesenheitService.kalender(von, bis, {
+    abteilung,
+    vollzugriff: await AbwesenheitService.darfGenehmigen(req.user)
+  });
+
+  res.json({
+    success: true,
+    data: kalender
+  });
+});
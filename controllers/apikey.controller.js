@@ -0,0 +1,79 @@
+// controllers/apikey.controller.js
+const { validationResult } = require('express-validator');
+const ApiKeyService = require('../services/apikey.service');
+const BerechtigungService = require('../services/berechtigung.service');
+const apiKeyConfig = require('../config/apikey.config');
+const { catchAsync, createValidationError } = require('../utils/error.utils');
+
+const pruefeValidierung = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createValidationError(errors);
+  }
+};
+
+// Available scopes (area:read / area:write)
+exports.getScopes = catchAsync(async (req, res) => {
+  res.json({
+    success: true,
+    data: apiKeyConfig.scopes
+  });
+});
+
+// Own keys; user administrators see all keys or those of one user
+exports.getApiKeys = catchAsync(async (req, res) => {
+  pruefeValidierung(req);
+
+  const filter = {};
+  if (!BerechtigungService.hat(req.user, 'benutzer:manage')) {
+    filter.user = req.user._id;
+  } else if (req.query.userId) {
+    filter.user = req.query.userId;
+  }
+
+  const apiKeys = await ApiKeyService.liste(filter);
+
+  res.json({
+    success: true,
+    data: apiKeys
+  });
+});
+
+// Create a key for the current user; the key itself is only shown in this response
+exports.createApiKey = catchAsync(async (req, res) => {
+  pruefeValidierung(req);
+
+  const { apiKey, schluessel } = await ApiKeyService.erstellen(req.user, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'API-Schlüssel erstellt. Er wird nur jetzt angezeigt.',
+    data: { ...apiKey.toObject(), schluessel }
+  });
+});
+
+// Replace the secret of a key
+exports.rotiereApiKey = catchAsync(async (req, res) => {
+  pruefeValidierung(req);
+
+  const { apiKey, schluessel } = await ApiKeyService.rotieren(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    message: 'Neuer API-Schlüssel erstellt; der bisherige ist ungültig. Er wird nur jetzt angezeigt.',
+    data: { ...apiKey.toObject(), schluessel }
+  });
+});
+
+// Revoke a key
+exports.widerrufeApiKey = catchAsync(async (req, res) => {
+  pruefeValidierung(req);
+
+  const apiKey = await ApiKeyService.widerrufen(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    message: 'API-Schlüssel widerrufen',
+    data: apiKey
+  });
+});
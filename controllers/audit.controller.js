@@ -0,0 +1,24 @@
+// controllers/audit.controller.js
+const { validationResult } = require('express-validator');
+const AuditService = require('../services/audit.service');
+const { catchAsync, createValidationError } = require('../utils/error.utils');
+
+const pruefeValidierung = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createValidationError(errors);
+  }
+};
+
+// Audit entries filtered by entity, record, user, action, field and period (newest first)
+exports.getAuditLog = catchAsync(async (req, res) => {
+  pruefeValidierung(req);
+
+  const { data, pagination } = await AuditService.liste(AuditService.filter(req.query), req.pagination, req.user);
+
+  res.json({
+    success: true,
+    data,
+    pagination
+  });
+});
@@ -1,6 +1,12 @@
 // controllers/aufnahme.controller.js
 const Aufnahme = require('../models/aufnahme.model');
 const Umzug = require('../models/umzug.model');
+const AngebotService = require('../services/angebot.service');
+const Upload = require('../models/upload.model');
+const StorageService = require('../services/storage.service');
+const DownloadService = require('../services/download.service');
+
+const BILD_TYPEN = ['uebersicht', 'detail', 'schaden', 'zugang'];
 const { validationResult } = require('express-validator');
 
 // Alle Aufnahmen abrufen
@@ -159,7 +165,7 @@ exports.updateAufnahme = async (req, res) => {
       'datum', 'kundenName', 'auszugsadresse', 'einzugsadresse',
       'raeume', 'gesamtvolumen', 'notizen', 'angebotspreis', 'status',
       'kontaktperson', 'telefon', 'email', 'umzugstyp', 'umzugsvolumen',
-      'uhrzeit', 'besonderheiten', 'bewertung', 'mitarbeiterId'
+      'uhrzeit', 'besonderheiten', 'bewertung', 'mitarbeiterId', 'zusatzleistungen'
     ];
 
     updateFields.forEach(field => {
@@ -220,7 +226,8 @@ exports.addMoebel = async (req, res) => {
     const { 
       name, anzahl, kategorie, groesse, 
       gewicht, zerbrechlich, besonderheiten, 
-      demontage, montage, verpackung 
+      demontage, montage, verpackung,
+      eigenschaften, service
     } = req.body;
 
     // Aufnahme finden
@@ -248,7 +255,9 @@ exports.addMoebel = async (req, res) => {
       besonderheiten,
       demontage: demontage || false,
       montage: montage || false,
-      verpackung: verpackung || false
+      verpackung: verpackung || false,
+      eigenschaften,
+      service
     });
 
     // Gesamtvolumen neu berechnen (wenn Größenangaben vorhanden)
@@ -283,7 +292,11 @@ exports.addMoebel = async (req, res) => {
 // Bild hinzufügen
 exports.addBild = async (req, res) => {
   try {
-    const { pfad } = req.body;
+    const { pfad, typ } = req.body;
+
+    if (typ && !BILD_TYPEN.includes(typ)) {
+      return res.status(400).json({ message: `Bildtyp muss einer der folgenden Werte sein: ${BILD_TYPEN.join(', ')}` });
+    }
 
     // Aufnahme finden
     const aufnahme = await Aufnahme.findById(req.params.id);
@@ -292,25 +305,99 @@ exports.addBild = async (req, res) => {
       return res.status(404).json({ message: 'Aufnahme nicht gefunden' });
     }
 
-    // Neues Bild hinzufügen
-    aufnahme.bilder.push(pfad);
+    // Neues Bild hinzufügen (nur bereits hochgeladene Dateien)
+    const schluessel = await StorageService.pruefeReferenz(pfad);
+    aufnahme.bilder.push(schluessel);
 
     await aufnahme.save();
 
+    // Bildtyp (uebersicht, detail, schaden, zugang) an den Upload-Metadaten vermerken
+    if (typ) {
+      await Upload.updateOne(
+        { pfad: schluessel },
+        { $set: { 'bild.typ': typ, bezugModell: 'Aufnahme', bezugId: aufnahme._id } },
+        { runValidators: true }
+      );
+    }
+
     res.status(201).json({
       message: 'Bild erfolgreich hinzugefügt',
-      pfad
+      pfad: schluessel
     });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Fehler beim Hinzufügen des Bildes:', error);
     res.status(500).json({ message: 'Serverfehler beim Hinzufügen des Bildes' });
   }
 };
 
-// Angebot erstellen
+// Alle Fotos einer Aufnahme (Aufnahme.bilder und moebel[].bilder) mit Metadaten und signierten Links
+exports.getBilder = async (req, res) => {
+  try {
+    const aufnahme = await Aufnahme.findById(req.params.id).select('bilder raeume');
+
+    if (!aufnahme) {
+      return res.status(404).json({ message: 'Aufnahme nicht gefunden' });
+    }
+
+    const referenzen = aufnahme.bilder.map(pfad => ({ pfad, raum: null, moebel: null }));
+    (aufnahme.raeume || []).forEach(raum => {
+      (raum.moebel || []).forEach(moebel => {
+        (moebel.bilder || []).forEach(pfad => referenzen.push({ pfad, raum: raum.name, moebel: moebel.name }));
+      });
+    });
+
+    const schluessel = referenzen.map(({ pfad }) => {
+      try {
+        return StorageService.schluesselAusPfad(pfad);
+      } catch (error) {
+        return null;
+      }
+    });
+    const uploads = await Upload.find({
+      pfad: { $in: schluessel.filter(Boolean).flatMap(eintrag => [eintrag, `/uploads/${eintrag}`]) }
+    });
+    const uploadZuSchluessel = new Map(uploads.map(upload => [StorageService.schluesselAusPfad(upload.pfad), upload]));
+
+    const bilder = [];
+    for (let i = 0; i < referenzen.length; i++) {
+      const upload = uploadZuSchluessel.get(schluessel[i]);
+      if (!upload || !await DownloadService.darfZugreifen(req.user, upload)) {
+        continue;
+      }
+
+      const link = (variante) => DownloadService.erzeugeLink(upload, req.user, { variante, inline: true }).url;
+      const { bild = {} } = upload;
+      bilder.push({
+        uploadId: upload._id,
+        pfad: referenzen[i].pfad,
+        raum: referenzen[i].raum,
+        moebel: referenzen[i].moebel,
+        typ: bild.typ,
+        breite: bild.breite,
+        hoehe: bild.hoehe,
+        aufgenommenAm: bild.aufgenommenAm,
+        urls: {
+          thumbnail: link('thumbnail'),
+          web: link('web'),
+          original: link('original')
+        }
+      });
+    }
+
+    res.json(bilder);
+  } catch (error) {
+    console.error('Fehler beim Abrufen der Bilder:', error);
+    res.status(500).json({ message: 'Serverfehler beim Abrufen der Bilder' });
+  }
+};
+
+// Angebot aus Räumen, Möbeln, Adressen und Zusatzleistungen kalkulieren und erstellen
 exports.erstelleAngebot = async (req, res) => {
   try {
-    const { netto, brutto } = req.body;
+    const { kunde, gueltigkeitTage, notizen } = req.body;
 
     // Aufnahme finden
     const aufnahme = await Aufnahme.findById(req.params.id);
@@ -319,23 +406,43 @@ exports.erstelleAngebot = async (req, res) => {
       return res.status(404).json({ message: 'Aufnahme nicht gefunden' });
     }
 
-    // Angebotspreis setzen
-    aufnahme.angebotspreis = {
-      netto,
-      brutto
-    };
-    
-    // Status aktualisieren
-    aufnahme.status = 'angebot_erstellt';
-
-    await aufnahme.save();
+    const { angebot, kalkulation } = await AngebotService.erstelleAusAufnahme(aufnahme, {
+      kunde,
+      gueltigkeitTage,
+      notizen,
+      userId: req.user.id
+    });
 
-    res.json({
+    res.status(201).json({
       message: 'Angebot erfolgreich erstellt',
-      angebotspreis: aufnahme.angebotspreis
+      angebot,
+      angebotspreis: aufnahme.angebotspreis,
+      inventar: kalkulation.inventar
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Fehler beim Erstellen des Angebots:', error);
     res.status(500).json({ message: 'Serverfehler beim Erstellen des Angebots' });
   }
-};
\ No newline at end of file
+};
+
+// Angebotskalkulation ohne Speichern berechnen (Vorschau)
+exports.kalkuliereAngebot = async (req, res) => {
+  try {
+    const aufnahme = await Aufnahme.findById(req.params.id);
+    
+    if (!aufnahme) {
+      return res.status(404).json({ message: 'Aufnahme nicht gefunden' });
+    }
+
+    res.json(AngebotService.kalkuliere(aufnahme));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Fehler bei der Angebotskalkulation:', error);
+    res.status(500).json({ message: 'Serverfehler bei der Angebotskalkulation' });
+  }
+};
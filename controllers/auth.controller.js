@@ -4,6 +4,7 @@ const jwt = require('jsonwebtoken');
 const { AppError, catchAsync } = require('../utils/error.utils');
 const { sendEmail } = require('../utils/email');
 const crypto = require('crypto');
+const ZweiFaktorService = require('../services/zweifaktor.service');
 
 // Create JWT Tokens with proper error handling
 const createTokens = (user) => {
@@ -44,7 +45,7 @@ const createToken = (user) => {
 };
 
 // Create and send JWT tokens
-const createSendToken = (user, statusCode, res) => {
+const createSendToken = (user, statusCode, res, extra = {}) => {
   const { accessToken, refreshToken } = createTokens(user);
   
   // Remove password from output
@@ -54,7 +55,8 @@ const createSendToken = (user, statusCode, res) => {
     success: true,
     token: accessToken,
     refreshToken,
-    user
+    user,
+    ...extra
   });
 };
 
@@ -112,12 +114,39 @@ exports.login = catchAsync(async (req, res, next) => {
     return next(new AppError('Dieses Konto wurde deaktiviert', 401));
   }
   
+  // With 2FA the tokens are only issued after the second step (POST /api/auth/2fa/login)
+  if (user.twoFactorEnabled) {
+    const challenge = await ZweiFaktorService.anmeldungStarten(user);
+    return res.json({
+      success: true,
+      zweiFaktorErforderlich: true,
+      challenge,
+      message: 'Bitte den Code aus der Authenticator-App eingeben'
+    });
+  }
+  
   // Update last login
   user.lastLogin = Date.now();
   await user.save({ validateBeforeSave: false });
   
   console.log(`Successful login for: ${email}`);
-  createSendToken(user, 200, res);
+  // Users who must use 2FA but have not set it up can only reach the enrolment routes
+  const einrichtungErforderlich = await ZweiFaktorService.istPflicht(user);
+  createSendToken(user, 200, res, einrichtungErforderlich ? { zweiFaktorEinrichtungErforderlich: true } : {});
+});
+
+// Second login step with a TOTP or recovery code
+exports.loginZweiFaktor = catchAsync(async (req, res, next) => {
+  const { challenge, code } = req.body;
+  
+  if (!challenge || !code) {
+    return next(new AppError('Challenge und Code sind erforderlich', 400));
+  }
+  
+  const { user, wiederherstellungscode, verbleibendeCodes } = await ZweiFaktorService.anmeldungAbschliessen(challenge, code);
+  
+  console.log(`Successful 2FA login for: ${user.email}`);
+  createSendToken(user, 200, res, wiederherstellungscode ? { verbleibendeWiederherstellungscodes: verbleibendeCodes } : {});
 });
 
 // Get current user profile
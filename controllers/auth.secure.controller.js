@@ -1,6 +1,7 @@
 // controllers/auth.secure.controller.js - Secure Authentication Controller
 const { User } = require('../models');
 const TokenService = require('../services/token.service');
+const ZweiFaktorService = require('../services/zweifaktor.service');
 const { validationResult } = require('express-validator');
 const crypto = require('crypto');
 const bcrypt = require('bcrypt');
@@ -123,50 +124,66 @@ class AuthController {
         });
       }
 
+      // With 2FA the token pair is only issued after the second step
+      if (user.twoFactorEnabled) {
+        const challenge = await ZweiFaktorService.anmeldungStarten(user);
+        return res.json({
+          success: true,
+          zweiFaktorErforderlich: true,
+          challenge,
+          message: 'Bitte den Code aus der Authenticator-App eingeben'
+        });
+      }
+
       // Update last login
       user.lastLogin = new Date();
       await user.save();
 
-      // Generate token pair
-      const { accessToken, refreshToken } = await TokenService.generateTokenPair(user, {
-        userAgent: req.get('user-agent'),
-        ip: req.ip,
-        rememberMe
+      const einrichtungErforderlich = await ZweiFaktorService.istPflicht(user);
+      await AuthController.sendTokenPair(req, res, user, {
+        rememberMe,
+        message: 'Login erfolgreich',
+        ...(einrichtungErforderlich && { zweiFaktorEinrichtungErforderlich: true })
       });
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({ 
+        success: false, 
+        message: 'Serverfehler beim Login', 
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
 
-      // Set cookie options based on remember me
-      const cookieOptions = {
-        ...jwtConfig.cookie,
-        maxAge: rememberMe ? 30 * 24 * 60 * 60 * 1000 : undefined // 30 days if remember me
-      };
+  /**
+   * Second login step with a TOTP or recovery code
+   */
+  static async loginZweiFaktor(req, res) {
+    try {
+      const { challenge, code, rememberMe } = req.body;
 
-      // Set cookies
-      res.cookie('refreshToken', refreshToken, cookieOptions);
-      res.cookie('accessToken', accessToken, {
-        ...cookieOptions,
-        maxAge: 15 * 60 * 1000 // 15 minutes
-      });
+      if (!challenge || !code) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Challenge und Code sind erforderlich' 
+        });
+      }
 
-      // Generate CSRF token
-      const csrfToken = crypto.randomBytes(32).toString('hex');
-      req.session = req.session || {};
-      req.session.csrfToken = csrfToken;
+      const { user, wiederherstellungscode, verbleibendeCodes } = await ZweiFaktorService.anmeldungAbschliessen(challenge, code);
 
-      res.json({
-        success: true,
+      await AuthController.sendTokenPair(req, res, user, {
+        rememberMe,
         message: 'Login erfolgreich',
-        accessToken,
-        refreshToken,
-        csrfToken,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        }
+        ...(wiederherstellungscode && { verbleibendeWiederherstellungscodes: verbleibendeCodes })
       });
     } catch (error) {
-      console.error('Login error:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ 
+          success: false, 
+          message: error.message 
+        });
+      }
+      console.error('2FA login error:', error);
       res.status(500).json({ 
         success: false, 
         message: 'Serverfehler beim Login', 
@@ -175,6 +192,51 @@ class AuthController {
     }
   }
 
+  /**
+   * Issue the token pair, set the cookies and send the login response
+   */
+  static async sendTokenPair(req, res, user, { rememberMe, message, ...extra } = {}) {
+    // Generate token pair
+    const { accessToken, refreshToken } = await TokenService.generateTokenPair(user, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip,
+      rememberMe
+    });
+
+    // Set cookie options based on remember me
+    const cookieOptions = {
+      ...jwtConfig.cookie,
+      maxAge: rememberMe ? 30 * 24 * 60 * 60 * 1000 : undefined // 30 days if remember me
+    };
+
+    // Set cookies
+    res.cookie('refreshToken', refreshToken, cookieOptions);
+    res.cookie('accessToken', accessToken, {
+      ...cookieOptions,
+      maxAge: 15 * 60 * 1000 // 15 minutes
+    });
+
+    // Generate CSRF token
+    const csrfToken = crypto.randomBytes(32).toString('hex');
+    req.session = req.session || {};
+    req.session.csrfToken = csrfToken;
+
+    res.json({
+      success: true,
+      message,
+      accessToken,
+      refreshToken,
+      csrfToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      },
+      ...extra
+    });
+  }
+
   /**
    * Logout
    */
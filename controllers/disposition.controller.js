@@ -0,0 +1,15 @@
+// controllers/disposition.controller.js
+const DispositionService = require('../services/disposition.service');
+const { catchAsync } = require('../utils/error.utils');
+
+// Tagesweise Ressourcenplanung (Umzüge, Mitarbeiter, Fahrzeuge, Konflikte)
+exports.getRessourcenplan = catchAsync(async (req, res) => {
+  const { von, bis } = req.query;
+
+  const plan = await DispositionService.ressourcenplan(new Date(von), new Date(bis));
+
+  res.json({
+    success: true,
+    data: plan
+  });
+});
@@ -0,0 +1,38 @@
+// controllers/dsgvo.controller.js
+const { validationResult } = require('express-validator');
+const DsgvoService = require('../services/dsgvo.service');
+const { catchAsync, createValidationError } = require('../utils/error.utils');
+
+const pruefeValidierung = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createValidationError(errors);
+  }
+};
+
+const kriterien = ({ typ, clientId, email, telefon, mitarbeiterId }) => ({ typ, clientId, email, telefon, mitarbeiterId });
+
+// Auskunft nach Art. 15 DSGVO als JSON-Datei mit allen Datensätzen zur Person
+exports.getAuskunft = catchAsync(async (req, res) => {
+  pruefeValidierung(req);
+
+  const auskunft = await DsgvoService.auskunft(kriterien(req.query));
+
+  res.attachment(`dsgvo-auskunft-${auskunft.person.typ}-${auskunft.erstelltAm.toISOString().split('T')[0]}.json`);
+  res.json(auskunft);
+});
+
+// Löschung nach Art. 17 DSGVO; mit vorschau nur der Bericht, was gelöscht und was aufbewahrt würde
+exports.loeschePerson = catchAsync(async (req, res) => {
+  pruefeValidierung(req);
+
+  const bericht = await DsgvoService.loeschen(kriterien(req.body), { vorschau: req.body.vorschau === true });
+
+  res.json({
+    success: true,
+    message: bericht.vorschau
+      ? 'Vorschau der Löschung erstellt'
+      : `${bericht.geloescht.length} Datensätze gelöscht, ${bericht.pseudonymisiert.length} pseudonymisiert, ${bericht.aufbewahrt.length} aufbewahrt`,
+    data: bericht
+  });
+});
@@ -1,6 +1,8 @@
 // controllers/fahrzeug.controller.js
 const Fahrzeug = require('../models/fahrzeug.model');
 const Upload = require('../models/upload.model');
+const Wartung = require('../models/wartung.model');
+const FahrtenbuchAbschluss = require('../models/fahrtenbuchabschluss.model');
 const { validationResult } = require('express-validator');
 const { 
   catchAsync, 
@@ -10,7 +12,10 @@ const {
 } = require('../utils/error.utils');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
+const StorageService = require('../services/storage.service');
+const BildService = require('../services/bild.service');
+const WartungService = require('../services/wartung.service');
+const FahrtenbuchService = require('../services/fahrtenbuch.service');
 
 const { 
   createOffsetPaginationResponse, 
@@ -110,6 +115,13 @@ exports.createFahrzeug = catchAsync(async (req, res) => {
   });
 });
 
+// Mit Fahrtenbuch wird der Kilometerstand nur über Fahrten und Tankungen fortgeschrieben
+const pruefeKilometerstandAenderbar = async (fahrzeug) => {
+  if (await FahrtenbuchService.hatEintraege(fahrzeug._id)) {
+    throw new AppError('Der Kilometerstand wird über das Fahrtenbuch geführt. Bitte eine Fahrt oder Tankung eintragen', 409);
+  }
+};
+
 // Update a vehicle
 exports.updateFahrzeug = catchAsync(async (req, res) => {
   // Check validation errors
@@ -130,6 +142,10 @@ exports.updateFahrzeug = catchAsync(async (req, res) => {
     // Nothing to initialize here, just make sure it exists
   }
   
+  // Intervals have their own endpoint, reminders are maintained by the maintenance check
+  delete req.body.wartungsintervalle;
+  delete req.body.erinnerungen;
+  
   // Get the vehicle to update
   const fahrzeug = await Fahrzeug.findById(req.params.id);
   
@@ -137,6 +153,10 @@ exports.updateFahrzeug = catchAsync(async (req, res) => {
     throw createNotFoundError('Fahrzeug');
   }
   
+  if (req.body.kilometerstand !== undefined && req.body.kilometerstand !== fahrzeug.kilometerstand) {
+    await pruefeKilometerstandAenderbar(fahrzeug);
+  }
+  
   // Update fields with validated data
   Object.keys(req.body).forEach(key => {
     // Handle nested objects
@@ -204,7 +224,7 @@ exports.updateFahrzeugStatus = catchAsync(async (req, res) => {
   });
 });
 
-// Update kilometer reading
+// Update kilometer reading (only for vehicles without logbook)
 exports.updateKilometerstand = catchAsync(async (req, res) => {
   const { kilometerstand } = req.body;
   
@@ -218,6 +238,8 @@ exports.updateKilometerstand = catchAsync(async (req, res) => {
     throw createNotFoundError('Fahrzeug');
   }
   
+  await pruefeKilometerstandAenderbar(fahrzeug);
+  
   // Check if new value is greater than the current one
   if (kilometerstand < fahrzeug.kilometerstand) {
     throw new AppError('Neuer Kilometerstand muss größer als der aktuelle sein', 400);
@@ -241,6 +263,11 @@ exports.deleteFahrzeug = catchAsync(async (req, res) => {
     throw createNotFoundError('Fahrzeug');
   }
   
+  // The logbook has to be kept
+  if (await FahrtenbuchService.hatEintraege(fahrzeug._id)) {
+    throw new AppError('Fahrzeuge mit Fahrtenbuch können nicht gelöscht werden. Bitte den Status auf "Außer Dienst" setzen', 409);
+  }
+  
   // Hard delete
   await Fahrzeug.findByIdAndDelete(req.params.id);
   
@@ -250,26 +277,6 @@ exports.deleteFahrzeug = catchAsync(async (req, res) => {
   });
 });
 
-// Configure multer storage for vehicle images
-const vehicleImageStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = 'uploads/fahrzeug-images';
-    
-    // Create dir if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const fahrzeugId = req.params.id;
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const fileExt = path.extname(file.originalname);
-    cb(null, `fahrzeug-${fahrzeugId}-${uniqueSuffix}${fileExt}`);
-  }
-});
-
 // File filter for images
 const imageFileFilter = (req, file, cb) => {
   const allowedFileTypes = /jpeg|jpg|png|gif|webp/i;
@@ -285,7 +292,7 @@ const imageFileFilter = (req, file, cb) => {
 
 // Configure multer upload
 const upload = multer({
-  storage: vehicleImageStorage,
+  storage: multer.memoryStorage(), // stored via StorageService
   fileFilter: imageFileFilter,
   limits: {
     fileSize: 2 * 1024 * 1024 // 2MB limit
@@ -303,73 +310,454 @@ exports.uploadFahrzeugImage = catchAsync(async (req, res) => {
   }
   
   // Process the upload
-  upload(req, res, async (err) => {
-    if (err) {
-      if (err instanceof multer.MulterError) {
-        if (err.code === 'LIMIT_FILE_SIZE') {
-          return res.status(400).json({
-            success: false,
-            message: 'Datei ist zu groß. Maximalgröße ist 2MB.'
-          });
-        }
-      }
-      
+  const fehler = await new Promise(resolve => upload(req, res, resolve));
+  if (fehler) {
+    if (fehler instanceof multer.MulterError && fehler.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: err.message || 'Fehler beim Hochladen des Bildes'
+        message: 'Datei ist zu groß. Maximalgröße ist 2MB.'
       });
     }
     
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'Keine Datei hochgeladen'
-      });
-    }
+    return res.status(400).json({
+      success: false,
+      message: fehler.message || 'Fehler beim Hochladen des Bildes'
+    });
+  }
+  
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Keine Datei hochgeladen'
+    });
+  }
+  
+  const { schluessel, groesse, mimetype, bild } = await BildService.speichereBild(req.file, 'fahrzeug-images');
+  
+  try {
+    // Create an upload entry in the database
+    const uploadEintrag = await Upload.create({
+      originalname: req.file.originalname,
+      filename: schluessel.split('/').pop(),
+      pfad: schluessel,
+      mimetype,
+      groesse,
+      bild,
+      kategorie: 'fahrzeug',
+      bezugId: fahrzeugId,
+      bezugModell: 'Fahrzeug',
+      hochgeladenVon: req.user.id
+    });
     
-    try {
-      // Get the uploaded file path
-      const filePath = req.file.path;
-      
-      // Create an upload entry in the database
-      const upload = await Upload.create({
-        originalname: req.file.originalname,
-        filename: req.file.filename,
-        path: filePath,
-        mimetype: req.file.mimetype,
-        size: req.file.size,
-        category: 'Fahrzeug',
-        description: `Fahrzeugbild: ${fahrzeug.kennzeichen}`,
-        uploadedBy: req.user?.id,
-        relatedEntity: {
-          type: 'Fahrzeug',
-          id: fahrzeugId
-        }
-      });
-      
-      // Update the vehicle with the image path
-      fahrzeug.bild = filePath;
-      await fahrzeug.save();
-      
-      res.status(201).json({
-        success: true,
-        message: 'Bild erfolgreich hochgeladen',
-        data: {
-          file: upload,
-          fahrzeug: {
-            _id: fahrzeug._id,
-            kennzeichen: fahrzeug.kennzeichen,
-            bild: fahrzeug.bild
-          }
+    // Update the vehicle with the image key
+    fahrzeug.bild = schluessel;
+    await fahrzeug.save();
+    
+    res.status(201).json({
+      success: true,
+      message: 'Bild erfolgreich hochgeladen',
+      data: {
+        file: uploadEintrag,
+        fahrzeug: {
+          _id: fahrzeug._id,
+          kennzeichen: fahrzeug.kennzeichen,
+          bild: fahrzeug.bild
         }
-      });
-    } catch (error) {
-      // Remove the file if database operation fails
-      if (req.file && req.file.path) {
-        fs.unlinkSync(req.file.path);
       }
-      
-      throw error;
+    });
+  } catch (error) {
+    // Remove the file if database operation fails
+    await StorageService.loeschen(schluessel).catch(() => {});
+    await BildService.loescheVarianten({ bild }).catch(() => {});
+    throw error;
+  }
+});
+
+// Wartung eines Fahrzeugs laden und prüfen, ob sie zum Fahrzeug gehört
+const ladeWartung = async (req) => {
+  const wartung = await Wartung.findOne({ _id: req.params.wartungId, fahrzeug: req.params.id });
+  if (!wartung) {
+    throw createNotFoundError('Wartung');
+  }
+  return wartung;
+};
+
+// Get the maintenance log and due dates of a vehicle
+exports.getWartungen = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createValidationError(errors);
+  }
+  
+  const fahrzeug = await Fahrzeug.findById(req.params.id);
+  if (!fahrzeug) {
+    throw createNotFoundError('Fahrzeug');
+  }
+  
+  const filter = { fahrzeug: fahrzeug._id };
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  if (req.query.art) {
+    filter.art = req.query.art;
+  }
+  
+  const wartungen = await Wartung.find(filter)
+    .populate('projektkosten', 'kostennummer betrag bezahlstatus')
+    .sort({ termin: -1 });
+  
+  // Summe der gebuchten Wartungskosten
+  const kosten = wartungen
+    .filter(wartung => wartung.status === 'erledigt' && wartung.kosten && wartung.kosten.betrag)
+    .reduce((summe, wartung) => summe + wartung.kosten.betrag, 0);
+  
+  res.json({
+    success: true,
+    data: {
+      wartungen,
+      faelligkeiten: WartungService.faelligkeiten(fahrzeug),
+      wartungsintervalle: fahrzeug.wartungsintervalle,
+      kostenGesamt: Math.round(kosten * 100) / 100
     }
   });
-});
\ No newline at end of file
+});
+
+// Get all vehicles with maintenance or TÜV due soon or overdue
+exports.getFaelligeWartungen = catchAsync(async (req, res) => {
+  const fahrzeuge = await Fahrzeug.find({ isActive: true }).sort({ kennzeichen: 1 });
+  
+  const faellig = fahrzeuge
+    .map(fahrzeug => ({
+      fahrzeug: {
+        _id: fahrzeug._id,
+        kennzeichen: fahrzeug.kennzeichen,
+        bezeichnung: fahrzeug.bezeichnung,
+        status: fahrzeug.status,
+        kilometerstand: fahrzeug.kilometerstand
+      },
+      faelligkeiten: WartungService.faelligkeiten(fahrzeug).filter(eintrag => eintrag.status !== 'ok')
+    }))
+    .filter(eintrag => eintrag.faelligkeiten.length > 0);
+  
+  res.json({
+    success: true,
+    data: faellig
+  });
+});
+
+// Plan a maintenance appointment, or record a performed one (with durchgefuehrtAm)
+exports.createWartung = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createValidationError(errors);
+  }
+  
+  if (req.body.durchgefuehrtAm) {
+    const { wartung, projektkosten } = await WartungService.erfassen(req.params.id, req.body, req.user);
+    return res.status(201).json({
+      success: true,
+      message: projektkosten
+        ? `Wartung erfasst, Kosten als ${projektkosten.kostennummer} gebucht`
+        : 'Wartung erfasst',
+      data: wartung
+    });
+  }
+  
+  const { art, termin, terminBis, werkstatt, beschreibung, kosten } = req.body;
+  const wartung = await WartungService.planen(
+    req.params.id,
+    { art, termin, terminBis, werkstatt, beschreibung, kosten },
+    req.user
+  );
+  
+  res.status(201).json({
+    success: true,
+    message: 'Wartung erfolgreich geplant',
+    data: wartung
+  });
+});
+
+// Update a planned maintenance appointment
+exports.updateWartung = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createValidationError(errors);
+  }
+  
+  const wartung = await ladeWartung(req);
+  if (wartung.status !== 'geplant') {
+    throw new AppError('Nur geplante Wartungen können geändert werden', 400);
+  }
+  
+  const { termin, terminBis, werkstatt, beschreibung, kosten } = req.body;
+  if (termin !== undefined) wartung.termin = termin;
+  if (terminBis !== undefined) wartung.terminBis = terminBis;
+  if (beschreibung !== undefined) wartung.beschreibung = beschreibung;
+  Object.entries(werkstatt || {}).forEach(([feld, wert]) => wartung.set(`werkstatt.${feld}`, wert));
+  Object.entries(kosten || {}).forEach(([feld, wert]) => wartung.set(`kosten.${feld}`, wert));
+  if (termin !== undefined) {
+    wartung.terminErinnert = false;
+  }
+  
+  await wartung.save();
+  
+  // Verschobene Termine heben eine heutige Sperre auf bzw. setzen sie
+  const fahrzeug = await Fahrzeug.findById(wartung.fahrzeug);
+  if (WartungService.blockiert(wartung, new Date(), new Date())) {
+    await WartungService.sperren(fahrzeug);
+  } else {
+    await WartungService.freigeben(fahrzeug);
+  }
+  
+  res.json({
+    success: true,
+    message: 'Wartung erfolgreich aktualisiert',
+    data: wartung
+  });
+});
+
+// Complete a planned maintenance; costs are booked as Projektkosten ('Fahrzeuge')
+exports.abschliessenWartung = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createValidationError(errors);
+  }
+  
+  const wartung = await ladeWartung(req);
+  const ergebnis = await WartungService.abschliessen(wartung, req.body, req.user);
+  
+  res.json({
+    success: true,
+    message: ergebnis.projektkosten
+      ? `Wartung abgeschlossen, Kosten als ${ergebnis.projektkosten.kostennummer} gebucht`
+      : 'Wartung abgeschlossen',
+    data: {
+      wartung: ergebnis.wartung,
+      fahrzeug: {
+        _id: ergebnis.fahrzeug._id,
+        status: ergebnis.fahrzeug.status,
+        kilometerstand: ergebnis.fahrzeug.kilometerstand,
+        tuev: ergebnis.fahrzeug.tuev,
+        naechsterService: ergebnis.fahrzeug.naechsterService
+      }
+    }
+  });
+});
+
+// Cancel a planned maintenance
+exports.stornierenWartung = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createValidationError(errors);
+  }
+  
+  const wartung = await WartungService.stornieren(await ladeWartung(req));
+  
+  res.json({
+    success: true,
+    message: 'Wartung storniert',
+    data: wartung
+  });
+});
+
+// Replace the maintenance interval rules of a vehicle
+exports.updateWartungsintervalle = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createValidationError(errors);
+  }
+  
+  const fahrzeug = await Fahrzeug.findById(req.params.id);
+  if (!fahrzeug) {
+    throw createNotFoundError('Fahrzeug');
+  }
+  
+  fahrzeug.wartungsintervalle = req.body.wartungsintervalle.map(
+    ({ art, kilometer, monate, letzteDurchfuehrung, letzterKilometerstand }) =>
+      ({ art, kilometer, monate, letzteDurchfuehrung, letzterKilometerstand })
+  );
+  await fahrzeug.save();
+  
+  res.json({
+    success: true,
+    message: 'Wartungsintervalle erfolgreich gespeichert',
+    data: {
+      wartungsintervalle: fahrzeug.wartungsintervalle,
+      faelligkeiten: WartungService.faelligkeiten(fahrzeug)
+    }
+  });
+});
+
+// Run the maintenance check now (admin): block vehicles due today and send reminders
+exports.wartungspruefung = catchAsync(async (req, res) => {
+  const ergebnis = await WartungService.pruefung();
+  
+  res.json({
+    success: true,
+    message: `Wartungsprüfung abgeschlossen: ${ergebnis.gesperrt.length} Fahrzeug(e) gesperrt, ${ergebnis.erinnerungen} Erinnerung(en)`,
+    data: ergebnis
+  });
+});
+
+// Get the logbook (trips and fuel purchases) of a vehicle
+exports.getFahrtenbuch = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createValidationError(errors);
+  }
+  
+  const fahrzeug = await Fahrzeug.findById(req.params.id).select('kennzeichen bezeichnung kilometerstand');
+  if (!fahrzeug) {
+    throw createNotFoundError('Fahrzeug');
+  }
+  
+  const { von, bis, typ, korrekturen } = req.query;
+  const eintraege = await FahrtenbuchService.laden(fahrzeug._id)
+    .populate('fahrer', 'vorname nachname')
+    .populate('umzug', 'kundennummer auftraggeber.name startDatum');
+  
+  // Effective state by default; korrekturen=true lists every entry including counter-entries
+  const liste = (korrekturen ? eintraege : FahrtenbuchService.wirksameEintraege(eintraege))
+    .filter(eintrag => (!typ || eintrag.typ === typ)
+      && (!von || eintrag.datum >= von)
+      && (!bis || eintrag.datum <= bis));
+  const abschluesse = await FahrtenbuchAbschluss.find({ fahrzeug: fahrzeug._id }).sort({ monat: -1 });
+  
+  res.json({
+    success: true,
+    data: {
+      fahrzeug,
+      eintraege: liste,
+      abgeschlosseneMonate: abschluesse.map(abschluss => abschluss.monat)
+    }
+  });
+});
+
+// Record a trip
+exports.createFahrt = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createValidationError(errors);
+  }
+  
+  const eintrag = await FahrtenbuchService.buchen(req.params.id, 'fahrt', req.body, req.user);
+  
+  res.status(201).json({
+    success: true,
+    message: `Fahrt Nr. ${eintrag.nummer} erfasst`,
+    data: eintrag
+  });
+});
+
+// Record a fuel purchase
+exports.createTankung = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createValidationError(errors);
+  }
+  
+  const eintrag = await FahrtenbuchService.buchen(req.params.id, 'tankung', req.body, req.user);
+  
+  res.status(201).json({
+    success: true,
+    message: `Tankung Nr. ${eintrag.nummer} erfasst`,
+    data: eintrag
+  });
+});
+
+// Correct or cancel a logbook entry by a counter-entry
+exports.korrigiereFahrtenbuch = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createValidationError(errors);
+  }
+  
+  const korrektur = await FahrtenbuchService.korrigieren(req.params.id, req.params.eintragId, req.body, req.user);
+  
+  res.status(201).json({
+    success: true,
+    message: korrektur.storno
+      ? `Eintrag storniert (Korrektur Nr. ${korrektur.nummer})`
+      : `Korrektur Nr. ${korrektur.nummer} erfasst`,
+    data: korrektur
+  });
+});
+
+// Close a month of the logbook
+exports.abschliessenFahrtenbuch = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createValidationError(errors);
+  }
+  
+  const abschluss = await FahrtenbuchService.monatAbschliessen(req.params.id, req.body.monat, req.user);
+  
+  res.status(201).json({
+    success: true,
+    message: `Fahrtenbuch für ${abschluss.monat} abgeschlossen`,
+    data: abschluss
+  });
+});
+
+// Verify the hash chain of the logbook
+exports.pruefeFahrtenbuch = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createValidationError(errors);
+  }
+  
+  if (!await Fahrzeug.exists({ _id: req.params.id })) {
+    throw createNotFoundError('Fahrzeug');
+  }
+  
+  const ergebnis = FahrtenbuchService.pruefeKette(
+    await FahrtenbuchService.laden(req.params.id),
+    await FahrtenbuchAbschluss.find({ fahrzeug: req.params.id })
+  );
+  
+  res.json({
+    success: true,
+    message: ergebnis.gueltig
+      ? 'Fahrtenbuch ist unversehrt'
+      : `Fahrtenbuch weist ${ergebnis.fehler.length} Unstimmigkeit(en) auf`,
+    data: ergebnis
+  });
+});
+
+// Fuel consumption per 100 km and costs of a vehicle
+exports.getVerbrauch = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createValidationError(errors);
+  }
+  
+  if (!await Fahrzeug.exists({ _id: req.params.id })) {
+    throw createNotFoundError('Fahrzeug');
+  }
+  
+  const verbrauch = await FahrtenbuchService.verbrauch(req.params.id, req.query.von, req.query.bis);
+  
+  res.json({
+    success: true,
+    data: verbrauch
+  });
+});
+
+// Kilometres and fuel costs per Umzug across all vehicles
+exports.getUmzugskosten = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createValidationError(errors);
+  }
+  
+  const umzuege = await FahrtenbuchService.kostenJeUmzug(req.query.von, req.query.bis);
+  
+  res.json({
+    success: true,
+    data: {
+      von: req.query.von,
+      bis: req.query.bis,
+      umzuege
+    }
+  });
+});
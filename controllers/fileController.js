@@ -1,24 +1,11 @@
 // controllers/fileController.js
 const File = require('../models/file');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-
-// Multer Konfiguration
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = 'uploads/';
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, file.fieldname + '-' + uniqueSuffix + ext);
-  }
-});
+const StorageService = require('../services/storage.service');
+const BerechtigungService = require('../services/berechtigung.service');
+
+// Multer Konfiguration: Ablage erfolgt über den StorageService
+const storage = multer.memoryStorage();
 
 // File-Filter für erlaubte Dateitypen
 const fileFilter = (req, file, cb) => {
@@ -52,12 +39,14 @@ exports.uploadFile = async (req, res) => {
 
     const { project, task } = req.body;
 
+    const { schluessel, groesse } = await StorageService.speichereUpload(req.file, 'dateien');
+
     const file = new File({
-      fileName: req.file.filename,
+      fileName: schluessel.split('/').pop(),
       originalName: req.file.originalname,
-      filePath: req.file.path,
+      filePath: schluessel,
       fileType: req.file.mimetype,
-      fileSize: req.file.size,
+      fileSize: groesse,
       project,
       task,
       uploadedBy: req.user.id
@@ -98,6 +87,8 @@ exports.getFiles = async (req, res) => {
     const filter = {};
     if (project) filter.project = project;
     if (task) filter.task = task;
+    // Ohne upload:read nur die eigenen Dateien
+    if (!BerechtigungService.hat(req.user, 'upload:read')) filter.uploadedBy = req.user.id;
     
     const files = await File.find(filter)
       .populate('uploadedBy', 'username')
@@ -116,26 +107,31 @@ exports.deleteFile = async (req, res) => {
       return res.status(404).json({ message: 'Datei nicht gefunden' });
     }
 
-    // Datei aus dem Dateisystem löschen
-    fs.unlink(file.filePath, async (err) => {
-      if (err) {
-        return res.status(500).json({ message: 'Fehler beim Löschen der Datei', error: err.message });
-      }
-
-      // Wenn es eine Task-bezogene Datei ist, aus Task entfernen
-      if (file.task) {
-        const Task = require('../models/task');
-        await Task.findByIdAndUpdate(
-          file.task,
-          { $pull: { attachments: { fileName: file.fileName } } }
-        );
-      }
-
-      // Aus der Datenbank löschen
-      await File.findByIdAndDelete(req.params.id);
-
-      res.json({ message: 'Datei erfolgreich gelöscht' });
-    });
+    // Fremde Dateien nur mit upload:manage
+    if (String(file.uploadedBy) !== String(req.user.id) && !BerechtigungService.hat(req.user, 'upload:manage')) {
+      return res.status(403).json({ message: 'Keine Berechtigung für diese Aktion' });
+    }
+
+    // Datei aus dem Speicher löschen
+    try {
+      await StorageService.loeschen(file.filePath);
+    } catch (err) {
+      return res.status(500).json({ message: 'Fehler beim Löschen der Datei', error: err.message });
+    }
+
+    // Wenn es eine Task-bezogene Datei ist, aus Task entfernen
+    if (file.task) {
+      const Task = require('../models/task');
+      await Task.findByIdAndUpdate(
+        file.task,
+        { $pull: { attachments: { fileName: file.fileName } } }
+      );
+    }
+
+    // Aus der Datenbank löschen
+    await File.findByIdAndDelete(req.params.id);
+
+    res.json({ message: 'Datei erfolgreich gelöscht' });
   } catch (error) {
     res.status(500).json({ message: 'Serverfehler', error: error.message });
   }
@@ -144,8 +140,9 @@ exports.deleteFile = async (req, res) => {
 // Funktion zum Löschen der Beispieldaten
 exports.deleteAllExampleData = async (req, res) => {
   try {
-    // Prüfen, ob der Benutzer Admin-Rechte hat
-    if (req.user.role !== 'admin') {
+    // Löschrechte für alle betroffenen Daten erforderlich
+    const benoetigt = ['client:delete', 'projekt:delete', 'task:delete', 'upload:manage'];
+    if (!benoetigt.every(berechtigung => BerechtigungService.hat(req.user, berechtigung))) {
       return res.status(403).json({ message: 'Keine Berechtigung für diese Aktion' });
     }
 
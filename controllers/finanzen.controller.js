@@ -11,23 +11,11 @@ const {
   createNotFoundError, 
   createValidationError 
 } = require('../utils/error.utils');
-
-// Hilfsfunktion zum Generieren einzigartiger Nummern
-const generateUniqueNumber = async (model, fieldName, prefix) => {
-  const date = new Date();
-  const year = date.getFullYear().toString().substr(-2);
-  const month = (date.getMonth() + 1).toString().padStart(2, '0');
-  
-  // Zähle vorhandene Dokumente dieses Monats
-  const countQuery = {};
-  const regexPattern = `^${prefix}${year}${month}`;
-  countQuery[fieldName] = { $regex: regexPattern };
-  
-  const count = await model.countDocuments(countQuery);
-  const number = (count + 1).toString().padStart(3, '0');
-  
-  return `${prefix}${year}${month}-${number}`;
-};
+const { generateUniqueNumber } = require('../utils/number.utils');
+const MahnwesenService = require('../services/mahnwesen.service');
+const PdfService = require('../services/pdf.service');
+const DatevService = require('../services/datev.service');
+const XRechnungService = require('../services/xrechnung.service');
 
 // ÜBERSICHT CONTROLLER FUNKTIONEN
 exports.getFinanzuebersicht = catchAsync(async (req, res) => {
@@ -460,7 +448,11 @@ exports.createRechnung = catchAsync(async (req, res) => {
     zahlungsmethode,
     mehrwertsteuer,
     positionsliste,
-    notizen
+    notizen,
+    zahlungsbedingungen,
+    leistungszeitraum,
+    kaeuferreferenz,
+    bankverbindung
   } = req.body;
   
   // Generiere eine eindeutige Rechnungsnummer
@@ -478,7 +470,7 @@ exports.createRechnung = catchAsync(async (req, res) => {
   }
   
   // Erstelle die neue Rechnung
-  const rechnung = await Rechnung.create({
+  const rechnung = new Rechnung({
     rechnungNummer,
     kunde: kunde || (angebotDaten ? angebotDaten.kunde : null),
     umzug: umzug || (angebotDaten ? angebotDaten.umzug : null),
@@ -490,10 +482,20 @@ exports.createRechnung = catchAsync(async (req, res) => {
     mehrwertsteuer: mehrwertsteuer || 19,
     positionsliste: positionsliste || (angebotDaten ? angebotDaten.positionsliste : []),
     notizen,
+    zahlungsbedingungen,
+    leistungszeitraum,
+    kaeuferreferenz,
+    bankverbindung,
     erstelltVon: req.user.id,
     gesamtbetrag: 0 // Wird durch pre-save-Hook aktualisiert
   });
   
+  // Direkt versendete Rechnungen müssen die Pflichtangaben der E-Rechnung erfüllen
+  if (rechnung.status === 'Gesendet') {
+    await XRechnungService.pruefeVersand(rechnung);
+  }
+  await rechnung.save();
+  
   // Wenn diese Rechnung zu einem Angebot gehört, setze dessen Status auf 'Akzeptiert'
   if (angebotDaten && angebotDaten.status !== 'Akzeptiert') {
     angebotDaten.status = 'Akzeptiert';
@@ -523,6 +525,10 @@ exports.updateRechnung = catchAsync(async (req, res) => {
     mehrwertsteuer,
     positionsliste,
     notizen,
+    zahlungsbedingungen,
+    leistungszeitraum,
+    kaeuferreferenz,
+    bankverbindung,
     zahlungserinnerungen
   } = req.body;
   
@@ -541,6 +547,7 @@ exports.updateRechnung = catchAsync(async (req, res) => {
   rechnung.faelligkeitsdatum = faelligkeitsdatum || rechnung.faelligkeitsdatum;
   
   // Status-Aktualisierung
+  const wirdVersendet = status === 'Gesendet' && rechnung.status === 'Entwurf';
   if (status && status !== rechnung.status) {
     // Wenn Status auf "Bezahlt" gesetzt wird und noch kein Bezahldatum existiert
     if (status === 'Bezahlt' && !rechnung.bezahltAm && !bezahltAm) {
@@ -555,6 +562,15 @@ exports.updateRechnung = catchAsync(async (req, res) => {
   if (mehrwertsteuer) rechnung.mehrwertsteuer = mehrwertsteuer;
   if (positionsliste) rechnung.positionsliste = positionsliste;
   if (notizen !== undefined) rechnung.notizen = notizen;
+  if (zahlungsbedingungen !== undefined) rechnung.zahlungsbedingungen = zahlungsbedingungen;
+  if (leistungszeitraum) rechnung.leistungszeitraum = leistungszeitraum;
+  if (kaeuferreferenz !== undefined) rechnung.kaeuferreferenz = kaeuferreferenz;
+  if (bankverbindung) rechnung.bankverbindung = bankverbindung;
+  
+  // Übergang von 'Entwurf' zu 'Gesendet' nur mit vollständigen Pflichtangaben der E-Rechnung
+  if (wirdVersendet) {
+    await XRechnungService.pruefeVersand(rechnung);
+  }
   
   // Zahlungserinnerungen
   if (zahlungserinnerungen) {
@@ -579,6 +595,126 @@ exports.updateRechnung = catchAsync(async (req, res) => {
   });
 });
 
+exports.getRechnungPdf = catchAsync(async (req, res) => {
+  const rechnung = await Rechnung.findById(req.params.id)
+    .populate('kunde', 'name contactPerson address')
+    .populate('umzug', 'startDatum endDatum');
+    
+  if (!rechnung) {
+    throw createNotFoundError('Rechnung');
+  }
+  
+  const { filename, buffer, mimeType } = await rechnung.pdfGenerieren();
+  
+  res.set({
+    'Content-Type': mimeType,
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Content-Length': buffer.length
+  });
+  res.status(200).send(buffer);
+});
+
+// Rechnung als XRechnung (UBL oder CII)
+exports.getRechnungXRechnung = catchAsync(async (req, res) => {
+  const rechnung = await Rechnung.findById(req.params.id)
+    .populate('kunde')
+    .populate('umzug', 'startDatum endDatum');
+    
+  if (!rechnung) {
+    throw createNotFoundError('Rechnung');
+  }
+  
+  const fehler = XRechnungService.validiere(rechnung, { profil: 'xrechnung' });
+  if (fehler.length > 0) {
+    throw new AppError('Die Rechnung erfüllt nicht die Pflichtangaben der XRechnung', 400, fehler);
+  }
+  
+  const format = rechnung.kunde && rechnung.kunde.eInvoice && rechnung.kunde.eInvoice.format;
+  const syntax = req.query.syntax || (format === 'xrechnung-cii' ? 'cii' : 'ubl');
+  const xml = syntax === 'cii'
+    ? XRechnungService.erzeugeCii(rechnung, { profil: 'xrechnung' })
+    : XRechnungService.erzeugeUbl(rechnung);
+  const buffer = Buffer.from(xml, 'utf8');
+  
+  res.set({
+    'Content-Type': 'application/xml; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${rechnung.rechnungNummer}_xrechnung_${syntax}.xml"`,
+    'Content-Length': buffer.length
+  });
+  res.status(200).send(buffer);
+});
+
+// Rechnung als ZUGFeRD/Factur-X (PDF/A-3 mit eingebettetem XML, Profil EN 16931)
+exports.getRechnungZugferd = catchAsync(async (req, res) => {
+  const rechnung = await Rechnung.findById(req.params.id)
+    .populate('kunde')
+    .populate('umzug', 'startDatum endDatum');
+    
+  if (!rechnung) {
+    throw createNotFoundError('Rechnung');
+  }
+  
+  const fehler = XRechnungService.validiere(rechnung, { profil: 'en16931' });
+  if (fehler.length > 0) {
+    throw new AppError('Die Rechnung erfüllt nicht die Pflichtangaben nach EN 16931', 400, fehler);
+  }
+  
+  const buffer = await XRechnungService.erzeugeZugferd(rechnung);
+  
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${rechnung.rechnungNummer}_zugferd.pdf"`,
+    'Content-Length': buffer.length
+  });
+  res.status(200).send(buffer);
+});
+
+// Mahnschreiben einer bereits erstellten Mahnstufe als PDF
+exports.getMahnungPdf = catchAsync(async (req, res) => {
+  const rechnung = await Rechnung.findById(req.params.id)
+    .populate('kunde', 'name contactPerson address');
+    
+  if (!rechnung) {
+    throw createNotFoundError('Rechnung');
+  }
+  
+  const mahnstufe = Number(req.params.mahnstufe);
+  const mahnung = rechnung.zahlungserinnerungen.find(eintrag => eintrag.mahnstufe === mahnstufe);
+  if (!mahnung) {
+    throw new AppError(`Für diese Rechnung existiert keine Mahnung der Stufe ${mahnstufe}`, 404);
+  }
+  
+  const buffer = await PdfService.renderMahnung(rechnung, mahnung);
+  
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="Mahnung_${mahnstufe}_${rechnung.rechnungNummer}.pdf"`,
+    'Content-Length': buffer.length
+  });
+  res.status(200).send(buffer);
+});
+
+// MAHNWESEN CONTROLLER FUNKTIONEN
+
+// Mahnlauf starten - mit dryRun werden die fälligen Mahnungen nur aufgelistet
+exports.mahnlauf = catchAsync(async (req, res) => {
+  const { dryRun, stichtag } = req.body;
+  
+  const ergebnis = await MahnwesenService.mahnlauf({
+    dryRun,
+    stichtag,
+    userId: req.user.id
+  });
+  
+  res.json({
+    success: true,
+    message: dryRun
+      ? `Probelauf: ${ergebnis.anzahl} Mahnung(en) würden erstellt`
+      : `Mahnlauf abgeschlossen: ${ergebnis.anzahl} Mahnung(en) erstellt`,
+    data: ergebnis
+  });
+});
+
 exports.deleteRechnung = catchAsync(async (req, res) => {
   const rechnungId = req.params.id;
   
@@ -605,7 +741,7 @@ exports.deleteRechnung = catchAsync(async (req, res) => {
 
 exports.markRechnungAsBezahlt = catchAsync(async (req, res) => {
   const rechnungId = req.params.id;
-  const { zahlungsmethode, bezahltAm } = req.body;
+  const { zahlungsmethode, bezahltAm, betrag, referenz } = req.body;
   
   // Prüfe, ob die Rechnung existiert
   const rechnung = await Rechnung.findById(rechnungId);
@@ -614,20 +750,24 @@ exports.markRechnungAsBezahlt = catchAsync(async (req, res) => {
     throw createNotFoundError('Rechnung');
   }
   
-  // Setze die Rechnung auf bezahlt
-  rechnung.status = 'Bezahlt';
-  rechnung.bezahltAm = bezahltAm || new Date();
-  
-  if (zahlungsmethode) {
-    rechnung.zahlungsmethode = zahlungsmethode;
+  // Zahlungseingang erfassen - ohne Betrag wird der gesamte offene Betrag bezahlt
+  try {
+    await rechnung.zahlungErfassen({
+      betrag,
+      datum: bezahltAm,
+      zahlungsmethode,
+      referenz,
+      erfasstVon: req.user._id
+    });
+  } catch (error) {
+    throw new AppError(error.message, 400);
   }
   
-  // Speichere die Änderungen
-  await rechnung.save();
-  
   res.status(200).json({
     success: true,
-    message: 'Rechnung als bezahlt markiert',
+    message: rechnung.status === 'Bezahlt'
+      ? 'Rechnung als bezahlt markiert'
+      : `Teilzahlung erfasst, offen: ${Rechnung.offenerBetrag(rechnung).toFixed(2)} EUR`,
     rechnung
   });
 });
@@ -685,6 +825,7 @@ exports.createProjektkosten = catchAsync(async (req, res) => {
     umzug,
     kategorie,
     betrag,
+    steuersatz,
     datum,
     beschreibung,
     bezahlstatus,
@@ -698,6 +839,7 @@ exports.createProjektkosten = catchAsync(async (req, res) => {
     umzug,
     kategorie,
     betrag,
+    steuersatz,
     datum: datum || new Date(),
     beschreibung,
     erstelltVon: req.user.id,
@@ -722,6 +864,7 @@ exports.updateProjektkosten = catchAsync(async (req, res) => {
     umzug,
     kategorie,
     betrag,
+    steuersatz,
     datum,
     beschreibung,
     bezahlstatus,
@@ -741,6 +884,7 @@ exports.updateProjektkosten = catchAsync(async (req, res) => {
   projektkosten.umzug = umzug || projektkosten.umzug;
   projektkosten.kategorie = kategorie || projektkosten.kategorie;
   projektkosten.betrag = betrag !== undefined ? betrag : projektkosten.betrag;
+  projektkosten.steuersatz = steuersatz !== undefined ? steuersatz : projektkosten.steuersatz;
   projektkosten.datum = datum || projektkosten.datum;
   projektkosten.beschreibung = beschreibung !== undefined ? beschreibung : projektkosten.beschreibung;
   
@@ -786,6 +930,28 @@ exports.deleteProjektkosten = catchAsync(async (req, res) => {
   });
 });
 
+// EXPORT CONTROLLER FUNKTIONEN
+
+// Buchungsstapel (Rechnungen und Projektkosten) im DATEV-Format für den Steuerberater
+exports.exportDatev = catchAsync(async (req, res) => {
+  const { von, bis, kontenrahmen } = req.query;
+  
+  const datevExport = await DatevService.exportBuchungsstapel({
+    von,
+    bis,
+    kontenrahmen,
+    exportiertVon: req.user.name || req.user.email || ''
+  });
+  
+  res.set({
+    'Content-Type': 'text/csv; charset=windows-1252',
+    'Content-Disposition': `attachment; filename="${datevExport.dateiname}"`,
+    'Content-Length': datevExport.inhalt.length,
+    'X-Anzahl-Buchungen': datevExport.anzahlBuchungen
+  });
+  res.status(200).send(datevExport.inhalt);
+});
+
 // Hilfsfunktion zur automatischen Aktualisierung der Finanzübersicht
 exports.updateFinanzuebersicht = async (jahr, monat) => {
   try {
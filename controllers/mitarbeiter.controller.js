@@ -9,9 +9,12 @@ const {
   AppError
 } = require('../utils/error.utils');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const Upload = require('../models/upload.model');
+const ArbzgService = require('../services/arbzg.service');
+const StorageService = require('../services/storage.service');
+const BildService = require('../services/bild.service');
+const BerechtigungService = require('../services/berechtigung.service');
+const ZweiFaktorService = require('../services/zweifaktor.service');
 
 const { 
   createOffsetPaginationResponse, 
@@ -84,6 +87,9 @@ exports.createMitarbeiter = catchAsync(async (req, res) => {
     throw createValidationError(errors);
   }
   
+  // Gehalt und Notfallkontakt nur mit Berechtigung setzen
+  BerechtigungService.pruefeFeldaenderung(req.user, req.body);
+  
   // In der Anfrage oder vom authentifizierten Benutzer die Benutzer-ID holen
   const userId = req.body.userId || req.user?.id;
   
@@ -119,10 +125,13 @@ exports.updateMitarbeiter = catchAsync(async (req, res) => {
     throw createValidationError(errors);
   }
 
+  // Gehalt und Notfallkontakt nur mit Berechtigung ändern
+  BerechtigungService.pruefeFeldaenderung(req.user, req.body);
+
   const { 
     vorname, nachname, telefon, email, adresse, 
-    position, abteilung, einstellungsdatum, gehalt,
-    faehigkeiten, fuehrerscheinklassen, notizen, 
+    position, abteilung, einstellungsdatum, austrittsdatum, gehalt,
+    personalnummer, bundesland, arbeitszeit, faehigkeiten, fuehrerscheinklassen, notizen, 
     notfallkontakt, bankverbindung, isActive 
   } = req.body;
 
@@ -142,6 +151,12 @@ exports.updateMitarbeiter = catchAsync(async (req, res) => {
   if (position) mitarbeiter.position = position;
   if (abteilung) mitarbeiter.abteilung = abteilung;
   if (einstellungsdatum) mitarbeiter.einstellungsdatum = einstellungsdatum;
+  if (austrittsdatum !== undefined) mitarbeiter.austrittsdatum = austrittsdatum;
+  if (personalnummer) mitarbeiter.personalnummer = personalnummer;
+  if (bundesland) mitarbeiter.bundesland = bundesland;
+  if (arbeitszeit) {
+    Object.keys(arbeitszeit).forEach(feld => mitarbeiter.set(`arbeitszeit.${feld}`, arbeitszeit[feld]));
+  }
   if (gehalt) mitarbeiter.gehalt = gehalt;
   if (faehigkeiten) mitarbeiter.faehigkeiten = faehigkeiten;
   if (fuehrerscheinklassen) mitarbeiter.fuehrerscheinklassen = fuehrerscheinklassen;
@@ -151,6 +166,10 @@ exports.updateMitarbeiter = catchAsync(async (req, res) => {
   if (isActive !== undefined) mitarbeiter.isActive = isActive;
 
   await mitarbeiter.save();
+  // Die Position entscheidet über die 2FA-Pflicht
+  if (position && mitarbeiter.userId) {
+    ZweiFaktorService.pflichtVergessen(mitarbeiter.userId);
+  }
 
   res.json({
     success: true,
@@ -176,14 +195,15 @@ exports.addArbeitszeit = catchAsync(async (req, res) => {
     throw createNotFoundError('Mitarbeiter');
   }
 
+  // Arbeitszeitgesetz prüfen: Verstöße vermerken oder je nach Modus ablehnen
+  const arbeitszeit = { datum, startzeit, endzeit, pausen: pausen || [], notizen };
+  const verstoesse = await ArbzgService.pruefeEintrag(mitarbeiter._id, arbeitszeit, { quelle: 'arbeitszeit' });
+  if (ArbzgService.abzulehnen(verstoesse)) {
+    throw new AppError('Die Arbeitszeit verstößt gegen das Arbeitszeitgesetz', 400, verstoesse);
+  }
+
   // Neue Arbeitszeit hinzufügen
-  mitarbeiter.arbeitszeiten.push({
-    datum,
-    startzeit,
-    endzeit,
-    pausen: pausen || [],
-    notizen
-  });
+  mitarbeiter.arbeitszeiten.push({ ...arbeitszeit, arbzgVerstoesse: verstoesse });
 
   await mitarbeiter.save();
 
@@ -243,10 +263,10 @@ exports.addDokument = catchAsync(async (req, res) => {
     throw createNotFoundError('Mitarbeiter');
   }
 
-  // Neues Dokument hinzufügen
+  // Neues Dokument hinzufügen (nur bereits hochgeladene Dateien)
   mitarbeiter.dokumente.push({
     name,
-    pfad,
+    pfad: await StorageService.pruefeReferenz(pfad),
     datum: new Date()
   });
 
@@ -276,22 +296,7 @@ exports.deleteMitarbeiter = catchAsync(async (req, res) => {
   });
 });
 
-// Multer-Konfiguration für Profilbilder
-const profileImageStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../uploads/profile-images');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, 'profile-' + req.params.id + '-' + uniqueSuffix + ext);
-  }
-});
-
+// Multer-Konfiguration für Profilbilder (Ablage über den StorageService)
 const profileImageFilter = (req, file, cb) => {
   // Nur Bilder erlauben
   const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
@@ -304,7 +309,7 @@ const profileImageFilter = (req, file, cb) => {
 };
 
 const uploadProfileImage = multer({
-  storage: profileImageStorage,
+  storage: multer.memoryStorage(),
   fileFilter: profileImageFilter,
   limits: { fileSize: 2 * 1024 * 1024 } // 2 MB Limit
 }).single('file');
@@ -319,56 +324,55 @@ exports.uploadProfileImage = catchAsync(async (req, res) => {
     throw createNotFoundError('Mitarbeiter');
   }
   
-  // Multer für den Upload verwenden
-  uploadProfileImage(req, res, async (err) => {
-    if (err) {
-      if (err instanceof multer.MulterError) {
-        // Multer-spezifischer Fehler (z.B. Dateigröße überschritten)
-        throw new AppError(`Upload-Fehler: ${err.message}`, 400);
-      } else {
-        // Sonstige Fehler (z.B. Dateityp nicht erlaubt)
-        throw new AppError(`Upload-Fehler: ${err.message}`, 400);
+  // Multer für den Upload verwenden; Fehler (z.B. Dateigröße, Dateityp) als 400 melden
+  await new Promise((resolve, reject) => {
+    uploadProfileImage(req, res, (err) => {
+      if (err) {
+        return reject(new AppError(`Upload-Fehler: ${err.message}`, 400));
       }
-    }
+      resolve();
+    });
+  });
+  
+  if (!req.file) {
+    throw new AppError('Keine Datei hochgeladen', 400);
+  }
+  
+  const { schluessel, groesse, mimetype, bild } = await BildService.speichereBild(req.file, 'profile-images');
+  
+  try {
+    // Upload-Eintrag in der Datenbank erstellen
+    const uploadEintrag = new Upload({
+      originalname: req.file.originalname,
+      filename: schluessel.split('/').pop(),
+      pfad: schluessel,
+      mimetype,
+      groesse,
+      bild,
+      kategorie: 'mitarbeiter',
+      bezugId: mitarbeiterId,
+      bezugModell: 'Mitarbeiter',
+      hochgeladenVon: req.user.id
+    });
     
-    if (!req.file) {
-      throw new AppError('Keine Datei hochgeladen', 400);
-    }
+    await uploadEintrag.save();
     
-    try {
-      // Upload-Eintrag in der Datenbank erstellen
-      const uploadEintrag = new Upload({
-        originalname: req.file.originalname,
-        filename: req.file.filename,
-        pfad: `/uploads/profile-images/${req.file.filename}`,
-        mimetype: req.file.mimetype,
-        groesse: req.file.size,
-        kategorie: 'mitarbeiter',
-        bezugId: mitarbeiterId,
-        bezugModell: 'Mitarbeiter',
-        hochgeladenVon: req.user.id
-      });
-      
-      await uploadEintrag.save();
-      
-      // Profilbild-Pfad im Mitarbeiter aktualisieren
-      mitarbeiter.profilbild = uploadEintrag.pfad;
-      await mitarbeiter.save();
-      
-      res.status(201).json({
-        success: true,
-        message: 'Profilbild erfolgreich hochgeladen',
-        data: {
-          profilbild: mitarbeiter.profilbild,
-          upload: uploadEintrag
-        }
-      });
-    } catch (error) {
-      // Wenn ein Fehler auftritt, die hochgeladene Datei löschen
-      if (req.file && req.file.path) {
-        fs.unlinkSync(req.file.path);
+    // Profilbild-Pfad im Mitarbeiter aktualisieren
+    mitarbeiter.profilbild = uploadEintrag.pfad;
+    await mitarbeiter.save();
+    
+    res.status(201).json({
+      success: true,
+      message: 'Profilbild erfolgreich hochgeladen',
+      data: {
+        profilbild: mitarbeiter.profilbild,
+        upload: uploadEintrag
       }
-      throw new AppError(`Fehler beim Speichern des Profilbilds: ${error.message}`, 500);
-    }
-  });
+    });
+  } catch (error) {
+    // Wenn ein Fehler auftritt, die hochgeladene Datei löschen
+    await StorageService.loeschen(schluessel).catch(() => {});
+    await BildService.loescheVarianten({ bild }).catch(() => {});
+    throw new AppError(`Fehler beim Speichern des Profilbilds: ${error.message}`, 500);
+  }
 });
\ No newline at end of file
@@ -0,0 +1,114 @@
+// controllers/portal.controller.js - Kundenportal (Self-Service für Auftraggeber)
+const PortalService = require('../services/portal.service');
+const StorageService = require('../services/storage.service');
+const Rechnung = require('../models/rechnung.model');
+const { catchAsync } = require('../utils/error.utils');
+
+// Anmeldelink anfordern - die Antwort verrät nicht, ob die Adresse bekannt ist
+exports.requestLink = catchAsync(async (req, res) => {
+  try {
+    await PortalService.sendeLink(req.body.email);
+  } catch (error) {
+    console.error('Fehler beim Versand des Kundenportal-Links:', error.message);
+  }
+
+  res.json({
+    success: true,
+    message: 'Falls zu dieser E-Mail-Adresse ein Umzug existiert, erhalten Sie in Kürze einen Anmeldelink.'
+  });
+});
+
+// Eigene Umzüge mit Status und Statusverlauf
+exports.getUmzuege = catchAsync(async (req, res) => {
+  const umzuege = await PortalService.umzuege(req.kunde.email);
+
+  res.json({
+    success: true,
+    data: umzuege
+  });
+});
+
+exports.getUmzug = catchAsync(async (req, res) => {
+  const umzug = await PortalService.eigenerUmzug(req.kunde.email, req.params.id);
+
+  res.json({
+    success: true,
+    data: PortalService.umzugAnsicht(umzug)
+  });
+});
+
+// Dokument eines eigenen Umzugs herunterladen
+exports.downloadDokument = catchAsync(async (req, res) => {
+  const { schluessel, name } = await PortalService.dokument(
+    req.kunde.email,
+    req.params.id,
+    req.params.dokumentId
+  );
+
+  const datei = await StorageService.lesen(schluessel);
+  res.attachment(name);
+  datei.on('error', () => res.destroy());
+  datei.pipe(res);
+});
+
+// Offene Rechnungen mit Gesamtsumme
+exports.getRechnungen = catchAsync(async (req, res) => {
+  const { rechnungen, summeOffen } = await PortalService.offeneRechnungen(req.kunde.email);
+
+  res.json({
+    success: true,
+    data: rechnungen,
+    summeOffen
+  });
+});
+
+// Rechnung erneut als PDF abrufen
+exports.getRechnungPdf = catchAsync(async (req, res) => {
+  const { _id } = await PortalService.eigeneRechnung(req.kunde.email, req.params.id);
+  const rechnung = await Rechnung.findById(_id)
+    .populate('kunde', 'name contactPerson address')
+    .populate('umzug', 'startDatum endDatum');
+
+  const { filename, buffer, mimeType } = await rechnung.pdfGenerieren();
+
+  res.set({
+    'Content-Type': mimeType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': buffer.length
+  });
+  res.status(200).send(buffer);
+});
+
+exports.getAngebote = catchAsync(async (req, res) => {
+  const angebote = await PortalService.angebote(req.kunde.email);
+
+  res.json({
+    success: true,
+    data: angebote
+  });
+});
+
+exports.akzeptiereAngebot = catchAsync(async (req, res) => {
+  const angebot = await PortalService.angebotAkzeptieren(req.kunde.email, req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Vielen Dank! Ihr Auftrag ist bei uns eingegangen.',
+    data: {
+      id: angebot._id,
+      angebotNummer: angebot.angebotNummer,
+      status: angebot.status
+    }
+  });
+});
+
+// Zufriedenheit nach Abschluss des Umzugs
+exports.bewerteUmzug = catchAsync(async (req, res) => {
+  const kundenzufriedenheit = await PortalService.bewerten(req.kunde.email, req.params.id, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Vielen Dank für Ihre Bewertung!',
+    data: kundenzufriedenheit
+  });
+});
@@ -2,6 +2,14 @@
 const Umzug = require('../models/umzug.model');
 const Aufnahme = require('../models/aufnahme.model');
 const Benachrichtigung = require('../models/benachrichtigung.model');
+const Rechnung = require('../models/rechnung.model');
+const Mitarbeiter = require('../models/mitarbeiter.model');
+const PdfService = require('../services/pdf.service');
+const ClientService = require('../services/client.service');
+const DispositionService = require('../services/disposition.service');
+const PortalService = require('../services/portal.service');
+const StorageService = require('../services/storage.service');
+const { generateUniqueNumber } = require('../utils/number.utils');
 const { validationResult } = require('express-validator');
 const { 
   catchAsync, 
@@ -76,6 +84,16 @@ const {
   createSearchFilter 
 } = paginationModule;
 
+// Mitarbeiter und Fahrzeuge eines Umzugs auf Doppelbuchungen und Abwesenheiten prüfen.
+// Mit konflikteIgnorieren werden Konflikte nur als Warnungen zurückgegeben.
+const pruefeRessourcen = (umzug, konflikteIgnorieren) => DispositionService.sicherePlanung({
+  umzugId: umzug._id,
+  startDatum: umzug.startDatum,
+  endDatum: umzug.endDatum,
+  mitarbeiter: umzug.mitarbeiter.map(ma => ma.mitarbeiterId),
+  fahrzeuge: umzug.fahrzeuge.map(fahrzeug => ({ fahrzeugId: fahrzeug.fahrzeugId, kennzeichen: fahrzeug.kennzeichen }))
+}, konflikteIgnorieren === true || konflikteIgnorieren === 'true');
+
 // Alle Umzüge abrufen mit Pagination
 exports.getAllUmzuege = catchAsync(async (req, res) => {
   const { status, startDatum, endDatum, search, ...filters } = req.query;
@@ -232,13 +250,16 @@ exports.createUmzug = catchAsync(async (req, res) => {
   }
 
   // Neuen Umzug erstellen mit bereinigten Daten
+  delete umzugData.konflikteIgnorieren;
   const umzug = new Umzug(umzugData);
+  const warnungen = await pruefeRessourcen(umzug, req.body.konflikteIgnorieren);
   await umzug.save();
 
   res.status(201).json({
     success: true,
     message: 'Umzug erfolgreich erstellt',
-    data: umzug
+    data: umzug,
+    ...(warnungen.length > 0 && { warnungen })
   });
 });
 
@@ -282,7 +303,7 @@ exports.updateUmzug = catchAsync(async (req, res) => {
   const updateFields = [
     'kundennummer', 'auftraggeber', 'kontakte', 'auszugsadresse',
     'einzugsadresse', 'zwischenstopps', 'startDatum', 'endDatum',
-    'status', 'preis', 'fahrzeuge', 'mitarbeiter'
+    'preis', 'fahrzeuge', 'mitarbeiter', 'umzugsdetails'
   ];
 
   updateFields.forEach(field => {
@@ -296,12 +317,26 @@ exports.updateUmzug = catchAsync(async (req, res) => {
     umzug.aufnahmeId = updateData.aufnahmeId;
   }
 
-  await umzug.save();
+  // Ressourcen nur bei geänderter Planung eines aktiven Umzugs prüfen
+  let warnungen = [];
+  const planungGeaendert = ['startDatum', 'endDatum', 'mitarbeiter', 'fahrzeuge'].some(field => umzug.isModified(field));
+  const zielStatus = updateData.status || umzug.status;
+  if (planungGeaendert && !['storniert', 'abgeschlossen'].includes(zielStatus)) {
+    warnungen = await pruefeRessourcen(umzug, updateData.konflikteIgnorieren);
+  }
+
+  // Statuswechsel über changeStatus, damit Historie und Echtzeit-Events entstehen
+  if (updateData.status !== undefined && updateData.status !== umzug.status) {
+    await umzug.changeStatus(updateData.status, req.user.id);
+  } else {
+    await umzug.save();
+  }
 
   res.json({
     success: true,
     message: 'Umzug erfolgreich aktualisiert',
-    data: umzug
+    data: umzug,
+    ...(warnungen.length > 0 && { warnungen })
   });
 });
 
@@ -396,10 +431,10 @@ exports.addDokument = catchAsync(async (req, res) => {
     throw createNotFoundError('Umzug');
   }
 
-  // Neues Dokument hinzufügen
+  // Neues Dokument hinzufügen (nur bereits hochgeladene Dateien)
   umzug.dokumente.push({
     name,
-    pfad,
+    pfad: await StorageService.pruefeReferenz(pfad),
     kategorie: kategorie || 'sonstiges',
     datum: new Date()
   });
@@ -455,4 +490,305 @@ exports.deleteUmzug = catchAsync(async (req, res) => {
     message: 'Umzug erfolgreich gelöscht',
     data: { deletedId: req.params.id }
   });
-});
\ No newline at end of file
+});
+
+// Status ändern
+exports.updateStatus = catchAsync(async (req, res) => {
+  const { status, reason } = req.body;
+  const umzug = await Umzug.findById(req.params.id);
+  
+  if (!umzug) {
+    throw createNotFoundError('Umzug');
+  }
+  
+  if (umzug.status === status) {
+    throw new AppError(`Der Umzug hat bereits den Status '${status}'`, 400);
+  }
+  
+  await umzug.changeStatus(status, req.user.id, reason);
+  
+  res.json({
+    success: true,
+    message: `Status auf '${status}' geändert`,
+    data: umzug
+  });
+});
+
+// Rechnung aus Endpreis und Zusatzleistungen erstellen
+exports.generateInvoice = catchAsync(async (req, res) => {
+  const umzug = await Umzug.findById(req.params.id);
+  
+  if (!umzug) {
+    throw createNotFoundError('Umzug');
+  }
+  
+  if (umzug.status === 'storniert') {
+    throw new AppError('Für stornierte Umzüge kann keine Rechnung erstellt werden', 400);
+  }
+  
+  // Nur eine aktive Rechnung pro Umzug
+  if (umzug.rechnungId) {
+    const vorhandeneRechnung = await Rechnung.findById(umzug.rechnungId);
+    if (vorhandeneRechnung && vorhandeneRechnung.status !== 'Storniert') {
+      throw new AppError(
+        `Für diesen Umzug existiert bereits die Rechnung ${vorhandeneRechnung.rechnungNummer}`,
+        409
+      );
+    }
+  }
+  
+  const netto = umzug.getNettoPreis();
+  if (netto === undefined || netto === null) {
+    throw new AppError('Für den Umzug ist kein Preis hinterlegt', 400);
+  }
+  
+  if (!umzug.auftraggeber || !umzug.auftraggeber.name) {
+    throw new AppError('Für den Umzug ist kein Auftraggeber hinterlegt', 400);
+  }
+  
+  // Rechnungsanschrift ist die neue Adresse nach dem Umzug
+  const kunde = req.body.kunde || (await ClientService.findOrCreateByKontakt({
+    ...umzug.auftraggeber.toObject(),
+    adresse: umzug.einzugsadresse
+  }, req.user.id))._id;
+  const mehrwertsteuer = (umzug.preis.final && umzug.preis.final.mwst) || umzug.preis.mwst || 19;
+  
+  const positionsliste = [{
+    bezeichnung: `Umzug ${umzug.auszugsadresse ? umzug.auszugsadresse.ort : ''} - ${umzug.einzugsadresse ? umzug.einzugsadresse.ort : ''}`.trim(),
+    menge: 1,
+    einheit: 'Pauschale',
+    einzelpreis: netto,
+    gesamtpreis: netto
+  }];
+  
+  umzug.extraLeistungen.forEach(extra => {
+    positionsliste.push({
+      bezeichnung: extra.beschreibung,
+      menge: extra.menge || 1,
+      einheit: 'Stück',
+      einzelpreis: extra.preis || 0,
+      gesamtpreis: (extra.preis || 0) * (extra.menge || 1)
+    });
+  });
+  
+  const zahlungsziel = parseInt(req.body.zahlungsziel, 10) || 14;
+  const faelligkeitsdatum = new Date();
+  faelligkeitsdatum.setDate(faelligkeitsdatum.getDate() + zahlungsziel);
+  
+  const rechnung = await Rechnung.create({
+    rechnungNummer: await generateUniqueNumber(Rechnung, 'rechnungNummer', 'REC'),
+    kunde,
+    umzug: umzug._id,
+    ausstellungsdatum: new Date(),
+    faelligkeitsdatum,
+    leistungszeitraum: {
+      von: umzug.startDatum,
+      bis: umzug.endDatum
+    },
+    status: 'Entwurf',
+    zahlungsmethode: 'Überweisung',
+    mehrwertsteuer,
+    positionsliste,
+    zahlungsbedingungen: req.body.zahlungsbedingungen,
+    erstelltVon: req.user.id,
+    gesamtbetrag: 0 // Wird durch pre-save-Hook aktualisiert
+  });
+  
+  umzug.rechnungId = rechnung._id;
+  await umzug.save();
+  
+  res.status(201).json({
+    success: true,
+    message: 'Rechnung erfolgreich erstellt',
+    data: rechnung
+  });
+});
+
+// Umzug stornieren
+exports.cancelUmzug = catchAsync(async (req, res) => {
+  const { reason, kosten } = req.body;
+  
+  const umzug = await Umzug.findById(req.params.id);
+  
+  if (!umzug) {
+    throw createNotFoundError('Umzug');
+  }
+  
+  if (umzug.status === 'storniert') {
+    throw new AppError('Umzug ist bereits storniert', 400);
+  }
+  
+  if (umzug.status === 'abgeschlossen') {
+    throw new AppError('Abgeschlossene Umzüge können nicht storniert werden', 400);
+  }
+  
+  // Ohne Angabe: Fautfracht von einem Drittel der vereinbarten Fracht (§415 Abs. 2 HGB)
+  let stornokosten = kosten !== undefined ? parseFloat(kosten) : NaN;
+  if (isNaN(stornokosten)) {
+    stornokosten = Math.round(((umzug.getNettoPreis() || 0) / 3) * 100) / 100;
+  }
+  
+  await umzug.cancel(reason, req.user.id, stornokosten);
+  
+  // Offene Rechnung zum Umzug ebenfalls stornieren
+  if (umzug.rechnungId) {
+    const rechnung = await Rechnung.findById(umzug.rechnungId);
+    if (rechnung && !['Bezahlt', 'Teilbezahlt', 'Storniert'].includes(rechnung.status)) {
+      rechnung.status = 'Storniert';
+      rechnung.notizen = `${rechnung.notizen || ''}\n\nStorniert: ${reason}`.trim();
+      await rechnung.save();
+    }
+  }
+  
+  // Zugewiesenes Team informieren
+  const team = await Mitarbeiter.find({
+    _id: { $in: umzug.mitarbeiter.map(ma => ma.mitarbeiterId) }
+  }).select('userId');
+  
+  if (team.length > 0) {
+    await Benachrichtigung.insertMany(team.map(ma => ({
+      empfaenger: ma.userId,
+      titel: 'Umzug storniert',
+      inhalt: `Der Umzug am ${umzug.startDatum.toLocaleDateString('de-DE')} wurde storniert: ${reason}`,
+      typ: 'warnung',
+      bezug: {
+        typ: 'umzug',
+        id: umzug._id
+      },
+      erstelltVon: req.user?.id
+    })));
+  }
+  
+  res.json({
+    success: true,
+    message: 'Umzug erfolgreich storniert',
+    data: umzug
+  });
+});
+
+// Umzugsblatt als PDF exportieren
+exports.exportToPDF = catchAsync(async (req, res) => {
+  const umzug = await Umzug.findById(req.params.id)
+    .populate('mitarbeiter.mitarbeiterId', 'vorname nachname telefon');
+  
+  if (!umzug) {
+    throw createNotFoundError('Umzug');
+  }
+  
+  const buffer = await PdfService.renderUmzugsblatt(umzug);
+  const filename = `Umzugsblatt-${umzug.kundennummer || umzug._id}.pdf`;
+  
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Content-Length': buffer.length
+  });
+  res.status(200).send(buffer);
+});
+
+// Team zuweisen (ersetzt die bisherige Zuordnung)
+exports.assignTeam = catchAsync(async (req, res) => {
+  const { mitarbeiter, role } = req.body;
+  
+  const umzug = await Umzug.findById(req.params.id);
+  
+  if (!umzug) {
+    throw createNotFoundError('Umzug');
+  }
+  
+  if (['storniert', 'abgeschlossen'].includes(umzug.status)) {
+    throw new AppError(`Einem Umzug mit Status '${umzug.status}' kann kein Team zugewiesen werden`, 400);
+  }
+  
+  // Einträge sind entweder IDs (mit gemeinsamer Rolle) oder { mitarbeiterId, rolle }
+  // 'teamleiter' ist die Bezeichnung im Frontend für die Rolle 'projektleiter'
+  const normalisiereRolle = (rolle) => (rolle === 'teamleiter' ? 'projektleiter' : rolle) || 'helfer';
+  const zuordnungen = mitarbeiter.map(eintrag => (
+    typeof eintrag === 'string'
+      ? { mitarbeiterId: eintrag, rolle: normalisiereRolle(role) }
+      : { mitarbeiterId: eintrag.mitarbeiterId, rolle: normalisiereRolle(eintrag.rolle || role) }
+  ));
+  
+  const ids = [...new Set(zuordnungen.map(z => String(z.mitarbeiterId)))];
+  if (ids.length !== zuordnungen.length) {
+    throw new AppError('Ein Mitarbeiter kann nur einmal zugewiesen werden', 400);
+  }
+  
+  const gefundene = await Mitarbeiter.find({ _id: { $in: ids }, isActive: true }).select('userId vorname nachname');
+  if (gefundene.length !== ids.length) {
+    const gefundenIds = gefundene.map(ma => String(ma._id));
+    throw new AppError('Einige Mitarbeiter existieren nicht oder sind inaktiv', 400, 
+      ids.filter(id => !gefundenIds.includes(id)).map(id => ({ field: 'mitarbeiter', message: `Unbekannte ID ${id}` }))
+    );
+  }
+  
+  const bisherigeIds = umzug.mitarbeiter.map(ma => String(ma.mitarbeiterId));
+  umzug.mitarbeiter = zuordnungen;
+  const warnungen = await pruefeRessourcen(umzug, req.body.konflikteIgnorieren);
+  await umzug.save();
+  
+  // Neu zugewiesene Mitarbeiter benachrichtigen
+  const neue = gefundene.filter(ma => !bisherigeIds.includes(String(ma._id)));
+  if (neue.length > 0) {
+    await Benachrichtigung.insertMany(neue.map(ma => ({
+      empfaenger: ma.userId,
+      titel: 'Neuer Umzugseinsatz',
+      inhalt: `Sie wurden dem Umzug am ${umzug.startDatum.toLocaleDateString('de-DE')} zugewiesen`,
+      typ: 'info',
+      bezug: {
+        typ: 'umzug',
+        id: umzug._id
+      },
+      erstelltVon: req.user?.id
+    })));
+  }
+  
+  await umzug.populate('mitarbeiter.mitarbeiterId', 'vorname nachname telefon');
+  
+  res.json({
+    success: true,
+    message: 'Team erfolgreich zugewiesen',
+    data: umzug.mitarbeiter,
+    ...(warnungen.length > 0 && { warnungen })
+  });
+});
+
+// Anmeldelink für das Kundenportal an den Auftraggeber senden
+exports.sendPortalLink = catchAsync(async (req, res) => {
+  const umzug = await Umzug.findById(req.params.id).select('auftraggeber');
+
+  if (!umzug) {
+    throw createNotFoundError('Umzug');
+  }
+
+  if (!umzug.auftraggeber || !umzug.auftraggeber.email) {
+    throw new AppError('Für den Auftraggeber ist keine E-Mail-Adresse hinterlegt', 400);
+  }
+
+  await PortalService.sendeLink(umzug.auftraggeber.email);
+
+  res.json({
+    success: true,
+    message: `Anmeldelink an ${umzug.auftraggeber.email} gesendet`
+  });
+});
+
+// Fahrzeug- und Fahrervorschlag aus Volumen, Ladegewicht und Führerscheinklassen
+exports.getFahrzeugvorschlag = catchAsync(async (req, res) => {
+  const umzug = await Umzug.findById(req.params.id);
+
+  if (!umzug) {
+    throw createNotFoundError('Umzug');
+  }
+
+  if (['storniert', 'abgeschlossen'].includes(umzug.status)) {
+    throw new AppError(`Für einen Umzug mit Status '${umzug.status}' werden keine Fahrzeuge geplant`, 400);
+  }
+
+  const vorschlag = await DispositionService.fahrzeugvorschlag(umzug);
+
+  res.json({
+    success: true,
+    data: vorschlag
+  });
+});
@@ -1,28 +1,23 @@
 // controllers/upload.controller.js
+const path = require('path');
 const Upload = require('../models/upload.model');
+const Umzug = require('../models/umzug.model');
+const Aufnahme = require('../models/aufnahme.model');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-
-// Multer-Konfiguration
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../uploads');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, file.fieldname + '-' + uniqueSuffix + ext);
-  }
-});
+const StorageService = require('../services/storage.service');
+const DownloadService = require('../services/download.service');
+const BildService = require('../services/bild.service');
+const ArchivService = require('../services/archiv.service');
+const BerechtigungService = require('../services/berechtigung.service');
+const DateiZugriff = require('../models/dateizugriff.model');
+const storageConfig = require('../config/storage.config');
+const { file: fileValidation } = require('../middleware/validators');
+const { AppError, catchAsync, createNotFoundError } = require('../utils/error.utils');
 
+// Multer-Konfiguration: Dateien bleiben im Speicher und werden über den StorageService abgelegt
 const fileFilter = (req, file, cb) => {
   const allowedTypes = [
-    'image/jpeg', 'image/png', 'image/gif',
+    'image/jpeg', 'image/png', 'image/gif', 'image/webp',
     'application/pdf', 'application/msword',
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
     'application/vnd.ms-excel',
@@ -38,53 +33,185 @@ const fileFilter = (req, file, cb) => {
 };
 
 const upload = multer({
-  storage,
+  storage: multer.memoryStorage(),
   fileFilter,
   limits: { fileSize: 10 * 1024 * 1024 } // 10 MB Limit
 });
 
-// Datei hochladen
-exports.uploadDatei = (req, res) => {
-  upload.single('datei')(req, res, async (err) => {
+// ZIP-Archive werden getrennt angenommen und nach dem Entpacken je Eintrag geprüft
+const zipUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+      cb(null, true);
+    } else {
+      cb(new Error('Es werden nur ZIP-Archive angenommen'), false);
+    }
+  },
+  limits: { fileSize: storageConfig.archiv.maxZipMb * 1024 * 1024 }
+});
+
+// Multer-Middleware ausführen und Fehler als 400 beantworten
+const empfange = (middleware) => (req, res, next) => {
+  middleware(req, res, (err) => {
     if (err) {
       return res.status(400).json({ message: 'Fehler beim Hochladen: ' + err.message });
     }
-    
-    if (!req.file) {
-      return res.status(400).json({ message: 'Keine Datei hochgeladen' });
+    next();
+  });
+};
+
+// Multipart-Anfrage einlesen (Feld "datei"), bevor Datei und Metadaten validiert werden
+exports.empfangeDatei = empfange(upload.single('datei'));
+
+// Mehrere Dateien (Feld "dateien", maximal 10)
+exports.empfangeDateien = empfange(upload.array('dateien', 10));
+
+// ZIP-Archiv (Feld "archiv")
+exports.empfangeArchiv = empfange(zipUpload.single('archiv'));
+
+/**
+ * Store a file and create its Upload entry; the stored file is removed again if the entry fails
+ * @param {Object} datei - { originalname, mimetype, buffer, size }
+ * @param {Object} metadaten - Validated request body
+ * @param {String} benutzerId - Uploading user
+ */
+const speichereDatei = async (datei, metadaten, benutzerId) => {
+  const { kategorie, bezugId, bezugModell, bildTyp, beschreibung, tags } = metadaten;
+
+  // Fotos werden ausgerichtet, von EXIF/GPS befreit und in kleineren Varianten abgelegt
+  const gespeichert = datei.mimetype.startsWith('image/')
+    ? await BildService.speichereBild(datei, kategorie || 'dokument', { typ: bildTyp })
+    : await StorageService.speichereUpload(datei, kategorie || 'dokument');
+
+  try {
+    return await Upload.create({
+      originalname: datei.originalname,
+      filename: gespeichert.schluessel.split('/').pop(),
+      pfad: gespeichert.schluessel,
+      mimetype: gespeichert.mimetype || datei.mimetype,
+      groesse: gespeichert.groesse,
+      kategorie: kategorie || 'dokument',
+      bezugId: bezugId || null,
+      bezugModell: bezugModell || 'Dokument',
+      beschreibung,
+      tags,
+      hochgeladenVon: benutzerId,
+      bild: gespeichert.bild
+    });
+  } catch (error) {
+    // Datei löschen, wenn DB-Eintrag fehlschlägt
+    await StorageService.loeschen(gespeichert.schluessel).catch(() => {});
+    await BildService.loescheVarianten(gespeichert).catch(() => {});
+    throw error;
+  }
+};
+
+// Datei hochladen
+exports.uploadDatei = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ message: 'Keine Datei hochgeladen' });
+  }
+
+  try {
+    const uploadEintrag = await speichereDatei(req.file, req.body, req.user.id);
+
+    res.status(201).json({
+      message: 'Datei erfolgreich hochgeladen',
+      datei: uploadEintrag
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ message: error.message });
     }
-    
+    console.error('Fehler beim Speichern des Uploads:', error);
+    res.status(500).json({ message: 'Serverfehler beim Speichern des Uploads' });
+  }
+};
+
+// Mehrere Dateien nacheinander speichern; unlesbare Bilder werden einzeln abgelehnt
+const speichereDateien = async (dateien, metadaten, benutzerId) => {
+  const gespeichert = [];
+  const abgelehnt = [];
+
+  for (const datei of dateien) {
     try {
-      const { kategorie, bezugId, bezugModell } = req.body;
-      
-      // Upload-Eintrag in der Datenbank erstellen
-      const uploadEintrag = new Upload({
-        originalname: req.file.originalname,
-        filename: req.file.filename,
-        pfad: `/uploads/${req.file.filename}`,
-        mimetype: req.file.mimetype,
-        groesse: req.file.size,
-        kategorie: kategorie || 'dokument',
-        bezugId: bezugId || null,
-        bezugModell: bezugModell || 'Dokument',
-        hochgeladenVon: req.user.id
-      });
-      
-      await uploadEintrag.save();
-      
-      res.status(201).json({
-        message: 'Datei erfolgreich hochgeladen',
-        datei: uploadEintrag
-      });
+      gespeichert.push(await speichereDatei(datei, metadaten, benutzerId));
     } catch (error) {
-      console.error('Fehler beim Speichern des Uploads:', error);
-      // Datei löschen, wenn DB-Eintrag fehlschlägt
-      fs.unlinkSync(req.file.path);
-      res.status(500).json({ message: 'Serverfehler beim Speichern des Uploads' });
+      if (error.statusCode !== 400) {
+        throw error;
+      }
+      abgelehnt.push({ datei: datei.originalname, fehler: error.message });
     }
+  }
+
+  return { gespeichert, abgelehnt };
+};
+
+const sammelAntwort = (res, { gespeichert, abgelehnt }) => {
+  if (gespeichert.length === 0) {
+    return res.status(400).json({
+      message: 'Keine der Dateien konnte gespeichert werden',
+      abgelehnt
+    });
+  }
+
+  res.status(201).json({
+    message: `${gespeichert.length} Datei(en) erfolgreich hochgeladen`,
+    dateien: gespeichert,
+    abgelehnt
   });
 };
 
+// Mehrere Dateien hochladen
+exports.uploadMultipleFiles = async (req, res) => {
+  try {
+    sammelAntwort(res, await speichereDateien(req.files, req.body, req.user.id));
+  } catch (error) {
+    console.error('Fehler beim Speichern der Uploads:', error);
+    res.status(500).json({ message: 'Serverfehler beim Speichern der Uploads' });
+  }
+};
+
+// ZIP-Archiv hochladen: Einträge werden serverseitig entpackt und einzeln geprüft
+exports.uploadZip = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ message: 'Kein ZIP-Archiv hochgeladen' });
+  }
+
+  try {
+    const pruefe = ({ name, groesse }) => {
+      if (/\.(zip|rar|7z)$/i.test(name)) {
+        return 'Verschachtelte Archive werden nicht entpackt';
+      }
+      return fileValidation.pruefeDatei({
+        originalname: name,
+        mimetype: fileValidation.mimetypeFuerDatei(name),
+        size: groesse
+      });
+    };
+
+    const { ergebnisse, abgelehnt } = await ArchivService.entpacke(
+      req.file.buffer,
+      ({ name, buffer, groesse }) => speichereDatei({
+        originalname: name,
+        mimetype: fileValidation.mimetypeFuerDatei(name),
+        buffer,
+        size: groesse
+      }, req.body, req.user.id),
+      pruefe
+    );
+
+    sammelAntwort(res, { gespeichert: ergebnisse, abgelehnt });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Fehler beim Entpacken des ZIP-Archivs:', error);
+    res.status(500).json({ message: 'Serverfehler beim Entpacken des ZIP-Archivs' });
+  }
+};
+
 // Alle Uploads abrufen
 exports.getAllUploads = async (req, res) => {
   try {
@@ -109,7 +236,8 @@ exports.getAllUploads = async (req, res) => {
       .populate('hochgeladenVon', 'name')
       .sort({ createdAt: -1 });
     
-    res.json(uploads);
+    // Nur Dateien, die der Benutzer auch herunterladen darf
+    res.json(await DownloadService.filtereZugriff(req.user, uploads));
   } catch (error) {
     console.error('Fehler beim Abrufen der Uploads:', error);
     res.status(500).json({ message: 'Serverfehler beim Abrufen der Uploads' });
@@ -126,6 +254,10 @@ exports.getUploadById = async (req, res) => {
       return res.status(404).json({ message: 'Upload nicht gefunden' });
     }
     
+    if (!await DownloadService.darfZugreifen(req.user, upload)) {
+      return res.status(403).json({ message: 'Keine Berechtigung für diese Datei' });
+    }
+    
     res.json(upload);
   } catch (error) {
     console.error('Fehler beim Abrufen des Uploads:', error);
@@ -133,6 +265,48 @@ exports.getUploadById = async (req, res) => {
   }
 };
 
+// Metadaten eines Uploads bearbeiten
+exports.updateUpload = async (req, res) => {
+  try {
+    const upload = await Upload.findById(req.params.id);
+
+    if (!upload) {
+      return res.status(404).json({ message: 'Upload nicht gefunden' });
+    }
+
+    if (upload.hochgeladenVon.toString() !== req.user.id && !BerechtigungService.hat(req.user, 'upload:manage')) {
+      return res.status(403).json({ message: 'Unzureichende Berechtigungen' });
+    }
+
+    const { kategorie, beschreibung, tags, bildTyp } = req.body;
+    if (kategorie !== undefined) {
+      upload.kategorie = kategorie;
+    }
+    if (beschreibung !== undefined) {
+      upload.beschreibung = beschreibung;
+    }
+    if (tags !== undefined) {
+      upload.tags = tags;
+    }
+    if (bildTyp !== undefined) {
+      if (!upload.mimetype.startsWith('image/')) {
+        return res.status(400).json({ message: 'Ein Bildtyp kann nur für Bilder gesetzt werden' });
+      }
+      upload.set('bild.typ', bildTyp || undefined);
+    }
+
+    await upload.save();
+
+    res.json({
+      message: 'Upload erfolgreich aktualisiert',
+      datei: upload
+    });
+  } catch (error) {
+    console.error('Fehler beim Aktualisieren des Uploads:', error);
+    res.status(500).json({ message: 'Serverfehler beim Aktualisieren des Uploads' });
+  }
+};
+
 // Upload löschen
 exports.deleteUpload = async (req, res) => {
   try {
@@ -143,15 +317,13 @@ exports.deleteUpload = async (req, res) => {
     }
     
     // Prüfen, ob der Benutzer die Berechtigung hat
-    if (upload.hochgeladenVon.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (upload.hochgeladenVon.toString() !== req.user.id && !BerechtigungService.hat(req.user, 'upload:manage')) {
       return res.status(403).json({ message: 'Unzureichende Berechtigungen' });
     }
     
-    // Datei aus dem Dateisystem löschen
-    const filePath = path.join(__dirname, '..', upload.pfad);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-    }
+    // Datei und Bildvarianten aus dem Speicher löschen
+    await StorageService.loeschen(upload.pfad);
+    await BildService.loescheVarianten(upload);
     
     // Aus der Datenbank löschen
     await upload.deleteOne();
@@ -161,4 +333,137 @@ exports.deleteUpload = async (req, res) => {
     console.error('Fehler beim Löschen des Uploads:', error);
     res.status(500).json({ message: 'Serverfehler beim Löschen des Uploads' });
   }
-};
\ No newline at end of file
+};
+
+// Signierten, befristeten Download-Link erzeugen (z.B. für E-Mails oder <img src>)
+const linkAntwort = async (req, res, upload) => {
+  const { url, gueltigBis } = DownloadService.erzeugeLink(upload, req.user, {
+    minuten: req.query.gueltigkeit,
+    inline: req.query.inline,
+    variante: req.query.variante
+  });
+
+  await DownloadService.protokolliere({
+    upload,
+    benutzer: req.user,
+    aktion: 'link-erstellt',
+    zugang: 'anmeldung',
+    erlaubt: true,
+    linkGueltigBis: gueltigBis,
+    req
+  });
+
+  res.json({
+    success: true,
+    data: { url, gueltigBis }
+  });
+};
+
+exports.createDownloadLink = catchAsync(async (req, res) => {
+  const upload = await DownloadService.pruefeZugriff(req.user, req.params.id, { aktion: 'link-erstellt', req });
+  await linkAntwort(req, res, upload);
+});
+
+// Link zu einer Dateireferenz aus Umzug-, Aufnahme- oder Mitarbeiter-Dokumenten
+exports.createDownloadLinkFuerPfad = catchAsync(async (req, res) => {
+  const { _id } = await DownloadService.uploadZuPfad(req.query.pfad);
+  const upload = await DownloadService.pruefeZugriff(req.user, _id, { aktion: 'link-erstellt', req });
+  await linkAntwort(req, res, upload);
+});
+
+// Datei ausliefern - mit Anmeldung oder über einen signierten Link
+exports.downloadUpload = catchAsync(async (req, res) => {
+  const zugang = req.query.signatur ? 'signierter-link' : 'anmeldung';
+  const { upload, benutzer, linkGueltigBis } = zugang === 'signierter-link'
+    ? await DownloadService.loeseLinkEin(req.params.id, req.query, req)
+    : {
+        upload: await DownloadService.pruefeZugriff(req.user, req.params.id, { aktion: 'download', req }),
+        benutzer: req.user
+      };
+
+  // Für Fotos kann die Web- oder Vorschaugröße angefordert werden (?variante=web|thumbnail)
+  const datei = DownloadService.datei(upload, req.query.variante);
+  const inhalt = await StorageService.lesen(datei.pfad);
+
+  await DownloadService.protokolliere({
+    upload, benutzer, aktion: 'download', zugang, erlaubt: true, linkGueltigBis, req
+  });
+
+  res.set(DownloadService.header(datei, req.query.inline));
+  inhalt.on('error', (error) => {
+    console.error('Fehler beim Ausliefern der Datei:', error);
+    res.destroy(error);
+  });
+  inhalt.pipe(res);
+});
+
+// Zugriffsprotokoll einer Datei (nur Admins)
+exports.getZugriffe = catchAsync(async (req, res) => {
+  const zugriffe = await DateiZugriff.find({ upload: req.params.id })
+    .populate('benutzer', 'name email')
+    .sort({ createdAt: -1 })
+    .limit(500);
+
+  res.json({
+    success: true,
+    data: zugriffe
+  });
+});
+
+// Dateipfade, die ein Umzug bzw. eine Aufnahme direkt referenziert
+const referenziertePfade = (dokument) => {
+  const pfade = (dokument.dokumente || []).map(d => d.pfad);
+  pfade.push(...(dokument.bilder || []));
+  (dokument.raeume || []).forEach(raum => (raum.moebel || []).forEach(moebel => pfade.push(...(moebel.bilder || []))));
+  return pfade.filter(Boolean).map(pfad => StorageService.schluesselAusPfad(pfad));
+};
+
+// Alle Dateien eines Umzugs oder einer Aufnahme als ZIP herunterladen
+exports.downloadArchiv = catchAsync(async (req, res) => {
+  const { bezugId } = req.query;
+  const bezug = await Umzug.findById(bezugId).select('dokumente')
+    || await Aufnahme.findById(bezugId).select('bilder dokumente raeume');
+  if (!bezug) {
+    throw createNotFoundError('Umzug oder Aufnahme');
+  }
+
+  const pfade = referenziertePfade(bezug);
+  const uploads = await Upload.find({
+    $or: [
+      { bezugId },
+      { pfad: { $in: [...pfade, ...pfade.map(pfad => `/uploads/${pfad}`)] } }
+    ]
+  }).sort({ createdAt: 1 });
+
+  const erlaubt = [];
+  for (const upload of uploads) {
+    if (await DownloadService.darfZugreifen(req.user, upload) && await StorageService.existiert(upload.pfad)) {
+      erlaubt.push(upload);
+    }
+  }
+  if (erlaubt.length === 0) {
+    throw new AppError('Keine herunterladbaren Dateien vorhanden', 404);
+  }
+
+  await Promise.all(erlaubt.map(upload => DownloadService.protokolliere({
+    upload, benutzer: req.user, aktion: 'download', zugang: 'anmeldung', erlaubt: true, req
+  })));
+
+  const eindeutig = ArchivService.eindeutigeNamen();
+  const eintraege = erlaubt.map(upload => ({
+    name: eindeutig(`${upload.kategorie || 'dokument'}/${(upload.originalname || upload.filename).replace(/[\\/]/g, '_')}`),
+    datum: upload.createdAt,
+    oeffnen: () => StorageService.lesen(upload.pfad)
+  }));
+
+  const name = `${bezug.constructor.modelName}-${bezugId}.zip`;
+  res.set(DownloadService.header({ mimetype: 'application/zip', name }));
+
+  try {
+    await ArchivService.schreibe(eintraege, res);
+  } catch (error) {
+    // Kopfzeilen sind bereits gesendet; die Verbindung wird abgebrochen
+    console.error('Fehler beim Erstellen des ZIP-Archivs:', error.message);
+    res.destroy(error);
+  }
+});
@@ -1,6 +1,17 @@
 // controllers/userController.js
 const User = require('../models/user');
 const { validationResult } = require('express-validator');
+const BerechtigungService = require('../services/berechtigung.service');
+const { createNotFoundError } = require('../utils/error.utils');
+
+const berechtigungsDaten = (user) => ({
+  id: user._id,
+  name: user.name,
+  role: user.role,
+  roles: user.roles,
+  permissions: user.permissions,
+  berechtigungen: BerechtigungService.berechtigungen(user)
+});
 
 exports.getProfile = async (req, res) => {
   try {
@@ -57,3 +68,43 @@ exports.updateProfile = async (req, res) => {
     res.status(500).json({ message: 'Serverfehler', error: error.message });
   }
 };
+
+// Named roles and the permission catalog for the user administration
+exports.getBerechtigungskatalog = async (req, res) => {
+  res.json({
+    success: true,
+    data: BerechtigungService.katalog()
+  });
+};
+
+// Roles, individual permissions and the resulting effective permissions of a user
+exports.getUserPermissions = async (req, res) => {
+  const user = await User.findById(req.params.id).select('name email role roles permissions');
+  if (!user) {
+    throw createNotFoundError('Benutzer');
+  }
+
+  res.json({
+    success: true,
+    data: berechtigungsDaten(user)
+  });
+};
+
+// Replace the named roles and/or individual permissions of a user
+exports.updateUserPermissions = async (req, res) => {
+  const user = await User.findById(req.params.id).select('name email role roles permissions');
+  if (!user) {
+    throw createNotFoundError('Benutzer');
+  }
+
+  const { roles, permissions } = req.body;
+  if (roles) user.roles = [...new Set(roles)];
+  if (permissions) user.permissions = [...new Set(permissions)];
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'Berechtigungen aktualisiert',
+    data: berechtigungsDaten(user)
+  });
+};
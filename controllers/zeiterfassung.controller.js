@@ -2,7 +2,30 @@
 const Mitarbeiter = require('../models/mitarbeiter.model');
 const Umzug = require('../models/umzug.model');
 const Zeiterfassung = require('../models/zeiterfassung.model');
-const { catchAsync } = require('../utils/error.utils');
+const Stempelung = require('../models/stempelung.model');
+const StundenzettelService = require('../services/stundenzettel.service');
+const ArbzgService = require('../services/arbzg.service');
+const StempelService = require('../services/stempel.service');
+const PdfService = require('../services/pdf.service');
+const BerechtigungService = require('../services/berechtigung.service');
+const { catchAsync, AppError, createNotFoundError } = require('../utils/error.utils');
+
+// Eigene Zeiten darf jeder bearbeiten, die anderer Mitarbeiter nur mit zeiterfassung:manage
+const darfZeitenBearbeiten = async (req, mitarbeiterId) => {
+  if (BerechtigungService.hat(req.user, 'zeiterfassung:manage')) {
+    return true;
+  }
+  return Boolean(mitarbeiterId && await Mitarbeiter.exists({ _id: mitarbeiterId, userId: req.user.id }));
+};
+
+// Ohne zeiterfassung:manage sehen Mitarbeiter nur ihre eigenen Zeiten
+const nurEigeneZeiten = async (req, filter) => {
+  if (!BerechtigungService.hat(req.user, 'zeiterfassung:manage')) {
+    const mitarbeiter = await Mitarbeiter.findOne({ userId: req.user.id }).select('_id');
+    filter.mitarbeiterId = mitarbeiter ? mitarbeiter._id : null;
+  }
+  return filter;
+};
 
 // Mitarbeiter für Zeiterfassung abrufen
 exports.getMitarbeiterForZeiterfassung = async (req, res) => {
@@ -61,6 +84,20 @@ exports.createZeiterfassung = async (req, res) => {
     // Neue Zeiterfassung erstellen
     const neueZeiterfassung = new Zeiterfassung(zeiterfassungData);
     
+    if (!await darfZeitenBearbeiten(req, neueZeiterfassung.mitarbeiterId)) {
+      return res.status(403).json({ message: "Keine Berechtigung für Zeiten anderer Mitarbeiter" });
+    }
+    
+    // Arbeitszeitgesetz prüfen: Verstöße vermerken oder je nach Modus ablehnen
+    const verstoesse = await ArbzgService.pruefeEintrag(neueZeiterfassung.mitarbeiterId, neueZeiterfassung);
+    if (ArbzgService.abzulehnen(verstoesse)) {
+      return res.status(400).json({
+        message: "Die Zeiterfassung verstößt gegen das Arbeitszeitgesetz",
+        verstoesse
+      });
+    }
+    neueZeiterfassung.arbzgVerstoesse = verstoesse;
+    
     // Speichern
     await neueZeiterfassung.save();
     
@@ -83,9 +120,31 @@ exports.updateZeiterfassung = async (req, res) => {
     const { id } = req.params;
     const updateData = req.body;
     
+    const bisher = await Zeiterfassung.findById(id);
+    
+    if (!bisher) {
+      return res.status(404).json({ message: "Zeiterfassung nicht gefunden" });
+    }
+    
+    // Weder fremde Einträge ändern noch eigene einem anderen Mitarbeiter zuordnen
+    const neuerMitarbeiter = updateData.mitarbeiterId || bisher.mitarbeiterId;
+    if (!await darfZeitenBearbeiten(req, bisher.mitarbeiterId) || !await darfZeitenBearbeiten(req, neuerMitarbeiter)) {
+      return res.status(403).json({ message: "Keine Berechtigung für Zeiten anderer Mitarbeiter" });
+    }
+    
+    // Arbeitszeitgesetz mit den geänderten Werten prüfen, der bisherige Eintrag zählt dabei nicht mit
+    const geaendert = { ...bisher.toObject(), ...updateData };
+    const verstoesse = await ArbzgService.pruefeEintrag(geaendert.mitarbeiterId, geaendert, { ausgenommen: id });
+    if (ArbzgService.abzulehnen(verstoesse)) {
+      return res.status(400).json({
+        message: "Die Zeiterfassung verstößt gegen das Arbeitszeitgesetz",
+        verstoesse
+      });
+    }
+    
     const zeiterfassung = await Zeiterfassung.findByIdAndUpdate(
       id, 
-      updateData, 
+      { ...updateData, arbzgVerstoesse: verstoesse }, 
       { new: true }
     ).populate('mitarbeiterId', 'vorname nachname');
     
@@ -107,12 +166,18 @@ exports.deleteZeiterfassung = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const zeiterfassung = await Zeiterfassung.findByIdAndDelete(id);
+    const zeiterfassung = await Zeiterfassung.findById(id);
     
     if (!zeiterfassung) {
       return res.status(404).json({ message: "Zeiterfassung nicht gefunden" });
     }
     
+    if (!await darfZeitenBearbeiten(req, zeiterfassung.mitarbeiterId)) {
+      return res.status(403).json({ message: "Keine Berechtigung für Zeiten anderer Mitarbeiter" });
+    }
+    
+    await zeiterfassung.deleteOne();
+    
     res.status(200).json({ message: "Zeiterfassung erfolgreich gelöscht" });
   } catch (error) {
     res.status(500).json({ 
@@ -204,6 +269,7 @@ exports.getAllZeiterfassungen = catchAsync(async (req, res) => {
     if (startDatum) filter.datum.$gte = new Date(startDatum);
     if (endDatum) filter.datum.$lte = new Date(endDatum);
   }
+  await nurEigeneZeiten(req, filter);
   
   const zeiterfassungen = await Zeiterfassung.find(filter)
     .populate('mitarbeiterId', 'vorname nachname')
@@ -263,10 +329,22 @@ exports.getStatistics = catchAsync(async (req, res) => {
   });
 });
 
-// Export time entries
-exports.exportZeiterfassungen = catchAsync(async (req, res) => {
+// Export time entries: monthly timesheet as PDF, payroll data for DATEV Lohn or a plain CSV list
+exports.exportZeiterfassungen = catchAsync(async (req, res, next) => {
   const { format = 'pdf', projektId, mitarbeiterId, startDatum, endDatum } = req.query;
   
+  if (format === 'pdf') {
+    if (!mitarbeiterId || !req.query.monat) {
+      throw new AppError('Für den Stundenzettel als PDF sind mitarbeiterId und monat (JJJJ-MM) erforderlich', 400);
+    }
+    req.query.format = 'pdf';
+    return exports.getStundenzettel(req, res, next);
+  }
+  
+  if (format === 'datev') {
+    return exports.exportLohn(req, res, next);
+  }
+  
   const filter = {};
   if (projektId) filter.projektId = projektId;
   if (mitarbeiterId) filter.mitarbeiterId = mitarbeiterId;
@@ -275,6 +353,7 @@ exports.exportZeiterfassungen = catchAsync(async (req, res) => {
     if (startDatum) filter.datum.$gte = new Date(startDatum);
     if (endDatum) filter.datum.$lte = new Date(endDatum);
   }
+  await nurEigeneZeiten(req, filter);
   
   const zeiterfassungen = await Zeiterfassung.find(filter)
     .populate('mitarbeiterId', 'vorname nachname')
@@ -298,10 +377,184 @@ exports.exportZeiterfassungen = catchAsync(async (req, res) => {
     res.setHeader('Content-Disposition', `attachment; filename=zeiterfassung_${new Date().toISOString().split('T')[0]}.csv`);
     res.send(csv);
   } else {
-    // For PDF/Excel, you would implement appropriate libraries
     res.status(501).json({
       success: false,
       message: `Export format ${format} not yet implemented`
     });
   }
 });
+
+// Monthly timesheet of an employee (JSON or PDF for signature); employees may only see their own
+exports.getStundenzettel = catchAsync(async (req, res) => {
+  const { mitarbeiterId, monat, format } = req.query;
+  
+  if (!mitarbeiterId || !/^[0-9a-fA-F]{24}$/.test(mitarbeiterId)) {
+    throw new AppError('Gültige mitarbeiterId ist erforderlich', 400);
+  }
+  
+  if (!BerechtigungService.hat(req.user, 'zeiterfassung:manage')) {
+    const eigener = await Mitarbeiter.exists({ _id: mitarbeiterId, userId: req.user.id });
+    if (!eigener) {
+      throw createNotFoundError('Mitarbeiter');
+    }
+  }
+  
+  const stundenzettel = await StundenzettelService.erstellen(mitarbeiterId, monat);
+  
+  if (format === 'pdf') {
+    const pdf = await PdfService.renderStundenzettel(stundenzettel);
+    const name = stundenzettel.mitarbeiter.name.replace(/[^a-zA-Z0-9-]+/g, '_');
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="Stundenzettel_${name}_${monat}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    return res.status(200).send(pdf);
+  }
+  
+  res.json({
+    success: true,
+    data: stundenzettel
+  });
+});
+
+// Payroll movement data of all employees for DATEV Lohn und Gehalt
+exports.exportLohn = catchAsync(async (req, res) => {
+  if (!BerechtigungService.hat(req.user, 'lohn:export')) {
+    throw new AppError('Keine Berechtigung zum Export von Lohndaten', 403);
+  }
+  
+  const lohnExport = await StundenzettelService.lohnExport(req.query.monat);
+  
+  res.set({
+    'Content-Type': 'text/csv; charset=windows-1252',
+    'Content-Disposition': `attachment; filename="${lohnExport.dateiname}"`,
+    'Content-Length': lohnExport.inhalt.length,
+    'X-Anzahl-Mitarbeiter': lohnExport.anzahl,
+    // Mitarbeiter mit Stunden, aber ohne Personalnummer fehlen im Export
+    'X-Ohne-Personalnummer': lohnExport.ohnePersonalnummer.length
+  });
+  res.status(200).send(lohnExport.inhalt);
+});
+
+// ArbZG compliance report for an employee (default: last 24 weeks) or for the team of a move
+exports.getArbzgBericht = catchAsync(async (req, res) => {
+  const { mitarbeiterId, umzugId } = req.query;
+  const istId = (wert) => /^[0-9a-fA-F]{24}$/.test(wert || '');
+  const von = req.query.von ? new Date(req.query.von) : null;
+  const bis = req.query.bis ? new Date(req.query.bis) : null;
+  
+  if ((von && isNaN(von)) || (bis && isNaN(bis)) || (von && bis && von > bis)) {
+    throw new AppError('Ungültiger Zeitraum', 400);
+  }
+  
+  if (istId(umzugId)) {
+    if (!BerechtigungService.hat(req.user, 'zeiterfassung:manage')) {
+      throw new AppError('Keine Berechtigung für Berichte zu Umzugsteams', 403);
+    }
+    
+    const bericht = await ArbzgService.berichtUmzug(umzugId, von, bis);
+    return res.json({
+      success: true,
+      data: bericht
+    });
+  }
+  
+  if (!istId(mitarbeiterId)) {
+    throw new AppError('Gültige mitarbeiterId oder umzugId ist erforderlich', 400);
+  }
+  
+  if (!BerechtigungService.hat(req.user, 'zeiterfassung:manage')) {
+    const eigener = await Mitarbeiter.exists({ _id: mitarbeiterId, userId: req.user.id });
+    if (!eigener) {
+      throw createNotFoundError('Mitarbeiter');
+    }
+  }
+  
+  const ende = bis || new Date();
+  const beginn = von || new Date(ende.getTime() - 24 * 7 * 24 * 60 * 60 * 1000);
+  const [bericht] = await ArbzgService.bericht([mitarbeiterId], beginn, ende);
+  if (!bericht) {
+    throw createNotFoundError('Mitarbeiter');
+  }
+  
+  res.json({
+    success: true,
+    data: { von: beginn, bis: ende, ...bericht }
+  });
+});
+
+// Mitarbeiter, für den gestempelt wird: der eigene oder - mit zeiterfassung:manage - ein anderer
+const stempelMitarbeiter = async (req, mitarbeiterId) => {
+  if (mitarbeiterId && BerechtigungService.hat(req.user, 'zeiterfassung:manage')) {
+    const mitarbeiter = await Mitarbeiter.findById(mitarbeiterId);
+    if (!mitarbeiter) {
+      throw createNotFoundError('Mitarbeiter');
+    }
+    return { mitarbeiter, stellvertretend: String(mitarbeiter.userId) !== String(req.user.id) };
+  }
+  
+  const mitarbeiter = await Mitarbeiter.findOne({ userId: req.user.id });
+  if (!mitarbeiter) {
+    throw new AppError('Für diesen Benutzer ist kein Mitarbeiter angelegt', 404);
+  }
+  if (mitarbeiterId && String(mitarbeiterId) !== String(mitarbeiter._id)) {
+    throw new AppError('Keine Berechtigung, für andere Mitarbeiter zu stempeln', 403);
+  }
+  return { mitarbeiter, stellvertretend: false };
+};
+
+// Clock in, start/end a break or clock out with GPS position; team leads may stamp on behalf (e.g. a forgotten clock-out)
+exports.stempeln = catchAsync(async (req, res) => {
+  const { mitarbeiter, stellvertretend } = await stempelMitarbeiter(req, req.body.mitarbeiterId);
+  const { stempelung, zeiterfassung, abrechnung, hinweise } = await StempelService.stempeln(mitarbeiter, req.body, { stellvertretend });
+  
+  const meldungen = {
+    kommen: 'Eingestempelt',
+    pause: 'Pause begonnen',
+    weiter: 'Pause beendet',
+    gehen: 'Ausgestempelt'
+  };
+  
+  res.status(req.body.aktion === 'kommen' || req.body.aktion === 'gehen' ? 201 : 200).json({
+    success: true,
+    message: meldungen[req.body.aktion],
+    data: { stempelung, zeiterfassung, abrechnung, hinweise }
+  });
+});
+
+// Currently open shift of the own (or, with zeiterfassung:manage, any) employee
+exports.getStempelStatus = catchAsync(async (req, res) => {
+  const { mitarbeiter } = await stempelMitarbeiter(req, req.query.mitarbeiterId);
+  const stempelung = await Stempelung.findOne({ mitarbeiter: mitarbeiter._id, status: 'offen' })
+    .populate('umzug', 'kundennummer auszugsadresse einzugsadresse');
+  
+  res.json({
+    success: true,
+    data: {
+      eingestempelt: Boolean(stempelung),
+      inPause: Boolean(stempelung && stempelung.pausen.some(pause => !pause.ende)),
+      stempelung
+    }
+  });
+});
+
+// All open shifts (admin)
+exports.getOffeneSchichten = catchAsync(async (req, res) => {
+  const schichten = await StempelService.offeneSchichten();
+  
+  res.json({
+    success: true,
+    data: schichten
+  });
+});
+
+// Stampings whose location still has to be checked because geocoding failed (admin)
+exports.getStempelungenZurPruefung = catchAsync(async (req, res) => {
+  const stempelungen = await StempelService.zurPruefung();
+  
+  res.json({
+    success: true,
+    data: stempelungen
+  });
+});
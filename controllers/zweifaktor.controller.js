@@ -0,0 +1,71 @@
+// controllers/zweifaktor.controller.js - Einrichtung und Verwaltung der Zwei-Faktor-Anmeldung
+// Der zweite Anmeldeschritt selbst liegt in den Auth-Controllern, weil diese die Tokens ausstellen.
+const ZweiFaktorService = require('../services/zweifaktor.service');
+const { catchAsync, createNotFoundError } = require('../utils/error.utils');
+
+// 2FA state of the current user
+exports.getStatus = catchAsync(async (req, res) => {
+  const status = await ZweiFaktorService.status(req.user._id);
+
+  res.json({
+    success: true,
+    data: status
+  });
+});
+
+// Start enrolment: new secret and otpauth URI for the QR code of the authenticator app
+exports.setup = catchAsync(async (req, res) => {
+  const { geheimnis, otpauthUri } = await ZweiFaktorService.einrichten(req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Bitte den QR-Code mit der Authenticator-App scannen und den angezeigten Code bestätigen',
+    data: { geheimnis, otpauthUri }
+  });
+});
+
+// Confirm enrolment with the first code; the recovery codes are only shown this once
+exports.verify = catchAsync(async (req, res) => {
+  const { wiederherstellungscodes } = await ZweiFaktorService.bestaetigen(req.user._id, req.body.code);
+
+  res.json({
+    success: true,
+    message: 'Zwei-Faktor-Anmeldung aktiviert. Bitte die Wiederherstellungscodes sicher aufbewahren.',
+    data: { wiederherstellungscodes }
+  });
+});
+
+// Replace the recovery codes
+exports.erneuereWiederherstellungscodes = catchAsync(async (req, res) => {
+  const { wiederherstellungscodes } = await ZweiFaktorService.neueWiederherstellungscodes(req.user._id, req.body.code);
+
+  res.json({
+    success: true,
+    message: 'Neue Wiederherstellungscodes erstellt; die bisherigen sind ungültig',
+    data: { wiederherstellungscodes }
+  });
+});
+
+// Switch 2FA off for the own account
+exports.deaktivieren = catchAsync(async (req, res) => {
+  await ZweiFaktorService.deaktivieren(req.user._id, req.body.code);
+
+  res.json({
+    success: true,
+    message: 'Zwei-Faktor-Anmeldung deaktiviert'
+  });
+});
+
+// Reset 2FA of another user, e.g. after a lost phone (admin)
+exports.zuruecksetzen = catchAsync(async (req, res) => {
+  const vorhanden = /^[0-9a-fA-F]{24}$/.test(req.params.userId)
+    && await ZweiFaktorService.zuruecksetzen(req.params.userId);
+  if (!vorhanden) {
+    throw createNotFoundError('Benutzer');
+  }
+
+  res.json({
+    success: true,
+    message: 'Zwei-Faktor-Anmeldung zurückgesetzt. Der Benutzer muss sie bei Pflicht neu einrichten.'
+  });
+});
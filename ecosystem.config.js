@@ -9,7 +9,9 @@ module.exports = {
     // Environment variables
     env: {
       NODE_ENV: 'production',
-      PORT: 5000
+      PORT: 5000,
+      // Distribute realtime events to all instances through MongoDB (services/realtime.service.js)
+      REALTIME_ADAPTER: 'mongo'
     },
     
     // Logging
@@ -38,7 +40,8 @@ module.exports = {
     // Environment specific settings
     env_production: {
       NODE_ENV: 'production',
-      PORT: 5000
+      PORT: 5000,
+      REALTIME_ADAPTER: 'mongo'
     },
     
     // Monitoring
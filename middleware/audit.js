@@ -0,0 +1,7 @@
+// middleware/audit.js - Anfragekontext für das Änderungsprotokoll
+const AuditService = require('../services/audit.service');
+
+// Benutzer, IP und Anfrage stehen damit allen Änderungen zur Verfügung, die diese Anfrage auslöst
+exports.auditKontext = (req, res, next) => {
+  AuditService.imKontext(req, next);
+};
@@ -1,6 +1,22 @@
 // middleware/auth.js - Korrigierte Version
 const jwt = require('jsonwebtoken');
 const { User } = require('../models'); // Zentraler Import
+const ZweiFaktorService = require('../services/zweifaktor.service');
+const ApiKeyService = require('../services/apikey.service');
+const BerechtigungService = require('../services/berechtigung.service');
+
+// JWT prüfen und zugehörigen Benutzer laden (auch für Socket-Verbindungen)
+// Wirft die Fehler von jwt.verify (TokenExpiredError, JsonWebTokenError)
+exports.verifyToken = async (token) => {
+  // Umgebungsvariablen-Prüfung für JWT_SECRET
+  const jwtSecret = process.env.JWT_SECRET || 'development_secret_key_replace_in_production';
+  if (!process.env.JWT_SECRET) {
+    console.warn('WARNUNG: JWT_SECRET nicht definiert in Umgebungsvariablen!');
+  }
+  
+  const decoded = jwt.verify(token, jwtSecret);
+  return await User.findById(decoded.id).select('-password');
+};
 
 // Hauptauthentifizierungs-Middleware
 exports.auth = async (req, res, next) => {
@@ -22,6 +38,13 @@ exports.auth = async (req, res, next) => {
       token = token.replace('Bearer ', '');
     }
     
+    // API-Schlüssel für Integrationen, nur im Header (X-API-Key oder Authorization: Bearer hum_...)
+    const bearer = (req.header('Authorization') || '').replace(/^Bearer /, '');
+    const apiKey = req.header('X-API-Key') || (ApiKeyService.istApiKey(bearer) ? bearer : null);
+    if (apiKey) {
+      return exports.authApiKey(req, res, next, apiKey);
+    }
+    
     if (!token) {
       return res.status(401).json({ 
         success: false, 
@@ -29,17 +52,8 @@ exports.auth = async (req, res, next) => {
       });
     }
     
-    // Umgebungsvariablen-Prüfung für JWT_SECRET
-    const jwtSecret = process.env.JWT_SECRET || 'development_secret_key_replace_in_production';
-    if (!process.env.JWT_SECRET) {
-      console.warn('WARNUNG: JWT_SECRET nicht definiert in Umgebungsvariablen!');
-    }
-    
-    // Token verifizieren
-    const decoded = jwt.verify(token, jwtSecret);
-    
-    // Benutzer in der Datenbank suchen
-    const user = await User.findById(decoded.id).select('-password');
+    // Token verifizieren und Benutzer laden
+    const user = await exports.verifyToken(token);
     
     if (!user) {
       return res.status(401).json({ 
@@ -56,6 +70,15 @@ exports.auth = async (req, res, next) => {
       });
     }
     
+    // Pflicht zur Zwei-Faktor-Anmeldung: bis zur Einrichtung nur die 2FA-Routen erlauben
+    if (await ZweiFaktorService.mussEinrichten(user, req.originalUrl)) {
+      return res.status(403).json({ 
+        success: false, 
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Für dieses Konto ist die Zwei-Faktor-Anmeldung vorgeschrieben. Bitte unter /api/auth/2fa/setup einrichten.' 
+      });
+    }
+    
     // Benutzer zum Request hinzufügen
     req.user = user;
     
@@ -83,6 +106,50 @@ exports.auth = async (req, res, next) => {
   }
 };
 
+// Anmeldung mit API-Schlüssel: Benutzer des Schlüssels, beschränkt auf dessen Scopes
+exports.authApiKey = async (req, res, next, apiKey) => {
+  try {
+    const ergebnis = await ApiKeyService.authentifizieren(apiKey, req.ip);
+    if (!ergebnis) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Ungültiger oder widerrufener API-Schlüssel' 
+      });
+    }
+    
+    const scope = ApiKeyService.benoetigterScope(req);
+    if (!ApiKeyService.erlaubt(ergebnis.apiKey.scopes, scope)) {
+      return res.status(403).json({ 
+        success: false, 
+        code: 'API_KEY_SCOPE',
+        message: scope
+          ? `Der API-Schlüssel hat keinen Zugriff auf ${scope}`
+          : 'Dieser Bereich ist mit API-Schlüsseln nicht erreichbar'
+      });
+    }
+    
+    // Die 2FA-Pflicht gilt auch für den Inhaber des Schlüssels
+    if (await ZweiFaktorService.mussEinrichten(ergebnis.user, req.originalUrl)) {
+      return res.status(403).json({ 
+        success: false, 
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Für den Inhaber dieses API-Schlüssels ist die Zwei-Faktor-Anmeldung vorgeschrieben, aber nicht eingerichtet.' 
+      });
+    }
+    
+    req.user = ergebnis.user;
+    req.apiKey = ergebnis.apiKey;
+    
+    next();
+  } catch (error) {
+    console.error('Authentifizierungsfehler (API-Schlüssel):', error);
+    res.status(401).json({ 
+      success: false, 
+      message: 'Nicht authentifiziert' 
+    });
+  }
+};
+
 // Middleware für Rollenbasierte Zugriffskontrollen
 exports.checkRole = (...roles) => {
   return (req, res, next) => {
@@ -104,6 +171,35 @@ exports.checkRole = (...roles) => {
   };
 };
 
+// Berechtigungsprüfung nach Ressource und Aktion (mindestens eine der Berechtigungen, siehe config/berechtigungen.config.js)
+exports.checkPermission = (...berechtigungen) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Nicht authentifiziert' 
+      });
+    }
+    
+    if (!BerechtigungService.hatEine(req.user, berechtigungen)) {
+      return res.status(403).json({ 
+        success: false, 
+        code: 'PERMISSION_DENIED',
+        message: `Unzureichende Berechtigungen für diese Aktion (${berechtigungen.join(' oder ')})` 
+      });
+    }
+    
+    next();
+  };
+};
+
+// Personaldaten (Gehalt, Notfallkontakt) aus allen JSON-Antworten entfernen, wenn die Berechtigung fehlt
+exports.schuetzePersonaldaten = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (daten) => json(BerechtigungService.felderEntfernen(daten, req.user));
+  next();
+};
+
 // Admin-Prüfung
 exports.admin = (req, res, next) => {
   if (req.user && req.user.role === 'admin') {
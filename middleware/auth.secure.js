@@ -1,5 +1,6 @@
 // middleware/auth.secure.js - Secure Authentication Middleware
 const TokenService = require('../services/token.service');
+const ZweiFaktorService = require('../services/zweifaktor.service');
 const { User } = require('../models');
 const rateLimit = require('express-rate-limit');
 const jwtConfig = require('../config/jwt.config');
@@ -91,6 +92,15 @@ const authenticate = async (req, res, next) => {
       });
     }
     
+    // Users who must use 2FA may only reach the enrolment routes until it is set up
+    if (await ZweiFaktorService.mussEinrichten(user, req.originalUrl)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Für dieses Konto ist die Zwei-Faktor-Anmeldung vorgeschrieben',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+    
     // Add user and token info to request
     req.user = user;
     req.token = accessToken;
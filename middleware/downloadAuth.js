@@ -0,0 +1,12 @@
+// middleware/downloadAuth.js - Zugang zu Datei-Downloads
+// Signierte Links (?signatur=...) werden im Controller über den DownloadService geprüft und
+// funktionieren ohne Anmeldung, z.B. aus E-Mails oder in <img src>. Alle anderen Downloads
+// erfordern die normale Mitarbeiter-Anmeldung.
+const { auth } = require('./auth');
+
+exports.downloadAuth = (req, res, next) => {
+  if (req.query.signatur) {
+    return next();
+  }
+  return auth(req, res, next);
+};
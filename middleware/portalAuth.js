@@ -0,0 +1,33 @@
+// middleware/portalAuth.js - Authentifizierung für das Kundenportal
+// Getrennt von der Mitarbeiter-Anmeldung (middleware/auth.js): akzeptiert nur Token
+// aus signierten Anmeldelinks und setzt req.kunde statt req.user.
+const PortalService = require('../services/portal.service');
+
+exports.portalAuth = (req, res, next) => {
+  let token = req.header('Authorization');
+
+  if (!token && req.query.token) {
+    token = req.query.token;
+  }
+
+  if (token && token.startsWith('Bearer ')) {
+    token = token.replace('Bearer ', '');
+  }
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Kein Anmeldelink bereitgestellt'
+    });
+  }
+
+  try {
+    req.kunde = PortalService.pruefeToken(token);
+    next();
+  } catch (error) {
+    res.status(error.statusCode || 401).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -59,6 +59,14 @@ exports.aufnahmeValidation = [
   validate
 ];
 
+// Validierung für Angebotserstellung aus einer Aufnahme
+exports.angebotAusAufnahmeValidation = [
+  body('kunde').optional().isMongoId().withMessage('Ungültige Kunden-ID'),
+  body('gueltigkeitTage').optional().isInt({ min: 1, max: 180 }).withMessage('Gültigkeit muss zwischen 1 und 180 Tagen liegen'),
+  body('notizen').optional().trim().isLength({ max: 2000 }),
+  validate
+];
+
 // Validierung für Projekte
 exports.projectValidation = [
   body('name')
@@ -123,4 +131,27 @@ exports.zeiterfassungValidation = [
   validate
 ];
 
+// Ein- und Ausstempeln per Smartphone
+exports.stempelnValidation = [
+  body('aktion')
+    .isIn(['kommen', 'pause', 'weiter', 'gehen']).withMessage('Aktion muss kommen, pause, weiter oder gehen sein'),
+  body('umzugId')
+    .if(body('aktion').equals('kommen'))
+    .isMongoId().withMessage('Umzug ist zum Einstempeln erforderlich'),
+  body('mitarbeiterId').optional().isMongoId().withMessage('Ungültige Mitarbeiter-ID'),
+  body('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 }).withMessage('Breitengrad muss zwischen -90 und 90 liegen'),
+  body('longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 }).withMessage('Längengrad muss zwischen -180 und 180 liegen'),
+  body('genauigkeit')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Genauigkeit darf nicht negativ sein'),
+  body('zeit').optional().isISO8601().withMessage('Gültiger Zeitpunkt erforderlich'),
+  body('taetigkeit').optional().isString().trim().isLength({ max: 100 }),
+  body('notizen').optional().isString().trim().isLength({ max: 1000 }),
+  validate
+];
+
 // Weitere Validierungen können nach Bedarf hinzugefügt werden
\ No newline at end of file
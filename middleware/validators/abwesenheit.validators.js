@@ -0,0 +1,116 @@
+// middleware/validators/abwesenheit.validators.js
+const { body, param, query } = require('express-validator');
+const { isValidObjectId } = require('mongoose');
+
+const ARTEN = ['Urlaub', 'Krankheit', 'Sonderurlaub', 'Überstundenabbau'];
+const STATUS = ['beantragt', 'genehmigt', 'abgelehnt', 'storniert'];
+
+const objectId = (pruefung, meldung) => pruefung.custom(value => {
+  if (!isValidObjectId(value)) {
+    throw new Error(meldung);
+  }
+  return true;
+});
+
+const validateId = [
+  objectId(param('id'), 'Ungültige Abwesenheits-ID')
+];
+
+const list = [
+  objectId(query('mitarbeiterId').optional(), 'Ungültige Mitarbeiter-ID'),
+
+  query('art')
+    .optional()
+    .isIn(ARTEN)
+    .withMessage('Ungültige Art der Abwesenheit'),
+
+  query('status')
+    .optional()
+    .isIn(STATUS)
+    .withMessage('Ungültiger Status'),
+
+  query('jahr')
+    .optional()
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Ungültiges Jahr')
+    .toInt()
+];
+
+const create = [
+  objectId(body('mitarbeiterId').optional(), 'Ungültige Mitarbeiter-ID'),
+
+  body('art')
+    .isIn(ARTEN)
+    .withMessage(`Art muss eine von ${ARTEN.join(', ')} sein`),
+
+  body('von')
+    .isISO8601()
+    .withMessage('Von ist erforderlich und muss ein gültiges Datum sein')
+    .toDate(),
+
+  body('bis')
+    .optional()
+    .isISO8601()
+    .withMessage('Bis muss ein gültiges Datum sein')
+    .toDate()
+    .custom((value, { req }) => value >= req.body.von)
+    .withMessage('Bis muss nach oder am Von-Datum liegen'),
+
+  body('anlass')
+    .if(body('art').equals('Sonderurlaub'))
+    .trim()
+    .notEmpty()
+    .withMessage('Für Sonderurlaub ist ein Anlass anzugeben'),
+
+  body('bemerkung')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Bemerkung darf höchstens 500 Zeichen lang sein')
+];
+
+const ablehnen = [
+  ...validateId,
+
+  body('ablehnungsgrund')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Ablehnungsgrund darf höchstens 500 Zeichen lang sein')
+];
+
+const konto = [
+  objectId(query('mitarbeiterId').optional(), 'Ungültige Mitarbeiter-ID'),
+
+  query('jahr')
+    .optional()
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Ungültiges Jahr')
+    .toInt()
+];
+
+const kalender = [
+  query('von')
+    .isISO8601()
+    .withMessage('Von ist erforderlich und muss ein gültiges Datum sein')
+    .toDate(),
+
+  query('bis')
+    .isISO8601()
+    .withMessage('Bis ist erforderlich und muss ein gültiges Datum sein')
+    .toDate(),
+
+  query('abteilung')
+    .optional()
+    .isIn(['Umzüge', 'Verwaltung', 'Verkauf', 'Lager', 'Fuhrpark'])
+    .withMessage('Ungültige Abteilung')
+];
+
+module.exports = {
+  validateId,
+  list,
+  create,
+  ablehnen,
+  konto,
+  kalender
+};
@@ -0,0 +1,50 @@
+// middleware/validators/apikey.validators.js
+const { body, param, query } = require('express-validator');
+const { isValidObjectId } = require('mongoose');
+const apiKeyConfig = require('../../config/apikey.config');
+
+const objectId = (pruefung, meldung) => pruefung.custom(value => {
+  if (!isValidObjectId(value)) {
+    throw new Error(meldung);
+  }
+  return true;
+});
+
+const validateId = [
+  objectId(param('id'), 'Ungültige API-Schlüssel-ID')
+];
+
+const list = [
+  objectId(query('userId').optional(), 'Ungültige Benutzer-ID')
+];
+
+const create = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name ist erforderlich')
+    .isLength({ max: 100 })
+    .withMessage('Name darf maximal 100 Zeichen lang sein'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Mindestens ein Scope ist erforderlich'),
+
+  body('scopes.*')
+    .isIn(apiKeyConfig.scopes)
+    .withMessage('Unbekannter Scope'),
+
+  body('laeuftAb')
+    .optional()
+    .isISO8601()
+    .withMessage('Ablaufdatum muss ein gültiges Datum sein')
+    .toDate()
+    .custom(value => value > new Date())
+    .withMessage('Ablaufdatum muss in der Zukunft liegen')
+];
+
+module.exports = {
+  validateId,
+  list,
+  create
+};
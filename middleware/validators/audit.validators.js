@@ -0,0 +1,46 @@
+// middleware/validators/audit.validators.js
+const { query } = require('express-validator');
+const { isValidObjectId } = require('mongoose');
+
+const objectId = (pruefung, meldung) => pruefung.custom(value => {
+  if (!isValidObjectId(value)) {
+    throw new Error(meldung);
+  }
+  return true;
+});
+
+const list = [
+  query('entitaet')
+    .optional()
+    .matches(/^[A-Za-z]+$/)
+    .withMessage('Ungültiger Entitätsname'),
+
+  objectId(query('entitaetId').optional(), 'Ungültige Entitäts-ID'),
+
+  objectId(query('benutzer').optional(), 'Ungültige Benutzer-ID'),
+
+  query('aktion')
+    .optional()
+    .isIn(['erstellt', 'geaendert', 'geloescht'])
+    .withMessage('Aktion muss erstellt, geaendert oder geloescht sein'),
+
+  query('feld')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Feldname darf maximal 200 Zeichen lang sein'),
+
+  query('von')
+    .optional()
+    .isISO8601()
+    .withMessage('Ungültiges Startdatum'),
+
+  query('bis')
+    .optional()
+    .isISO8601()
+    .withMessage('Ungültiges Enddatum')
+];
+
+module.exports = {
+  list
+};
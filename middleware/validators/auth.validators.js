@@ -110,6 +110,36 @@ const authSchemas = {
     }).optional()
   }),
   
+  zweiFaktorCode: Joi.object({
+    code: Joi.string()
+      .trim()
+      .pattern(/^(\d{6}|[A-Za-z2-7]{5}-?[A-Za-z2-7]{5})$/)
+      .required()
+      .messages({
+        'any.required': 'Code ist erforderlich',
+        'string.pattern.base': 'Code muss sechsstellig oder ein Wiederherstellungscode sein'
+      })
+  }),
+  
+  zweiFaktorLogin: Joi.object({
+    challenge: Joi.string()
+      .hex()
+      .length(64)
+      .required()
+      .messages({
+        'any.required': 'Challenge ist erforderlich'
+      }),
+    code: Joi.string()
+      .trim()
+      .pattern(/^(\d{6}|[A-Za-z2-7]{5}-?[A-Za-z2-7]{5})$/)
+      .required()
+      .messages({
+        'any.required': 'Code ist erforderlich',
+        'string.pattern.base': 'Code muss sechsstellig oder ein Wiederherstellungscode sein'
+      }),
+    rememberMe: Joi.boolean().optional()
+  }),
+  
   createAdmin: Joi.object({
     name: validators.safeString
       .min(2)
@@ -158,6 +188,8 @@ const authValidation = {
   resetPassword: createValidationMiddleware(authSchemas.resetPassword),
   updateProfile: createValidationMiddleware(authSchemas.updateProfile),
   createAdmin: createValidationMiddleware(authSchemas.createAdmin),
+  zweiFaktorCode: createValidationMiddleware(authSchemas.zweiFaktorCode),
+  zweiFaktorLogin: createValidationMiddleware(authSchemas.zweiFaktorLogin),
   listUsers: createValidationMiddleware(authQuerySchemas.listUsers, 'query')
 };
 
@@ -0,0 +1,61 @@
+// middleware/validators/dsgvo.validators.js
+const { query, body } = require('express-validator');
+const { isValidObjectId } = require('mongoose');
+
+const objectId = (pruefung, meldung) => pruefung.custom(value => {
+  if (!isValidObjectId(value)) {
+    throw new Error(meldung);
+  }
+  return true;
+});
+
+// Kunde über Kunden-ID, E-Mail oder Telefon, Mitarbeiter über die Mitarbeiter-ID
+const person = (quelle) => [
+  quelle('typ')
+    .isIn(['kunde', 'mitarbeiter'])
+    .withMessage('Typ muss kunde oder mitarbeiter sein'),
+
+  objectId(quelle('clientId').optional(), 'Ungültige Kunden-ID'),
+
+  quelle('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Ungültige E-Mail-Adresse'),
+
+  quelle('telefon')
+    .optional()
+    .trim()
+    .matches(/^[+\d\s()/-]{5,25}$/)
+    .withMessage('Ungültige Telefonnummer'),
+
+  objectId(quelle('mitarbeiterId').optional(), 'Ungültige Mitarbeiter-ID'),
+
+  quelle('typ').custom((typ, { req }) => {
+    const werte = quelle === query ? req.query : req.body;
+    if (typ === 'mitarbeiter' && !werte.mitarbeiterId) {
+      throw new Error('Mitarbeiter-ID ist erforderlich');
+    }
+    if (typ === 'kunde' && !werte.clientId && !werte.email && !werte.telefon) {
+      throw new Error('Kunden-ID, E-Mail-Adresse oder Telefonnummer ist erforderlich');
+    }
+    return true;
+  })
+];
+
+const auskunft = person(query);
+
+const loeschung = [
+  ...person(body),
+
+  body('vorschau')
+    .optional()
+    .isBoolean()
+    .withMessage('Vorschau muss ein Boolean sein')
+    .toBoolean()
+];
+
+module.exports = {
+  auskunft,
+  loeschung
+};
@@ -79,6 +79,12 @@ const create = [
     .isInt({ min: 0 })
     .withMessage('Kilometerstand muss eine positive Zahl sein')
     .toInt(),
+
+  body('kostenProTag')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Kosten pro Tag müssen eine positive Zahl sein')
+    .toFloat(),
   
   body('naechsterService')
     .optional()
@@ -210,6 +216,12 @@ const update = [
     .isInt({ min: 0 })
     .withMessage('Kilometerstand muss eine positive Zahl sein')
     .toInt(),
+
+  body('kostenProTag')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Kosten pro Tag müssen eine positive Zahl sein')
+    .toFloat(),
   
   body('naechsterService')
     .optional()
@@ -313,11 +325,443 @@ const updateKilometerstand = [
     .toInt()
 ];
 
+const WARTUNGSARTEN = ['Inspektion', 'Hauptuntersuchung', 'Ölwechsel', 'Reifenwechsel', 'Reparatur', 'Sonstiges'];
+
+const validateWartungId = [
+  validateId,
+
+  param('wartungId')
+    .custom(value => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Ungültige Wartungs-ID');
+      }
+      return true;
+    })
+];
+
+// Fields shared by planning, editing and completing a maintenance
+const wartungDetails = [
+  body('terminBis')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Terminende muss ein gültiges Datum sein')
+    .toDate(),
+
+  body('werkstatt.name')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Werkstattname darf höchstens 200 Zeichen lang sein'),
+
+  body('werkstatt.ort')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Werkstattort darf höchstens 200 Zeichen lang sein'),
+
+  body('werkstatt.telefon')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Telefonnummer darf höchstens 50 Zeichen lang sein'),
+
+  body('beschreibung')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Beschreibung darf höchstens 2000 Zeichen lang sein'),
+
+  body('kosten.betrag')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Kosten müssen eine positive Zahl sein')
+    .toFloat(),
+
+  body('kosten.steuersatz')
+    .optional()
+    .isIn([0, 7, 19])
+    .withMessage('Steuersatz muss 0, 7 oder 19 sein')
+    .toInt(),
+
+  body('kosten.rechnungsnummer')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Rechnungsnummer darf höchstens 100 Zeichen lang sein')
+];
+
+const wartungAbschluss = [
+  body('durchgefuehrtAm')
+    .optional()
+    .isISO8601()
+    .withMessage('Durchführungsdatum muss ein gültiges Datum sein')
+    .toDate()
+    .custom(value => {
+      if (value > new Date()) {
+        throw new Error('Durchführungsdatum darf nicht in der Zukunft liegen');
+      }
+      return true;
+    }),
+
+  body('kilometerstand')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Kilometerstand muss eine positive Zahl sein')
+    .toInt()
+];
+
+// Plan an appointment, or record a performed maintenance when durchgefuehrtAm is given
+const createWartung = [
+  validateId,
+
+  body('art')
+    .isIn(WARTUNGSARTEN)
+    .withMessage('Ungültige Wartungsart'),
+
+  body('termin')
+    .if(body('durchgefuehrtAm').not().exists())
+    .isISO8601()
+    .withMessage('Termin ist erforderlich und muss ein gültiges Datum sein')
+    .toDate(),
+
+  ...wartungDetails,
+  ...wartungAbschluss
+];
+
+const updateWartung = [
+  validateWartungId,
+
+  body('termin')
+    .optional()
+    .isISO8601()
+    .withMessage('Termin muss ein gültiges Datum sein')
+    .toDate(),
+
+  ...wartungDetails
+];
+
+const abschliessenWartung = [
+  validateWartungId,
+  ...wartungDetails,
+  ...wartungAbschluss
+];
+
+const updateWartungsintervalle = [
+  validateId,
+
+  body('wartungsintervalle')
+    .isArray({ max: 10 })
+    .withMessage('Wartungsintervalle müssen als Liste angegeben werden'),
+
+  body('wartungsintervalle.*.art')
+    .isIn(WARTUNGSARTEN.filter(art => art !== 'Reparatur'))
+    .withMessage('Ungültige Wartungsart'),
+
+  body('wartungsintervalle.*.kilometer')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Intervall in Kilometern muss größer als 0 sein')
+    .toInt(),
+
+  body('wartungsintervalle.*.monate')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 120 })
+    .withMessage('Intervall in Monaten muss zwischen 1 und 120 liegen')
+    .toInt(),
+
+  body('wartungsintervalle.*.letzteDurchfuehrung')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Letzte Durchführung muss ein gültiges Datum sein')
+    .toDate(),
+
+  body('wartungsintervalle.*.letzterKilometerstand')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Letzter Kilometerstand muss eine positive Zahl sein')
+    .toInt(),
+
+  body('wartungsintervalle')
+    .custom(intervalle => {
+      if (intervalle.some(intervall => !intervall.kilometer && !intervall.monate)) {
+        throw new Error('Jedes Intervall braucht Kilometer oder Monate');
+      }
+      const arten = intervalle.map(intervall => intervall.art);
+      if (new Set(arten).size !== arten.length) {
+        throw new Error('Je Wartungsart ist nur ein Intervall erlaubt');
+      }
+      return true;
+    })
+];
+
+const listWartungen = [
+  validateId,
+
+  query('status')
+    .optional()
+    .isIn(['geplant', 'erledigt', 'storniert'])
+    .withMessage('Ungültiger Wartungsstatus'),
+
+  query('art')
+    .optional()
+    .isIn(WARTUNGSARTEN)
+    .withMessage('Ungültige Wartungsart')
+];
+
+const validateEintragId = [
+  validateId,
+
+  param('eintragId')
+    .custom(value => {
+      if (!isValidObjectId(value)) {
+        throw new Error('Ungültige Eintrags-ID');
+      }
+      return true;
+    })
+];
+
+const zeitraum = [
+  query('von')
+    .optional()
+    .isISO8601()
+    .withMessage('Von muss ein gültiges Datum sein')
+    .toDate(),
+
+  query('bis')
+    .optional()
+    .isISO8601()
+    .withMessage('Bis muss ein gültiges Datum sein')
+    .toDate()
+];
+
+const idOptional = (feld, meldung) => body(feld)
+  .optional({ nullable: true })
+  .custom(value => {
+    if (!isValidObjectId(value)) {
+      throw new Error(meldung);
+    }
+    return true;
+  });
+
+// Trip fields; required for a new trip, optional for a correction
+const fahrtFelder = (pflicht) => {
+  const feld = (name) => (pflicht ? body(name) : body(name).optional());
+  return [
+    feld('datum')
+      .isISO8601()
+      .withMessage('Datum der Fahrt muss ein gültiges Datum sein')
+      .toDate(),
+
+    body('ende')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Ende der Fahrt muss ein gültiges Datum sein')
+      .toDate(),
+
+    feld('kmStart')
+      .isInt({ min: 0 })
+      .withMessage('Kilometerstand bei Fahrtbeginn muss eine positive Zahl sein')
+      .toInt(),
+
+    feld('kmEnde')
+      .isInt({ min: 0 })
+      .withMessage('Kilometerstand bei Fahrtende muss eine positive Zahl sein')
+      .toInt(),
+
+    feld('fahrer')
+      .custom(value => {
+        if (!isValidObjectId(value)) {
+          throw new Error('Ungültige Mitarbeiter-ID für den Fahrer');
+        }
+        return true;
+      }),
+
+    idOptional('umzug', 'Ungültige Umzugs-ID'),
+
+    feld('zweck')
+      .isIn(['dienstlich', 'privat', 'arbeitsweg'])
+      .withMessage('Zweck muss dienstlich, privat oder arbeitsweg sein'),
+
+    body('reisezweck')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reisezweck darf höchstens 500 Zeichen lang sein'),
+
+    body('reiseziel')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reiseziel darf höchstens 500 Zeichen lang sein'),
+
+    body('route')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Route darf höchstens 1000 Zeichen lang sein'),
+
+    body('geschaeftspartner')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Geschäftspartner darf höchstens 200 Zeichen lang sein')
+  ];
+};
+
+// Fuel purchase fields; required for a new purchase, optional for a correction
+const tankungFelder = (pflicht) => {
+  const feld = (name) => (pflicht ? body(name) : body(name).optional());
+  return [
+    feld('datum')
+      .isISO8601()
+      .withMessage('Datum der Tankung muss ein gültiges Datum sein')
+      .toDate(),
+
+    feld('kilometerstand')
+      .isInt({ min: 0 })
+      .withMessage('Kilometerstand muss eine positive Zahl sein')
+      .toInt(),
+
+    feld('liter')
+      .isFloat({ min: 0.01 })
+      .withMessage('Liter müssen größer als 0 sein')
+      .toFloat(),
+
+    body('preisProLiter')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Preis pro Liter muss eine positive Zahl sein')
+      .toFloat(),
+
+    body('betrag')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Betrag muss eine positive Zahl sein')
+      .toFloat(),
+
+    feld('kraftstoff')
+      .isIn(['Diesel', 'Benzin', 'AdBlue', 'Strom', 'Sonstige'])
+      .withMessage('Ungültige Kraftstoffart'),
+
+    body('tankstelle')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Tankstelle darf höchstens 200 Zeichen lang sein'),
+
+    body('vollgetankt')
+      .optional()
+      .isBoolean()
+      .withMessage('Vollgetankt muss true oder false sein')
+      .toBoolean()
+  ];
+};
+
+const listFahrtenbuch = [
+  validateId,
+  ...zeitraum,
+
+  query('typ')
+    .optional()
+    .isIn(['fahrt', 'tankung'])
+    .withMessage('Typ muss fahrt oder tankung sein'),
+
+  query('korrekturen')
+    .optional()
+    .isBoolean()
+    .withMessage('Korrekturen muss true oder false sein')
+    .toBoolean()
+];
+
+const createFahrt = [
+  validateId,
+  ...fahrtFelder(true),
+
+  body('reiseziel')
+    .if(body('zweck').equals('dienstlich'))
+    .notEmpty()
+    .withMessage('Reiseziel ist bei dienstlichen Fahrten erforderlich'),
+
+  body('reisezweck')
+    .if(body('zweck').equals('dienstlich'))
+    .notEmpty()
+    .withMessage('Reisezweck ist bei dienstlichen Fahrten erforderlich')
+];
+
+const createTankung = [
+  validateId,
+  ...tankungFelder(true),
+
+  body('betrag')
+    .if(body('preisProLiter').not().exists())
+    .exists()
+    .withMessage('Betrag oder Preis pro Liter ist erforderlich')
+];
+
+// Counter-entry: changed values of a trip or fuel purchase, or storno
+const korrigiereFahrtenbuch = [
+  validateEintragId,
+
+  body('storno')
+    .optional()
+    .isBoolean()
+    .withMessage('Storno muss true oder false sein')
+    .toBoolean(),
+
+  body('begruendung')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Begründung muss zwischen 5 und 1000 Zeichen lang sein'),
+
+  ...fahrtFelder(false),
+  ...tankungFelder(false).filter((_, index) => index > 0)
+];
+
+const abschliessenFahrtenbuch = [
+  validateId,
+
+  body('monat')
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('Monat muss im Format JJJJ-MM angegeben werden')
+];
+
+const verbrauchFahrtenbuch = [
+  validateId,
+  ...zeitraum
+];
+
+const umzugskostenFahrtenbuch = [
+  query('von')
+    .isISO8601()
+    .withMessage('Von ist erforderlich und muss ein gültiges Datum sein')
+    .toDate(),
+
+  query('bis')
+    .isISO8601()
+    .withMessage('Bis ist erforderlich und muss ein gültiges Datum sein')
+    .toDate()
+];
+
 module.exports = {
   validateId,
   list,
   create,
   update,
   updateStatus,
-  updateKilometerstand
+  updateKilometerstand,
+  validateWartungId,
+  listWartungen,
+  createWartung,
+  updateWartung,
+  abschliessenWartung,
+  updateWartungsintervalle,
+  validateEintragId,
+  listFahrtenbuch,
+  createFahrt,
+  createTankung,
+  korrigiereFahrtenbuch,
+  abschliessenFahrtenbuch,
+  verbrauchFahrtenbuch,
+  umzugskostenFahrtenbuch
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 // File upload validation schemas
 const Joi = require('joi');
 const { validators, createValidationMiddleware } = require('./common.validators');
+const storageConfig = require('../../config/storage.config');
 
 // Allowed file types
 const ALLOWED_MIMETYPES = [
@@ -36,6 +37,53 @@ const ALLOWED_EXTENSIONS = [
   '.zip', '.rar', '.7z'
 ];
 
+// Photo types of a survey (Upload.bild.typ)
+const BILD_TYPEN = ['uebersicht', 'detail', 'schaden', 'zugang'];
+
+// MIME type by extension for files without a trustworthy type (ZIP entries)
+const MIMETYPE_JE_ENDUNG = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.zip': 'application/zip',
+  '.rar': 'application/x-rar-compressed',
+  '.7z': 'application/x-7z-compressed'
+};
+
+const MAX_DATEIGROESSE = 10 * 1024 * 1024; // 10MB
+
+const endung = (name) => '.' + String(name).split('.').pop().toLowerCase();
+
+/**
+ * Check size, MIME type and extension of a single file
+ * @param {Object} file - { originalname, mimetype, size }
+ * @returns {String|null} Error message or null if the file is allowed
+ */
+const pruefeDatei = (file) => {
+  if (file.size > MAX_DATEIGROESSE) {
+    return 'Datei ist zu groß. Maximale Größe: 10MB';
+  }
+  if (!ALLOWED_MIMETYPES.includes(file.mimetype)) {
+    return 'Dateityp nicht erlaubt';
+  }
+  if (!ALLOWED_EXTENSIONS.includes(endung(file.originalname))) {
+    return 'Dateierweiterung nicht erlaubt';
+  }
+  return null;
+};
+
 // File validation schemas
 const fileSchemas = {
   upload: Joi.object({
@@ -45,32 +93,29 @@ const fileSchemas = {
     ).optional().default('dokument'),
     bezugId: validators.objectId.optional(),
     bezugModell: validators.germanEnum(
-      ['Umzug', 'Mitarbeiter', 'Angebot', 'Rechnung', 'Dokument'],
+      ['Umzug', 'Aufnahme', 'Mitarbeiter', 'Angebot', 'Rechnung', 'Dokument'],
       'Bezugsmodell'
     ).optional().default('Dokument'),
     beschreibung: validators.safeString.max(500).optional(),
-    tags: Joi.array().items(validators.safeString).max(10).optional()
+    tags: Joi.array().items(validators.safeString).single().max(10).optional(),
+    bildTyp: validators.germanEnum(BILD_TYPEN, 'Bildtyp').optional()
   }),
   
   // Multi-file upload
+  // The files themselves are checked by validateFiles (req.files)
   multiUpload: Joi.object({
-    files: Joi.array().min(1).max(10).required()
-      .messages({
-        'any.required': 'Mindestens eine Datei ist erforderlich',
-        'array.min': 'Mindestens eine Datei ist erforderlich',
-        'array.max': 'Maximal 10 Dateien gleichzeitig erlaubt'
-      }),
     kategorie: validators.germanEnum(
       ['dokument', 'bild', 'vertrag', 'rechnung', 'angebot', 'protokoll', 'sonstiges'],
       'Kategorie'
     ).optional().default('dokument'),
     bezugId: validators.objectId.optional(),
     bezugModell: validators.germanEnum(
-      ['Umzug', 'Mitarbeiter', 'Angebot', 'Rechnung', 'Dokument'],
+      ['Umzug', 'Aufnahme', 'Mitarbeiter', 'Angebot', 'Rechnung', 'Dokument'],
       'Bezugsmodell'
     ).optional().default('Dokument'),
     beschreibung: validators.safeString.max(500).optional(),
-    tags: Joi.array().items(validators.safeString).max(10).optional()
+    tags: Joi.array().items(validators.safeString).single().max(10).optional(),
+    bildTyp: validators.germanEnum(BILD_TYPEN, 'Bildtyp').optional()
   }),
   
   update: Joi.object({
@@ -78,9 +123,10 @@ const fileSchemas = {
       ['dokument', 'bild', 'vertrag', 'rechnung', 'angebot', 'protokoll', 'sonstiges'],
       'Kategorie'
     ).optional(),
-    beschreibung: validators.safeString.max(500).optional(),
-    tags: Joi.array().items(validators.safeString).max(10).optional()
-  })
+    beschreibung: validators.safeString.max(500).allow('').optional(),
+    tags: Joi.array().items(validators.safeString).single().max(10).optional(),
+    bildTyp: validators.germanEnum(BILD_TYPEN, 'Bildtyp').allow(null).optional()
+  }).min(1).messages({ 'object.min': 'Mindestens ein Feld muss angegeben werden' })
 };
 
 // Query validation schemas
@@ -92,7 +138,7 @@ const fileQuerySchemas = {
     ).optional(),
     bezugId: validators.objectId.optional(),
     bezugModell: validators.germanEnum(
-      ['Umzug', 'Mitarbeiter', 'Angebot', 'Rechnung', 'Dokument'],
+      ['Umzug', 'Aufnahme', 'Mitarbeiter', 'Angebot', 'Rechnung', 'Dokument'],
       'Bezugsmodell'
     ).optional(),
     mimetype: Joi.string().optional(),
@@ -102,7 +148,42 @@ const fileQuerySchemas = {
     limit: Joi.number().integer().min(1).max(100).default(10),
     sort: Joi.string().valid('originalname', 'groesse', 'createdAt').default('createdAt'),
     order: Joi.string().valid('asc', 'desc').default('desc')
-  })
+  }),
+
+  // Signed download links: validity in minutes, capped for links in emails
+  link: Joi.object({
+    variante: Joi.string().valid('original', 'web', 'thumbnail').default('original'),
+    gueltigkeit: Joi.number().integer().min(1).max(storageConfig.download.maxGueltigkeitStunden * 60)
+      .default(storageConfig.download.gueltigkeitMinuten)
+      .messages({ 'number.max': 'Gültigkeit darf höchstens {#limit} Minuten betragen' }),
+    inline: Joi.boolean().default(false)
+  }),
+
+  linkFuerPfad: Joi.object({
+    pfad: Joi.string().max(500).required()
+      .messages({ 'any.required': 'Dateipfad ist erforderlich' }),
+    variante: Joi.string().valid('original', 'web', 'thumbnail').default('original'),
+    gueltigkeit: Joi.number().integer().min(1).max(storageConfig.download.maxGueltigkeitStunden * 60)
+      .default(storageConfig.download.gueltigkeitMinuten)
+      .messages({ 'number.max': 'Gültigkeit darf höchstens {#limit} Minuten betragen' }),
+    inline: Joi.boolean().default(false)
+  }),
+
+  // ZIP of all files belonging to an Umzug or Aufnahme
+  archive: Joi.object({
+    bezugId: validators.objectId.required()
+      .messages({ 'any.required': 'bezugId ist erforderlich' })
+  }),
+
+  download: Joi.object({
+    ablauf: Joi.number().integer().optional(),
+    von: validators.objectId.optional(),
+    signatur: Joi.string().max(100).optional(),
+    variante: Joi.string().valid('original', 'web', 'thumbnail').default('original'),
+    inline: Joi.boolean().default(false),
+    token: Joi.string().optional()
+  }).and('ablauf', 'von', 'signatur')
+    .messages({ 'object.and': 'Unvollständiger Download-Link' })
 };
 
 // File validation middleware
@@ -169,31 +250,13 @@ const fileValidationMiddleware = {
     }
     
     const errors = [];
-    const maxSize = 10 * 1024 * 1024; // 10MB per file
     
-    req.files.forEach((file, index) => {
-      // Validate file size
-      if (file.size > maxSize) {
-        errors.push({
-          file: file.originalname,
-          error: 'Datei ist zu groß. Maximale Größe: 10MB'
-        });
-      }
-      
-      // Validate MIME type
-      if (!ALLOWED_MIMETYPES.includes(file.mimetype)) {
-        errors.push({
-          file: file.originalname,
-          error: 'Dateityp nicht erlaubt'
-        });
-      }
-      
-      // Validate file extension
-      const ext = '.' + file.originalname.split('.').pop().toLowerCase();
-      if (!ALLOWED_EXTENSIONS.includes(ext)) {
+    req.files.forEach((file) => {
+      const error = pruefeDatei(file);
+      if (error) {
         errors.push({
           file: file.originalname,
-          error: 'Dateierweiterung nicht erlaubt'
+          error
         });
       }
       
@@ -229,9 +292,15 @@ const fileValidation = {
   multiUpload: createValidationMiddleware(fileSchemas.multiUpload),
   update: createValidationMiddleware(fileSchemas.update),
   list: createValidationMiddleware(fileQuerySchemas.list, 'query'),
+  link: createValidationMiddleware(fileQuerySchemas.link, 'query'),
+  archive: createValidationMiddleware(fileQuerySchemas.archive, 'query'),
+  linkFuerPfad: createValidationMiddleware(fileQuerySchemas.linkFuerPfad, 'query'),
+  download: createValidationMiddleware(fileQuerySchemas.download, 'query'),
   validateId: createValidationMiddleware(fileParamSchemas.id, 'params'),
   validateFile: fileValidationMiddleware.validateFile,
-  validateFiles: fileValidationMiddleware.validateFiles
+  validateFiles: fileValidationMiddleware.validateFiles,
+  pruefeDatei,
+  mimetypeFuerDatei: (name) => MIMETYPE_JE_ENDUNG[endung(name)] || 'application/octet-stream'
 };
 
 module.exports = fileValidation;
\ No newline at end of file
@@ -15,7 +15,25 @@ const positionSchema = Joi.object({
   einzelpreis: validators.positiveNumber.required()
     .messages({ 'any.required': 'Einzelpreis ist erforderlich' }),
   gesamtpreis: validators.positiveNumber.optional(),
-  rabatt: Joi.number().min(0).max(100).optional().default(0)
+  rabatt: Joi.number().min(0).max(100).optional().default(0),
+  steuersatz: Joi.number().valid(0, 7, 19).optional()
+    .messages({ 'any.only': 'Steuersatz muss 0, 7 oder 19 sein' })
+});
+
+// Leistungszeitraum und Bankverbindung (Pflichtangaben nach §14 UStG)
+const leistungszeitraumSchema = Joi.object({
+  von: validators.isoDate.required()
+    .messages({ 'any.required': 'Beginn des Leistungszeitraums ist erforderlich' }),
+  bis: validators.isoDate.min(Joi.ref('von')).optional()
+    .messages({ 'date.min': 'Ende des Leistungszeitraums muss nach dem Beginn liegen' })
+});
+
+const bankverbindungSchema = Joi.object({
+  kontoinhaber: validators.safeString.optional(),
+  iban: validators.iban.optional(),
+  bic: Joi.string().pattern(/^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/).optional()
+    .messages({ 'string.pattern.base': 'Ungültiger BIC' }),
+  bankname: validators.safeString.optional()
 });
 
 // Angebot (quote) schemas
@@ -82,6 +100,9 @@ const rechnungSchemas = {
       }),
     notizen: validators.safeString.max(2000).optional(),
     zahlungsbedingungen: validators.safeString.max(1000).optional(),
+    leistungszeitraum: leistungszeitraumSchema.optional(),
+    kaeuferreferenz: validators.safeString.max(100).optional().allow(''),
+    bankverbindung: bankverbindungSchema.optional(),
     skonto: Joi.object({
       prozent: Joi.number().min(0).max(100).optional(),
       tage: Joi.number().integer().min(1).max(60).optional()
@@ -107,6 +128,9 @@ const rechnungSchemas = {
     positionsliste: Joi.array().items(positionSchema).min(1).optional(),
     notizen: validators.safeString.max(2000).optional(),
     zahlungsbedingungen: validators.safeString.max(1000).optional(),
+    leistungszeitraum: leistungszeitraumSchema.optional(),
+    kaeuferreferenz: validators.safeString.max(100).optional().allow(''),
+    bankverbindung: bankverbindungSchema.optional(),
     skonto: Joi.object({
       prozent: Joi.number().min(0).max(100).optional(),
       tage: Joi.number().integer().min(1).max(60).optional()
@@ -143,6 +167,8 @@ const projektkostenSchemas = {
       .messages({ 'any.required': 'Kategorie ist erforderlich' }),
     betrag: validators.positiveNumber.required()
       .messages({ 'any.required': 'Betrag ist erforderlich' }),
+    steuersatz: Joi.number().valid(0, 7, 19).optional()
+      .messages({ 'any.only': 'Steuersatz muss 0, 7 oder 19 sein' }),
     datum: validators.isoDate.optional().default(() => new Date()),
     beschreibung: validators.safeString.max(1000).optional(),
     lieferant: validators.safeString.optional(),
@@ -166,6 +192,8 @@ const projektkostenSchemas = {
       'Kategorie'
     ).optional(),
     betrag: validators.positiveNumber.optional(),
+    steuersatz: Joi.number().valid(0, 7, 19).optional()
+      .messages({ 'any.only': 'Steuersatz muss 0, 7 oder 19 sein' }),
     datum: validators.isoDate.optional(),
     beschreibung: validators.safeString.max(1000).optional(),
     lieferant: validators.safeString.optional(),
@@ -239,6 +267,31 @@ const finanzenQuerySchemas = {
   })
 };
 
+// DATEV-Export (Buchungsstapel)
+const datevExportSchema = Joi.object({
+  von: validators.isoDate.required()
+    .messages({ 'any.required': 'Beginn des Exportzeitraums (von) ist erforderlich' }),
+  bis: validators.isoDate.min(Joi.ref('von')).required()
+    .messages({
+      'any.required': 'Ende des Exportzeitraums (bis) ist erforderlich',
+      'date.min': 'Ende des Exportzeitraums muss nach dem Beginn liegen'
+    }),
+  kontenrahmen: Joi.string().valid('SKR03', 'SKR04').optional()
+    .messages({ 'any.only': 'Kontenrahmen muss SKR03 oder SKR04 sein' })
+});
+
+// E-Rechnung (XRechnung): Syntax der XML-Datei
+const eRechnungSchema = Joi.object({
+  syntax: Joi.string().valid('ubl', 'cii').optional()
+    .messages({ 'any.only': 'Syntax muss ubl oder cii sein' })
+});
+
+// Mahnlauf (dunning run)
+const mahnlaufSchema = Joi.object({
+  dryRun: Joi.boolean().optional().default(false),
+  stichtag: validators.isoDate.optional()
+});
+
 // Path parameter validation
 const finanzenParamSchemas = {
   id: Joi.object({
@@ -256,6 +309,13 @@ const finanzenParamSchemas = {
       .messages({ 'any.required': 'Monat ist erforderlich' }),
     jahr: Joi.number().integer().min(2020).max(2050).required()
       .messages({ 'any.required': 'Jahr ist erforderlich' })
+  }),
+  
+  mahnung: Joi.object({
+    id: validators.objectId.required()
+      .messages({ 'any.required': 'ID ist erforderlich' }),
+    mahnstufe: Joi.number().integer().min(1).max(4).required()
+      .messages({ 'any.required': 'Mahnstufe ist erforderlich' })
   })
 };
 
@@ -271,6 +331,10 @@ const finanzenValidation = {
   updateRechnung: createValidationMiddleware(rechnungSchemas.update),
   markRechnungAsPaid: createValidationMiddleware(rechnungSchemas.markAsPaid),
   listRechnungen: createValidationMiddleware(finanzenQuerySchemas.rechnungen, 'query'),
+  mahnlauf: createValidationMiddleware(mahnlaufSchema),
+  validateMahnung: createValidationMiddleware(finanzenParamSchemas.mahnung, 'params'),
+  datevExport: createValidationMiddleware(datevExportSchema, 'query'),
+  eRechnung: createValidationMiddleware(eRechnungSchema, 'query'),
   
   // Projektkosten validation
   createProjektkosten: createValidationMiddleware(projektkostenSchemas.create),
@@ -5,6 +5,10 @@ const mitarbeiterValidation = require('./mitarbeiter.validators');
 const finanzenValidation = require('./finanzen.validators');
 const fileValidation = require('./file.validators');
 const fahrzeugValidation = require('./fahrzeug.validator');
+const abwesenheitValidation = require('./abwesenheit.validators');
+const apiKeyValidation = require('./apikey.validators');
+const auditValidation = require('./audit.validators');
+const dsgvoValidation = require('./dsgvo.validators');
 const { validators, schemas, formatValidationErrors, createValidationMiddleware } = require('./common.validators');
 
 module.exports = {
@@ -26,6 +30,18 @@ module.exports = {
   // Fahrzeug validators
   fahrzeug: fahrzeugValidation,
   
+  // Abwesenheit validators
+  abwesenheit: abwesenheitValidation,
+  
+  // API key validators
+  apiKey: apiKeyValidation,
+  
+  // Audit log validators
+  audit: auditValidation,
+  
+  // DSGVO export and erasure validators
+  dsgvo: dsgvoValidation,
+  
   // Common validators and utilities
   common: {
     validators,
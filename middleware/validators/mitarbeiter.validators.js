@@ -1,6 +1,21 @@
 // Mitarbeiter (employee) validation schemas
 const Joi = require('joi');
 const { validators, schemas, createValidationMiddleware } = require('./common.validators');
+const { BUNDESLAENDER } = require('../../utils/feiertage.utils');
+
+// Contract working time (basis of the target hours on the timesheet)
+const arbeitszeitSchema = Joi.object({
+  beschaeftigungsart: validators.germanEnum(
+    ['Vollzeit', 'Teilzeit', 'Minijob', 'Aushilfe', 'Auszubildender'],
+    'Beschäftigungsart'
+  ).optional(),
+  wochenstunden: Joi.number().min(0).max(60).optional()
+    .messages({ 'number.max': 'Wochenstunden dürfen höchstens 60 betragen' }),
+  arbeitstage: Joi.array().items(Joi.number().integer().min(1).max(7)).unique().max(7).optional()
+    .messages({ 'number.min': 'Arbeitstage als Wochentage 1 (Montag) bis 7 (Sonntag) angeben' }),
+  urlaubstage: Joi.number().min(0).max(60).optional()
+    .messages({ 'number.max': 'Urlaubstage dürfen höchstens 60 betragen' })
+});
 
 // Mitarbeiter schemas
 const mitarbeiterSchemas = {
@@ -45,6 +60,16 @@ const mitarbeiterSchemas = {
     ).optional(),
     einstellungsdatum: validators.isoDate
       .optional(),
+    austrittsdatum: validators.isoDate
+      .optional()
+      .allow(null),
+    personalnummer: validators.safeString
+      .max(20)
+      .optional(),
+    bundesland: validators.germanEnum(BUNDESLAENDER, 'Bundesland')
+      .optional(),
+    arbeitszeit: arbeitszeitSchema
+      .optional(),
     gehalt: Joi.object({
       brutto: validators.positiveNumber.optional(),
       netto: validators.positiveNumber.optional(),
@@ -108,6 +133,16 @@ const mitarbeiterSchemas = {
     ).optional(),
     einstellungsdatum: validators.isoDate
       .optional(),
+    austrittsdatum: validators.isoDate
+      .optional()
+      .allow(null),
+    personalnummer: validators.safeString
+      .max(20)
+      .optional(),
+    bundesland: validators.germanEnum(BUNDESLAENDER, 'Bundesland')
+      .optional(),
+    arbeitszeit: arbeitszeitSchema
+      .optional(),
     gehalt: Joi.object({
       brutto: validators.positiveNumber.optional(),
       netto: validators.positiveNumber.optional(),
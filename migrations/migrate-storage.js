@@ -0,0 +1,268 @@
+// migrations/migrate-storage.js - Move uploaded files into the configured storage driver
+// Copies every referenced file from the old upload directory into the driver selected by
+// STORAGE_TREIBER (config/storage.config.js) and rewrites the stored paths
+// ("/uploads/x.pdf", "uploads/x.pdf") to driver-independent storage keys ("x.pdf").
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config();
+
+const StorageService = require('../services/storage.service');
+const LokalerSpeicher = require('../services/storage/lokal.driver');
+
+// Color codes for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+// Collections and fields holding file references (dot notation descends into arrays)
+const REFERENZEN = [
+  { modell: () => require('../models/upload.model'), felder: ['pfad'] },
+  { modell: () => require('../models/file'), felder: ['filePath'] },
+  { modell: () => require('../models/task'), felder: ['attachments.filePath'] },
+  { modell: () => require('../models/umzug.model'), felder: ['dokumente.pfad'] },
+  { modell: () => require('../models/aufnahme.model'), felder: ['bilder', 'dokumente.pfad', 'raeume.moebel.bilder'] },
+  { modell: () => require('../models/mitarbeiter.model'), felder: ['dokumente.pfad', 'profilbild'] },
+  { modell: () => require('../models/fahrzeug.model'), felder: ['bild'] }
+];
+
+// Externe Verweise (z.B. https://...) gehören nicht zum Dateispeicher
+const istExtern = (wert) => /^[a-z][a-z0-9+.-]*:\/\//i.test(wert);
+
+class StorageMigration {
+  /**
+   * @param {Object} optionen - { quelle: old upload directory, dryRun, loeschen }
+   */
+  constructor({ quelle, dryRun = false, loeschen = false } = {}) {
+    this.quelle = new LokalerSpeicher({ verzeichnis: quelle || path.join(__dirname, '..', 'uploads') });
+    this.ziel = StorageService.treiber();
+    this.dryRun = dryRun;
+    this.loeschen = loeschen;
+    this.results = {
+      copied: [],
+      rewritten: [],
+      missing: [],
+      failed: []
+    };
+  }
+
+  async connect() {
+    try {
+      const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI;
+      await mongoose.connect(mongoUri);
+      console.log(`${colors.green}✓ Connected to MongoDB${colors.reset}`);
+      return true;
+    } catch (error) {
+      console.error(`${colors.red}✗ Failed to connect to MongoDB:${colors.reset}`, error.message);
+      return false;
+    }
+  }
+
+  // Quelle und Ziel sind dasselbe Verzeichnis: nur die Pfade umschreiben
+  get gleicherSpeicher() {
+    return this.ziel instanceof LokalerSpeicher && this.ziel.verzeichnis === this.quelle.verzeichnis;
+  }
+
+  /**
+   * Make sure the file behind a reference exists in the target driver
+   * @returns {Promise<String|null>} New key, or null if the reference must stay unchanged
+   */
+  async migriereDatei(pfad, herkunft) {
+    if (!pfad || typeof pfad !== 'string' || istExtern(pfad)) {
+      return null;
+    }
+
+    let schluessel;
+    try {
+      schluessel = StorageService.schluesselAusPfad(pfad);
+    } catch (error) {
+      this.results.failed.push({ herkunft, pfad, error: error.message });
+      return null;
+    }
+
+    if (this.gleicherSpeicher || await this.ziel.existiert(schluessel)) {
+      return schluessel;
+    }
+
+    if (!await this.quelle.existiert(schluessel)) {
+      this.results.missing.push({ herkunft, pfad });
+      return null;
+    }
+
+    if (!this.dryRun) {
+      await this.ziel.speichern(schluessel, await this.quelle.lesen(schluessel));
+      if (this.loeschen) {
+        await this.quelle.loeschen(schluessel);
+      }
+    }
+    this.results.copied.push({ herkunft, schluessel });
+    return schluessel;
+  }
+
+  /**
+   * Walk a (nested) value along the remaining path segments and migrate every reference
+   * @returns {Promise<Boolean>} Whether a reference changed
+   */
+  async migriereWert(container, segmente, herkunft) {
+    if (Array.isArray(container)) {
+      let geaendert = false;
+      for (const eintrag of container) {
+        geaendert = await this.migriereWert(eintrag, segmente, herkunft) || geaendert;
+      }
+      return geaendert;
+    }
+    if (!container || typeof container !== 'object') {
+      return false;
+    }
+
+    const [feld, ...rest] = segmente;
+    if (rest.length > 0) {
+      return this.migriereWert(container[feld], rest, herkunft);
+    }
+
+    const wert = container[feld];
+    if (Array.isArray(wert)) {
+      let geaendert = false;
+      for (let i = 0; i < wert.length; i++) {
+        const schluessel = await this.migriereDatei(wert[i], herkunft);
+        if (schluessel && schluessel !== wert[i]) {
+          wert[i] = schluessel;
+          geaendert = true;
+        }
+      }
+      return geaendert;
+    }
+
+    const schluessel = await this.migriereDatei(wert, herkunft);
+    if (schluessel && schluessel !== wert) {
+      container[feld] = schluessel;
+      return true;
+    }
+    return false;
+  }
+
+  async migriereModell(Model, felder) {
+    console.log(`\n${colors.cyan}Processing collection: ${Model.collection.collectionName}${colors.reset}`);
+
+    const projektion = Object.fromEntries(felder.map(feld => [feld.split('.')[0], 1]));
+    const cursor = Model.find({}, projektion).lean().cursor();
+    let anzahl = 0;
+
+    for await (const dokument of cursor) {
+      const aenderungen = {};
+
+      for (const feld of felder) {
+        const herkunft = `${Model.modelName}/${dokument._id}.${feld}`;
+        try {
+          if (await this.migriereWert(dokument, feld.split('.'), herkunft)) {
+            const oberfeld = feld.split('.')[0];
+            aenderungen[oberfeld] = dokument[oberfeld];
+          }
+        } catch (error) {
+          console.error(`${colors.red}  ✗ ${herkunft}: ${error.message}${colors.reset}`);
+          this.results.failed.push({ herkunft, error: error.message });
+        }
+      }
+
+      if (Object.keys(aenderungen).length > 0) {
+        if (!this.dryRun) {
+          await Model.collection.updateOne({ _id: dokument._id }, { $set: aenderungen });
+        }
+        this.results.rewritten.push({ collection: Model.collection.collectionName, id: dokument._id });
+        anzahl++;
+      }
+    }
+
+    console.log(`${colors.green}  ✓ ${anzahl} document(s) ${this.dryRun ? 'would be ' : ''}updated${colors.reset}`);
+  }
+
+  async migrateAll() {
+    console.log(`${colors.blue}Migrating files from ${this.quelle.verzeichnis} to storage driver "${this.ziel.name}"${this.dryRun ? ' (dry run)' : ''}${colors.reset}`);
+
+    for (const { modell, felder } of REFERENZEN) {
+      await this.migriereModell(modell(), felder);
+    }
+
+    this.printSummary();
+  }
+
+  printSummary() {
+    console.log(`\n${colors.blue}=== Storage Migration Summary ===${colors.reset}`);
+
+    if (this.results.missing.length > 0) {
+      console.log(`\n${colors.yellow}Missing files (${this.results.missing.length}):${colors.reset}`);
+      this.results.missing.forEach(item => {
+        console.log(`  ⚬ ${item.herkunft}: ${item.pfad}`);
+      });
+    }
+
+    if (this.results.failed.length > 0) {
+      console.log(`\n${colors.red}Failed (${this.results.failed.length}):${colors.reset}`);
+      this.results.failed.forEach(item => {
+        console.log(`  ✗ ${item.herkunft}${item.pfad ? `: ${item.pfad}` : ''}`);
+        console.log(`    Error: ${item.error}`);
+      });
+    }
+
+    console.log(`\n${colors.cyan}Summary:${colors.reset}`);
+    console.log(`  Copied files: ${this.results.copied.length}`);
+    console.log(`  Updated documents: ${this.results.rewritten.length}`);
+    console.log(`  Missing files: ${this.results.missing.length}`);
+    console.log(`  Failed: ${this.results.failed.length}`);
+    console.log();
+  }
+
+  async disconnect() {
+    await mongoose.disconnect();
+    console.log(`${colors.green}✓ Disconnected from MongoDB${colors.reset}`);
+  }
+}
+
+// CLI handler
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const quelleIndex = args.indexOf('--quelle');
+
+  if (command !== 'up' && command !== 'migrate') {
+    console.log(`${colors.cyan}Usage:${colors.reset}`);
+    console.log('  node migrations/migrate-storage.js <command> [options]');
+    console.log('\nCommands:');
+    console.log('  up, migrate          - Copy files into the configured driver and rewrite paths');
+    console.log('\nOptions:');
+    console.log('  --quelle <dir>       - Old upload directory (default: ./uploads)');
+    console.log('  --dry-run            - Only report what would change');
+    console.log('  --loeschen           - Delete source files after copying');
+    return;
+  }
+
+  const migration = new StorageMigration({
+    quelle: quelleIndex >= 0 ? path.resolve(args[quelleIndex + 1]) : undefined,
+    dryRun: args.includes('--dry-run'),
+    loeschen: args.includes('--loeschen')
+  });
+
+  if (!await migration.connect()) {
+    process.exit(1);
+  }
+
+  try {
+    await migration.migrateAll();
+  } catch (error) {
+    console.error(`${colors.red}Migration failed:${colors.reset}`, error.message);
+    process.exitCode = 1;
+  } finally {
+    await migration.disconnect();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = StorageMigration;
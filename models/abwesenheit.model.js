@@ -0,0 +1,98 @@
+// models/abwesenheit.model.js - Urlaubsanträge, Krankmeldungen, Sonderurlaub und Überstundenabbau
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/audit-plugin');
+const Schema = mongoose.Schema;
+
+const AbwesenheitSchema = new Schema({
+  mitarbeiter: {
+    type: Schema.Types.ObjectId,
+    ref: 'Mitarbeiter',
+    required: true
+  },
+  art: {
+    type: String,
+    enum: ['Urlaub', 'Krankheit', 'Sonderurlaub', 'Überstundenabbau'],
+    required: true
+  },
+  // Ganze Tage; `bis` ist der letzte Abwesenheitstag
+  von: {
+    type: Date,
+    required: true
+  },
+  bis: {
+    type: Date,
+    required: true
+  },
+  // Arbeitstage ohne Feiertage und Stunden bei Überstundenabbau (beim Speichern berechnet)
+  tage: {
+    type: Number,
+    default: 0
+  },
+  stunden: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['beantragt', 'genehmigt', 'abgelehnt', 'storniert'],
+    default: 'beantragt'
+  },
+  // Anlass bei Sonderurlaub (z.B. Hochzeit, Umzug, Todesfall)
+  anlass: {
+    type: String,
+    trim: true
+  },
+  bemerkung: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Arbeitsunfähigkeitsbescheinigung bei Krankheit
+  au: {
+    type: Schema.Types.ObjectId,
+    ref: 'Upload'
+  },
+  beantragtVon: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  entschiedenVon: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  entschiedenAm: {
+    type: Date
+  },
+  ablehnungsgrund: {
+    type: String,
+    trim: true
+  },
+  // Krankheitstage während des Urlaubs; sie werden nicht auf den Urlaub angerechnet (§9 BUrlG)
+  krankheit: [{
+    _id: false,
+    von: Date,
+    bis: Date,
+    abwesenheit: {
+      type: Schema.Types.ObjectId,
+      ref: 'Abwesenheit'
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+AbwesenheitSchema.pre('validate', function(next) {
+  if (this.von && this.bis && this.bis < this.von) {
+    this.invalidate('bis', 'Das Ende der Abwesenheit darf nicht vor dem Beginn liegen');
+  }
+  next();
+});
+
+AbwesenheitSchema.index({ mitarbeiter: 1, von: 1 });
+AbwesenheitSchema.index({ status: 1, von: 1, bis: 1 });
+AbwesenheitSchema.index({ 'krankheit.abwesenheit': 1 }, { sparse: true });
+
+// Änderungsprotokoll
+AbwesenheitSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Abwesenheit', AbwesenheitSchema);
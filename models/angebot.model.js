@@ -1,5 +1,6 @@
 // models/angebot.model.js
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/audit-plugin');
 
 const angebotSchema = new mongoose.Schema({
   angebotNummer: {
@@ -16,6 +17,10 @@ const angebotSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Umzug'
   },
+  aufnahme: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Aufnahme'
+  },
   erstelltAm: {
     type: Date,
     default: Date.now
@@ -43,6 +48,11 @@ const angebotSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    kategorie: {
+      type: String,
+      enum: ['transport', 'personal', 'material', 'zusatzleistung', 'sonstiges'],
+      default: 'sonstiges'
+    },
     menge: {
       type: Number,
       required: true,
@@ -72,23 +82,54 @@ const angebotSchema = new mongoose.Schema({
   dateien: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'File'
-  }]
+  }],
+  statusHistory: [{
+    status: String,
+    datum: { type: Date, default: Date.now },
+    benutzer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    bemerkung: String
+  }],
+  // Annahme des Angebots und Übergang in einen Auftrag
+  konversion: {
+    zuAuftrag: { type: Boolean, default: false },
+    auftragsnummer: String,
+    konversionsdatum: Date
+  }
 }, { timestamps: true });
 
 // Vorausfüllen des Gesamtpreises bei Positionen
 angebotSchema.pre('save', function(next) {
   this.positionsliste.forEach(position => {
-    position.gesamtpreis = position.einzelpreis * position.menge;
+    position.gesamtpreis = Math.round(position.einzelpreis * position.menge * 100) / 100;
   });
 
   // Berechnung des Gesamtbetrags basierend auf den Positionen
   const nettobetrag = this.positionsliste.reduce((sum, pos) => sum + pos.gesamtpreis, 0);
   const mwst = nettobetrag * (this.mehrwertsteuer / 100);
-  this.gesamtbetrag = nettobetrag + mwst;
+  this.gesamtbetrag = Math.round((nettobetrag + mwst) * 100) / 100;
 
   next();
 });
 
+// Angebot annehmen (durch Mitarbeiter oder den Kunden im Kundenportal, dann ohne userId)
+angebotSchema.methods.akzeptieren = async function(auftragsnummer, userId, bemerkung) {
+  this.status = 'Akzeptiert';
+  this.konversion.zuAuftrag = true;
+  this.konversion.auftragsnummer = auftragsnummer;
+  this.konversion.konversionsdatum = Date.now();
+  this.statusHistory.push({
+    status: 'Akzeptiert',
+    datum: Date.now(),
+    benutzer: userId,
+    bemerkung
+  });
+
+  return await this.save();
+};
+
+// Änderungsprotokoll
+angebotSchema.plugin(auditPlugin);
+
 const Angebot = mongoose.model('Angebot', angebotSchema);
 
 module.exports = Angebot;
\ No newline at end of file
@@ -0,0 +1,62 @@
+// models/apikey.model.js - Persönliche API-Schlüssel (nur der SHA-256-Hash wird gespeichert)
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/audit-plugin');
+const Schema = mongoose.Schema;
+const apiKeyConfig = require('../config/apikey.config');
+
+const ApiKeySchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name ist erforderlich'],
+    trim: true,
+    maxlength: 100
+  },
+  // Anfang des Schlüssels zum Wiedererkennen in Listen
+  praefix: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: apiKeyConfig.scopes
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'Mindestens ein Scope ist erforderlich'
+    }
+  },
+  laeuftAb: Date,
+  zuletztVerwendetAm: Date,
+  zuletztVerwendetIp: String,
+  rotiertAm: Date,
+  widerrufen: {
+    type: Boolean,
+    default: false
+  },
+  widerrufenAm: Date,
+  widerrufenVon: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ApiKeySchema.index({ user: 1, widerrufen: 1 });
+
+// Änderungsprotokoll (letzte Nutzung zählt nicht als Änderung)
+ApiKeySchema.plugin(auditPlugin, { ignorieren: ['zuletztVerwendetAm', 'zuletztVerwendetIp'] });
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,80 @@
+// models/auditlog.model.js - Änderungsprotokoll (nur Anfügen; Einträge zu Rechnungen und Angeboten nie löschbar)
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const auditConfig = require('../config/audit.config');
+
+const AuditLogSchema = new Schema({
+  // Modellname, z. B. "Rechnung"
+  entitaet: {
+    type: String,
+    required: true
+  },
+  entitaetId: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  aktion: {
+    type: String,
+    enum: ['erstellt', 'geaendert', 'geloescht'],
+    required: true
+  },
+  // Feldänderungen mit Punktpfad (beim Anlegen nur neu, beim Löschen nur alt)
+  aenderungen: [{
+    _id: false,
+    feld: String,
+    alt: Schema.Types.Mixed,
+    neu: Schema.Types.Mixed
+  }],
+  // Ohne Benutzer: Änderung durch einen Hintergrundjob oder das Kundenportal
+  benutzer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  benutzerName: String,
+  apiKey: {
+    type: Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  ip: String,
+  userAgent: String,
+  // Methode und Pfad der auslösenden Anfrage
+  anfrage: String,
+  zeitpunkt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuditLogSchema.index({ entitaet: 1, entitaetId: 1, zeitpunkt: -1 });
+AuditLogSchema.index({ benutzer: 1, zeitpunkt: -1 });
+AuditLogSchema.index({ zeitpunkt: -1 });
+
+const unveraenderlich = function(next) {
+  next(new Error('Einträge im Änderungsprotokoll können nicht geändert werden'));
+};
+
+// Löschen nur mit einem Filter, der Rechnungen und Angebote sicher ausschließt
+const loeschbar = function(next) {
+  const { entitaet } = this.getFilter();
+  const ausgeschlossen = typeof entitaet === 'string'
+    ? !auditConfig.unveraenderlich.includes(entitaet)
+    : Boolean(entitaet && Array.isArray(entitaet.$nin)
+      && auditConfig.unveraenderlich.every(name => entitaet.$nin.includes(name)));
+
+  if (!ausgeschlossen) {
+    return next(new Error(`Einträge zu ${auditConfig.unveraenderlich.join(' und ')} können nicht gelöscht werden`));
+  }
+  next();
+};
+
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return unveraenderlich(next);
+  }
+  next();
+});
+AuditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], unveraenderlich);
+// Greift auch bei doc.deleteOne(), dessen Filter nur die ID enthält
+AuditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, loeschbar);
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -1,5 +1,6 @@
 // models/aufnahme.model.js
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/audit-plugin');
 
 const adresseSchema = new mongoose.Schema({
   strasse: {
@@ -54,7 +55,7 @@ const moebelSchema = new mongoose.Schema({
   },
   kategorie: {
     type: String,
-    enum: ['schrank', 'tisch', 'stuhl', 'sofa', 'bett', 'karton', 'sonstiges'],
+    enum: ['schrank', 'tisch', 'stuhl', 'sofa', 'bett', 'karton', 'klavier', 'geraet', 'pflanze', 'sonstiges'],
     default: 'sonstiges'
   },
   groesse: {
@@ -81,6 +82,19 @@ const moebelSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Detaillierte Erfassung; die flachen Felder oben bleiben für ältere Aufnahmen gültig
+  eigenschaften: {
+    zerbrechlich: { type: Boolean, default: false },
+    wertvoll: { type: Boolean, default: false },
+    schwer: { type: Boolean, default: false },
+    unhandlich: { type: Boolean, default: false }
+  },
+  service: {
+    demontage: { type: Boolean, default: false },
+    montage: { type: Boolean, default: false },
+    verpackung: { type: Boolean, default: false },
+    transport2mann: { type: Boolean, default: false }
+  },
   bilder: [String] // Pfade zu Bildern
 });
 
@@ -159,6 +173,27 @@ const aufnahmeSchema = new mongoose.Schema({
     pfad: String,
     datum: Date
   }],
+  zusatzleistungen: {
+    packservice: { type: Boolean, default: false },
+    montageservice: { type: Boolean, default: false },
+    entsorgung: { type: Boolean, default: false },
+    reinigung: { type: Boolean, default: false },
+    lagerung: { type: Boolean, default: false },
+    klaviertransport: { type: Boolean, default: false },
+    kueche: {
+      abbau: { type: Boolean, default: false },
+      aufbau: { type: Boolean, default: false },
+      anschluss: { type: Boolean, default: false }
+    },
+    custom: [{
+      beschreibung: String,
+      preis: Number
+    }]
+  },
+  angebot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Angebot'
+  },
   angebotspreis: {
     netto: Number,
     brutto: Number,
@@ -174,6 +209,9 @@ const aufnahmeSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Änderungsprotokoll
+aufnahmeSchema.plugin(auditPlugin);
+
 const Aufnahme = mongoose.model('Aufnahme', aufnahmeSchema);
 
 module.exports = Aufnahme;
\ No newline at end of file
@@ -1,5 +1,6 @@
 // models/benachrichtigung.model.js
 const mongoose = require('mongoose');
+const RealtimeService = require('../services/realtime.service');
 
 const benachrichtigungSchema = new mongoose.Schema({
   empfaenger: {
@@ -36,7 +37,7 @@ const benachrichtigungSchema = new mongoose.Schema({
   bezug: {
     typ: {
       type: String,
-      enum: ['umzug', 'aufnahme', 'mitarbeiter', 'task', 'system'],
+      enum: ['umzug', 'aufnahme', 'mitarbeiter', 'fahrzeug', 'task', 'system'],
       default: 'system'
     },
     id: {
@@ -97,6 +98,22 @@ benachrichtigungSchema.pre('save', function(next) {
   next();
 });
 
+// Neue Benachrichtigungen in Echtzeit an den Empfänger senden
+benachrichtigungSchema.pre('save', function(next) {
+  this.$locals.istNeu = this.isNew;
+  next();
+});
+
+benachrichtigungSchema.post('save', function(doc) {
+  if (doc.$locals.istNeu) {
+    RealtimeService.benachrichtigungErstellt(doc);
+  }
+});
+
+benachrichtigungSchema.post('insertMany', function(docs) {
+  docs.forEach(doc => RealtimeService.benachrichtigungErstellt(doc));
+});
+
 // Erstelle optimierte Textindizes für Volltextsuche
 benachrichtigungSchema.index({ titel: 'text', inhalt: 'text' });
 
@@ -1,5 +1,6 @@
 // models/client.js
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/audit-plugin');
 
 // Improved email validation regex that better matches RFC 5322 standard
 const emailRegex = /^(([^<>()\[\]\\.,;:\s@"]+(\.[^<>()\[\]\\.,;:\s@"]+)*)|(".+"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/;
@@ -46,6 +47,12 @@ const clientSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Privat oder Firma - bestimmt u. a. den Verzugszinssatz nach §288 BGB
+  type: {
+    type: String,
+    enum: ['Firma', 'Privat'],
+    default: 'Privat'
+  },
   email: {
     type: String,
     trim: true,
@@ -69,6 +76,30 @@ const clientSchema = new mongoose.Schema({
     }
   },
   address: addressSchema,
+  // E-Rechnung (XRechnung/ZUGFeRD) - z. B. für öffentliche Auftraggeber
+  eInvoice: {
+    format: {
+      type: String,
+      enum: ['none', 'xrechnung-ubl', 'xrechnung-cii', 'zugferd'],
+      default: 'none'
+    },
+    // Leitweg-ID bzw. Käuferreferenz (BT-10)
+    buyerReference: {
+      type: String,
+      trim: true
+    },
+    // Elektronische Adresse des Empfängers (BT-49), Standard ist die E-Mail-Adresse
+    electronicAddress: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    vatId: {
+      type: String,
+      trim: true,
+      uppercase: true
+    }
+  },
   projects: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Project'
@@ -145,5 +176,8 @@ clientSchema.virtual('fullName').get(function() {
   return this.name;
 });
 
+// Änderungsprotokoll
+clientSchema.plugin(auditPlugin);
+
 const Client = mongoose.model('Client', clientSchema);
 module.exports = Client;
\ No newline at end of file
@@ -0,0 +1,45 @@
+// models/dateizugriff.model.js - Protokoll der Zugriffe auf hochgeladene Dateien
+const mongoose = require('mongoose');
+
+const dateizugriffSchema = new mongoose.Schema({
+  upload: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Upload',
+    required: true
+  },
+  // Angemeldeter Benutzer bzw. Aussteller des signierten Links
+  benutzer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  aktion: {
+    type: String,
+    enum: ['download', 'link-erstellt'],
+    required: true
+  },
+  zugang: {
+    type: String,
+    enum: ['anmeldung', 'signierter-link'],
+    required: true
+  },
+  erlaubt: {
+    type: Boolean,
+    required: true
+  },
+  grund: String, // Ablehnungsgrund
+  linkGueltigBis: Date,
+  ip: String,
+  userAgent: String
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// Protokolleinträge werden nicht nachträglich geändert
+dateizugriffSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  next(new Error('Dateizugriffe können nicht geändert werden'));
+});
+
+dateizugriffSchema.index({ upload: 1, createdAt: -1 });
+dateizugriffSchema.index({ benutzer: 1, createdAt: -1 });
+
+const DateiZugriff = mongoose.model('DateiZugriff', dateizugriffSchema);
+
+module.exports = DateiZugriff;
@@ -0,0 +1,124 @@
+// models/fahrtenbuch.model.js - Fahrten und Tankungen eines Fahrzeugs (Fahrtenbuch)
+// Einträge werden nur angehängt: jeder Eintrag enthält den Hash seines Vorgängers, Änderungen
+// erfolgen ausschließlich über Korrektureinträge, die auf den ursprünglichen Eintrag verweisen.
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/audit-plugin');
+const Schema = mongoose.Schema;
+
+const FahrtenbuchSchema = new Schema({
+  fahrzeug: {
+    type: Schema.Types.ObjectId,
+    ref: 'Fahrzeug',
+    required: true
+  },
+  // Fortlaufende Nummer je Fahrzeug
+  nummer: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  typ: {
+    type: String,
+    enum: ['fahrt', 'tankung'],
+    required: true
+  },
+  art: {
+    type: String,
+    enum: ['buchung', 'korrektur'],
+    default: 'buchung'
+  },
+  // Korrektur: ursprünglicher Eintrag, dessen Werte ersetzt werden
+  korrigiert: {
+    type: Schema.Types.ObjectId,
+    ref: 'Fahrtenbuch'
+  },
+  storno: {
+    type: Boolean,
+    default: false
+  },
+  begruendung: {
+    type: String,
+    trim: true
+  },
+  datum: {
+    type: Date,
+    required: true
+  },
+  // Fahrt
+  ende: Date,
+  kmStart: { type: Number, min: 0 },
+  kmEnde: { type: Number, min: 0 },
+  fahrer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Mitarbeiter'
+  },
+  umzug: {
+    type: Schema.Types.ObjectId,
+    ref: 'Umzug'
+  },
+  zweck: {
+    type: String,
+    enum: ['dienstlich', 'privat', 'arbeitsweg']
+  },
+  reisezweck: { type: String, trim: true },
+  reiseziel: { type: String, trim: true },
+  route: { type: String, trim: true },
+  geschaeftspartner: { type: String, trim: true },
+  // Tankung
+  kilometerstand: { type: Number, min: 0 },
+  liter: { type: Number, min: 0 },
+  preisProLiter: { type: Number, min: 0 },
+  betrag: { type: Number, min: 0 }, // Bruttobetrag
+  kraftstoff: {
+    type: String,
+    enum: ['Diesel', 'Benzin', 'AdBlue', 'Strom', 'Sonstige']
+  },
+  tankstelle: { type: String, trim: true },
+  vollgetankt: {
+    type: Boolean,
+    default: true
+  },
+  erfasstVon: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  erfasstAm: {
+    type: Date,
+    required: true
+  },
+  vorherigerHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+// Einträge sind unveränderlich
+FahrtenbuchSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Fahrtenbucheinträge können nicht geändert werden'));
+  }
+  next();
+});
+
+FahrtenbuchSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Fahrtenbucheinträge können nicht geändert werden'));
+  }
+);
+
+FahrtenbuchSchema.index({ fahrzeug: 1, nummer: 1 }, { unique: true });
+FahrtenbuchSchema.index({ fahrzeug: 1, datum: 1 });
+FahrtenbuchSchema.index({ umzug: 1 });
+
+// Änderungsprotokoll
+FahrtenbuchSchema.plugin(auditPlugin);
+
+const Fahrtenbuch = mongoose.model('Fahrtenbuch', FahrtenbuchSchema);
+
+module.exports = Fahrtenbuch;
@@ -0,0 +1,50 @@
+// models/fahrtenbuchabschluss.model.js - Monatsabschluss des Fahrtenbuchs
+// Nach dem Abschluss sind für den Monat keine Buchungen mehr möglich, nur noch begründete
+// Korrektureinträge. Der Hash des letzten Eintrags sichert den abgeschlossenen Stand.
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/audit-plugin');
+const Schema = mongoose.Schema;
+
+const FahrtenbuchAbschlussSchema = new Schema({
+  fahrzeug: {
+    type: Schema.Types.ObjectId,
+    ref: 'Fahrzeug',
+    required: true
+  },
+  monat: {
+    type: String, // YYYY-MM
+    required: true,
+    match: /^\d{4}-(0[1-9]|1[0-2])$/
+  },
+  letzteNummer: {
+    type: Number,
+    default: 0
+  },
+  letzterHash: {
+    type: String,
+    required: true
+  },
+  kilometerstand: Number, // Stand am Monatsende
+  kilometer: Number, // Gefahrene Kilometer im Monat
+  abgeschlossenVon: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { timestamps: { createdAt: 'abgeschlossenAm', updatedAt: false } });
+
+FahrtenbuchAbschlussSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Monatsabschlüsse können nicht geändert werden'));
+  }
+);
+
+FahrtenbuchAbschlussSchema.index({ fahrzeug: 1, monat: 1 }, { unique: true });
+
+// Änderungsprotokoll
+FahrtenbuchAbschlussSchema.plugin(auditPlugin);
+
+const FahrtenbuchAbschluss = mongoose.model('FahrtenbuchAbschluss', FahrtenbuchAbschlussSchema);
+
+module.exports = FahrtenbuchAbschluss;
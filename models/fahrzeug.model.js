@@ -1,6 +1,8 @@
 // models/fahrzeug.model.js
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/audit-plugin');
 const Schema = mongoose.Schema;
+const RealtimeService = require('../services/realtime.service');
 
 const FahrzeugSchema = new Schema({
   kennzeichen: {
@@ -58,9 +60,35 @@ const FahrzeugSchema = new Schema({
     type: Number,
     default: 0
   },
+  // Tageskosten für die Disposition (ohne Angabe gilt der Richtwert je Fahrzeugtyp)
+  kostenProTag: {
+    type: Number,
+    min: 0
+  },
   naechsterService: {
     type: Date
   },
+  // Wartungsintervalle nach Kilometern und/oder Monaten; fällig ist, was zuerst erreicht wird.
+  // Für die Hauptuntersuchung gilt das Datum in "tuev", das Intervall bestimmt nur den Folgetermin.
+  wartungsintervalle: [{
+    art: {
+      type: String,
+      enum: ['Inspektion', 'Hauptuntersuchung', 'Ölwechsel', 'Reifenwechsel', 'Sonstiges'],
+      required: true
+    },
+    kilometer: { type: Number, min: 1 },
+    monate: { type: Number, min: 1 },
+    letzteDurchfuehrung: { type: Date },
+    letzterKilometerstand: { type: Number, min: 0 }
+  }],
+  // Bereits versandte Erinnerungen (je Wartungsart, Fälligkeit und Vorlaufstufe nur einmal)
+  erinnerungen: [{
+    _id: false,
+    art: String,
+    faelligkeit: String,
+    stufe: Number,
+    am: Date
+  }],
   versicherung: {
     gesellschaft: { type: String },
     vertragsnummer: { type: String },
@@ -122,6 +150,25 @@ FahrzeugSchema.virtual('tuevStatus').get(function() {
   return 'Gültig';
 });
 
+// Status- und Kilometerstandsänderungen in Echtzeit an die Disposition senden
+FahrzeugSchema.pre('save', function(next) {
+  this.$locals.realtimeAenderungen = {
+    status: !this.isNew && this.isModified('status'),
+    kilometerstand: !this.isNew && this.isModified('kilometerstand')
+  };
+  next();
+});
+
+FahrzeugSchema.post('save', function(doc) {
+  const aenderungen = doc.$locals.realtimeAenderungen;
+  if (aenderungen && (aenderungen.status || aenderungen.kilometerstand)) {
+    RealtimeService.fahrzeugGeaendert(doc, aenderungen);
+  }
+});
+
+// Änderungsprotokoll
+FahrzeugSchema.plugin(auditPlugin);
+
 const Fahrzeug = mongoose.model('Fahrzeug', FahrzeugSchema);
 
 module.exports = Fahrzeug;
\ No newline at end of file
@@ -1,5 +1,6 @@
 // models/mitarbeiter.model.js
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/audit-plugin');
 
 const arbeitszeitSchema = new mongoose.Schema({
   datum: {
@@ -19,6 +20,13 @@ const arbeitszeitSchema = new mongoose.Schema({
     ende: String
   }],
   notizen: String,
+  // Verstöße gegen das Arbeitszeitgesetz zum Zeitpunkt der Erfassung
+  arbzgVerstoesse: [{
+    _id: false,
+    art: String,
+    schwere: String,
+    meldung: String
+  }],
   berechneteStunden: {
     type: Number,
     default: 0
@@ -69,6 +77,44 @@ const mitarbeiterSchema = new mongoose.Schema({
   einstellungsdatum: {
     type: Date
   },
+  austrittsdatum: {
+    type: Date
+  },
+  // Personalnummer in der Lohnabrechnung
+  personalnummer: {
+    type: String,
+    trim: true
+  },
+  // Arbeitsort für Feiertage; ohne Angabe gilt das Bundesland des Betriebs
+  bundesland: {
+    type: String,
+    enum: ['BW', 'BY', 'BE', 'BB', 'HB', 'HH', 'HE', 'MV', 'NI', 'NW', 'RP', 'SL', 'SN', 'ST', 'SH', 'TH']
+  },
+  // Vertragliche Arbeitszeit (Grundlage der Sollstunden)
+  arbeitszeit: {
+    beschaeftigungsart: {
+      type: String,
+      enum: ['Vollzeit', 'Teilzeit', 'Minijob', 'Aushilfe', 'Auszubildender'],
+      default: 'Vollzeit'
+    },
+    wochenstunden: {
+      type: Number,
+      min: 0,
+      max: 60,
+      default: 40
+    },
+    // Arbeitstage als ISO-Wochentage (1 = Montag ... 7 = Sonntag)
+    arbeitstage: {
+      type: [Number],
+      default: [1, 2, 3, 4, 5]
+    },
+    // Jahresurlaub in Arbeitstagen; ohne Angabe gilt config/abwesenheit.config.js
+    urlaubstage: {
+      type: Number,
+      min: 0,
+      max: 60
+    }
+  },
   gehalt: {
     brutto: Number,
     netto: Number,
@@ -77,6 +123,22 @@ const mitarbeiterSchema = new mongoose.Schema({
   arbeitszeiten: [arbeitszeitSchema],
   faehigkeiten: [String],
   fuehrerscheinklassen: [String],
+  // Aktuelle Abwesenheit; ohne `von` gilt sie sofort, ohne `bisWann` bis auf Weiteres
+  verfuegbarkeit: {
+    status: {
+      type: String,
+      enum: ['verfuegbar', 'im_einsatz', 'krank', 'urlaub', 'pause'],
+      default: 'verfuegbar'
+    },
+    von: Date,
+    bisWann: Date,
+    bemerkung: String,
+    // Gesetzt, wenn der Status aus einer genehmigten Abwesenheit übernommen wurde
+    abwesenheit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Abwesenheit'
+    }
+  },
   notizen: String,
   notfallkontakt: {
     name: String,
@@ -135,6 +197,9 @@ mitarbeiterSchema.pre('save', function(next) {
   next();
 });
 
+// Änderungsprotokoll
+mitarbeiterSchema.plugin(auditPlugin);
+
 const Mitarbeiter = mongoose.model('Mitarbeiter', mitarbeiterSchema);
 
 module.exports = Mitarbeiter;
\ No newline at end of file
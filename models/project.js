@@ -1,5 +1,6 @@
 // models/project.js
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/audit-plugin');
 
 const projectSchema = new mongoose.Schema({
   name: {
@@ -191,5 +192,8 @@ projectSchema.statics.findByDateRange = function(startDate, endDate) {
   }).lean();
 };
 
+// Änderungsprotokoll
+projectSchema.plugin(auditPlugin);
+
 const Project = mongoose.model('Project', projectSchema);
 module.exports = Project;
\ No newline at end of file
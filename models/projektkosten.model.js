@@ -1,7 +1,14 @@
 // models/projektkosten.model.js
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/audit-plugin');
+const { generateUniqueNumber } = require('../utils/number.utils');
 
 const projektkostenSchema = new mongoose.Schema({
+  kostennummer: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   bezeichnung: {
     type: String,
     required: true
@@ -15,10 +22,15 @@ const projektkostenSchema = new mongoose.Schema({
     enum: ['Personal', 'Fahrzeuge', 'Material', 'Unterauftrag', 'Sonstiges'],
     required: true
   },
-  betrag: {
+  betrag: { // Bruttobetrag
     type: Number,
     required: true
   },
+  steuersatz: {
+    type: Number,
+    enum: [0, 7, 19],
+    default: 19
+  },
   datum: {
     type: Date,
     default: Date.now,
@@ -48,9 +60,32 @@ const projektkostenSchema = new mongoose.Schema({
     type: String,
     enum: ['Überweisung', 'Bar', 'PayPal', 'Kreditkarte', 'Lastschrift', 'Sonstige'],
     default: 'Überweisung'
+  },
+  // Angaben für die Finanzbuchhaltung (DATEV-Export)
+  buchung: {
+    gebucht: {
+      type: Boolean,
+      default: false
+    },
+    buchungsdatum: Date,
+    buchungsnummer: String,
+    kostenstelle: String,
+    sachkonto: String, // Abweichendes Aufwandskonto
+    gegenkonto: String // Abweichender Kreditor bzw. Geldkonto
   }
 }, { timestamps: true });
 
+// Kostennummer als Belegnummer vergeben
+projektkostenSchema.pre('validate', async function(next) {
+  if (!this.kostennummer) {
+    this.kostennummer = await generateUniqueNumber(this.constructor, 'kostennummer', 'PK');
+  }
+  next();
+});
+
+// Änderungsprotokoll
+projektkostenSchema.plugin(auditPlugin);
+
 const Projektkosten = mongoose.model('Projektkosten', projektkostenSchema);
 
 module.exports = Projektkosten;
@@ -1,5 +1,8 @@
 // models/rechnung.model.js
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/audit-plugin');
+const PdfService = require('../services/pdf.service');
+const { AppError } = require('../utils/error.utils');
 
 const rechnungSchema = new mongoose.Schema({
   rechnungNummer: {
@@ -29,6 +32,15 @@ const rechnungSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  leistungszeitraum: {
+    von: Date,
+    bis: Date
+  },
+  // Käuferreferenz/Leitweg-ID (BT-10); ohne Angabe gilt die des Kunden
+  kaeuferreferenz: {
+    type: String,
+    trim: true
+  },
   status: {
     type: String,
     enum: ['Entwurf', 'Gesendet', 'Überfällig', 'Teilbezahlt', 'Bezahlt', 'Storniert'],
@@ -37,6 +49,23 @@ const rechnungSchema = new mongoose.Schema({
   bezahltAm: {
     type: Date
   },
+  // Zahlungseingänge (Teilzahlungen); der offene Betrag ist der Gesamtbetrag abzüglich dieser Zahlungen
+  zahlungen: [{
+    betrag: {
+      type: Number,
+      required: true
+    },
+    datum: {
+      type: Date,
+      default: Date.now
+    },
+    zahlungsmethode: String,
+    referenz: String,
+    erfasstVon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
   zahlungsmethode: {
     type: String,
     enum: ['Überweisung', 'Bar', 'PayPal', 'Kreditkarte', 'Lastschrift', 'Sonstige'],
@@ -72,11 +101,30 @@ const rechnungSchema = new mongoose.Schema({
     gesamtpreis: {
       type: Number,
       required: true
+    },
+    // Abweichender Steuersatz je Position, sonst gilt `mehrwertsteuer`
+    steuersatz: {
+      type: Number,
+      enum: [0, 7, 19]
     }
   }],
+  steuersaetze: [{
+    satz: Number,
+    nettobetrag: Number,
+    steuerbetrag: Number
+  }],
   notizen: {
     type: String
   },
+  zahlungsbedingungen: {
+    type: String
+  },
+  bankverbindung: {
+    kontoinhaber: String,
+    iban: String,
+    bic: String,
+    bankname: String
+  },
   erstelltVon: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -91,24 +139,179 @@ const rechnungSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
-    notiz: String
-  }]
+    notiz: String,
+    // Felder des Mahnlaufs (Stufe 1 = Zahlungserinnerung ... 4 = Inkasso-Übergabe)
+    mahnstufe: Number,
+    bezeichnung: String,
+    offenerBetrag: Number,
+    bisherigeGebuehren: Number,
+    mahngebuehr: {
+      type: Number,
+      default: 0
+    },
+    verzugspauschale: {
+      type: Number,
+      default: 0
+    },
+    zinssatz: Number,
+    zinstage: Number,
+    verzugszinsen: {
+      type: Number,
+      default: 0
+    },
+    forderungGesamt: Number,
+    zahlungsfrist: Date,
+    versendetAm: Date,
+    erstelltVon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  mahnstufe: {
+    type: Number,
+    default: 0
+  },
+  inkassoUebergabe: {
+    type: Date
+  },
+  // Angaben für die Finanzbuchhaltung (DATEV-Export)
+  buchung: {
+    gebucht: {
+      type: Boolean,
+      default: false
+    },
+    buchungsdatum: Date,
+    buchungsnummer: String,
+    kostenstelle: String,
+    sachkonto: String // Abweichendes Erlöskonto
+  }
 }, { timestamps: true });
 
-// Vorausfüllen des Gesamtpreises bei Positionen
-rechnungSchema.pre('save', function(next) {
+rechnungSchema.index({ status: 1, faelligkeitsdatum: 1 });
+
+const runden = (wert) => Math.round(wert * 100) / 100;
+
+// Gesamtpreise der Positionen, Steuergruppen und Gesamtbetrag berechnen.
+// Die Steuer wird je Steuersatz auf Cent gerundet und der Gesamtbetrag aus den gerundeten
+// Beträgen gebildet, damit er mit der Summe der auf dem PDF ausgewiesenen Beträge übereinstimmt.
+rechnungSchema.methods.betraegeBerechnen = function() {
+  const steuergruppen = new Map();
+
   this.positionsliste.forEach(position => {
     position.gesamtpreis = position.einzelpreis * position.menge;
+
+    // Nettobeträge nach Steuersatz gruppieren
+    const satz = position.steuersatz !== undefined && position.steuersatz !== null
+      ? position.steuersatz
+      : this.mehrwertsteuer;
+    steuergruppen.set(satz, (steuergruppen.get(satz) || 0) + position.gesamtpreis);
   });
 
-  // Berechnung des Gesamtbetrags basierend auf den Positionen
-  const nettobetrag = this.positionsliste.reduce((sum, pos) => sum + pos.gesamtpreis, 0);
-  const mwst = nettobetrag * (this.mehrwertsteuer / 100);
-  this.gesamtbetrag = nettobetrag + mwst;
+  this.steuersaetze = Array.from(steuergruppen.entries()).map(([satz, nettobetrag]) => ({
+    satz,
+    nettobetrag: runden(nettobetrag),
+    steuerbetrag: runden(nettobetrag * (satz / 100))
+  }));
+
+  // Berechnung des Gesamtbetrags basierend auf den Steuergruppen
+  const nettobetrag = this.steuersaetze.reduce((sum, gruppe) => sum + gruppe.nettobetrag, 0);
+  const mwst = this.steuersaetze.reduce((sum, gruppe) => sum + gruppe.steuerbetrag, 0);
+  this.gesamtbetrag = runden(nettobetrag + mwst);
+};
 
+// Vorausfüllen des Gesamtpreises bei Positionen
+rechnungSchema.pre('save', function(next) {
+  this.betraegeBerechnen();
   next();
 });
 
+// Offene Rechnungen, deren Fälligkeit vor dem Stichtag liegt
+rechnungSchema.statics.findUeberfaellig = function(stichtag = new Date()) {
+  return this.find({
+    status: { $in: ['Gesendet', 'Überfällig', 'Teilbezahlt'] },
+    faelligkeitsdatum: { $lt: stichtag }
+  }).populate('kunde');
+};
+
+// Noch offener Betrag (auch für lean geladene Rechnungen)
+rechnungSchema.statics.offenerBetrag = function(rechnung) {
+  const gezahlt = (rechnung.zahlungen || []).reduce((summe, zahlung) => summe + (zahlung.betrag || 0), 0);
+  return Math.max(0, Math.round(((rechnung.gesamtbetrag || 0) - gezahlt) * 100) / 100);
+};
+
+// Zahlungseingang erfassen; ohne Betrag wird der gesamte offene Betrag bezahlt
+rechnungSchema.methods.zahlungErfassen = function({ betrag, datum, zahlungsmethode, referenz, erfasstVon } = {}) {
+  const offen = this.constructor.offenerBetrag(this);
+  if (offen <= 0) {
+    throw new Error('Die Rechnung ist bereits vollständig bezahlt');
+  }
+  const gezahlt = betrag === undefined || betrag === null ? offen : Number(betrag);
+  if (gezahlt > offen) {
+    throw new Error(`Der Betrag übersteigt den offenen Betrag von ${offen.toFixed(2)} EUR`);
+  }
+
+  this.zahlungen.push({ betrag: gezahlt, datum: datum || new Date(), zahlungsmethode, referenz, erfasstVon });
+  if (zahlungsmethode) {
+    this.zahlungsmethode = zahlungsmethode;
+  }
+  if (this.constructor.offenerBetrag(this) <= 0) {
+    this.status = 'Bezahlt';
+    this.bezahltAm = datum || new Date();
+  } else {
+    this.status = 'Teilbezahlt';
+  }
+  return this.save();
+};
+
+// Mahnung einer Stufe vermerken (Daten aus MahnwesenService.berechneMahnung).
+// Gespeichert wird nur, solange die Rechnung in der Datenbank noch unter dieser Stufe steht;
+// hat ein anderer Prozess sie inzwischen gemahnt, liefert die Methode null.
+rechnungSchema.methods.mahnungErstellen = async function(mahnung) {
+  if (mahnung.mahnstufe <= (this.mahnstufe || 0)) {
+    throw new AppError(`Mahnstufe ${mahnung.mahnstufe} wurde bereits erreicht`, 409);
+  }
+
+  this.zahlungserinnerungen.push(mahnung);
+  this.mahnstufe = mahnung.mahnstufe;
+  // Teilzahlungen bleiben am Status erkennbar
+  this.status = this.zahlungen.length > 0 ? 'Teilbezahlt' : 'Überfällig';
+  if (mahnung.mahnstufe === 4) {
+    this.inkassoUebergabe = mahnung.datum || new Date();
+  }
+
+  // $not/$gte trifft auch ältere Rechnungen ohne gespeicherte Mahnstufe
+  this.$where = { mahnstufe: { $not: { $gte: mahnung.mahnstufe } } };
+  try {
+    return await this.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.DocumentNotFoundError) {
+      return null;
+    }
+    throw error;
+  } finally {
+    this.$where = undefined;
+  }
+};
+
+// PDF nach §14 UStG erzeugen
+rechnungSchema.methods.pdfGenerieren = async function() {
+  if (this.kunde && !this.populated('kunde')) {
+    await this.populate('kunde');
+  }
+  if (this.umzug && !this.populated('umzug')) {
+    await this.populate('umzug', 'startDatum endDatum');
+  }
+
+  return {
+    filename: `${this.rechnungNummer}.pdf`,
+    buffer: await PdfService.renderRechnung(this),
+    mimeType: 'application/pdf'
+  };
+};
+
+// Änderungsprotokoll
+rechnungSchema.plugin(auditPlugin);
+
 const Rechnung = mongoose.model('Rechnung', rechnungSchema);
 
 module.exports = Rechnung;
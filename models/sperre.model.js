@@ -0,0 +1,24 @@
+// models/sperre.model.js - Sperren für Hintergrundaufgaben, die im Cluster nur einmal laufen dürfen
+const mongoose = require('mongoose');
+
+const sperreSchema = new mongoose.Schema({
+  // Name der Aufgabe, z.B. 'job:Wartung' oder 'mahnlauf'
+  _id: {
+    type: String,
+    required: true
+  },
+  // Ablauf der Sperre; danach darf ein anderer Prozess sie übernehmen
+  bis: {
+    type: Date,
+    required: true
+  },
+  // Prozess, der die Sperre hält (Host, PID und Zufallswert)
+  inhaber: {
+    type: String,
+    required: true
+  }
+}, { versionKey: false });
+
+const Sperre = mongoose.model('Sperre', sperreSchema);
+
+module.exports = Sperre;
@@ -0,0 +1,87 @@
+// models/stempelung.model.js - Ein- und Ausstempeln per Smartphone (Schicht bis zum Gehen offen)
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const auditPlugin = require('../utils/audit-plugin');
+
+// Zeitpunkt mit Standort und Ergebnis der Umkreisprüfung
+const stempelSchema = new Schema({
+  zeit: {
+    type: Date,
+    required: true
+  },
+  position: {
+    lat: Number,
+    lng: Number,
+    genauigkeit: Number // Meter
+  },
+  geofence: {
+    geprueft: Boolean,
+    innerhalb: Boolean,
+    ort: String, // auszug, einzug, zwischenstopp
+    entfernung: Number, // Meter zur nächsten Adresse
+    // Standort konnte nicht geprüft werden (Geokodierung fehlgeschlagen) und ist nachträglich zu prüfen
+    nachpruefen: Boolean
+  }
+}, { _id: false });
+
+const StempelungSchema = new Schema({
+  mitarbeiter: {
+    type: Schema.Types.ObjectId,
+    ref: 'Mitarbeiter',
+    required: true
+  },
+  umzug: {
+    type: Schema.Types.ObjectId,
+    ref: 'Umzug',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['offen', 'abgeschlossen'],
+    default: 'offen'
+  },
+  taetigkeit: {
+    type: String,
+    trim: true,
+    default: 'Umzug'
+  },
+  kommen: {
+    type: stempelSchema,
+    required: true
+  },
+  gehen: stempelSchema,
+  pausen: [{
+    _id: false,
+    beginn: { type: Date, required: true },
+    ende: Date
+  }],
+  // Ergänzte Pause, wenn die gesetzliche Mindestpause nicht gestempelt wurde
+  pauseAutomatisch: {
+    type: Number,
+    default: 0
+  },
+  // Beim Gehen erzeugte Zeiterfassung
+  zeiterfassung: {
+    type: Schema.Types.ObjectId,
+    ref: 'Zeiterfassung'
+  },
+  // Erinnerung wegen vergessenen Ausstempelns
+  erinnertAm: Date,
+  notizen: String
+}, {
+  timestamps: true
+});
+
+// Höchstens eine offene Schicht je Mitarbeiter
+StempelungSchema.index(
+  { mitarbeiter: 1 },
+  { unique: true, partialFilterExpression: { status: 'offen' } }
+);
+StempelungSchema.index({ status: 1, 'kommen.zeit': 1 });
+StempelungSchema.index({ 'kommen.geofence.nachpruefen': 1 }, { sparse: true });
+StempelungSchema.index({ 'gehen.geofence.nachpruefen': 1 }, { sparse: true });
+
+// Änderungsprotokoll (Korrekturen an Stempelzeiten sind für die Lohnabrechnung nachzuweisen)
+StempelungSchema.plugin(auditPlugin, { ignorieren: ['erinnertAm'] });
+
+module.exports = mongoose.model('Stempelung', StempelungSchema);
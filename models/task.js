@@ -1,5 +1,6 @@
 // models/task.js
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/audit-plugin');
 
 const attachmentSchema = new mongoose.Schema({
   fileName: {
@@ -251,5 +252,8 @@ taskSchema.methods.addComment = async function(text, userId) {
 };
 
 // Ensure we don't create duplicate model
+// Änderungsprotokoll
+taskSchema.plugin(auditPlugin);
+
 const Task = mongoose.models.Task || mongoose.model('Task', taskSchema);
 module.exports = Task;
\ No newline at end of file
@@ -1,5 +1,7 @@
 // models/umzug.model.js
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/audit-plugin');
+const RealtimeService = require('../services/realtime.service');
 
 const adresseSchema = new mongoose.Schema({
   strasse: {
@@ -38,6 +40,13 @@ const adresseSchema = new mongoose.Schema({
   entfernung: { // in Metern zur Parkposition
     type: Number,
     default: 0
+  },
+  // Geokodierte Lage für die Stempeluhr; `anschrift` erkennt spätere Adressänderungen
+  koordinaten: {
+    lat: Number,
+    lng: Number,
+    anschrift: String,
+    geokodiertAm: Date
   }
 });
 
@@ -86,6 +95,12 @@ const umzugSchema = new mongoose.Schema({
     enum: ['geplant', 'bestaetigt', 'in_bearbeitung', 'abgeschlossen', 'storniert'],
     default: 'geplant'
   },
+  statusHistory: [{
+    status: String,
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: String
+  }],
   preis: {
     netto: Number,
     brutto: Number,
@@ -93,6 +108,12 @@ const umzugSchema = new mongoose.Schema({
       type: Number,
       default: 19
     },
+    // Abgerechneter Endpreis (kann vom Angebotspreis netto/brutto abweichen)
+    final: {
+      netto: Number,
+      brutto: Number,
+      mwst: Number
+    },
     bezahlt: {
       type: Boolean,
       default: false
@@ -107,7 +128,29 @@ const umzugSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Aufnahme'
   },
+  umzugsdetails: {
+    volumen: { // in m³
+      type: Number,
+      min: [0, 'Volumen kann nicht negativ sein']
+    },
+    gewicht: { // in kg
+      type: Number,
+      min: [0, 'Gewicht kann nicht negativ sein']
+    },
+    anzahlKartons: {
+      type: Number,
+      min: [0, 'Anzahl kann nicht negativ sein']
+    }
+  },
+  rechnungId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rechnung'
+  },
   fahrzeuge: [{
+    fahrzeugId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Fahrzeug'
+    },
     typ: String,
     kennzeichen: String
   }],
@@ -163,7 +206,29 @@ const umzugSchema = new mongoose.Schema({
       type: Number,
       default: 1
     }
-  }]
+  }],
+  // Bewertung durch den Kunden nach Abschluss (Kundenportal)
+  kundenzufriedenheit: {
+    bewertung: {
+      type: Number,
+      min: [1, 'Mindestbewertung ist 1'],
+      max: [5, 'Maximalbewertung ist 5']
+    },
+    kommentar: {
+      type: String,
+      maxlength: [1000, 'Kommentar zu lang']
+    },
+    datum: Date
+  },
+  stornierung: {
+    datum: Date,
+    grund: String,
+    kosten: Number,
+    bearbeitetVon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }
 }, { timestamps: true });
 
 // Pre-save middleware to validate dates
@@ -194,6 +259,49 @@ umzugSchema.virtual('einzugsadresseFormatted').get(function() {
   return addr ? `${addr.strasse} ${addr.hausnummer}, ${addr.plz} ${addr.ort}` : '';
 });
 
+// Endpreis netto: abgerechneter Preis, sonst vereinbarter Preis
+umzugSchema.methods.getNettoPreis = function() {
+  if (this.preis && this.preis.final && this.preis.final.netto !== undefined && this.preis.final.netto !== null) {
+    return this.preis.final.netto;
+  }
+  return this.preis ? this.preis.netto : undefined;
+};
+
+// Status ändern, in der Historie vermerken und in Echtzeit veröffentlichen
+umzugSchema.methods.changeStatus = async function(newStatus, userId, reason) {
+  const vorherigerStatus = this.status;
+  this.status = newStatus;
+  this.statusHistory.push({
+    status: newStatus,
+    changedAt: Date.now(),
+    changedBy: userId,
+    reason
+  });
+  await this.save();
+
+  RealtimeService.umzugStatusGeaendert(this, {
+    vorherigerStatus,
+    status: newStatus,
+    changedBy: userId,
+    reason
+  });
+  return this;
+};
+
+// Umzug stornieren
+umzugSchema.methods.cancel = async function(grund, userId, kosten = 0) {
+  this.stornierung = {
+    datum: Date.now(),
+    grund,
+    kosten,
+    bearbeitetVon: userId
+  };
+  return await this.changeStatus('storniert', userId, grund);
+};
+
+// Änderungsprotokoll
+umzugSchema.plugin(auditPlugin);
+
 const Umzug = mongoose.model('Umzug', umzugSchema);
 
 module.exports = Umzug;
\ No newline at end of file
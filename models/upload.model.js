@@ -1,5 +1,15 @@
 // models/upload.model.js
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/audit-plugin');
+
+// Verkleinerte Fassung eines Bildes (services/bild.service.js)
+const bildVarianteSchema = new mongoose.Schema({
+  pfad: String,
+  breite: Number,
+  hoehe: Number,
+  groesse: Number,
+  mimetype: String
+}, { _id: false });
 
 const uploadSchema = new mongoose.Schema({
   originalname: {
@@ -10,6 +20,7 @@ const uploadSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Schlüssel im Dateispeicher (services/storage.service.js)
   pfad: {
     type: String,
     required: true
@@ -24,7 +35,7 @@ const uploadSchema = new mongoose.Schema({
   },
   kategorie: {
     type: String,
-    enum: ['umzug', 'aufnahme', 'mitarbeiter', 'kunde', 'dokument', 'bild'],
+    enum: ['umzug', 'aufnahme', 'mitarbeiter', 'kunde', 'fahrzeug', 'dokument', 'bild', 'vertrag', 'rechnung', 'angebot', 'protokoll', 'sonstiges'],
     default: 'dokument'
   },
   bezugId: {
@@ -32,16 +43,45 @@ const uploadSchema = new mongoose.Schema({
   },
   bezugModell: {
     type: String,
-    enum: ['Umzug', 'Aufnahme', 'Mitarbeiter', 'User'],
+    enum: ['Umzug', 'Aufnahme', 'Mitarbeiter', 'User', 'Fahrzeug', 'Angebot', 'Rechnung', 'Dokument'],
     required: true
   },
   hochgeladenVon: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  beschreibung: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  // Nur bei Fotos: Maße nach dem Ausrichten, Aufnahmezeitpunkt aus EXIF und Varianten
+  bild: {
+    typ: {
+      type: String,
+      enum: ['uebersicht', 'detail', 'schaden', 'zugang']
+    },
+    breite: Number,
+    hoehe: Number,
+    aufgenommenAm: Date,
+    varianten: {
+      thumbnail: bildVarianteSchema,
+      web: bildVarianteSchema
+    }
   }
 }, { timestamps: true });
 
+uploadSchema.index({ bezugId: 1, createdAt: -1 });
+uploadSchema.index({ pfad: 1 });
+
+// Änderungsprotokoll
+uploadSchema.plugin(auditPlugin);
+
 const Upload = mongoose.model('Upload', uploadSchema);
 
 module.exports = Upload;
\ No newline at end of file
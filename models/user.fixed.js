@@ -360,18 +360,16 @@ userSchema.methods = {
     await this.save();
   },
   
-  // Generate 2FA secret
+  // Generate 2FA secret (Base32 for authenticator apps)
   generate2FASecret() {
-    const secret = crypto.randomBytes(20).toString('hex');
+    const secret = require('../services/zweifaktor.service').geheimnis();
     this.twoFactorSecret = secret;
     return secret;
   },
   
-  // Verify 2FA token
+  // Verify 2FA token (TOTP, RFC 6238)
   verify2FAToken(token) {
-    // Implement TOTP verification logic here
-    // This is a placeholder
-    return true;
+    return require('../services/zweifaktor.service').pruefeCode(this.twoFactorSecret, token) !== null;
   },
   
   // Update activity timestamp
@@ -1,7 +1,10 @@
 // models/user.js
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/audit-plugin');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto'); // Fix: Add crypto import
+const berechtigungenConfig = require('../config/berechtigungen.config');
+const RealtimeService = require('../services/realtime.service');
 
 // Improved email validation regex that better matches RFC 5322 standard
 const emailRegex = /^(([^<>()\[\]\\.,;:\s@"]+(\.[^<>()\[\]\\.,;:\s@"]+)*)|(".+"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/;
@@ -48,6 +51,28 @@ const userSchema = new mongoose.Schema({
     default: 'mitarbeiter',
     index: true
   },
+  // Named roles (Disponent, Buchhaltung, ...) replacing the default employee rights, see config/berechtigungen.config.js
+  roles: {
+    type: [{
+      type: String,
+      enum: {
+        values: Object.keys(berechtigungenConfig.rollen),
+        message: '{VALUE} ist keine gültige Rolle'
+      }
+    }],
+    default: []
+  },
+  // Individually granted permissions in addition to those of the roles
+  permissions: {
+    type: [{
+      type: String,
+      enum: {
+        values: berechtigungenConfig.liste,
+        message: '{VALUE} ist keine gültige Berechtigung'
+      }
+    }],
+    default: []
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -99,6 +124,33 @@ const userSchema = new mongoose.Schema({
   twoFactorSecret: {
     type: String,
     select: false
+  },
+  twoFactorConfirmedAt: {
+    type: Date
+  },
+  // SHA-256 hashes of the unused one-time recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step (prevents reusing a code)
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  // Pending second login step after a correct password
+  twoFactorChallenge: {
+    type: String,
+    select: false,
+    index: true
+  },
+  twoFactorChallengeExpire: {
+    type: Date,
+    select: false
+  },
+  twoFactorChallengeAttempts: {
+    type: Number,
+    select: false
   }
 }, { 
   timestamps: true,
@@ -110,6 +162,11 @@ const userSchema = new mongoose.Schema({
       delete ret.resetPasswordToken;
       delete ret.resetPasswordExpire;
       delete ret.twoFactorSecret;
+      delete ret.twoFactorRecoveryCodes;
+      delete ret.twoFactorLastStep;
+      delete ret.twoFactorChallenge;
+      delete ret.twoFactorChallengeExpire;
+      delete ret.twoFactorChallengeAttempts;
       delete ret.failedLoginAttempts;
       delete ret.__v;
       return ret;
@@ -122,6 +179,32 @@ userSchema.index({ email: 1, isActive: 1 });
 userSchema.index({ role: 1, isActive: 1 });
 userSchema.index({ name: 'text' });
 
+// Echtzeitverbindungen deaktivierter Konten trennen (einzeln, per Update oder als Sammelaktion)
+const UPDATES = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+
+userSchema.pre('save', function(next) {
+  this.$locals.deaktiviert = !this.isNew && this.isModified('isActive') && this.isActive === false;
+  next();
+});
+
+userSchema.post('save', function(doc) {
+  if (doc.$locals.deaktiviert) {
+    RealtimeService.benutzerTrennen(String(doc._id));
+  }
+});
+
+userSchema.pre(UPDATES, async function() {
+  const update = this.getUpdate() || {};
+  const isActive = update.$set && 'isActive' in update.$set ? update.$set.isActive : update.isActive;
+  this._deaktivierteBenutzer = String(isActive) === 'false'
+    ? await this.model.find(this.getFilter()).distinct('_id')
+    : [];
+});
+
+userSchema.post(UPDATES, function() {
+  (this._deaktivierteBenutzer || []).forEach(id => RealtimeService.benutzerTrennen(String(id)));
+});
+
 // Password hashing before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -206,5 +289,8 @@ userSchema.statics.findByRole = function(role) {
 // Will automatically expire tokens after their expiration
 userSchema.index({ resetPasswordExpire: 1 }, { expireAfterSeconds: 0 });
 
+// Änderungsprotokoll (Anmeldungen zählen nicht als Änderung)
+userSchema.plugin(auditPlugin, { ignorieren: ['lastLogin', 'failedLoginAttempts', 'lockedUntil'] });
+
 const User = mongoose.model('User', userSchema);
 module.exports = User;
\ No newline at end of file
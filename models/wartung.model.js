@@ -0,0 +1,87 @@
+// models/wartung.model.js - Wartungen, Hauptuntersuchungen und Reparaturen eines Fahrzeugs
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/audit-plugin');
+const Schema = mongoose.Schema;
+
+const WartungSchema = new Schema({
+  fahrzeug: {
+    type: Schema.Types.ObjectId,
+    ref: 'Fahrzeug',
+    required: true
+  },
+  art: {
+    type: String,
+    enum: ['Inspektion', 'Hauptuntersuchung', 'Ölwechsel', 'Reifenwechsel', 'Reparatur', 'Sonstiges'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['geplant', 'erledigt', 'storniert'],
+    default: 'geplant'
+  },
+  // Werkstatttermin; an diesen Tagen ist das Fahrzeug für die Disposition gesperrt
+  termin: {
+    type: Date,
+    required: true
+  },
+  terminBis: {
+    type: Date // mehrtägiger Werkstattaufenthalt
+  },
+  durchgefuehrtAm: {
+    type: Date
+  },
+  kilometerstand: {
+    type: Number, // Kilometerstand bei der Durchführung
+    min: 0
+  },
+  werkstatt: {
+    name: { type: String, trim: true },
+    ort: { type: String, trim: true },
+    telefon: { type: String, trim: true }
+  },
+  beschreibung: {
+    type: String
+  },
+  kosten: {
+    betrag: { type: Number, min: 0 }, // Bruttobetrag
+    steuersatz: { type: Number, enum: [0, 7, 19], default: 19 },
+    rechnungsnummer: { type: String, trim: true }
+  },
+  // Gebuchte Kosten (kategorie 'Fahrzeuge')
+  projektkosten: {
+    type: Schema.Types.ObjectId,
+    ref: 'Projektkosten'
+  },
+  // Ob die Disposition bereits an den Termin erinnert wurde
+  terminErinnert: {
+    type: Boolean,
+    default: false
+  },
+  erstelltVon: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  abgeschlossenVon: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+WartungSchema.pre('validate', function(next) {
+  if (this.terminBis && this.termin && this.terminBis < this.termin) {
+    this.invalidate('terminBis', 'Das Terminende darf nicht vor dem Terminbeginn liegen');
+  }
+  next();
+});
+
+WartungSchema.index({ fahrzeug: 1, termin: -1 });
+WartungSchema.index({ status: 1, termin: 1 });
+
+// Änderungsprotokoll
+WartungSchema.plugin(auditPlugin);
+
+const Wartung = mongoose.model('Wartung', WartungSchema);
+
+module.exports = Wartung;
@@ -1,5 +1,6 @@
 // models/zeiterfassung.model.js
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/audit-plugin');
 const Schema = mongoose.Schema;
 
 const zeiterfassungSchema = new Schema({
@@ -40,6 +41,23 @@ const zeiterfassungSchema = new Schema({
   notizen: {
     type: String
   },
+  // Nachträglich erfasst oder per Stempeluhr (dann mit Verweis auf die Stempelung)
+  quelle: {
+    type: String,
+    enum: ['manuell', 'stempeluhr'],
+    default: 'manuell'
+  },
+  stempelung: {
+    type: Schema.Types.ObjectId,
+    ref: 'Stempelung'
+  },
+  // Verstöße gegen das Arbeitszeitgesetz zum Zeitpunkt der Erfassung
+  arbzgVerstoesse: [{
+    _id: false,
+    art: String,
+    schwere: String,
+    meldung: String
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -62,4 +80,7 @@ zeiterfassungSchema.pre('findOneAndUpdate', function(next) {
   next();
 });
 
+// Änderungsprotokoll
+zeiterfassungSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Zeiterfassung', zeiterfassungSchema);
\ No newline at end of file
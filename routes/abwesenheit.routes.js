@@ -0,0 +1,74 @@
+// routes/abwesenheit.routes.js - Urlaubsanträge, Krankmeldungen, Urlaubskonto und Teamkalender
+const express = require('express');
+const router = express.Router();
+const abwesenheitController = require('../controllers/abwesenheit.controller');
+const { auth } = require('../middleware/auth');
+const { abwesenheit: abwesenheitValidation } = require('../middleware/validators');
+
+// All routes require authentication
+router.use(auth);
+
+// GET /api/abwesenheiten/kalender?von=&bis=[&abteilung=] - Team calendar
+router.get(
+  '/kalender',
+  abwesenheitValidation.kalender,
+  abwesenheitController.getKalender
+);
+
+// GET /api/abwesenheiten/urlaubskonto?[mitarbeiterId=&jahr=] - Leave account (own by default)
+router.get(
+  '/urlaubskonto',
+  abwesenheitValidation.konto,
+  abwesenheitController.getUrlaubskonto
+);
+
+// GET /api/abwesenheiten - List absences (own, or all for approvers)
+router.get(
+  '/',
+  abwesenheitValidation.list,
+  abwesenheitController.getAbwesenheiten
+);
+
+// POST /api/abwesenheiten - Request an absence or report a sickness
+router.post(
+  '/',
+  abwesenheitValidation.create,
+  abwesenheitController.createAbwesenheit
+);
+
+// GET /api/abwesenheiten/:id - Absence with conflicting moves
+router.get(
+  '/:id',
+  abwesenheitValidation.validateId,
+  abwesenheitController.getAbwesenheit
+);
+
+// POST /api/abwesenheiten/:id/genehmigen - Approve (abwesenheit:approve or a Vorarbeiter position)
+router.post(
+  '/:id/genehmigen',
+  abwesenheitValidation.validateId,
+  abwesenheitController.genehmigeAbwesenheit
+);
+
+// POST /api/abwesenheiten/:id/ablehnen - Reject (abwesenheit:approve or a Vorarbeiter position)
+router.post(
+  '/:id/ablehnen',
+  abwesenheitValidation.ablehnen,
+  abwesenheitController.lehneAbwesenheitAb
+);
+
+// POST /api/abwesenheiten/:id/stornieren - Cancel
+router.post(
+  '/:id/stornieren',
+  abwesenheitValidation.validateId,
+  abwesenheitController.storniereAbwesenheit
+);
+
+// POST /api/abwesenheiten/:id/au - Upload the medical certificate (field "datei")
+router.post(
+  '/:id/au',
+  abwesenheitValidation.validateId,
+  abwesenheitController.uploadAu
+);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// routes/apikey.routes.js - Personal API keys for integrations (website contact form, accounting sync)
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apikey.controller');
+const { auth } = require('../middleware/auth');
+const { apiKey: apiKeyValidation } = require('../middleware/validators');
+
+// All routes require authentication; API keys themselves cannot manage keys
+router.use(auth);
+
+// GET /api/api-keys/scopes - Available scopes
+router.get(
+  '/scopes',
+  apiKeyController.getScopes
+);
+
+// GET /api/api-keys[?userId=] - Own keys (benutzer:manage: all)
+router.get(
+  '/',
+  apiKeyValidation.list,
+  apiKeyController.getApiKeys
+);
+
+// POST /api/api-keys - Create a key { name, scopes, laeuftAb }
+router.post(
+  '/',
+  apiKeyValidation.create,
+  apiKeyController.createApiKey
+);
+
+// POST /api/api-keys/:id/rotieren - Replace the secret
+router.post(
+  '/:id/rotieren',
+  apiKeyValidation.validateId,
+  apiKeyController.rotiereApiKey
+);
+
+// DELETE /api/api-keys/:id - Revoke
+router.delete(
+  '/:id',
+  apiKeyValidation.validateId,
+  apiKeyController.widerrufeApiKey
+);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// routes/audit.routes.js - Audit trail of all create/update/delete operations
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/audit.controller');
+const { auth, checkPermission } = require('../middleware/auth');
+const { audit: auditValidation } = require('../middleware/validators');
+const pagination = require('../middleware/pagination.fixed');
+
+// All routes require authentication
+router.use(auth);
+
+// GET /api/audit?entitaet=&entitaetId=&benutzer=&aktion=&feld=&von=&bis= - Query the audit log
+router.get(
+  '/',
+  checkPermission('audit:read'),
+  pagination.paginateOffset({ defaultLimit: 50, maxLimit: 200, defaultSort: { zeitpunkt: -1 } }),
+  auditValidation.list,
+  auditController.getAuditLog
+);
+
+module.exports = router;
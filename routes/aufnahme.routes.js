@@ -11,18 +11,21 @@ router.use(authMiddleware.auth);
 // GET /api/aufnahmen - Alle Aufnahmen abrufen
 router.get(
   '/',
+  authMiddleware.checkPermission('aufnahme:read'),
   aufnahmeController.getAllAufnahmen
 );
 
 // GET /api/aufnahmen/:id - Eine Aufnahme nach ID abrufen
 router.get(
   '/:id',
+  authMiddleware.checkPermission('aufnahme:read'),
   aufnahmeController.getAufnahmeById
 );
 
 // POST /api/aufnahmen - Neue Aufnahme erstellen
 router.post(
   '/',
+  authMiddleware.checkPermission('aufnahme:write'),
   validators.aufnahmeValidation,
   aufnahmeController.createAufnahme
 );
@@ -30,30 +33,50 @@ router.post(
 // PUT /api/aufnahmen/:id - Aufnahme aktualisieren
 router.put(
   '/:id',
+  authMiddleware.checkPermission('aufnahme:write'),
   aufnahmeController.updateAufnahme
 );
 
 // POST /api/aufnahmen/:id/raum - Raum hinzufügen
 router.post(
   '/:id/raum',
+  authMiddleware.checkPermission('aufnahme:write'),
   aufnahmeController.addRaum
 );
 
 // POST /api/aufnahmen/:id/raum/:raumId/moebel - Möbel hinzufügen
 router.post(
   '/:id/raum/:raumId/moebel',
+  authMiddleware.checkPermission('aufnahme:write'),
   aufnahmeController.addMoebel
 );
 
+// GET /api/aufnahmen/:id/bilder - Fotos mit Metadaten und signierten Links (Vorschau, Web, Original)
+router.get(
+  '/:id/bilder',
+  authMiddleware.checkPermission('aufnahme:read'),
+  aufnahmeController.getBilder
+);
+
 // POST /api/aufnahmen/:id/bild - Bild hinzufügen
 router.post(
   '/:id/bild',
+  authMiddleware.checkPermission('aufnahme:write'),
   aufnahmeController.addBild
 );
 
-// POST /api/aufnahmen/:id/angebot - Angebot erstellen
+// GET /api/aufnahmen/:id/angebot/kalkulation - Angebotskalkulation als Vorschau
+router.get(
+  '/:id/angebot/kalkulation',
+  authMiddleware.checkPermission('angebot:read'),
+  aufnahmeController.kalkuliereAngebot
+);
+
+// POST /api/aufnahmen/:id/angebot - Angebot aus dem Inventar erstellen
 router.post(
   '/:id/angebot',
+  authMiddleware.checkPermission('angebot:write'),
+  validators.angebotAusAufnahmeValidation,
   aufnahmeController.erstelleAngebot
 );
 
@@ -2,13 +2,16 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
-const { auth } = require('../middleware/auth');
+const zweiFaktorController = require('../controllers/zweifaktor.controller');
+const { auth, checkPermission } = require('../middleware/auth');
 const { auth: authValidation } = require('../middleware/validators');
 
 // Public routes with validation
 router.post('/register', authValidation.register, authController.register);
 router.post('/login', authValidation.login, authController.login);
 router.post('/refresh', authController.refreshToken);
+// Second login step with a TOTP or recovery code
+router.post('/2fa/login', authValidation.zweiFaktorLogin, authController.loginZweiFaktor);
 
 // Admin creation route (should be protected in production)
 router.post('/create-admin', authValidation.createAdmin, authController.createAdmin);
@@ -17,6 +20,14 @@ router.post('/create-admin', authValidation.createAdmin, authController.createAd
 router.get('/me', auth, authController.getMe);
 router.get('/check', auth, authController.checkAuth);
 
+// Two-factor authentication (TOTP)
+router.get('/2fa', auth, zweiFaktorController.getStatus);
+router.post('/2fa/setup', auth, zweiFaktorController.setup);
+router.post('/2fa/verify', auth, authValidation.zweiFaktorCode, zweiFaktorController.verify);
+router.post('/2fa/recovery-codes', auth, authValidation.zweiFaktorCode, zweiFaktorController.erneuereWiederherstellungscodes);
+router.post('/2fa/disable', auth, authValidation.zweiFaktorCode, zweiFaktorController.deaktivieren);
+router.delete('/2fa/:userId', auth, checkPermission('benutzer:manage'), zweiFaktorController.zuruecksetzen);
+
 // New routes for password management (if controllers exist)
 // router.post('/change-password', auth, authValidation.changePassword, authController.changePassword);
 // router.post('/reset-password-request', authValidation.resetPasswordRequest, authController.resetPasswordRequest);
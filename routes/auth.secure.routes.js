@@ -2,8 +2,11 @@
 const express = require('express');
 const router = express.Router();
 const AuthController = require('../controllers/auth.secure.controller');
+const zweiFaktorController = require('../controllers/zweifaktor.controller');
+const { auth: authValidation } = require('../middleware/validators');
 const { body, validationResult } = require('express-validator');
 const { authenticate, authLimiter, refreshTokenMiddleware } = require('../middleware/auth.secure');
+const { checkPermission } = require('../middleware/auth');
 
 // Validation rules
 const registerValidation = [
@@ -53,6 +56,7 @@ const resetPasswordValidation = [
 // Public routes with rate limiting
 router.post('/register', authLimiter, registerValidation, AuthController.register);
 router.post('/login', authLimiter, loginValidation, AuthController.login);
+router.post('/2fa/login', authLimiter, authValidation.zweiFaktorLogin, AuthController.loginZweiFaktor);
 router.post('/forgot-password', authLimiter, forgotPasswordValidation, AuthController.forgotPassword);
 router.post('/reset-password', authLimiter, resetPasswordValidation, AuthController.resetPassword);
 
@@ -71,6 +75,14 @@ router.post('/logout-all', authenticate, AuthController.logoutAll);
 router.get('/sessions', authenticate, AuthController.getSessions);
 router.delete('/sessions/:sessionId', authenticate, AuthController.revokeSession);
 
+// Two-factor authentication (TOTP)
+router.get('/2fa', authenticate, zweiFaktorController.getStatus);
+router.post('/2fa/setup', authenticate, zweiFaktorController.setup);
+router.post('/2fa/verify', authenticate, authValidation.zweiFaktorCode, zweiFaktorController.verify);
+router.post('/2fa/recovery-codes', authenticate, authValidation.zweiFaktorCode, zweiFaktorController.erneuereWiederherstellungscodes);
+router.post('/2fa/disable', authenticate, authValidation.zweiFaktorCode, zweiFaktorController.deaktivieren);
+router.delete('/2fa/:userId', authenticate, checkPermission('benutzer:manage'), zweiFaktorController.zuruecksetzen);
+
 // Health check route
 router.get('/health', (req, res) => {
   res.json({
@@ -2,7 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const benachrichtigungController = require('../controllers/benachrichtigung.controller');
-const { auth, checkRole } = require('../middleware/auth');
+const { auth, checkPermission } = require('../middleware/auth');
 const pagination = require('../middleware/pagination');
 const validate = require('../middleware/validators/benachrichtigung.validators');
 
@@ -57,33 +57,33 @@ router.put(
   benachrichtigungController.updateEinstellungen
 );
 
-// POST /api/benachrichtigungen - Neue Benachrichtigung erstellen (benötigt Admin-Rolle)
+// POST /api/benachrichtigungen - Neue Benachrichtigung erstellen (benötigt benachrichtigung:send)
 router.post(
   '/',
-  checkRole('admin'),
+  checkPermission('benachrichtigung:send'),
   validate.validateCreate,
   benachrichtigungController.createBenachrichtigung
 );
 
-// POST /api/benachrichtigungen/masse - Massenbenachrichtigungen erstellen (benötigt Admin-Rolle)
+// POST /api/benachrichtigungen/masse - Massenbenachrichtigungen erstellen (benötigt benachrichtigung:send)
 router.post(
   '/masse',
-  checkRole('admin'),
+  checkPermission('benachrichtigung:send'),
   validate.validateMass,
   benachrichtigungController.createMassenbenachrichtigung
 );
 
-// POST /api/benachrichtigungen/task-erinnerungen - Erinnerungen für offene Tasks erstellen (benötigt Admin-Rolle)
+// POST /api/benachrichtigungen/task-erinnerungen - Erinnerungen für offene Tasks erstellen (benötigt benachrichtigung:send)
 router.post(
   '/task-erinnerungen',
-  checkRole('admin'),
+  checkPermission('benachrichtigung:send'),
   benachrichtigungController.erstelleTaskErinnerungen
 );
 
-// POST /api/benachrichtigungen/email - E-Mail-Benachrichtigung senden (benötigt Admin-Rolle)
+// POST /api/benachrichtigungen/email - E-Mail-Benachrichtigung senden (benötigt benachrichtigung:send)
 router.post(
   '/email',
-  checkRole('admin'),
+  checkPermission('benachrichtigung:send'),
   validate.validateEmail,
   benachrichtigungController.sendEmailBenachrichtigung
 );
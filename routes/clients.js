@@ -2,22 +2,22 @@
 const express = require('express');
 const router = express.Router();
 const clientController = require('../controllers/clientController');
-const { protect } = require('../middleware/auth');
+const { protect, checkPermission } = require('../middleware/auth');
 const validation = require('../middleware/validation');
 
 // POST /api/clients
-router.post('/', protect, validation.clientValidation, clientController.createClient);
+router.post('/', protect, checkPermission('client:write'), validation.clientValidation, clientController.createClient);
 
 // GET /api/clients
-router.get('/', protect, clientController.getClients);
+router.get('/', protect, checkPermission('client:read'), clientController.getClients);
 
 // GET /api/clients/:id
-router.get('/:id', protect, clientController.getClientById);
+router.get('/:id', protect, checkPermission('client:read'), clientController.getClientById);
 
 // PUT /api/clients/:id
-router.put('/:id', protect, validation.clientValidation, clientController.updateClient);
+router.put('/:id', protect, checkPermission('client:write'), validation.clientValidation, clientController.updateClient);
 
 // DELETE /api/clients/:id
-router.delete('/:id', protect, clientController.deleteClient);
+router.delete('/:id', protect, checkPermission('client:delete'), clientController.deleteClient);
 
 module.exports = router;
\ No newline at end of file
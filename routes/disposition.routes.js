@@ -0,0 +1,41 @@
+// routes/disposition.routes.js
+const express = require('express');
+const router = express.Router();
+const dispositionController = require('../controllers/disposition.controller');
+const { auth, checkPermission } = require('../middleware/auth');
+const { query, validationResult } = require('express-validator');
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map(err => ({
+        field: err.path,
+        message: err.msg
+      }))
+    });
+  }
+  next();
+};
+
+// All routes require authentication
+router.use(auth);
+
+// GET /api/disposition?von=&bis= - Resource board per day
+router.get('/',
+  checkPermission('disposition:read'),
+  query('von')
+    .notEmpty().withMessage('Startdatum (von) ist erforderlich')
+    .isISO8601().withMessage('Ungültiges Startdatum'),
+  query('bis')
+    .notEmpty().withMessage('Enddatum (bis) ist erforderlich')
+    .isISO8601().withMessage('Ungültiges Enddatum')
+    .custom((value, { req }) => new Date(value) >= new Date(req.query.von))
+    .withMessage('Enddatum muss nach oder am Startdatum liegen'),
+  validate,
+  dispositionController.getRessourcenplan
+);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// routes/dsgvo.routes.js - Auskunft und Löschung personenbezogener Daten (Art. 15, 17 DSGVO)
+const express = require('express');
+const router = express.Router();
+const dsgvoController = require('../controllers/dsgvo.controller');
+const { auth, checkPermission } = require('../middleware/auth');
+const { dsgvo: dsgvoValidation } = require('../middleware/validators');
+
+// All routes require authentication and the DSGVO permission (administrators)
+router.use(auth);
+router.use(checkPermission('dsgvo:manage'));
+
+// GET /api/dsgvo/auskunft?typ=kunde&email=&telefon=&clientId= | ?typ=mitarbeiter&mitarbeiterId= - JSON export
+router.get('/auskunft', dsgvoValidation.auskunft, dsgvoController.getAuskunft);
+
+// POST /api/dsgvo/loeschung - Pseudonymize/delete personal data, keep records under retention (vorschau: dry run)
+router.post('/loeschung', dsgvoValidation.loeschung, dsgvoController.loeschePerson);
+
+module.exports = router;
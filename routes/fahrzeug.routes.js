@@ -12,14 +12,38 @@ router.use(authMiddleware.auth);
 // GET /api/fahrzeuge - Get all vehicles with pagination
 router.get(
   '/',
+  authMiddleware.checkPermission('fahrzeug:read'),
   pagination.paginateOffset(20, 100),
   fahrzeugValidation.list,
   fahrzeugController.getAllFahrzeuge
 );
 
+// GET /api/fahrzeuge/wartungen/faellig - Vehicles with maintenance or TÜV due soon or overdue
+router.get(
+  '/wartungen/faellig',
+  authMiddleware.checkPermission('fahrzeug:read'),
+  fahrzeugController.getFaelligeWartungen
+);
+
+// POST /api/fahrzeuge/wartungen/pruefung - Run the maintenance check now
+router.post(
+  '/wartungen/pruefung',
+  authMiddleware.checkPermission('fahrzeug:write'),
+  fahrzeugController.wartungspruefung
+);
+
+// GET /api/fahrzeuge/fahrtenbuch/umzugskosten - Kilometres and fuel costs per Umzug
+router.get(
+  '/fahrtenbuch/umzugskosten',
+  authMiddleware.checkPermission('fahrtenbuch:close'),
+  fahrzeugValidation.umzugskostenFahrtenbuch,
+  fahrzeugController.getUmzugskosten
+);
+
 // GET /api/fahrzeuge/:id - Get vehicle by ID
 router.get(
   '/:id',
+  authMiddleware.checkPermission('fahrzeug:read'),
   fahrzeugValidation.validateId,
   fahrzeugController.getFahrzeugById
 );
@@ -27,6 +51,7 @@ router.get(
 // POST /api/fahrzeuge - Create new vehicle
 router.post(
   '/',
+  authMiddleware.checkPermission('fahrzeug:write'),
   fahrzeugValidation.create,
   fahrzeugController.createFahrzeug
 );
@@ -34,6 +59,7 @@ router.post(
 // PUT /api/fahrzeuge/:id - Update vehicle
 router.put(
   '/:id',
+  authMiddleware.checkPermission('fahrzeug:write'),
   fahrzeugValidation.update,
   fahrzeugController.updateFahrzeug
 );
@@ -41,13 +67,15 @@ router.put(
 // PATCH /api/fahrzeuge/:id/status - Update vehicle status
 router.patch(
   '/:id/status',
+  authMiddleware.checkPermission('fahrzeug:write'),
   fahrzeugValidation.updateStatus,
   fahrzeugController.updateFahrzeugStatus
 );
 
-// PATCH /api/fahrzeuge/:id/kilometerstand - Update kilometer reading
+// PATCH /api/fahrzeuge/:id/kilometerstand - Update kilometer reading (vehicles without logbook)
 router.patch(
   '/:id/kilometerstand',
+  authMiddleware.checkPermission('fahrzeug:write'),
   fahrzeugValidation.updateKilometerstand,
   fahrzeugController.updateKilometerstand
 );
@@ -55,6 +83,7 @@ router.patch(
 // DELETE /api/fahrzeuge/:id - Delete vehicle
 router.delete(
   '/:id',
+  authMiddleware.checkPermission('fahrzeug:delete'),
   fahrzeugValidation.validateId,
   fahrzeugController.deleteFahrzeug
 );
@@ -62,8 +91,113 @@ router.delete(
 // POST /api/fahrzeuge/:id/image - Upload vehicle image
 router.post(
   '/:id/image',
+  authMiddleware.checkPermission('fahrzeug:write'),
   fahrzeugValidation.validateId,
   fahrzeugController.uploadFahrzeugImage
 );
 
+// GET /api/fahrzeuge/:id/wartungen - Maintenance log and due dates
+router.get(
+  '/:id/wartungen',
+  authMiddleware.checkPermission('fahrzeug:read'),
+  fahrzeugValidation.listWartungen,
+  fahrzeugController.getWartungen
+);
+
+// POST /api/fahrzeuge/:id/wartungen - Plan a maintenance or record a performed one
+router.post(
+  '/:id/wartungen',
+  authMiddleware.checkPermission('fahrzeug:write'),
+  fahrzeugValidation.createWartung,
+  fahrzeugController.createWartung
+);
+
+// PUT /api/fahrzeuge/:id/wartungen/:wartungId - Update a planned maintenance
+router.put(
+  '/:id/wartungen/:wartungId',
+  authMiddleware.checkPermission('fahrzeug:write'),
+  fahrzeugValidation.updateWartung,
+  fahrzeugController.updateWartung
+);
+
+// POST /api/fahrzeuge/:id/wartungen/:wartungId/abschliessen - Complete a maintenance and book its costs
+router.post(
+  '/:id/wartungen/:wartungId/abschliessen',
+  authMiddleware.checkPermission('fahrzeug:write'),
+  fahrzeugValidation.abschliessenWartung,
+  fahrzeugController.abschliessenWartung
+);
+
+// DELETE /api/fahrzeuge/:id/wartungen/:wartungId - Cancel a planned maintenance
+router.delete(
+  '/:id/wartungen/:wartungId',
+  authMiddleware.checkPermission('fahrzeug:delete'),
+  fahrzeugValidation.validateWartungId,
+  fahrzeugController.stornierenWartung
+);
+
+// PUT /api/fahrzeuge/:id/wartungsintervalle - Replace the interval rules
+router.put(
+  '/:id/wartungsintervalle',
+  authMiddleware.checkPermission('fahrzeug:write'),
+  fahrzeugValidation.updateWartungsintervalle,
+  fahrzeugController.updateWartungsintervalle
+);
+
+// GET /api/fahrzeuge/:id/fahrtenbuch - Logbook with trips and fuel purchases
+router.get(
+  '/:id/fahrtenbuch',
+  authMiddleware.checkPermission('fahrzeug:read'),
+  fahrzeugValidation.listFahrtenbuch,
+  fahrzeugController.getFahrtenbuch
+);
+
+// POST /api/fahrzeuge/:id/fahrtenbuch/fahrten - Record a trip
+router.post(
+  '/:id/fahrtenbuch/fahrten',
+  authMiddleware.checkPermission('fahrtenbuch:write'),
+  fahrzeugValidation.createFahrt,
+  fahrzeugController.createFahrt
+);
+
+// POST /api/fahrzeuge/:id/fahrtenbuch/tankungen - Record a fuel purchase
+router.post(
+  '/:id/fahrtenbuch/tankungen',
+  authMiddleware.checkPermission('fahrtenbuch:write'),
+  fahrzeugValidation.createTankung,
+  fahrzeugController.createTankung
+);
+
+// POST /api/fahrzeuge/:id/fahrtenbuch/:eintragId/korrektur - Correct or cancel an entry by counter-entry
+router.post(
+  '/:id/fahrtenbuch/:eintragId/korrektur',
+  authMiddleware.checkPermission('fahrtenbuch:write'),
+  fahrzeugValidation.korrigiereFahrtenbuch,
+  fahrzeugController.korrigiereFahrtenbuch
+);
+
+// POST /api/fahrzeuge/:id/fahrtenbuch/abschluss - Close a month
+router.post(
+  '/:id/fahrtenbuch/abschluss',
+  authMiddleware.checkPermission('fahrtenbuch:close'),
+  fahrzeugValidation.abschliessenFahrtenbuch,
+  fahrzeugController.abschliessenFahrtenbuch
+);
+
+// GET /api/fahrzeuge/:id/fahrtenbuch/pruefung - Verify that no entry was altered
+router.get(
+  '/:id/fahrtenbuch/pruefung',
+  authMiddleware.checkPermission('fahrtenbuch:close'),
+  fahrzeugValidation.validateId,
+  fahrzeugController.pruefeFahrtenbuch
+);
+
+// GET /api/fahrzeuge/:id/fahrtenbuch/verbrauch - Consumption per 100 km and fuel costs
+router.get(
+  '/:id/fahrtenbuch/verbrauch',
+  authMiddleware.checkPermission('fahrzeug:read'),
+  fahrzeugValidation.verbrauchFahrtenbuch,
+  fahrzeugController.getVerbrauch
+);
+
 module.exports = router;
\ No newline at end of file
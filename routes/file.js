@@ -2,16 +2,16 @@
 const express = require('express');
 const router = express.Router();
 const fileController = require('../controllers/fileController');
-const { protect } = require('../middleware/auth');
+const { protect, checkPermission } = require('../middleware/auth');
 
 // POST /api/files/upload
-router.post('/upload', protect, fileController.upload.single('file'), fileController.uploadFile);
+router.post('/upload', protect, checkPermission('upload:write'), fileController.upload.single('file'), fileController.uploadFile);
 
 // GET /api/files
-router.get('/', protect, fileController.getFiles);
+router.get('/', protect, checkPermission('upload:read', 'upload:write'), fileController.getFiles);
 
 // DELETE /api/files/:id
-router.delete('/:id', protect, fileController.deleteFile);
+router.delete('/:id', protect, checkPermission('upload:write', 'upload:manage'), fileController.deleteFile);
 
 // GET /api/files/download/:id - Route zum Herunterladen einer Datei
 
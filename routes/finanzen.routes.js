@@ -1,7 +1,7 @@
 // routes/finanzen.routes.js - Updated with new validation system
 const express = require('express');
 const router = express.Router();
-const { auth, adminOnly } = require('../middleware/auth');
+const { auth, checkPermission } = require('../middleware/auth');
 const finanzenController = require('../controllers/finanzen.controller');
 const finanzenValidation = require('../middleware/validators/finanzen.validators');
 
@@ -9,86 +9,142 @@ const finanzenValidation = require('../middleware/validators/finanzen.validators
 router.use(auth);
 
 // Finanzübersicht routes
-router.get('/uebersicht', finanzenController.getFinanzuebersicht);
+router.get('/uebersicht', 
+  checkPermission('finanzen:read'),
+  finanzenController.getFinanzuebersicht
+);
 router.get('/monatsuebersicht/:jahr', 
+  checkPermission('finanzen:read'),
   finanzenValidation.validateJahr,
   finanzenController.getMonatsuebersicht
 );
 router.get('/monat/:monat/:jahr', 
+  checkPermission('finanzen:read'),
   finanzenValidation.validateMonatJahr,
   finanzenController.getMonatsdetails
 );
 
 // Angebote (quotes) routes
 router.get('/angebote', 
+  checkPermission('angebot:read'),
   finanzenValidation.listAngebote,
   finanzenController.getAngebote
 );
 router.get('/angebote/:id', 
+  checkPermission('angebot:read'),
   finanzenValidation.validateId,
   finanzenController.getAngebotById
 );
 router.post('/angebote', 
+  checkPermission('angebot:write'),
   finanzenValidation.createAngebot,
   finanzenController.createAngebot
 );
 router.put('/angebote/:id', 
+  checkPermission('angebot:write'),
   finanzenValidation.validateId,
   finanzenValidation.updateAngebot,
   finanzenController.updateAngebot
 );
 router.delete('/angebote/:id', 
+  checkPermission('angebot:delete'),
   finanzenValidation.validateId,
   finanzenController.deleteAngebot
 );
 
 // Rechnungen (invoices) routes
 router.get('/rechnungen', 
+  checkPermission('rechnung:read'),
   finanzenValidation.listRechnungen,
   finanzenController.getRechnungen
 );
 router.get('/rechnungen/:id', 
+  checkPermission('rechnung:read'),
   finanzenValidation.validateId,
   finanzenController.getRechnungById
 );
+router.get('/rechnungen/:id/pdf', 
+  checkPermission('rechnung:read'),
+  finanzenValidation.validateId,
+  finanzenController.getRechnungPdf
+);
+router.get('/rechnungen/:id/xrechnung', 
+  checkPermission('rechnung:read'),
+  finanzenValidation.validateId,
+  finanzenValidation.eRechnung,
+  finanzenController.getRechnungXRechnung
+);
+router.get('/rechnungen/:id/zugferd', 
+  checkPermission('rechnung:read'),
+  finanzenValidation.validateId,
+  finanzenController.getRechnungZugferd
+);
 router.post('/rechnungen', 
+  checkPermission('rechnung:write'),
   finanzenValidation.createRechnung,
   finanzenController.createRechnung
 );
 router.put('/rechnungen/:id', 
+  checkPermission('rechnung:write'),
   finanzenValidation.validateId,
   finanzenValidation.updateRechnung,
   finanzenController.updateRechnung
 );
 router.delete('/rechnungen/:id', 
+  checkPermission('rechnung:delete'),
   finanzenValidation.validateId,
   finanzenController.deleteRechnung
 );
 router.put('/rechnungen/:id/bezahlt', 
+  checkPermission('rechnung:approve'),
   finanzenValidation.validateId,
   finanzenValidation.markRechnungAsPaid,
   finanzenController.markRechnungAsBezahlt
 );
+router.get('/rechnungen/:id/mahnungen/:mahnstufe/pdf', 
+  checkPermission('rechnung:read'),
+  finanzenValidation.validateMahnung,
+  finanzenController.getMahnungPdf
+);
+
+// Mahnwesen (dunning) routes
+router.post('/mahnlauf', 
+  checkPermission('mahnwesen:run'),
+  finanzenValidation.mahnlauf,
+  finanzenController.mahnlauf
+);
+
+// Export routes
+router.get('/export/datev', 
+  checkPermission('finanzen:export'),
+  finanzenValidation.datevExport,
+  finanzenController.exportDatev
+);
 
 // Projektkosten (project costs) routes
 router.get('/projektkosten', 
+  checkPermission('projektkosten:read'),
   finanzenValidation.listProjektkosten,
   finanzenController.getProjektkosten
 );
 router.get('/projektkosten/:id', 
+  checkPermission('projektkosten:read'),
   finanzenValidation.validateId,
   finanzenController.getProjektkostenById
 );
 router.post('/projektkosten', 
+  checkPermission('projektkosten:write'),
   finanzenValidation.createProjektkosten,
   finanzenController.createProjektkosten
 );
 router.put('/projektkosten/:id', 
+  checkPermission('projektkosten:write'),
   finanzenValidation.validateId,
   finanzenValidation.updateProjektkosten,
   finanzenController.updateProjektkosten
 );
 router.delete('/projektkosten/:id', 
+  checkPermission('projektkosten:delete'),
   finanzenValidation.validateId,
   finanzenController.deleteProjektkosten
 );
@@ -1,7 +1,8 @@
 // Aktualisierte routes/index.js
 const express = require('express');
 const router = express.Router();
-const { protect, admin } = require('../middleware/auth'); // ODER verwende auth.middleware.js
+const { protect, admin, schuetzePersonaldaten } = require('../middleware/auth'); // ODER verwende auth.middleware.js
+const { auditKontext } = require('../middleware/audit');
 const fileController = require('../controllers/fileController');
 
 // Importieren der Routen mit korrekten Pfaden
@@ -20,6 +21,12 @@ const zeiterfassungRoutes = require('./zeiterfassung.routes');
 const finanzenRoutes = require('./finanzen.routes');
 const fahrzeugRoutes = require('./fahrzeug.routes');
 const configRoutes = require('./config.routes');
+const dispositionRoutes = require('./disposition.routes');
+const abwesenheitRoutes = require('./abwesenheit.routes');
+const portalRoutes = require('./portal.routes');
+const apiKeyRoutes = require('./apikey.routes');
+const auditRoutes = require('./audit.routes');
+const dsgvoRoutes = require('./dsgvo.routes');
 
 // Health-Check-Route für API-Verfügbarkeitsprüfung
 router.get('/health', (req, res) => {
@@ -39,6 +46,12 @@ router.get('/', (req, res) => {
   });
 });
 
+// Gehalt und Notfallkontakt nur für berechtigte Benutzer (greift auf alle folgenden Routen)
+router.use(schuetzePersonaldaten);
+
+// Benutzer und IP für das Änderungsprotokoll
+router.use(auditKontext);
+
 // Zuweisen der Routen
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
@@ -55,6 +68,12 @@ router.use('/zeiterfassung', zeiterfassungRoutes); // Neue Route für Zeiterfass
 router.use('/finanzen', finanzenRoutes); // Neue Route für Finanzen registriert
 router.use('/fahrzeuge', fahrzeugRoutes); // Neue Route für Fahrzeuge registriert
 router.use('/config', configRoutes); // Configuration endpoints
+router.use('/disposition', dispositionRoutes); // Einsatzplanung für Mitarbeiter und Fahrzeuge
+router.use('/abwesenheiten', abwesenheitRoutes); // Urlaub, Krankmeldungen und Teamkalender
+router.use('/api-keys', apiKeyRoutes); // Persönliche API-Schlüssel für Integrationen
+router.use('/audit', auditRoutes); // Änderungsprotokoll (GoBD, DSGVO)
+router.use('/dsgvo', dsgvoRoutes); // Auskunft und Löschung personenbezogener Daten
+router.use('/portal', portalRoutes); // Kundenportal mit eigenen Anmeldelinks (keine Mitarbeiter-JWTs)
 
 // Route zum Löschen aller Beispieldaten (nur für Admins)
 router.delete('/delete-example-data', protect, admin, fileController.deleteAllExampleData);
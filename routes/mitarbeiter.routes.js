@@ -12,6 +12,7 @@ router.use(authMiddleware.auth);
 // GET /api/mitarbeiter - Get all employees with pagination
 router.get(
   '/',
+  authMiddleware.checkPermission('mitarbeiter:read'),
   pagination.paginateOffset(20, 100),
   mitarbeiterValidation.list,
   mitarbeiterController.getAllMitarbeiter
@@ -20,6 +21,7 @@ router.get(
 // GET /api/mitarbeiter/:id - Get employee by ID
 router.get(
   '/:id',
+  authMiddleware.checkPermission('mitarbeiter:read'),
   mitarbeiterValidation.validateId,
   mitarbeiterController.getMitarbeiterById
 );
@@ -27,6 +29,7 @@ router.get(
 // POST /api/mitarbeiter - Create new employee
 router.post(
   '/',
+  authMiddleware.checkPermission('mitarbeiter:write'),
   mitarbeiterValidation.create,
   mitarbeiterController.createMitarbeiter
 );
@@ -34,6 +37,7 @@ router.post(
 // PUT /api/mitarbeiter/:id - Update employee
 router.put(
   '/:id',
+  authMiddleware.checkPermission('mitarbeiter:write'),
   mitarbeiterValidation.validateId,
   mitarbeiterValidation.update,
   mitarbeiterController.updateMitarbeiter
@@ -42,6 +46,7 @@ router.put(
 // POST /api/mitarbeiter/:id/arbeitszeit - Add work time
 router.post(
   '/:id/arbeitszeit',
+  authMiddleware.checkPermission('mitarbeiter:write'),
   mitarbeiterValidation.validateId,
   mitarbeiterValidation.addArbeitszeit,
   mitarbeiterController.addArbeitszeit
@@ -50,6 +55,7 @@ router.post(
 // GET /api/mitarbeiter/:id/arbeitszeit - Get work times for an employee
 router.get(
   '/:id/arbeitszeit',
+  authMiddleware.checkPermission('mitarbeiter:read'),
   mitarbeiterValidation.validateId,
   mitarbeiterValidation.arbeitszeitQuery,
   mitarbeiterController.getArbeitszeiten
@@ -58,6 +64,7 @@ router.get(
 // POST /api/mitarbeiter/:id/dokument - Add document
 router.post(
   '/:id/dokument',
+  authMiddleware.checkPermission('mitarbeiter:write'),
   mitarbeiterValidation.validateId,
   mitarbeiterValidation.addDokument,
   mitarbeiterController.addDokument
@@ -66,6 +73,7 @@ router.post(
 // DELETE /api/mitarbeiter/:id - Delete employee
 router.delete(
   '/:id',
+  authMiddleware.checkPermission('mitarbeiter:delete'),
   mitarbeiterValidation.validateId,
   mitarbeiterController.deleteMitarbeiter
 );
@@ -73,6 +81,7 @@ router.delete(
 // POST /api/mitarbeiter/:id/profile-image - Upload profile image
 router.post(
   '/:id/profile-image',
+  authMiddleware.checkPermission('mitarbeiter:write'),
   mitarbeiterValidation.validateId,
   mitarbeiterController.uploadProfileImage
 );
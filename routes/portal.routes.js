@@ -0,0 +1,67 @@
+// routes/portal.routes.js - Kundenportal
+const express = require('express');
+const router = express.Router();
+const portalController = require('../controllers/portal.controller');
+const { portalAuth } = require('../middleware/portalAuth');
+const { body, param, validationResult } = require('express-validator');
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map(err => ({
+        field: err.path,
+        message: err.msg
+      }))
+    });
+  }
+  next();
+};
+
+const validateId = [
+  param('id').isMongoId().withMessage('Ungültige ID'),
+  validate
+];
+
+// POST /api/portal/link - Request a login link (public)
+router.post('/link',
+  body('email')
+    .isEmail().withMessage('Gültige E-Mail-Adresse ist erforderlich')
+    .normalizeEmail({ gmail_remove_dots: false }),
+  validate,
+  portalController.requestLink
+);
+
+// All further routes require a valid portal link
+router.use(portalAuth);
+
+router.get('/umzuege', portalController.getUmzuege);
+router.get('/umzuege/:id', validateId, portalController.getUmzug);
+router.get('/umzuege/:id/dokumente/:dokumentId',
+  param('id').isMongoId().withMessage('Ungültige ID'),
+  param('dokumentId').isMongoId().withMessage('Ungültige Dokument-ID'),
+  validate,
+  portalController.downloadDokument
+);
+router.post('/umzuege/:id/bewertung',
+  param('id').isMongoId().withMessage('Ungültige ID'),
+  body('bewertung')
+    .isInt({ min: 1, max: 5 }).withMessage('Bewertung muss zwischen 1 und 5 liegen')
+    .toInt(),
+  body('kommentar')
+    .optional()
+    .isString().trim()
+    .isLength({ max: 1000 }).withMessage('Kommentar darf maximal 1000 Zeichen lang sein'),
+  validate,
+  portalController.bewerteUmzug
+);
+
+router.get('/rechnungen', portalController.getRechnungen);
+router.get('/rechnungen/:id/pdf', validateId, portalController.getRechnungPdf);
+
+router.get('/angebote', portalController.getAngebote);
+router.post('/angebote/:id/akzeptieren', validateId, portalController.akzeptiereAngebot);
+
+module.exports = router;
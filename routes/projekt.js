@@ -2,22 +2,22 @@
 const express = require('express');
 const router = express.Router();
 const projectController = require('../controllers/projectController');
-const { protect } = require('../middleware/auth');
+const { protect, checkPermission } = require('../middleware/auth');
 const validation = require('../middleware/validation');
 
 // POST /api/projects
-router.post('/', protect, validation.projectValidation, projectController.createProject);
+router.post('/', protect, checkPermission('projekt:write'), validation.projectValidation, projectController.createProject);
 
 // GET /api/projects
-router.get('/', protect, projectController.getProjects);
+router.get('/', protect, checkPermission('projekt:read'), projectController.getProjects);
 
 // GET /api/projects/:id
-router.get('/:id', protect, projectController.getProjectById);
+router.get('/:id', protect, checkPermission('projekt:read'), projectController.getProjectById);
 
 // PUT /api/projects/:id
-router.put('/:id', protect, validation.projectValidation, projectController.updateProject);
+router.put('/:id', protect, checkPermission('projekt:write'), validation.projectValidation, projectController.updateProject);
 
 // DELETE /api/projects/:id
-router.delete('/:id', protect, projectController.deleteProject);
+router.delete('/:id', protect, checkPermission('projekt:delete'), projectController.deleteProject);
 
 module.exports = router;
@@ -2,22 +2,22 @@
 const express = require('express');
 const router = express.Router();
 const taskController = require('../controllers/taskController');
-const { protect } = require('../middleware/auth');
+const { protect, checkPermission } = require('../middleware/auth');
 const validation = require('../middleware/validation');
 
 // POST /api/tasks
-router.post('/', protect, validation.taskValidation, taskController.createTask);
+router.post('/', protect, checkPermission('task:write'), validation.taskValidation, taskController.createTask);
 
 // GET /api/tasks
-router.get('/', protect, taskController.getTasks);
+router.get('/', protect, checkPermission('task:read'), taskController.getTasks);
 
 // GET /api/tasks/:id
-router.get('/:id', protect, taskController.getTaskById);
+router.get('/:id', protect, checkPermission('task:read'), taskController.getTaskById);
 
 // PUT /api/tasks/:id
-router.put('/:id', protect, validation.taskValidation, taskController.updateTask);
+router.put('/:id', protect, checkPermission('task:write'), validation.taskValidation, taskController.updateTask);
 
 // DELETE /api/tasks/:id
-router.delete('/:id', protect, taskController.deleteTask);
+router.delete('/:id', protect, checkPermission('task:delete'), taskController.deleteTask);
 
 module.exports = router;
\ No newline at end of file
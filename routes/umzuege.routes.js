@@ -2,7 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const umzugController = require('../controllers/umzug.controller');
-const { auth, admin, checkRole } = require('../middleware/auth');
+const { auth, checkPermission } = require('../middleware/auth');
 const { body, param, query, validationResult } = require('express-validator');
 const { asyncHandler } = require('../middleware/error.middleware');
 const { paginateOffset: paginate, sortMiddleware: sort, filterMiddleware: filter } = require('../middleware/pagination');
@@ -74,7 +74,16 @@ const umzugValidation = {
       .notEmpty()
       .isISO8601().withMessage('Ungültiges Datum')
       .custom((value, { req }) => new Date(value) >= new Date(req.body.startDatum))
-      .withMessage('Enddatum muss nach oder am Startdatum liegen')
+      .withMessage('Enddatum muss nach oder am Startdatum liegen'),
+    body('umzugsdetails.volumen')
+      .optional()
+      .isFloat({ min: 0 }).withMessage('Volumen darf nicht negativ sein'),
+    body('umzugsdetails.gewicht')
+      .optional()
+      .isFloat({ min: 0 }).withMessage('Gewicht darf nicht negativ sein'),
+    body('konflikteIgnorieren')
+      .optional()
+      .isBoolean().withMessage('konflikteIgnorieren muss ein Boolean sein')
   ],
   
   update: [
@@ -89,7 +98,16 @@ const umzugValidation = {
       .optional()
       .isISO8601().withMessage('Ungültiges Datum')
       .custom((value, { req }) => !req.body.startDatum || new Date(value) >= new Date(req.body.startDatum))
-      .withMessage('Enddatum muss nach oder am Startdatum liegen')
+      .withMessage('Enddatum muss nach oder am Startdatum liegen'),
+    body('umzugsdetails.volumen')
+      .optional()
+      .isFloat({ min: 0 }).withMessage('Volumen darf nicht negativ sein'),
+    body('umzugsdetails.gewicht')
+      .optional()
+      .isFloat({ min: 0 }).withMessage('Gewicht darf nicht negativ sein'),
+    body('konflikteIgnorieren')
+      .optional()
+      .isBoolean().withMessage('konflikteIgnorieren muss ein Boolean sein')
   ],
   
   addTask: [
@@ -148,6 +166,7 @@ router.use(auth);
 
 // GET /api/umzuege - Get all moves with pagination
 router.get('/',
+  checkPermission('umzug:read'),
   umzugValidation.query,
   validate,
   paginate(),
@@ -158,12 +177,13 @@ router.get('/',
 
 // GET /api/umzuege/stats - Get statistics
 router.get('/stats',
-  checkRole('admin', 'mitarbeiter'),
+  checkPermission('umzug:read'),
   asyncHandler(umzugController.getStats)
 );
 
 // GET /api/umzuege/:id - Get move by ID
 router.get('/:id',
+  checkPermission('umzug:read'),
   umzugValidation.validateId,
   validate,
   asyncHandler(umzugController.getUmzugById)
@@ -171,7 +191,7 @@ router.get('/:id',
 
 // POST /api/umzuege - Create new move
 router.post('/',
-  checkRole('admin', 'mitarbeiter'),
+  checkPermission('umzug:write'),
   umzugValidation.create,
   validate,
   asyncHandler(umzugController.createUmzug)
@@ -179,7 +199,7 @@ router.post('/',
 
 // PUT /api/umzuege/:id - Update move
 router.put('/:id',
-  checkRole('admin', 'mitarbeiter'),
+  checkPermission('umzug:write'),
   umzugValidation.validateId,
   umzugValidation.update,
   validate,
@@ -188,7 +208,7 @@ router.put('/:id',
 
 // DELETE /api/umzuege/:id - Delete move
 router.delete('/:id',
-  admin,
+  checkPermission('umzug:delete'),
   umzugValidation.validateId,
   validate,
   asyncHandler(umzugController.deleteUmzug)
@@ -196,7 +216,7 @@ router.delete('/:id',
 
 // Status management
 router.post('/:id/status',
-  checkRole('admin', 'mitarbeiter'),
+  checkPermission('umzug:write'),
   umzugValidation.validateId,
   body('status').isIn(['angefragt', 'geplant', 'bestaetigt', 'in_durchfuehrung', 'abgeschlossen', 'storniert']),
   body('reason').optional().trim(),
@@ -206,6 +226,7 @@ router.post('/:id/status',
 
 // Task management
 router.post('/:id/tasks',
+  checkPermission('umzug:write'),
   umzugValidation.validateId,
   umzugValidation.addTask,
   validate,
@@ -213,6 +234,7 @@ router.post('/:id/tasks',
 );
 
 router.put('/:id/tasks/:taskId',
+  checkPermission('umzug:write'),
   param('id').isMongoId(),
   param('taskId').isMongoId(),
   body('erledigt').optional().isBoolean(),
@@ -222,7 +244,7 @@ router.put('/:id/tasks/:taskId',
 );
 
 router.delete('/:id/tasks/:taskId',
-  checkRole('admin', 'mitarbeiter'),
+  checkPermission('umzug:write'),
   param('id').isMongoId(),
   param('taskId').isMongoId(),
   validate,
@@ -231,6 +253,7 @@ router.delete('/:id/tasks/:taskId',
 
 // Notes
 router.post('/:id/notes',
+  checkPermission('umzug:write'),
   umzugValidation.validateId,
   umzugValidation.addNotiz,
   validate,
@@ -238,7 +261,7 @@ router.post('/:id/notes',
 );
 
 router.delete('/:id/notes/:noteId',
-  admin,
+  checkPermission('umzug:delete'),
   param('id').isMongoId(),
   param('noteId').isMongoId(),
   validate,
@@ -247,6 +270,7 @@ router.delete('/:id/notes/:noteId',
 
 // Documents/Files
 router.post('/:id/documents',
+  checkPermission('umzug:write'),
   umzugValidation.validateId,
   validate,
   // fileUpload.single('document'), // Commented out - middleware not found
@@ -254,6 +278,7 @@ router.post('/:id/documents',
 );
 
 router.get('/:id/documents/:documentId',
+  checkPermission('umzug:read'),
   param('id').isMongoId(),
   param('documentId').isMongoId(),
   validate,
@@ -261,7 +286,7 @@ router.get('/:id/documents/:documentId',
 );
 
 router.delete('/:id/documents/:documentId',
-  checkRole('admin', 'mitarbeiter'),
+  checkPermission('umzug:write'),
   param('id').isMongoId(),
   param('documentId').isMongoId(),
   validate,
@@ -270,7 +295,7 @@ router.delete('/:id/documents/:documentId',
 
 // Extra services
 router.post('/:id/services',
-  checkRole('admin', 'mitarbeiter'),
+  checkPermission('umzug:write'),
   umzugValidation.validateId,
   body('beschreibung').trim().notEmpty(),
   body('preis').isFloat({ min: 0 }),
@@ -280,7 +305,7 @@ router.post('/:id/services',
 );
 
 router.delete('/:id/services/:serviceId',
-  admin,
+  checkPermission('umzug:delete'),
   param('id').isMongoId(),
   param('serviceId').isMongoId(),
   validate,
@@ -289,35 +314,60 @@ router.delete('/:id/services/:serviceId',
 
 // Invoice generation
 router.post('/:id/invoice',
-  checkRole('admin', 'mitarbeiter'),
+  checkPermission('rechnung:write'),
   umzugValidation.validateId,
+  body('kunde').optional().isMongoId().withMessage('Ungültige Kunden-ID'),
+  body('zahlungsziel').optional().isInt({ min: 0, max: 90 }).withMessage('Zahlungsziel muss zwischen 0 und 90 Tagen liegen'),
+  body('zahlungsbedingungen').optional().trim().isLength({ max: 1000 }),
   validate,
   asyncHandler(umzugController.generateInvoice)
 );
 
 // Cancel move
 router.post('/:id/cancel',
-  admin,
+  checkPermission('umzug:delete'),
   umzugValidation.validateId,
   body('reason').trim().notEmpty(),
+  body('kosten').optional().isFloat({ min: 0 }).withMessage('Stornokosten dürfen nicht negativ sein'),
   validate,
   asyncHandler(umzugController.cancelUmzug)
 );
 
 // Export to PDF
 router.get('/:id/export',
+  checkPermission('umzug:read'),
   umzugValidation.validateId,
   validate,
   asyncHandler(umzugController.exportToPDF)
 );
 
+// Vehicle and driver recommendation
+router.get('/:id/fahrzeugvorschlag',
+  checkPermission('umzug:write'),
+  umzugValidation.validateId,
+  validate,
+  asyncHandler(umzugController.getFahrzeugvorschlag)
+);
+
+// Send a customer portal login link to the client
+router.post('/:id/portal-link',
+  checkPermission('umzug:write'),
+  umzugValidation.validateId,
+  validate,
+  asyncHandler(umzugController.sendPortalLink)
+);
+
 // Assign team
 router.post('/:id/team',
-  checkRole('admin', 'mitarbeiter'),
+  checkPermission('umzug:write'),
   umzugValidation.validateId,
-  body('mitarbeiter').isArray(),
-  body('mitarbeiter.*').isMongoId(),
-  body('role').optional().isIn(['fahrer', 'helfer', 'teamleiter']),
+  body('mitarbeiter').isArray({ min: 1 }).withMessage('Mindestens ein Mitarbeiter ist erforderlich'),
+  body('mitarbeiter.*')
+    .custom(eintrag => /^[0-9a-fA-F]{24}$/.test(typeof eintrag === 'string' ? eintrag : (eintrag && eintrag.mitarbeiterId) || ''))
+    .withMessage('Ungültige Mitarbeiter-ID'),
+  body('mitarbeiter.*.rolle').optional().isIn(['fahrer', 'helfer', 'projektleiter', 'teamleiter']),
+  body('role').optional().isIn(['fahrer', 'helfer', 'projektleiter', 'teamleiter']),
+  body('konflikteIgnorieren').optional().isBoolean().withMessage('konflikteIgnorieren muss ein Boolean sein'),
   validate,
   asyncHandler(umzugController.assignTeam)
 );
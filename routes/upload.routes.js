@@ -3,34 +3,89 @@ const express = require('express');
 const router = express.Router();
 const uploadController = require('../controllers/upload.controller');
 const authMiddleware = require('../middleware/auth');
+const { downloadAuth } = require('../middleware/downloadAuth');
 const { file: fileValidation } = require('../middleware/validators');
 
-// All routes require authentication
+// GET /api/uploads/:id/download - Download with login or a signed link
+router.get(
+  '/:id/download',
+  fileValidation.validateId,
+  fileValidation.download,
+  downloadAuth,
+  uploadController.downloadUpload
+);
+
+// All further routes require authentication
 router.use(authMiddleware.auth);
 
 // POST /api/uploads - Upload single file
 router.post(
   '/',
-  fileValidation.validateFile, // Middleware to validate file before processing
+  authMiddleware.checkPermission('upload:write'),
+  uploadController.empfangeDatei, // Parse multipart body into memory
+  fileValidation.validateFile, // Validate file before storing it
   fileValidation.upload,
   uploadController.uploadDatei
 );
 
-// POST /api/uploads/multiple - Upload multiple files (if controller supports it)
-// router.post(
-//   '/multiple',
-//   fileValidation.validateFiles,
-//   fileValidation.multiUpload,
-//   uploadController.uploadMultipleFiles
-// );
+// POST /api/uploads/multiple - Upload up to 10 files (field "dateien")
+router.post(
+  '/multiple',
+  authMiddleware.checkPermission('upload:write'),
+  uploadController.empfangeDateien,
+  fileValidation.validateFiles,
+  fileValidation.multiUpload,
+  uploadController.uploadMultipleFiles
+);
+
+// POST /api/uploads/zip - Upload a ZIP archive (field "archiv"), unpacked and validated per entry
+router.post(
+  '/zip',
+  authMiddleware.checkPermission('upload:write'),
+  uploadController.empfangeArchiv,
+  fileValidation.multiUpload,
+  uploadController.uploadZip
+);
 
 // GET /api/uploads - Get all uploads with query validation
 router.get(
   '/',
+  authMiddleware.checkPermission('upload:read', 'upload:write'),
   fileValidation.list,
   uploadController.getAllUploads
 );
 
+// GET /api/uploads/archive?bezugId= - All files of an Umzug or Aufnahme as ZIP
+router.get(
+  '/archive',
+  authMiddleware.checkPermission('upload:read'),
+  fileValidation.archive,
+  uploadController.downloadArchiv
+);
+
+// GET /api/uploads/link?pfad= - Signed link for a document reference (Umzug, Aufnahme, Mitarbeiter)
+router.get(
+  '/link',
+  fileValidation.linkFuerPfad,
+  uploadController.createDownloadLinkFuerPfad
+);
+
+// GET /api/uploads/:id/link - Signed, expiring download link
+router.get(
+  '/:id/link',
+  fileValidation.validateId,
+  fileValidation.link,
+  uploadController.createDownloadLink
+);
+
+// GET /api/uploads/:id/zugriffe - Access log
+router.get(
+  '/:id/zugriffe',
+  authMiddleware.checkPermission('upload:audit'),
+  fileValidation.validateId,
+  uploadController.getZugriffe
+);
+
 // GET /api/uploads/:id - Get upload by ID with param validation
 router.get(
   '/:id',
@@ -39,16 +94,18 @@ router.get(
 );
 
 // PUT /api/uploads/:id - Update upload metadata
-// router.put(
-//   '/:id',
-//   fileValidation.validateId,
-//   fileValidation.update,
-//   uploadController.updateUpload
-// );
+router.put(
+  '/:id',
+  authMiddleware.checkPermission('upload:write', 'upload:manage'),
+  fileValidation.validateId,
+  fileValidation.update,
+  uploadController.updateUpload
+);
 
 // DELETE /api/uploads/:id - Delete upload
 router.delete(
   '/:id',
+  authMiddleware.checkPermission('upload:write', 'upload:manage'),
   fileValidation.validateId,
   uploadController.deleteUpload
 );
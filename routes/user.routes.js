@@ -2,7 +2,8 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { auth, admin, checkRole } = require('../middleware/auth');
+const { auth, checkPermission } = require('../middleware/auth');
+const berechtigungenConfig = require('../config/berechtigungen.config');
 const { body, param, query, validationResult } = require('express-validator');
 const { asyncHandler } = require('../middleware/error.middleware');
 const { paginateOffset: paginate, sortMiddleware: sort, filterMiddleware: filter } = require('../middleware/pagination');
@@ -85,12 +86,12 @@ const userValidation = {
 // All routes require authentication
 router.use(auth);
 
-// User management routes (admin only)
+// User management routes (permission benutzer:manage)
 
 // GET /api/users - Get all users with pagination
 router.get('/',
   auth,
-  admin,
+  checkPermission('benutzer:manage'),
   userValidation.query,
   validate,
   paginate(),
@@ -101,13 +102,19 @@ router.get('/',
 
 // GET /api/users/stats - Get user statistics
 router.get('/stats',
-  admin,
+  checkPermission('benutzer:manage'),
   asyncHandler(userController.getUserStats)
 );
 
+// GET /api/users/berechtigungen - Named roles and permission catalog
+router.get('/berechtigungen',
+  checkPermission('benutzer:manage'),
+  asyncHandler(userController.getBerechtigungskatalog)
+);
+
 // GET /api/users/:id - Get user by ID
 router.get('/:id',
-  admin,
+  checkPermission('benutzer:manage'),
   userValidation.validateId,
   validate,
   asyncHandler(userController.getUserById)
@@ -115,7 +122,7 @@ router.get('/:id',
 
 // POST /api/users - Create new user
 router.post('/',
-  admin,
+  checkPermission('benutzer:manage'),
   userValidation.create,
   validate,
   asyncHandler(userController.createUser)
@@ -123,7 +130,7 @@ router.post('/',
 
 // PUT /api/users/:id - Update user
 router.put('/:id',
-  admin,
+  checkPermission('benutzer:manage'),
   userValidation.validateId,
   userValidation.update,
   validate,
@@ -132,7 +139,7 @@ router.put('/:id',
 
 // DELETE /api/users/:id - Delete/deactivate user
 router.delete('/:id',
-  admin,
+  checkPermission('benutzer:manage'),
   userValidation.validateId,
   validate,
   asyncHandler(userController.deleteUser)
@@ -140,7 +147,7 @@ router.delete('/:id',
 
 // User role management
 router.put('/:id/role',
-  admin,
+  checkPermission('benutzer:manage'),
   userValidation.validateId,
   body('role').notEmpty().isIn(['admin', 'mitarbeiter', 'helfer']),
   validate,
@@ -149,7 +156,7 @@ router.put('/:id/role',
 
 // User status management
 router.put('/:id/status',
-  admin,
+  checkPermission('benutzer:manage'),
   userValidation.validateId,
   body('isActive').notEmpty().isBoolean(),
   body('reason').optional().trim(),
@@ -159,7 +166,7 @@ router.put('/:id/status',
 
 // Password reset by admin
 router.post('/:id/reset-password',
-  admin,
+  checkPermission('benutzer:manage'),
   userValidation.validateId,
   body('temporaryPassword').optional().isLength({ min: 8 }),
   validate,
@@ -168,7 +175,7 @@ router.post('/:id/reset-password',
 
 // User activity log
 router.get('/:id/activity',
-  admin,
+  checkPermission('benutzer:manage'),
   userValidation.validateId,
   query('startDate').optional().isISO8601(),
   query('endDate').optional().isISO8601(),
@@ -178,31 +185,35 @@ router.get('/:id/activity',
 
 // User permissions
 router.get('/:id/permissions',
-  admin,
+  checkPermission('benutzer:manage'),
   userValidation.validateId,
   validate,
   asyncHandler(userController.getUserPermissions)
 );
 
 router.put('/:id/permissions',
-  admin,
+  checkPermission('benutzer:manage'),
   userValidation.validateId,
-  body('permissions').isArray(),
-  body('permissions.*').isString(),
+  body('roles').optional().isArray().withMessage('roles muss ein Array sein'),
+  body('roles.*')
+    .isIn(Object.keys(berechtigungenConfig.rollen))
+    .withMessage(`Gültige Rollen: ${Object.keys(berechtigungenConfig.rollen).join(', ')}`),
+  body('permissions').optional().isArray().withMessage('permissions muss ein Array sein'),
+  body('permissions.*').isIn(berechtigungenConfig.liste).withMessage('Unbekannte Berechtigung'),
   validate,
   asyncHandler(userController.updateUserPermissions)
 );
 
 // User sessions
 router.get('/:id/sessions',
-  admin,
+  checkPermission('benutzer:manage'),
   userValidation.validateId,
   validate,
   asyncHandler(userController.getUserSessions)
 );
 
 router.delete('/:id/sessions',
-  admin,
+  checkPermission('benutzer:manage'),
   userValidation.validateId,
   validate,
   asyncHandler(userController.terminateUserSessions)
@@ -210,7 +221,7 @@ router.delete('/:id/sessions',
 
 // Export users
 router.get('/export',
-  admin,
+  checkPermission('benutzer:manage'),
   query('format').isIn(['csv', 'excel']),
   validate,
   asyncHandler(userController.exportUsers)
@@ -218,7 +229,7 @@ router.get('/export',
 
 // Bulk operations
 router.post('/bulk/deactivate',
-  admin,
+  checkPermission('benutzer:manage'),
   body('userIds').isArray(),
   body('userIds.*').isMongoId(),
   validate,
@@ -226,7 +237,7 @@ router.post('/bulk/deactivate',
 );
 
 router.post('/bulk/activate',
-  admin,
+  checkPermission('benutzer:manage'),
   body('userIds').isArray(),
   body('userIds.*').isMongoId(),
   validate,
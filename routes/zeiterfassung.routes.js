@@ -17,6 +17,7 @@ router.get(
 // GET /api/zeiterfassung/statistics - Get time tracking statistics
 router.get(
   '/statistics',
+  authMiddleware.checkPermission('zeiterfassung:manage'),
   zeiterfassungController.getStatistics
 );
 
@@ -26,6 +27,52 @@ router.get(
   zeiterfassungController.exportZeiterfassungen
 );
 
+// GET /api/zeiterfassung/stundenzettel?mitarbeiterId=&monat=JJJJ-MM[&format=pdf] - Monthly timesheet
+router.get(
+  '/stundenzettel',
+  zeiterfassungController.getStundenzettel
+);
+
+// GET /api/zeiterfassung/lohnexport?monat=JJJJ-MM - Payroll data for DATEV Lohn und Gehalt
+router.get(
+  '/lohnexport',
+  authMiddleware.checkPermission('lohn:export'),
+  zeiterfassungController.exportLohn
+);
+
+// GET /api/zeiterfassung/arbzg?mitarbeiterId=|umzugId=[&von=&bis=] - ArbZG compliance report
+router.get(
+  '/arbzg',
+  zeiterfassungController.getArbzgBericht
+);
+
+// GET /api/zeiterfassung/stempeln[?mitarbeiterId=] - Currently open shift
+router.get(
+  '/stempeln',
+  zeiterfassungController.getStempelStatus
+);
+
+// GET /api/zeiterfassung/stempeln/offen - All open shifts
+router.get(
+  '/stempeln/offen',
+  authMiddleware.checkPermission('zeiterfassung:manage'),
+  zeiterfassungController.getOffeneSchichten
+);
+
+// GET /api/zeiterfassung/stempeln/pruefen - Stampings with unchecked location
+router.get(
+  '/stempeln/pruefen',
+  authMiddleware.checkPermission('zeiterfassung:manage'),
+  zeiterfassungController.getStempelungenZurPruefung
+);
+
+// POST /api/zeiterfassung/stempeln - Clock in/out or break with GPS position and geofence check
+router.post(
+  '/stempeln',
+  validators.stempelnValidation,
+  zeiterfassungController.stempeln
+);
+
 // GET /api/zeiterfassung/mitarbeiter - Mitarbeiter für Zeiterfassung abrufen
 router.get(
   '/mitarbeiter',
@@ -41,6 +88,7 @@ router.get(
 // GET /api/zeiterfassung/projekt/:projektId - Zeiterfassungen für ein Projekt abrufen
 router.get(
   '/projekt/:projektId',
+  authMiddleware.checkPermission('zeiterfassung:manage'),
   zeiterfassungController.getZeiterfassungenByProjekt
 );
 
@@ -67,7 +115,7 @@ router.delete(
 // POST /api/zeiterfassung/mitarbeiter - Neuen Mitarbeiter für Zeiterfassung erstellen
 router.post(
   '/mitarbeiter',
-  authMiddleware.checkRole('admin'),
+  authMiddleware.checkPermission('mitarbeiter:write'),
   validators.mitarbeiterValidation,
   zeiterfassungController.addMitarbeiter
 );
@@ -75,7 +123,7 @@ router.post(
 // DELETE /api/zeiterfassung/mitarbeiter/:id - Mitarbeiter aus Zeiterfassung entfernen
 router.delete(
   '/mitarbeiter/:id',
-  authMiddleware.checkRole('admin'),
+  authMiddleware.checkPermission('mitarbeiter:delete'),
   zeiterfassungController.deleteMitarbeiter
 );
 
@@ -76,8 +76,7 @@ if (process.env.NODE_ENV === 'development') {
   app.use(morgan('combined', { stream: accessLogStream }));
 }
 
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Uploaded files are not served statically; see GET /api/uploads/:id/download
 
 // Health check (no rate limiting)
 app.get('/api/health', (req, res) => {
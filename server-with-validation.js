@@ -77,8 +77,7 @@ if (process.env.NODE_ENV === 'development') {
   app.use(morgan('combined', { stream: accessLogStream }));
 }
 
-// Static files for uploads
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Uploaded files are not served statically; see GET /api/uploads/:id/download
 
 // Rate limiting for different endpoint types
 app.use('/api/auth', rateLimiters.auth);
@@ -1,10 +1,10 @@
 // server.js - Enhanced with comprehensive validation and security
 const express = require('express');
+const http = require('http');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const morgan = require('morgan');
-const path = require('path');
 const fs = require('fs');
 const cookieParser = require('cookie-parser');
 
@@ -18,6 +18,16 @@ const errorHandler = require('./middleware/error.middleware');
 const configureSecurityMiddleware = require('./config/security');
 const { rateLimiters, corsOptions } = require('./utils/validators/security');
 const { startCleanupService } = require('./utils/token-cleanup');
+const IntervallJob = require('./utils/intervall-job');
+const AbwesenheitService = require('./services/abwesenheit.service');
+const MahnwesenService = require('./services/mahnwesen.service');
+const StempelService = require('./services/stempel.service');
+const WartungService = require('./services/wartung.service');
+const abwesenheitConfig = require('./config/abwesenheit.config');
+const mahnwesenConfig = require('./config/mahnwesen.config');
+const stempeluhrConfig = require('./config/stempeluhr.config');
+const wartungConfig = require('./config/wartung.config');
+const RealtimeService = require('./services/realtime.service');
 const { createNotFoundError } = require('./utils/error.utils');
 const { transformLegacyRequest, transformResponse } = require('./middleware/legacyFormat');
 
@@ -28,9 +38,10 @@ const app = express();
 app.set('trust proxy', 1);
 
 // Configure CORS
+const allowedOrigins = ['https://www.lagerlogix.de', 'http://localhost:3000', ...corsOptions.origin];
 app.use(cors({
   ...corsOptions,
-  origin: ['https://www.lagerlogix.de', 'http://localhost:3000', ...corsOptions.origin]
+  origin: allowedOrigins
 }));
 
 // Body parsing middleware with size limits
@@ -56,21 +67,14 @@ app.use('/api', rateLimiters.general);
 app.use('/api/auth', rateLimiters.auth);
 app.use('/api/uploads', rateLimiters.upload);
 app.use('/api/finanzen', rateLimiters.financial);
+app.use('/api/portal/link', rateLimiters.portalLink);
 
 // Directory structure logging (for debugging)
 console.log('Server directory (__dirname):', __dirname);
 console.log('Process working directory:', process.cwd());
 console.log('NODE_ENV:', process.env.NODE_ENV);
 
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
-  maxAge: '1d',
-  setHeaders: (res, path) => {
-    if (path.endsWith('.pdf')) {
-      res.setHeader('Content-Type', 'application/pdf');
-    }
-  }
-}));
+// Uploaded files are not served statically; see GET /api/uploads/:id/download
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -149,9 +153,53 @@ const connectWithRetry = () => {
         console.log('Token cleanup service started');
       }
       
+      // Start scheduled dunning runs (MAHNLAUF_AUTOMATISCH=true)
+      if (mahnwesenConfig.automatisch) {
+        new IntervallJob('Mahnlauf', mahnwesenConfig.intervallStunden * 60 * 60 * 1000, async () => {
+          const ergebnis = await MahnwesenService.mahnlauf();
+          return `created ${ergebnis.anzahl} dunning letters, ${ergebnis.fehler.length} errors`;
+        }).start();
+      }
+      
+      // Block vehicles on workshop days and send maintenance reminders (WARTUNG_AUTOMATISCH=false disables it).
+      // Runs once right after the start so blocks don't wait for the first interval
+      if (wartungConfig.automatisch) {
+        new IntervallJob('Wartung', wartungConfig.intervallStunden * 60 * 60 * 1000, async () => {
+          const ergebnis = await WartungService.pruefung();
+          return ergebnis.gesperrt.length > 0 || ergebnis.erinnerungen > 0
+            ? `blocked ${ergebnis.gesperrt.length} vehicles, sent ${ergebnis.erinnerungen} reminders`
+            : null;
+        }, { sofort: true }).start();
+      }
+      
+      // Set employee availability from approved absences (ABWESENHEIT_AUTOMATISCH=false disables it)
+      if (abwesenheitConfig.automatisch) {
+        new IntervallJob('Abwesenheit', abwesenheitConfig.intervallStunden * 60 * 60 * 1000, async () => {
+          const { aktualisiert } = await AbwesenheitService.aktualisiereAlleVerfuegbarkeiten();
+          return aktualisiert > 0 ? `updated availability of ${aktualisiert} employees` : null;
+        }, { sofort: true }).start();
+      }
+      
+      // Remind about shifts nobody clocked out of (STEMPELUHR_AUTOMATISCH=false disables it)
+      if (stempeluhrConfig.automatisch) {
+        new IntervallJob('Stempeluhr', stempeluhrConfig.intervallMinuten * 60 * 1000, async () => {
+          const { erinnert } = await StempelService.pruefeOffeneSchichten();
+          return erinnert > 0 ? `reminded about ${erinnert} open shifts` : null;
+        }).start();
+      }
+      
       // Start server
       const PORT = process.env.PORT || 5000;
-      app.listen(PORT, () => {
+      const server = http.createServer(app);
+      
+      // Realtime events (socket.io namespace /realtime); in the PM2 cluster (REALTIME_ADAPTER=mongo)
+      // distributed between the processes through MongoDB
+      RealtimeService.init(server, {
+        cors: { origin: allowedOrigins, credentials: true },
+        ...(process.env.REALTIME_ADAPTER === 'mongo' ? RealtimeService.clusterOptionen(mongoose.connection.db) : {})
+      });
+      
+      server.listen(PORT, () => {
         console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
       });
     })
@@ -168,12 +216,14 @@ connectWithRetry();
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('SIGINT received. Closing HTTP server and MongoDB connection...');
+  await RealtimeService.close();
   await mongoose.connection.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received. Closing HTTP server and MongoDB connection...');
+  await RealtimeService.close();
   await mongoose.connection.close();
   process.exit(0);
 });
@@ -0,0 +1,705 @@
+/**
+ * abwesenheit.service.js - Urlaubsanträge, Krankmeldungen und Urlaubskonto
+ * Urlaub, Sonderurlaub und Überstundenabbau werden beantragt und von einem Administrator oder
+ * Vorarbeiter genehmigt; Krankmeldungen gelten sofort und unterbrechen einen Urlaub, dessen Tage dem
+ * Urlaubskonto gutgeschrieben werden (§9 BUrlG). Genehmigte Abwesenheiten setzen die
+ * Verfügbarkeit des Mitarbeiters für ihren Zeitraum und werden in der Disposition berücksichtigt.
+ * Überschneidungen mit gebuchten Umzügen werden als Konflikte gemeldet, nicht abgelehnt.
+ */
+
+const Abwesenheit = require('../models/abwesenheit.model');
+const Mitarbeiter = require('../models/mitarbeiter.model');
+const Umzug = require('../models/umzug.model');
+const User = require('../models/user');
+const Benachrichtigung = require('../models/benachrichtigung.model');
+const abwesenheitConfig = require('../config/abwesenheit.config');
+const lohnConfig = require('../config/lohn.config');
+const BerechtigungService = require('./berechtigung.service');
+const { feiertag, datumSchluessel } = require('../utils/feiertage.utils');
+const { AppError, createNotFoundError } = require('../utils/error.utils');
+
+// Status, die Tage belegen
+const AKTIV = ['beantragt', 'genehmigt'];
+
+// Maximale Länge des Kalenderzeitraums
+const MAX_TAGE = 93;
+
+const runden = (wert) => Math.round((Number(wert) || 0) * 100) / 100;
+
+const tagesbeginn = (datum) => {
+  const d = new Date(datum);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const tagesende = (datum) => {
+  const d = new Date(datum);
+  d.setHours(23, 59, 59, 999);
+  return d;
+};
+
+const formatDatum = (datum) => new Date(datum).toLocaleDateString('de-DE');
+const mitarbeiterName = (ma) => `${ma.vorname} ${ma.nachname}`;
+const bundeslandVon = (mitarbeiter) => mitarbeiter.bundesland || lohnConfig.bundesland;
+
+class AbwesenheitService {
+  /**
+   * Count the contractual working days of an employee within a period, excluding public holidays
+   * @param {Date} von - First day
+   * @param {Date} bis - Last day
+   * @param {Object} mitarbeiter - Mitarbeiter with arbeitszeit.arbeitstage and bundesland
+   * @returns {Number}
+   */
+  static arbeitstage(von, bis, mitarbeiter) {
+    const arbeitstage = (mitarbeiter.arbeitszeit && mitarbeiter.arbeitszeit.arbeitstage) || [1, 2, 3, 4, 5];
+    const bundesland = bundeslandVon(mitarbeiter);
+    const ende = tagesbeginn(bis);
+    let anzahl = 0;
+
+    for (const tag = tagesbeginn(von); tag <= ende; tag.setDate(tag.getDate() + 1)) {
+      if (arbeitstage.includes(tag.getDay() || 7) && !feiertag(tag, bundesland)) {
+        anzahl += 1;
+      }
+    }
+    return anzahl;
+  }
+
+  /**
+   * Working days of an absence within a period, without sick days during the leave (§9 BUrlG)
+   * @param {Object} abwesenheit - Abwesenheit with von, bis and krankheit
+   * @param {Object} mitarbeiter - Mitarbeiter
+   * @param {Date} von - Optional first day to count
+   * @param {Date} bis - Optional last day to count
+   * @returns {Number}
+   */
+  static angerechneteTage(abwesenheit, mitarbeiter, von = abwesenheit.von, bis = abwesenheit.bis) {
+    const beginn = new Date(Math.max(tagesbeginn(abwesenheit.von), tagesbeginn(von)));
+    const ende = new Date(Math.min(tagesbeginn(abwesenheit.bis), tagesbeginn(bis)));
+    if (beginn > ende) {
+      return 0;
+    }
+    const krank = (abwesenheit.krankheit || [])
+      .reduce((summe, eintrag) => summe + this.angerechneteTage({ von: eintrag.von, bis: eintrag.bis }, mitarbeiter, beginn, ende), 0);
+    return this.arbeitstage(beginn, ende, mitarbeiter) - krank;
+  }
+
+  /**
+   * Working days of an absence within a calendar year or up to a cutoff date
+   * @param {Object} abwesenheit - Abwesenheit with von and bis
+   * @param {Object} mitarbeiter - Mitarbeiter
+   * @param {Number} jahr - Year
+   * @param {Date} bisStichtag - Optional last day to count
+   * @returns {Number}
+   */
+  static tageImJahr(abwesenheit, mitarbeiter, jahr, bisStichtag = null) {
+    const von = new Date(Math.max(tagesbeginn(abwesenheit.von), new Date(jahr, 0, 1)));
+    let bis = new Date(Math.min(tagesbeginn(abwesenheit.bis), new Date(jahr, 11, 31)));
+    if (bisStichtag && bisStichtag < bis) {
+      bis = bisStichtag;
+    }
+    return von <= bis ? this.angerechneteTage(abwesenheit, mitarbeiter, von, bis) : 0;
+  }
+
+  /**
+   * Annual leave entitlement; one twelfth per full month of employment in the year of entry or exit (§5 BUrlG)
+   * @param {Object} mitarbeiter - Mitarbeiter
+   * @param {Number} jahr - Year
+   * @param {Object} config - Absence configuration
+   * @returns {Number} Days; fractions of at least half a day are rounded up
+   */
+  static jahresanspruch(mitarbeiter, jahr, config = abwesenheitConfig) {
+    const urlaubstage = mitarbeiter.arbeitszeit && mitarbeiter.arbeitszeit.urlaubstage != null
+      ? mitarbeiter.arbeitszeit.urlaubstage
+      : config.urlaubstage;
+    const eintritt = mitarbeiter.einstellungsdatum ? new Date(mitarbeiter.einstellungsdatum) : null;
+    const austritt = mitarbeiter.austrittsdatum ? new Date(mitarbeiter.austrittsdatum) : null;
+
+    if ((eintritt && eintritt.getFullYear() > jahr) || (austritt && austritt.getFullYear() < jahr)) {
+      return 0;
+    }
+
+    // Volle Beschäftigungsmonate im Jahr
+    let monate = 0;
+    for (let monat = 0; monat < 12; monat++) {
+      const beginn = new Date(jahr, monat, 1);
+      const ende = new Date(jahr, monat + 1, 0);
+      if ((!eintritt || tagesbeginn(eintritt) <= beginn) && (!austritt || tagesbeginn(austritt) >= ende)) {
+        monate += 1;
+      }
+    }
+    if (monate === 12) {
+      return urlaubstage;
+    }
+
+    const anteil = urlaubstage * monate / 12;
+    return anteil % 1 >= 0.5 ? Math.ceil(anteil) : runden(anteil);
+  }
+
+  /**
+   * Leave account of an employee for a year, including carry-over and expiry of last year's rest
+   * @param {Object} mitarbeiter - Mitarbeiter
+   * @param {Number} jahr - Year
+   * @param {Array} abwesenheiten - The employee's absences of type Urlaub (any status)
+   * @param {Object} options - { stichtag: today, config }
+   * @returns {Object} { jahr, anspruch, uebertrag, verfallen, verfaelltAm, genommen, beantragt, rest, verfuegbar }
+   */
+  static urlaubskonto(mitarbeiter, jahr, abwesenheiten = [], options = {}) {
+    const config = options.config || abwesenheitConfig;
+    const stichtag = options.stichtag || new Date();
+    const urlaub = abwesenheiten.filter(eintrag => eintrag.art === 'Urlaub');
+    const genehmigt = urlaub.filter(eintrag => eintrag.status === 'genehmigt');
+    const beantragt = urlaub.filter(eintrag => eintrag.status === 'beantragt');
+    const summe = (liste, j, bisStichtag) => liste
+      .reduce((gesamt, eintrag) => gesamt + this.tageImJahr(eintrag, mitarbeiter, j, bisStichtag), 0);
+
+    // Ab dem Eintrittsjahr bzw. der ersten Abwesenheit, höchstens zehn Jahre zurück
+    const jahre = [
+      jahr,
+      mitarbeiter.einstellungsdatum ? new Date(mitarbeiter.einstellungsdatum).getFullYear() : jahr,
+      ...urlaub.map(eintrag => new Date(eintrag.von).getFullYear())
+    ];
+    const startjahr = Math.max(Math.min(...jahre), jahr - 10);
+
+    let konto = null;
+    for (let j = startjahr; j <= jahr; j++) {
+      const anspruch = this.jahresanspruch(mitarbeiter, j, config);
+      let uebertrag = konto ? Math.max(konto.rest, 0) : 0;
+      if (config.uebertragHoechstTage != null) {
+        uebertrag = Math.min(uebertrag, config.uebertragHoechstTage);
+      }
+
+      // Genommener Urlaub baut zuerst den Übertrag ab; der Rest verfällt nach Ablauf der Frist
+      const verfaelltAm = new Date(j, config.uebertragBisMonat, 0);
+      const abgelaufen = tagesende(verfaelltAm) < stichtag;
+      const verfallen = abgelaufen
+        ? Math.max(uebertrag - summe(genehmigt, j, verfaelltAm), 0)
+        : 0;
+      const genommen = summe(genehmigt, j);
+      const geplant = summe(beantragt, j);
+      const rest = runden(anspruch + uebertrag - verfallen - genommen);
+
+      konto = {
+        jahr: j,
+        anspruch,
+        uebertrag: runden(uebertrag),
+        verfallen: runden(verfallen),
+        verfaelltAm: uebertrag > 0 ? verfaelltAm : null,
+        genommen,
+        beantragt: geplant,
+        rest,
+        verfuegbar: runden(rest - geplant)
+      };
+    }
+    return konto;
+  }
+
+  /**
+   * Pick the absence that determines the availability status at a date: the current one, else the next one
+   * @param {Array} abwesenheiten - Approved absences of one employee
+   * @param {Date} stichtag - Date
+   * @returns {Object|null} Verfügbarkeit ({ status, von, bisWann, bemerkung, abwesenheit, laufend })
+   */
+  static verfuegbarkeitFuer(abwesenheiten, stichtag = new Date()) {
+    const heute = tagesbeginn(stichtag);
+    const kandidaten = abwesenheiten
+      .filter(eintrag => eintrag.status === 'genehmigt' && tagesbeginn(eintrag.bis) >= heute)
+      .sort((a, b) => new Date(a.von) - new Date(b.von));
+    const laufende = kandidaten.filter(eintrag => tagesbeginn(eintrag.von) <= heute);
+    // Eine Krankheit während des Urlaubs geht dem Urlaub vor
+    const abwesenheit = laufende.find(eintrag => eintrag.art === 'Krankheit') || laufende[0] || kandidaten[0];
+
+    if (!abwesenheit) {
+      return null;
+    }
+    return {
+      status: abwesenheit.art === 'Krankheit' ? 'krank' : 'urlaub',
+      von: tagesbeginn(abwesenheit.von),
+      bisWann: tagesende(abwesenheit.bis),
+      bemerkung: abwesenheit.art,
+      abwesenheit: abwesenheit._id,
+      laufend: tagesbeginn(abwesenheit.von) <= heute
+    };
+  }
+
+  /**
+   * Update `verfuegbarkeit` of an employee from the approved absences.
+   * A running absence always wins; an upcoming one only replaces status "verfuegbar" or a status
+   * taken from another absence, so manually set statuses stay untouched.
+   * @param {String} mitarbeiterId - Mitarbeiter ID
+   * @param {Date} stichtag - Date
+   * @returns {Promise<Boolean>} Whether the availability was changed
+   */
+  static async aktualisiereVerfuegbarkeit(mitarbeiterId, stichtag = new Date()) {
+    const mitarbeiter = await Mitarbeiter.findById(mitarbeiterId);
+    if (!mitarbeiter) {
+      return false;
+    }
+
+    const abwesenheiten = await Abwesenheit.find({
+      mitarbeiter: mitarbeiterId,
+      status: 'genehmigt',
+      bis: { $gte: tagesbeginn(stichtag) }
+    });
+    const aktuell = mitarbeiter.verfuegbarkeit || {};
+    const ausAbwesenheit = Boolean(aktuell.abwesenheit);
+    const neu = this.verfuegbarkeitFuer(abwesenheiten, stichtag);
+
+    if (neu) {
+      const uebernehmen = neu.laufend || ausAbwesenheit || !aktuell.status || aktuell.status === 'verfuegbar';
+      if (!uebernehmen || String(aktuell.abwesenheit) === String(neu.abwesenheit)) {
+        return false;
+      }
+      ['status', 'von', 'bisWann', 'bemerkung', 'abwesenheit'].forEach(feld => mitarbeiter.set(`verfuegbarkeit.${feld}`, neu[feld]));
+    } else if (ausAbwesenheit) {
+      mitarbeiter.set('verfuegbarkeit', { status: 'verfuegbar' });
+    } else {
+      return false;
+    }
+
+    await mitarbeiter.save();
+    return true;
+  }
+
+  /**
+   * Sync the availability of all employees with running, upcoming or just ended absences
+   * @param {Date} stichtag - Date
+   * @returns {Promise<Object>} { aktualisiert }
+   */
+  static async aktualisiereAlleVerfuegbarkeiten(stichtag = new Date()) {
+    const [mitAbwesenheit, mitStatus] = await Promise.all([
+      Abwesenheit.distinct('mitarbeiter', { status: 'genehmigt', bis: { $gte: new Date(tagesbeginn(stichtag).getTime() - 24 * 60 * 60 * 1000) } }),
+      Mitarbeiter.distinct('_id', { 'verfuegbarkeit.abwesenheit': { $exists: true, $ne: null } })
+    ]);
+    const ids = [...new Set([...mitAbwesenheit, ...mitStatus].map(String))];
+
+    let aktualisiert = 0;
+    for (const id of ids) {
+      if (await this.aktualisiereVerfuegbarkeit(id, stichtag)) {
+        aktualisiert += 1;
+      }
+    }
+    return { aktualisiert };
+  }
+
+  /**
+   * Approved absences within a period (for the disposition)
+   * @param {Date} von - Start
+   * @param {Date} bis - End
+   * @param {Array} mitarbeiterIds - Optional restriction
+   * @returns {Promise<Array>}
+   */
+  static genehmigteImZeitraum(von, bis, mitarbeiterIds = null) {
+    const filter = {
+      status: 'genehmigt',
+      von: { $lte: tagesende(bis) },
+      bis: { $gte: tagesbeginn(von) }
+    };
+    if (mitarbeiterIds) {
+      filter.mitarbeiter = { $in: mitarbeiterIds };
+    }
+    return Abwesenheit.find(filter).select('mitarbeiter art von bis');
+  }
+
+  /**
+   * Booked moves of an employee overlapping an absence
+   * @param {String} mitarbeiterId - Mitarbeiter ID
+   * @param {Date} von - First day
+   * @param {Date} bis - Last day
+   * @returns {Promise<Array>} [{ umzugId, kundennummer, startDatum, endDatum, status, meldung }]
+   */
+  static async konflikte(mitarbeiterId, von, bis) {
+    const umzuege = await Umzug.find({
+      status: { $ne: 'storniert' },
+      'mitarbeiter.mitarbeiterId': mitarbeiterId,
+      startDatum: { $lte: tagesende(bis) },
+      endDatum: { $gte: tagesbeginn(von) }
+    }).select('kundennummer auftraggeber.name startDatum endDatum status').sort({ startDatum: 1 });
+
+    return umzuege.map(umzug => ({
+      umzugId: umzug._id,
+      kundennummer: umzug.kundennummer,
+      startDatum: umzug.startDatum,
+      endDatum: umzug.endDatum,
+      status: umzug.status,
+      meldung: `Eingeplant für den Umzug ${umzug.kundennummer || umzug._id}` +
+        `${umzug.auftraggeber && umzug.auftraggeber.name ? ` (${umzug.auftraggeber.name})` : ''} am ${formatDatum(umzug.startDatum)}`
+    }));
+  }
+
+  /**
+   * Whether a user may approve absences (permission abwesenheit:approve or one of the configured positions)
+   * @param {Object} user - Authenticated user ({ id, role, roles, permissions })
+   * @returns {Promise<Boolean>}
+   */
+  static async darfGenehmigen(user) {
+    if (BerechtigungService.hat(user, 'abwesenheit:approve')) {
+      return true;
+    }
+    return Boolean(await Mitarbeiter.exists({
+      userId: user.id,
+      position: { $in: abwesenheitConfig.genehmigerPositionen }
+    }));
+  }
+
+  /**
+   * Users that decide on absence requests
+   * @returns {Promise<Array>} User IDs
+   */
+  static async genehmiger() {
+    const [admins, vorarbeiter] = await Promise.all([
+      User.find({
+        isActive: true,
+        $or: [
+          { role: 'admin' },
+          { roles: { $in: BerechtigungService.rollenMit('abwesenheit:approve') } },
+          { permissions: 'abwesenheit:approve' }
+        ]
+      }).select('_id'),
+      Mitarbeiter.find({ isActive: true, position: { $in: abwesenheitConfig.genehmigerPositionen } }).select('userId')
+    ]);
+    return [...new Set([...admins.map(user => String(user._id)), ...vorarbeiter.map(ma => String(ma.userId))])];
+  }
+
+  /**
+   * Notify users about an absence
+   * @param {Array} empfaenger - User IDs
+   * @param {Object} abwesenheit - Abwesenheit
+   * @param {Object} inhalt - { titel, inhalt, typ }
+   */
+  static async benachrichtigen(empfaenger, abwesenheit, { titel, inhalt, typ = 'info' }) {
+    const ids = empfaenger.filter(Boolean);
+    if (ids.length === 0) {
+      return;
+    }
+    await Benachrichtigung.insertMany(ids.map(id => ({
+      empfaenger: id,
+      titel,
+      inhalt,
+      typ,
+      linkUrl: `/abwesenheiten/${abwesenheit._id}`,
+      bezug: { typ: 'mitarbeiter', id: abwesenheit.mitarbeiter }
+    })));
+  }
+
+  /**
+   * Credit sick days back to overlapping leave (§9 BUrlG): the days are recorded on the leave
+   * and no longer count against the leave account
+   * @param {Object} krankheit - Saved Abwesenheit of type Krankheit
+   * @param {Object} mitarbeiter - Mitarbeiter
+   * @returns {Promise<Number>} Credited working days
+   */
+  static async urlaubUnterbrechen(krankheit, mitarbeiter) {
+    const urlaube = await Abwesenheit.find({
+      mitarbeiter: mitarbeiter._id,
+      art: 'Urlaub',
+      status: { $in: AKTIV },
+      von: { $lte: tagesende(krankheit.bis) },
+      bis: { $gte: tagesbeginn(krankheit.von) }
+    });
+
+    let gutgeschrieben = 0;
+    for (const urlaub of urlaube) {
+      const vorher = this.angerechneteTage(urlaub, mitarbeiter);
+      urlaub.krankheit.push({
+        von: new Date(Math.max(tagesbeginn(urlaub.von), krankheit.von)),
+        bis: new Date(Math.min(tagesbeginn(urlaub.bis), krankheit.bis)),
+        abwesenheit: krankheit._id
+      });
+      urlaub.tage = this.angerechneteTage(urlaub, mitarbeiter);
+      await urlaub.save();
+      gutgeschrieben += vorher - urlaub.tage;
+    }
+    return gutgeschrieben;
+  }
+
+  /**
+   * Undo the credit of a cancelled sickness on the interrupted leave
+   * @param {Object} krankheit - Abwesenheit of type Krankheit
+   * @returns {Promise<void>}
+   */
+  static async urlaubFortsetzen(krankheit) {
+    const urlaube = await Abwesenheit.find({ 'krankheit.abwesenheit': krankheit._id });
+    if (urlaube.length === 0) {
+      return;
+    }
+
+    const mitarbeiter = await Mitarbeiter.findById(krankheit.mitarbeiter);
+    for (const urlaub of urlaube) {
+      urlaub.krankheit = urlaub.krankheit.filter(eintrag => String(eintrag.abwesenheit) !== String(krankheit._id));
+      if (mitarbeiter) {
+        urlaub.tage = this.angerechneteTage(urlaub, mitarbeiter);
+      }
+      await urlaub.save();
+    }
+  }
+
+  /**
+   * Request an absence or report a sickness
+   * @param {Object} mitarbeiter - Mitarbeiter document
+   * @param {Object} daten - { art, von, bis, anlass, bemerkung }
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} { abwesenheit, konflikte, hinweise }
+   */
+  static async beantragen(mitarbeiter, daten, user) {
+    const von = tagesbeginn(daten.von);
+    const bis = tagesbeginn(daten.bis || daten.von);
+    if (bis < von) {
+      throw new AppError('Das Ende der Abwesenheit darf nicht vor dem Beginn liegen', 400);
+    }
+
+    const krankmeldung = daten.art === 'Krankheit';
+    const ueberschneidung = await Abwesenheit.findOne({
+      mitarbeiter: mitarbeiter._id,
+      status: { $in: AKTIV },
+      von: { $lte: tagesende(bis) },
+      bis: { $gte: von },
+      // Eine Krankheit unterbricht den Urlaub, statt abgelehnt zu werden
+      ...(krankmeldung && { art: { $ne: 'Urlaub' } })
+    });
+    if (ueberschneidung) {
+      throw new AppError(
+        `Im Zeitraum liegt bereits eine Abwesenheit (${ueberschneidung.art}, ${formatDatum(ueberschneidung.von)} - ${formatDatum(ueberschneidung.bis)})`,
+        409
+      );
+    }
+
+    const tage = this.arbeitstage(von, bis, mitarbeiter);
+    if (tage === 0 && daten.art !== 'Krankheit') {
+      throw new AppError('Im Zeitraum liegen keine Arbeitstage', 400);
+    }
+
+    // Resturlaub je betroffenem Jahr prüfen
+    if (daten.art === 'Urlaub') {
+      const bisherige = await Abwesenheit.find({ mitarbeiter: mitarbeiter._id, art: 'Urlaub' });
+      for (let jahr = von.getFullYear(); jahr <= bis.getFullYear(); jahr++) {
+        const konto = this.urlaubskonto(mitarbeiter, jahr, bisherige);
+        const benoetigt = this.tageImJahr({ von, bis }, mitarbeiter, jahr);
+        if (benoetigt > konto.verfuegbar) {
+          throw new AppError(
+            `Nicht genügend Resturlaub für ${jahr}: ${benoetigt} Tage beantragt, ${konto.verfuegbar} Tage verfügbar`,
+            400,
+            [{ field: 'bis', message: 'Resturlaub reicht nicht aus', konto }]
+          );
+        }
+      }
+    }
+
+    const arbeitstage = (mitarbeiter.arbeitszeit && mitarbeiter.arbeitszeit.arbeitstage) || [1, 2, 3, 4, 5];
+    const wochenstunden = mitarbeiter.arbeitszeit && mitarbeiter.arbeitszeit.wochenstunden != null
+      ? mitarbeiter.arbeitszeit.wochenstunden
+      : 40;
+
+    const abwesenheit = new Abwesenheit({
+      mitarbeiter: mitarbeiter._id,
+      art: daten.art,
+      von,
+      bis,
+      tage,
+      stunden: daten.art === 'Überstundenabbau' ? runden(tage * wochenstunden / (arbeitstage.length || 5)) : 0,
+      // Krankmeldungen bedürfen keiner Genehmigung
+      status: krankmeldung ? 'genehmigt' : 'beantragt',
+      anlass: daten.anlass,
+      bemerkung: daten.bemerkung,
+      beantragtVon: user.id,
+      ...(krankmeldung && { entschiedenAm: new Date() })
+    });
+    await abwesenheit.save();
+    const gutgeschrieben = krankmeldung ? await this.urlaubUnterbrechen(abwesenheit, mitarbeiter) : 0;
+
+    const konflikte = await this.konflikte(mitarbeiter._id, von, bis);
+    const hinweise = konflikte.map(konflikt => konflikt.meldung);
+    if (gutgeschrieben > 0) {
+      hinweise.push(`${gutgeschrieben} Urlaubstage werden wegen der Erkrankung nicht angerechnet (§9 BUrlG)`);
+    }
+    if (krankmeldung && this.auErforderlich(abwesenheit)) {
+      hinweise.push('Für diese Krankmeldung ist eine Arbeitsunfähigkeitsbescheinigung hochzuladen');
+    }
+
+    const name = mitarbeiterName(mitarbeiter);
+    const zeitraum = `${formatDatum(von)} bis ${formatDatum(bis)}`;
+    const empfaenger = (await this.genehmiger()).filter(id => id !== String(user.id));
+    await this.benachrichtigen(empfaenger, abwesenheit, krankmeldung
+      ? {
+        titel: `Krankmeldung: ${name}`,
+        inhalt: `${name} ist vom ${zeitraum} krankgemeldet.${konflikte.length > 0 ? ` Betroffene Umzüge: ${konflikte.length}` : ''}`,
+        typ: 'warnung'
+      }
+      : {
+        titel: `${daten.art} beantragt: ${name}`,
+        inhalt: `${name} beantragt ${daten.art} vom ${zeitraum} (${tage} Arbeitstage).` +
+          `${konflikte.length > 0 ? ` Achtung: ${konflikte.length} gebuchte Umzüge im Zeitraum` : ''}`,
+        typ: konflikte.length > 0 ? 'warnung' : 'info'
+      });
+
+    if (krankmeldung) {
+      await this.aktualisiereVerfuegbarkeit(mitarbeiter._id);
+    }
+
+    return { abwesenheit, konflikte, hinweise };
+  }
+
+  /**
+   * Approve or reject a requested absence
+   * @param {String} id - Abwesenheit ID
+   * @param {Boolean} genehmigen - true to approve, false to reject
+   * @param {Object} user - Deciding user
+   * @param {String} ablehnungsgrund - Reason when rejecting
+   * @returns {Promise<Object>} { abwesenheit, konflikte }
+   */
+  static async entscheiden(id, genehmigen, user, ablehnungsgrund) {
+    const abwesenheit = await Abwesenheit.findById(id);
+    if (!abwesenheit) {
+      throw createNotFoundError('Abwesenheit');
+    }
+    if (abwesenheit.status !== 'beantragt') {
+      throw new AppError(`Die Abwesenheit ist bereits ${abwesenheit.status}`, 409);
+    }
+
+    const mitarbeiter = await Mitarbeiter.findById(abwesenheit.mitarbeiter).select('vorname nachname userId');
+    if (mitarbeiter && String(mitarbeiter.userId) === String(user.id) && !BerechtigungService.hat(user, 'abwesenheit:approve:own')) {
+      throw new AppError('Eigene Anträge können nicht selbst entschieden werden', 403);
+    }
+
+    abwesenheit.status = genehmigen ? 'genehmigt' : 'abgelehnt';
+    abwesenheit.entschiedenVon = user.id;
+    abwesenheit.entschiedenAm = new Date();
+    if (!genehmigen) {
+      abwesenheit.ablehnungsgrund = ablehnungsgrund;
+    }
+    await abwesenheit.save();
+
+    const konflikte = genehmigen ? await this.konflikte(abwesenheit.mitarbeiter, abwesenheit.von, abwesenheit.bis) : [];
+    if (genehmigen) {
+      await this.aktualisiereVerfuegbarkeit(abwesenheit.mitarbeiter);
+    }
+
+    if (mitarbeiter) {
+      const zeitraum = `${formatDatum(abwesenheit.von)} bis ${formatDatum(abwesenheit.bis)}`;
+      await this.benachrichtigen([mitarbeiter.userId], abwesenheit, genehmigen
+        ? { titel: `${abwesenheit.art} genehmigt`, inhalt: `Ihre Abwesenheit vom ${zeitraum} wurde genehmigt.`, typ: 'erfolg' }
+        : {
+          titel: `${abwesenheit.art} abgelehnt`,
+          inhalt: `Ihre Abwesenheit vom ${zeitraum} wurde abgelehnt.${ablehnungsgrund ? ` Grund: ${ablehnungsgrund}` : ''}`,
+          typ: 'warnung'
+        });
+    }
+
+    return { abwesenheit, konflikte };
+  }
+
+  /**
+   * Cancel a requested or approved absence
+   * @param {Object} abwesenheit - Abwesenheit document
+   * @returns {Promise<Object>} Cancelled absence
+   */
+  static async stornieren(abwesenheit) {
+    if (!AKTIV.includes(abwesenheit.status)) {
+      throw new AppError(`Die Abwesenheit ist bereits ${abwesenheit.status}`, 409);
+    }
+
+    const warGenehmigt = abwesenheit.status === 'genehmigt';
+    abwesenheit.status = 'storniert';
+    await abwesenheit.save();
+    if (abwesenheit.art === 'Krankheit') {
+      await this.urlaubFortsetzen(abwesenheit);
+    }
+
+    if (warGenehmigt) {
+      await this.aktualisiereVerfuegbarkeit(abwesenheit.mitarbeiter);
+    }
+    return abwesenheit;
+  }
+
+  /**
+   * Whether a sickness requires a medical certificate that has not been uploaded yet
+   * @param {Object} abwesenheit - Abwesenheit
+   * @param {Object} config - Absence configuration
+   * @returns {Boolean}
+   */
+  static auErforderlich(abwesenheit, config = abwesenheitConfig) {
+    if (abwesenheit.art !== 'Krankheit' || abwesenheit.au || abwesenheit.status === 'storniert') {
+      return false;
+    }
+    const kalendertage = Math.round((tagesbeginn(abwesenheit.bis) - tagesbeginn(abwesenheit.von)) / (24 * 60 * 60 * 1000)) + 1;
+    return kalendertage >= config.auAbTag;
+  }
+
+  /**
+   * Team calendar: absences (requested and approved) per employee and the number of absent employees per day.
+   * Without full access, sickness is shown as a plain absence without details.
+   * @param {Date} von - Start
+   * @param {Date} bis - End
+   * @param {Object} options - { abteilung, vollzugriff }
+   * @returns {Promise<Object>} { von, bis, tage: [{ datum, feiertag, abwesend }], mitarbeiter }
+   */
+  static async kalender(von, bis, options = {}) {
+    const start = tagesbeginn(von);
+    const ende = tagesbeginn(bis);
+    const anzahlTage = Math.round((ende - start) / (24 * 60 * 60 * 1000)) + 1;
+    if (anzahlTage < 1) {
+      throw new AppError('Das Enddatum muss nach oder am Startdatum liegen', 400);
+    }
+    if (anzahlTage > MAX_TAGE) {
+      throw new AppError(`Der Kalenderzeitraum darf höchstens ${MAX_TAGE} Tage umfassen`, 400);
+    }
+
+    const filter = { isActive: true };
+    if (options.abteilung) {
+      filter.abteilung = options.abteilung;
+    }
+    const mitarbeiter = await Mitarbeiter.find(filter).select('vorname nachname position abteilung').sort({ nachname: 1 });
+    const abwesenheiten = await Abwesenheit.find({
+      mitarbeiter: { $in: mitarbeiter.map(ma => ma._id) },
+      status: { $in: AKTIV },
+      von: { $lte: tagesende(ende) },
+      bis: { $gte: start }
+    }).sort({ von: 1 });
+
+    const anzeigen = (eintrag) => {
+      const verborgen = !options.vollzugriff && eintrag.art === 'Krankheit';
+      return {
+        _id: eintrag._id,
+        art: verborgen ? 'Abwesenheit' : eintrag.art,
+        status: eintrag.status,
+        von: eintrag.von,
+        bis: eintrag.bis,
+        tage: eintrag.tage,
+        ...(options.vollzugriff && { anlass: eintrag.anlass, bemerkung: eintrag.bemerkung, auFehlt: this.auErforderlich(eintrag) })
+      };
+    };
+
+    const tage = [];
+    for (let i = 0; i < anzahlTage; i++) {
+      const tag = new Date(start);
+      tag.setDate(start.getDate() + i);
+      const schluessel = datumSchluessel(tag);
+      tage.push({
+        datum: schluessel,
+        feiertag: feiertag(tag, lohnConfig.bundesland) || null,
+        // Mitarbeiter statt Einträge zählen (Krankheit während des Urlaubs)
+        abwesend: new Set(abwesenheiten.filter(eintrag => eintrag.status === 'genehmigt'
+          && datumSchluessel(eintrag.von) <= schluessel && datumSchluessel(eintrag.bis) >= schluessel)
+          .map(eintrag => String(eintrag.mitarbeiter))).size,
+        beantragt: abwesenheiten.filter(eintrag => eintrag.status === 'beantragt'
+          && datumSchluessel(eintrag.von) <= schluessel && datumSchluessel(eintrag.bis) >= schluessel).length
+      });
+    }
+
+    return {
+      von: start,
+      bis: ende,
+      tage,
+      mitarbeiter: mitarbeiter.map(ma => ({
+        _id: ma._id,
+        name: mitarbeiterName(ma),
+        position: ma.position,
+        abteilung: ma.abteilung,
+        abwesenheiten: abwesenheiten
+          .filter(eintrag => String(eintrag.mitarbeiter) === String(ma._id))
+          .map(anzeigen)
+      }))
+    };
+  }
+}
+
+module.exports = AbwesenheitService;
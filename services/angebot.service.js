@@ -0,0 +1,362 @@
+/**
+ * angebot.service.js - Angebotskalkulation aus Aufnahmen
+ * Berechnet aus Räumen, Möbeln, Adressen und Zusatzleistungen einer Aufnahme die
+ * Positionen eines Angebots. Alle Preise stammen aus der Preistabelle (config/preise.config.js).
+ */
+
+const Angebot = require('../models/angebot.model');
+const ClientService = require('./client.service');
+const standardPreistabelle = require('../config/preise.config');
+const { generateUniqueNumber } = require('../utils/number.utils');
+const { AppError } = require('../utils/error.utils');
+
+const runden = (wert, stellen = 2) => {
+  const faktor = Math.pow(10, stellen);
+  return Math.round((wert + Number.EPSILON) * faktor) / faktor;
+};
+
+// Arbeitszeiten werden auf angefangene Viertelstunden aufgerundet
+const viertelstunden = stunden => Math.ceil(stunden * 4) / 4;
+
+// Ältere Aufnahmen speichern Eigenschaften/Services flach am Möbelstück
+const hatMerkmal = (moebel, gruppe, name) =>
+  Boolean((moebel[gruppe] && moebel[gruppe][name]) || moebel[name]);
+
+class AngebotService {
+  /**
+   * Volumen eines Möbelstücks (ein Stück) in m³
+   * Reihenfolge: erfasstes Volumen, Maße in cm, Richtwert der Kategorie
+   * @param {Object} moebel - Möbelstück der Aufnahme
+   * @param {Object} preistabelle - Preistabelle mit volumenProKategorie
+   * @returns {Number} - Volumen in m³
+   */
+  static volumenProStueck(moebel, preistabelle = standardPreistabelle) {
+    const groesse = moebel.groesse || {};
+    if (groesse.volumen) {
+      return groesse.volumen;
+    }
+    if (groesse.laenge && groesse.breite && groesse.hoehe) {
+      return (groesse.laenge * groesse.breite * groesse.hoehe) / 1000000;
+    }
+    const richtwerte = preistabelle.volumenProKategorie || {};
+    return richtwerte[moebel.kategorie] || richtwerte.sonstiges || 0;
+  }
+
+  /**
+   * Kennzahlen des Inventars einer Aufnahme ermitteln
+   * @param {Object} aufnahme - Aufnahme mit raeume[].moebel[]
+   * @param {Object} preistabelle - Preistabelle
+   * @returns {Object} - Volumen, Stückzahlen und Sonderbehandlungen
+   */
+  static analysiereInventar(aufnahme, preistabelle = standardPreistabelle) {
+    const inventar = {
+      volumen: 0,
+      anzahlMoebel: 0,
+      kartons: 0,
+      demontage: 0,
+      montage: 0,
+      verpackung: 0,
+      zerbrechlich: 0,
+      wertvoll: 0,
+      schwer: 0,
+      unhandlich: 0
+    };
+
+    (aufnahme.raeume || []).forEach(raum => {
+      (raum.moebel || []).forEach(moebel => {
+        const anzahl = moebel.anzahl || 1;
+        inventar.volumen += AngebotService.volumenProStueck(moebel, preistabelle) * anzahl;
+
+        if (moebel.kategorie === 'karton') {
+          inventar.kartons += anzahl;
+          return;
+        }
+
+        inventar.anzahlMoebel += anzahl;
+        ['demontage', 'montage', 'verpackung'].forEach(name => {
+          if (hatMerkmal(moebel, 'service', name)) inventar[name] += anzahl;
+        });
+        ['zerbrechlich', 'wertvoll', 'schwer', 'unhandlich'].forEach(name => {
+          if (hatMerkmal(moebel, 'eigenschaften', name)) inventar[name] += anzahl;
+        });
+        // Zwei-Mann-Transporte werden wie Schwerlast berechnet
+        if (hatMerkmal(moebel, 'service', 'transport2mann')) {
+          if (!hatMerkmal(moebel, 'eigenschaften', 'schwer')) inventar.schwer += anzahl;
+        }
+      });
+    });
+
+    // Ohne erfasstes Inventar auf das geschätzte Gesamtvolumen zurückfallen
+    if (inventar.volumen === 0) {
+      inventar.volumen = aufnahme.gesamtvolumen || aufnahme.umzugsvolumen || 0;
+    }
+    inventar.volumen = runden(inventar.volumen, 1);
+
+    return inventar;
+  }
+
+  /**
+   * Etagen- und Tragewegzuschläge für eine Adresse
+   * @param {String} bezeichnung - 'Auszug' oder 'Einzug'
+   * @param {Object} adresse - Adresse mit etage, aufzug, entfernung
+   * @param {Number} volumen - Umzugsvolumen in m³
+   * @param {Object} preistabelle - Preistabelle
+   * @returns {Array} - Positionen
+   */
+  static zuschlagsPositionen(bezeichnung, adresse, volumen, preistabelle = standardPreistabelle) {
+    const positionen = [];
+    if (!adresse || volumen <= 0) {
+      return positionen;
+    }
+
+    const zuschlaege = preistabelle.zuschlaege;
+    const etagen = Math.abs(adresse.etage || 0);
+    if (etagen > 0) {
+      const proEtage = adresse.aufzug
+        ? zuschlaege.etageMitAufzugProKubikmeter
+        : zuschlaege.etageOhneAufzugProKubikmeter;
+      if (proEtage > 0) {
+        const etageText = adresse.etage < 0 ? `${etagen}. UG` : `${etagen}. OG`;
+        positionen.push({
+          bezeichnung: `Etagenzuschlag ${bezeichnung} (${etageText}, ${adresse.aufzug ? 'mit' : 'ohne'} Aufzug)`,
+          kategorie: 'personal',
+          menge: volumen,
+          einheit: 'm³',
+          einzelpreis: runden(proEtage * etagen)
+        });
+      }
+    }
+
+    const mehrweg = (adresse.entfernung || 0) - zuschlaege.tragewegFreiMeter;
+    if (mehrweg > 0 && zuschlaege.tragewegProAngefangene10mProKubikmeter > 0) {
+      const abschnitte = Math.ceil(mehrweg / 10);
+      positionen.push({
+        bezeichnung: `Tragewegzuschlag ${bezeichnung} (${adresse.entfernung} m)`,
+        kategorie: 'personal',
+        menge: volumen,
+        einheit: 'm³',
+        einzelpreis: runden(zuschlaege.tragewegProAngefangene10mProKubikmeter * abschnitte)
+      });
+    }
+
+    return positionen;
+  }
+
+  /**
+   * Positionen für die Zusatzleistungen der Aufnahme
+   * @param {Object} zusatzleistungen - zusatzleistungen der Aufnahme
+   * @param {Object} preistabelle - Preistabelle
+   * @returns {Array} - Positionen
+   */
+  static zusatzleistungsPositionen(zusatzleistungen, preistabelle = standardPreistabelle) {
+    const positionen = [];
+    if (!zusatzleistungen) {
+      return positionen;
+    }
+
+    const pauschalen = preistabelle.zusatzleistungen;
+    const leistungen = [
+      ['packservice', 'Packservice (Ein- und Auspacken)', zusatzleistungen.packservice],
+      ['montageservice', 'Montageservice', zusatzleistungen.montageservice],
+      ['entsorgung', 'Entsorgung', zusatzleistungen.entsorgung],
+      ['reinigung', 'Endreinigung', zusatzleistungen.reinigung],
+      ['lagerung', 'Zwischenlagerung', zusatzleistungen.lagerung],
+      ['klaviertransport', 'Klaviertransport', zusatzleistungen.klaviertransport],
+      ['kuecheAbbau', 'Küche abbauen', zusatzleistungen.kueche && zusatzleistungen.kueche.abbau],
+      ['kuecheAufbau', 'Küche aufbauen', zusatzleistungen.kueche && zusatzleistungen.kueche.aufbau],
+      ['kuecheAnschluss', 'Küchengeräte anschließen', zusatzleistungen.kueche && zusatzleistungen.kueche.anschluss]
+    ];
+
+    leistungen.forEach(([schluessel, bezeichnung, gebucht]) => {
+      if (gebucht && pauschalen[schluessel] !== undefined) {
+        positionen.push({
+          bezeichnung,
+          kategorie: 'zusatzleistung',
+          menge: 1,
+          einheit: 'Pauschale',
+          einzelpreis: pauschalen[schluessel]
+        });
+      }
+    });
+
+    (zusatzleistungen.custom || []).forEach(leistung => {
+      if (leistung.beschreibung && leistung.preis !== undefined) {
+        positionen.push({
+          bezeichnung: leistung.beschreibung,
+          kategorie: 'zusatzleistung',
+          menge: 1,
+          einheit: 'Pauschale',
+          einzelpreis: leistung.preis
+        });
+      }
+    });
+
+    return positionen;
+  }
+
+  /**
+   * Angebotspositionen aus einer Aufnahme kalkulieren
+   * @param {Object} aufnahme - Aufnahme-Dokument
+   * @param {Object} preistabelle - Preistabelle (Standard: config/preise.config.js)
+   * @returns {Object} - { positionen, inventar, nettobetrag, mehrwertsteuer, bruttobetrag }
+   */
+  static kalkuliere(aufnahme, preistabelle = standardPreistabelle) {
+    const inventar = AngebotService.analysiereInventar(aufnahme, preistabelle);
+    const { transport, personal, zuschlaege, material } = preistabelle;
+
+    if (inventar.volumen <= 0) {
+      throw new AppError('Die Aufnahme enthält kein Inventar und kein geschätztes Umzugsvolumen', 400);
+    }
+
+    const positionen = [];
+
+    // Transport
+    positionen.push({
+      bezeichnung: 'Anfahrt und Fahrzeugbereitstellung',
+      kategorie: 'transport',
+      menge: 1,
+      einheit: 'Pauschale',
+      einzelpreis: transport.anfahrtspauschale
+    });
+    positionen.push({
+      bezeichnung: `Transport Umzugsgut (${inventar.volumen} m³)`,
+      kategorie: 'transport',
+      menge: inventar.volumen,
+      einheit: 'm³',
+      einzelpreis: transport.proKubikmeter
+    });
+
+    // Personal: Be- und Entladen nach Volumen, Demontage/Montage nach Stückzahl
+    const ladestunden = Math.max(
+      personal.mindestStunden,
+      Math.ceil(inventar.volumen * personal.stundenProKubikmeter * 2) / 2
+    );
+    positionen.push({
+      bezeichnung: 'Umzugspersonal Be- und Entladen',
+      kategorie: 'personal',
+      menge: ladestunden,
+      einheit: 'Std.',
+      einzelpreis: personal.stundensatz
+    });
+
+    if (inventar.demontage > 0) {
+      positionen.push({
+        bezeichnung: `Demontage von ${inventar.demontage} Möbelstück(en)`,
+        kategorie: 'personal',
+        menge: viertelstunden(inventar.demontage * personal.demontageMinutenProStueck / 60),
+        einheit: 'Std.',
+        einzelpreis: personal.montageStundensatz
+      });
+    }
+    if (inventar.montage > 0) {
+      positionen.push({
+        bezeichnung: `Montage von ${inventar.montage} Möbelstück(en)`,
+        kategorie: 'personal',
+        menge: viertelstunden(inventar.montage * personal.montageMinutenProStueck / 60),
+        einheit: 'Std.',
+        einzelpreis: personal.montageStundensatz
+      });
+    }
+
+    positionen.push(...AngebotService.zuschlagsPositionen('Auszug', aufnahme.auszugsadresse, inventar.volumen, preistabelle));
+    positionen.push(...AngebotService.zuschlagsPositionen('Einzug', aufnahme.einzugsadresse, inventar.volumen, preistabelle));
+
+    const sonderbehandlung = [
+      ['zerbrechlich', 'Sonderbehandlung zerbrechlicher Gegenstände', zuschlaege.zerbrechlichProStueck],
+      ['wertvoll', 'Sonderbehandlung wertvoller Gegenstände', zuschlaege.wertvollProStueck],
+      ['schwer', 'Schwerlasttransport', zuschlaege.schwerProStueck],
+      ['unhandlich', 'Zuschlag sperrige Gegenstände', zuschlaege.unhandlichProStueck]
+    ];
+    sonderbehandlung.forEach(([merkmal, bezeichnung, preis]) => {
+      if (inventar[merkmal] > 0 && preis > 0) {
+        positionen.push({
+          bezeichnung,
+          kategorie: 'personal',
+          menge: inventar[merkmal],
+          einheit: 'Stück',
+          einzelpreis: preis
+        });
+      }
+    });
+
+    // Material
+    if (inventar.kartons > 0) {
+      positionen.push({
+        bezeichnung: 'Umzugskartons',
+        kategorie: 'material',
+        menge: inventar.kartons,
+        einheit: 'Stück',
+        einzelpreis: material.kartonProStueck
+      });
+    }
+    if (inventar.verpackung > 0) {
+      positionen.push({
+        bezeichnung: 'Verpackungsmaterial (Decken, Folie, Polster)',
+        kategorie: 'material',
+        menge: inventar.verpackung,
+        einheit: 'Stück',
+        einzelpreis: material.verpackungProStueck
+      });
+    }
+
+    positionen.push(...AngebotService.zusatzleistungsPositionen(aufnahme.zusatzleistungen, preistabelle));
+
+    positionen.forEach(position => {
+      position.gesamtpreis = runden(position.menge * position.einzelpreis);
+    });
+
+    const nettobetrag = runden(positionen.reduce((summe, position) => summe + position.gesamtpreis, 0));
+    const mehrwertsteuer = preistabelle.mehrwertsteuer;
+    const bruttobetrag = runden(nettobetrag * (1 + mehrwertsteuer / 100));
+
+    return { positionen, inventar, nettobetrag, mehrwertsteuer, bruttobetrag };
+  }
+
+  /**
+   * Angebot aus einer Aufnahme erstellen und mit ihr verknüpfen
+   * @param {Object} aufnahme - Aufnahme-Dokument (wird gespeichert)
+   * @param {Object} options - { kunde, gueltigkeitTage, notizen, userId, preistabelle }
+   * @returns {Promise<Object>} - { angebot, kalkulation }
+   */
+  static async erstelleAusAufnahme(aufnahme, options = {}) {
+    const { userId, notizen, preistabelle = standardPreistabelle } = options;
+    const kalkulation = AngebotService.kalkuliere(aufnahme, preistabelle);
+
+    const kunde = options.kunde || (await ClientService.findOrCreateByKontakt({
+      name: aufnahme.kundenName,
+      email: aufnahme.email,
+      telefon: aufnahme.telefon,
+      kontaktperson: aufnahme.kontaktperson,
+      adresse: aufnahme.einzugsadresse || aufnahme.auszugsadresse
+    }, userId))._id;
+
+    const gueltigkeitTage = Number(options.gueltigkeitTage) || preistabelle.angebot.gueltigkeitTage;
+    const gueltigBis = new Date();
+    gueltigBis.setDate(gueltigBis.getDate() + gueltigkeitTage);
+
+    const angebot = await Angebot.create({
+      angebotNummer: await generateUniqueNumber(Angebot, 'angebotNummer', 'ANG'),
+      kunde,
+      aufnahme: aufnahme._id,
+      gueltigBis,
+      mehrwertsteuer: kalkulation.mehrwertsteuer,
+      positionsliste: kalkulation.positionen,
+      gesamtbetrag: kalkulation.bruttobetrag,
+      notizen,
+      erstelltVon: userId
+    });
+
+    aufnahme.angebot = angebot._id;
+    aufnahme.angebotspreis = {
+      netto: kalkulation.nettobetrag,
+      brutto: kalkulation.bruttobetrag,
+      mwst: kalkulation.mehrwertsteuer
+    };
+    aufnahme.status = 'angebot_erstellt';
+    await aufnahme.save();
+
+    return { angebot, kalkulation };
+  }
+}
+
+module.exports = AngebotService;
@@ -0,0 +1,178 @@
+/**
+ * apikey.service.js - Persönliche API-Schlüssel mit Scopes
+ * Schlüssel werden einmalig im Klartext ausgegeben und nur als SHA-256-Hash gespeichert.
+ * Ein Request mit Schlüssel läuft als dessen Benutzer (Rollenprüfungen gelten weiter), zusätzlich
+ * muss der Scope für Bereich und Methode vorhanden sein.
+ */
+
+const crypto = require('crypto');
+const ApiKey = require('../models/apikey.model');
+const { User } = require('../models');
+const apiKeyConfig = require('../config/apikey.config');
+const { AppError } = require('../utils/error.utils');
+const BerechtigungService = require('./berechtigung.service');
+
+const LESEND = ['GET', 'HEAD', 'OPTIONS'];
+
+const hash = (schluessel) => crypto.createHash('sha256').update(String(schluessel)).digest('hex');
+
+class ApiKeyService {
+  /**
+   * Whether a presented credential looks like one of our API keys (and not like a JWT)
+   * @param {String} wert - Header value without "Bearer "
+   * @returns {Boolean}
+   */
+  static istApiKey(wert) {
+    return typeof wert === 'string' && wert.startsWith(apiKeyConfig.praefix);
+  }
+
+  /**
+   * New random key
+   * @returns {Object} { schluessel, praefix, hash }
+   */
+  static erzeugeSchluessel() {
+    const schluessel = `${apiKeyConfig.praefix}${crypto.randomBytes(32).toString('base64url')}`;
+    return { schluessel, praefix: schluessel.slice(0, apiKeyConfig.praefix.length + 8), hash: hash(schluessel) };
+  }
+
+  /**
+   * Scope a request needs: area from the first path segment after /api, read for GET/HEAD, write otherwise
+   * @param {Object} req - Express request (method, originalUrl)
+   * @returns {String|null} e.g. "umzuege:read"; null if the area is not reachable with API keys
+   */
+  static benoetigterScope(req) {
+    const treffer = /^\/api\/([^/?#]+)/.exec(req.originalUrl || '');
+    if (!treffer || !apiKeyConfig.bereiche.includes(treffer[1])) {
+      return null;
+    }
+    return `${treffer[1]}:${LESEND.includes(req.method) ? 'read' : 'write'}`;
+  }
+
+  /**
+   * Whether the granted scopes cover a required scope (write includes read)
+   * @param {Array} scopes - Granted scopes
+   * @param {String} scope - Required scope
+   * @returns {Boolean}
+   */
+  static erlaubt(scopes, scope) {
+    if (!scope) {
+      return false;
+    }
+    const [bereich, recht] = scope.split(':');
+    return scopes.includes(scope) || (recht === 'read' && scopes.includes(`${bereich}:write`));
+  }
+
+  /**
+   * Resolve a presented key to its user and record the usage
+   * @param {String} schluessel - Key in plain text
+   * @param {String} ip - Client IP
+   * @returns {Promise<Object|null>} { user, apiKey } or null if unknown, revoked, expired or the user is inactive
+   */
+  static async authentifizieren(schluessel, ip) {
+    const apiKey = await ApiKey.findOne({ hash: hash(schluessel), widerrufen: false });
+    if (!apiKey || (apiKey.laeuftAb && apiKey.laeuftAb <= new Date())) {
+      return null;
+    }
+
+    const user = await User.findById(apiKey.user).select('-password');
+    if (!user || user.isActive === false) {
+      return null;
+    }
+
+    const jetzt = new Date();
+    if (!apiKey.zuletztVerwendetAm || jetzt - apiKey.zuletztVerwendetAm > apiKeyConfig.nutzungIntervallSekunden * 1000) {
+      await ApiKey.updateOne({ _id: apiKey._id }, { $set: { zuletztVerwendetAm: jetzt, zuletztVerwendetIp: ip } });
+    }
+    return { user, apiKey };
+  }
+
+  /**
+   * Keys of a user (user administrators may list all)
+   * @param {Object} filter - { user }
+   * @returns {Promise<Array>}
+   */
+  static liste(filter = {}) {
+    return ApiKey.find(filter)
+      .populate('user', 'name email')
+      .sort({ widerrufen: 1, createdAt: -1 });
+  }
+
+  /**
+   * Create a key for the current user
+   * @param {Object} user - Owner
+   * @param {Object} daten - { name, scopes, laeuftAb }
+   * @returns {Promise<Object>} { apiKey, schluessel } - the plain key is only returned here
+   */
+  static async erstellen(user, { name, scopes, laeuftAb }) {
+    const anzahl = await ApiKey.countDocuments({ user: user._id, widerrufen: false });
+    if (anzahl >= apiKeyConfig.hoechstAnzahl) {
+      throw new AppError(`Es sind höchstens ${apiKeyConfig.hoechstAnzahl} aktive API-Schlüssel möglich`, 409);
+    }
+
+    const { schluessel, praefix, hash: schluesselHash } = this.erzeugeSchluessel();
+    const apiKey = await ApiKey.create({
+      user: user._id,
+      name,
+      scopes: [...new Set(scopes)],
+      laeuftAb,
+      praefix,
+      hash: schluesselHash
+    });
+    apiKey.hash = undefined;
+
+    return { apiKey, schluessel };
+  }
+
+  /**
+   * Load an active key the user may manage (own keys; user administrators all)
+   * @param {String} id - Key ID
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>}
+   */
+  static async ladeVerwaltbaren(id, user) {
+    const apiKey = await ApiKey.findById(id);
+    if (!apiKey || (!BerechtigungService.hat(user, 'benutzer:manage') && String(apiKey.user) !== String(user._id))) {
+      throw new AppError('API-Schlüssel wurde nicht gefunden', 404);
+    }
+    if (apiKey.widerrufen) {
+      throw new AppError('Der API-Schlüssel wurde bereits widerrufen', 409);
+    }
+    return apiKey;
+  }
+
+  /**
+   * Replace the secret of a key; the previous one stops working immediately
+   * @param {String} id - Key ID
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} { apiKey, schluessel }
+   */
+  static async rotieren(id, user) {
+    const apiKey = await this.ladeVerwaltbaren(id, user);
+    const { schluessel, praefix, hash: schluesselHash } = this.erzeugeSchluessel();
+
+    apiKey.praefix = praefix;
+    apiKey.hash = schluesselHash;
+    apiKey.rotiertAm = new Date();
+    await apiKey.save();
+    apiKey.hash = undefined;
+
+    return { apiKey, schluessel };
+  }
+
+  /**
+   * Revoke a key (kept for traceability)
+   * @param {String} id - Key ID
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>}
+   */
+  static async widerrufen(id, user) {
+    const apiKey = await this.ladeVerwaltbaren(id, user);
+    apiKey.widerrufen = true;
+    apiKey.widerrufenAm = new Date();
+    apiKey.widerrufenVon = user._id;
+    await apiKey.save();
+    return apiKey;
+  }
+}
+
+module.exports = ApiKeyService;
@@ -0,0 +1,302 @@
+/**
+ * arbzg.service.js - Prüfung der Arbeitszeiten nach dem Arbeitszeitgesetz
+ * Geprüft werden je Arbeitstag (Tag des Schichtbeginns) die Höchstarbeitszeit (§3), die Ruhepausen
+ * und die Dauer ohne Pause (§4), die Ruhezeit zum nächsten Arbeitstag (§5) sowie der gleitende
+ * Wochendurchschnitt im Ausgleichszeitraum. Grundlage sind dieselben Schichten wie für den
+ * Stundenzettel: Zeiterfassungen und Arbeitszeiten des Mitarbeiters, ohne Doppelerfassungen.
+ */
+
+const Mitarbeiter = require('../models/mitarbeiter.model');
+const Zeiterfassung = require('../models/zeiterfassung.model');
+const Umzug = require('../models/umzug.model');
+const StundenzettelService = require('./stundenzettel.service');
+const arbzgConfig = require('../config/arbzg.config');
+const { datumSchluessel } = require('../utils/feiertage.utils');
+const { createNotFoundError } = require('../utils/error.utils');
+
+const MINUTE = 60 * 1000;
+const TAG = 24 * 60 * MINUTE;
+
+const stunden = (minuten) => Math.round(minuten / 60 * 100) / 100;
+const formatDatum = (datum) => new Date(datum).toLocaleDateString('de-DE');
+const tagesbeginn = (datum) => {
+  const d = new Date(datum);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+};
+const montag = (datum) => {
+  const d = tagesbeginn(datum);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+};
+
+class ArbzgService {
+  /**
+   * Group shifts into working days with working time, qualifying breaks and the longest stretch without a break.
+   * Interruptions of at least `pausenblockMinuten` count as breaks, including gaps between shifts of a day.
+   * @param {Array} schichten - Shifts (see StundenzettelService.schicht)
+   * @param {Object} config - ArbZG configuration
+   * @returns {Array} [{ datum, beginn, ende, arbeitsMinuten, pausenMinuten, laengsterBlock }] ordered by start
+   */
+  static arbeitstage(schichten, config = arbzgConfig) {
+    const tage = new Map();
+    schichten.forEach(schicht => {
+      const schluessel = datumSchluessel(schicht.beginn);
+      if (!tage.has(schluessel)) tage.set(schluessel, []);
+      tage.get(schluessel).push(schicht);
+    });
+
+    return [...tage.values()].map(tagesSchichten => {
+      const intervalle = [];
+      tagesSchichten.forEach(schicht => {
+        let start = schicht.beginn;
+        [...schicht.pausen].sort((a, b) => a.beginn - b.beginn).forEach(pause => {
+          if (pause.beginn > start) intervalle.push({ beginn: start, ende: pause.beginn });
+          if (pause.ende > start) start = pause.ende;
+        });
+        if (schicht.ende > start) intervalle.push({ beginn: start, ende: schicht.ende });
+      });
+      intervalle.sort((a, b) => a.beginn - b.beginn);
+
+      let pausenMinuten = 0;
+      let block = 0;
+      let laengsterBlock = 0;
+      intervalle.forEach((intervall, index) => {
+        if (index > 0) {
+          const luecke = (intervall.beginn - intervalle[index - 1].ende) / MINUTE;
+          if (luecke >= config.pausenblockMinuten) {
+            pausenMinuten += luecke;
+            block = 0;
+          }
+        }
+        block += (intervall.ende - intervall.beginn) / MINUTE;
+        laengsterBlock = Math.max(laengsterBlock, block);
+      });
+
+      return {
+        datum: tagesbeginn(tagesSchichten[0].beginn),
+        beginn: new Date(Math.min(...tagesSchichten.map(schicht => schicht.beginn))),
+        ende: new Date(Math.max(...tagesSchichten.map(schicht => schicht.ende))),
+        arbeitsMinuten: tagesSchichten.reduce((summe, schicht) => summe + schicht.minuten, 0),
+        pausenMinuten,
+        laengsterBlock
+      };
+    }).sort((a, b) => a.beginn - b.beginn);
+  }
+
+  /**
+   * Check shifts against the Arbeitszeitgesetz
+   * @param {Array} schichten - Shifts of one employee, including the compensation period before `von`
+   * @param {Object} options - { von, bis } only report days within this range; { config }
+   * @returns {Object} { verstoesse: [{ art, schwere, datum, meldung, wert, grenze }], kennzahlen }
+   */
+  static pruefen(schichten, options = {}) {
+    const config = options.config || arbzgConfig;
+    const von = options.von ? tagesbeginn(options.von) : null;
+    const bis = options.bis ? new Date(options.bis) : null;
+    const imZeitraum = (datum) => (!von || datum >= von) && (!bis || datum <= bis);
+    const verstoesse = [];
+    const verstoss = (art, schwere, datum, meldung, wert, grenze, weiteres = {}) => {
+      verstoesse.push({ art, schwere, datum, meldung, wert, grenze, ...weiteres });
+    };
+
+    const sortiert = [...schichten].sort((a, b) => a.beginn - b.beginn);
+    sortiert.forEach((schicht, index) => {
+      const naechste = sortiert[index + 1];
+      if (naechste && naechste.beginn < schicht.ende) {
+        verstoss('ueberschneidung', 'fehler', tagesbeginn(naechste.beginn),
+          `Am ${formatDatum(naechste.beginn)} überschneiden sich zwei erfasste Arbeitszeiten`);
+      }
+    });
+
+    const tage = this.arbeitstage(sortiert, config);
+    tage.forEach((tag, index) => {
+      const datum = formatDatum(tag.datum);
+      if (tag.arbeitsMinuten > config.hoechstTagesstunden * 60) {
+        verstoss('hoechstarbeitszeit', 'fehler', tag.datum,
+          `Am ${datum} ${stunden(tag.arbeitsMinuten)} Stunden gearbeitet (höchstens ${config.hoechstTagesstunden} Stunden, §3 ArbZG)`,
+          stunden(tag.arbeitsMinuten), config.hoechstTagesstunden);
+      }
+
+      const pflicht = config.pausen.find(stufe => tag.arbeitsMinuten > stufe.abMinuten);
+      if (pflicht && tag.pausenMinuten < pflicht.minuten) {
+        verstoss('pause', 'fehler', tag.datum,
+          `Am ${datum} nur ${tag.pausenMinuten} Minuten Ruhepause bei ${stunden(tag.arbeitsMinuten)} Stunden Arbeitszeit ` +
+          `(mindestens ${pflicht.minuten} Minuten, §4 ArbZG)`,
+          tag.pausenMinuten, pflicht.minuten);
+      } else if (tag.laengsterBlock > config.hoechstBlockMinuten) {
+        verstoss('arbeitsblock', 'fehler', tag.datum,
+          `Am ${datum} ${stunden(tag.laengsterBlock)} Stunden ohne Ruhepause gearbeitet ` +
+          `(höchstens ${stunden(config.hoechstBlockMinuten)} Stunden, §4 ArbZG)`,
+          stunden(tag.laengsterBlock), stunden(config.hoechstBlockMinuten));
+      }
+
+      const naechster = tage[index + 1];
+      if (naechster) {
+        const ruhe = (naechster.beginn - tag.ende) / MINUTE;
+        if (ruhe >= 0 && ruhe < config.ruhezeitStunden * 60) {
+          verstoss('ruhezeit', 'fehler', naechster.datum,
+            `Zwischen ${datum} und ${formatDatum(naechster.datum)} nur ${stunden(ruhe)} Stunden Ruhezeit ` +
+            `(mindestens ${config.ruhezeitStunden} Stunden, §5 ArbZG)`,
+            stunden(ruhe), config.ruhezeitStunden, { vorherigerTag: tag.datum });
+        }
+      }
+    });
+
+    // Gleitender Durchschnitt je Kalenderwoche über den Ausgleichszeitraum
+    const wochen = [...new Set(tage.filter(tag => imZeitraum(tag.datum)).map(tag => montag(tag.datum).getTime()))];
+    const durchschnitt = (wochenende) => {
+      const beginn = wochenende - config.ausgleichWochen * 7 * TAG;
+      const minuten = tage
+        .filter(tag => tag.datum.getTime() >= beginn && tag.datum.getTime() < wochenende)
+        .reduce((summe, tag) => summe + tag.arbeitsMinuten, 0);
+      return stunden(minuten / config.ausgleichWochen);
+    };
+    wochen.forEach(woche => {
+      const wert = durchschnitt(woche + 7 * TAG);
+      if (wert > config.durchschnittWochenstunden) {
+        verstoss('durchschnitt', 'warnung', new Date(woche),
+          `In den ${config.ausgleichWochen} Wochen bis zur Woche ab ${formatDatum(woche)} durchschnittlich ${wert} Stunden ` +
+          `je Woche (höchstens ${config.durchschnittWochenstunden} Stunden, §3 ArbZG)`,
+          wert, config.durchschnittWochenstunden);
+      }
+    });
+
+    const imBericht = tage.filter(tag => imZeitraum(tag.datum));
+    const ruhezeiten = imBericht
+      .map(tag => tage[tage.indexOf(tag) + 1])
+      .map((naechster, index) => (naechster ? (naechster.beginn - imBericht[index].ende) / MINUTE : null))
+      .filter(ruhe => ruhe !== null && ruhe >= 0);
+
+    return {
+      verstoesse: verstoesse
+        .filter(eintrag => eintrag.art === 'durchschnitt' || imZeitraum(eintrag.datum))
+        .sort((a, b) => a.datum - b.datum),
+      kennzahlen: {
+        arbeitstage: imBericht.length,
+        stunden: stunden(imBericht.reduce((summe, tag) => summe + tag.arbeitsMinuten, 0)),
+        hoechsteTagesarbeitszeit: stunden(Math.max(0, ...imBericht.map(tag => tag.arbeitsMinuten))),
+        kuerzesteRuhezeit: ruhezeiten.length > 0 ? stunden(Math.min(...ruhezeiten)) : null,
+        durchschnittWochenstunden: durchschnitt((bis ? tagesbeginn(bis).getTime() : Date.now()) + TAG)
+      }
+    };
+  }
+
+  /**
+   * Whether violations prevent saving an entry (mode "ablehnen")
+   * @param {Array} verstoesse - Violations
+   * @param {Object} config - ArbZG configuration
+   * @returns {Boolean}
+   */
+  static abzulehnen(verstoesse, config = arbzgConfig) {
+    return config.modus === 'ablehnen' && verstoesse.some(eintrag => eintrag.schwere === 'fehler');
+  }
+
+  /**
+   * Load time entries and working times of employees
+   * @param {Array} mitarbeiterIds - Mitarbeiter IDs
+   * @param {Date} von - Start
+   * @param {Date} bis - End
+   * @param {String} ausgenommen - Id of a time entry or working time to leave out (when it is being edited)
+   * @returns {Promise<Array>} [{ mitarbeiter, zeiterfassungen, arbeitszeiten }]
+   */
+  static async ladeEintraege(mitarbeiterIds, von, bis, ausgenommen = null) {
+    const [mitarbeiter, zeiterfassungen] = await Promise.all([
+      Mitarbeiter.find({ _id: { $in: mitarbeiterIds } }).select('vorname nachname arbeitszeiten'),
+      Zeiterfassung.find({
+        mitarbeiterId: { $in: mitarbeiterIds },
+        datum: { $gte: von, $lte: bis },
+        ...(ausgenommen && { _id: { $ne: ausgenommen } })
+      })
+    ]);
+
+    return mitarbeiter.map(ma => ({
+      mitarbeiter: ma,
+      zeiterfassungen: zeiterfassungen.filter(eintrag => String(eintrag.mitarbeiterId) === String(ma._id)),
+      arbeitszeiten: (ma.arbeitszeiten || []).filter(eintrag => new Date(eintrag.datum) >= von
+        && new Date(eintrag.datum) <= bis
+        && String(eintrag._id) !== String(ausgenommen))
+    }));
+  }
+
+  /**
+   * Check a new or changed entry in the context of the employee's other working times
+   * @param {String} mitarbeiterId - Mitarbeiter ID
+   * @param {Object} eintrag - { datum, startzeit, endzeit, pause } (Zeiterfassung) or { ..., pausen } (Arbeitszeit)
+   * @param {Object} options - { quelle: 'zeiterfassung'|'arbeitszeit', ausgenommen: id of the edited entry }
+   * @returns {Promise<Array>} Violations concerning the day of the entry
+   */
+  static async pruefeEintrag(mitarbeiterId, eintrag, options = {}) {
+    const config = options.config || arbzgConfig;
+    const tag = tagesbeginn(eintrag.datum);
+    const von = new Date(tag.getTime() - config.ausgleichWochen * 7 * TAG);
+    const bis = new Date(tag.getTime() + 2 * TAG);
+
+    const [daten] = await this.ladeEintraege([mitarbeiterId], von, bis, options.ausgenommen);
+    if (!daten) {
+      throw createNotFoundError('Mitarbeiter');
+    }
+    if (options.quelle === 'arbeitszeit') {
+      daten.arbeitszeiten.push(eintrag);
+    } else {
+      daten.zeiterfassungen.push(eintrag);
+    }
+
+    const schichten = StundenzettelService.schichten(daten.zeiterfassungen, daten.arbeitszeiten);
+    const { verstoesse } = this.pruefen(schichten, {
+      von: new Date(tag.getTime() - TAG),
+      bis: new Date(tag.getTime() + 2 * TAG - 1),
+      config
+    });
+
+    const schluessel = datumSchluessel(tag);
+    return verstoesse.filter(verstoss => datumSchluessel(verstoss.datum) === schluessel
+      || (verstoss.vorherigerTag && datumSchluessel(verstoss.vorherigerTag) === schluessel)
+      || (verstoss.art === 'durchschnitt' && datumSchluessel(montag(tag)) === datumSchluessel(verstoss.datum)));
+  }
+
+  /**
+   * Compliance report for employees within a period
+   * @param {Array} mitarbeiterIds - Mitarbeiter IDs
+   * @param {Date} von - Start of the period
+   * @param {Date} bis - End of the period
+   * @returns {Promise<Array>} [{ mitarbeiter: { _id, name }, verstoesse, kennzahlen }]
+   */
+  static async bericht(mitarbeiterIds, von, bis, config = arbzgConfig) {
+    const ladenAb = new Date(tagesbeginn(von).getTime() - config.ausgleichWochen * 7 * TAG);
+    const daten = await this.ladeEintraege(mitarbeiterIds, ladenAb, new Date(bis.getTime() + TAG));
+
+    return daten.map(({ mitarbeiter, zeiterfassungen, arbeitszeiten }) => ({
+      mitarbeiter: { _id: mitarbeiter._id, name: `${mitarbeiter.vorname} ${mitarbeiter.nachname}` },
+      ...this.pruefen(StundenzettelService.schichten(zeiterfassungen, arbeitszeiten), { von, bis, config })
+    }));
+  }
+
+  /**
+   * Compliance report for the team of a move; defaults to the days of the move
+   * @param {String} umzugId - Umzug ID
+   * @param {Date} von - Optional start
+   * @param {Date} bis - Optional end
+   * @returns {Promise<Object>} { umzug, von, bis, mitarbeiter: [report per employee] }
+   */
+  static async berichtUmzug(umzugId, von, bis) {
+    const umzug = await Umzug.findById(umzugId).select('kundennummer auftraggeber.name startDatum endDatum mitarbeiter');
+    if (!umzug) {
+      throw createNotFoundError('Umzug');
+    }
+
+    const beginn = von || tagesbeginn(umzug.startDatum);
+    const ende = bis || new Date(tagesbeginn(umzug.endDatum || umzug.startDatum).getTime() + TAG - 1);
+    const ids = [...new Set((umzug.mitarbeiter || [])
+      .map(eintrag => eintrag.mitarbeiterId && String(eintrag.mitarbeiterId))
+      .filter(Boolean))];
+
+    return {
+      umzug: { _id: umzug._id, kundennummer: umzug.kundennummer, auftraggeber: umzug.auftraggeber && umzug.auftraggeber.name },
+      von: beginn,
+      bis: ende,
+      mitarbeiter: ids.length > 0 ? await this.bericht(ids, beginn, ende) : []
+    };
+  }
+}
+
+module.exports = ArbzgService;
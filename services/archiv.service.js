@@ -0,0 +1,187 @@
+// services/archiv.service.js - ZIP-Archive entpacken (Sammel-Upload) und erzeugen (Download aller Dateien)
+const path = require('path');
+const { PassThrough } = require('stream');
+const { promisify } = require('util');
+const yauzl = require('yauzl');
+const yazl = require('yazl');
+const storageConfig = require('../config/storage.config');
+const { AppError } = require('../utils/error.utils');
+
+const MB = 1024 * 1024;
+
+// Bereits komprimierte Formate werden im Archiv nur gespeichert
+const KOMPRIMIERT = /\.(jpe?g|png|gif|webp|zip|rar|7z|docx|xlsx|pptx)$/i;
+
+// Systemdateien aus macOS- und Windows-Archiven
+const istSystemdatei = (name) => /(^|\/)(__MACOSX|\.DS_Store|Thumbs\.db|desktop\.ini)(\/|$)/i.test(name)
+  || path.posix.basename(name).startsWith('.');
+
+const oeffneZip = promisify(yauzl.fromBuffer);
+
+const leseEintrag = (zip, eintrag) => new Promise((resolve, reject) => {
+  zip.openReadStream(eintrag, (err, stream) => {
+    if (err) {
+      return reject(err);
+    }
+    const teile = [];
+    stream.on('data', teil => teile.push(teil));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(teile)));
+  });
+});
+
+class ArchivService {
+  /**
+   * Unpack a ZIP upload and hand every acceptable entry to a callback
+   * Entry count and unpacked size are checked against the central directory first,
+   * so an archive over the limits is rejected before any entry is handed on.
+   * @param {Buffer} buffer - ZIP file
+   * @param {Function} verarbeite - async ({ name, buffer, groesse }) => result, may throw to reject the entry
+   * @param {Function} pruefe - ({ name, groesse }) => error message or null (validation before unpacking)
+   * @returns {Promise<Object>} { ergebnisse: [result], abgelehnt: [{ datei, fehler }] }
+   */
+  static async entpacke(buffer, verarbeite, pruefe = () => null) {
+    let zip;
+    try {
+      zip = await oeffneZip(buffer, { lazyEntries: true, autoClose: false, validateEntrySizes: true, strictFileNames: false });
+    } catch (error) {
+      throw new AppError(`Ungültiges ZIP-Archiv: ${error.message}`, 400);
+    }
+
+    const ergebnisse = [];
+    const abgelehnt = [];
+
+    try {
+      const eintraege = await this.verzeichnis(zip);
+
+      for (const eintrag of eintraege) {
+        const name = eintrag.fileName;
+        const datei = path.posix.basename(name);
+
+        const fehler = eintrag.isEncrypted()
+          ? 'Verschlüsselte Dateien werden nicht unterstützt'
+          : pruefe({ name: datei, groesse: eintrag.uncompressedSize });
+        if (fehler) {
+          abgelehnt.push({ datei: name, fehler });
+          continue;
+        }
+
+        const inhalt = await leseEintrag(zip, eintrag).catch((error) => {
+          throw new AppError(`Ungültiges ZIP-Archiv: ${error.message}`, 400);
+        });
+        try {
+          ergebnisse.push(await verarbeite({ name: datei, buffer: inhalt, groesse: inhalt.length }));
+        } catch (error) {
+          if (!error.statusCode || error.statusCode >= 500) {
+            throw error;
+          }
+          abgelehnt.push({ datei: name, fehler: error.message });
+        }
+      }
+    } finally {
+      zip.close();
+    }
+
+    return { ergebnisse, abgelehnt };
+  }
+
+  /**
+   * Read the central directory of an opened archive and check it against the limits
+   * (folders and system files are skipped and do not count)
+   * @param {ZipFile} zip - yauzl archive opened with lazyEntries
+   * @returns {Promise<Array>} File entries
+   */
+  static verzeichnis(zip) {
+    const { maxEintraege, maxEntpacktMb } = storageConfig.archiv;
+    const eintraege = [];
+    let entpackt = 0;
+
+    return new Promise((resolve, reject) => {
+      zip.on('error', (error) => reject(new AppError(`Ungültiges ZIP-Archiv: ${error.message}`, 400)));
+      zip.on('end', () => resolve(eintraege));
+      zip.on('entry', (eintrag) => {
+        const name = eintrag.fileName;
+        if (!name.endsWith('/') && !istSystemdatei(name)) {
+          eintraege.push(eintrag);
+          entpackt += eintrag.uncompressedSize;
+
+          if (eintraege.length > maxEintraege) {
+            return reject(new AppError(`Das Archiv enthält mehr als ${maxEintraege} Dateien`, 400));
+          }
+          if (entpackt > maxEntpacktMb * MB) {
+            return reject(new AppError(`Das Archiv ist entpackt größer als ${maxEntpacktMb} MB`, 400));
+          }
+        }
+        zip.readEntry();
+      });
+      zip.readEntry();
+    });
+  }
+
+  /**
+   * Stream a ZIP archive; entries are opened one after another so only one file is read at a time
+   * @param {Array} eintraege - [{ name, oeffnen: async () => ReadableStream, datum }]
+   * @param {WritableStream} ziel - e.g. the Express response
+   * @returns {Promise<void>} Resolves when the archive is written completely
+   */
+  static async schreibe(eintraege, ziel) {
+    const zip = new yazl.ZipFile();
+    // Bricht der Client ab, wird das Lesen der restlichen Dateien eingestellt
+    const fertig = new Promise((resolve, reject) => {
+      zip.outputStream.on('error', reject);
+      ziel.on('error', reject);
+      ziel.on('finish', resolve);
+      ziel.on('close', () => {
+        if (!ziel.writableFinished) {
+          reject(new Error('Verbindung vor Ende des Archivs geschlossen'));
+        }
+      });
+    });
+    fertig.catch(() => {});
+    zip.outputStream.pipe(ziel);
+
+    const kanaele = eintraege.map(({ name, datum }) => {
+      const kanal = new PassThrough();
+      zip.addReadStream(kanal, name, { mtime: datum || new Date(), compress: !KOMPRIMIERT.test(name) });
+      return kanal;
+    });
+    zip.end();
+
+    for (let i = 0; i < eintraege.length; i++) {
+      const quelle = await eintraege[i].oeffnen();
+      const uebertragen = new Promise((resolve, reject) => {
+        quelle.on('error', reject);
+        kanaele[i].on('finish', resolve);
+        quelle.pipe(kanaele[i]);
+      });
+      try {
+        await Promise.race([uebertragen, fertig]);
+      } catch (error) {
+        quelle.destroy();
+        throw error;
+      }
+    }
+
+    await fertig;
+  }
+
+  /**
+   * Make file names inside an archive unique ("Foto.jpg", "Foto (2).jpg", ...)
+   * @returns {Function} name => unique name
+   */
+  static eindeutigeNamen() {
+    const vergeben = new Set();
+    return (name) => {
+      const endung = path.posix.extname(name);
+      const stamm = name.slice(0, name.length - endung.length);
+      let kandidat = name;
+      for (let i = 2; vergeben.has(kandidat.toLowerCase()); i++) {
+        kandidat = `${stamm} (${i})${endung}`;
+      }
+      vergeben.add(kandidat.toLowerCase());
+      return kandidat;
+    };
+  }
+}
+
+module.exports = ArchivService;
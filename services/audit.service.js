@@ -0,0 +1,237 @@
+/**
+ * audit.service.js - Änderungsprotokoll für GoBD (Finanzbelege) und DSGVO (Personaldaten)
+ * Das Audit-Plugin der Modelle meldet jede Änderung hierher; Benutzer, IP und Anfrage stammen aus dem
+ * Anfragekontext (AsyncLocalStorage), den die Middleware auditKontext für jede API-Anfrage setzt.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const AuditLog = require('../models/auditlog.model');
+const auditConfig = require('../config/audit.config');
+const BerechtigungService = require('./berechtigung.service');
+
+const kontext = new AsyncLocalStorage();
+
+const istObjekt = (wert) => wert !== null && typeof wert === 'object' && !Array.isArray(wert);
+
+class AuditService {
+  /**
+   * Run the rest of a request with the request as audit context
+   * @param {Object} req - Express request (user and API key are read when a change is recorded)
+   * @param {Function} fn - Continuation
+   * @returns {*}
+   */
+  static imKontext(req, fn) {
+    return kontext.run({ req }, fn);
+  }
+
+  /**
+   * Who is changing data right now
+   * @returns {Object} { benutzer, benutzerName, apiKey, ip, userAgent, anfrage } - empty outside a request
+   */
+  static akteur() {
+    const { req } = kontext.getStore() || {};
+    if (!req) {
+      return {};
+    }
+
+    return {
+      benutzer: req.user ? req.user._id : undefined,
+      benutzerName: req.user ? req.user.name : undefined,
+      apiKey: req.apiKey ? req.apiKey._id : undefined,
+      ip: req.ip,
+      userAgent: typeof req.get === 'function' ? req.get('User-Agent') : undefined,
+      anfrage: `${req.method} ${req.originalUrl}`
+    };
+  }
+
+  /**
+   * Convert a value into a comparable, storable form (IDs and dates as strings, long texts shortened)
+   * @param {*} wert - Value from a document
+   * @param {Object} config - Audit configuration
+   * @returns {*}
+   */
+  static normalisieren(wert, config = auditConfig) {
+    if (wert === null || wert === undefined) {
+      return wert;
+    }
+    if (wert instanceof Date) {
+      return wert.toISOString();
+    }
+    if (typeof wert.toHexString === 'function') {
+      return wert.toHexString();
+    }
+    if (Buffer.isBuffer(wert)) {
+      return `<${wert.length} Bytes>`;
+    }
+    if (Array.isArray(wert)) {
+      return wert.map(eintrag => this.normalisieren(eintrag, config));
+    }
+    if (typeof wert === 'object') {
+      return Object.keys(wert).reduce((ergebnis, schluessel) => {
+        ergebnis[schluessel] = this.normalisieren(wert[schluessel], config);
+        return ergebnis;
+      }, {});
+    }
+    if (typeof wert === 'string' && wert.length > config.hoechstLaenge) {
+      return `${wert.slice(0, config.hoechstLaenge)}…`;
+    }
+    return wert;
+  }
+
+  /**
+   * Flatten nested objects to dot paths; arrays are compared as a whole
+   * @param {Object} objekt - Normalized object
+   * @param {String} praefix - Path of the parent
+   * @param {Object} ergebnis - Accumulator
+   * @returns {Object} { 'adresse.plz': '30159', ... }
+   */
+  static flach(objekt, praefix = '', ergebnis = {}) {
+    Object.keys(objekt || {}).forEach(schluessel => {
+      const pfad = praefix ? `${praefix}.${schluessel}` : schluessel;
+      const wert = objekt[schluessel];
+      if (istObjekt(wert) && Object.keys(wert).length) {
+        this.flach(wert, pfad, ergebnis);
+      } else {
+        ergebnis[pfad] = wert;
+      }
+    });
+    return ergebnis;
+  }
+
+  /**
+   * Field-level difference between two versions of a document
+   * @param {Object|null} alt - Previous version (null when created)
+   * @param {Object|null} neu - New version (null when deleted)
+   * @param {Object} optionen - { ignorieren: additional fields, pfade: only these (modified) paths }
+   * @param {Object} config - Audit configuration
+   * @returns {Array} [{ feld, alt, neu }]
+   */
+  static diff(alt, neu, optionen = {}, config = auditConfig) {
+    const ignorieren = [...config.ignorierteFelder, ...(optionen.ignorieren || [])];
+    const vorher = this.flach(this.normalisieren(alt || {}, config));
+    const nachher = this.flach(this.normalisieren(neu || {}, config));
+    const betrifft = (feld, pfad) => feld === pfad || feld.startsWith(`${pfad}.`) || pfad.startsWith(`${feld}.`);
+
+    return [...new Set([...Object.keys(vorher), ...Object.keys(nachher)])]
+      .filter(feld => !ignorieren.some(ignoriert => feld === ignoriert || feld.startsWith(`${ignoriert}.`)))
+      .filter(feld => !optionen.pfade || optionen.pfade.some(pfad => betrifft(feld, pfad)))
+      .filter(feld => JSON.stringify(vorher[feld]) !== JSON.stringify(nachher[feld]))
+      .map(feld => {
+        const aenderung = { feld };
+        if (vorher[feld] !== undefined) aenderung.alt = vorher[feld];
+        if (nachher[feld] !== undefined) aenderung.neu = nachher[feld];
+        return aenderung;
+      });
+  }
+
+  /**
+   * Record a change; failures are logged but never break the change itself
+   * @param {Object} eintrag - { entitaet, entitaetId, aktion, aenderungen }
+   * @returns {Promise<Object|null>} The audit entry, null if nothing changed or saving failed
+   */
+  static async protokollieren({ entitaet, entitaetId, aktion, aenderungen = [] }) {
+    if (aktion === 'geaendert' && !aenderungen.length) {
+      return null;
+    }
+
+    try {
+      return await AuditLog.create({ entitaet, entitaetId, aktion, aenderungen, ...this.akteur() });
+    } catch (error) {
+      console.error(`Änderungsprotokoll für ${entitaet} ${entitaetId} fehlgeschlagen:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Query filter from request parameters
+   * @param {Object} parameter - { entitaet, entitaetId, benutzer, aktion, feld, von, bis }
+   * @returns {Object} MongoDB filter
+   */
+  static filter({ entitaet, entitaetId, benutzer, aktion, feld, von, bis } = {}) {
+    const filter = {};
+    if (entitaet) filter.entitaet = entitaet;
+    if (entitaetId) filter.entitaetId = entitaetId;
+    if (benutzer) filter.benutzer = benutzer;
+    if (aktion) filter.aktion = aktion;
+    if (feld) filter['aenderungen.feld'] = feld;
+    if (von || bis) {
+      filter.zeitpunkt = {};
+      if (von) filter.zeitpunkt.$gte = new Date(von);
+      if (bis) filter.zeitpunkt.$lte = new Date(bis);
+    }
+    return filter;
+  }
+
+  /**
+   * Hide old and new values of protected employee fields the reader may not see
+   * @param {Array} eintraege - Lean audit entries
+   * @param {Object} user - Reader
+   * @returns {Array}
+   */
+  static maskieren(eintraege, user) {
+    const felder = BerechtigungService.verboteneFelder(user);
+    if (!felder.length) {
+      return eintraege;
+    }
+
+    const geschuetzt = (feld) => felder.some(name => feld === name || feld.startsWith(`${name}.`));
+    return eintraege.map(eintrag => ({
+      ...eintrag,
+      aenderungen: (eintrag.aenderungen || []).map(aenderung => (geschuetzt(aenderung.feld)
+        ? { feld: aenderung.feld, verborgen: true }
+        : aenderung))
+    }));
+  }
+
+  /**
+   * Page of audit entries, newest first
+   * @param {Object} filter - MongoDB filter
+   * @param {Object} seite - { page, limit, skip }
+   * @param {Object} user - Reader (for hiding protected fields)
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  static async liste(filter, { page, limit, skip }, user) {
+    const [eintraege, totalCount] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('benutzer', 'name email')
+        .sort({ zeitpunkt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    return {
+      data: this.maskieren(eintraege, user),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Delete audit entries (e.g. after the retention period); entries on invoices and quotes are always kept
+   * @param {Object} filter - MongoDB filter
+   * @param {Object} config - Audit configuration
+   * @returns {Promise<Number>} Number of deleted entries
+   */
+  static async loeschen(filter, config = auditConfig) {
+    const { entitaet } = filter;
+    if (typeof entitaet === 'string' && config.unveraenderlich.includes(entitaet)) {
+      return 0;
+    }
+
+    const ergebnis = await AuditLog.deleteMany({
+      ...filter,
+      entitaet: typeof entitaet === 'string'
+        ? entitaet
+        : { ...entitaet, $nin: [...((entitaet && entitaet.$nin) || []), ...config.unveraenderlich] }
+    });
+    return ergebnis.deletedCount;
+  }
+}
+
+module.exports = AuditService;
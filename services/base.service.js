@@ -1,6 +1,7 @@
 /**
  * base.service.js - Base service class with common functionality
  * Provides reusable methods for CRUD operations and error handling
+ * create/update/delete are recorded in the audit log by the audit plugin of the model (utils/audit-plugin.js)
  */
 
 const { AppError, createNotFoundError } = require('../utils/error.utils');
@@ -0,0 +1,162 @@
+/**
+ * berechtigung.service.js - Benannte Rollen und Berechtigungen je Ressource und Aktion
+ * Administratoren haben alle Berechtigungen. Personaldaten (Gehalt, Notfallkontakt) werden aus
+ * Antworten entfernt, wenn die Berechtigung fehlt - außer im eigenen Mitarbeiterdatensatz.
+ */
+
+const berechtigungenConfig = require('../config/berechtigungen.config');
+const { AppError } = require('../utils/error.utils');
+
+const id = (wert) => {
+  if (!wert) {
+    return null;
+  }
+  return String(typeof wert === 'object' && (wert._id || wert.id) ? (wert._id || wert.id) : wert);
+};
+
+class BerechtigungService {
+  /**
+   * Permissions granted to a user (may contain wildcards such as "umzug:*")
+   * @param {Object} user - { role, roles, permissions }
+   * @param {Object} config - Role configuration
+   * @returns {Array<String>}
+   */
+  static berechtigungen(user, config = berechtigungenConfig) {
+    if (!user) {
+      return [];
+    }
+    if (user.role === 'admin') {
+      return ['*'];
+    }
+
+    const rollen = (user.roles || []).filter(rolle => config.rollen[rolle]);
+    const basis = rollen.length
+      ? rollen.flatMap(rolle => config.rollen[rolle].berechtigungen)
+      : config.standard;
+
+    return [...new Set([...basis, ...(user.permissions || [])])];
+  }
+
+  /**
+   * Whether a granted permission (possibly a wildcard) covers a required one
+   * @param {String} gewaehrt - e.g. "mitarbeiter:*"
+   * @param {String} benoetigt - e.g. "mitarbeiter:gehalt:read"
+   * @returns {Boolean}
+   */
+  static deckt(gewaehrt, benoetigt) {
+    if (gewaehrt === '*' || gewaehrt === benoetigt) {
+      return true;
+    }
+    return gewaehrt.endsWith(':*') && benoetigt.startsWith(gewaehrt.slice(0, -1));
+  }
+
+  /**
+   * Whether a user has a permission
+   * @param {Object} user - Authenticated user
+   * @param {String} berechtigung - Required permission
+   * @param {Object} config - Role configuration
+   * @returns {Boolean}
+   */
+  static hat(user, berechtigung, config = berechtigungenConfig) {
+    return this.berechtigungen(user, config).some(gewaehrt => this.deckt(gewaehrt, berechtigung));
+  }
+
+  /**
+   * Whether a user has at least one of the permissions
+   * @param {Object} user - Authenticated user
+   * @param {Array<String>} liste - Accepted permissions
+   * @param {Object} config - Role configuration
+   * @returns {Boolean}
+   */
+  static hatEine(user, liste, config = berechtigungenConfig) {
+    return liste.some(berechtigung => this.hat(user, berechtigung, config));
+  }
+
+  /**
+   * Named roles that grant a permission (e.g. to find the users that decide on a request)
+   * @param {String} berechtigung - Permission
+   * @param {Object} config - Role configuration
+   * @returns {Array<String>} Role names
+   */
+  static rollenMit(berechtigung, config = berechtigungenConfig) {
+    return Object.keys(config.rollen).filter(rolle =>
+      config.rollen[rolle].berechtigungen.some(gewaehrt => this.deckt(gewaehrt, berechtigung)));
+  }
+
+  /**
+   * Protected fields the user may not read
+   * @param {Object} user - Authenticated user
+   * @param {Object} config - Role configuration
+   * @returns {Array<String>}
+   */
+  static verboteneFelder(user, config = berechtigungenConfig) {
+    return Object.keys(config.geschuetzteFelder)
+      .filter(feld => !this.hat(user, config.geschuetzteFelder[feld].lesen, config));
+  }
+
+  /**
+   * Remove protected fields from a response payload; the own employee record keeps them
+   * @param {*} daten - JSON payload (Mongoose documents are serialized first)
+   * @param {Object} user - Authenticated user
+   * @param {Object} config - Role configuration
+   * @returns {*} Payload without the protected fields
+   */
+  static felderEntfernen(daten, user, config = berechtigungenConfig) {
+    const felder = this.verboteneFelder(user, config);
+    if (!felder.length || daten === null || typeof daten !== 'object') {
+      return daten;
+    }
+
+    const eigeneId = id(user);
+    const bereinigen = (wert) => {
+      if (Array.isArray(wert)) {
+        return wert.map(bereinigen);
+      }
+      if (wert === null || typeof wert !== 'object') {
+        return wert;
+      }
+
+      const eigener = eigeneId && id(wert.userId) === eigeneId;
+      return Object.keys(wert).reduce((ergebnis, schluessel) => {
+        if (!eigener && felder.includes(schluessel)) {
+          return ergebnis;
+        }
+        ergebnis[schluessel] = bereinigen(wert[schluessel]);
+        return ergebnis;
+      }, {});
+    };
+
+    return bereinigen(JSON.parse(JSON.stringify(daten)));
+  }
+
+  /**
+   * Reject changes to protected fields without write permission
+   * @param {Object} user - Authenticated user
+   * @param {Object} daten - Request body
+   * @param {Object} config - Role configuration
+   * @throws {AppError} 403
+   */
+  static pruefeFeldaenderung(user, daten, config = berechtigungenConfig) {
+    const verboten = Object.keys(config.geschuetzteFelder).filter(feld =>
+      daten && daten[feld] !== undefined && !this.hat(user, config.geschuetzteFelder[feld].schreiben, config));
+
+    if (verboten.length) {
+      throw new AppError(`Keine Berechtigung zum Ändern von: ${verboten.join(', ')}`, 403);
+    }
+  }
+
+  /**
+   * Named roles with their permissions and the permission catalog (for the user administration)
+   * @param {Object} config - Role configuration
+   * @returns {Object} { rollen, berechtigungen, standard }
+   */
+  static katalog(config = berechtigungenConfig) {
+    return {
+      rollen: Object.entries(config.rollen).map(([name, rolle]) => ({ name, ...rolle })),
+      berechtigungen: config.liste.map(name => ({ name, beschreibung: config.berechtigungen[name] })),
+      standard: config.standard
+    };
+  }
+}
+
+module.exports = BerechtigungService;
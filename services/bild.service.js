@@ -0,0 +1,218 @@
+// services/bild.service.js - Verarbeitung hochgeladener Fotos (Aufnahmen, Umzüge, Profil- und Fahrzeugbilder)
+// Handyfotos enthalten GPS-Koordinaten und eine EXIF-Ausrichtung und sind für die mobile Ansicht
+// zu groß. Beim Hochladen wird das Bild gedreht, von allen Metadaten außer dem Farbprofil befreit
+// und zusätzlich als Vorschaubild und als Web-Variante abgelegt.
+const sharp = require('sharp');
+const StorageService = require('./storage.service');
+const storageConfig = require('../config/storage.config');
+const { AppError } = require('../utils/error.utils');
+
+// Formate, die verarbeitet werden; andere Bilder (z.B. GIF, SVG) werden unverändert gespeichert
+const AUSGABE = {
+  'image/jpeg': (bild) => bild.jpeg({ quality: 92, mozjpeg: true }),
+  'image/jpg': (bild) => bild.jpeg({ quality: 92, mozjpeg: true }),
+  'image/png': (bild) => bild.png(),
+  'image/webp': (bild) => bild.webp({ quality: 92 })
+};
+
+const VARIANTEN = {
+  thumbnail: () => storageConfig.bilder.thumbnailPx,
+  web: () => storageConfig.bilder.webPx
+};
+
+// EXIF-Tags (TIFF-Struktur)
+const TAG_DATUM = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_DATUM_AUFNAHME = 0x9003;
+const TAG_ZEITZONE_AUFNAHME = 0x9011;
+
+/**
+ * Read the ASCII/pointer entries of one IFD
+ * @returns {Object} Map of tag → string (ASCII) or number (LONG)
+ */
+const leseIfd = (tiff, offset, liesU16, liesU32) => {
+  const eintraege = {};
+  if (offset < 8 || offset + 2 > tiff.length) {
+    return eintraege;
+  }
+
+  const anzahl = liesU16(offset);
+  for (let i = 0; i < anzahl; i++) {
+    const position = offset + 2 + i * 12;
+    if (position + 12 > tiff.length) {
+      break;
+    }
+    const tag = liesU16(position);
+    const typ = liesU16(position + 2);
+    const laenge = liesU32(position + 4);
+
+    if (typ === 2) {
+      const start = laenge > 4 ? liesU32(position + 8) : position + 8;
+      if (start + laenge <= tiff.length) {
+        eintraege[tag] = tiff.toString('ascii', start, start + laenge).replace(/\0+$/, '').trim();
+      }
+    } else if (typ === 4) {
+      eintraege[tag] = liesU32(position + 8);
+    }
+  }
+  return eintraege;
+};
+
+class BildService {
+  /**
+   * Whether a file is processed by the pipeline
+   * @param {String} mimetype - MIME type of the upload
+   */
+  static istVerarbeitbar(mimetype) {
+    return Boolean(AUSGABE[mimetype]);
+  }
+
+  /**
+   * Capture time from a raw EXIF block (as returned by sharp metadata)
+   * @param {Buffer} exif - EXIF data, optionally prefixed with "Exif\0\0"
+   * @returns {Date|null} DateTimeOriginal (or DateTime), using OffsetTimeOriginal when present
+   */
+  static leseAufnahmezeit(exif) {
+    if (!exif || exif.length < 14) {
+      return null;
+    }
+
+    const tiff = exif.toString('ascii', 0, 4) === 'Exif' ? exif.subarray(6) : exif;
+    const littleEndian = tiff.toString('ascii', 0, 2) === 'II';
+    if (!littleEndian && tiff.toString('ascii', 0, 2) !== 'MM') {
+      return null;
+    }
+    const liesU16 = (offset) => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+    const liesU32 = (offset) => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+    const ifd0 = leseIfd(tiff, liesU32(4), liesU16, liesU32);
+    const exifIfd = ifd0[TAG_EXIF_IFD] ? leseIfd(tiff, ifd0[TAG_EXIF_IFD], liesU16, liesU32) : {};
+
+    const wert = exifIfd[TAG_DATUM_AUFNAHME] || ifd0[TAG_DATUM];
+    const teile = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(wert || '');
+    if (!teile) {
+      return null;
+    }
+
+    const [, jahr, monat, tag, stunde, minute, sekunde] = teile.map(Number);
+    const zone = /^([+-])(\d{2}):(\d{2})$/.exec(exifIfd[TAG_ZEITZONE_AUFNAHME] || '');
+    if (zone) {
+      const versatz = (zone[1] === '-' ? -1 : 1) * (Number(zone[2]) * 60 + Number(zone[3]));
+      return new Date(Date.UTC(jahr, monat - 1, tag, stunde, minute, sekunde) - versatz * 60 * 1000);
+    }
+    // Ohne Zeitzonenangabe gilt die Ortszeit des Servers
+    const datum = new Date(jahr, monat - 1, tag, stunde, minute, sekunde);
+    return Number.isNaN(datum.getTime()) ? null : datum;
+  }
+
+  /**
+   * Orient, strip and resize an image
+   * @param {Buffer} buffer - Uploaded image
+   * @param {String} mimetype - MIME type of the upload
+   * @returns {Promise<Object>} { original, varianten: { thumbnail, web }, aufgenommenAm }
+   *   where each entry is { buffer, breite, hoehe, groesse, mimetype }
+   */
+  static async verarbeite(buffer, mimetype) {
+    let basis;
+    let metadaten;
+    try {
+      basis = sharp(buffer, { failOn: 'truncated' });
+      metadaten = await basis.metadata();
+    } catch (error) {
+      throw new AppError('Das Bild konnte nicht gelesen werden', 400);
+    }
+
+    // rotate() ohne Winkel richtet nach EXIF aus; ohne withMetadata() entfallen EXIF (inkl. GPS) und XMP
+    const ausgerichtet = basis.rotate().keepIccProfile();
+    const ergebnis = async (bild, typ) => {
+      const { data, info } = await bild.toBuffer({ resolveWithObject: true });
+      return { buffer: data, breite: info.width, hoehe: info.height, groesse: info.size, mimetype: typ };
+    };
+
+    const original = await ergebnis(AUSGABE[mimetype](ausgerichtet.clone()), mimetype === 'image/jpg' ? 'image/jpeg' : mimetype);
+
+    const varianten = {};
+    for (const [name, kante] of Object.entries(VARIANTEN)) {
+      varianten[name] = await ergebnis(
+        ausgerichtet.clone()
+          .resize({ width: kante(), height: kante(), fit: 'inside', withoutEnlargement: true })
+          .flatten({ background: '#ffffff' })
+          .jpeg({ quality: storageConfig.bilder.qualitaet, mozjpeg: true }),
+        'image/jpeg'
+      );
+    }
+
+    return {
+      original,
+      varianten,
+      aufgenommenAm: BildService.leseAufnahmezeit(metadaten.exif)
+    };
+  }
+
+  /**
+   * Process an uploaded image and store the original together with its variants
+   * @param {Object} datei - req.file from multer memory storage
+   * @param {String} ordner - Target folder
+   * @param {Object} options - { typ } (uebersicht, detail, schaden, zugang)
+   * @returns {Promise<Object>} { schluessel, groesse, mimetype, bild } - bild matches Upload.bild
+   */
+  static async speichereBild(datei, ordner, { typ } = {}) {
+    if (!BildService.istVerarbeitbar(datei.mimetype)) {
+      const gespeichert = await StorageService.speichereUpload(datei, ordner);
+      return { ...gespeichert, mimetype: datei.mimetype, bild: typ ? { typ } : undefined };
+    }
+
+    const { original, varianten, aufgenommenAm } = await BildService.verarbeite(datei.buffer, datei.mimetype);
+    const schluessel = StorageService.erzeugeSchluessel(ordner, datei.originalname);
+    const stamm = schluessel.replace(/\.[^./]+$/, '');
+    const gespeichert = [];
+
+    try {
+      await StorageService.speichern(schluessel, original.buffer, { mimetype: original.mimetype });
+      gespeichert.push(schluessel);
+
+      const bildVarianten = {};
+      for (const [name, variante] of Object.entries(varianten)) {
+        const pfad = `${stamm}-${name}.jpg`;
+        await StorageService.speichern(pfad, variante.buffer, { mimetype: variante.mimetype });
+        gespeichert.push(pfad);
+        bildVarianten[name] = {
+          pfad,
+          breite: variante.breite,
+          hoehe: variante.hoehe,
+          groesse: variante.groesse,
+          mimetype: variante.mimetype
+        };
+      }
+
+      return {
+        schluessel,
+        groesse: original.groesse,
+        mimetype: original.mimetype,
+        bild: {
+          typ,
+          breite: original.breite,
+          hoehe: original.hoehe,
+          aufgenommenAm,
+          varianten: bildVarianten
+        }
+      };
+    } catch (error) {
+      await Promise.all(gespeichert.map(pfad => StorageService.loeschen(pfad).catch(() => {})));
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the stored variants of an upload
+   * @param {Object} upload - Upload document
+   */
+  static async loescheVarianten(upload) {
+    const varianten = (upload.bild && upload.bild.varianten) || {};
+    await Promise.all(Object.values(varianten)
+      .filter(variante => variante && variante.pfad)
+      .map(variante => StorageService.loeschen(variante.pfad)));
+  }
+}
+
+module.exports = BildService;
@@ -161,6 +161,42 @@ class ClientService extends BaseService {
       recentClients
     };
   }
+  
+  /**
+   * Find the client matching the given contact data or create a new one
+   * Used when documents (Angebot, Rechnung) are generated from Umzug or Aufnahme data
+   * @param {Object} kontakt - Contact data (name, email, telefon, kontaktperson, adresse)
+   * @param {String} userId - User creating the client if none exists
+   * @returns {Promise<Object>} - Existing or created client
+   */
+  static async findOrCreateByKontakt(kontakt, userId) {
+    const { name, email, telefon, kontaktperson, adresse } = kontakt;
+    
+    let client = null;
+    if (email) {
+      client = await Client.findOne({ email: email.toLowerCase() });
+    }
+    if (!client) {
+      client = await Client.findOne({ name, phone: telefon });
+    }
+    if (client) {
+      return client;
+    }
+    
+    return await Client.create({
+      name,
+      contactPerson: kontaktperson,
+      email,
+      phone: telefon,
+      address: adresse ? {
+        street: `${adresse.strasse || ''} ${adresse.hausnummer || ''}`.trim(),
+        zipCode: adresse.plz,
+        city: adresse.ort,
+        country: adresse.land
+      } : undefined,
+      createdBy: userId
+    });
+  }
 }
 
 module.exports = ClientService;
\ No newline at end of file
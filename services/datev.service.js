@@ -0,0 +1,258 @@
+/**
+ * datev.service.js - DATEV-Export (Buchungsstapel im DATEV-Format, EXTF 700)
+ * Rechnungen werden als Forderung an den Debitor gegen das Erlöskonto gebucht (eine Zeile je
+ * Steuersatz), Projektkosten als Aufwand gegen Kreditor bzw. Kasse. Die Steuer ergibt sich
+ * aus dem BU-Schlüssel. Nicht benötigte Felder am Ende einer Buchungszeile entfallen.
+ */
+
+const Rechnung = require('../models/rechnung.model');
+const Projektkosten = require('../models/projektkosten.model');
+const datevConfig = require('../config/datev.config');
+const { AppError } = require('../utils/error.utils');
+
+// Feldnamen der Buchungszeilen (Formatversion 12, Felder 1-38)
+const SPALTEN = [
+  'Umsatz (ohne Soll/Haben-Kz)', 'Soll/Haben-Kennzeichen', 'WKZ Umsatz', 'Kurs', 'Basis-Umsatz',
+  'WKZ Basis-Umsatz', 'Konto', 'Gegenkonto (ohne BU-Schlüssel)', 'BU-Schlüssel', 'Belegdatum',
+  'Belegfeld 1', 'Belegfeld 2', 'Skonto', 'Buchungstext', 'Postensperre', 'Diverse Adressnummer',
+  'Geschäftspartnerbank', 'Sachverhalt', 'Zinssperre', 'Beleglink',
+  ...[1, 2, 3, 4, 5, 6, 7, 8].flatMap(nr => [`Beleginfo - Art ${nr}`, `Beleginfo - Inhalt ${nr}`]),
+  'KOST1 - Kostenstelle', 'KOST2 - Kostenstelle'
+];
+
+// Rechnungen, die gebucht werden (Entwürfe und stornierte Rechnungen nicht)
+const GEBUCHTE_STATUS = ['Gesendet', 'Überfällig', 'Teilbezahlt', 'Bezahlt'];
+
+// Zeichen außerhalb von Latin-1, die Windows-1252 belegt
+const WINDOWS_1252 = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '–': 0x96, '—': 0x97
+};
+
+const zweistellig = (zahl) => String(zahl).padStart(2, '0');
+
+const text = (wert) => `"${String(wert === undefined || wert === null ? '' : wert).replace(/"/g, '""')}"`;
+
+class DatevService {
+  /**
+   * Format an amount in DATEV notation (decimal comma, no thousands separator)
+   * @param {Number} betrag - Amount
+   * @returns {String}
+   */
+  static formatBetrag(betrag) {
+    return (Math.round(Math.abs(betrag) * 100) / 100).toFixed(2).replace('.', ',');
+  }
+
+  /**
+   * Format a date as YYYYMMDD
+   * @param {Date} datum - Date
+   * @returns {String}
+   */
+  static formatDatum(datum) {
+    const d = new Date(datum);
+    return `${d.getFullYear()}${zweistellig(d.getMonth() + 1)}${zweistellig(d.getDate())}`;
+  }
+
+  /**
+   * Restrict a document number to the characters DATEV accepts in Belegfeld 1 (max. 36)
+   * @param {String} nummer - Document number
+   * @returns {String}
+   */
+  static belegfeld(nummer) {
+    return String(nummer || '').replace(/[^a-zA-Z0-9$&%*+\-/]/g, '').substring(0, 36);
+  }
+
+  /**
+   * Determine the fiscal year containing a date
+   * @param {Date} datum - Date
+   * @param {String} beginn - Start of the fiscal year as MMDD
+   * @returns {Object} - { beginn, ende }
+   */
+  static wirtschaftsjahr(datum, beginn = datevConfig.wirtschaftsjahrBeginn) {
+    const monat = parseInt(beginn.substring(0, 2), 10) - 1;
+    const tag = parseInt(beginn.substring(2, 4), 10);
+    let start = new Date(datum.getFullYear(), monat, tag);
+    if (datum < start) {
+      start = new Date(datum.getFullYear() - 1, monat, tag);
+    }
+    const ende = new Date(start.getFullYear() + 1, monat, tag);
+    ende.setMilliseconds(-1);
+    return { beginn: start, ende };
+  }
+
+  /**
+   * Build the EXTF header line of a Buchungsstapel
+   * @param {Object} options - { von, bis, wjBeginn, kontenrahmen, exportiertVon, erstelltAm, config }
+   * @returns {String}
+   */
+  static kopfzeile(options) {
+    const { von, bis, wjBeginn, kontenrahmen, exportiertVon = '', erstelltAm = new Date(), config = datevConfig } = options;
+    const zeitstempel = `${this.formatDatum(erstelltAm)}${zweistellig(erstelltAm.getHours())}` +
+      `${zweistellig(erstelltAm.getMinutes())}${zweistellig(erstelltAm.getSeconds())}` +
+      `${String(erstelltAm.getMilliseconds()).padStart(3, '0')}`;
+
+    return [
+      text('EXTF'), 700, 21, text('Buchungsstapel'), 12, zeitstempel, '', text('RE'),
+      text(exportiertVon.substring(0, 25)), text(''),
+      config.beraternummer, config.mandantennummer,
+      this.formatDatum(wjBeginn), config.sachkontenlaenge,
+      this.formatDatum(von), this.formatDatum(bis),
+      text(`Export ${this.formatDatum(von)}-${this.formatDatum(bis)}`), text(''),
+      1, 0, 0, text('EUR'), '', text(''), '', '',
+      text(kontenrahmen === 'SKR04' ? '04' : '03'), '', '', text(''), text('')
+    ].join(';');
+  }
+
+  /**
+   * Format a single booking line
+   * @param {Object} buchung - { umsatz, konto, gegenkonto, buSchluessel, belegdatum, belegfeld1, belegfeld2, buchungstext, kostenstelle }
+   * @returns {String}
+   */
+  static buchungszeile(buchung) {
+    const belegdatum = new Date(buchung.belegdatum);
+    const felder = new Array(SPALTEN.length).fill('');
+
+    felder[0] = this.formatBetrag(buchung.umsatz);
+    felder[1] = text(buchung.umsatz < 0 ? 'H' : 'S');
+    felder[2] = text('EUR');
+    felder[6] = buchung.konto;
+    felder[7] = buchung.gegenkonto;
+    felder[8] = text(buchung.buSchluessel || '');
+    felder[9] = `${zweistellig(belegdatum.getDate())}${zweistellig(belegdatum.getMonth() + 1)}`;
+    felder[10] = text(this.belegfeld(buchung.belegfeld1));
+    felder[11] = text(buchung.belegfeld2 || '');
+    felder[13] = text(String(buchung.buchungstext || '').substring(0, 60));
+    felder[36] = text(buchung.kostenstelle || '');
+
+    return felder.join(';');
+  }
+
+  /**
+   * Booking lines of an invoice: receivable to the debtor against revenue, one line per VAT rate
+   * @param {Object} rechnung - Rechnung (kunde populated)
+   * @param {Object} konten - Account mapping of the chart of accounts
+   * @param {Object} config - DATEV configuration
+   * @returns {Array<Object>}
+   */
+  static buchungenRechnung(rechnung, konten, config = datevConfig) {
+    const gruppen = rechnung.steuersaetze && rechnung.steuersaetze.length > 0
+      ? rechnung.steuersaetze.map(gruppe => ({ satz: gruppe.satz, brutto: gruppe.nettobetrag + gruppe.steuerbetrag }))
+      : [{ satz: rechnung.mehrwertsteuer, brutto: rechnung.gesamtbetrag }];
+    const buchung = rechnung.buchung || {};
+    const kunde = rechnung.kunde && rechnung.kunde.name ? ` ${rechnung.kunde.name}` : '';
+    const faelligkeit = rechnung.faelligkeitsdatum ? new Date(rechnung.faelligkeitsdatum) : null;
+
+    return gruppen
+      .filter(gruppe => Math.round(gruppe.brutto * 100) !== 0)
+      .map(gruppe => ({
+        umsatz: gruppe.brutto,
+        konto: konten.debitor,
+        gegenkonto: buchung.sachkonto || konten.erloese[gruppe.satz] || konten.erloese[19],
+        buSchluessel: config.buSchluessel.umsatzsteuer[gruppe.satz] || '',
+        belegdatum: rechnung.ausstellungsdatum,
+        belegfeld1: rechnung.rechnungNummer,
+        // Fälligkeit (TTMMJJ) für die Offene-Posten-Verwaltung
+        belegfeld2: faelligkeit
+          ? `${zweistellig(faelligkeit.getDate())}${zweistellig(faelligkeit.getMonth() + 1)}${String(faelligkeit.getFullYear()).substring(2)}`
+          : '',
+        buchungstext: `Rechnung ${rechnung.rechnungNummer}${kunde}`,
+        kostenstelle: buchung.kostenstelle
+      }));
+  }
+
+  /**
+   * Booking line of a project cost: expense against creditor or cash
+   * @param {Object} kosten - Projektkosten
+   * @param {Object} konten - Account mapping of the chart of accounts
+   * @param {Object} config - DATEV configuration
+   * @returns {Object}
+   */
+  static buchungProjektkosten(kosten, konten, config = datevConfig) {
+    const zuordnung = konten.kosten[kosten.kategorie] || konten.kosten.Sonstiges;
+    const buchung = kosten.buchung || {};
+    const steuersatz = kosten.steuersatz !== undefined && kosten.steuersatz !== null ? kosten.steuersatz : 19;
+
+    return {
+      umsatz: kosten.betrag,
+      konto: buchung.sachkonto || zuordnung.konto,
+      gegenkonto: buchung.gegenkonto || (kosten.zahlungsmethode === 'Bar' ? konten.kasse : konten.kreditor),
+      buSchluessel: zuordnung.vorsteuer ? (config.buSchluessel.vorsteuer[steuersatz] || '') : '',
+      belegdatum: kosten.datum,
+      belegfeld1: kosten.kostennummer || `PK-${String(kosten._id).slice(-8)}`,
+      buchungstext: kosten.bezeichnung,
+      kostenstelle: buchung.kostenstelle
+    };
+  }
+
+  /**
+   * Encode the export as Windows-1252 as expected by DATEV
+   * @param {String} inhalt - CSV content
+   * @returns {Buffer}
+   */
+  static kodieren(inhalt) {
+    const bytes = Buffer.alloc(inhalt.length);
+    let laenge = 0;
+    for (const zeichen of inhalt) {
+      const code = zeichen.charCodeAt(0);
+      bytes[laenge++] = WINDOWS_1252[zeichen] || (code <= 0xff ? code : 0x3f);
+    }
+    return bytes.subarray(0, laenge);
+  }
+
+  /**
+   * Create the Buchungsstapel for a period
+   * @param {Object} options - { von, bis, kontenrahmen, exportiertVon, config }
+   * @returns {Promise<Object>} - { dateiname, inhalt (Buffer), anzahlBuchungen, anzahlRechnungen, anzahlProjektkosten }
+   */
+  static async exportBuchungsstapel(options) {
+    const { exportiertVon, config = datevConfig } = options;
+    const kontenrahmen = options.kontenrahmen || config.kontenrahmen;
+    const konten = config.konten[kontenrahmen];
+
+    if (!config.beraternummer || !config.mandantennummer) {
+      throw new AppError('DATEV-Beraternummer und -Mandantennummer sind nicht konfiguriert', 500);
+    }
+
+    const von = new Date(options.von);
+    von.setHours(0, 0, 0, 0);
+    const bis = new Date(options.bis);
+    bis.setHours(23, 59, 59, 999);
+
+    // Ein Buchungsstapel darf keine Buchungen aus verschiedenen Wirtschaftsjahren enthalten
+    const wirtschaftsjahr = this.wirtschaftsjahr(von, config.wirtschaftsjahrBeginn);
+    if (bis > wirtschaftsjahr.ende) {
+      throw new AppError('Der Exportzeitraum muss innerhalb eines Wirtschaftsjahres liegen', 400);
+    }
+
+    const [rechnungen, projektkosten] = await Promise.all([
+      Rechnung.find({
+        status: { $in: GEBUCHTE_STATUS },
+        ausstellungsdatum: { $gte: von, $lte: bis }
+      }).populate('kunde', 'name').sort({ ausstellungsdatum: 1, rechnungNummer: 1 }),
+      Projektkosten.find({
+        bezahlstatus: { $ne: 'Abgelehnt' },
+        datum: { $gte: von, $lte: bis }
+      }).sort({ datum: 1 })
+    ]);
+
+    const buchungen = [
+      ...rechnungen.flatMap(rechnung => this.buchungenRechnung(rechnung, konten, config)),
+      ...projektkosten.map(kosten => this.buchungProjektkosten(kosten, konten, config))
+    ];
+
+    const zeilen = [
+      this.kopfzeile({ von, bis, wjBeginn: wirtschaftsjahr.beginn, kontenrahmen, exportiertVon, config }),
+      SPALTEN.join(';'),
+      ...buchungen.map(buchung => this.buchungszeile(buchung))
+    ];
+
+    return {
+      dateiname: `EXTF_Buchungsstapel_${this.formatDatum(von)}_${this.formatDatum(bis)}.csv`,
+      inhalt: this.kodieren(zeilen.join('\r\n') + '\r\n'),
+      anzahlBuchungen: buchungen.length,
+      anzahlRechnungen: rechnungen.length,
+      anzahlProjektkosten: projektkosten.length
+    };
+  }
+}
+
+module.exports = DatevService;
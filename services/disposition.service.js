@@ -0,0 +1,649 @@
+/**
+ * disposition.service.js - Einsatzplanung für Mitarbeiter und Fahrzeuge
+ * Erkennt Doppelbuchungen über überlappende Umzugszeiträume sowie Abwesenheiten
+ * (krank, urlaub, genehmigte Abwesenheiten) und nicht einsatzbereite Fahrzeuge, liefert eine
+ * tageweise Ressourcenübersicht und schlägt Fahrzeuge samt Fahrern für einen Umzug vor.
+ * Geplante Werkstatttermine sperren ein Fahrzeug auch für künftige Tage.
+ */
+
+const Umzug = require('../models/umzug.model');
+const Mitarbeiter = require('../models/mitarbeiter.model');
+const Fahrzeug = require('../models/fahrzeug.model');
+const Aufnahme = require('../models/aufnahme.model');
+const AngebotService = require('./angebot.service');
+const WartungService = require('./wartung.service');
+const AbwesenheitService = require('./abwesenheit.service');
+const dispositionConfig = require('../config/disposition.config');
+const { AppError } = require('../utils/error.utils');
+
+// Abwesenheiten, die einen Einsatz ausschließen
+const ABWESEND = ['krank', 'urlaub'];
+
+// Fahrzeugstatus, mit denen kein Umzug gefahren werden kann
+const NICHT_EINSATZBEREIT = ['In Wartung', 'Defekt', 'Außer Dienst'];
+
+// Maximale Länge des Planungszeitraums für die Übersicht
+const MAX_TAGE = 93;
+
+// Fahrzeugklassen, die eine Führerscheinklasse einschließt (§6 Abs. 3 FeV)
+const FUEHRERSCHEIN_UMFANG = {
+  B: ['B'],
+  B96: ['B'],
+  BE: ['BE', 'B'],
+  C1: ['C1', 'B'],
+  C1E: ['C1E', 'C1', 'BE', 'B'],
+  C: ['C', 'C1', 'B'],
+  CE: ['CE', 'C', 'C1E', 'C1', 'BE', 'B'],
+  D1: ['D1', 'B'],
+  D1E: ['D1E', 'D1', 'BE', 'B'],
+  D: ['D', 'D1', 'B'],
+  DE: ['DE', 'D', 'D1E', 'D1', 'BE', 'B']
+};
+
+const runden = (wert, stellen = 2) => {
+  const faktor = Math.pow(10, stellen);
+  return Math.round((Number(wert) || 0) * faktor) / faktor;
+};
+
+const tagesbeginn = (datum) => {
+  const d = new Date(datum);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const tagesende = (datum) => {
+  const d = new Date(datum);
+  d.setHours(23, 59, 59, 999);
+  return d;
+};
+
+// YYYY-MM-DD in lokaler Zeit
+const tagesschluessel = (datum) => {
+  const d = new Date(datum);
+  const monat = String(d.getMonth() + 1).padStart(2, '0');
+  const tag = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${monat}-${tag}`;
+};
+
+// Tagesgenaue Überschneidung zweier Zeiträume; fehlendes Ende = offen
+const ueberschneidetSich = (vonA, bisA, vonB, bisB) => {
+  const startA = vonA ? tagesbeginn(vonA) : new Date(-8640000000000000);
+  const endeA = bisA ? tagesende(bisA) : new Date(8640000000000000);
+  const startB = vonB ? tagesbeginn(vonB) : new Date(-8640000000000000);
+  const endeB = bisB ? tagesende(bisB) : new Date(8640000000000000);
+  return startA <= endeB && startB <= endeA;
+};
+
+const mitarbeiterName = (ma) => `${ma.vorname} ${ma.nachname}`;
+
+class DispositionService {
+  /**
+   * Check whether a Mitarbeiter is absent (krank/urlaub) within a period
+   * @param {Object} mitarbeiter - Mitarbeiter document
+   * @param {Date} von - Period start
+   * @param {Date} bis - Period end
+   * @param {Array} abwesenheiten - Approved absences (any employee) beyond the current `verfuegbarkeit`
+   * @returns {String|null} - Absence status or null
+   */
+  static abwesenheit(mitarbeiter, von, bis, abwesenheiten = []) {
+    const verfuegbarkeit = mitarbeiter.verfuegbarkeit;
+    if (verfuegbarkeit && ABWESEND.includes(verfuegbarkeit.status)
+      && ueberschneidetSich(verfuegbarkeit.von, verfuegbarkeit.bisWann, von, bis)) {
+      return verfuegbarkeit.status;
+    }
+
+    const geplant = abwesenheiten.find(eintrag => String(eintrag.mitarbeiter) === String(mitarbeiter._id)
+      && ueberschneidetSich(eintrag.von, eintrag.bis, von, bis));
+    if (geplant) {
+      return geplant.art === 'Krankheit' ? 'krank' : 'urlaub';
+    }
+    return null;
+  }
+
+  /**
+   * Find all conflicts for the resources of a (planned) move
+   * @param {Object} planung - { umzugId, startDatum, endDatum, mitarbeiter: [ids], fahrzeuge: [{ fahrzeugId, kennzeichen }] }
+   * @returns {Promise<Array>} - Conflicts ({ typ, ressourceId, name, grund, meldung, umzugId })
+   */
+  static async pruefeKonflikte(planung) {
+    const { umzugId, startDatum } = planung;
+    const endDatum = planung.endDatum || startDatum;
+    const mitarbeiterIds = (planung.mitarbeiter || []).filter(Boolean).map(String);
+    const fahrzeugAngaben = (planung.fahrzeuge || []).filter(f => f && (f.fahrzeugId || f.kennzeichen));
+
+    if (!startDatum || (mitarbeiterIds.length === 0 && fahrzeugAngaben.length === 0)) {
+      return [];
+    }
+
+    const konflikte = [];
+
+    // Fahrzeuge über ID oder Kennzeichen auflösen
+    const fahrzeuge = fahrzeugAngaben.length > 0
+      ? await Fahrzeug.find({
+        $or: [
+          { _id: { $in: fahrzeugAngaben.filter(f => f.fahrzeugId).map(f => f.fahrzeugId) } },
+          { kennzeichen: { $in: fahrzeugAngaben.filter(f => f.kennzeichen).map(f => f.kennzeichen) } }
+        ]
+      }).select('kennzeichen bezeichnung status')
+      : [];
+    const kennzeichen = fahrzeuge.map(f => f.kennzeichen);
+    const wartungen = fahrzeuge.length > 0
+      ? await WartungService.termineImZeitraum(startDatum, endDatum, fahrzeuge.map(f => f._id))
+      : [];
+
+    // Andere Umzüge im selben Zeitraum mit denselben Ressourcen
+    const ressourcenFilter = [];
+    if (mitarbeiterIds.length > 0) {
+      ressourcenFilter.push({ 'mitarbeiter.mitarbeiterId': { $in: mitarbeiterIds } });
+    }
+    if (fahrzeuge.length > 0) {
+      ressourcenFilter.push({ 'fahrzeuge.fahrzeugId': { $in: fahrzeuge.map(f => f._id) } });
+      ressourcenFilter.push({ 'fahrzeuge.kennzeichen': { $in: kennzeichen } });
+    }
+    const filter = {
+      status: { $ne: 'storniert' },
+      startDatum: { $lte: tagesende(endDatum) },
+      endDatum: { $gte: tagesbeginn(startDatum) },
+      $or: ressourcenFilter
+    };
+    if (umzugId) {
+      filter._id = { $ne: umzugId };
+    }
+    const ueberschneidungen = ressourcenFilter.length > 0
+      ? await Umzug.find(filter).select('kundennummer startDatum endDatum mitarbeiter fahrzeuge status')
+      : [];
+
+    const mitarbeiter = mitarbeiterIds.length > 0
+      ? await Mitarbeiter.find({ _id: { $in: mitarbeiterIds } }).select('vorname nachname verfuegbarkeit isActive')
+      : [];
+    const abwesenheiten = mitarbeiterIds.length > 0
+      ? await AbwesenheitService.genehmigteImZeitraum(startDatum, endDatum, mitarbeiterIds)
+      : [];
+
+    mitarbeiter.forEach(ma => {
+      const name = mitarbeiterName(ma);
+      const id = String(ma._id);
+
+      if (ma.isActive === false) {
+        konflikte.push({ typ: 'mitarbeiter', ressourceId: ma._id, name, grund: 'inaktiv', meldung: `${name} ist inaktiv` });
+      }
+
+      const abwesend = this.abwesenheit(ma, startDatum, endDatum, abwesenheiten);
+      if (abwesend) {
+        konflikte.push({
+          typ: 'mitarbeiter',
+          ressourceId: ma._id,
+          name,
+          grund: abwesend,
+          meldung: `${name} ist im Zeitraum ${abwesend === 'krank' ? 'krankgemeldet' : 'im Urlaub'}`
+        });
+      }
+
+      ueberschneidungen
+        .filter(umzug => umzug.mitarbeiter.some(eintrag => String(eintrag.mitarbeiterId) === id))
+        .forEach(umzug => {
+          konflikte.push({
+            typ: 'mitarbeiter',
+            ressourceId: ma._id,
+            name,
+            grund: 'doppelbuchung',
+            umzugId: umzug._id,
+            meldung: `${name} ist bereits für Umzug ${umzug.kundennummer || umzug._id} ` +
+              `(${umzug.startDatum.toLocaleDateString('de-DE')}) eingeplant`
+          });
+        });
+    });
+
+    fahrzeuge.forEach(fahrzeug => {
+      const name = `${fahrzeug.bezeichnung} (${fahrzeug.kennzeichen})`;
+
+      if (NICHT_EINSATZBEREIT.includes(fahrzeug.status)) {
+        konflikte.push({
+          typ: 'fahrzeug',
+          ressourceId: fahrzeug._id,
+          name,
+          grund: fahrzeug.status,
+          meldung: `${name} ist nicht einsatzbereit (${fahrzeug.status})`
+        });
+      } else {
+        wartungen
+          .filter(wartung => String(wartung.fahrzeug) === String(fahrzeug._id))
+          .forEach(wartung => {
+            konflikte.push({
+              typ: 'fahrzeug',
+              ressourceId: fahrzeug._id,
+              name,
+              grund: 'wartung',
+              meldung: `${name} ist am ${wartung.termin.toLocaleDateString('de-DE')} zur ${wartung.art} in der Werkstatt`
+            });
+          });
+      }
+
+      ueberschneidungen
+        .filter(umzug => umzug.fahrzeuge.some(eintrag =>
+          String(eintrag.fahrzeugId) === String(fahrzeug._id) || eintrag.kennzeichen === fahrzeug.kennzeichen))
+        .forEach(umzug => {
+          konflikte.push({
+            typ: 'fahrzeug',
+            ressourceId: fahrzeug._id,
+            name,
+            grund: 'doppelbuchung',
+            umzugId: umzug._id,
+            meldung: `${name} ist bereits für Umzug ${umzug.kundennummer || umzug._id} ` +
+              `(${umzug.startDatum.toLocaleDateString('de-DE')}) eingeplant`
+          });
+        });
+    });
+
+    return konflikte;
+  }
+
+  /**
+   * Check the resources of a move and reject on conflicts unless explicitly overridden
+   * @param {Object} planung - See pruefeKonflikte
+   * @param {Boolean} konflikteIgnorieren - Accept conflicts as warnings
+   * @returns {Promise<Array>} - Conflicts that were accepted as warnings
+   * @throws {AppError} - 409 with the list of conflicts
+   */
+  static async sicherePlanung(planung, konflikteIgnorieren = false) {
+    const konflikte = await this.pruefeKonflikte(planung);
+    if (konflikte.length > 0 && !konflikteIgnorieren) {
+      throw new AppError(
+        'Planungskonflikt: Mitarbeiter oder Fahrzeuge sind im Zeitraum nicht verfügbar',
+        409,
+        konflikte
+      );
+    }
+    return konflikte;
+  }
+
+  /**
+   * Build a day-by-day resource board
+   * @param {Date|String} von - First day
+   * @param {Date|String} bis - Last day
+   * @returns {Promise<Object>} - { von, bis, tage: [{ datum, umzuege, mitarbeiter, fahrzeuge, konflikte }] }
+   */
+  static async ressourcenplan(von, bis) {
+    const start = tagesbeginn(von);
+    const ende = tagesende(bis);
+    const anzahlTage = Math.round((tagesbeginn(bis) - start) / (24 * 60 * 60 * 1000)) + 1;
+
+    if (anzahlTage < 1) {
+      throw new AppError('Das Enddatum muss nach dem Startdatum liegen', 400);
+    }
+    if (anzahlTage > MAX_TAGE) {
+      throw new AppError(`Der Planungszeitraum darf höchstens ${MAX_TAGE} Tage umfassen`, 400);
+    }
+
+    const [umzuege, mitarbeiter, fahrzeuge, wartungen, abwesenheiten] = await Promise.all([
+      Umzug.find({
+        status: { $ne: 'storniert' },
+        startDatum: { $lte: ende },
+        endDatum: { $gte: start }
+      })
+        .select('kundennummer auftraggeber.name auszugsadresse.ort einzugsadresse.ort startDatum endDatum status mitarbeiter fahrzeuge')
+        .sort({ startDatum: 1 }),
+      Mitarbeiter.find({ isActive: true }).select('vorname nachname position fuehrerscheinklassen verfuegbarkeit').sort({ nachname: 1 }),
+      Fahrzeug.find({ isActive: true }).select('kennzeichen bezeichnung typ status').sort({ kennzeichen: 1 }),
+      WartungService.termineImZeitraum(start, ende),
+      AbwesenheitService.genehmigteImZeitraum(start, ende)
+    ]);
+
+    const tage = [];
+    for (let i = 0; i < anzahlTage; i++) {
+      const tag = new Date(start);
+      tag.setDate(start.getDate() + i);
+      const umzuegeAmTag = umzuege.filter(umzug => ueberschneidetSich(umzug.startDatum, umzug.endDatum || umzug.startDatum, tag, tag));
+      const konflikte = [];
+
+      const mitarbeiterPlan = mitarbeiter.map(ma => {
+        const eingeplant = umzuegeAmTag
+          .filter(umzug => umzug.mitarbeiter.some(eintrag => String(eintrag.mitarbeiterId) === String(ma._id)))
+          .map(umzug => umzug._id);
+        const abwesend = this.abwesenheit(ma, tag, tag, abwesenheiten);
+
+        if (eingeplant.length > 1 || (abwesend && eingeplant.length > 0)) {
+          konflikte.push({
+            typ: 'mitarbeiter',
+            ressourceId: ma._id,
+            name: mitarbeiterName(ma),
+            grund: abwesend || 'doppelbuchung',
+            umzuege: eingeplant
+          });
+        }
+
+        return {
+          id: ma._id,
+          name: mitarbeiterName(ma),
+          position: ma.position,
+          status: abwesend || (eingeplant.length > 0 ? 'eingeplant' : 'frei'),
+          umzuege: eingeplant
+        };
+      });
+
+      const fahrzeugPlan = fahrzeuge.map(fahrzeug => {
+        const eingeplant = umzuegeAmTag
+          .filter(umzug => umzug.fahrzeuge.some(eintrag =>
+            String(eintrag.fahrzeugId) === String(fahrzeug._id) || eintrag.kennzeichen === fahrzeug.kennzeichen))
+          .map(umzug => umzug._id);
+        const inWerkstatt = wartungen.some(wartung =>
+          String(wartung.fahrzeug) === String(fahrzeug._id) && WartungService.blockiert(wartung, tag, tag));
+        const gesperrt = NICHT_EINSATZBEREIT.includes(fahrzeug.status) || inWerkstatt;
+        const sperrgrund = NICHT_EINSATZBEREIT.includes(fahrzeug.status) ? fahrzeug.status : 'In Wartung';
+
+        if (eingeplant.length > 1 || (gesperrt && eingeplant.length > 0)) {
+          konflikte.push({
+            typ: 'fahrzeug',
+            ressourceId: fahrzeug._id,
+            name: `${fahrzeug.bezeichnung} (${fahrzeug.kennzeichen})`,
+            grund: gesperrt ? sperrgrund : 'doppelbuchung',
+            umzuege: eingeplant
+          });
+        }
+
+        return {
+          id: fahrzeug._id,
+          kennzeichen: fahrzeug.kennzeichen,
+          bezeichnung: fahrzeug.bezeichnung,
+          status: gesperrt ? sperrgrund : (eingeplant.length > 0 ? 'eingeplant' : 'frei'),
+          umzuege: eingeplant
+        };
+      });
+
+      tage.push({
+        datum: tagesschluessel(tag),
+        umzuege: umzuegeAmTag.map(umzug => ({
+          id: umzug._id,
+          kundennummer: umzug.kundennummer,
+          auftraggeber: umzug.auftraggeber && umzug.auftraggeber.name,
+          von: umzug.auszugsadresse && umzug.auszugsadresse.ort,
+          nach: umzug.einzugsadresse && umzug.einzugsadresse.ort,
+          status: umzug.status,
+          teamgroesse: umzug.mitarbeiter.length,
+          fahrzeuge: umzug.fahrzeuge.length
+        })),
+        mitarbeiter: mitarbeiterPlan,
+        fahrzeuge: fahrzeugPlan,
+        konflikte
+      });
+    }
+
+    return {
+      von: tagesschluessel(start),
+      bis: tagesschluessel(ende),
+      tage
+    };
+  }
+
+  /**
+   * Check whether a set of licence classes permits driving a vehicle class
+   * @param {Array<String>} klassen - Licence classes of the driver
+   * @param {String} fahrzeugklasse - Required class of the vehicle (default B)
+   * @returns {Boolean}
+   */
+  static darfFahren(klassen, fahrzeugklasse = 'B') {
+    return (klassen || []).some(klasse =>
+      (FUEHRERSCHEIN_UMFANG[String(klasse).trim().toUpperCase()] || []).includes(fahrzeugklasse || 'B'));
+  }
+
+  /**
+   * Find the cheapest vehicle combinations covering volume and payload
+   * @param {Array} fahrzeuge - Candidates ({ id, volumen, ladegewicht, kosten })
+   * @param {Object} bedarf - { volumen, gewicht }
+   * @param {Object} options - { maxFahrzeuge, anzahl }
+   * @returns {Array} - Combinations ({ fahrzeuge, kosten, volumen, ladegewicht }), cheapest first
+   */
+  static kombinationen(fahrzeuge, bedarf, options = {}) {
+    const { maxFahrzeuge = dispositionConfig.maxFahrzeuge, anzahl = 20 } = options;
+    const sortiert = [...fahrzeuge].sort((a, b) => a.kosten - b.kosten);
+    const ergebnisse = [];
+
+    // Günstiger vor weniger Fahrzeugen vor weniger ungenutztem Laderaum
+    const vergleiche = (a, b) => (a.kosten - b.kosten)
+      || (a.fahrzeuge.length - b.fahrzeuge.length)
+      || (a.volumen - b.volumen);
+
+    const suche = (start, auswahl, volumen, ladegewicht, kosten) => {
+      if (volumen >= bedarf.volumen && ladegewicht >= bedarf.gewicht) {
+        ergebnisse.push({ fahrzeuge: auswahl, kosten: runden(kosten), volumen: runden(volumen), ladegewicht });
+        ergebnisse.sort(vergleiche);
+        ergebnisse.splice(anzahl);
+        return;
+      }
+      if (auswahl.length >= maxFahrzeuge) {
+        return;
+      }
+      for (let i = start; i < sortiert.length; i++) {
+        const fahrzeug = sortiert[i];
+        // Kandidaten sind nach Kosten sortiert - teurere Zweige können die Liste nicht mehr verbessern
+        if (ergebnisse.length >= anzahl && kosten + fahrzeug.kosten > ergebnisse[ergebnisse.length - 1].kosten) {
+          break;
+        }
+        suche(i + 1, [...auswahl, fahrzeug], volumen + fahrzeug.volumen, ladegewicht + fahrzeug.ladegewicht, kosten + fahrzeug.kosten);
+      }
+    };
+
+    suche(0, [], 0, 0, 0);
+    return ergebnisse;
+  }
+
+  /**
+   * Assign one distinct driver with a matching licence to every vehicle (bipartite matching)
+   * @param {Array} fahrzeuge - Vehicles ({ id, fuehrerscheinklasse })
+   * @param {Array} fahrer - Drivers ({ id, fuehrerscheinklassen, imTeam })
+   * @returns {Object} - { zuordnung: Map<fahrzeugId, fahrer|null>, vollstaendig }
+   */
+  static fahrerZuordnen(fahrzeuge, fahrer) {
+    // Bereits eingeplante Teammitglieder zuerst berücksichtigen
+    const reihenfolge = [...fahrer].sort((a, b) => Number(b.imTeam) - Number(a.imTeam));
+    const geeignet = fahrzeuge.map(fahrzeug =>
+      reihenfolge.filter(ma => this.darfFahren(ma.fuehrerscheinklassen, fahrzeug.fuehrerscheinklasse)));
+    const fahrerVon = new Map(); // Fahrer-ID -> Fahrzeugindex
+
+    const zuweisen = (index, besucht) => {
+      for (const ma of geeignet[index]) {
+        const id = String(ma.id);
+        if (besucht.has(id)) continue;
+        besucht.add(id);
+        if (!fahrerVon.has(id) || zuweisen(fahrerVon.get(id), besucht)) {
+          fahrerVon.set(id, index);
+          return true;
+        }
+      }
+      return false;
+    };
+
+    fahrzeuge.forEach((fahrzeug, index) => zuweisen(index, new Set()));
+
+    const zuordnung = new Map(fahrzeuge.map(fahrzeug => [String(fahrzeug.id), null]));
+    fahrerVon.forEach((index, id) => {
+      zuordnung.set(String(fahrzeuge[index].id), reihenfolge.find(ma => String(ma.id) === id));
+    });
+
+    return {
+      zuordnung,
+      vollstaendig: Array.from(zuordnung.values()).every(Boolean)
+    };
+  }
+
+  /**
+   * Determine volume and weight of a move (Umzug first, then the linked Aufnahme)
+   * @param {Object} umzug - Umzug document
+   * @param {Object} config - Disposition configuration
+   * @returns {Promise<Object>} - { volumen, gewicht, quelle }
+   */
+  static async ermittleBedarf(umzug, config = dispositionConfig) {
+    const details = umzug.umzugsdetails || {};
+    let volumen = details.volumen || 0;
+    let gewicht = details.gewicht || 0;
+    const quelle = { volumen: volumen ? 'umzug' : null, gewicht: gewicht ? 'umzug' : null };
+
+    if ((!volumen || !gewicht) && umzug.aufnahmeId) {
+      const aufnahme = await Aufnahme.findById(umzug.aufnahmeId);
+      if (aufnahme) {
+        if (!volumen) {
+          volumen = AngebotService.analysiereInventar(aufnahme).volumen;
+          quelle.volumen = volumen ? 'aufnahme' : null;
+        }
+        if (!gewicht) {
+          (aufnahme.raeume || []).forEach(raum => {
+            (raum.moebel || []).forEach(moebel => {
+              gewicht += (moebel.gewicht || 0) * (moebel.anzahl || 1);
+            });
+          });
+          quelle.gewicht = gewicht ? 'aufnahme' : null;
+        }
+      }
+    }
+
+    if (!gewicht && volumen) {
+      gewicht = volumen * config.kilogrammProKubikmeter;
+      quelle.gewicht = 'schaetzung';
+    }
+
+    return { volumen: runden(volumen, 1), gewicht: Math.round(gewicht), quelle };
+  }
+
+  /**
+   * Propose the cheapest available vehicles for a move plus eligible drivers
+   * @param {Object} umzug - Umzug document
+   * @param {Object} config - Disposition configuration
+   * @returns {Promise<Object>} - { bedarf, vorschlag, alternativen, unberuecksichtigt, hinweise }
+   */
+  static async fahrzeugvorschlag(umzug, config = dispositionConfig) {
+    const bedarf = await this.ermittleBedarf(umzug, config);
+    if (!bedarf.volumen) {
+      throw new AppError('Für den Umzug ist kein Volumen bekannt (Umzugsdetails oder Aufnahme)', 400);
+    }
+    bedarf.volumenMitReserve = runden(bedarf.volumen * (1 + config.ladereserve), 1);
+
+    const startDatum = umzug.startDatum;
+    const endDatum = umzug.endDatum || startDatum;
+    const tage = Math.round((tagesbeginn(endDatum) - tagesbeginn(startDatum)) / (24 * 60 * 60 * 1000)) + 1;
+
+    const [andereUmzuege, alleFahrzeuge, alleMitarbeiter, wartungen, abwesenheiten] = await Promise.all([
+      Umzug.find({
+        _id: { $ne: umzug._id },
+        status: { $ne: 'storniert' },
+        startDatum: { $lte: tagesende(endDatum) },
+        endDatum: { $gte: tagesbeginn(startDatum) }
+      }).select('mitarbeiter fahrzeuge'),
+      Fahrzeug.find({ isActive: true }),
+      Mitarbeiter.find({ isActive: true, 'fuehrerscheinklassen.0': { $exists: true } })
+        .select('vorname nachname fuehrerscheinklassen verfuegbarkeit'),
+      WartungService.termineImZeitraum(startDatum, endDatum),
+      AbwesenheitService.genehmigteImZeitraum(startDatum, endDatum)
+    ]);
+    const inWerkstatt = new Set(wartungen.map(wartung => String(wartung.fahrzeug)));
+
+    const belegteFahrzeuge = new Set();
+    const belegteMitarbeiter = new Set();
+    andereUmzuege.forEach(anderer => {
+      anderer.fahrzeuge.forEach(eintrag => {
+        if (eintrag.fahrzeugId) belegteFahrzeuge.add(String(eintrag.fahrzeugId));
+        if (eintrag.kennzeichen) belegteFahrzeuge.add(eintrag.kennzeichen);
+      });
+      anderer.mitarbeiter.forEach(eintrag => belegteMitarbeiter.add(String(eintrag.mitarbeiterId)));
+    });
+
+    const kandidaten = [];
+    const unberuecksichtigt = [];
+    alleFahrzeuge.forEach(fahrzeug => {
+      const basis = { id: fahrzeug._id, kennzeichen: fahrzeug.kennzeichen, bezeichnung: fahrzeug.bezeichnung };
+      const volumen = fahrzeug.kapazitaet && fahrzeug.kapazitaet.volumen;
+      const ladegewicht = fahrzeug.kapazitaet && fahrzeug.kapazitaet.ladegewicht;
+      let grund = null;
+
+      if (NICHT_EINSATZBEREIT.includes(fahrzeug.status)) {
+        grund = fahrzeug.status;
+      } else if (inWerkstatt.has(String(fahrzeug._id))) {
+        grund = 'Werkstatttermin im Zeitraum';
+      } else if (belegteFahrzeuge.has(String(fahrzeug._id)) || belegteFahrzeuge.has(fahrzeug.kennzeichen)) {
+        grund = 'bereits eingeplant';
+      } else if (fahrzeug.typ === 'Anhänger') {
+        grund = 'Anhänger werden nur mit Zugfahrzeug eingeplant';
+      } else if (!volumen || !ladegewicht) {
+        grund = 'Ladefläche oder Ladegewicht nicht erfasst';
+      }
+
+      if (grund) {
+        unberuecksichtigt.push({ ...basis, grund });
+        return;
+      }
+
+      const tagessatz = fahrzeug.kostenProTag !== undefined && fahrzeug.kostenProTag !== null
+        ? fahrzeug.kostenProTag
+        : (config.kostenProTag[fahrzeug.typ] !== undefined ? config.kostenProTag[fahrzeug.typ] : config.kostenProTag.Sonstige);
+
+      kandidaten.push({
+        ...basis,
+        typ: fahrzeug.typ,
+        fuehrerscheinklasse: fahrzeug.fuehrerscheinklasse || 'B',
+        volumen: runden(volumen, 1),
+        ladegewicht,
+        kosten: runden(tagessatz * tage)
+      });
+    });
+
+    const teamIds = umzug.mitarbeiter.map(eintrag => String(eintrag.mitarbeiterId));
+    const fahrer = alleMitarbeiter
+      .filter(ma => !belegteMitarbeiter.has(String(ma._id)) && !this.abwesenheit(ma, startDatum, endDatum, abwesenheiten))
+      .map(ma => ({
+        id: ma._id,
+        name: mitarbeiterName(ma),
+        fuehrerscheinklassen: ma.fuehrerscheinklassen,
+        imTeam: teamIds.includes(String(ma._id))
+      }));
+
+    const bewerte = (kombination) => {
+      const { zuordnung, vollstaendig } = this.fahrerZuordnen(kombination.fahrzeuge, fahrer);
+      return {
+        kosten: kombination.kosten,
+        volumen: kombination.volumen,
+        ladegewicht: kombination.ladegewicht,
+        fahrerVollstaendig: vollstaendig,
+        fahrzeuge: kombination.fahrzeuge.map(fahrzeug => {
+          const zugeordnet = zuordnung.get(String(fahrzeug.id));
+          return {
+            ...fahrzeug,
+            fahrer: zugeordnet ? { id: zugeordnet.id, name: zugeordnet.name } : null,
+            moeglicheFahrer: fahrer
+              .filter(ma => this.darfFahren(ma.fuehrerscheinklassen, fahrzeug.fuehrerscheinklasse))
+              .map(ma => ({ id: ma.id, name: ma.name, imTeam: ma.imTeam }))
+          };
+        })
+      };
+    };
+
+    const bewertet = this.kombinationen(kandidaten, { volumen: bedarf.volumenMitReserve, gewicht: bedarf.gewicht }, {
+      maxFahrzeuge: config.maxFahrzeuge
+    }).map(bewerte);
+
+    // Die günstigste Kombination, für die auch genug Fahrer verfügbar sind
+    const vorschlag = bewertet.find(kombination => kombination.fahrerVollstaendig) || bewertet[0] || null;
+    const alternativen = bewertet.filter(kombination => kombination !== vorschlag).slice(0, config.alternativen);
+
+    const hinweise = [];
+    if (!vorschlag) {
+      hinweise.push(`Keine Kombination aus höchstens ${config.maxFahrzeuge} verfügbaren Fahrzeugen deckt ` +
+        `${bedarf.volumenMitReserve} m³ und ${bedarf.gewicht} kg ab`);
+    } else if (!vorschlag.fahrerVollstaendig) {
+      hinweise.push('Nicht für jedes Fahrzeug ist ein Fahrer mit passender Führerscheinklasse verfügbar');
+    }
+    if (bedarf.quelle.gewicht === 'schaetzung') {
+      hinweise.push(`Gewicht geschätzt mit ${config.kilogrammProKubikmeter} kg/m³`);
+    }
+
+    return {
+      umzugId: umzug._id,
+      zeitraum: { von: startDatum, bis: endDatum, tage },
+      bedarf,
+      vorschlag,
+      alternativen,
+      unberuecksichtigt,
+      hinweise
+    };
+  }
+}
+
+module.exports = DispositionService;
@@ -0,0 +1,258 @@
+// services/download.service.js - Berechtigungsprüfung und signierte Links für Datei-Downloads
+// Dateien sind nicht mehr öffentlich erreichbar. Ein Download erfordert entweder eine Anmeldung
+// mit passender Berechtigung oder einen kurzlebigen, per HMAC signierten Link, den ein berechtigter
+// Benutzer erzeugt hat. Jeder Zugriff wird in DateiZugriff protokolliert.
+const crypto = require('crypto');
+const Upload = require('../models/upload.model');
+const Mitarbeiter = require('../models/mitarbeiter.model');
+const User = require('../models/user');
+const DateiZugriff = require('../models/dateizugriff.model');
+const StorageService = require('./storage.service');
+const BerechtigungService = require('./berechtigung.service');
+const storageConfig = require('../config/storage.config');
+const { AppError, createNotFoundError } = require('../utils/error.utils');
+
+// Berechtigungen (alle erforderlich) je Bezugsmodell; der Uploader hat immer Zugriff.
+// Personal- und Finanzunterlagen erfordern die Berechtigung für diese Daten (Ausnahmen siehe darfZugreifen).
+const BERECHTIGUNGEN_JE_BEZUG = {
+  Umzug: ['upload:read', 'umzug:read'],
+  Aufnahme: ['upload:read', 'aufnahme:read'],
+  Fahrzeug: ['upload:read', 'fahrzeug:read'],
+  Dokument: ['upload:read'],
+  Mitarbeiter: ['mitarbeiter:dokumente:read'],
+  User: ['benutzer:manage'],
+  Angebot: ['angebot:dokumente:read'],
+  Rechnung: ['rechnung:dokumente:read']
+};
+
+// Direkt im Browser anzeigbare Formate (z.B. <img src>, PDF-Vorschau)
+const INLINE_TYPEN = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+
+const benutzerId = (user) => String(user._id || user.id);
+
+class DownloadService {
+  /**
+   * Check whether a user may access an upload
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {Object} upload - Upload document
+   * @returns {Promise<Boolean>}
+   */
+  static async darfZugreifen(user, upload) {
+    if (!user) {
+      return false;
+    }
+    // hochgeladenVon kann populiert sein (Listen und Metadaten)
+    const uploader = upload.hochgeladenVon && (upload.hochgeladenVon._id || upload.hochgeladenVon);
+    if (uploader && String(uploader) === benutzerId(user)) {
+      return true;
+    }
+
+    // Eigene Personalunterlagen; Profilbilder sind für alle Mitarbeiter sichtbar
+    if (upload.bezugModell === 'Mitarbeiter' && upload.bezugId) {
+      const mitarbeiter = await Mitarbeiter.findById(upload.bezugId).select('userId profilbild');
+      if (mitarbeiter && (String(mitarbeiter.userId) === benutzerId(user) || mitarbeiter.profilbild === upload.pfad)) {
+        return true;
+      }
+    }
+
+    if (upload.bezugModell === 'User' && String(upload.bezugId) === benutzerId(user)) {
+      return true;
+    }
+
+    const berechtigungen = BERECHTIGUNGEN_JE_BEZUG[upload.bezugModell];
+    return Boolean(berechtigungen) && berechtigungen.every(berechtigung => BerechtigungService.hat(user, berechtigung));
+  }
+
+  /**
+   * Keep only the uploads the user may access (listings and metadata)
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {Array<Object>} uploads - Upload documents
+   * @returns {Promise<Array<Object>>}
+   */
+  static async filtereZugriff(user, uploads) {
+    const erlaubt = await Promise.all(uploads.map(upload => DownloadService.darfZugreifen(user, upload)));
+    return uploads.filter((upload, index) => erlaubt[index]);
+  }
+
+  /**
+   * Load an upload and make sure the user may access it; denied attempts are logged
+   * @returns {Promise<Object>} Upload document
+   */
+  static async pruefeZugriff(user, uploadId, { aktion, req } = {}) {
+    const upload = await Upload.findById(uploadId);
+    if (!upload) {
+      throw createNotFoundError('Upload');
+    }
+
+    if (!await DownloadService.darfZugreifen(user, upload)) {
+      await DownloadService.protokolliere({
+        upload, benutzer: user, aktion, zugang: 'anmeldung', erlaubt: false, grund: 'Keine Berechtigung', req
+      });
+      throw new AppError('Keine Berechtigung für diese Datei', 403);
+    }
+    return upload;
+  }
+
+  /**
+   * Find the upload behind a stored file reference (e.g. Umzug.dokumente[].pfad)
+   * @param {String} pfad - Storage key or legacy "/uploads/..." path
+   */
+  static async uploadZuPfad(pfad) {
+    const schluessel = StorageService.schluesselAusPfad(pfad);
+    const upload = await Upload.findOne({ pfad: { $in: [schluessel, `/uploads/${schluessel}`] } });
+    if (!upload) {
+      throw createNotFoundError('Upload');
+    }
+    return upload;
+  }
+
+  static signatur(uploadId, ablauf, ausgestelltVon) {
+    return crypto
+      .createHmac('sha256', storageConfig.download.secret)
+      .update(`${uploadId}.${ablauf}.${ausgestelltVon}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Create a signed, expiring download URL
+   * @param {Object} upload - Upload document
+   * @param {Object} user - User issuing the link (recorded in the audit log of every use)
+   * @param {Object} options - { minuten, inline, variante }
+   * @returns {Object} { url, gueltigBis }
+   */
+  static erzeugeLink(upload, user, { minuten = storageConfig.download.gueltigkeitMinuten, inline = false, variante = 'original' } = {}) {
+    const dauer = Math.min(minuten, storageConfig.download.maxGueltigkeitStunden * 60);
+    const gueltigBis = new Date(Date.now() + dauer * 60 * 1000);
+    const ablauf = Math.floor(gueltigBis.getTime() / 1000);
+    const von = benutzerId(user);
+
+    const parameter = new URLSearchParams({
+      ablauf: String(ablauf),
+      von,
+      signatur: DownloadService.signatur(upload._id, ablauf, von)
+    });
+    if (variante !== 'original') {
+      parameter.set('variante', variante);
+    }
+    if (inline) {
+      parameter.set('inline', 'true');
+    }
+
+    return {
+      url: `${storageConfig.download.basisUrl}/api/uploads/${upload._id}/download?${parameter}`,
+      gueltigBis
+    };
+  }
+
+  /**
+   * Verify the query parameters of a signed link
+   * @returns {Object} { ausgestelltVon, gueltigBis }
+   */
+  static pruefeLink(uploadId, { ablauf, von, signatur } = {}) {
+    const ablaufZahl = parseInt(ablauf, 10);
+    if (!Number.isFinite(ablaufZahl) || !von || !signatur) {
+      throw new AppError('Ungültiger Download-Link', 401);
+    }
+
+    const erwartet = Buffer.from(DownloadService.signatur(uploadId, ablaufZahl, von));
+    const erhalten = Buffer.from(String(signatur));
+    if (erwartet.length !== erhalten.length || !crypto.timingSafeEqual(erwartet, erhalten)) {
+      throw new AppError('Ungültiger Download-Link', 401);
+    }
+    if (ablaufZahl * 1000 < Date.now()) {
+      throw new AppError('Der Download-Link ist abgelaufen', 401);
+    }
+
+    return { ausgestelltVon: von, gueltigBis: new Date(ablaufZahl * 1000) };
+  }
+
+  /**
+   * Resolve a signed link to its upload; the issuer must still be active and allowed to access it
+   * @returns {Promise<Object>} { upload, benutzer, linkGueltigBis }
+   */
+  static async loeseLinkEin(uploadId, query, req) {
+    let link;
+    try {
+      link = DownloadService.pruefeLink(uploadId, query);
+    } catch (error) {
+      await DownloadService.protokolliere({
+        upload: uploadId, aktion: 'download', zugang: 'signierter-link', erlaubt: false, grund: error.message, req
+      });
+      throw error;
+    }
+
+    const upload = await Upload.findById(uploadId);
+    if (!upload) {
+      throw createNotFoundError('Upload');
+    }
+
+    const aussteller = await User.findById(link.ausgestelltVon).select('role roles permissions isActive');
+    if (!aussteller || aussteller.isActive === false || !await DownloadService.darfZugreifen(aussteller, upload)) {
+      await DownloadService.protokolliere({
+        upload, benutzer: link.ausgestelltVon, aktion: 'download', zugang: 'signierter-link',
+        erlaubt: false, grund: 'Aussteller nicht mehr berechtigt', linkGueltigBis: link.gueltigBis, req
+      });
+      throw new AppError('Der Download-Link ist nicht mehr gültig', 403);
+    }
+
+    return { upload, benutzer: aussteller, linkGueltigBis: link.gueltigBis };
+  }
+
+  /**
+   * Write an audit entry for a file access
+   */
+  static protokolliere({ upload, benutzer, aktion, zugang, erlaubt, grund, linkGueltigBis, req }) {
+    return DateiZugriff.create({
+      upload: upload._id || upload,
+      benutzer: benutzer ? (benutzer._id || benutzer.id || benutzer) : undefined,
+      aktion,
+      zugang,
+      erlaubt,
+      grund,
+      linkGueltigBis,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.get('user-agent') : undefined
+    });
+  }
+
+  /**
+   * Stored file to deliver for a requested variant; falls back to the original
+   * @param {Object} upload - Upload document
+   * @param {String} variante - 'original', 'web' or 'thumbnail'
+   * @returns {Object} { pfad, mimetype, name }
+   */
+  static datei(upload, variante = 'original') {
+    const name = upload.originalname || upload.filename;
+    const gewaehlt = variante !== 'original' && upload.bild && upload.bild.varianten
+      ? upload.bild.varianten[variante]
+      : null;
+
+    if (gewaehlt && gewaehlt.pfad) {
+      return {
+        pfad: gewaehlt.pfad,
+        mimetype: gewaehlt.mimetype,
+        name: `${name.replace(/\.[^.]+$/, '')}-${variante}.jpg`
+      };
+    }
+    return { pfad: upload.pfad, mimetype: upload.mimetype, name };
+  }
+
+  /**
+   * Response headers for a download
+   * @param {Object} datei - { mimetype, name } as returned by datei()
+   * @param {Boolean} inline - Display in the browser instead of saving
+   */
+  static header({ mimetype, name }, inline = false) {
+    const anzeigen = inline && INLINE_TYPEN.includes(mimetype);
+    const ascii = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+
+    return {
+      'Content-Type': mimetype || 'application/octet-stream',
+      'Content-Disposition': `${anzeigen ? 'inline' : 'attachment'}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(name)}`,
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff'
+    };
+  }
+}
+
+module.exports = DownloadService;
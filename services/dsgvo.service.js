@@ -0,0 +1,613 @@
+/**
+ * dsgvo.service.js - Auskunft (Art. 15 DSGVO) und Löschung (Art. 17 DSGVO) für Kunden und Mitarbeiter
+ * Sammelt alle Datensätze mit Bezug zu einer Person. Bei der Löschung werden Unterlagen mit laufender
+ * Aufbewahrungsfrist (HGB/AO) behalten und nur um nicht benötigte Angaben bereinigt; alles andere wird
+ * pseudonymisiert oder gelöscht. Der Bericht nennt jede aufbewahrte Unterlage mit Grund und Fristende.
+ */
+
+const Client = require('../models/client');
+const Project = require('../models/project');
+const Umzug = require('../models/umzug.model');
+const Aufnahme = require('../models/aufnahme.model');
+const Angebot = require('../models/angebot.model');
+const Rechnung = require('../models/rechnung.model');
+const Upload = require('../models/upload.model');
+const Mitarbeiter = require('../models/mitarbeiter.model');
+const User = require('../models/user');
+const Zeiterfassung = require('../models/zeiterfassung.model');
+const Stempelung = require('../models/stempelung.model');
+const Abwesenheit = require('../models/abwesenheit.model');
+const ApiKey = require('../models/apikey.model');
+const AuditLog = require('../models/auditlog.model');
+const Fahrtenbuch = require('../models/fahrtenbuch.model');
+const Benachrichtigung = require('../models/benachrichtigung.model');
+const DateiZugriff = require('../models/dateizugriff.model');
+const AuditService = require('./audit.service');
+const StorageService = require('./storage.service');
+const BildService = require('./bild.service');
+const dsgvoConfig = require('../config/dsgvo.config');
+const { AppError, createNotFoundError } = require('../utils/error.utils');
+
+const MODELLE = {
+  Client, Project, Umzug, Aufnahme, Angebot, Rechnung, Upload, Mitarbeiter, User, Zeiterfassung, Stempelung, Abwesenheit, ApiKey,
+  Benachrichtigung, DateiZugriff
+};
+
+// Zusätzlich gesetzt, sobald die Angaben einer Person entfernt werden
+const DEAKTIVIEREN = {
+  Client: { isActive: false },
+  Mitarbeiter: { isActive: false },
+  User: { isActive: false, roles: [], permissions: [] }
+};
+
+// Umzüge in diesem Status werden für die Vertragserfüllung noch benötigt (Art. 17 Abs. 1 lit. a DSGVO)
+const LAUFEND = ['geplant', 'bestaetigt', 'in_bearbeitung'];
+
+const wert = (objekt, pfad) => pfad.split('.').reduce((teil, schluessel) => (teil == null ? undefined : teil[schluessel]), objekt);
+
+const vorhanden = (eintrag) => eintrag !== undefined && eintrag !== null && eintrag !== ''
+  && !(Array.isArray(eintrag) && !eintrag.length);
+
+const id = (eintrag) => (eintrag ? String(eintrag._id || eintrag) : null);
+
+const spaeteste = (fristen) => fristen.filter(Boolean).reduce((ergebnis, frist) => (
+  !ergebnis || frist.bis > ergebnis.bis ? frist : ergebnis
+), null);
+
+class DsgvoService {
+  /**
+   * Normalize the search criteria of a data subject request
+   * @param {Object} person - { typ: 'kunde', clientId, email, telefon } or { typ: 'mitarbeiter', mitarbeiterId }
+   * @returns {Object}
+   */
+  static person({ typ, clientId, email, telefon, mitarbeiterId } = {}) {
+    if (typ === 'mitarbeiter') {
+      if (!mitarbeiterId) {
+        throw new AppError('Mitarbeiter-ID ist erforderlich', 400);
+      }
+      return { typ, mitarbeiterId: String(mitarbeiterId) };
+    }
+
+    const person = { typ: 'kunde' };
+    if (clientId) person.clientId = String(clientId);
+    if (email) person.email = String(email).trim().toLowerCase();
+    if (telefon) person.telefon = String(telefon).trim();
+    if (!person.clientId && !person.email && !person.telefon) {
+      // Namen allein reichen nicht: gleichnamige Kunden würden mitgelöscht
+      throw new AppError('Kunden-ID, E-Mail-Adresse oder Telefonnummer ist erforderlich', 400);
+    }
+    return person;
+  }
+
+  /**
+   * Complete customer criteria with the email address and phone number stored at the customer,
+   * so that moves and surveys recorded without customer reference are found as well
+   * @param {Object} person - Normalized criteria
+   * @returns {Promise<Object>} Normalized criteria
+   */
+  static async ergaenzeKontakt(person) {
+    if (person.typ !== 'kunde' || !person.clientId || (person.email && person.telefon)) {
+      return person;
+    }
+    const client = await Client.findById(person.clientId).select('email phone').lean();
+    if (!client) {
+      return person;
+    }
+    return this.person({ ...person, email: person.email || client.email, telefon: person.telefon || client.phone });
+  }
+
+  /**
+   * Phone number pattern that ignores spaces, slashes, dashes and brackets
+   * @param {String} telefon
+   * @returns {RegExp|null}
+   */
+  static telefonMuster(telefon) {
+    const zeichen = String(telefon || '').replace(/[^\d+]/g, '');
+    if (!zeichen) {
+      return null;
+    }
+    const muster = zeichen.split('').map(z => (z === '+' ? '\\+' : z)).join('[\\s()/-]*');
+    return new RegExp(`^[\\s()/-]*${muster}[\\s()/-]*$`);
+  }
+
+  /**
+   * Whether a contact (Umzug.auftraggeber, Umzug.kontakte) belongs to the customer
+   * @param {Object} kontakt - { name, telefon, email }
+   * @param {Object} person - Normalized customer criteria
+   * @returns {Boolean}
+   */
+  static kontaktPasst(kontakt, person) {
+    if (!kontakt) {
+      return false;
+    }
+    const muster = this.telefonMuster(person.telefon);
+    return Boolean((person.email && String(kontakt.email || '').toLowerCase() === person.email)
+      || (muster && kontakt.telefon && muster.test(kontakt.telefon)));
+  }
+
+  /**
+   * End of a retention period: it starts at the end of the calendar year of the document (§147 Abs. 4 AO)
+   * @param {Date|String} datum - Date of the document
+   * @param {Number} jahre - Retention period in years
+   * @returns {Date} First day after the retention period
+   */
+  static aufbewahrenBis(datum, jahre) {
+    return new Date(Date.UTC(new Date(datum).getUTCFullYear() + jahre + 1, 0, 1));
+  }
+
+  /**
+   * Running retention period of a document
+   * @param {String} entitaet - Key in the retention configuration
+   * @param {Date|String} datum - Date of the document
+   * @param {Date} stichtag - Reference date
+   * @param {Object} config - DSGVO configuration
+   * @returns {Object|null} { grund, bis } - null when the period is over
+   */
+  static frist(entitaet, datum, stichtag = new Date(), config = dsgvoConfig) {
+    const { jahre, grund } = config.aufbewahrung[entitaet];
+    const bis = this.aufbewahrenBis(datum || stichtag, jahre);
+    return bis > stichtag ? { grund, bis } : null;
+  }
+
+  /**
+   * MongoDB update removing the personal fields of a document
+   * @param {String} modell - Key in the field configuration
+   * @param {Object} doc - Lean document
+   * @param {Object} optionen - { aufbewahren: keep the fields needed during retention }
+   * @param {Object} config - DSGVO configuration
+   * @returns {Object} { update, felder: changed paths, behalten: kept paths with values }
+   */
+  static aenderung(modell, doc, { aufbewahren = false } = {}, config = dsgvoConfig) {
+    const felder = config.felder[modell];
+    const geschuetzt = (pfad) => aufbewahren
+      && felder.aufbewahren.some(feld => pfad === feld || pfad.startsWith(`${feld}.`));
+
+    const $set = {};
+    const $unset = {};
+    felder.pseudonym
+      .filter(pfad => vorhanden(wert(doc, pfad)) && !geschuetzt(pfad))
+      .forEach(pfad => {
+        $set[pfad] = pfad.endsWith('email') ? config.pseudonymEmail.replace('{id}', id(doc)) : config.pseudonym;
+      });
+    felder.entfernen
+      .filter(pfad => vorhanden(wert(doc, pfad)) && !geschuetzt(pfad))
+      .forEach(pfad => {
+        $unset[pfad] = '';
+      });
+
+    const update = {};
+    if (Object.keys($set).length) update.$set = $set;
+    if (Object.keys($unset).length) update.$unset = $unset;
+
+    return {
+      update,
+      felder: [...Object.keys($set), ...Object.keys($unset)],
+      behalten: aufbewahren ? felder.aufbewahren.filter(pfad => vorhanden(wert(doc, pfad))) : []
+    };
+  }
+
+  /**
+   * Erasure step for a document whose personal fields are removed
+   * @param {String} entitaet - Model name
+   * @param {Object} doc - Lean document
+   * @param {Object|null} frist - Running retention { grund, bis }
+   * @param {Object} config - DSGVO configuration
+   * @returns {Object} Step
+   */
+  static bereinigen(entitaet, doc, frist, config = dsgvoConfig) {
+    const { update, felder, behalten } = this.aenderung(entitaet, doc, { aufbewahren: Boolean(frist) }, config);
+    if (felder.length && DEAKTIVIEREN[entitaet]) {
+      update.$set = { ...update.$set, ...DEAKTIVIEREN[entitaet] };
+    }
+
+    const schritt = { entitaet, id: id(doc), aktion: felder.length ? 'pseudonymisieren' : 'aufbewahren', felder, update };
+    if (frist) {
+      schritt.aufbewahrung = { grund: frist.grund, bis: frist.bis, behalten };
+    }
+    return schritt;
+  }
+
+  /**
+   * Step for a document that is kept untouched or deleted depending on its retention
+   * @param {String} entitaet - Model name
+   * @param {Object} doc - Lean document
+   * @param {Object|null} frist - Running retention { grund, bis }
+   * @returns {Object} Step
+   */
+  static behaltenOderLoeschen(entitaet, doc, frist) {
+    return frist
+      ? { entitaet, id: id(doc), aktion: 'aufbewahren', aufbewahrung: { grund: frist.grund, bis: frist.bis } }
+      : { entitaet, id: id(doc), aktion: 'loeschen', doc };
+  }
+
+  /**
+   * Uploads are kept as long as the record they belong to
+   * @param {Array} uploads - Lean uploads
+   * @param {Map} fristen - Record ID => running retention
+   * @param {Object} config - DSGVO configuration
+   * @returns {Array} Steps
+   */
+  static planeUploads(uploads, fristen, config = dsgvoConfig) {
+    return uploads.map(upload => {
+      const frist = fristen.get(id(upload.bezugId));
+      return this.behaltenOderLoeschen('Upload', upload, frist && {
+        grund: `${config.aufbewahrung.Upload.grund} (${upload.bezugModell})`,
+        bis: frist.bis
+      });
+    });
+  }
+
+  /**
+   * Erasure plan for a customer
+   * @param {Object} daten - Collected records { Client, Project, Umzug, Aufnahme, Angebot, Rechnung, Upload }
+   * @param {Object} person - Normalized customer criteria
+   * @param {Date} stichtag - Reference date for retention periods
+   * @param {Object} config - DSGVO configuration
+   * @returns {Array} Steps { entitaet, id, aktion, felder, update, aufbewahrung }
+   */
+  static planeKunde(daten, person, stichtag = new Date(), config = dsgvoConfig) {
+    const schritte = [];
+    const fristen = new Map();
+
+    const belege = [
+      ...daten.Rechnung.map(doc => ({ entitaet: 'Rechnung', doc, datum: doc.ausstellungsdatum || doc.createdAt })),
+      ...daten.Angebot.map(doc => ({ entitaet: 'Angebot', doc, datum: doc.erstelltAm || doc.createdAt }))
+    ].map(beleg => ({ ...beleg, frist: this.frist(beleg.entitaet, beleg.datum, stichtag, config) }));
+
+    // Rechnungen und Angebote bleiben während der Frist unverändert (GoBD), danach werden sie gelöscht
+    belege.forEach(({ entitaet, doc, frist }) => {
+      if (frist) {
+        fristen.set(id(doc), frist);
+      }
+      schritte.push(this.behaltenOderLoeschen(entitaet, doc, frist));
+    });
+
+    daten.Client.forEach(client => {
+      const frist = spaeteste(belege.filter(beleg => id(beleg.doc.kunde) === id(client)).map(beleg => beleg.frist));
+      schritte.push(this.bereinigen('Client', client, frist && { grund: config.aufbewahrung.Client.grund, bis: frist.bis }, config));
+    });
+
+    daten.Umzug.forEach(umzug => {
+      const zugehoerig = belege.filter(beleg => id(beleg.doc.umzug) === id(umzug)
+        || (beleg.entitaet === 'Rechnung' && id(umzug.rechnungId) === id(beleg.doc)));
+      const rechnungsFrist = spaeteste(zugehoerig.filter(beleg => beleg.entitaet === 'Rechnung').map(beleg => beleg.frist));
+      const frist = rechnungsFrist && { grund: config.aufbewahrung.Umzug.grund, bis: rechnungsFrist.bis };
+
+      // Über Rechnung oder Angebot des Kunden gefunden: der Auftraggeber ist der Kunde
+      const schritt = zugehoerig.length || this.kontaktPasst(umzug.auftraggeber, person)
+        ? this.bereinigen('Umzug', umzug, frist, config)
+        : { entitaet: 'Umzug', id: id(umzug), aktion: 'aufbewahren', felder: [], update: {} };
+
+      const kontakte = umzug.kontakte || [];
+      if (kontakte.some(kontakt => this.kontaktPasst(kontakt, person))) {
+        schritt.update.$set = {
+          ...schritt.update.$set,
+          kontakte: kontakte.map(kontakt => {
+            if (!this.kontaktPasst(kontakt, person)) {
+              return kontakt;
+            }
+            const { update } = this.aenderung('Kontakt', kontakt, {}, config);
+            const bereinigt = { ...kontakt, ...update.$set };
+            Object.keys(update.$unset || {}).forEach(feld => delete bereinigt[feld]);
+            return bereinigt;
+          })
+        };
+        schritt.felder.push('kontakte');
+        schritt.aktion = 'pseudonymisieren';
+      }
+
+      if (frist) {
+        fristen.set(id(umzug), frist);
+      }
+      if (schritt.aktion === 'pseudonymisieren' || schritt.aufbewahrung) {
+        schritte.push(schritt);
+      }
+    });
+
+    // Aufnahmen sind keine Handelsbriefe, Projekte nur interne Planung: keine Aufbewahrungspflicht
+    [['Aufnahme', daten.Aufnahme], ['Project', daten.Project]].forEach(([entitaet, docs]) => docs.forEach(doc => {
+      const schritt = this.bereinigen(entitaet, doc, null, config);
+      if (schritt.felder.length) {
+        schritte.push(schritt);
+      }
+    }));
+
+    return [...schritte, ...this.planeUploads(daten.Upload, fristen, config)];
+  }
+
+  /**
+   * Erasure plan for a former employee
+   * @param {Object} daten - Collected records { Mitarbeiter, User, Zeiterfassung, Stempelung, Abwesenheit, Fahrtenbuch,
+   *   Upload, ApiKey, Benachrichtigung, DateiZugriff, AuditLog }
+   * @param {Date} stichtag - Reference date for retention periods
+   * @param {Object} config - DSGVO configuration
+   * @returns {Array} Steps { entitaet, id, aktion, felder, update, aufbewahrung }
+   */
+  static planeMitarbeiter(daten, stichtag = new Date(), config = dsgvoConfig) {
+    const [mitarbeiter] = daten.Mitarbeiter;
+    const fristen = new Map();
+    const lohn = this.frist('Mitarbeiter', mitarbeiter.austrittsdatum || mitarbeiter.updatedAt, stichtag, config);
+    if (lohn) {
+      fristen.set(id(mitarbeiter), lohn);
+    }
+
+    const schritte = [
+      this.bereinigen('Mitarbeiter', mitarbeiter, lohn, config),
+      // Das Benutzerkonto wird für die Lohnabrechnung nicht benötigt
+      ...daten.User.map(user => this.bereinigen('User', user, null, config)),
+      ...daten.Zeiterfassung.map(eintrag => this.behaltenOderLoeschen('Zeiterfassung', eintrag,
+        this.frist('Zeiterfassung', eintrag.datum, stichtag, config))),
+      ...daten.Stempelung.map(stempelung => {
+        const frist = this.frist('Stempelung', (stempelung.kommen && stempelung.kommen.zeit) || stempelung.createdAt, stichtag, config);
+        return frist
+          ? this.bereinigen('Stempelung', stempelung, frist, config)
+          : this.behaltenOderLoeschen('Stempelung', stempelung, null);
+      }),
+      ...daten.Abwesenheit.map(abwesenheit => this.behaltenOderLoeschen('Abwesenheit', abwesenheit,
+        this.frist('Abwesenheit', abwesenheit.bis, stichtag, config))),
+      ...this.planeUploads(daten.Upload, fristen, config),
+      ...daten.ApiKey.map(apiKey => this.behaltenOderLoeschen('ApiKey', apiKey, null)),
+      ...daten.Benachrichtigung.map(benachrichtigung => this.behaltenOderLoeschen('Benachrichtigung', benachrichtigung, null)),
+      ...daten.DateiZugriff.map(zugriff => this.behaltenOderLoeschen('DateiZugriff', zugriff, null))
+    ];
+
+    // Fahrtenbucheinträge sind verkettet und bleiben unverändert
+    if (daten.Fahrtenbuch.length) {
+      const frist = spaeteste(daten.Fahrtenbuch.map(eintrag => this.frist('Fahrtenbuch', eintrag.datum, stichtag, config)));
+      schritte.push({
+        entitaet: 'Fahrtenbuch',
+        aktion: 'aufbewahren',
+        anzahl: daten.Fahrtenbuch.length,
+        aufbewahrung: { grund: config.aufbewahrung.Fahrtenbuch.grund, bis: frist ? frist.bis : null }
+      });
+    }
+
+    // Einträge zum eigenen Datensatz ersetzt ausfuehren, eigene Handlungen bleiben protokolliert
+    const handlungen = daten.AuditLog.filter(eintrag => !(
+      (eintrag.entitaet === 'Mitarbeiter' && id(eintrag.entitaetId) === id(mitarbeiter))
+      || (eintrag.entitaet === 'User' && id(eintrag.entitaetId) === id(mitarbeiter.userId))
+    ));
+    if (handlungen.length) {
+      schritte.push({
+        entitaet: 'AuditLog',
+        aktion: 'aufbewahren',
+        anzahl: handlungen.length,
+        aufbewahrung: { grund: config.aufbewahrung.AuditLog.grund, bis: null }
+      });
+    }
+
+    return schritte;
+  }
+
+  /**
+   * Report of an erasure plan
+   * @param {Array} schritte - Steps from planeKunde/planeMitarbeiter
+   * @returns {Object} { geloescht: [{ entitaet, id }], pseudonymisiert: [{ entitaet, id, felder }],
+   *   aufbewahrt: [{ entitaet, id, grund, aufbewahrenBis, behalten }] }
+   */
+  static bericht(schritte) {
+    return {
+      geloescht: schritte
+        .filter(schritt => schritt.aktion === 'loeschen')
+        .map(({ entitaet, id: schrittId }) => ({ entitaet, id: schrittId })),
+      pseudonymisiert: schritte
+        .filter(schritt => schritt.aktion === 'pseudonymisieren')
+        .map(({ entitaet, id: schrittId, felder }) => ({ entitaet, id: schrittId, felder })),
+      aufbewahrt: schritte
+        .filter(schritt => schritt.aufbewahrung)
+        .map(({ entitaet, id: schrittId, anzahl, aufbewahrung }) => {
+          const eintrag = { entitaet, grund: aufbewahrung.grund, aufbewahrenBis: aufbewahrung.bis };
+          if (schrittId) eintrag.id = schrittId;
+          if (anzahl) eintrag.anzahl = anzahl;
+          if (aufbewahrung.behalten) eintrag.behalten = aufbewahrung.behalten;
+          return eintrag;
+        })
+    };
+  }
+
+  /**
+   * All records referencing a customer
+   * @param {Object} person - Normalized customer criteria
+   * @param {Object} config - DSGVO configuration
+   * @returns {Promise<Object>} { Client, Project, Umzug, Aufnahme, Angebot, Rechnung, Upload }
+   */
+  static async sammleKunde(person, config = dsgvoConfig) {
+    const muster = this.telefonMuster(person.telefon);
+    const kontakt = (email, telefon) => [
+      person.email && { [email]: person.email },
+      muster && { [telefon]: muster }
+    ].filter(Boolean);
+    const finde = (Modell, bedingungen) => Modell.find({ $or: bedingungen }).limit(config.maxTreffer).lean();
+    const ids = (docs, feld = '_id') => docs.map(doc => doc[feld]).filter(Boolean);
+
+    const clients = await finde(Client, [
+      ...(person.clientId ? [{ _id: person.clientId }] : []),
+      ...kontakt('email', 'phone')
+    ]);
+    const [rechnungen, angebote, projekte] = await Promise.all([
+      Rechnung.find({ kunde: { $in: ids(clients) } }).limit(config.maxTreffer).lean(),
+      Angebot.find({ kunde: { $in: ids(clients) } }).limit(config.maxTreffer).lean(),
+      Project.find({ client: { $in: ids(clients) } }).limit(config.maxTreffer).lean()
+    ]);
+    const umzuege = await finde(Umzug, [
+      ...kontakt('auftraggeber.email', 'auftraggeber.telefon'),
+      ...kontakt('kontakte.email', 'kontakte.telefon'),
+      { _id: { $in: [...ids(rechnungen, 'umzug'), ...ids(angebote, 'umzug')] } }
+    ]);
+    const aufnahmen = await finde(Aufnahme, [
+      ...kontakt('email', 'telefon'),
+      { _id: { $in: [...ids(angebote, 'aufnahme'), ...ids(umzuege, 'aufnahmeId')] } }
+    ]);
+    const uploads = await finde(Upload, [
+      ['Umzug', umzuege], ['Aufnahme', aufnahmen], ['Angebot', angebote], ['Rechnung', rechnungen]
+    ].map(([bezugModell, docs]) => ({ bezugModell, bezugId: { $in: ids(docs) } })));
+
+    return {
+      Client: clients,
+      Project: projekte,
+      Umzug: umzuege,
+      Aufnahme: aufnahmen,
+      Angebot: angebote,
+      Rechnung: rechnungen,
+      Upload: uploads
+    };
+  }
+
+  /**
+   * All records referencing an employee
+   * @param {Object} person - { mitarbeiterId }
+   * @param {Object} config - DSGVO configuration
+   * @returns {Promise<Object>} { Mitarbeiter, User, Zeiterfassung, Stempelung, Abwesenheit, Fahrtenbuch, Upload, ApiKey,
+   *   Benachrichtigung, DateiZugriff, AuditLog }
+   */
+  static async sammleMitarbeiter({ mitarbeiterId }, config = dsgvoConfig) {
+    const mitarbeiter = await Mitarbeiter.findById(mitarbeiterId).lean();
+    if (!mitarbeiter) {
+      throw createNotFoundError('Mitarbeiter');
+    }
+
+    const userId = mitarbeiter.userId;
+    const [
+      users, zeiten, stempelungen, abwesenheiten, fahrten, uploads, apiKeys, benachrichtigungen, zugriffe, audit
+    ] = await Promise.all([
+      User.find({ _id: userId }).select('-resetPasswordToken -resetPasswordExpire').lean(),
+      Zeiterfassung.find({ mitarbeiterId }).sort({ datum: 1 }).limit(config.maxTreffer).lean(),
+      Stempelung.find({ mitarbeiter: mitarbeiterId }).limit(config.maxTreffer).lean(),
+      Abwesenheit.find({ mitarbeiter: mitarbeiterId }).limit(config.maxTreffer).lean(),
+      Fahrtenbuch.find({ fahrer: mitarbeiterId }).sort({ datum: 1 }).limit(config.maxTreffer).lean(),
+      Upload.find({
+        $or: [
+          { bezugModell: 'Mitarbeiter', bezugId: mitarbeiterId },
+          { bezugModell: 'User', bezugId: userId }
+        ]
+      }).limit(config.maxTreffer).lean(),
+      ApiKey.find({ user: userId }).select('-hash').lean(),
+      Benachrichtigung.find({ empfaenger: userId }).limit(config.maxTreffer).lean(),
+      DateiZugriff.find({ benutzer: userId }).limit(config.maxTreffer).lean(),
+      // Eigene Handlungen und Änderungen am eigenen Datensatz
+      AuditLog.find({
+        $or: [
+          { benutzer: userId },
+          { entitaet: 'Mitarbeiter', entitaetId: mitarbeiterId },
+          { entitaet: 'User', entitaetId: userId }
+        ]
+      }).sort({ zeitpunkt: -1 }).limit(config.maxTreffer).lean()
+    ]);
+
+    return {
+      Mitarbeiter: [mitarbeiter],
+      User: users,
+      Zeiterfassung: zeiten,
+      Stempelung: stempelungen,
+      Abwesenheit: abwesenheiten,
+      Fahrtenbuch: fahrten,
+      Upload: uploads,
+      ApiKey: apiKeys,
+      Benachrichtigung: benachrichtigungen,
+      DateiZugriff: zugriffe,
+      AuditLog: audit
+    };
+  }
+
+  /**
+   * All records referencing a customer or employee
+   * @param {Object} person - Normalized criteria
+   * @returns {Promise<Object>} Lean records per model
+   */
+  static sammeln(person) {
+    return person.typ === 'mitarbeiter' ? this.sammleMitarbeiter(person) : this.sammleKunde(person);
+  }
+
+  /**
+   * Machine-readable export of all data stored about a person (Art. 15, Art. 20 DSGVO)
+   * @param {Object} kriterien - Customer or employee criteria (see person)
+   * @returns {Promise<Object>} { erstelltAm, person, anzahl, daten }
+   */
+  static async auskunft(kriterien) {
+    const person = await this.ergaenzeKontakt(this.person(kriterien));
+    const daten = await this.sammeln(person);
+
+    return {
+      erstelltAm: new Date(),
+      person,
+      anzahl: Object.keys(daten).reduce((ergebnis, entitaet) => {
+        ergebnis[entitaet] = daten[entitaet].length;
+        return ergebnis;
+      }, {}),
+      daten
+    };
+  }
+
+  /**
+   * Carry out an erasure plan; the audit history of changed records is replaced by one entry without values
+   * @param {Array} schritte - Steps from planeKunde/planeMitarbeiter
+   * @returns {Promise<void>}
+   */
+  static async ausfuehren(schritte) {
+    const geaendert = schritte.filter(schritt => ['pseudonymisieren', 'loeschen'].includes(schritt.aktion));
+
+    for (const schritt of geaendert) {
+      const Modell = MODELLE[schritt.entitaet];
+      if (schritt.aktion === 'pseudonymisieren') {
+        await Modell.updateOne({ _id: schritt.id }, schritt.update);
+        continue;
+      }
+      if (schritt.entitaet === 'Upload') {
+        await StorageService.loeschen(schritt.doc.pfad).catch(() => {});
+        await BildService.loescheVarianten(schritt.doc).catch(() => {});
+      }
+      await Modell.deleteOne({ _id: schritt.id });
+    }
+
+    // Das Änderungsprotokoll enthielte sonst weiter die alten Werte (Rechnungen/Angebote werden nie geändert)
+    const entitaeten = [...new Set(geaendert.map(schritt => schritt.entitaet))];
+    for (const entitaet of entitaeten) {
+      await AuditService.loeschen({
+        entitaet,
+        entitaetId: { $in: geaendert.filter(schritt => schritt.entitaet === entitaet).map(schritt => schritt.id) }
+      });
+    }
+    for (const schritt of geaendert) {
+      await AuditService.protokollieren({
+        entitaet: schritt.entitaet,
+        entitaetId: schritt.id,
+        aktion: schritt.aktion === 'loeschen' ? 'geloescht' : 'geaendert',
+        aenderungen: (schritt.felder || []).map(feld => ({ feld }))
+      });
+    }
+  }
+
+  /**
+   * Erase the personal data of a customer or former employee, keeping what must be retained
+   * @param {Object} kriterien - Customer or employee criteria (see person)
+   * @param {Object} optionen - { vorschau: only report what would happen, stichtag }
+   * @returns {Promise<Object>} { person, stichtag, vorschau, geloescht, pseudonymisiert, aufbewahrt }
+   */
+  static async loeschen(kriterien, { vorschau = false, stichtag = new Date() } = {}) {
+    const person = await this.ergaenzeKontakt(this.person(kriterien));
+    const daten = await this.sammeln(person);
+
+    let schritte;
+    if (person.typ === 'mitarbeiter') {
+      const [mitarbeiter] = daten.Mitarbeiter;
+      if (!mitarbeiter.austrittsdatum || new Date(mitarbeiter.austrittsdatum) > stichtag) {
+        throw new AppError('Mitarbeiter ist noch beschäftigt - vor der Löschung das Austrittsdatum eintragen', 409);
+      }
+      schritte = this.planeMitarbeiter(daten, stichtag);
+    } else {
+      const laufend = daten.Umzug.filter(umzug => LAUFEND.includes(umzug.status));
+      if (laufend.length) {
+        throw new AppError(`Für den Kunden sind noch ${laufend.length} Umzüge offen - erst abschließen oder stornieren`, 409);
+      }
+      schritte = this.planeKunde(daten, person, stichtag);
+    }
+
+    if (!vorschau) {
+      await this.ausfuehren(schritte);
+    }
+
+    return { person, stichtag, vorschau, ...this.bericht(schritte) };
+  }
+}
+
+module.exports = DsgvoService;
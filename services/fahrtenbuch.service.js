@@ -0,0 +1,482 @@
+/**
+ * fahrtenbuch.service.js - Manipulationssicheres Fahrtenbuch mit Tankungen
+ * Einträge werden je Fahrzeug fortlaufend nummeriert und über SHA-256 verkettet. Werte werden nie
+ * überschrieben: eine Korrektur ist ein neuer Eintrag, der den ursprünglichen ersetzt (oder storniert).
+ * Der Kilometerstand muss über alle wirksamen Einträge monoton steigen. Abgeschlossene Monate
+ * nehmen keine Buchungen mehr an; Korrekturen sind dann nur noch mit Begründung möglich.
+ */
+
+const crypto = require('crypto');
+const Fahrtenbuch = require('../models/fahrtenbuch.model');
+const FahrtenbuchAbschluss = require('../models/fahrtenbuchabschluss.model');
+const Fahrzeug = require('../models/fahrzeug.model');
+const Mitarbeiter = require('../models/mitarbeiter.model');
+const Umzug = require('../models/umzug.model');
+const { AppError, createNotFoundError } = require('../utils/error.utils');
+
+const START_HASH = '0'.repeat(64);
+
+// Felder, die in den Hash eines Eintrags eingehen (Reihenfolge ist Teil des Formats)
+const HASH_FELDER = [
+  'fahrzeug', 'nummer', 'typ', 'art', 'korrigiert', 'storno', 'begruendung', 'datum', 'ende',
+  'kmStart', 'kmEnde', 'fahrer', 'umzug', 'zweck', 'reisezweck', 'reiseziel', 'route', 'geschaeftspartner',
+  'kilometerstand', 'liter', 'preisProLiter', 'betrag', 'kraftstoff', 'tankstelle', 'vollgetankt',
+  'erfasstVon', 'erfasstAm'
+];
+
+// Werte, die eine Korrektur ersetzen kann
+const WERTE = {
+  fahrt: ['datum', 'ende', 'kmStart', 'kmEnde', 'fahrer', 'umzug', 'zweck', 'reisezweck', 'reiseziel', 'route', 'geschaeftspartner'],
+  tankung: ['datum', 'kilometerstand', 'liter', 'preisProLiter', 'betrag', 'kraftstoff', 'tankstelle', 'vollgetankt']
+};
+
+const runden = (wert, stellen = 2) => {
+  const faktor = Math.pow(10, stellen);
+  return Math.round((Number(wert) || 0) * faktor) / faktor;
+};
+
+// YYYY-MM in lokaler Zeit
+const monatVon = (datum) => {
+  const d = new Date(datum);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const normalisiere = (wert) => {
+  if (wert === undefined || wert === null) return null;
+  if (wert instanceof Date) return wert.toISOString();
+  if (typeof wert === 'object' && wert._bsontype === 'ObjectId') return String(wert);
+  if (typeof wert === 'object' && wert._id) return String(wert._id);
+  return wert;
+};
+
+const kmBereich = (eintrag) => (eintrag.typ === 'fahrt'
+  ? [eintrag.kmStart, eintrag.kmEnde]
+  : [eintrag.kilometerstand, eintrag.kilometerstand]);
+
+class FahrtenbuchService {
+  /**
+   * Hash of an entry chained to its predecessor
+   * @param {Object} eintrag - Entry values
+   * @param {String} vorherigerHash - Hash of the previous entry of the vehicle
+   * @returns {String} Hex SHA-256
+   */
+  static hash(eintrag, vorherigerHash) {
+    const werte = HASH_FELDER.map(feld => normalisiere(eintrag[feld]));
+    return crypto.createHash('sha256').update(vorherigerHash + JSON.stringify(werte)).digest('hex');
+  }
+
+  /**
+   * Verify the hash chain of a vehicle and the chain heads recorded by month closings
+   * @param {Array} eintraege - All entries of the vehicle, ordered by nummer
+   * @param {Array} abschluesse - Month closings of the vehicle
+   * @returns {Object} { gueltig, anzahl, fehler: [{ nummer, meldung }] }
+   */
+  static pruefeKette(eintraege, abschluesse = []) {
+    const fehler = [];
+    let vorheriger = START_HASH;
+
+    eintraege.forEach((eintrag, index) => {
+      if (eintrag.nummer !== index + 1) {
+        fehler.push({ nummer: eintrag.nummer, meldung: `Lücke in der Nummerierung vor Eintrag ${eintrag.nummer}` });
+      }
+      if (eintrag.vorherigerHash !== vorheriger) {
+        fehler.push({ nummer: eintrag.nummer, meldung: 'Verkettung zum vorherigen Eintrag ist unterbrochen' });
+      }
+      if (this.hash(eintrag, eintrag.vorherigerHash) !== eintrag.hash) {
+        fehler.push({ nummer: eintrag.nummer, meldung: 'Eintrag wurde nachträglich verändert' });
+      }
+      vorheriger = eintrag.hash;
+    });
+
+    abschluesse.forEach(abschluss => {
+      if (!abschluss.letzteNummer) {
+        return;
+      }
+      const eintrag = eintraege.find(e => e.nummer === abschluss.letzteNummer);
+      if (!eintrag || eintrag.hash !== abschluss.letzterHash) {
+        fehler.push({
+          nummer: abschluss.letzteNummer,
+          meldung: `Stand des Monatsabschlusses ${abschluss.monat} stimmt nicht mehr überein`
+        });
+      }
+    });
+
+    return { gueltig: fehler.length === 0, anzahl: eintraege.length, fehler };
+  }
+
+  /**
+   * Effective entries: bookings with their latest correction applied, cancelled ones removed
+   * @param {Array} eintraege - Entries ordered by nummer
+   * @returns {Array} Plain objects of the bookings with corrected values;
+   *   korrigiertDurch holds the id of the applied correction
+   */
+  static wirksameEintraege(eintraege) {
+    const korrekturen = new Map();
+    eintraege
+      .filter(eintrag => eintrag.art === 'korrektur')
+      .forEach(korrektur => korrekturen.set(String(korrektur.korrigiert), korrektur));
+
+    return eintraege
+      .filter(eintrag => eintrag.art === 'buchung')
+      .map(buchung => {
+        const basis = typeof buchung.toObject === 'function' ? buchung.toObject() : { ...buchung };
+        const korrektur = korrekturen.get(String(buchung._id));
+        if (!korrektur) {
+          return basis;
+        }
+        if (korrektur.storno) {
+          return null;
+        }
+        const korrigiert = { ...basis, korrigiertDurch: korrektur._id };
+        WERTE[buchung.typ].forEach(feld => {
+          korrigiert[feld] = korrektur[feld];
+        });
+        return korrigiert;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Check that odometer readings keep increasing
+   * @param {Array} wirksam - Effective entries ordered by nummer
+   * @param {Object} neu - New or corrected values
+   * @param {String} ersetzt - Id of the booking that is corrected (null for a new booking)
+   * @param {Number} fahrzeugStand - Current odometer reading of the vehicle (checked for new bookings)
+   * @returns {String|null} Error message
+   */
+  static pruefeKilometer(wirksam, neu, ersetzt = null, fahrzeugStand = null) {
+    const [anfang, ende] = kmBereich(neu);
+    if (neu.typ === 'fahrt' && !(ende > anfang)) {
+      return 'Der Kilometerstand am Ende muss größer sein als am Anfang der Fahrt';
+    }
+
+    const index = ersetzt ? wirksam.findIndex(eintrag => String(eintrag._id) === String(ersetzt)) : wirksam.length;
+    const vorher = wirksam.slice(0, index);
+    const nachher = wirksam.slice(ersetzt ? index + 1 : index);
+
+    const vorgaenger = vorher[vorher.length - 1];
+    // Neue Einträge schließen an den Stand des Fahrzeugs an (z. B. Anfangsstand oder Werkstattbesuch)
+    if (!ersetzt && fahrzeugStand && anfang < fahrzeugStand) {
+      return `Kilometerstand ${anfang} liegt unter dem Kilometerstand des Fahrzeugs von ${fahrzeugStand} km`;
+    }
+    if (vorgaenger && anfang < kmBereich(vorgaenger)[1]) {
+      return `Kilometerstand ${anfang} liegt unter dem zuletzt erfassten Stand von ${kmBereich(vorgaenger)[1]} km`;
+    }
+    const nachfolger = nachher[0];
+    if (nachfolger && ende > kmBereich(nachfolger)[0]) {
+      return `Kilometerstand ${ende} liegt über dem Stand des folgenden Eintrags (${kmBereich(nachfolger)[0]} km)`;
+    }
+    if (vorgaenger && new Date(neu.datum) < new Date(vorgaenger.datum)) {
+      return 'Das Datum liegt vor dem vorherigen Eintrag';
+    }
+    if (nachfolger && new Date(neu.datum) > new Date(nachfolger.datum)) {
+      return 'Das Datum liegt nach dem folgenden Eintrag';
+    }
+    return null;
+  }
+
+  /**
+   * Fuel consumption using the full-to-full method, plus costs
+   * @param {Array} wirksam - Effective entries
+   * @returns {Object} { kilometer, kilometerPrivat, liter, kraftstoffkosten, verbrauchPro100km, kostenProKm }
+   */
+  static berechneVerbrauch(wirksam) {
+    const fahrten = wirksam.filter(eintrag => eintrag.typ === 'fahrt');
+    const tankungen = wirksam
+      .filter(eintrag => eintrag.typ === 'tankung')
+      .sort((a, b) => a.kilometerstand - b.kilometerstand);
+    const kraftstoff = tankungen.filter(tankung => tankung.kraftstoff !== 'AdBlue');
+
+    // Verbrauch nur zwischen zwei Volltankungen; die erste Volltankung füllt nur auf
+    let start = null;
+    let offen = 0;
+    let literGemessen = 0;
+    let kmGemessen = 0;
+    kraftstoff.forEach(tankung => {
+      if (start) {
+        offen += tankung.liter || 0;
+      }
+      if (tankung.vollgetankt) {
+        if (start) {
+          kmGemessen += tankung.kilometerstand - start.kilometerstand;
+          literGemessen += offen;
+        }
+        start = tankung;
+        offen = 0;
+      }
+    });
+
+    const kilometer = fahrten.reduce((summe, fahrt) => summe + (fahrt.kmEnde - fahrt.kmStart), 0);
+    const kosten = tankungen.reduce((summe, tankung) => summe + (tankung.betrag || 0), 0);
+
+    return {
+      kilometer,
+      kilometerPrivat: fahrten
+        .filter(fahrt => fahrt.zweck === 'privat')
+        .reduce((summe, fahrt) => summe + (fahrt.kmEnde - fahrt.kmStart), 0),
+      liter: runden(kraftstoff.reduce((summe, tankung) => summe + (tankung.liter || 0), 0)),
+      kraftstoffkosten: runden(kosten),
+      verbrauchPro100km: kmGemessen > 0 ? runden(literGemessen / kmGemessen * 100) : null,
+      kostenProKm: kilometer > 0 ? runden(kosten / kilometer, 4) : null
+    };
+  }
+
+  /**
+   * Load all entries of a vehicle ordered by number
+   */
+  static laden(fahrzeugId) {
+    return Fahrtenbuch.find({ fahrzeug: fahrzeugId }).sort({ nummer: 1 });
+  }
+
+  /**
+   * Append an entry to the chain of a vehicle; retried if another entry was appended concurrently
+   * @returns {Promise<Object>} Created entry
+   */
+  static async anhaengen(fahrzeugId, werte, user, versuch = 1) {
+    const letzter = await Fahrtenbuch.findOne({ fahrzeug: fahrzeugId }).sort({ nummer: -1 }).select('nummer hash');
+    const eintrag = new Fahrtenbuch({
+      ...werte,
+      fahrzeug: fahrzeugId,
+      nummer: letzter ? letzter.nummer + 1 : 1,
+      erfasstVon: user._id || user.id,
+      erfasstAm: new Date(),
+      vorherigerHash: letzter ? letzter.hash : START_HASH
+    });
+    // Hash über die vom Schema umgewandelten Werte
+    eintrag.hash = this.hash(eintrag, eintrag.vorherigerHash);
+
+    try {
+      return await eintrag.save();
+    } catch (error) {
+      if (error.code === 11000 && versuch < 3) {
+        return this.anhaengen(fahrzeugId, werte, user, versuch + 1);
+      }
+      throw error;
+    }
+  }
+
+  static async hatEintraege(fahrzeugId) {
+    return Boolean(await Fahrtenbuch.exists({ fahrzeug: fahrzeugId }));
+  }
+
+  static async istAbgeschlossen(fahrzeugId, datum) {
+    return Boolean(await FahrtenbuchAbschluss.exists({ fahrzeug: fahrzeugId, monat: monatVon(datum) }));
+  }
+
+  static async pruefeBezuege(werte) {
+    if (werte.fahrer && !await Mitarbeiter.exists({ _id: werte.fahrer })) {
+      throw createNotFoundError('Mitarbeiter');
+    }
+  }
+
+  // Kilometerstand des Fahrzeugs nachführen (nur nach oben)
+  static async aktualisiereKilometerstand(fahrzeug, wirksam) {
+    const hoechster = Math.max(0, ...wirksam.map(eintrag => kmBereich(eintrag)[1]));
+    if (hoechster > (fahrzeug.kilometerstand || 0)) {
+      fahrzeug.kilometerstand = hoechster;
+      await fahrzeug.save();
+    }
+  }
+
+  /**
+   * Record a trip or a fuel purchase
+   * @param {String} fahrzeugId - Fahrzeug ID
+   * @param {String} typ - 'fahrt' or 'tankung'
+   * @param {Object} daten - Entry values
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Created entry
+   */
+  static async buchen(fahrzeugId, typ, daten, user) {
+    const fahrzeug = await Fahrzeug.findById(fahrzeugId);
+    if (!fahrzeug) {
+      throw createNotFoundError('Fahrzeug');
+    }
+    if (await this.istAbgeschlossen(fahrzeugId, daten.datum)) {
+      throw new AppError(
+        `Der Monat ${monatVon(daten.datum)} ist abgeschlossen. Änderungen sind nur noch über einen Korrektureintrag möglich`,
+        409
+      );
+    }
+
+    const werte = { typ, art: 'buchung' };
+    WERTE[typ].forEach(feld => {
+      if (daten[feld] !== undefined) werte[feld] = daten[feld];
+    });
+    if (typ === 'tankung' && werte.betrag === undefined && werte.liter && werte.preisProLiter) {
+      werte.betrag = runden(werte.liter * werte.preisProLiter);
+    }
+    await this.pruefeBezuege(werte);
+
+    const wirksam = this.wirksameEintraege(await this.laden(fahrzeugId));
+    const fehler = this.pruefeKilometer(wirksam, werte, null, fahrzeug.kilometerstand);
+    if (fehler) {
+      throw new AppError(fehler, 400);
+    }
+
+    const eintrag = await this.anhaengen(fahrzeugId, werte, user);
+    await this.aktualisiereKilometerstand(fahrzeug, [...wirksam, eintrag]);
+    return eintrag;
+  }
+
+  /**
+   * Correct or cancel a booking by a counter-entry
+   * @param {String} fahrzeugId - Fahrzeug ID
+   * @param {String} eintragId - Booking (or an earlier correction of it)
+   * @param {Object} daten - Changed values, { storno, begruendung }
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Created correction
+   */
+  static async korrigieren(fahrzeugId, eintragId, daten, user) {
+    const eintraege = await this.laden(fahrzeugId);
+    const gewaehlt = eintraege.find(eintrag => String(eintrag._id) === String(eintragId));
+    if (!gewaehlt) {
+      throw createNotFoundError('Fahrtenbucheintrag');
+    }
+    const buchung = gewaehlt.art === 'korrektur'
+      ? eintraege.find(eintrag => String(eintrag._id) === String(gewaehlt.korrigiert))
+      : gewaehlt;
+
+    const wirksam = this.wirksameEintraege(eintraege);
+    const aktuell = wirksam.find(eintrag => String(eintrag._id) === String(buchung._id));
+    if (!aktuell) {
+      throw new AppError('Der Eintrag ist bereits storniert', 400);
+    }
+
+    const neuerMonat = daten.datum ? monatVon(daten.datum) : monatVon(aktuell.datum);
+    const abgeschlossen = await this.istAbgeschlossen(fahrzeugId, aktuell.datum)
+      || await this.istAbgeschlossen(fahrzeugId, daten.datum || aktuell.datum);
+    if (abgeschlossen && !daten.begruendung) {
+      throw new AppError(`Für Korrekturen im abgeschlossenen Monat ${neuerMonat} ist eine Begründung erforderlich`, 400);
+    }
+
+    const werte = {
+      typ: buchung.typ,
+      art: 'korrektur',
+      korrigiert: buchung._id,
+      storno: Boolean(daten.storno),
+      begruendung: daten.begruendung
+    };
+    WERTE[buchung.typ].forEach(feld => {
+      werte[feld] = daten[feld] !== undefined ? daten[feld] : aktuell[feld];
+    });
+
+    if (!werte.storno) {
+      await this.pruefeBezuege(werte);
+      const fehler = this.pruefeKilometer(wirksam, werte, buchung._id);
+      if (fehler) {
+        throw new AppError(fehler, 400);
+      }
+    }
+
+    return this.anhaengen(fahrzeugId, werte, user);
+  }
+
+  /**
+   * Close a month: no further bookings dated in it, the current chain head is recorded
+   * @param {String} fahrzeugId - Fahrzeug ID
+   * @param {String} monat - YYYY-MM
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Created closing
+   */
+  static async monatAbschliessen(fahrzeugId, monat, user) {
+    if (!await Fahrzeug.exists({ _id: fahrzeugId })) {
+      throw createNotFoundError('Fahrzeug');
+    }
+    if (monat >= monatVon(new Date())) {
+      throw new AppError('Nur vergangene Monate können abgeschlossen werden', 400);
+    }
+    if (await FahrtenbuchAbschluss.exists({ fahrzeug: fahrzeugId, monat })) {
+      throw new AppError(`Der Monat ${monat} ist bereits abgeschlossen`, 409);
+    }
+
+    const eintraege = await this.laden(fahrzeugId);
+    const kette = this.pruefeKette(eintraege, await FahrtenbuchAbschluss.find({ fahrzeug: fahrzeugId }));
+    if (!kette.gueltig) {
+      throw new AppError('Das Fahrtenbuch ist nicht unversehrt und kann nicht abgeschlossen werden', 409, kette.fehler);
+    }
+
+    // Monate werden der Reihe nach abgeschlossen
+    const abgeschlossen = new Set((await FahrtenbuchAbschluss.find({ fahrzeug: fahrzeugId }).select('monat')).map(a => a.monat));
+    const offen = [...new Set(eintraege.map(eintrag => monatVon(eintrag.datum)))]
+      .filter(m => m < monat && !abgeschlossen.has(m))
+      .sort();
+    if (offen.length > 0) {
+      throw new AppError(`Zuerst muss der Monat ${offen[0]} abgeschlossen werden`, 400);
+    }
+
+    const wirksam = this.wirksameEintraege(eintraege);
+    const imMonat = wirksam.filter(eintrag => monatVon(eintrag.datum) === monat);
+    const bisMonatsende = wirksam.filter(eintrag => monatVon(eintrag.datum) <= monat);
+    const letzter = eintraege[eintraege.length - 1];
+
+    return FahrtenbuchAbschluss.create({
+      fahrzeug: fahrzeugId,
+      monat,
+      letzteNummer: letzter ? letzter.nummer : 0,
+      letzterHash: letzter ? letzter.hash : START_HASH,
+      kilometerstand: bisMonatsende.length > 0 ? kmBereich(bisMonatsende[bisMonatsende.length - 1])[1] : undefined,
+      kilometer: this.berechneVerbrauch(imMonat).kilometer,
+      abgeschlossenVon: user._id || user.id
+    });
+  }
+
+  /**
+   * Consumption and costs of a vehicle within a period
+   * @returns {Promise<Object>} See berechneVerbrauch
+   */
+  static async verbrauch(fahrzeugId, von, bis) {
+    const wirksam = this.wirksameEintraege(await this.laden(fahrzeugId))
+      .filter(eintrag => (!von || eintrag.datum >= von) && (!bis || eintrag.datum <= bis));
+    return this.berechneVerbrauch(wirksam);
+  }
+
+  /**
+   * Kilometres and fuel costs per Umzug; costs are allocated by the vehicle's cost per km in the period
+   * @param {Date} von - Period start
+   * @param {Date} bis - Period end
+   * @returns {Promise<Array>} [{ umzug, kilometer, fahrten, kraftstoffkosten, fahrzeuge: [kennzeichen] }]
+   */
+  static async kostenJeUmzug(von, bis) {
+    const eintraege = await Fahrtenbuch.find({ datum: { $gte: von, $lte: bis } })
+      .sort({ fahrzeug: 1, nummer: 1 })
+      .populate('fahrzeug', 'kennzeichen');
+
+    const jeFahrzeug = new Map();
+    eintraege.forEach(eintrag => {
+      const schluessel = String(eintrag.fahrzeug._id);
+      if (!jeFahrzeug.has(schluessel)) jeFahrzeug.set(schluessel, []);
+      jeFahrzeug.get(schluessel).push(eintrag);
+    });
+
+    const jeUmzug = new Map();
+    jeFahrzeug.forEach(liste => {
+      const wirksam = this.wirksameEintraege(liste);
+      const { kostenProKm } = this.berechneVerbrauch(wirksam);
+      wirksam
+        .filter(eintrag => eintrag.typ === 'fahrt' && eintrag.umzug)
+        .forEach(fahrt => {
+          const schluessel = String(fahrt.umzug);
+          const summe = jeUmzug.get(schluessel) || { umzug: fahrt.umzug, kilometer: 0, fahrten: 0, kraftstoffkosten: 0, fahrzeuge: [] };
+          const km = fahrt.kmEnde - fahrt.kmStart;
+          summe.kilometer += km;
+          summe.fahrten += 1;
+          summe.kraftstoffkosten = runden(summe.kraftstoffkosten + km * (kostenProKm || 0));
+          if (!summe.fahrzeuge.includes(fahrt.fahrzeug.kennzeichen)) {
+            summe.fahrzeuge.push(fahrt.fahrzeug.kennzeichen);
+          }
+          jeUmzug.set(schluessel, summe);
+        });
+    });
+
+    const umzuege = await Umzug.find({ _id: { $in: [...jeUmzug.keys()] } }).select('kundennummer auftraggeber.name startDatum');
+    umzuege.forEach(umzug => {
+      jeUmzug.get(String(umzug._id)).umzug = umzug;
+    });
+
+    return [...jeUmzug.values()].sort((a, b) => b.kraftstoffkosten - a.kraftstoffkosten);
+  }
+}
+
+FahrtenbuchService.START_HASH = START_HASH;
+
+module.exports = FahrtenbuchService;
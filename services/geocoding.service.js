@@ -0,0 +1,108 @@
+/**
+ * geocoding.service.js - Koordinaten für Adressen und Entfernungen
+ * Nutzt die Suche von Nominatim (OpenStreetMap) oder einen kompatiblen Dienst (GEOCODING_URL);
+ * ohne GEOCODING_URL ist die Geokodierung abgeschaltet.
+ * Fehler des Dienstes werden nicht geworfen, sondern als fehlende Koordinaten gemeldet.
+ */
+
+const https = require('https');
+const http = require('http');
+const stempeluhrConfig = require('../config/stempeluhr.config');
+
+const ERDRADIUS_METER = 6371000;
+
+const bogenmass = (grad) => grad * Math.PI / 180;
+
+class GeocodingService {
+  /**
+   * Great-circle distance between two points (haversine formula)
+   * @param {Object} a - { lat, lng }
+   * @param {Object} b - { lat, lng }
+   * @returns {Number} Distance in metres
+   */
+  static entfernung(a, b) {
+    const dLat = bogenmass(b.lat - a.lat);
+    const dLng = bogenmass(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2
+      + Math.cos(bogenmass(a.lat)) * Math.cos(bogenmass(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * ERDRADIUS_METER * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  /**
+   * Query parameters for a structured address search
+   * @param {Object} adresse - { strasse, hausnummer, plz, ort, land }
+   * @returns {URLSearchParams}
+   */
+  static suchparameter(adresse) {
+    return new URLSearchParams({
+      street: [adresse.hausnummer, adresse.strasse].filter(Boolean).join(' '),
+      postalcode: adresse.plz || '',
+      city: adresse.ort || '',
+      country: adresse.land || 'Deutschland',
+      format: 'json',
+      limit: '1'
+    });
+  }
+
+  /**
+   * Fetch JSON from the geocoding service
+   * @param {URL} url - Request URL
+   * @param {Object} config - Geocoding configuration
+   * @returns {Promise<*>}
+   */
+  static abrufen(url, config) {
+    const client = url.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const req = client.get(url, {
+        headers: { 'User-Agent': config.userAgent, 'Accept-Language': 'de' },
+        timeout: config.timeoutMs
+      }, (res) => {
+        let antwort = '';
+        res.setEncoding('utf8');
+        res.on('data', teil => { antwort += teil; });
+        res.on('end', () => {
+          if (res.statusCode >= 300) {
+            return reject(new Error(`Geokodierung fehlgeschlagen (${res.statusCode})`));
+          }
+          try {
+            resolve(JSON.parse(antwort));
+          } catch (error) {
+            reject(error);
+          }
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error('Zeitüberschreitung bei der Geokodierung')));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Geocode an address
+   * @param {Object} adresse - { strasse, hausnummer, plz, ort, land }
+   * @param {Object} config - Geocoding configuration
+   * @returns {Promise<Object|null>} { lat, lng } or null if geocoding is disabled, the address was not found or the service failed
+   */
+  static async geokodieren(adresse, config = stempeluhrConfig.geocoding) {
+    if (!config.url || !adresse || !adresse.ort) {
+      return null;
+    }
+
+    const url = new URL(config.url);
+    this.suchparameter(adresse).forEach((wert, schluessel) => url.searchParams.set(schluessel, wert));
+
+    try {
+      const [treffer] = await this.abrufen(url, config);
+      if (!treffer) {
+        return null;
+      }
+      return { lat: parseFloat(treffer.lat), lng: parseFloat(treffer.lon) };
+    } catch (error) {
+      console.warn(`Geokodierung von ${adresse.plz} ${adresse.ort} fehlgeschlagen: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = GeocodingService;
@@ -0,0 +1,256 @@
+/**
+ * mahnwesen.service.js - Mahnlauf für überfällige Rechnungen
+ * Eskaliert offene Rechnungen über die konfigurierten Mahnstufen
+ * (Zahlungserinnerung → 1. Mahnung → 2. Mahnung → Inkasso-Übergabe),
+ * berechnet Gebühren und Verzugszinsen nach §288 BGB und erzeugt je Stufe ein Schreiben.
+ */
+
+const Rechnung = require('../models/rechnung.model');
+const User = require('../models/user');
+const Benachrichtigung = require('../models/benachrichtigung.model');
+const PdfService = require('./pdf.service');
+const EmailService = require('./email.service');
+const SperreService = require('./sperre.service');
+const mahnwesenConfig = require('../config/mahnwesen.config');
+const { AppError } = require('../utils/error.utils');
+
+const TAG_MS = 24 * 60 * 60 * 1000;
+
+// Höchstdauer eines Mahnlaufs; bricht ein Prozess ab, wird die Sperre danach wieder frei
+const SPERRE_MS = 30 * 60 * 1000;
+
+const runden = (wert) => Math.round((Number(wert) || 0) * 100) / 100;
+
+const addTage = (datum, tage) => new Date(new Date(datum).getTime() + tage * TAG_MS);
+
+// Ganze Kalendertage zwischen zwei Zeitpunkten (Uhrzeit wird ignoriert)
+const tageZwischen = (von, bis) => {
+  const start = Date.UTC(von.getFullYear(), von.getMonth(), von.getDate());
+  const ende = Date.UTC(bis.getFullYear(), bis.getMonth(), bis.getDate());
+  return Math.max(0, Math.round((ende - start) / TAG_MS));
+};
+
+class MahnwesenService {
+  /**
+   * Verzugszinsen für einen Betrag berechnen (act/365)
+   * @param {Number} betrag - Offener Betrag
+   * @param {Date} faelligkeit - Fälligkeitsdatum; Verzug beginnt am Folgetag
+   * @param {Date} stichtag - Berechnungsstichtag
+   * @param {Object} options - { unternehmer, config }
+   * @returns {Object} - { zinssatz, zinstage, verzugszinsen }
+   */
+  static berechneVerzugszinsen(betrag, faelligkeit, stichtag, options = {}) {
+    const { unternehmer = false, config = mahnwesenConfig } = options;
+    const { basiszinssatz, aufschlagUnternehmer, aufschlagVerbraucher } = config.verzugszinsen;
+
+    // Der Basiszinssatz kann negativ sein, der Verzugszins aber nicht
+    const zinssatz = Math.max(0, basiszinssatz + (unternehmer ? aufschlagUnternehmer : aufschlagVerbraucher));
+    const zinstage = tageZwischen(new Date(faelligkeit), new Date(stichtag));
+
+    return {
+      zinssatz: runden(zinssatz),
+      zinstage,
+      verzugszinsen: runden(betrag * (zinssatz / 100) * (zinstage / 365))
+    };
+  }
+
+  /**
+   * Nächste fällige Mahnstufe einer Rechnung ermitteln
+   * @param {Object} rechnung - Rechnung
+   * @param {Date} stichtag - Stichtag des Mahnlaufs
+   * @param {Object} config - Mahnwesen-Konfiguration
+   * @returns {Object|null} - Stufen-Konfiguration oder null, wenn (noch) nichts zu tun ist
+   */
+  static naechsteStufe(rechnung, stichtag = new Date(), config = mahnwesenConfig) {
+    const aktuelleStufe = rechnung.mahnstufe || 0;
+    const stufe = config.stufen.find(s => s.stufe === aktuelleStufe + 1);
+    if (!stufe || !rechnung.faelligkeitsdatum) {
+      return null;
+    }
+
+    // Wartezeit ab Fälligkeit bzw. ab Ablauf der Zahlungsfrist der letzten Mahnung
+    const letzteMahnung = [...(rechnung.zahlungserinnerungen || [])]
+      .reverse()
+      .find(mahnung => mahnung.mahnstufe === aktuelleStufe);
+    const bezugsdatum = aktuelleStufe === 0 || !letzteMahnung
+      ? rechnung.faelligkeitsdatum
+      : letzteMahnung.zahlungsfrist || letzteMahnung.datum;
+
+    return tageZwischen(new Date(bezugsdatum), stichtag) >= stufe.wartetage ? stufe : null;
+  }
+
+  /**
+   * Forderung einer Mahnstufe berechnen
+   * @param {Object} rechnung - Rechnung (kunde populated für die Unterscheidung Firma/Privat)
+   * @param {Object} stufe - Stufen-Konfiguration
+   * @param {Date} stichtag - Stichtag des Mahnlaufs
+   * @param {Object} config - Mahnwesen-Konfiguration
+   * @returns {Object} - Eintrag für rechnung.zahlungserinnerungen
+   */
+  static berechneMahnung(rechnung, stufe, stichtag = new Date(), config = mahnwesenConfig) {
+    const unternehmer = Boolean(rechnung.kunde && rechnung.kunde.type === 'Firma');
+    // Teilzahlungen mindern die Forderung und die Zinsbasis
+    const offenerBetrag = runden(Rechnung.offenerBetrag(rechnung));
+    const bisherigeMahnungen = (rechnung.zahlungserinnerungen || []).filter(mahnung => mahnung.mahnstufe);
+    const bisherigeGebuehren = runden(bisherigeMahnungen.reduce(
+      (summe, mahnung) => summe + (mahnung.mahngebuehr || 0) + (mahnung.verzugspauschale || 0),
+      0
+    ));
+
+    // Die Zahlungserinnerung ist ein freundlicher Hinweis - Zinsen und Pauschale erst ab der 1. Mahnung
+    const zinsen = stufe.stufe > 1
+      ? this.berechneVerzugszinsen(offenerBetrag, rechnung.faelligkeitsdatum, stichtag, { unternehmer, config })
+      : { zinssatz: 0, zinstage: 0, verzugszinsen: 0 };
+    const pauschaleBereitsBerechnet = bisherigeMahnungen.some(mahnung => mahnung.verzugspauschale > 0);
+    const verzugspauschale = unternehmer && stufe.stufe > 1 && !pauschaleBereitsBerechnet
+      ? config.verzugszinsen.pauschaleUnternehmer
+      : 0;
+
+    return {
+      datum: stichtag,
+      mahnstufe: stufe.stufe,
+      bezeichnung: stufe.bezeichnung,
+      notiz: `${stufe.bezeichnung} (Mahnlauf)`,
+      offenerBetrag,
+      bisherigeGebuehren,
+      mahngebuehr: stufe.gebuehr,
+      verzugspauschale,
+      ...zinsen,
+      forderungGesamt: runden(offenerBetrag + bisherigeGebuehren + stufe.gebuehr + verzugspauschale + zinsen.verzugszinsen),
+      zahlungsfrist: stufe.zahlungsfristTage > 0 ? addTage(stichtag, stufe.zahlungsfristTage) : undefined
+    };
+  }
+
+  /**
+   * Mahnschreiben per E-Mail an den Kunden senden
+   * @param {Object} rechnung - Rechnung (kunde populated)
+   * @param {Object} mahnung - Mahnungseintrag
+   * @param {Buffer} pdf - Gerendertes Schreiben
+   * @returns {Promise<Boolean>} - True, wenn versendet wurde
+   */
+  static async versendeMahnung(rechnung, mahnung, pdf) {
+    const email = rechnung.kunde && rechnung.kunde.email;
+    if (!email) {
+      return false;
+    }
+
+    await EmailService.sendEmail({
+      to: email,
+      subject: `${mahnung.bezeichnung} zu Rechnung ${rechnung.rechnungNummer}`,
+      text: `Sehr geehrte Damen und Herren,\n\nim Anhang erhalten Sie unsere ${mahnung.bezeichnung} ` +
+        `zu Rechnung ${rechnung.rechnungNummer}.\n\nMit freundlichen Grüßen\n${process.env.EMAIL_FROM_NAME || 'Hummert Umzug'}`,
+      attachments: [{
+        filename: `${mahnung.bezeichnung.replace(/[^\wäöüÄÖÜß-]+/g, '_')}_${rechnung.rechnungNummer}.pdf`,
+        content: pdf,
+        contentType: 'application/pdf'
+      }],
+      priority: mahnung.mahnstufe >= 3 ? 'high' : 'normal'
+    });
+    return true;
+  }
+
+  /**
+   * Mahnlauf ausführen
+   * Ein echter Lauf hält eine Sperre in MongoDB, damit sich geplante und manuelle Läufe
+   * verschiedener Prozesse nicht überschneiden; Probeläufe (dryRun) ändern nichts und laufen ohne Sperre.
+   * @param {Object} options - { dryRun, stichtag, userId, config }
+   * @returns {Promise<Object>} - Ergebnis mit allen (geplanten) Mahnungen
+   */
+  static async mahnlauf(options = {}) {
+    const { dryRun = false, userId = null, config = mahnwesenConfig } = options;
+    const stichtag = options.stichtag ? new Date(options.stichtag) : new Date();
+
+    const sperre = dryRun ? null : await SperreService.erwerben('mahnlauf', SPERRE_MS);
+    if (!dryRun && !sperre) {
+      throw new AppError('Es läuft bereits ein Mahnlauf', 409);
+    }
+
+    try {
+      const rechnungen = await Rechnung.findUeberfaellig(stichtag);
+      const mahnungen = [];
+      const fehler = [];
+
+      for (const rechnung of rechnungen) {
+        const stufe = this.naechsteStufe(rechnung, stichtag, config);
+        if (!stufe || Rechnung.offenerBetrag(rechnung) <= 0) continue;
+
+        const mahnung = this.berechneMahnung(rechnung, stufe, stichtag, config);
+        const eintrag = {
+          rechnungId: rechnung._id,
+          rechnungNummer: rechnung.rechnungNummer,
+          kunde: rechnung.kunde ? { id: rechnung.kunde._id, name: rechnung.kunde.name, email: rechnung.kunde.email } : null,
+          faelligkeitsdatum: rechnung.faelligkeitsdatum,
+          ...mahnung,
+          versand: config.emailVersand && rechnung.kunde && rechnung.kunde.email ? 'E-Mail' : 'Post'
+        };
+
+        if (dryRun) {
+          mahnungen.push(eintrag);
+          continue;
+        }
+
+        try {
+          // null: die Rechnung wurde inzwischen anderweitig gemahnt, es wird nichts versendet
+          if (!await rechnung.mahnungErstellen({ ...mahnung, erstelltVon: userId })) continue;
+          const gespeichert = rechnung.zahlungserinnerungen[rechnung.zahlungserinnerungen.length - 1];
+
+          if (config.emailVersand) {
+            const pdf = await PdfService.renderMahnung(rechnung, gespeichert);
+            if (await this.versendeMahnung(rechnung, gespeichert, pdf)) {
+              gespeichert.versendetAm = new Date();
+              await rechnung.save();
+            }
+          }
+
+          mahnungen.push({ ...eintrag, versendetAm: gespeichert.versendetAm });
+        } catch (error) {
+          console.error(`Mahnlauf: Fehler bei Rechnung ${rechnung.rechnungNummer}:`, error);
+          fehler.push({ rechnungId: rechnung._id, rechnungNummer: rechnung.rechnungNummer, fehler: error.message });
+        }
+      }
+
+      if (!dryRun && mahnungen.length > 0) {
+        await this.benachrichtigeBuchhaltung(mahnungen, userId);
+      }
+
+      return {
+        stichtag,
+        dryRun,
+        anzahl: mahnungen.length,
+        summeForderungen: runden(mahnungen.reduce((summe, mahnung) => summe + mahnung.forderungGesamt, 0)),
+        mahnungen,
+        fehler
+      };
+    } finally {
+      if (sperre) {
+        await SperreService.freigeben('mahnlauf', sperre);
+      }
+    }
+  }
+
+  /**
+   * Administratoren über das Ergebnis eines Mahnlaufs informieren
+   * @param {Array} mahnungen - Erstellte Mahnungen
+   * @param {String} userId - Auslösender Benutzer (null bei automatischem Lauf)
+   */
+  static async benachrichtigeBuchhaltung(mahnungen, userId) {
+    const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+    const inkasso = mahnungen.filter(mahnung => mahnung.mahnstufe === 4);
+
+    const inhalt = `Der Mahnlauf hat ${mahnungen.length} Schreiben erstellt.` +
+      (inkasso.length > 0
+        ? ` Zur Inkasso-Übergabe: ${inkasso.map(mahnung => mahnung.rechnungNummer).join(', ')}.`
+        : '');
+
+    await Benachrichtigung.insertMany(admins.map(admin => ({
+      empfaenger: admin._id,
+      titel: 'Mahnlauf abgeschlossen',
+      inhalt,
+      typ: inkasso.length > 0 ? 'warnung' : 'info',
+      bezug: { typ: 'system' },
+      erstelltVon: userId || undefined
+    })));
+  }
+}
+
+module.exports = MahnwesenService;
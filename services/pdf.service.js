@@ -0,0 +1,903 @@
+/**
+ * pdf.service.js - Service for generating PDF documents
+ * Provides the shared page layout (letterhead, footer) and renderers for
+ * invoices, dunning letters and move sheets
+ */
+
+const PDFDocument = require('pdfkit');
+const companyConfig = require('../config/company.config');
+const { AppError } = require('../utils/error.utils');
+
+// Layout constants (A4, Maße in Punkt)
+const SEITENRAND = 50;
+const INHALT_BREITE = 495;
+const FUSSZEILE_HOEHE = 70;
+
+const waehrungFormat = new Intl.NumberFormat('de-DE', { style: 'currency', currency: 'EUR' });
+const zahlFormat = new Intl.NumberFormat('de-DE', { maximumFractionDigits: 2 });
+
+/**
+ * Format an amount as Euro currency (de-DE)
+ * @param {Number} betrag - Amount
+ * @returns {String} - Formatted amount
+ */
+const formatBetrag = (betrag) => waehrungFormat.format(Number(betrag) || 0);
+
+/**
+ * Format a date as DD.MM.YYYY
+ * @param {Date|String} datum - Date
+ * @returns {String} - Formatted date or empty string
+ */
+const formatDatum = (datum) => {
+  if (!datum) return '';
+  return new Date(datum).toLocaleDateString('de-DE', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric'
+  });
+};
+
+// Rundung auf Cent
+const runden = (wert) => Math.round((Number(wert) || 0) * 100) / 100;
+
+class PdfService {
+  /**
+   * Create a new A4 document with buffered pages (needed for page footers)
+   * @param {Object} info - PDF metadata (Title, Subject, ...)
+   * @param {Object} options - { pdfA: Boolean } create a PDF/A-3b document (requires embeddable fonts)
+   * @returns {PDFDocument} - pdfkit document
+   * @throws {AppError} - 500 if a PDF/A document is requested without PDF_SCHRIFT/PDF_SCHRIFT_FETT
+   */
+  static createDocument(info = {}, options = {}) {
+    const { normal, fett } = companyConfig.schriften;
+    const pdfA = Boolean(options.pdfA);
+    // PDF/A verlangt eingebettete Schriften; ohne sie entstünde eine ungültige ZUGFeRD-Datei
+    if (pdfA && !(normal && fett)) {
+      throw new AppError('PDF_SCHRIFT und PDF_SCHRIFT_FETT müssen für PDF/A-3 (ZUGFeRD) gesetzt sein', 500);
+    }
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: SEITENRAND,
+      bufferPages: true,
+      ...(pdfA && { subset: 'PDF/A-3b', pdfVersion: '1.7', font: normal }),
+      info: {
+        Author: companyConfig.name,
+        Creator: 'Hummert Umzug',
+        ...info
+      }
+    });
+
+    // Eingebettete Schriften unter den Standardnamen registrieren, damit alle Renderer unverändert bleiben
+    if (pdfA) {
+      doc.registerFont('Helvetica', normal);
+      doc.registerFont('Helvetica-Bold', fett);
+    }
+
+    return doc;
+  }
+
+  /**
+   * Embed an e-invoice XML as associated file of a PDF/A-3 document (ZUGFeRD/Factur-X)
+   * and declare it in the XMP metadata
+   * @param {PDFDocument} doc - pdfkit document
+   * @param {Object} eRechnung - { xml, dateiname, konformitaet }
+   */
+  static bettetERechnungEin(doc, eRechnung) {
+    const jetzt = new Date();
+    doc.file(Buffer.from(eRechnung.xml, 'utf8'), {
+      name: eRechnung.dateiname,
+      type: 'text/xml',
+      relationship: 'Alternative',
+      description: 'Rechnungsdaten im Format ZUGFeRD/Factur-X',
+      creationDate: jetzt,
+      modifiedDate: jetzt
+    });
+
+    doc.appendXML(`
+        <rdf:Description rdf:about="" xmlns:fx="urn:factur-x:pdfa:CrossIndustryDocument:invoice:1p0#">
+            <fx:DocumentType>INVOICE</fx:DocumentType>
+            <fx:DocumentFileName>${eRechnung.dateiname}</fx:DocumentFileName>
+            <fx:Version>1.0</fx:Version>
+            <fx:ConformanceLevel>${eRechnung.konformitaet}</fx:ConformanceLevel>
+        </rdf:Description>
+        <rdf:Description rdf:about="" xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/"
+            xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#" xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#">
+            <pdfaExtension:schemas>
+                <rdf:Bag>
+                    <rdf:li rdf:parseType="Resource">
+                        <pdfaSchema:schema>Factur-X PDFA Extension Schema</pdfaSchema:schema>
+                        <pdfaSchema:namespaceURI>urn:factur-x:pdfa:CrossIndustryDocument:invoice:1p0#</pdfaSchema:namespaceURI>
+                        <pdfaSchema:prefix>fx</pdfaSchema:prefix>
+                        <pdfaSchema:property>
+                            <rdf:Seq>
+                                ${['DocumentFileName', 'DocumentType', 'Version', 'ConformanceLevel'].map(name => `
+                                <rdf:li rdf:parseType="Resource">
+                                    <pdfaProperty:name>${name}</pdfaProperty:name>
+                                    <pdfaProperty:valueType>Text</pdfaProperty:valueType>
+                                    <pdfaProperty:category>external</pdfaProperty:category>
+                                    <pdfaProperty:description>${name} der eingebetteten Rechnung</pdfaProperty:description>
+                                </rdf:li>`).join('')}
+                            </rdf:Seq>
+                        </pdfaSchema:property>
+                    </rdf:li>
+                </rdf:Bag>
+            </pdfaExtension:schemas>
+        </rdf:Description>
+        `);
+  }
+
+  /**
+   * Finalize a document and collect its output into a buffer
+   * @param {PDFDocument} doc - pdfkit document
+   * @returns {Promise<Buffer>} - Rendered PDF
+   */
+  static toBuffer(doc) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+      doc.end();
+    });
+  }
+
+  /**
+   * Draw the letterhead with sender line and recipient address field
+   * @param {PDFDocument} doc - pdfkit document
+   * @param {Array<String>} empfaengerZeilen - Recipient address lines
+   */
+  static renderBriefkopf(doc, empfaengerZeilen = []) {
+    const { adresse } = companyConfig;
+
+    doc.font('Helvetica-Bold').fontSize(16)
+      .text(companyConfig.name, SEITENRAND, SEITENRAND, { width: INHALT_BREITE, align: 'right' });
+    doc.font('Helvetica').fontSize(9)
+      .text([adresse.strasse, `${adresse.plz} ${adresse.ort}`.trim()].filter(Boolean).join('\n'), {
+        width: INHALT_BREITE,
+        align: 'right'
+      })
+      .text([companyConfig.kontakt.telefon, companyConfig.kontakt.email].filter(Boolean).join(' | '), {
+        width: INHALT_BREITE,
+        align: 'right'
+      });
+
+    // Absenderzeile und Anschriftfeld (angelehnt an DIN 5008)
+    const absender = [companyConfig.name, adresse.strasse, `${adresse.plz} ${adresse.ort}`.trim()]
+      .filter(Boolean)
+      .join(' · ');
+    doc.fontSize(7).fillColor('#555555').text(absender, SEITENRAND, 130, { width: 250 });
+    doc.fillColor('black').fontSize(10).text(empfaengerZeilen.filter(Boolean).join('\n'), SEITENRAND, 145, {
+      width: 250
+    });
+  }
+
+  /**
+   * Draw footer (company, tax and bank details, page numbers) on every buffered page
+   * @param {PDFDocument} doc - pdfkit document
+   * @param {Object} bankverbindung - Bank details to print
+   */
+  static renderFusszeilen(doc, bankverbindung = companyConfig.bankverbindung) {
+    const { steuer, handelsregister, adresse } = companyConfig;
+    const spalten = [
+      [companyConfig.name, adresse.strasse, `${adresse.plz} ${adresse.ort}`.trim()],
+      [
+        handelsregister.geschaeftsfuehrer && `Geschäftsführer: ${handelsregister.geschaeftsfuehrer}`,
+        handelsregister.nummer && `${handelsregister.gericht} ${handelsregister.nummer}`.trim(),
+        steuer.steuernummer && `Steuernummer: ${steuer.steuernummer}`,
+        steuer.ustId && `USt-IdNr.: ${steuer.ustId}`
+      ],
+      [
+        bankverbindung.bankname,
+        bankverbindung.iban && `IBAN: ${bankverbindung.iban}`,
+        bankverbindung.bic && `BIC: ${bankverbindung.bic}`,
+        bankverbindung.kontoinhaber && `Inhaber: ${bankverbindung.kontoinhaber}`
+      ]
+    ].map(zeilen => zeilen.filter(Boolean).join('\n'));
+
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+
+      // Unteren Rand aufheben, damit pdfkit beim Schreiben der Fußzeile keine neue Seite anlegt
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+
+      const y = doc.page.height - FUSSZEILE_HOEHE;
+      doc.moveTo(SEITENRAND, y - 8).lineTo(SEITENRAND + INHALT_BREITE, y - 8).strokeColor('#999999').stroke();
+      doc.font('Helvetica').fontSize(7).fillColor('#555555');
+
+      const spaltenBreite = INHALT_BREITE / spalten.length;
+      spalten.forEach((text, index) => {
+        doc.text(text, SEITENRAND + index * spaltenBreite, y, { width: spaltenBreite - 10 });
+      });
+      doc.text(`Seite ${i - range.start + 1} von ${range.count}`, SEITENRAND, doc.page.height - 20, {
+        width: INHALT_BREITE,
+        align: 'right'
+      });
+
+      doc.fillColor('black').strokeColor('black');
+      doc.page.margins.bottom = bottomMargin;
+    }
+  }
+
+  /**
+   * Normalize an invoice into positions, tax groups and totals.
+   * Works with both the classic (gesamtpreis + mehrwertsteuer) and the
+   * extended (gesamtpreisNetto + steuersatz per position) Rechnung schema.
+   * @param {Object} rechnung - Rechnung document or plain object
+   * @returns {Object} - { positionen, steuersaetze, nettosumme, rabatt, steuerbetrag, gesamtbetrag }
+   */
+  static normalisiereRechnung(rechnung) {
+    const standardSatz = rechnung.mehrwertsteuer !== undefined ? rechnung.mehrwertsteuer : 19;
+
+    const positionen = (rechnung.positionsliste || []).map((pos, index) => {
+      const menge = Number(pos.menge) || 0;
+      const einzelpreis = Number(pos.einzelpreis) || 0;
+      let netto = pos.gesamtpreisNetto !== undefined ? pos.gesamtpreisNetto : pos.gesamtpreis;
+      if (netto === undefined || netto === null) {
+        netto = menge * einzelpreis;
+      }
+
+      return {
+        position: pos.position || index + 1,
+        bezeichnung: pos.bezeichnung,
+        beschreibung: pos.beschreibung,
+        menge,
+        einheit: pos.einheit || 'Stück',
+        einzelpreis,
+        steuersatz: pos.steuersatz !== undefined && pos.steuersatz !== null ? pos.steuersatz : standardSatz,
+        netto: runden(netto)
+      };
+    });
+
+    // Steueraufschlüsselung: gespeicherte Werte bevorzugen, sonst aus den Positionen bilden
+    let steuersaetze;
+    if (rechnung.steuersaetze && rechnung.steuersaetze.length > 0) {
+      steuersaetze = rechnung.steuersaetze.map(gruppe => ({
+        satz: gruppe.satz,
+        nettobetrag: runden(gruppe.nettobetrag),
+        steuerbetrag: runden(gruppe.steuerbetrag)
+      }));
+    } else {
+      const gruppen = new Map();
+      positionen.forEach(pos => {
+        const gruppe = gruppen.get(pos.steuersatz) || { nettobetrag: 0, steuerbetrag: 0 };
+        gruppe.nettobetrag += pos.netto;
+        gruppe.steuerbetrag += pos.netto * (pos.steuersatz / 100);
+        gruppen.set(pos.steuersatz, gruppe);
+      });
+      steuersaetze = Array.from(gruppen.entries()).map(([satz, werte]) => ({
+        satz,
+        nettobetrag: runden(werte.nettobetrag),
+        steuerbetrag: runden(werte.steuerbetrag)
+      }));
+    }
+    steuersaetze.sort((a, b) => b.satz - a.satz);
+
+    const preisgestaltung = rechnung.preisgestaltung || {};
+    const nettosumme = runden(preisgestaltung.nettosumme || positionen.reduce((sum, pos) => sum + pos.netto, 0));
+    const rabatt = runden(preisgestaltung.rabatt ? preisgestaltung.rabatt.betrag : 0);
+    const steuerbetrag = runden(steuersaetze.reduce((sum, gruppe) => sum + gruppe.steuerbetrag, 0));
+    const gesamtbetrag = runden(
+      preisgestaltung.gesamtbetrag || rechnung.gesamtbetrag || nettosumme - rabatt + steuerbetrag
+    );
+
+    return { positionen, steuersaetze, nettosumme, rabatt, steuerbetrag, gesamtbetrag };
+  }
+
+  /**
+   * Build the recipient address lines of an invoice
+   * @param {Object} rechnung - Rechnung with (ideally populated) kunde
+   * @returns {Array<String>} - Address lines
+   */
+  static empfaengerZeilen(rechnung) {
+    const kunde = rechnung.kunde && rechnung.kunde.name ? rechnung.kunde : null;
+    const empfaenger = rechnung.versanddetails && rechnung.versanddetails.empfaenger;
+
+    if (kunde) {
+      const adresse = kunde.address || {};
+      return [
+        kunde.name,
+        kunde.contactPerson && `z. Hd. ${kunde.contactPerson}`,
+        adresse.street,
+        [adresse.zipCode, adresse.city].filter(Boolean).join(' '),
+        adresse.country && adresse.country !== 'Deutschland' ? adresse.country : null
+      ];
+    }
+
+    if (empfaenger && empfaenger.adresse) {
+      return [
+        rechnung.ansprechpartner && rechnung.ansprechpartner.name,
+        empfaenger.adresse.strasse,
+        [empfaenger.adresse.plz, empfaenger.adresse.ort].filter(Boolean).join(' ')
+      ];
+    }
+
+    return [];
+  }
+
+  /**
+   * Render an invoice as PDF with all mandatory details according to §14 UStG
+   * @param {Object} rechnung - Rechnung document (kunde and umzug populated if available)
+   * @param {Object} options - { eRechnung: { xml, dateiname, konformitaet } } embed an e-invoice (PDF/A-3)
+   * @returns {Promise<Buffer>} - Rendered PDF
+   */
+  static async renderRechnung(rechnung, options = {}) {
+    const titel = rechnung.rechnungsart && rechnung.rechnungsart !== 'Rechnung'
+      ? rechnung.rechnungsart
+      : 'Rechnung';
+    const doc = this.createDocument({
+      Title: `${titel} ${rechnung.rechnungNummer}`,
+      Subject: titel
+    }, { pdfA: Boolean(options.eRechnung) });
+    if (options.eRechnung) {
+      this.bettetERechnungEin(doc, options.eRechnung);
+    }
+    const summen = this.normalisiereRechnung(rechnung);
+    const bankverbindung = rechnung.bankverbindung && rechnung.bankverbindung.iban
+      ? rechnung.bankverbindung
+      : companyConfig.bankverbindung;
+
+    this.renderBriefkopf(doc, this.empfaengerZeilen(rechnung));
+
+    // Rechnungsdaten rechts neben dem Anschriftfeld
+    const leistungszeitraum = this.leistungszeitraumText(rechnung);
+    const kopfdaten = [
+      ['Rechnungsnummer', rechnung.rechnungNummer],
+      ['Rechnungsdatum', formatDatum(rechnung.ausstellungsdatum)],
+      ['Leistungszeitraum', leistungszeitraum],
+      ['Fällig am', formatDatum(rechnung.faelligkeitsdatum)]
+    ];
+    let y = 145;
+    kopfdaten.forEach(([label, wert]) => {
+      doc.font('Helvetica').fontSize(9).text(label, 340, y, { width: 90 });
+      doc.font('Helvetica-Bold').text(wert || '-', 430, y, { width: 115, align: 'right' });
+      y += 14;
+    });
+
+    doc.font('Helvetica-Bold').fontSize(14).text(`${titel} ${rechnung.rechnungNummer}`, SEITENRAND, 250);
+    doc.moveDown(0.5);
+
+    this.renderPositionstabelle(doc, summen.positionen);
+    this.renderSummenblock(doc, summen);
+
+    // Zahlungsbedingungen und Hinweise
+    const zahlungstext = rechnung.zahlungsbedingungen ||
+      `Bitte überweisen Sie den Rechnungsbetrag ohne Abzug bis zum ${formatDatum(rechnung.faelligkeitsdatum)}.`;
+    this.sicherePlatz(doc, 80);
+    doc.moveDown(1.5);
+    doc.font('Helvetica-Bold').fontSize(10).text('Zahlungsbedingungen', SEITENRAND, doc.y);
+    doc.font('Helvetica').fontSize(9)
+      .text(zahlungstext, { width: INHALT_BREITE })
+      .text(`Fällig am: ${formatDatum(rechnung.faelligkeitsdatum)} · Verwendungszweck: ${rechnung.rechnungNummer}`, {
+        width: INHALT_BREITE
+      });
+
+    if (bankverbindung.iban) {
+      doc.text(
+        `Bankverbindung: ${bankverbindung.kontoinhaber || companyConfig.name}, IBAN ${bankverbindung.iban}` +
+          (bankverbindung.bic ? `, BIC ${bankverbindung.bic}` : '') +
+          (bankverbindung.bankname ? ` (${bankverbindung.bankname})` : ''),
+        { width: INHALT_BREITE }
+      );
+    }
+
+    if (summen.steuersaetze.some(gruppe => gruppe.satz === 0)) {
+      doc.moveDown(0.5).text(
+        'Hinweis: Positionen mit 0 % USt sind steuerfreie bzw. nicht steuerbare Leistungen.',
+        { width: INHALT_BREITE }
+      );
+    }
+
+    if (rechnung.notizen) {
+      doc.moveDown(0.5).text(rechnung.notizen, { width: INHALT_BREITE });
+    }
+
+    this.renderFusszeilen(doc, bankverbindung);
+    return this.toBuffer(doc);
+  }
+
+  /**
+   * Describe the service period of an invoice (§14 Abs. 4 Nr. 6 UStG)
+   * @param {Object} rechnung - Rechnung
+   * @returns {String} - Period text
+   */
+  static leistungszeitraumText(rechnung) {
+    let von = rechnung.leistungszeitraum && rechnung.leistungszeitraum.von;
+    let bis = rechnung.leistungszeitraum && rechnung.leistungszeitraum.bis;
+
+    // Fallback: Zeitraum des verknüpften Umzugs
+    if (!von && rechnung.umzug && rechnung.umzug.startDatum) {
+      von = rechnung.umzug.startDatum;
+      bis = rechnung.umzug.endDatum;
+    }
+
+    // Ohne Angabe entspricht das Leistungsdatum dem Rechnungsdatum
+    if (!von) {
+      return formatDatum(rechnung.ausstellungsdatum);
+    }
+    if (!bis || formatDatum(von) === formatDatum(bis)) {
+      return formatDatum(von);
+    }
+    return `${formatDatum(von)} - ${formatDatum(bis)}`;
+  }
+
+  /**
+   * Add a page break if fewer than `hoehe` points are left above the footer
+   * @param {PDFDocument} doc - pdfkit document
+   * @param {Number} hoehe - Required height
+   * @returns {Boolean} - True if a new page was added
+   */
+  static sicherePlatz(doc, hoehe) {
+    if (doc.y + hoehe > doc.page.height - SEITENRAND - FUSSZEILE_HOEHE) {
+      doc.addPage();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Draw the position table with per-line tax rate
+   * @param {PDFDocument} doc - pdfkit document
+   * @param {Array} positionen - Normalized positions
+   */
+  static renderPositionstabelle(doc, positionen) {
+    const spalten = [
+      { key: 'position', titel: 'Pos.', x: 50, breite: 25 },
+      { key: 'bezeichnung', titel: 'Bezeichnung', x: 75, breite: 185 },
+      { key: 'menge', titel: 'Menge', x: 260, breite: 45, align: 'right' },
+      { key: 'einheit', titel: 'Einheit', x: 312, breite: 48 },
+      { key: 'einzelpreis', titel: 'Einzelpreis', x: 360, breite: 65, align: 'right' },
+      { key: 'steuersatz', titel: 'USt', x: 428, breite: 32, align: 'right' },
+      { key: 'netto', titel: 'Netto', x: 465, breite: 80, align: 'right' }
+    ];
+
+    const kopfzeile = () => {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(9);
+      spalten.forEach(spalte => {
+        doc.text(spalte.titel, spalte.x, y, { width: spalte.breite, align: spalte.align || 'left' });
+      });
+      doc.moveTo(SEITENRAND, y + 13).lineTo(SEITENRAND + INHALT_BREITE, y + 13).stroke();
+      doc.y = y + 18;
+    };
+
+    kopfzeile();
+    doc.font('Helvetica').fontSize(9);
+
+    positionen.forEach(pos => {
+      const beschreibung = pos.beschreibung ? `${pos.bezeichnung}\n${pos.beschreibung}` : pos.bezeichnung;
+      const zeilenHoehe = Math.max(doc.heightOfString(beschreibung || '', { width: 185 }), 12) + 4;
+
+      if (this.sicherePlatz(doc, zeilenHoehe)) {
+        kopfzeile();
+        doc.font('Helvetica').fontSize(9);
+      }
+
+      const y = doc.y;
+      const werte = {
+        position: String(pos.position),
+        bezeichnung: beschreibung,
+        menge: zahlFormat.format(pos.menge),
+        einheit: pos.einheit,
+        einzelpreis: formatBetrag(pos.einzelpreis),
+        steuersatz: `${pos.steuersatz} %`,
+        netto: formatBetrag(pos.netto)
+      };
+      spalten.forEach(spalte => {
+        doc.text(werte[spalte.key] || '', spalte.x, y, { width: spalte.breite, align: spalte.align || 'left' });
+      });
+      doc.y = y + zeilenHoehe;
+    });
+
+    doc.moveTo(SEITENRAND, doc.y).lineTo(SEITENRAND + INHALT_BREITE, doc.y).stroke();
+  }
+
+  /**
+   * Draw net sum, tax breakdown per rate and gross total
+   * @param {PDFDocument} doc - pdfkit document
+   * @param {Object} summen - Result of normalisiereRechnung
+   */
+  static renderSummenblock(doc, summen) {
+    const zeilen = [['Nettosumme', formatBetrag(summen.nettosumme)]];
+    if (summen.rabatt > 0) {
+      zeilen.push(['Rabatt', `- ${formatBetrag(summen.rabatt)}`]);
+    }
+    summen.steuersaetze.forEach(gruppe => {
+      zeilen.push([
+        `${gruppe.satz} % USt auf ${formatBetrag(gruppe.nettobetrag)}`,
+        formatBetrag(gruppe.steuerbetrag)
+      ]);
+    });
+
+    this.sicherePlatz(doc, (zeilen.length + 2) * 14);
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(9);
+    zeilen.forEach(([label, wert]) => {
+      const y = doc.y;
+      doc.text(label, 300, y, { width: 160 });
+      doc.text(wert, 465, y, { width: 80, align: 'right' });
+      doc.y = y + 14;
+    });
+
+    const y = doc.y + 2;
+    doc.moveTo(300, y).lineTo(SEITENRAND + INHALT_BREITE, y).stroke();
+    doc.font('Helvetica-Bold').fontSize(10);
+    doc.text('Gesamtbetrag', 300, y + 5, { width: 160 });
+    doc.text(formatBetrag(summen.gesamtbetrag), 445, y + 5, { width: 100, align: 'right' });
+    doc.font('Helvetica');
+    doc.x = SEITENRAND;
+  }
+
+  /**
+   * Render a move sheet (Umzugsblatt) for the crew: addresses, access details,
+   * team, vehicles, tasks and extra services - without prices
+   * @param {Object} umzug - Umzug document (mitarbeiter.mitarbeiterId populated if available)
+   * @returns {Promise<Buffer>} - Rendered PDF
+   */
+  static async renderUmzugsblatt(umzug) {
+    const auftragsnummer = umzug.kundennummer || String(umzug._id);
+    const doc = this.createDocument({
+      Title: `Umzugsblatt ${auftragsnummer}`,
+      Subject: 'Umzugsblatt'
+    });
+
+    const abschnitt = (titel) => {
+      this.sicherePlatz(doc, 60);
+      doc.moveDown(0.8);
+      doc.font('Helvetica-Bold').fontSize(11).text(titel, SEITENRAND, doc.y, { width: INHALT_BREITE });
+      doc.moveTo(SEITENRAND, doc.y + 1).lineTo(SEITENRAND + INHALT_BREITE, doc.y + 1).stroke();
+      doc.moveDown(0.3);
+      doc.font('Helvetica').fontSize(9);
+    };
+    const zeile = (text) => {
+      this.sicherePlatz(doc, 14);
+      doc.text(text, SEITENRAND, doc.y, { width: INHALT_BREITE });
+    };
+    const adresseText = (adresse) => {
+      if (!adresse) return ['-'];
+      const zugang = [
+        `Etage: ${adresse.etage || 0}`,
+        `Aufzug: ${adresse.aufzug ? 'ja' : 'nein'}`,
+        `Trageweg: ${adresse.entfernung || 0} m`
+      ].join(' · ');
+      return [
+        `${adresse.strasse || ''} ${adresse.hausnummer || ''}`.trim(),
+        `${adresse.plz || ''} ${adresse.ort || ''}`.trim(),
+        zugang
+      ];
+    };
+
+    doc.font('Helvetica-Bold').fontSize(16).text(`Umzugsblatt ${auftragsnummer}`, SEITENRAND, SEITENRAND);
+    doc.font('Helvetica').fontSize(9).fillColor('#555555')
+      .text(`${companyConfig.name} · erstellt am ${formatDatum(new Date())}`);
+    doc.fillColor('black');
+
+    abschnitt('Auftrag');
+    zeile(`Zeitraum: ${formatDatum(umzug.startDatum)}${umzug.endDatum &&
+      formatDatum(umzug.endDatum) !== formatDatum(umzug.startDatum) ? ` - ${formatDatum(umzug.endDatum)}` : ''}`);
+    zeile(`Status: ${umzug.status || '-'}`);
+
+    abschnitt('Auftraggeber und Kontakte');
+    const kontakte = [umzug.auftraggeber, ...(umzug.kontakte || [])].filter(Boolean);
+    if (kontakte.length === 0) zeile('-');
+    kontakte.forEach(kontakt => {
+      zeile([kontakt.name, kontakt.telefon, kontakt.email].filter(Boolean).join(' · '));
+    });
+
+    // Auszug und Einzug nebeneinander
+    abschnitt('Adressen');
+    const y = doc.y;
+    doc.font('Helvetica-Bold').text('Auszug', SEITENRAND, y, { width: 240 });
+    doc.font('Helvetica').text(adresseText(umzug.auszugsadresse).join('\n'), { width: 240 });
+    const yLinks = doc.y;
+    doc.font('Helvetica-Bold').text('Einzug', SEITENRAND + 255, y, { width: 240 });
+    doc.font('Helvetica').text(adresseText(umzug.einzugsadresse).join('\n'), { width: 240 });
+    doc.y = Math.max(yLinks, doc.y);
+    (umzug.zwischenstopps || []).forEach((stopp, index) => {
+      doc.moveDown(0.3);
+      zeile(`Zwischenstopp ${index + 1}: ${adresseText(stopp).join(', ')}`);
+    });
+
+    abschnitt('Team');
+    const team = umzug.mitarbeiter || [];
+    if (team.length === 0) zeile('Noch kein Team zugewiesen');
+    team.forEach(eintrag => {
+      const ma = eintrag.mitarbeiterId;
+      const name = ma && ma.vorname ? `${ma.vorname} ${ma.nachname}` : String(ma || '-');
+      zeile(`${name} (${eintrag.rolle || 'helfer'})${ma && ma.telefon ? ` · ${ma.telefon}` : ''}`);
+    });
+
+    abschnitt('Fahrzeuge');
+    const fahrzeuge = umzug.fahrzeuge || [];
+    if (fahrzeuge.length === 0) zeile('-');
+    fahrzeuge.forEach(fahrzeug => {
+      zeile([fahrzeug.typ, fahrzeug.kennzeichen].filter(Boolean).join(' · '));
+    });
+
+    if (umzug.extraLeistungen && umzug.extraLeistungen.length > 0) {
+      abschnitt('Zusatzleistungen');
+      umzug.extraLeistungen.forEach(extra => {
+        zeile(`${zahlFormat.format(extra.menge || 1)} x ${extra.beschreibung}`);
+      });
+    }
+
+    const offeneTasks = (umzug.tasks || []).filter(task => !task.erledigt);
+    if (offeneTasks.length > 0) {
+      abschnitt('Aufgaben');
+      offeneTasks.forEach(task => {
+        zeile(`[ ] ${task.beschreibung}${task.faelligkeit ? ` (fällig ${formatDatum(task.faelligkeit)})` : ''}`);
+      });
+    }
+
+    if (umzug.notizen && umzug.notizen.length > 0) {
+      abschnitt('Notizen');
+      umzug.notizen.forEach(notiz => {
+        zeile(`${formatDatum(notiz.datum)}: ${notiz.text}`);
+      });
+    }
+
+    // Unterschriftenfeld für die Übergabe
+    this.sicherePlatz(doc, 90);
+    doc.moveDown(3);
+    const ySignatur = doc.y;
+    doc.moveTo(SEITENRAND, ySignatur).lineTo(SEITENRAND + 200, ySignatur).stroke();
+    doc.moveTo(SEITENRAND + 295, ySignatur).lineTo(SEITENRAND + INHALT_BREITE, ySignatur).stroke();
+    doc.fontSize(8)
+      .text('Datum, Unterschrift Auftraggeber', SEITENRAND, ySignatur + 4, { width: 200 })
+      .text('Datum, Unterschrift Teamleitung', SEITENRAND + 295, ySignatur + 4, { width: 200 });
+
+    this.renderFusszeilen(doc);
+    return this.toBuffer(doc);
+  }
+
+  /**
+   * Render a monthly timesheet for signature by employee and employer
+   * @param {Object} stundenzettel - Result of StundenzettelService.berechnen
+   * @returns {Promise<Buffer>} - Rendered PDF
+   */
+  static async renderStundenzettel(stundenzettel) {
+    const { mitarbeiter, summen } = stundenzettel;
+    const [jahr, monat] = stundenzettel.monat.split('-').map(Number);
+    const monatsname = new Date(jahr, monat - 1, 1).toLocaleDateString('de-DE', { month: 'long', year: 'numeric' });
+    const doc = this.createDocument({
+      Title: `Stundenzettel ${mitarbeiter.name} ${monatsname}`,
+      Subject: 'Stundenzettel'
+    });
+    const uhrzeit = (datum) => new Date(datum).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+    const stunden = (wert) => zahlFormat.format(wert || 0);
+
+    doc.font('Helvetica-Bold').fontSize(16).text(`Stundenzettel ${monatsname}`, SEITENRAND, SEITENRAND);
+    doc.font('Helvetica').fontSize(9).fillColor('#555555')
+      .text(`${companyConfig.name} · erstellt am ${formatDatum(new Date())}`);
+    doc.fillColor('black').moveDown(0.5);
+    doc.fontSize(10).text([
+      `Mitarbeiter: ${mitarbeiter.name}${mitarbeiter.personalnummer ? ` (Personalnummer ${mitarbeiter.personalnummer})` : ''}`,
+      `Beschäftigung: ${mitarbeiter.beschaeftigungsart}, ${stunden(mitarbeiter.wochenstunden)} Stunden pro Woche` +
+        (stundenzettel.bundesland ? ` · Feiertage ${stundenzettel.bundesland}` : '')
+    ].join('\n'), { width: INHALT_BREITE });
+    doc.moveDown(0.5);
+
+    const spalten = [
+      { key: 'datum', titel: 'Datum', x: 50, breite: 60 },
+      { key: 'beginn', titel: 'Beginn', x: 110, breite: 40 },
+      { key: 'ende', titel: 'Ende', x: 150, breite: 40 },
+      { key: 'pause', titel: 'Pause', x: 190, breite: 35, align: 'right' },
+      { key: 'stunden', titel: 'Stunden', x: 230, breite: 40, align: 'right' },
+      { key: 'bemerkung', titel: 'Projekt / Tätigkeit', x: 280, breite: 265 }
+    ];
+    const kopfzeile = () => {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(8);
+      spalten.forEach(spalte => {
+        doc.text(spalte.titel, spalte.x, y, { width: spalte.breite, align: spalte.align || 'left' });
+      });
+      doc.moveTo(SEITENRAND, y + 11).lineTo(SEITENRAND + INHALT_BREITE, y + 11).stroke();
+      doc.y = y + 14;
+    };
+    const zeile = (werte, grau) => {
+      const hoehe = Math.max(doc.heightOfString(werte.bemerkung || '', { width: 265 }), 10) + 2;
+      if (this.sicherePlatz(doc, hoehe)) {
+        kopfzeile();
+      }
+      const y = doc.y;
+      doc.font('Helvetica').fontSize(8).fillColor(grau ? '#777777' : 'black');
+      spalten.forEach(spalte => {
+        doc.text(werte[spalte.key] || '', spalte.x, y, { width: spalte.breite, align: spalte.align || 'left' });
+      });
+      doc.fillColor('black');
+      doc.y = y + hoehe;
+    };
+
+    kopfzeile();
+    stundenzettel.tage.forEach(tag => {
+      const datum = `${tag.wochentag} ${formatDatum(tag.datum).substring(0, 6)}`;
+      if (tag.schichten.length === 0) {
+        zeile({ datum, bemerkung: tag.feiertag || '' }, true);
+        return;
+      }
+      tag.schichten.forEach((schicht, index) => {
+        zeile({
+          datum: index === 0 ? datum : '',
+          beginn: uhrzeit(schicht.beginn),
+          ende: uhrzeit(schicht.ende),
+          pause: schicht.pauseMinuten ? `${schicht.pauseMinuten} min` : '',
+          stunden: stunden(schicht.stunden),
+          bemerkung: [tag.feiertag && index === 0 ? tag.feiertag : '', schicht.projekt, schicht.taetigkeit]
+            .filter(Boolean)
+            .join(' · ')
+        });
+      });
+    });
+    doc.moveTo(SEITENRAND, doc.y).lineTo(SEITENRAND + INHALT_BREITE, doc.y).stroke();
+
+    // Summen
+    const saetze = stundenzettel.zuschlagssaetze || {};
+    const summenZeilen = [
+      ['Sollstunden', `${stunden(summen.soll)} h (${summen.sollArbeitstage} Arbeitstage)`],
+      ['Geleistete Stunden', `${stunden(summen.ist)} h (${summen.arbeitstage} Tage)`],
+      [summen.ueberstunden >= 0 ? 'Überstunden' : 'Minusstunden', `${stunden(Math.abs(summen.ueberstunden))} h`],
+      ...[
+        ['nacht25', 'Nachtarbeit 20-6 Uhr'],
+        ['nacht40', 'Nachtarbeit 0-4 Uhr'],
+        ['sonntag', 'Sonntagsarbeit'],
+        ['feiertag125', 'Feiertagsarbeit'],
+        ['feiertag150', 'Feiertagsarbeit (24.12. ab 14 Uhr, 25./26.12., 1.5.)']
+      ]
+        .filter(([art]) => summen.zuschlaege[art] > 0)
+        .map(([art, text]) => [`${text} (${saetze[art]} %)`, `${stunden(summen.zuschlaege[art])} h`])
+    ];
+    if (stundenzettel.minijob) {
+      summenZeilen.push([
+        'Minijob-Höchststunden',
+        `${stunden(stundenzettel.minijob.hoechststunden)} h (${formatBetrag(stundenzettel.minijob.verdienstgrenze)} / ${formatBetrag(stundenzettel.minijob.stundensatz)})`
+      ]);
+    }
+
+    this.sicherePlatz(doc, summenZeilen.length * 13 + 20);
+    doc.moveDown(0.8);
+    doc.fontSize(9);
+    summenZeilen.forEach(([label, wert]) => {
+      const y = doc.y;
+      doc.font('Helvetica').text(label, SEITENRAND, y, { width: 300 });
+      doc.font('Helvetica-Bold').text(wert, 355, y, { width: 190, align: 'right' });
+      doc.y = y + 13;
+    });
+    doc.font('Helvetica');
+
+    if (stundenzettel.hinweise.length > 0) {
+      doc.moveDown(0.5);
+      doc.fontSize(8).fillColor('#aa0000')
+        .text(stundenzettel.hinweise.join('\n'), SEITENRAND, doc.y, { width: INHALT_BREITE });
+      doc.fillColor('black');
+    }
+
+    // Unterschriften
+    this.sicherePlatz(doc, 80);
+    doc.moveDown(3);
+    const ySignatur = doc.y;
+    doc.moveTo(SEITENRAND, ySignatur).lineTo(SEITENRAND + 200, ySignatur).stroke();
+    doc.moveTo(SEITENRAND + 295, ySignatur).lineTo(SEITENRAND + INHALT_BREITE, ySignatur).stroke();
+    doc.fontSize(8)
+      .text('Datum, Unterschrift Mitarbeiter', SEITENRAND, ySignatur + 4, { width: 200 })
+      .text('Datum, Unterschrift Arbeitgeber', SEITENRAND + 295, ySignatur + 4, { width: 200 });
+
+    this.renderFusszeilen(doc);
+    return this.toBuffer(doc);
+  }
+
+  /**
+   * Render a dunning letter (Zahlungserinnerung, Mahnung, Inkasso notice) for one level
+   * @param {Object} rechnung - Rechnung document (kunde populated)
+   * @param {Object} mahnung - Entry of rechnung.zahlungserinnerungen (or dry-run result)
+   * @returns {Promise<Buffer>} - Rendered PDF
+   */
+  static async renderMahnung(rechnung, mahnung) {
+    const titel = mahnung.bezeichnung || 'Zahlungserinnerung';
+    const doc = this.createDocument({
+      Title: `${titel} zu Rechnung ${rechnung.rechnungNummer}`,
+      Subject: titel
+    });
+    const bankverbindung = rechnung.bankverbindung && rechnung.bankverbindung.iban
+      ? rechnung.bankverbindung
+      : companyConfig.bankverbindung;
+
+    this.renderBriefkopf(doc, this.empfaengerZeilen(rechnung));
+
+    const kopfdaten = [
+      ['Datum', formatDatum(mahnung.datum || new Date())],
+      ['Rechnungsnummer', rechnung.rechnungNummer],
+      ['Rechnungsdatum', formatDatum(rechnung.ausstellungsdatum)],
+      ['Fällig seit', formatDatum(rechnung.faelligkeitsdatum)]
+    ];
+    let y = 145;
+    kopfdaten.forEach(([label, wert]) => {
+      doc.font('Helvetica').fontSize(9).text(label, 340, y, { width: 90 });
+      doc.font('Helvetica-Bold').text(wert || '-', 430, y, { width: 115, align: 'right' });
+      y += 14;
+    });
+
+    doc.font('Helvetica-Bold').fontSize(14)
+      .text(`${titel} zu Rechnung ${rechnung.rechnungNummer}`, SEITENRAND, 250, { width: INHALT_BREITE });
+    doc.moveDown(1);
+
+    const frist = formatDatum(mahnung.zahlungsfrist);
+    const einleitung = {
+      1: 'sicherlich ist es Ihrer Aufmerksamkeit entgangen, dass die unten genannte Rechnung noch nicht ' +
+        'beglichen wurde. Wir bitten Sie, den offenen Betrag bis zum ' + frist + ' zu überweisen.',
+      2: 'leider konnten wir trotz unserer Zahlungserinnerung noch keinen Zahlungseingang feststellen. ' +
+        'Sie befinden sich mit der Zahlung in Verzug. Bitte überweisen Sie die Gesamtforderung bis zum ' + frist + '.',
+      3: 'auch auf unsere Mahnung ist bislang keine Zahlung eingegangen. Wir fordern Sie letztmalig auf, ' +
+        'die Gesamtforderung bis zum ' + frist + ' zu begleichen. Nach Ablauf der Frist werden wir die ' +
+        'Forderung ohne weitere Ankündigung einem Inkassounternehmen übergeben.',
+      4: 'da trotz mehrfacher Mahnung keine Zahlung erfolgt ist, haben wir die unten aufgeführte Forderung ' +
+        'zur weiteren Bearbeitung an ein Inkassounternehmen übergeben. Die dadurch entstehenden Kosten ' +
+        'gehen zu Ihren Lasten. Bitte richten Sie Rückfragen und Zahlungen ab sofort an das Inkassounternehmen.'
+    };
+    const kunde = rechnung.kunde && rechnung.kunde.name ? rechnung.kunde : null;
+    doc.font('Helvetica').fontSize(10)
+      .text(kunde && kunde.contactPerson ? `Guten Tag ${kunde.contactPerson},` : 'Sehr geehrte Damen und Herren,', {
+        width: INHALT_BREITE
+      })
+      .moveDown(0.5)
+      .text(einleitung[mahnung.mahnstufe] || einleitung[1], { width: INHALT_BREITE });
+    doc.moveDown(1);
+
+    // Aufstellung der Forderung
+    const zeilen = [['Offener Rechnungsbetrag', formatBetrag(mahnung.offenerBetrag)]];
+    if (mahnung.bisherigeGebuehren > 0) {
+      zeilen.push(['Mahngebühren aus vorherigen Mahnungen', formatBetrag(mahnung.bisherigeGebuehren)]);
+    }
+    if (mahnung.mahngebuehr > 0) {
+      zeilen.push([`Mahngebühr ${titel}`, formatBetrag(mahnung.mahngebuehr)]);
+    }
+    if (mahnung.verzugspauschale > 0) {
+      zeilen.push(['Verzugspauschale (§288 Abs. 5 BGB)', formatBetrag(mahnung.verzugspauschale)]);
+    }
+    if (mahnung.verzugszinsen > 0) {
+      zeilen.push([
+        `Verzugszinsen ${zahlFormat.format(mahnung.zinssatz)} % p.a. für ${mahnung.zinstage} Tage`,
+        formatBetrag(mahnung.verzugszinsen)
+      ]);
+    }
+
+    doc.fontSize(9);
+    zeilen.forEach(([label, wert]) => {
+      const zeileY = doc.y;
+      doc.text(label, SEITENRAND, zeileY, { width: 380 });
+      doc.text(wert, 445, zeileY, { width: 100, align: 'right' });
+      doc.y = zeileY + 14;
+    });
+    const summeY = doc.y + 2;
+    doc.moveTo(SEITENRAND, summeY).lineTo(SEITENRAND + INHALT_BREITE, summeY).stroke();
+    doc.font('Helvetica-Bold').fontSize(10);
+    doc.text('Gesamtforderung', SEITENRAND, summeY + 5, { width: 380 });
+    doc.text(formatBetrag(mahnung.forderungGesamt), 445, summeY + 5, { width: 100, align: 'right' });
+    doc.font('Helvetica').fontSize(9);
+    doc.x = SEITENRAND;
+    doc.moveDown(1.5);
+
+    if (mahnung.mahnstufe < 4 && bankverbindung.iban) {
+      doc.text(
+        `Bankverbindung: ${bankverbindung.kontoinhaber || companyConfig.name}, IBAN ${bankverbindung.iban}` +
+          (bankverbindung.bic ? `, BIC ${bankverbindung.bic}` : '') +
+          ` · Verwendungszweck: ${rechnung.rechnungNummer}`,
+        { width: INHALT_BREITE }
+      );
+      doc.moveDown(0.5);
+    }
+    doc.text('Sollten Sie die Zahlung zwischenzeitlich geleistet haben, betrachten Sie dieses Schreiben bitte als gegenstandslos.', {
+      width: INHALT_BREITE
+    });
+    doc.moveDown(1).text('Mit freundlichen Grüßen', { width: INHALT_BREITE }).text(companyConfig.name, { width: INHALT_BREITE });
+
+    this.renderFusszeilen(doc, bankverbindung);
+    return this.toBuffer(doc);
+  }
+}
+
+PdfService.formatBetrag = formatBetrag;
+PdfService.formatDatum = formatDatum;
+
+module.exports = PdfService;
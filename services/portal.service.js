@@ -0,0 +1,368 @@
+/**
+ * portal.service.js - Kundenportal (Self-Service für Auftraggeber)
+ * Kunden melden sich über einen signierten, ablaufenden Link an, der an die
+ * E-Mail-Adresse des Auftraggebers (umzug.auftraggeber.email) gesendet wird.
+ * Alle Abfragen sind auf die Umzüge dieser Adresse und die zugehörigen
+ * Kunden (Client.email), Rechnungen und Angebote beschränkt.
+ */
+
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const Umzug = require('../models/umzug.model');
+const Rechnung = require('../models/rechnung.model');
+const Angebot = require('../models/angebot.model');
+const Client = require('../models/client');
+const User = require('../models/user');
+const Benachrichtigung = require('../models/benachrichtigung.model');
+const EmailService = require('./email.service');
+const StorageService = require('./storage.service');
+const portalConfig = require('../config/portal.config');
+const { AppError, createNotFoundError } = require('../utils/error.utils');
+
+// Für Kunden sichtbare offene Rechnungen (Entwürfe und Stornos bleiben intern)
+const OFFENE_RECHNUNGEN = ['Gesendet', 'Überfällig', 'Teilbezahlt'];
+
+const normalisiereEmail = (email) => String(email || '').trim().toLowerCase();
+
+class PortalService {
+  /**
+   * Create a signed, expiring login link for a customer email address
+   * @param {String} email - Customer email (auftraggeber.email)
+   * @returns {Object} - { token, url, gueltigBis }
+   */
+  static erzeugeLink(email) {
+    const token = jwt.sign(
+      { typ: 'kundenportal' },
+      portalConfig.secret,
+      {
+        subject: normalisiereEmail(email),
+        expiresIn: `${portalConfig.linkGueltigkeitStunden}h`,
+        algorithm: portalConfig.algorithm,
+        issuer: portalConfig.issuer,
+        audience: portalConfig.audience
+      }
+    );
+    const { exp } = jwt.decode(token);
+    const trenner = portalConfig.url.includes('?') ? '&' : '?';
+
+    return {
+      token,
+      url: `${portalConfig.url}${trenner}token=${encodeURIComponent(token)}`,
+      gueltigBis: new Date(exp * 1000)
+    };
+  }
+
+  /**
+   * Verify a portal token
+   * @param {String} token - Token from the login link
+   * @returns {Object} - { email }
+   * @throws {AppError} - 401 if the token is invalid or expired
+   */
+  static pruefeToken(token) {
+    try {
+      const decoded = jwt.verify(token, portalConfig.secret, {
+        algorithms: [portalConfig.algorithm],
+        issuer: portalConfig.issuer,
+        audience: portalConfig.audience
+      });
+      if (decoded.typ !== 'kundenportal' || !decoded.sub) {
+        throw new AppError('Ungültiger Anmeldelink', 401);
+      }
+      return { email: decoded.sub };
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new AppError('Der Anmeldelink ist abgelaufen. Bitte fordern Sie einen neuen Link an.', 401);
+      }
+      throw new AppError('Ungültiger Anmeldelink', 401);
+    }
+  }
+
+  /**
+   * Send a login link to a customer email address
+   * @param {String} email - Customer email
+   * @returns {Promise<Boolean>} - False if no move is registered for this address
+   */
+  static async sendeLink(email) {
+    const adresse = normalisiereEmail(email);
+    const umzug = await Umzug.findOne({ 'auftraggeber.email': adresse })
+      .sort({ startDatum: -1 })
+      .select('auftraggeber');
+    if (!umzug) {
+      return false;
+    }
+
+    const { url, gueltigBis } = this.erzeugeLink(adresse);
+    const subject = 'Ihr Zugang zum Kundenportal';
+    const message = `
+      <p>Guten Tag ${umzug.auftraggeber.name},</p>
+      <p>über den folgenden Link sehen Sie den Stand Ihres Umzugs, Ihre Dokumente und offenen Rechnungen:</p>
+      <p><a href="${url}" style="display: inline-block; background-color: #4285f4; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px;">Zum Kundenportal</a></p>
+      <p>Der Link ist gültig bis ${gueltigBis.toLocaleString('de-DE')}. Bitte geben Sie ihn nicht weiter.</p>
+      <p>Wenn Sie keinen Zugang angefordert haben, können Sie diese E-Mail ignorieren.</p>
+    `;
+
+    await EmailService.sendEmail({
+      to: adresse,
+      subject,
+      html: EmailService.formatEmailContent(subject, message)
+    });
+    return true;
+  }
+
+  /**
+   * Query filters for everything a customer may see
+   * @param {String} email - Customer email
+   * @returns {Promise<Object>} - { umzugIds, kundenIds }
+   */
+  static async zugriffsbereich(email) {
+    const adresse = normalisiereEmail(email);
+    const [umzuege, kunden] = await Promise.all([
+      Umzug.find({ 'auftraggeber.email': adresse }).select('_id'),
+      Client.find({ email: adresse, isActive: true }).select('_id')
+    ]);
+    return {
+      umzugIds: umzuege.map(umzug => umzug._id),
+      kundenIds: kunden.map(kunde => kunde._id)
+    };
+  }
+
+  /**
+   * Reduce a move to the fields a customer may see
+   * @param {Object} umzug - Umzug document
+   * @returns {Object} - Customer view
+   */
+  static umzugAnsicht(umzug) {
+    return {
+      id: umzug._id,
+      kundennummer: umzug.kundennummer,
+      status: umzug.status,
+      startDatum: umzug.startDatum,
+      endDatum: umzug.endDatum,
+      auszugsadresse: umzug.auszugsadresse,
+      einzugsadresse: umzug.einzugsadresse,
+      zwischenstopps: umzug.zwischenstopps,
+      // Ohne Bearbeiter und interne Begründungen
+      statusHistory: (umzug.statusHistory || []).map(eintrag => ({
+        status: eintrag.status,
+        changedAt: eintrag.changedAt
+      })),
+      dokumente: (umzug.dokumente || []).map(dokument => ({
+        id: dokument._id,
+        name: dokument.name,
+        kategorie: dokument.kategorie,
+        datum: dokument.datum
+      })),
+      kundenzufriedenheit: umzug.kundenzufriedenheit && umzug.kundenzufriedenheit.bewertung
+        ? umzug.kundenzufriedenheit
+        : null
+    };
+  }
+
+  /**
+   * List the moves of a customer
+   * @param {String} email - Customer email
+   * @returns {Promise<Array>} - Customer views of the moves
+   */
+  static async umzuege(email) {
+    const umzuege = await Umzug.find({ 'auftraggeber.email': normalisiereEmail(email) })
+      .sort({ startDatum: -1 });
+    return umzuege.map(umzug => this.umzugAnsicht(umzug));
+  }
+
+  /**
+   * Load a single move of a customer
+   * @param {String} email - Customer email
+   * @param {String} umzugId - Umzug ID
+   * @returns {Promise<Object>} - Umzug document
+   * @throws {AppError} - 404 if the move does not belong to the customer
+   */
+  static async eigenerUmzug(email, umzugId) {
+    const umzug = await Umzug.findOne({ _id: umzugId, 'auftraggeber.email': normalisiereEmail(email) });
+    if (!umzug) {
+      throw createNotFoundError('Umzug');
+    }
+    return umzug;
+  }
+
+  /**
+   * Resolve a document of a move to its storage key
+   * @param {String} email - Customer email
+   * @param {String} umzugId - Umzug ID
+   * @param {String} dokumentId - Document ID
+   * @returns {Promise<Object>} - { schluessel, name }
+   */
+  static async dokument(email, umzugId, dokumentId) {
+    const umzug = await this.eigenerUmzug(email, umzugId);
+    const dokument = umzug.dokumente.id(dokumentId);
+    if (!dokument || !dokument.pfad) {
+      throw createNotFoundError('Dokument');
+    }
+
+    // Nur Dateien aus dem Dateispeicher ausliefern
+    let schluessel;
+    try {
+      schluessel = StorageService.schluesselAusPfad(dokument.pfad);
+    } catch (error) {
+      throw createNotFoundError('Dokument');
+    }
+
+    return { schluessel, name: dokument.name || path.basename(schluessel) };
+  }
+
+  /**
+   * List the open invoices of a customer
+   * @param {String} email - Customer email
+   * @returns {Promise<Object>} - { rechnungen, summeOffen }
+   */
+  static async offeneRechnungen(email) {
+    const { umzugIds, kundenIds } = await this.zugriffsbereich(email);
+    const rechnungen = await Rechnung.find({
+      status: { $in: OFFENE_RECHNUNGEN },
+      $or: [{ umzug: { $in: umzugIds } }, { kunde: { $in: kundenIds } }]
+    }).sort({ faelligkeitsdatum: 1 });
+
+    const liste = rechnungen.map(rechnung => ({
+      id: rechnung._id,
+      rechnungNummer: rechnung.rechnungNummer,
+      ausstellungsdatum: rechnung.ausstellungsdatum,
+      faelligkeitsdatum: rechnung.faelligkeitsdatum,
+      status: rechnung.status,
+      gesamtbetrag: rechnung.gesamtbetrag,
+      // Teilzahlungen sind bereits abgezogen
+      offenerBetrag: Rechnung.offenerBetrag(rechnung),
+      umzug: rechnung.umzug
+    }));
+
+    return {
+      rechnungen: liste,
+      summeOffen: Math.round(liste.reduce((summe, rechnung) => summe + rechnung.offenerBetrag, 0) * 100) / 100
+    };
+  }
+
+  /**
+   * Load an invoice of a customer (only invoices that were sent)
+   * @param {String} email - Customer email
+   * @param {String} rechnungId - Rechnung ID
+   * @returns {Promise<Object>} - Rechnung document
+   */
+  static async eigeneRechnung(email, rechnungId) {
+    const { umzugIds, kundenIds } = await this.zugriffsbereich(email);
+    const rechnung = await Rechnung.findOne({
+      _id: rechnungId,
+      status: { $nin: ['Entwurf'] },
+      $or: [{ umzug: { $in: umzugIds } }, { kunde: { $in: kundenIds } }]
+    });
+    if (!rechnung) {
+      throw createNotFoundError('Rechnung');
+    }
+    return rechnung;
+  }
+
+  /**
+   * List the quotes of a customer (drafts stay internal)
+   * @param {String} email - Customer email
+   * @returns {Promise<Array>} - Quotes
+   */
+  static async angebote(email) {
+    const { umzugIds, kundenIds } = await this.zugriffsbereich(email);
+    return Angebot.find({
+      status: { $ne: 'Entwurf' },
+      $or: [{ umzug: { $in: umzugIds } }, { kunde: { $in: kundenIds } }]
+    })
+      .select('angebotNummer umzug erstelltAm gueltigBis status gesamtbetrag mehrwertsteuer positionsliste')
+      .sort({ erstelltAm: -1 });
+  }
+
+  /**
+   * Accept a quote on behalf of the customer
+   * Confirms the linked move and informs the office
+   * @param {String} email - Customer email
+   * @param {String} angebotId - Angebot ID
+   * @returns {Promise<Object>} - Accepted Angebot
+   */
+  static async angebotAkzeptieren(email, angebotId) {
+    const { umzugIds, kundenIds } = await this.zugriffsbereich(email);
+    const angebot = await Angebot.findOne({
+      _id: angebotId,
+      status: { $ne: 'Entwurf' },
+      $or: [{ umzug: { $in: umzugIds } }, { kunde: { $in: kundenIds } }]
+    });
+    if (!angebot) {
+      throw createNotFoundError('Angebot');
+    }
+    if (angebot.status !== 'Gesendet') {
+      throw new AppError(`Das Angebot kann im Status '${angebot.status}' nicht angenommen werden`, 400);
+    }
+    if (angebot.gueltigBis && angebot.gueltigBis < new Date()) {
+      throw new AppError('Das Angebot ist abgelaufen. Bitte fordern Sie ein neues Angebot an.', 400);
+    }
+
+    const umzug = angebot.umzug ? await Umzug.findById(angebot.umzug) : null;
+    await angebot.akzeptieren(umzug ? umzug.kundennummer : undefined, undefined, 'Über das Kundenportal angenommen');
+
+    if (umzug && umzug.status === 'geplant') {
+      await umzug.changeStatus('bestaetigt', undefined, `Angebot ${angebot.angebotNummer} im Kundenportal angenommen`);
+    }
+
+    await this.benachrichtigeBuero(
+      'Angebot angenommen',
+      `Angebot ${angebot.angebotNummer} wurde vom Kunden (${normalisiereEmail(email)}) im Kundenportal angenommen.`,
+      umzug ? { typ: 'umzug', id: umzug._id } : { typ: 'system' },
+      'erfolg'
+    );
+
+    return angebot;
+  }
+
+  /**
+   * Store the customer's rating of a completed move
+   * @param {String} email - Customer email
+   * @param {String} umzugId - Umzug ID
+   * @param {Object} bewertung - { bewertung: 1-5, kommentar }
+   * @returns {Promise<Object>} - Stored rating
+   */
+  static async bewerten(email, umzugId, { bewertung, kommentar }) {
+    const umzug = await this.eigenerUmzug(email, umzugId);
+    if (umzug.status !== 'abgeschlossen') {
+      throw new AppError('Nur abgeschlossene Umzüge können bewertet werden', 400);
+    }
+    if (umzug.kundenzufriedenheit && umzug.kundenzufriedenheit.bewertung) {
+      throw new AppError('Dieser Umzug wurde bereits bewertet', 409);
+    }
+
+    umzug.kundenzufriedenheit = { bewertung, kommentar, datum: new Date() };
+    await umzug.save();
+
+    await this.benachrichtigeBuero(
+      'Neue Kundenbewertung',
+      `Umzug ${umzug.kundennummer || umzug._id} wurde mit ${bewertung} von 5 Sternen bewertet.`,
+      { typ: 'umzug', id: umzug._id },
+      bewertung <= 2 ? 'warnung' : 'info'
+    );
+
+    return umzug.kundenzufriedenheit;
+  }
+
+  /**
+   * Notify all active administrators about a customer action
+   * @param {String} titel - Title
+   * @param {String} inhalt - Text
+   * @param {Object} bezug - { typ, id }
+   * @param {String} typ - Notification type
+   */
+  static async benachrichtigeBuero(titel, inhalt, bezug, typ = 'info') {
+    const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+    if (admins.length === 0) {
+      return;
+    }
+    await Benachrichtigung.insertMany(admins.map(admin => ({
+      empfaenger: admin._id,
+      titel,
+      inhalt,
+      typ,
+      bezug
+    })));
+  }
+}
+
+module.exports = PortalService;
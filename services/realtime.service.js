@@ -0,0 +1,289 @@
+/**
+ * realtime.service.js - Realtime event channel over socket.io
+ * Authenticated namespace /realtime with per-user (user:<id>) and per-role (role:<rolle>)
+ * rooms plus a dispatch room for users with disposition:read. Clients may additionally subscribe
+ * to single moves or vehicles (umzug:<id>, fahrzeug:<id>) with read permission or as a member of
+ * the move team. The handshake applies the same checks as the REST API (active account,
+ * mandatory 2FA); connections are closed when the access token expires or the account is deactivated.
+ * Emitting is a no-op until init() was called, so models and services can publish events in scripts
+ * and tests as well.
+ * With several processes (PM2 cluster, REALTIME_ADAPTER=mongo) events are distributed through MongoDB
+ * and only the WebSocket transport is accepted, so no sticky sessions are needed; clients then have to
+ * connect with transports: ['websocket'].
+ */
+
+const jwt = require('jsonwebtoken');
+const { Server } = require('socket.io');
+const BerechtigungService = require('./berechtigung.service');
+
+const NAMESPACE = '/realtime';
+
+// Räume, die ein Client selbst abonnieren darf
+const ABONNIERBARE_RAEUME = /^(umzug|fahrzeug):[0-9a-fA-F]{24}$/;
+
+// Raum für alle, die Disposition und Fuhrpark in Echtzeit sehen (disposition:read)
+const DISPOSITIONS_RAUM = 'disposition';
+
+// Collection für den Austausch der Ereignisse zwischen den Prozessen; Einträge verfallen nach einer Stunde
+const ADAPTER_COLLECTION = 'socket.io-adapter-events';
+
+// Größte Verzögerung für setTimeout (ca. 24,8 Tage)
+const MAX_TIMEOUT_MS = 2147483647;
+
+class RealtimeService {
+  /**
+   * Attach socket.io to the HTTP server and set up the authenticated namespace
+   * @param {http.Server} httpServer - HTTP server of the Express app
+   * @param {Object} options - socket.io server options (e.g. cors)
+   * @returns {Namespace} - The realtime namespace
+   */
+  static init(httpServer, options = {}) {
+    this.io = new Server(httpServer, options);
+    this.namespace = this.io.of(NAMESPACE);
+
+    this.namespace.use((socket, next) => this.authenticate(socket, next));
+    this.namespace.on('connection', (socket) => this.handleConnection(socket));
+
+    return this.namespace;
+  }
+
+  /**
+   * socket.io options for running in several processes: MongoDB adapter (needs a replica set
+   * for change streams) and WebSocket only, since polling requests would need sticky sessions
+   * @param {Db} db - MongoDB database (mongoose.connection.db)
+   * @returns {Object} - Options for init()
+   */
+  static clusterOptionen(db) {
+    const { createAdapter } = require('@socket.io/mongo-adapter');
+    const collection = db.collection(ADAPTER_COLLECTION);
+
+    collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 3600 })
+      .catch(error => console.error('Realtime adapter index error:', error));
+
+    return {
+      adapter: createAdapter(collection, { addCreatedAtField: true }),
+      transports: ['websocket']
+    };
+  }
+
+  /**
+   * Handshake middleware: verify the access token and attach the user to the socket
+   * @param {Socket} socket - Connecting socket
+   * @param {Function} next - socket.io callback, called with an Error to refuse the connection
+   */
+  static async authenticate(socket, next) {
+    // Lazy require: middleware/auth und der 2FA-Service laden die Models, die wiederum diesen Service nutzen
+    const { verifyToken } = require('../middleware/auth');
+    const ZweiFaktorService = require('./zweifaktor.service');
+
+    try {
+      let token = socket.handshake.auth && socket.handshake.auth.token;
+      if (!token && socket.handshake.headers.authorization) {
+        token = socket.handshake.headers.authorization;
+      }
+      if (token && token.startsWith('Bearer ')) {
+        token = token.replace('Bearer ', '');
+      }
+      if (!token) {
+        return next(new Error('Kein Authentifizierungstoken bereitgestellt'));
+      }
+
+      const user = await verifyToken(token);
+      if (!user || (user.isActive !== undefined && !user.isActive)) {
+        return next(new Error('Nicht authentifiziert'));
+      }
+      // Wie in der REST-API: ohne eingerichtete Pflicht-2FA keine Verbindung
+      if (await ZweiFaktorService.mussEinrichten(user, NAMESPACE)) {
+        return next(new Error('Zwei-Faktor-Anmeldung muss eingerichtet werden'));
+      }
+
+      const { exp } = jwt.decode(token) || {};
+      socket.user = user;
+      socket.tokenAblauf = exp ? exp * 1000 : null;
+      next();
+    } catch (error) {
+      next(new Error(error.name === 'TokenExpiredError' ? 'Sitzung abgelaufen' : 'Ungültiges Token'));
+    }
+  }
+
+  /**
+   * Whether a user may subscribe to a move or vehicle room: with read permission
+   * (umzug:read / fahrzeug:read) or as a member of the move team (vehicles of the own moves)
+   * @param {Object} user - Authenticated user
+   * @param {String} raum - Room name (umzug:<id> or fahrzeug:<id>)
+   * @returns {Promise<Boolean>}
+   */
+  static async darfAbonnieren(user, raum) {
+    if (typeof raum !== 'string' || !ABONNIERBARE_RAEUME.test(raum)) {
+      return false;
+    }
+
+    const [typ, id] = raum.split(':');
+    if (BerechtigungService.hat(user, `${typ}:read`)) {
+      return true;
+    }
+
+    // Lazy require wie oben: die Models nutzen diesen Service
+    const Mitarbeiter = require('../models/mitarbeiter.model');
+    const Umzug = require('../models/umzug.model');
+
+    const mitarbeiter = await Mitarbeiter.findOne({ userId: user._id }).select('_id');
+    if (!mitarbeiter) {
+      return false;
+    }
+    const bezug = typ === 'umzug' ? { _id: id } : { 'fahrzeuge.fahrzeugId': id };
+    return Boolean(await Umzug.exists({ ...bezug, 'mitarbeiter.mitarbeiterId': mitarbeiter._id }));
+  }
+
+  /**
+   * Join the default rooms and register subscribe/unsubscribe handlers
+   * @param {Socket} socket - Authenticated socket
+   */
+  static handleConnection(socket) {
+    const userId = String(socket.user._id);
+    socket.join(`user:${userId}`);
+    socket.join(`role:${socket.user.role}`);
+    if (BerechtigungService.hat(socket.user, 'disposition:read')) {
+      socket.join(DISPOSITIONS_RAUM);
+    }
+
+    // Mit Ablauf des Tokens trennen; der Client verbindet sich mit einem erneuerten Token wieder
+    if (socket.tokenAblauf) {
+      const timer = setTimeout(
+        () => socket.disconnect(true),
+        Math.min(Math.max(socket.tokenAblauf - Date.now(), 0), MAX_TIMEOUT_MS)
+      );
+      socket.on('disconnect', () => clearTimeout(timer));
+    }
+
+    socket.on('subscribe', async (raum, callback) => {
+      const erlaubt = await this.darfAbonnieren(socket.user, raum).catch(() => false);
+      if (erlaubt) {
+        socket.join(raum);
+      }
+      if (typeof callback === 'function') {
+        callback({ success: erlaubt, raum });
+      }
+    });
+
+    socket.on('unsubscribe', (raum, callback) => {
+      if (typeof raum === 'string' && ABONNIERBARE_RAEUME.test(raum)) {
+        socket.leave(raum);
+      }
+      if (typeof callback === 'function') {
+        callback({ success: true, raum });
+      }
+    });
+  }
+
+  /**
+   * Emit an event to the given rooms (ignored if the socket server is not running)
+   * @param {Array<String>} raeume - Room names
+   * @param {String} event - Event name
+   * @param {Object} payload - Event data
+   */
+  static emit(raeume, event, payload) {
+    if (!this.namespace || raeume.length === 0) {
+      return;
+    }
+    this.namespace.to(raeume).emit(event, payload);
+  }
+
+  /**
+   * Emit an event to a single user
+   * @param {String} userId - Recipient user ID
+   * @param {String} event - Event name
+   * @param {Object} payload - Event data
+   */
+  static emitToUser(userId, event, payload) {
+    this.emit([`user:${userId}`], event, payload);
+  }
+
+  /**
+   * Emit an event to all users with one of the given roles
+   * @param {Array<String>} rollen - Roles
+   * @param {String} event - Event name
+   * @param {Object} payload - Event data
+   */
+  static emitToRoles(rollen, event, payload) {
+    this.emit(rollen.map(rolle => `role:${rolle}`), event, payload);
+  }
+
+  /**
+   * Disconnect all sockets of a user (e.g. after the account was deactivated)
+   * @param {String} userId - User ID
+   */
+  static benutzerTrennen(userId) {
+    if (!this.namespace) {
+      return;
+    }
+    this.namespace.in(`user:${userId}`).disconnectSockets(true);
+  }
+
+  /**
+   * Push a newly created notification to its recipient
+   * @param {Object} benachrichtigung - Benachrichtigung document
+   */
+  static benachrichtigungErstellt(benachrichtigung) {
+    this.emitToUser(String(benachrichtigung.empfaenger), 'benachrichtigung:neu', {
+      id: benachrichtigung._id,
+      titel: benachrichtigung.titel,
+      inhalt: benachrichtigung.inhalt,
+      typ: benachrichtigung.typ,
+      bezug: benachrichtigung.bezug,
+      linkUrl: benachrichtigung.linkUrl,
+      createdAt: benachrichtigung.createdAt
+    });
+  }
+
+  /**
+   * Publish a status change of a move to dispatchers and subscribers of the move
+   * @param {Object} umzug - Umzug document
+   * @param {Object} aenderung - { vorherigerStatus, status, changedBy, reason }
+   */
+  static umzugStatusGeaendert(umzug, aenderung) {
+    this.emit(
+      [DISPOSITIONS_RAUM, `umzug:${umzug._id}`],
+      'umzug:status',
+      {
+        umzugId: umzug._id,
+        kundennummer: umzug.kundennummer,
+        ...aenderung,
+        changedAt: new Date()
+      }
+    );
+  }
+
+  /**
+   * Publish status and/or odometer changes of a vehicle
+   * @param {Object} fahrzeug - Fahrzeug document
+   * @param {Object} aenderungen - { status: Boolean, kilometerstand: Boolean }
+   */
+  static fahrzeugGeaendert(fahrzeug, aenderungen) {
+    const raeume = [DISPOSITIONS_RAUM, `fahrzeug:${fahrzeug._id}`];
+    const basis = { fahrzeugId: fahrzeug._id, kennzeichen: fahrzeug.kennzeichen };
+
+    if (aenderungen.status) {
+      this.emit(raeume, 'fahrzeug:status', { ...basis, status: fahrzeug.status });
+    }
+    if (aenderungen.kilometerstand) {
+      this.emit(raeume, 'fahrzeug:kilometerstand', { ...basis, kilometerstand: fahrzeug.kilometerstand });
+    }
+  }
+
+  /**
+   * Close the socket server (graceful shutdown)
+   * @returns {Promise<void>}
+   */
+  static close() {
+    if (!this.io) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.io.close(() => resolve()));
+  }
+}
+
+RealtimeService.io = null;
+RealtimeService.namespace = null;
+
+module.exports = RealtimeService;
@@ -0,0 +1,49 @@
+/**
+ * sperre.service.js - Sperren über MongoDB für Aufgaben, die nicht parallel laufen dürfen
+ * Unter PM2 im Cluster-Modus laufen mehrere Prozesse; eine Sperre verhindert, dass
+ * geplante Läufe (Mahnlauf, Wartungsprüfung, ...) in jedem Prozess gleichzeitig ausgeführt werden.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const Sperre = require('../models/sperre.model');
+
+class SperreService {
+  /**
+   * Acquire a lock unless another process holds it
+   * @param {String} name - Lock name
+   * @param {Number} dauerMs - Lifetime of the lock; it expires afterwards even if not released
+   * @returns {Promise<String|null>} - Owner token for freigeben(), or null if the lock is held
+   */
+  static async erwerben(name, dauerMs) {
+    const jetzt = new Date();
+    const inhaber = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+    try {
+      // Abgelaufene Sperre übernehmen oder neu anlegen; hält ein anderer Prozess sie noch,
+      // scheitert das Anlegen am eindeutigen _id (E11000)
+      await Sperre.findOneAndUpdate(
+        { _id: name, bis: { $lte: jetzt } },
+        { $set: { bis: new Date(jetzt.getTime() + dauerMs), inhaber } },
+        { upsert: true }
+      );
+      return inhaber;
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Release a lock held by the given owner
+   * @param {String} name - Lock name
+   * @param {String} inhaber - Owner token from erwerben()
+   */
+  static async freigeben(name, inhaber) {
+    await Sperre.deleteOne({ _id: name, inhaber });
+  }
+}
+
+module.exports = SperreService;
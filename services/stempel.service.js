@@ -0,0 +1,374 @@
+/**
+ * stempel.service.js - Stempeluhr für Umzugsteams
+ * Mitarbeiter stempeln per Smartphone für einen ihnen zugewiesenen Umzug ein und aus; der Standort
+ * muss im Umkreis einer Umzugsadresse liegen. Beim Gehen entsteht eine Zeiterfassung. Nicht oder zu
+ * kurz gestempelte Pausen werden bis zur gesetzlichen Mindestpause (§4 ArbZG) ergänzt, ohne die
+ * Arbeitszeit unter die jeweilige Schwelle zu drücken. Vergessenes Ausstempeln wird gemeldet.
+ */
+
+const Stempelung = require('../models/stempelung.model');
+const Zeiterfassung = require('../models/zeiterfassung.model');
+const Umzug = require('../models/umzug.model');
+const User = require('../models/user');
+const Benachrichtigung = require('../models/benachrichtigung.model');
+const GeocodingService = require('./geocoding.service');
+const ArbzgService = require('./arbzg.service');
+const stempeluhrConfig = require('../config/stempeluhr.config');
+const arbzgConfig = require('../config/arbzg.config');
+const { AppError } = require('../utils/error.utils');
+
+const MINUTE = 60 * 1000;
+
+const tagesbeginn = (datum) => {
+  const d = new Date(datum);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const tagesende = (datum) => {
+  const d = new Date(datum);
+  d.setHours(23, 59, 59, 999);
+  return d;
+};
+
+const zeitString = (datum) => `${String(datum.getHours()).padStart(2, '0')}:${String(datum.getMinutes()).padStart(2, '0')}`;
+const formatZeit = (datum) => new Date(datum).toLocaleString('de-DE', { dateStyle: 'short', timeStyle: 'short' });
+const anschrift = (adresse) => `${adresse.strasse} ${adresse.hausnummer}, ${adresse.plz} ${adresse.ort}`;
+
+class StempelService {
+  /**
+   * Coordinates of all addresses of a move; missing or outdated ones are geocoded and stored
+   * @param {Object} umzug - Umzug document
+   * @returns {Promise<Array>} [{ ort, lat, lng }]
+   */
+  static async standorte(umzug) {
+    const adressen = [
+      { ort: 'auszug', pfad: 'auszugsadresse', adresse: umzug.auszugsadresse },
+      { ort: 'einzug', pfad: 'einzugsadresse', adresse: umzug.einzugsadresse },
+      ...(umzug.zwischenstopps || []).map((adresse, index) => ({ ort: 'zwischenstopp', pfad: `zwischenstopps.${index}`, adresse }))
+    ].filter(eintrag => eintrag.adresse && eintrag.adresse.ort);
+
+    const standorte = [];
+    for (const { ort, pfad, adresse } of adressen) {
+      const koordinaten = adresse.koordinaten;
+      if (koordinaten && koordinaten.lat != null && koordinaten.anschrift === anschrift(adresse)) {
+        standorte.push({ ort, lat: koordinaten.lat, lng: koordinaten.lng });
+        continue;
+      }
+
+      const ergebnis = await GeocodingService.geokodieren(adresse);
+      if (ergebnis) {
+        await Umzug.updateOne({ _id: umzug._id }, {
+          $set: { [`${pfad}.koordinaten`]: { ...ergebnis, anschrift: anschrift(adresse), geokodiertAm: new Date() } }
+        });
+        standorte.push({ ort, ...ergebnis });
+      }
+    }
+    return standorte;
+  }
+
+  /**
+   * Check a position against the locations of a move
+   * @param {Object} position - { lat, lng, genauigkeit }
+   * @param {Array} standorte - [{ ort, lat, lng }]
+   * @param {Object} config - Stempeluhr configuration
+   * @returns {Object} { geprueft, innerhalb, ort, entfernung }
+   */
+  static pruefeStandort(position, standorte, config = stempeluhrConfig) {
+    if (!position || standorte.length === 0) {
+      return { geprueft: false, innerhalb: false };
+    }
+
+    const naechster = standorte
+      .map(standort => ({ ort: standort.ort, entfernung: GeocodingService.entfernung(position, standort) }))
+      .sort((a, b) => a.entfernung - b.entfernung)[0];
+    // Die GPS-Ungenauigkeit geht zugunsten des Mitarbeiters
+    const toleranz = Math.min(Number(position.genauigkeit) || 0, config.hoechstGenauigkeitMeter);
+
+    return {
+      geprueft: true,
+      innerhalb: naechster.entfernung - toleranz <= config.radiusMeter,
+      ort: naechster.ort,
+      entfernung: Math.round(naechster.entfernung)
+    };
+  }
+
+  /**
+   * Working time of a shift with the statutory minimum break added where too little was stamped
+   * @param {Date} kommen - Clock-in
+   * @param {Date} gehen - Clock-out
+   * @param {Array} pausen - Stamped breaks [{ beginn, ende }]
+   * @param {Object} config - ArbZG configuration
+   * @returns {Object} { bruttoMinuten, pauseGestempelt, pauseAutomatisch, pause, arbeitsMinuten }
+   */
+  static abrechnen(kommen, gehen, pausen = [], config = arbzgConfig) {
+    const bruttoMinuten = Math.max(Math.round((gehen - kommen) / MINUTE), 0);
+    const dauern = pausen.map(pause => Math.max(Math.round(((pause.ende || gehen) - pause.beginn) / MINUTE), 0));
+    const pauseGestempelt = Math.min(dauern.reduce((summe, dauer) => summe + dauer, 0), bruttoMinuten);
+    // Nur Unterbrechungen ab 15 Minuten sind Ruhepausen im Sinne des §4 ArbZG
+    const anrechenbar = dauern.filter(dauer => dauer >= config.pausenblockMinuten).reduce((summe, dauer) => summe + dauer, 0);
+
+    let pauseAutomatisch = 0;
+    [...config.pausen].sort((a, b) => b.abMinuten - a.abMinuten).forEach(stufe => {
+      const arbeit = bruttoMinuten - pauseGestempelt - pauseAutomatisch;
+      const fehlend = stufe.minuten - anrechenbar - pauseAutomatisch;
+      if (arbeit > stufe.abMinuten && fehlend > 0) {
+        pauseAutomatisch += Math.min(fehlend, arbeit - stufe.abMinuten);
+      }
+    });
+
+    const pause = pauseGestempelt + pauseAutomatisch;
+    return {
+      bruttoMinuten,
+      pauseGestempelt,
+      pauseAutomatisch,
+      pause,
+      arbeitsMinuten: bruttoMinuten - pause
+    };
+  }
+
+  /**
+   * Clock-in, break, resume or clock-out for an employee
+   * @param {Object} mitarbeiter - Mitarbeiter document
+   * @param {Object} daten - { aktion: kommen|pause|weiter|gehen, umzugId, latitude, longitude, genauigkeit, taetigkeit, notizen, zeit }
+   * @param {Object} options - { stellvertretend: stamped on behalf by a team lead or admin (time may be given, no location check) }
+   * @returns {Promise<Object>} { stempelung, zeiterfassung, hinweise }
+   */
+  static async stempeln(mitarbeiter, daten, options = {}) {
+    const config = options.config || stempeluhrConfig;
+    const zeit = options.stellvertretend && daten.zeit ? new Date(daten.zeit) : new Date();
+    if (zeit > new Date(Date.now() + MINUTE)) {
+      throw new AppError('Es kann nicht in der Zukunft gestempelt werden', 400);
+    }
+
+    const offen = await Stempelung.findOne({ mitarbeiter: mitarbeiter._id, status: 'offen' });
+    const offenePause = offen && offen.pausen.find(pause => !pause.ende);
+
+    if (daten.aktion === 'kommen') {
+      if (offen) {
+        throw new AppError(`Es ist bereits eine Schicht seit ${formatZeit(offen.kommen.zeit)} offen`, 409);
+      }
+      return this.kommen(mitarbeiter, daten, zeit, options, config);
+    }
+
+    if (!offen) {
+      throw new AppError('Es ist keine Schicht offen. Bitte zuerst einstempeln.', 409);
+    }
+    if (zeit < offen.kommen.zeit) {
+      throw new AppError('Der Zeitpunkt liegt vor dem Einstempeln', 400);
+    }
+
+    if (daten.aktion === 'pause') {
+      if (offenePause) {
+        throw new AppError('Die Pause läuft bereits', 409);
+      }
+      offen.pausen.push({ beginn: zeit });
+      await offen.save();
+      return { stempelung: offen, hinweise: [] };
+    }
+
+    if (daten.aktion === 'weiter') {
+      if (!offenePause) {
+        throw new AppError('Es läuft keine Pause', 409);
+      }
+      offenePause.ende = zeit;
+      await offen.save();
+      return { stempelung: offen, hinweise: [] };
+    }
+
+    return this.gehen(offen, mitarbeiter, daten, zeit, options, config);
+  }
+
+  /**
+   * Location check for clock-in and clock-out
+   * @returns {Promise<Object>} { stempel, hinweise }
+   */
+  static async stempel(umzug, daten, zeit, options, config) {
+    const position = daten.latitude != null && daten.longitude != null
+      ? { lat: Number(daten.latitude), lng: Number(daten.longitude), genauigkeit: daten.genauigkeit != null ? Number(daten.genauigkeit) : undefined }
+      : null;
+
+    if (options.stellvertretend) {
+      return { stempel: { zeit, position, geofence: { geprueft: false } }, hinweise: [] };
+    }
+    if (!position) {
+      throw new AppError('Für das Stempeln ist der Standort (latitude, longitude) erforderlich', 400);
+    }
+    if (position.genauigkeit > config.hoechstGenauigkeitMeter) {
+      throw new AppError(`Der Standort ist zu ungenau (${Math.round(position.genauigkeit)} m). Bitte GPS aktivieren und erneut versuchen.`, 400);
+    }
+
+    const geofence = this.pruefeStandort(position, await this.standorte(umzug), config);
+    const hinweise = [];
+    if (!geofence.geprueft && config.modus === 'ablehnen') {
+      // Ohne Koordinaten ist keine Ablehnung möglich: Stempelung annehmen, aber zur Prüfung vormerken
+      geofence.nachpruefen = true;
+      hinweise.push('Die Adressen des Umzugs konnten nicht geokodiert werden; der Standort wird nachträglich geprüft');
+    } else if (!geofence.geprueft) {
+      hinweise.push('Die Adressen des Umzugs konnten nicht geokodiert werden; der Standort wurde nicht geprüft');
+    } else if (!geofence.innerhalb) {
+      const meldung = `Der Standort liegt ${geofence.entfernung} m von der nächsten Umzugsadresse entfernt (erlaubt: ${config.radiusMeter} m)`;
+      if (config.modus === 'ablehnen') {
+        throw new AppError(meldung, 400, [{ field: 'position', message: meldung, entfernung: geofence.entfernung, radius: config.radiusMeter }]);
+      }
+      hinweise.push(meldung);
+    }
+    return { stempel: { zeit, position, geofence }, hinweise };
+  }
+
+  static async kommen(mitarbeiter, daten, zeit, options, config) {
+    const umzug = await Umzug.findById(daten.umzugId)
+      .select('kundennummer startDatum endDatum status mitarbeiter auszugsadresse einzugsadresse zwischenstopps');
+    if (!umzug) {
+      throw new AppError('Umzug nicht gefunden', 404);
+    }
+    if (!(umzug.mitarbeiter || []).some(eintrag => String(eintrag.mitarbeiterId) === String(mitarbeiter._id))) {
+      throw new AppError('Der Mitarbeiter ist diesem Umzug nicht zugewiesen', 403);
+    }
+    if (['storniert', 'abgeschlossen'].includes(umzug.status)) {
+      throw new AppError(`Der Umzug ist ${umzug.status}`, 409);
+    }
+    if (zeit < tagesbeginn(umzug.startDatum) || zeit > tagesende(umzug.endDatum || umzug.startDatum)) {
+      throw new AppError('Der Umzug findet heute nicht statt', 400);
+    }
+
+    const { stempel, hinweise } = await this.stempel(umzug, daten, zeit, options, config);
+    const stempelung = new Stempelung({
+      mitarbeiter: mitarbeiter._id,
+      umzug: umzug._id,
+      taetigkeit: daten.taetigkeit || undefined,
+      notizen: daten.notizen,
+      kommen: stempel
+    });
+
+    try {
+      await stempelung.save();
+    } catch (error) {
+      // Gleichzeitiges zweites Einstempeln scheitert am eindeutigen Index der offenen Schicht
+      if (error.code === 11000) {
+        throw new AppError('Es ist bereits eine Schicht offen', 409);
+      }
+      throw error;
+    }
+    return { stempelung, hinweise };
+  }
+
+  static async gehen(stempelung, mitarbeiter, daten, zeit, options, config) {
+    const umzug = await Umzug.findById(stempelung.umzug)
+      .select('kundennummer auszugsadresse einzugsadresse zwischenstopps');
+    if (!umzug) {
+      throw new AppError('Umzug nicht gefunden', 404);
+    }
+
+    const { stempel, hinweise } = await this.stempel(umzug, daten, zeit, options, config);
+
+    // Eine laufende Pause endet mit dem Ausstempeln
+    stempelung.pausen.forEach(pause => {
+      if (!pause.ende) pause.ende = zeit;
+    });
+    const abrechnung = this.abrechnen(stempelung.kommen.zeit, zeit, stempelung.pausen);
+    if (abrechnung.pauseAutomatisch > 0) {
+      hinweise.push(`${abrechnung.pauseAutomatisch} Minuten gesetzliche Mindestpause wurden ergänzt (§4 ArbZG)`);
+    }
+
+    const zeiterfassung = new Zeiterfassung({
+      mitarbeiterId: mitarbeiter._id,
+      projektId: umzug._id,
+      datum: tagesbeginn(stempelung.kommen.zeit),
+      startzeit: zeitString(stempelung.kommen.zeit),
+      endzeit: zeitString(zeit),
+      pause: abrechnung.pause,
+      arbeitsstunden: Math.round(abrechnung.arbeitsMinuten / 60 * 100) / 100,
+      taetigkeit: stempelung.taetigkeit || 'Umzug',
+      notizen: [stempelung.notizen, daten.notizen].filter(Boolean).join('\n') || undefined,
+      quelle: 'stempeluhr',
+      stempelung: stempelung._id
+    });
+
+    // Verstöße werden vermerkt; das Ausstempeln selbst wird nie abgelehnt
+    const verstoesse = await ArbzgService.pruefeEintrag(mitarbeiter._id, zeiterfassung);
+    zeiterfassung.arbzgVerstoesse = verstoesse;
+    verstoesse.forEach(verstoss => hinweise.push(verstoss.meldung));
+    await zeiterfassung.save();
+
+    stempelung.gehen = stempel;
+    stempelung.pauseAutomatisch = abrechnung.pauseAutomatisch;
+    stempelung.zeiterfassung = zeiterfassung._id;
+    stempelung.status = 'abgeschlossen';
+    if (daten.notizen) {
+      stempelung.notizen = [stempelung.notizen, daten.notizen].filter(Boolean).join('\n');
+    }
+    await stempelung.save();
+
+    return { stempelung, zeiterfassung, abrechnung, hinweise };
+  }
+
+  /**
+   * Open shifts, oldest first
+   * @returns {Promise<Array>}
+   */
+  static offeneSchichten() {
+    return Stempelung.find({ status: 'offen' })
+      .populate('mitarbeiter', 'vorname nachname telefon')
+      .populate('umzug', 'kundennummer auftraggeber.name')
+      .sort({ 'kommen.zeit': 1 });
+  }
+
+  /**
+   * Stampings whose location could not be checked in `ablehnen` mode, newest first
+   * @returns {Promise<Array>}
+   */
+  static zurPruefung() {
+    return Stempelung.find({
+      $or: [{ 'kommen.geofence.nachpruefen': true }, { 'gehen.geofence.nachpruefen': true }]
+    })
+      .populate('mitarbeiter', 'vorname nachname telefon')
+      .populate('umzug', 'kundennummer auftraggeber.name')
+      .sort({ 'kommen.zeit': -1 });
+  }
+
+  /**
+   * Remind employees and dispatchers of shifts open longer than `offenAlarmStunden` (once per shift)
+   * @param {Date} stichtag - Current time
+   * @param {Object} config - Stempeluhr configuration
+   * @returns {Promise<Object>} { erinnert }
+   */
+  static async pruefeOffeneSchichten(stichtag = new Date(), config = stempeluhrConfig) {
+    const grenze = new Date(stichtag.getTime() - config.offenAlarmStunden * 60 * MINUTE);
+    const offen = await Stempelung.find({
+      status: 'offen',
+      'kommen.zeit': { $lte: grenze },
+      erinnertAm: { $exists: false }
+    }).populate('mitarbeiter', 'vorname nachname userId');
+    if (offen.length === 0) {
+      return { erinnert: 0 };
+    }
+
+    const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+    for (const stempelung of offen) {
+      const ma = stempelung.mitarbeiter;
+      const seit = formatZeit(stempelung.kommen.zeit);
+      const name = ma ? `${ma.vorname} ${ma.nachname}` : 'Unbekannt';
+      const empfaenger = [
+        ...(ma && ma.userId ? [{ id: ma.userId, inhalt: `Sie sind seit ${seit} eingestempelt. Bitte stempeln Sie aus.` }] : []),
+        ...admins
+          .filter(admin => !ma || String(admin._id) !== String(ma.userId))
+          .map(admin => ({ id: admin._id, inhalt: `${name} ist seit ${seit} eingestempelt und hat vermutlich das Ausstempeln vergessen.` }))
+      ];
+
+      await Benachrichtigung.insertMany(empfaenger.map(({ id, inhalt }) => ({
+        empfaenger: id,
+        titel: `Offene Schicht: ${name}`,
+        inhalt,
+        typ: 'warnung',
+        linkUrl: '/zeiterfassung/stempeln',
+        bezug: { typ: 'mitarbeiter', id: ma ? ma._id : undefined }
+      })));
+      stempelung.erinnertAm = stichtag;
+      await stempelung.save();
+    }
+    return { erinnert: offen.length };
+  }
+}
+
+module.exports = StempelService;
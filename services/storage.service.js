@@ -0,0 +1,138 @@
+// services/storage.service.js - Einheitlicher Zugriff auf hochgeladene Dateien
+// Alle Dateireferenzen (Upload.pfad, File.filePath, Umzug/Aufnahme/Mitarbeiter.dokumente[].pfad,
+// Aufnahme.bilder, Mitarbeiter.profilbild, Fahrzeug.bild) speichern einen treiberunabhängigen
+// Schlüssel wie "dokument/1700000000000-ab12cd34ef56.pdf". Ältere Pfade der Form
+// "/uploads/<datei>" oder "uploads/<datei>" werden weiterhin verstanden.
+const crypto = require('crypto');
+const path = require('path');
+const storageConfig = require('../config/storage.config');
+const LokalerSpeicher = require('./storage/lokal.driver');
+const S3Speicher = require('./storage/s3.driver');
+const { AppError } = require('../utils/error.utils');
+
+const TREIBER = {
+  lokal: () => new LokalerSpeicher(storageConfig.lokal),
+  s3: () => new S3Speicher(storageConfig.s3)
+};
+
+let aktiverTreiber = null;
+
+class StorageService {
+  /**
+   * Create a storage driver by name
+   * @param {String} name - 'lokal' or 's3'
+   */
+  static erstelleTreiber(name = storageConfig.treiber) {
+    if (!TREIBER[name]) {
+      throw new Error(`Unbekannter Speicher-Treiber "${name}" (erlaubt: ${Object.keys(TREIBER).join(', ')})`);
+    }
+    return TREIBER[name]();
+  }
+
+  /**
+   * The configured driver (created on first use)
+   */
+  static treiber() {
+    if (!aktiverTreiber) {
+      aktiverTreiber = StorageService.erstelleTreiber();
+    }
+    return aktiverTreiber;
+  }
+
+  /**
+   * Replace the active driver (migration, tests)
+   */
+  static setzeTreiber(treiber) {
+    aktiverTreiber = treiber;
+  }
+
+  /**
+   * Normalise a stored reference to a storage key
+   * @param {String} pfad - Key or legacy path ("/uploads/x.pdf", "uploads/x.pdf", absolute path)
+   * @returns {String} Key without leading slash or "uploads/" prefix
+   */
+  static schluesselAusPfad(pfad) {
+    if (!pfad || typeof pfad !== 'string') {
+      throw new AppError('Kein Dateipfad angegeben', 400);
+    }
+
+    let schluessel = pfad.replace(/\\/g, '/');
+    const lokal = storageConfig.lokal.verzeichnis.replace(/\\/g, '/');
+    if (schluessel.startsWith(`${lokal}/`)) {
+      schluessel = schluessel.slice(lokal.length + 1);
+    }
+    schluessel = schluessel.replace(/^\.?\/+/, '').replace(/^uploads\//, '');
+
+    const segmente = schluessel.split('/');
+    if (!schluessel || segmente.some(segment => !segment || segment === '.' || segment === '..')) {
+      throw new AppError('Ungültiger Dateipfad', 400);
+    }
+    return schluessel;
+  }
+
+  /**
+   * Whether a reference still uses the legacy "/uploads/..." form
+   */
+  static istAlterPfad(pfad) {
+    return /^(\.?\/)?uploads\//.test(String(pfad).replace(/\\/g, '/')) || path.isAbsolute(String(pfad));
+  }
+
+  /**
+   * Generate a unique key inside a folder, keeping the original extension
+   * @param {String} ordner - e.g. "dokument", "profile-images"
+   * @param {String} originalname - Original file name
+   */
+  static erzeugeSchluessel(ordner, originalname = '') {
+    const endung = path.extname(originalname).toLowerCase().replace(/[^a-z0-9.]/g, '');
+    const name = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${endung}`;
+    return ordner ? `${ordner.replace(/^\/+|\/+$/g, '')}/${name}` : name;
+  }
+
+  /**
+   * Persist a file received by multer (memory storage)
+   * @param {Object} datei - req.file with buffer, originalname, mimetype
+   * @param {String} ordner - Target folder
+   * @returns {Promise<Object>} { schluessel, groesse }
+   */
+  static async speichereUpload(datei, ordner) {
+    if (!datei || !datei.buffer) {
+      throw new AppError('Keine Datei hochgeladen', 400);
+    }
+    const schluessel = StorageService.erzeugeSchluessel(ordner, datei.originalname);
+    return StorageService.treiber().speichern(schluessel, datei.buffer, { mimetype: datei.mimetype });
+  }
+
+  static speichern(pfad, inhalt, optionen = {}) {
+    return StorageService.treiber().speichern(StorageService.schluesselAusPfad(pfad), inhalt, optionen);
+  }
+
+  static lesen(pfad) {
+    return StorageService.treiber().lesen(StorageService.schluesselAusPfad(pfad));
+  }
+
+  static info(pfad) {
+    return StorageService.treiber().info(StorageService.schluesselAusPfad(pfad));
+  }
+
+  static existiert(pfad) {
+    return StorageService.treiber().existiert(StorageService.schluesselAusPfad(pfad));
+  }
+
+  static loeschen(pfad) {
+    return StorageService.treiber().loeschen(StorageService.schluesselAusPfad(pfad));
+  }
+
+  /**
+   * Validate a reference sent by a client before it is attached to a document
+   * @returns {Promise<String>} Normalised key
+   */
+  static async pruefeReferenz(pfad) {
+    const schluessel = StorageService.schluesselAusPfad(pfad);
+    if (!await StorageService.treiber().existiert(schluessel)) {
+      throw new AppError('Die Datei wurde im Speicher nicht gefunden. Bitte zuerst über /api/uploads hochladen.', 400);
+    }
+    return schluessel;
+  }
+}
+
+module.exports = StorageService;
@@ -0,0 +1,89 @@
+// services/storage/lokal.driver.js - Dateiablage im lokalen Dateisystem
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { AppError, createNotFoundError } = require('../../utils/error.utils');
+
+class LokalerSpeicher {
+  /**
+   * @param {Object} config - storageConfig.lokal
+   */
+  constructor({ verzeichnis }) {
+    this.name = 'lokal';
+    this.verzeichnis = path.resolve(verzeichnis);
+  }
+
+  /**
+   * Resolve a key to an absolute path inside the storage directory
+   * @param {String} schluessel - Storage key, e.g. "dokument/1700000000000-ab12.pdf"
+   * @returns {String} Absolute file path
+   */
+  dateipfad(schluessel) {
+    const ziel = path.resolve(this.verzeichnis, schluessel);
+    if (!ziel.startsWith(this.verzeichnis + path.sep)) {
+      throw new AppError('Ungültiger Speicherschlüssel', 400);
+    }
+    return ziel;
+  }
+
+  /**
+   * Store a buffer or readable stream under the given key
+   * @returns {Promise<Object>} { schluessel, groesse }
+   */
+  async speichern(schluessel, inhalt) {
+    const ziel = this.dateipfad(schluessel);
+    await fs.promises.mkdir(path.dirname(ziel), { recursive: true });
+
+    if (Buffer.isBuffer(inhalt)) {
+      await fs.promises.writeFile(ziel, inhalt);
+    } else {
+      await pipeline(inhalt, fs.createWriteStream(ziel));
+    }
+
+    const { size } = await fs.promises.stat(ziel);
+    return { schluessel, groesse: size };
+  }
+
+  /**
+   * Open a stored file for reading
+   * @returns {Promise<ReadableStream>}
+   */
+  async lesen(schluessel) {
+    if (!await this.info(schluessel)) {
+      throw createNotFoundError('Datei');
+    }
+    return fs.createReadStream(this.dateipfad(schluessel));
+  }
+
+  /**
+   * Size and modification date of a stored file, null if it does not exist
+   */
+  async info(schluessel) {
+    try {
+      const stat = await fs.promises.stat(this.dateipfad(schluessel));
+      return stat.isFile() ? { groesse: stat.size, geaendert: stat.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async existiert(schluessel) {
+    return Boolean(await this.info(schluessel));
+  }
+
+  // Löschen ist idempotent: eine bereits fehlende Datei ist kein Fehler
+  async loeschen(schluessel) {
+    try {
+      await fs.promises.unlink(this.dateipfad(schluessel));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = LokalerSpeicher;
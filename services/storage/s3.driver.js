@@ -0,0 +1,189 @@
+// services/storage/s3.driver.js - Dateiablage in einem S3-kompatiblen Objektspeicher
+// Spricht die S3-REST-API direkt an (Signatur Version 4), damit AWS, MinIO und andere
+// Anbieter ohne zusätzliches SDK genutzt werden können.
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { AppError, createNotFoundError } = require('../../utils/error.utils');
+
+const LEERER_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256 = (daten) => crypto.createHash('sha256').update(daten).digest('hex');
+const hmac = (schluessel, daten) => crypto.createHmac('sha256', schluessel).update(daten).digest();
+
+// URI-Kodierung nach RFC 3986, wie sie die Signatur verlangt
+const kodiere = (wert) => encodeURIComponent(wert)
+  .replace(/[!'()*]/g, zeichen => `%${zeichen.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const amzDatum = (datum) => datum.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+const zuBuffer = async (inhalt) => {
+  if (Buffer.isBuffer(inhalt)) {
+    return inhalt;
+  }
+  const teile = [];
+  for await (const teil of inhalt) {
+    teile.push(Buffer.isBuffer(teil) ? teil : Buffer.from(teil));
+  }
+  return Buffer.concat(teile);
+};
+
+class S3Speicher {
+  /**
+   * @param {Object} config - storageConfig.s3
+   */
+  constructor({ endpoint, region, bucket, accessKeyId, secretAccessKey, pathStyle }) {
+    if (!accessKeyId || !secretAccessKey) {
+      throw new Error('S3_ACCESS_KEY_ID und S3_SECRET_ACCESS_KEY sind für den S3-Speicher erforderlich');
+    }
+    this.name = 's3';
+    this.basis = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.pathStyle = pathStyle;
+  }
+
+  /**
+   * Host and request path for an object key
+   * @returns {Object} { host, pfad }
+   */
+  ziel(schluessel) {
+    const objekt = schluessel.split('/').map(kodiere).join('/');
+    const praefix = this.basis.pathname.replace(/\/$/, '');
+
+    if (this.pathStyle) {
+      return { host: this.basis.host, pfad: `${praefix}/${kodiere(this.bucket)}/${objekt}` };
+    }
+    return { host: `${this.bucket}.${this.basis.host}`, pfad: `${praefix}/${objekt}` };
+  }
+
+  /**
+   * Sign a request with AWS Signature Version 4
+   * @param {Object} anfrage - { methode, host, pfad, headers, payloadHash, datum }
+   * @returns {Object} Headers including x-amz-date, x-amz-content-sha256 and Authorization
+   */
+  signiere({ methode, host, pfad, headers = {}, payloadHash = LEERER_HASH, datum = new Date() }) {
+    const zeitpunkt = amzDatum(datum);
+    const tag = zeitpunkt.slice(0, 8);
+    const bereich = `${tag}/${this.region}/s3/aws4_request`;
+
+    const alle = {
+      ...headers,
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': zeitpunkt
+    };
+    const namen = Object.keys(alle).map(name => name.toLowerCase()).sort();
+    const werte = Object.fromEntries(Object.entries(alle).map(([name, wert]) => [name.toLowerCase(), String(wert).trim()]));
+    const signierteHeader = namen.join(';');
+
+    const kanonisch = [
+      methode,
+      pfad,
+      '',
+      namen.map(name => `${name}:${werte[name]}\n`).join(''),
+      signierteHeader,
+      payloadHash
+    ].join('\n');
+
+    const zuSignieren = ['AWS4-HMAC-SHA256', zeitpunkt, bereich, sha256(kanonisch)].join('\n');
+
+    const signaturSchluessel = ['s3', 'aws4_request'].reduce(
+      (schluessel, teil) => hmac(schluessel, teil),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, tag), this.region)
+    );
+    const signatur = crypto.createHmac('sha256', signaturSchluessel).update(zuSignieren).digest('hex');
+
+    return {
+      ...alle,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${bereich},SignedHeaders=${signierteHeader},Signature=${signatur}`
+    };
+  }
+
+  /**
+   * Send a signed request; resolves with the (unconsumed) response for 2xx and 404
+   */
+  anfrage(methode, schluessel, { body, headers = {} } = {}) {
+    const { host, pfad } = this.ziel(schluessel);
+    const signiert = this.signiere({
+      methode,
+      host,
+      pfad,
+      headers: body ? { ...headers, 'content-length': body.length } : headers,
+      payloadHash: body ? sha256(body) : LEERER_HASH
+    });
+    const client = this.basis.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request({
+        protocol: this.basis.protocol,
+        hostname: this.pathStyle ? this.basis.hostname : `${this.bucket}.${this.basis.hostname}`,
+        port: this.basis.port || undefined,
+        method: methode,
+        path: pfad,
+        headers: signiert
+      }, (res) => {
+        if (res.statusCode < 300 || res.statusCode === 404) {
+          return resolve(res);
+        }
+
+        let antwort = '';
+        res.setEncoding('utf8');
+        res.on('data', teil => { antwort += teil; });
+        res.on('end', () => {
+          const code = (antwort.match(/<Code>([^<]+)<\/Code>/) || [])[1] || res.statusCode;
+          reject(new AppError(`S3-Speicher: ${methode} ${schluessel} fehlgeschlagen (${code})`, 502));
+        });
+      });
+
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  async speichern(schluessel, inhalt, { mimetype } = {}) {
+    const body = await zuBuffer(inhalt);
+    const res = await this.anfrage('PUT', schluessel, {
+      body,
+      headers: { 'content-type': mimetype || 'application/octet-stream' }
+    });
+    res.resume();
+    return { schluessel, groesse: body.length };
+  }
+
+  async lesen(schluessel) {
+    const res = await this.anfrage('GET', schluessel);
+    if (res.statusCode === 404) {
+      res.resume();
+      throw createNotFoundError('Datei');
+    }
+    return res;
+  }
+
+  async info(schluessel) {
+    const res = await this.anfrage('HEAD', schluessel);
+    res.resume();
+    if (res.statusCode === 404) {
+      return null;
+    }
+    return {
+      groesse: parseInt(res.headers['content-length'], 10),
+      geaendert: res.headers['last-modified'] ? new Date(res.headers['last-modified']) : null,
+      mimetype: res.headers['content-type']
+    };
+  }
+
+  async existiert(schluessel) {
+    return Boolean(await this.info(schluessel));
+  }
+
+  // S3 beantwortet DELETE auf fehlende Objekte mit 204, Löschen ist damit idempotent
+  async loeschen(schluessel) {
+    const res = await this.anfrage('DELETE', schluessel);
+    res.resume();
+  }
+}
+
+module.exports = S3Speicher;
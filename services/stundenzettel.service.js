@@ -0,0 +1,441 @@
+/**
+ * stundenzettel.service.js - Monatlicher Stundenzettel je Mitarbeiter und Lohnexport
+ * Ist-Stunden stammen aus den projektbezogenen Zeiterfassungen und den Arbeitszeiten des
+ * Mitarbeiters; überschneidet sich eine Arbeitszeit mit einer Zeiterfassung, zählt nur die
+ * Zeiterfassung. Sollstunden ergeben sich aus den vertraglichen Wochenstunden, verteilt auf die
+ * Arbeitstage des Monats ohne Feiertage. Zuschläge (Nacht, Sonntag, Feiertag) werden
+ * minutengenau nach §3b EStG ermittelt und als Stunden je Zuschlagsart ausgewiesen.
+ */
+
+const Mitarbeiter = require('../models/mitarbeiter.model');
+const Zeiterfassung = require('../models/zeiterfassung.model');
+const DatevService = require('./datev.service');
+const lohnConfig = require('../config/lohn.config');
+const { feiertag, datumSchluessel } = require('../utils/feiertage.utils');
+const { AppError, createNotFoundError } = require('../utils/error.utils');
+
+const ZUSCHLAGSARTEN = ['nacht25', 'nacht40', 'sonntag', 'feiertag125', 'feiertag150'];
+const WOCHENTAGE = ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'];
+const MINUTE = 60 * 1000;
+
+const runden = (wert) => Math.round((Number(wert) || 0) * 100) / 100;
+
+const minutenVon = (zeit) => {
+  const [stunden, minuten] = String(zeit).split(':').map(Number);
+  return stunden * 60 + (minuten || 0);
+};
+
+const zeitpunkt = (datum, zeit) => {
+  const d = new Date(datum);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate(), 0, minutenVon(zeit));
+};
+
+// ISO-Wochentag (1 = Montag ... 7 = Sonntag)
+const isoWochentag = (datum) => new Date(datum).getDay() || 7;
+
+const tagesbeginn = (datum) => new Date(datum.getFullYear(), datum.getMonth(), datum.getDate());
+
+class StundenzettelService {
+  /**
+   * Start and end of a month
+   * @param {String} monat - YYYY-MM
+   * @returns {Object} { von, bis }
+   */
+  static zeitraum(monat) {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(monat || '')) {
+      throw new AppError('Monat muss im Format JJJJ-MM angegeben werden', 400);
+    }
+    const [jahr, nummer] = monat.split('-').map(Number);
+    return { von: new Date(jahr, nummer - 1, 1), bis: new Date(jahr, nummer, 0, 23, 59, 59, 999) };
+  }
+
+  /**
+   * Build a shift with absolute start, end and breaks. Shifts ending before their start end on the
+   * next day. If only the break duration is known, the break is placed in the middle of the shift.
+   * @param {Object} eintrag - { datum, startzeit, endzeit, pausen: [{ start, ende }] | pauseMinuten, ... }
+   * @returns {Object} { beginn, ende, pausen: [{ beginn, ende }], pauseMinuten, ... }
+   */
+  static schicht(eintrag) {
+    const beginn = zeitpunkt(eintrag.datum, eintrag.startzeit);
+    let ende = zeitpunkt(eintrag.datum, eintrag.endzeit);
+    if (ende <= beginn) {
+      ende = new Date(ende.getTime() + 24 * 60 * MINUTE);
+    }
+
+    let pausen;
+    if (Array.isArray(eintrag.pausen)) {
+      pausen = eintrag.pausen
+        .filter(pause => pause.start && pause.ende)
+        .map(pause => {
+          let pauseBeginn = zeitpunkt(eintrag.datum, pause.start);
+          if (pauseBeginn < beginn) pauseBeginn = new Date(pauseBeginn.getTime() + 24 * 60 * MINUTE);
+          let pauseEnde = zeitpunkt(pauseBeginn, pause.ende);
+          if (pauseEnde < pauseBeginn) pauseEnde = new Date(pauseEnde.getTime() + 24 * 60 * MINUTE);
+          return { beginn: pauseBeginn, ende: pauseEnde };
+        });
+    } else {
+      const dauer = (ende - beginn) / MINUTE;
+      const pauseMinuten = Math.min(Math.max(Number(eintrag.pauseMinuten) || 0, 0), dauer);
+      const pauseBeginn = new Date(beginn.getTime() + Math.floor((dauer - pauseMinuten) / 2) * MINUTE);
+      pausen = pauseMinuten > 0
+        ? [{ beginn: pauseBeginn, ende: new Date(pauseBeginn.getTime() + pauseMinuten * MINUTE) }]
+        : [];
+    }
+
+    const pauseMinuten = pausen.reduce((summe, pause) => summe + (pause.ende - pause.beginn) / MINUTE, 0);
+    return {
+      datum: tagesbeginn(beginn),
+      beginn,
+      ende,
+      pausen,
+      pauseMinuten,
+      minuten: (ende - beginn) / MINUTE - pauseMinuten,
+      quelle: eintrag.quelle,
+      projekt: eintrag.projekt,
+      taetigkeit: eintrag.taetigkeit
+    };
+  }
+
+  /**
+   * Combine time entries and working times into shifts ordered by start
+   * @param {Array} zeiterfassungen - Zeiterfassung documents (projektId optionally populated)
+   * @param {Array} arbeitszeiten - Mitarbeiter.arbeitszeiten
+   * @returns {Array} Shifts
+   */
+  static schichten(zeiterfassungen = [], arbeitszeiten = []) {
+    const projektName = (projekt) => {
+      if (!projekt) return '';
+      if (projekt.auftraggeber && projekt.auftraggeber.name) return projekt.auftraggeber.name;
+      return projekt.kundennummer || '';
+    };
+
+    const erfasst = zeiterfassungen.map(eintrag => this.schicht({
+      datum: eintrag.datum,
+      startzeit: eintrag.startzeit,
+      endzeit: eintrag.endzeit,
+      pauseMinuten: eintrag.pause,
+      quelle: 'zeiterfassung',
+      projekt: projektName(eintrag.projektId),
+      taetigkeit: eintrag.taetigkeit
+    }));
+
+    const ueberschneidet = (schicht) => erfasst.some(andere => schicht.beginn < andere.ende && andere.beginn < schicht.ende);
+    const zusaetzlich = arbeitszeiten
+      .map(eintrag => this.schicht({
+        datum: eintrag.datum,
+        startzeit: eintrag.startzeit,
+        endzeit: eintrag.endzeit,
+        pausen: eintrag.pausen || [],
+        quelle: 'arbeitszeit',
+        taetigkeit: eintrag.notizen
+      }))
+      .filter(schicht => !ueberschneidet(schicht));
+
+    return [...erfasst, ...zusaetzlich].sort((a, b) => a.beginn - b.beginn);
+  }
+
+  /**
+   * Surcharge minutes of a shift (§3b EStG): night work 20-6 h (0-4 h with higher rate when the
+   * shift started before midnight), Sundays, public holidays; 24.12. from 14 h, 25./26.12. and 1.5.
+   * with the higher holiday rate, 31.12. from 14 h like a holiday. Sundays and holidays do not add up,
+   * night surcharges are paid in addition.
+   * @param {Object} schicht - Shift
+   * @param {String} bundesland - State code for public holidays
+   * @returns {Object} Minutes per surcharge type
+   */
+  static zuschlagsminuten(schicht, bundesland) {
+    const ergebnis = Object.fromEntries(ZUSCHLAGSARTEN.map(art => [art, 0]));
+    const inPause = (zeit) => schicht.pausen.some(pause => zeit >= pause.beginn && zeit < pause.ende);
+
+    for (let zeit = new Date(schicht.beginn); zeit < schicht.ende; zeit = new Date(zeit.getTime() + MINUTE)) {
+      if (inPause(zeit)) {
+        continue;
+      }
+      const stunde = zeit.getHours();
+      const monat = zeit.getMonth();
+      const tag = zeit.getDate();
+
+      if ((monat === 11 && (tag === 25 || tag === 26)) || (monat === 11 && tag === 24 && stunde >= 14)
+        || (monat === 4 && tag === 1)) {
+        ergebnis.feiertag150++;
+      } else if (feiertag(zeit, bundesland) || (monat === 11 && tag === 31 && stunde >= 14)) {
+        ergebnis.feiertag125++;
+      } else if (zeit.getDay() === 0) {
+        ergebnis.sonntag++;
+      }
+
+      if (stunde < 4 && schicht.beginn < tagesbeginn(zeit)) {
+        ergebnis.nacht40++;
+      } else if (stunde >= 20 || stunde < 6) {
+        ergebnis.nacht25++;
+      }
+    }
+
+    return ergebnis;
+  }
+
+  /**
+   * Target working days and hours of a month from the contract working time
+   * @param {String} monat - YYYY-MM
+   * @param {Object} mitarbeiter - Mitarbeiter (arbeitszeit, einstellungsdatum, austrittsdatum)
+   * @param {String} bundesland - State code
+   * @returns {Object} { arbeitstage, stunden, feiertage: [{ datum, name }] }
+   */
+  static soll(monat, mitarbeiter, bundesland) {
+    const { von, bis } = this.zeitraum(monat);
+    const arbeitszeit = mitarbeiter.arbeitszeit || {};
+    const arbeitstage = arbeitszeit.arbeitstage && arbeitszeit.arbeitstage.length > 0
+      ? arbeitszeit.arbeitstage
+      : [1, 2, 3, 4, 5];
+    const wochenstunden = arbeitszeit.wochenstunden !== undefined ? arbeitszeit.wochenstunden : 40;
+    const beginn = mitarbeiter.einstellungsdatum ? tagesbeginn(new Date(mitarbeiter.einstellungsdatum)) : null;
+    const austritt = mitarbeiter.austrittsdatum ? tagesbeginn(new Date(mitarbeiter.austrittsdatum)) : null;
+
+    let tage = 0;
+    const feiertage = [];
+    for (let datum = new Date(von); datum <= bis; datum.setDate(datum.getDate() + 1)) {
+      if ((beginn && datum < beginn) || (austritt && datum > austritt) || !arbeitstage.includes(isoWochentag(datum))) {
+        continue;
+      }
+      const name = feiertag(datum, bundesland);
+      if (name) {
+        feiertage.push({ datum: new Date(datum), name });
+      } else {
+        tage++;
+      }
+    }
+
+    return {
+      arbeitstage: tage,
+      stunden: runden(tage * wochenstunden / arbeitstage.length),
+      feiertage
+    };
+  }
+
+  /**
+   * Compute the timesheet of an employee for a month
+   * @param {Object} mitarbeiter - Mitarbeiter document
+   * @param {String} monat - YYYY-MM
+   * @param {Array} zeiterfassungen - Zeiterfassung entries of the month
+   * @param {Object} config - Payroll configuration
+   * @returns {Object} Timesheet with days, totals, surcharges, Minijob check and hints
+   */
+  static berechnen(mitarbeiter, monat, zeiterfassungen = [], config = lohnConfig) {
+    const { von, bis } = this.zeitraum(monat);
+    const bundesland = mitarbeiter.bundesland || config.bundesland;
+    const hinweise = [];
+    if (!bundesland) {
+      hinweise.push('Kein Bundesland hinterlegt - nur bundesweite Feiertage berücksichtigt');
+    }
+
+    const arbeitszeiten = (mitarbeiter.arbeitszeiten || []).filter(eintrag => {
+      const datum = new Date(eintrag.datum);
+      return datum >= von && datum <= bis;
+    });
+    const schichten = this.schichten(zeiterfassungen, arbeitszeiten)
+      .filter(schicht => schicht.beginn >= von && schicht.beginn <= bis);
+
+    const zuschlaege = Object.fromEntries(ZUSCHLAGSARTEN.map(art => [art, 0]));
+    const jeTag = new Map();
+    schichten.forEach(schicht => {
+      const minuten = this.zuschlagsminuten(schicht, bundesland);
+      ZUSCHLAGSARTEN.forEach(art => { zuschlaege[art] += minuten[art]; });
+      const schluessel = datumSchluessel(schicht.datum);
+      if (!jeTag.has(schluessel)) jeTag.set(schluessel, []);
+      jeTag.get(schluessel).push(schicht);
+    });
+
+    const tage = [];
+    for (let datum = new Date(von); datum <= bis; datum.setDate(datum.getDate() + 1)) {
+      const tagesSchichten = jeTag.get(datumSchluessel(datum)) || [];
+      tage.push({
+        datum: new Date(datum),
+        wochentag: WOCHENTAGE[datum.getDay()],
+        feiertag: feiertag(datum, bundesland),
+        schichten: tagesSchichten.map(schicht => ({
+          beginn: schicht.beginn,
+          ende: schicht.ende,
+          pauseMinuten: schicht.pauseMinuten,
+          stunden: runden(schicht.minuten / 60),
+          quelle: schicht.quelle,
+          projekt: schicht.projekt,
+          taetigkeit: schicht.taetigkeit
+        })),
+        stunden: runden(tagesSchichten.reduce((summe, schicht) => summe + schicht.minuten, 0) / 60)
+      });
+    }
+
+    const soll = this.soll(monat, mitarbeiter, bundesland);
+    const ist = runden(schichten.reduce((summe, schicht) => summe + schicht.minuten, 0) / 60);
+    const arbeitszeit = mitarbeiter.arbeitszeit || {};
+    const stundensatz = mitarbeiter.gehalt && mitarbeiter.gehalt.stundensatz;
+
+    // Minijob: Höchststunden aus Verdienstgrenze und Stundenlohn (steuerfreie Zuschläge zählen nicht mit)
+    let minijob = null;
+    if (arbeitszeit.beschaeftigungsart === 'Minijob') {
+      const satz = stundensatz || config.minijob.mindestlohn;
+      const hoechststunden = Math.floor(config.minijob.verdienstgrenze / satz * 100) / 100;
+      minijob = {
+        verdienstgrenze: config.minijob.verdienstgrenze,
+        stundensatz: satz,
+        hoechststunden,
+        verdienst: runden(ist * satz),
+        ueberschritten: ist > hoechststunden
+      };
+      if (!stundensatz) {
+        hinweise.push('Kein Stundensatz hinterlegt - Höchststunden nach Mindestlohn berechnet');
+      } else if (stundensatz < config.minijob.mindestlohn) {
+        hinweise.push(`Stundensatz liegt unter dem Mindestlohn von ${config.minijob.mindestlohn} €`);
+      }
+      if (minijob.ueberschritten) {
+        hinweise.push(`Minijob-Grenze überschritten: ${ist} von höchstens ${hoechststunden} Stunden`);
+      }
+    }
+
+    return {
+      monat,
+      mitarbeiter: {
+        _id: mitarbeiter._id,
+        name: `${mitarbeiter.vorname} ${mitarbeiter.nachname}`,
+        personalnummer: mitarbeiter.personalnummer || '',
+        beschaeftigungsart: arbeitszeit.beschaeftigungsart || 'Vollzeit',
+        wochenstunden: arbeitszeit.wochenstunden !== undefined ? arbeitszeit.wochenstunden : 40
+      },
+      bundesland: bundesland || '',
+      tage,
+      summen: {
+        soll: soll.stunden,
+        ist,
+        ueberstunden: runden(ist - soll.stunden),
+        sollArbeitstage: soll.arbeitstage,
+        arbeitstage: tage.filter(tag => tag.schichten.length > 0).length,
+        feiertage: soll.feiertage,
+        zuschlaege: Object.fromEntries(ZUSCHLAGSARTEN.map(art => [art, runden(zuschlaege[art] / 60)]))
+      },
+      zuschlagssaetze: config.zuschlaege,
+      minijob,
+      hinweise
+    };
+  }
+
+  /**
+   * Load the data of an employee and compute the timesheet
+   * @param {String} mitarbeiterId - Mitarbeiter ID
+   * @param {String} monat - YYYY-MM
+   * @returns {Promise<Object>} Timesheet
+   */
+  static async erstellen(mitarbeiterId, monat) {
+    const { von, bis } = this.zeitraum(monat);
+    const mitarbeiter = await Mitarbeiter.findById(mitarbeiterId);
+    if (!mitarbeiter) {
+      throw createNotFoundError('Mitarbeiter');
+    }
+
+    const zeiterfassungen = await Zeiterfassung.find({ mitarbeiterId, datum: { $gte: von, $lte: bis } })
+      .populate('projektId', 'kundennummer auftraggeber.name')
+      .sort({ datum: 1, startzeit: 1 });
+
+    return this.berechnen(mitarbeiter, monat, zeiterfassungen);
+  }
+
+  /**
+   * Payroll rows of a timesheet: worked hours, overtime and hours per surcharge type
+   * @param {Object} stundenzettel - Result of berechnen
+   * @param {Object} lohnarten - Wage type numbers
+   * @returns {Array} [{ lohnart, bezeichnung, stunden, tage }]
+   */
+  static lohnzeilen(stundenzettel, lohnarten = lohnConfig.lohnarten) {
+    const { summen } = stundenzettel;
+    const zeilen = [];
+    if (summen.ist > 0) {
+      zeilen.push({ lohnart: lohnarten.stunden, bezeichnung: 'Arbeitsstunden', stunden: summen.ist, tage: summen.arbeitstage });
+    }
+    if (summen.ueberstunden > 0) {
+      zeilen.push({ lohnart: lohnarten.ueberstunden, bezeichnung: 'Überstunden', stunden: summen.ueberstunden });
+    }
+    const bezeichnungen = {
+      nacht25: 'Nachtzuschlag',
+      nacht40: 'Nachtzuschlag 0-4 Uhr',
+      sonntag: 'Sonntagszuschlag',
+      feiertag125: 'Feiertagszuschlag',
+      feiertag150: 'Feiertagszuschlag erhöht'
+    };
+    ZUSCHLAGSARTEN.forEach(art => {
+      if (summen.zuschlaege[art] > 0) {
+        zeilen.push({ lohnart: lohnarten[art], bezeichnung: bezeichnungen[art], stunden: summen.zuschlaege[art] });
+      }
+    });
+    return zeilen;
+  }
+
+  /**
+   * CSV with movement data for DATEV Lohn und Gehalt (ASCII import, semicolon separated,
+   * Windows-1252). Columns: Personalnummer; Abrechnungsmonat; Lohnart; Stunden; Tage; Betrag;
+   * Kostenstelle; Bezeichnung
+   * @param {Array} stundenzettel - Timesheets of the month
+   * @param {Object} lohnarten - Wage type numbers
+   * @returns {Buffer}
+   */
+  static lohnCsv(stundenzettel, lohnarten = lohnConfig.lohnarten) {
+    const zahl = (wert) => (wert === undefined || wert === null ? '' : DatevService.formatBetrag(wert));
+    const zeilen = ['Personalnummer;Abrechnungsmonat;Lohnart;Stunden;Tage;Betrag;Kostenstelle;Bezeichnung'];
+
+    stundenzettel.forEach(zettel => {
+      const [jahr, monat] = zettel.monat.split('-');
+      this.lohnzeilen(zettel, lohnarten).forEach(zeile => {
+        zeilen.push([
+          zettel.mitarbeiter.personalnummer,
+          `${monat}/${jahr}`,
+          zeile.lohnart,
+          zahl(zeile.stunden),
+          zeile.tage !== undefined ? String(zeile.tage) : '',
+          '',
+          '',
+          `"${zeile.bezeichnung}"`
+        ].join(';'));
+      });
+    });
+
+    return DatevService.kodieren(zeilen.join('\r\n') + '\r\n');
+  }
+
+  /**
+   * Payroll export of all employees employed in the month
+   * @param {String} monat - YYYY-MM
+   * @returns {Promise<Object>} { inhalt, dateiname, anzahl, ohnePersonalnummer: [name] }
+   */
+  static async lohnExport(monat) {
+    const { von, bis } = this.zeitraum(monat);
+    const mitarbeiter = await Mitarbeiter.find({
+      $and: [
+        { $or: [{ isActive: true }, { austrittsdatum: { $gte: von } }] },
+        { $or: [{ einstellungsdatum: { $exists: false } }, { einstellungsdatum: null }, { einstellungsdatum: { $lte: bis } }] }
+      ]
+    }).sort({ personalnummer: 1, nachname: 1 });
+
+    const zeiterfassungen = await Zeiterfassung.find({
+      mitarbeiterId: { $in: mitarbeiter.map(ma => ma._id) },
+      datum: { $gte: von, $lte: bis }
+    });
+
+    const stundenzettel = mitarbeiter.map(ma => this.berechnen(
+      ma,
+      monat,
+      zeiterfassungen.filter(eintrag => String(eintrag.mitarbeiterId) === String(ma._id))
+    ));
+
+    const mitStunden = stundenzettel.filter(zettel => this.lohnzeilen(zettel).length > 0);
+    const exportierbar = mitStunden.filter(zettel => zettel.mitarbeiter.personalnummer);
+
+    return {
+      inhalt: this.lohnCsv(exportierbar),
+      dateiname: `Lohn_Bewegungsdaten_${monat}.csv`,
+      anzahl: exportierbar.length,
+      ohnePersonalnummer: mitStunden
+        .filter(zettel => !zettel.mitarbeiter.personalnummer)
+        .map(zettel => zettel.mitarbeiter.name)
+    };
+  }
+}
+
+module.exports = StundenzettelService;
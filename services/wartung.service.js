@@ -0,0 +1,460 @@
+/**
+ * wartung.service.js - Wartungsbuch und TÜV-Fristen der Fahrzeuge
+ * Berechnet Fälligkeiten aus Intervallen nach Kilometern und Monaten, erinnert die Disposition
+ * vor Ablauf, sperrt Fahrzeuge am Werkstatttag (Status 'In Wartung') und bucht die Kosten
+ * abgeschlossener Wartungen als Projektkosten der Kategorie 'Fahrzeuge'.
+ */
+
+const Fahrzeug = require('../models/fahrzeug.model');
+const Wartung = require('../models/wartung.model');
+const Projektkosten = require('../models/projektkosten.model');
+const User = require('../models/user');
+const Benachrichtigung = require('../models/benachrichtigung.model');
+const wartungConfig = require('../config/wartung.config');
+const { AppError, createNotFoundError } = require('../utils/error.utils');
+
+const TAG_MS = 24 * 60 * 60 * 1000;
+
+const tagesbeginn = (datum) => {
+  const d = new Date(datum);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const tagesende = (datum) => {
+  const d = new Date(datum);
+  d.setHours(23, 59, 59, 999);
+  return d;
+};
+
+const addMonate = (datum, monate) => {
+  const d = new Date(datum);
+  const tag = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + monate);
+  // 31.01. + 1 Monat = 28./29.02.
+  d.setDate(Math.min(tag, new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate()));
+  return d;
+};
+
+// Ganze Kalendertage zwischen zwei Zeitpunkten (negativ = in der Vergangenheit)
+const tageBis = (von, bis) => Math.round((tagesbeginn(bis) - tagesbeginn(von)) / TAG_MS);
+
+// YYYY-MM-DD in lokaler Zeit
+const tagesschluessel = (datum) => {
+  const d = new Date(datum);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const fahrzeugName = (fahrzeug) => `${fahrzeug.bezeichnung} (${fahrzeug.kennzeichen})`;
+
+const km = (wert) => `${Number(wert).toLocaleString('de-DE')} km`;
+
+class WartungService {
+  /**
+   * Due dates of all maintenance rules of a vehicle
+   * @param {Object} fahrzeug - Fahrzeug document
+   * @param {Date} stichtag - Reference date
+   * @param {Object} config - Maintenance configuration
+   * @returns {Array} [{ art, faelligAm, faelligBeiKm, restTage, restKm, status }] sorted by urgency;
+   *   status is 'ueberfaellig', 'bald' or 'ok'
+   */
+  static faelligkeiten(fahrzeug, stichtag = new Date(), config = wartungConfig) {
+    const eintraege = [];
+    const kilometerstand = fahrzeug.kilometerstand || 0;
+
+    (fahrzeug.wartungsintervalle || [])
+      .filter(intervall => intervall.art !== 'Hauptuntersuchung')
+      .forEach(intervall => {
+        const basis = intervall.letzteDurchfuehrung || fahrzeug.anschaffungsdatum;
+        eintraege.push({
+          art: intervall.art,
+          faelligAm: intervall.monate && basis ? addMonate(basis, intervall.monate) : null,
+          faelligBeiKm: intervall.kilometer ? (intervall.letzterKilometerstand || 0) + intervall.kilometer : null
+        });
+      });
+
+    // Ohne Intervall gelten die am Fahrzeug gepflegten Termine
+    if (fahrzeug.naechsterService && !eintraege.some(eintrag => eintrag.art === 'Inspektion')) {
+      eintraege.push({ art: 'Inspektion', faelligAm: new Date(fahrzeug.naechsterService), faelligBeiKm: null });
+    }
+    if (fahrzeug.tuev) {
+      eintraege.push({ art: 'Hauptuntersuchung', faelligAm: new Date(fahrzeug.tuev), faelligBeiKm: null });
+    }
+
+    const vorlaufTage = Math.max(...config.vorlaufTage);
+    return eintraege
+      .filter(eintrag => eintrag.faelligAm || eintrag.faelligBeiKm)
+      .map(eintrag => {
+        const restTage = eintrag.faelligAm ? tageBis(stichtag, eintrag.faelligAm) : null;
+        const restKm = eintrag.faelligBeiKm ? eintrag.faelligBeiKm - kilometerstand : null;
+
+        let status = 'ok';
+        if ((restTage !== null && restTage < 0) || (restKm !== null && restKm <= 0)) {
+          status = 'ueberfaellig';
+        } else if ((restTage !== null && restTage <= vorlaufTage) || (restKm !== null && restKm <= config.vorlaufKilometer)) {
+          status = 'bald';
+        }
+
+        return { ...eintrag, restTage, restKm, status };
+      })
+      .sort((a, b) => {
+        const rang = { ueberfaellig: 0, bald: 1, ok: 2 };
+        return rang[a.status] - rang[b.status] || (a.restTage ?? Infinity) - (b.restTage ?? Infinity);
+      });
+  }
+
+  /**
+   * Reminders that are due for a vehicle and have not been sent yet
+   * @param {Object} fahrzeug - Fahrzeug document (with erinnerungen)
+   * @param {Date} stichtag - Reference date
+   * @param {Object} config - Maintenance configuration
+   * @returns {Array} [{ art, faelligkeit, stufe, titel, inhalt, typ }]
+   *   stufe is the lead time in days that was reached (0 = overdue); for kilometre rules 1 = approaching
+   */
+  static offeneErinnerungen(fahrzeug, stichtag = new Date(), config = wartungConfig) {
+    const gesendet = new Set((fahrzeug.erinnerungen || []).map(e => `${e.art}|${e.faelligkeit}|${e.stufe}`));
+    const name = fahrzeugName(fahrzeug);
+    const ergebnis = [];
+
+    this.faelligkeiten(fahrzeug, stichtag, config).forEach(eintrag => {
+      if (eintrag.restTage !== null && eintrag.restTage <= Math.max(...config.vorlaufTage)) {
+        const stufe = eintrag.restTage < 0 ? 0 : Math.min(...config.vorlaufTage.filter(tage => eintrag.restTage <= tage));
+        const datum = eintrag.faelligAm.toLocaleDateString('de-DE');
+        ergebnis.push({
+          art: eintrag.art,
+          faelligkeit: tagesschluessel(eintrag.faelligAm),
+          stufe,
+          titel: stufe === 0 ? `${eintrag.art} überfällig: ${fahrzeug.kennzeichen}` : `${eintrag.art} fällig: ${fahrzeug.kennzeichen}`,
+          inhalt: stufe === 0
+            ? `${eintrag.art} für ${name} war am ${datum} fällig.`
+            : `${eintrag.art} für ${name} ist am ${datum} fällig (in ${eintrag.restTage} Tagen).`,
+          typ: stufe === 0 ? 'warnung' : 'erinnerung'
+        });
+      }
+
+      if (eintrag.restKm !== null && eintrag.restKm <= config.vorlaufKilometer) {
+        const stufe = eintrag.restKm <= 0 ? 0 : 1;
+        ergebnis.push({
+          art: eintrag.art,
+          faelligkeit: `km:${eintrag.faelligBeiKm}`,
+          stufe,
+          titel: stufe === 0 ? `${eintrag.art} überfällig: ${fahrzeug.kennzeichen}` : `${eintrag.art} fällig: ${fahrzeug.kennzeichen}`,
+          inhalt: stufe === 0
+            ? `${eintrag.art} für ${name} war bei ${km(eintrag.faelligBeiKm)} fällig (aktuell ${km(fahrzeug.kilometerstand || 0)}).`
+            : `${eintrag.art} für ${name} ist bei ${km(eintrag.faelligBeiKm)} fällig (noch ${km(eintrag.restKm)}).`,
+          typ: stufe === 0 ? 'warnung' : 'erinnerung'
+        });
+      }
+    });
+
+    return ergebnis.filter(erinnerung => !gesendet.has(`${erinnerung.art}|${erinnerung.faelligkeit}|${erinnerung.stufe}`));
+  }
+
+  /**
+   * Interval rule and vehicle dates after a completed maintenance
+   * @param {Object} fahrzeug - Fahrzeug document (modified in place, not saved)
+   * @param {Object} wartung - Completed Wartung
+   * @param {Object} config - Maintenance configuration
+   */
+  static uebernehmeDurchfuehrung(fahrzeug, wartung, config = wartungConfig) {
+    const datum = wartung.durchgefuehrtAm || new Date();
+
+    if (wartung.kilometerstand > (fahrzeug.kilometerstand || 0)) {
+      fahrzeug.kilometerstand = wartung.kilometerstand;
+    }
+
+    const intervall = (fahrzeug.wartungsintervalle || []).find(eintrag => eintrag.art === wartung.art);
+    if (intervall) {
+      intervall.letzteDurchfuehrung = datum;
+      if (wartung.kilometerstand !== undefined && wartung.kilometerstand !== null) {
+        intervall.letzterKilometerstand = wartung.kilometerstand;
+      }
+    }
+
+    if (wartung.art === 'Hauptuntersuchung') {
+      const monate = (intervall && intervall.monate) || config.huMonate[fahrzeug.typ] || 24;
+      fahrzeug.tuev = addMonate(datum, monate);
+    }
+    if (wartung.art === 'Inspektion' && intervall && intervall.monate) {
+      fahrzeug.naechsterService = addMonate(datum, intervall.monate);
+    }
+
+    // Erinnerungen zu erledigten Fälligkeiten werden nicht mehr benötigt
+    fahrzeug.erinnerungen = (fahrzeug.erinnerungen || []).filter(erinnerung => erinnerung.art !== wartung.art);
+  }
+
+  /**
+   * Planned maintenance appointments overlapping a period
+   * @param {Date} von - Period start
+   * @param {Date} bis - Period end
+   * @param {Array} fahrzeugIds - Optional restriction to vehicles
+   * @returns {Promise<Array>} Wartung documents (fahrzeug, art, termin, terminBis)
+   */
+  static termineImZeitraum(von, bis, fahrzeugIds = null) {
+    const filter = {
+      status: 'geplant',
+      termin: { $lte: tagesende(bis) },
+      $or: [
+        { terminBis: { $gte: tagesbeginn(von) } },
+        { terminBis: null, termin: { $gte: tagesbeginn(von) } }
+      ]
+    };
+    if (fahrzeugIds) {
+      filter.fahrzeug = { $in: fahrzeugIds };
+    }
+    return Wartung.find(filter).select('fahrzeug art termin terminBis werkstatt');
+  }
+
+  /**
+   * Whether an appointment blocks a vehicle within a period (day precision)
+   */
+  static blockiert(wartung, von, bis) {
+    return tagesbeginn(wartung.termin) <= tagesende(bis)
+      && tagesende(wartung.terminBis || wartung.termin) >= tagesbeginn(von);
+  }
+
+  /**
+   * Schedule a maintenance appointment; a vehicle due today is blocked immediately
+   * @param {String} fahrzeugId - Fahrzeug ID
+   * @param {Object} daten - { art, termin, terminBis, werkstatt, beschreibung, kosten }
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Created Wartung
+   */
+  static async planen(fahrzeugId, daten, user) {
+    const fahrzeug = await Fahrzeug.findById(fahrzeugId);
+    if (!fahrzeug) {
+      throw createNotFoundError('Fahrzeug');
+    }
+
+    const wartung = await Wartung.create({
+      ...daten,
+      fahrzeug: fahrzeug._id,
+      status: 'geplant',
+      erstelltVon: user && (user._id || user.id)
+    });
+
+    if (this.blockiert(wartung, new Date(), new Date())) {
+      await this.sperren(fahrzeug);
+    }
+    return wartung;
+  }
+
+  /**
+   * Record a maintenance that has already been performed (e.g. an unplanned repair)
+   * @param {String} fahrzeugId - Fahrzeug ID
+   * @param {Object} daten - Appointment and completion data, see planen and abschliessen
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} { wartung, fahrzeug, projektkosten }
+   */
+  static async erfassen(fahrzeugId, daten, user) {
+    const { art, termin, terminBis, durchgefuehrtAm, werkstatt, beschreibung } = daten;
+    if (!await Fahrzeug.exists({ _id: fahrzeugId })) {
+      throw createNotFoundError('Fahrzeug');
+    }
+
+    const wartung = new Wartung({
+      fahrzeug: fahrzeugId,
+      art,
+      termin: termin || durchgefuehrtAm,
+      terminBis,
+      werkstatt,
+      beschreibung,
+      erstelltVon: user && (user._id || user.id)
+    });
+    return this.abschliessen(wartung, daten, user);
+  }
+
+  /**
+   * Complete a planned maintenance: update the vehicle, book the costs and release the vehicle
+   * @param {Object} wartung - Wartung document
+   * @param {Object} daten - { durchgefuehrtAm, kilometerstand, kosten, werkstatt, beschreibung }
+   * @param {Object} user - Current user (booked as erstelltVon of the costs)
+   * @returns {Promise<Object>} { wartung, fahrzeug, projektkosten }
+   */
+  static async abschliessen(wartung, daten, user) {
+    if (wartung.status !== 'geplant') {
+      throw new AppError(`Die Wartung ist bereits ${wartung.status}`, 400);
+    }
+
+    const fahrzeug = await Fahrzeug.findById(wartung.fahrzeug);
+    if (!fahrzeug) {
+      throw createNotFoundError('Fahrzeug');
+    }
+
+    const { durchgefuehrtAm, kilometerstand, kosten, werkstatt, beschreibung } = daten;
+    wartung.status = 'erledigt';
+    wartung.durchgefuehrtAm = durchgefuehrtAm || new Date();
+    wartung.abgeschlossenVon = user && (user._id || user.id);
+    if (kilometerstand !== undefined) wartung.kilometerstand = kilometerstand;
+    Object.entries(kosten || {}).forEach(([feld, wert]) => wartung.set(`kosten.${feld}`, wert));
+    Object.entries(werkstatt || {}).forEach(([feld, wert]) => wartung.set(`werkstatt.${feld}`, wert));
+    if (beschreibung !== undefined) wartung.beschreibung = beschreibung;
+
+    let projektkosten = null;
+    if (wartung.kosten && wartung.kosten.betrag > 0) {
+      projektkosten = await this.bucheKosten(wartung, fahrzeug, user);
+      wartung.projektkosten = projektkosten._id;
+    }
+
+    try {
+      await wartung.save();
+    } catch (error) {
+      if (projektkosten) {
+        await Projektkosten.deleteOne({ _id: projektkosten._id }).catch(() => {});
+      }
+      throw error;
+    }
+
+    this.uebernehmeDurchfuehrung(fahrzeug, wartung);
+    await this.freigeben(fahrzeug, { speichern: false });
+    await fahrzeug.save();
+
+    return { wartung, fahrzeug, projektkosten };
+  }
+
+  /**
+   * Book the costs of a maintenance as Projektkosten (kategorie 'Fahrzeuge')
+   * @returns {Promise<Object>} Created Projektkosten
+   */
+  static bucheKosten(wartung, fahrzeug, user) {
+    const beschreibung = [
+      wartung.werkstatt && wartung.werkstatt.name ? `Werkstatt: ${wartung.werkstatt.name}` : null,
+      wartung.kosten.rechnungsnummer ? `Rechnung ${wartung.kosten.rechnungsnummer}` : null,
+      wartung.kilometerstand ? `Kilometerstand ${km(wartung.kilometerstand)}` : null,
+      wartung.beschreibung || null
+    ].filter(Boolean).join(', ');
+
+    return Projektkosten.create({
+      bezeichnung: `${wartung.art} ${fahrzeug.kennzeichen}`,
+      kategorie: 'Fahrzeuge',
+      betrag: wartung.kosten.betrag,
+      steuersatz: wartung.kosten.steuersatz,
+      datum: wartung.durchgefuehrtAm,
+      beschreibung,
+      erstelltVon: user._id || user.id
+    });
+  }
+
+  /**
+   * Cancel a planned maintenance and release the vehicle if it was blocked for it
+   * @param {Object} wartung - Wartung document
+   */
+  static async stornieren(wartung) {
+    if (wartung.status !== 'geplant') {
+      throw new AppError(`Die Wartung ist bereits ${wartung.status}`, 400);
+    }
+    wartung.status = 'storniert';
+    await wartung.save();
+
+    const fahrzeug = await Fahrzeug.findById(wartung.fahrzeug);
+    if (fahrzeug) {
+      await this.freigeben(fahrzeug);
+    }
+    return wartung;
+  }
+
+  /**
+   * Block a vehicle for its workshop day; only available vehicles are blocked, a vehicle that is
+   * still on a move is blocked by the next check after it has been reported back as available
+   */
+  static async sperren(fahrzeug) {
+    if (fahrzeug.status !== 'Verfügbar') {
+      return false;
+    }
+    fahrzeug.status = 'In Wartung';
+    await fahrzeug.save();
+    return true;
+  }
+
+  /**
+   * Release a vehicle blocked for maintenance unless another appointment still covers today
+   * @param {Object} fahrzeug - Fahrzeug document
+   * @param {Object} options - { speichern }
+   */
+  static async freigeben(fahrzeug, { speichern = true } = {}) {
+    if (fahrzeug.status !== 'In Wartung') {
+      return false;
+    }
+    const heute = new Date();
+    const weitere = await this.termineImZeitraum(heute, heute, [fahrzeug._id]);
+    if (weitere.length > 0) {
+      return false;
+    }
+    fahrzeug.status = 'Verfügbar';
+    if (speichern) {
+      await fahrzeug.save();
+    }
+    return true;
+  }
+
+  /**
+   * Scheduled check: block vehicles with a workshop appointment today and send due reminders
+   * @param {Date} stichtag - Reference date
+   * @returns {Promise<Object>} { gesperrt: [kennzeichen], erinnerungen: Number }
+   */
+  static async pruefung(stichtag = new Date()) {
+    const gesperrt = [];
+    const termine = await this.termineImZeitraum(stichtag, stichtag);
+    for (const termin of termine) {
+      const fahrzeug = await Fahrzeug.findById(termin.fahrzeug);
+      if (fahrzeug && await this.sperren(fahrzeug)) {
+        gesperrt.push(fahrzeug.kennzeichen);
+      }
+    }
+
+    const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+    const fahrzeuge = await Fahrzeug.find({ isActive: true });
+    let anzahl = 0;
+
+    for (const fahrzeug of fahrzeuge) {
+      const offen = this.offeneErinnerungen(fahrzeug, stichtag);
+      if (offen.length === 0) {
+        continue;
+      }
+
+      if (admins.length > 0) {
+        await Benachrichtigung.insertMany(offen.flatMap(erinnerung => admins.map(admin => ({
+          empfaenger: admin._id,
+          titel: erinnerung.titel,
+          inhalt: erinnerung.inhalt,
+          typ: erinnerung.typ,
+          linkUrl: `/fahrzeuge/${fahrzeug._id}`,
+          bezug: { typ: 'fahrzeug', id: fahrzeug._id }
+        }))));
+      }
+
+      offen.forEach(({ art, faelligkeit, stufe }) => fahrzeug.erinnerungen.push({ art, faelligkeit, stufe, am: stichtag }));
+      await fahrzeug.save();
+      anzahl += offen.length;
+    }
+
+    // Werkstatttermine von morgen an die Disposition melden
+    const morgen = new Date(tagesbeginn(stichtag).getTime() + TAG_MS);
+    const anstehend = await Wartung.find({
+      status: 'geplant',
+      terminErinnert: false,
+      termin: { $gte: morgen, $lte: tagesende(morgen) }
+    }).populate('fahrzeug', 'kennzeichen bezeichnung');
+    for (const wartung of anstehend) {
+      if (admins.length > 0 && wartung.fahrzeug) {
+        const werkstatt = wartung.werkstatt && wartung.werkstatt.name ? ` bei ${wartung.werkstatt.name}` : '';
+        await Benachrichtigung.insertMany(admins.map(admin => ({
+          empfaenger: admin._id,
+          titel: `Werkstatttermin morgen: ${wartung.fahrzeug.kennzeichen}`,
+          inhalt: `${fahrzeugName(wartung.fahrzeug)} ist morgen zur ${wartung.art}${werkstatt} und steht nicht zur Verfügung.`,
+          typ: 'erinnerung',
+          linkUrl: `/fahrzeuge/${wartung.fahrzeug._id}`,
+          bezug: { typ: 'fahrzeug', id: wartung.fahrzeug._id }
+        })));
+        anzahl += 1;
+      }
+      wartung.terminErinnert = true;
+      await wartung.save();
+    }
+
+    return { gesperrt, erinnerungen: anzahl };
+  }
+}
+
+module.exports = WartungService;
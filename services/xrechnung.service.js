@@ -0,0 +1,563 @@
+/**
+ * xrechnung.service.js - Elektronische Rechnungen nach EN 16931
+ * Erzeugt XRechnung 3.0 in UBL- oder CII-Syntax sowie das CII-XML für ZUGFeRD/Factur-X
+ * (Profil EN 16931) und prüft vorab die Pflichtfelder (Business Terms, BT) inklusive
+ * der nationalen Geschäftsregeln der XRechnung (BR-DE).
+ */
+
+const companyConfig = require('../config/company.config');
+const PdfService = require('./pdf.service');
+const { AppError } = require('../utils/error.utils');
+
+const XRECHNUNG_KENNUNG = 'urn:cen.eu:en16931:2017#compliant#urn:xeinkauf.de:kosit:xrechnung_3.0';
+const EN16931_KENNUNG = 'urn:cen.eu:en16931:2017';
+const PEPPOL_PROZESS = 'urn:fdc:peppol.eu:2017:poacc:billing:01:1.0';
+
+// Einheiten nach UN/ECE Recommendation 20
+const EINHEITEN = {
+  'Stück': 'C62',
+  Stunden: 'HUR',
+  // Kurzform der Angebote aus Aufnahmen
+  'Std.': 'HUR',
+  Pauschale: 'LS',
+  'm²': 'MTK',
+  'm³': 'MTQ',
+  km: 'KMT',
+  kg: 'KGM'
+};
+
+const LAENDER = {
+  deutschland: 'DE',
+  oesterreich: 'AT',
+  'österreich': 'AT',
+  schweiz: 'CH',
+  niederlande: 'NL',
+  belgien: 'BE',
+  luxemburg: 'LU',
+  frankreich: 'FR',
+  polen: 'PL',
+  tschechien: 'CZ',
+  'dänemark': 'DK',
+  italien: 'IT',
+  spanien: 'ES'
+};
+
+// Steuerbefreite Positionen (0 %) werden als Kategorie E mit Befreiungsgrund ausgewiesen
+const BEFREIUNGSGRUND = 'Steuerfreie Leistung';
+
+const runden = (wert) => Math.round((Number(wert) || 0) * 100) / 100;
+
+const betrag = (wert) => runden(wert).toFixed(2);
+
+const escape = (wert) => String(wert)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const attribute = (attrs) => Object.keys(attrs)
+  .filter(name => attrs[name] !== undefined && attrs[name] !== null && attrs[name] !== '')
+  .map(name => ` ${name}="${escape(attrs[name])}"`)
+  .join('');
+
+// Blattelement mit Textinhalt; leere Werte entfallen
+const wert = (name, inhalt, attrs = {}) => (
+  inhalt === undefined || inhalt === null || inhalt === ''
+    ? ''
+    : `<${name}${attribute(attrs)}>${escape(inhalt)}</${name}>`
+);
+
+// Element mit Unterelementen; ohne Inhalt entfällt es (außer bei `leerErlaubt`)
+const knoten = (name, kinder, attrs = {}, leerErlaubt = false) => {
+  const inhalt = kinder.filter(Boolean).join('\n');
+  if (!inhalt) {
+    return leerErlaubt ? `<${name}${attribute(attrs)}/>` : '';
+  }
+  return `<${name}${attribute(attrs)}>\n${inhalt.replace(/^/gm, '  ')}\n</${name}>`;
+};
+
+const zweistellig = (zahl) => String(zahl).padStart(2, '0');
+
+// YYYY-MM-DD (UBL)
+const isoDatum = (datum) => {
+  if (!datum) return '';
+  const d = new Date(datum);
+  return `${d.getFullYear()}-${zweistellig(d.getMonth() + 1)}-${zweistellig(d.getDate())}`;
+};
+
+// YYYYMMDD (CII, Format 102)
+const ciiDatum = (datum) => isoDatum(datum).replace(/-/g, '');
+
+class XRechnungService {
+  /**
+   * Map a country name or code to an ISO 3166-1 alpha-2 code
+   * @param {String} land - Country name (e.g. 'Deutschland') or code
+   * @returns {String} - Country code or empty string
+   */
+  static laendercode(land) {
+    if (!land) return '';
+    const text = String(land).trim();
+    if (/^[A-Za-z]{2}$/.test(text)) return text.toUpperCase();
+    return LAENDER[text.toLowerCase()] || '';
+  }
+
+  /**
+   * Collect all invoice data in EN 16931 terms
+   * @param {Object} rechnung - Rechnung (kunde and umzug populated)
+   * @param {Object} firma - Company master data
+   * @returns {Object} - Normalised invoice data
+   */
+  static erfasseDaten(rechnung, firma = companyConfig) {
+    const kunde = rechnung.kunde && rechnung.kunde.name ? rechnung.kunde : {};
+    const kundenAdresse = kunde.address || {};
+    const eRechnung = kunde.eInvoice || {};
+    const umzug = rechnung.umzug && rechnung.umzug.startDatum ? rechnung.umzug : null;
+    const bank = rechnung.bankverbindung && rechnung.bankverbindung.iban
+      ? rechnung.bankverbindung
+      : firma.bankverbindung;
+    const { positionen, rabatt } = PdfService.normalisiereRechnung(rechnung);
+
+    // Steueraufschlüsselung aus den gerundeten Positionsbeträgen (BR-CO-10, BR-S-8)
+    const gruppen = new Map();
+    const zeilen = positionen.map((pos, index) => {
+      const kategorie = pos.steuersatz > 0 ? 'S' : 'E';
+      const schluessel = `${kategorie}-${pos.steuersatz}`;
+      const gruppe = gruppen.get(schluessel) || { kategorie, satz: pos.steuersatz, basis: 0 };
+      gruppe.basis = runden(gruppe.basis + pos.netto);
+      gruppen.set(schluessel, gruppe);
+
+      return {
+        id: String(index + 1),
+        name: pos.bezeichnung,
+        beschreibung: pos.beschreibung,
+        menge: pos.menge,
+        einheit: EINHEITEN[pos.einheit] || 'C62',
+        preis: runden(pos.einzelpreis),
+        netto: pos.netto,
+        kategorie,
+        satz: pos.steuersatz
+      };
+    });
+
+    // Rabatt als Nachlass auf Belegebene (BG-20), angerechnet auf den höchsten Steuersatz
+    const sortiert = Array.from(gruppen.values()).sort((a, b) => b.satz - a.satz);
+    const nachlass = rabatt > 0 && sortiert.length > 0
+      ? { betrag: rabatt, grund: 'Rabatt', kategorie: sortiert[0].kategorie, satz: sortiert[0].satz }
+      : null;
+    if (nachlass) {
+      sortiert[0].basis = runden(sortiert[0].basis - nachlass.betrag);
+    }
+
+    const steuern = sortiert
+      .map(gruppe => ({
+        ...gruppe,
+        betrag: runden(gruppe.basis * gruppe.satz / 100),
+        befreiungsgrund: gruppe.kategorie === 'E' ? BEFREIUNGSGRUND : undefined
+      }));
+
+    const summePositionen = runden(zeilen.reduce((summe, zeile) => summe + zeile.netto, 0));
+    const summeSteuern = runden(steuern.reduce((summe, gruppe) => summe + gruppe.betrag, 0));
+    const summeNetto = runden(summePositionen - (nachlass ? nachlass.betrag : 0));
+
+    return {
+      nummer: rechnung.rechnungNummer,
+      datum: rechnung.ausstellungsdatum,
+      typcode: '380',
+      waehrung: 'EUR',
+      faelligkeit: rechnung.faelligkeitsdatum,
+      zahlungsbedingungen: rechnung.zahlungsbedingungen,
+      notiz: rechnung.notizen,
+      kaeuferreferenz: rechnung.kaeuferreferenz || eRechnung.buyerReference,
+      leistungszeitraum: {
+        von: (rechnung.leistungszeitraum && rechnung.leistungszeitraum.von) || (umzug && umzug.startDatum),
+        bis: (rechnung.leistungszeitraum && rechnung.leistungszeitraum.bis) || (umzug && (umzug.endDatum || umzug.startDatum))
+      },
+      verkaeufer: {
+        name: firma.name,
+        strasse: firma.adresse.strasse,
+        plz: firma.adresse.plz,
+        ort: firma.adresse.ort,
+        land: this.laendercode(firma.adresse.land),
+        ustId: firma.steuer.ustId,
+        steuernummer: firma.steuer.steuernummer,
+        handelsregister: [firma.handelsregister.nummer, firma.handelsregister.gericht].filter(Boolean).join(', '),
+        email: firma.kontakt.email,
+        kontakt: {
+          name: firma.kontakt.ansprechpartner,
+          telefon: firma.kontakt.telefon,
+          email: firma.kontakt.email
+        }
+      },
+      kaeufer: {
+        name: kunde.name,
+        strasse: kundenAdresse.street,
+        plz: kundenAdresse.zipCode,
+        ort: kundenAdresse.city,
+        land: this.laendercode(kundenAdresse.country || 'Deutschland'),
+        ustId: eRechnung.vatId,
+        email: eRechnung.electronicAddress || kunde.email,
+        kontakt: kunde.contactPerson
+      },
+      zahlung: {
+        code: '58', // SEPA-Überweisung
+        verwendungszweck: rechnung.rechnungNummer,
+        iban: bank.iban ? bank.iban.replace(/\s+/g, '') : '',
+        bic: bank.bic,
+        kontoinhaber: bank.kontoinhaber || firma.name
+      },
+      positionen: zeilen,
+      nachlass,
+      steuern,
+      summen: {
+        positionen: summePositionen,
+        nachlaesse: nachlass ? nachlass.betrag : 0,
+        netto: summeNetto,
+        steuer: summeSteuern,
+        brutto: runden(summeNetto + summeSteuern),
+        faellig: runden(summeNetto + summeSteuern)
+      }
+    };
+  }
+
+  /**
+   * Check the mandatory business terms of an invoice
+   * @param {Object} rechnung - Rechnung (kunde and umzug populated)
+   * @param {Object} options - { profil: 'xrechnung' | 'en16931', firma }
+   * @returns {Array<Object>} - Missing or invalid fields ({ bt, field, message }), empty if valid
+   */
+  static validiere(rechnung, options = {}) {
+    const { profil = 'xrechnung', firma = companyConfig } = options;
+    const daten = this.erfasseDaten(rechnung, firma);
+    const fehler = [];
+    const pruefe = (bedingung, bt, field, message) => {
+      if (!bedingung) fehler.push({ bt, field, message });
+    };
+
+    pruefe(daten.nummer, 'BT-1', 'rechnungNummer', 'Rechnungsnummer fehlt');
+    pruefe(daten.datum, 'BT-2', 'ausstellungsdatum', 'Rechnungsdatum fehlt');
+    pruefe(daten.faelligkeit || daten.zahlungsbedingungen, 'BT-9',
+      'faelligkeitsdatum', 'Fälligkeitsdatum oder Zahlungsbedingungen (BT-20) fehlen');
+
+    pruefe(daten.verkaeufer.name, 'BT-27', 'FIRMA_NAME', 'Name des Verkäufers fehlt');
+    pruefe(daten.verkaeufer.land, 'BT-40', 'FIRMA_LAND', 'Ländercode des Verkäufers fehlt');
+    pruefe(daten.verkaeufer.ustId || daten.verkaeufer.steuernummer, 'BT-31',
+      'FIRMA_USTID', 'USt-IdNr. (BT-31) oder Steuernummer (BT-32) des Verkäufers fehlt');
+
+    pruefe(daten.kaeufer.name, 'BT-44', 'kunde', 'Name des Käufers fehlt');
+    pruefe(daten.kaeufer.land, 'BT-55', 'kunde.address.country', 'Ländercode des Käufers fehlt');
+
+    pruefe(daten.positionen.length > 0, 'BG-25', 'positionsliste', 'Mindestens eine Rechnungsposition ist erforderlich');
+    daten.positionen.forEach((pos, index) => {
+      pruefe(pos.name, 'BT-153', `positionsliste[${index}].bezeichnung`, `Position ${pos.id}: Bezeichnung fehlt`);
+      pruefe(pos.menge, 'BT-129', `positionsliste[${index}].menge`, `Position ${pos.id}: Menge fehlt`);
+      pruefe(pos.preis >= 0, 'BT-146', `positionsliste[${index}].einzelpreis`, `Position ${pos.id}: Preis darf nicht negativ sein`);
+      pruefe([0, 7, 19].includes(pos.satz), 'BT-152', `positionsliste[${index}].steuersatz`,
+        `Position ${pos.id}: Steuersatz ${pos.satz} % ist nicht zulässig`);
+    });
+
+    if (profil === 'xrechnung') {
+      pruefe(daten.kaeuferreferenz, 'BT-10', 'kaeuferreferenz', 'Käuferreferenz (Leitweg-ID) fehlt (BR-DE-15)');
+      pruefe(daten.verkaeufer.email, 'BT-34', 'FIRMA_EMAIL', 'Elektronische Adresse des Verkäufers fehlt');
+      pruefe(daten.verkaeufer.strasse, 'BT-35', 'FIRMA_STRASSE', 'Straße des Verkäufers fehlt');
+      pruefe(daten.verkaeufer.ort, 'BT-37', 'FIRMA_ORT', 'Ort des Verkäufers fehlt (BR-DE-3)');
+      pruefe(daten.verkaeufer.plz, 'BT-38', 'FIRMA_PLZ', 'Postleitzahl des Verkäufers fehlt (BR-DE-4)');
+      pruefe(daten.verkaeufer.kontakt.name, 'BT-41', 'FIRMA_ANSPRECHPARTNER', 'Ansprechpartner des Verkäufers fehlt (BR-DE-5)');
+      pruefe(daten.verkaeufer.kontakt.telefon, 'BT-42', 'FIRMA_TELEFON', 'Telefonnummer des Verkäufers fehlt (BR-DE-6)');
+      pruefe(daten.verkaeufer.kontakt.email, 'BT-43', 'FIRMA_EMAIL', 'E-Mail-Adresse des Verkäufers fehlt (BR-DE-7)');
+      pruefe(daten.kaeufer.email, 'BT-49', 'kunde.eInvoice.electronicAddress', 'Elektronische Adresse des Käufers fehlt');
+      pruefe(daten.kaeufer.ort, 'BT-52', 'kunde.address.city', 'Ort des Käufers fehlt (BR-DE-8)');
+      pruefe(daten.kaeufer.plz, 'BT-53', 'kunde.address.zipCode', 'Postleitzahl des Käufers fehlt (BR-DE-9)');
+      pruefe(daten.zahlung.iban, 'BT-84', 'bankverbindung.iban', 'IBAN für die Überweisung fehlt (BR-DE-23)');
+    }
+
+    return fehler;
+  }
+
+  /**
+   * Check an invoice before it is sent and reject it if its e-invoice would be invalid
+   * Only applies to customers that receive e-invoices (kunde.eInvoice.format)
+   * @param {Object} rechnung - Rechnung document
+   * @throws {AppError} - 400 with the list of missing business terms
+   */
+  static async pruefeVersand(rechnung) {
+    if (rechnung.kunde && !rechnung.populated('kunde')) {
+      await rechnung.populate('kunde');
+    }
+    if (rechnung.umzug && !rechnung.populated('umzug')) {
+      await rechnung.populate('umzug', 'startDatum endDatum');
+    }
+
+    const format = rechnung.kunde && rechnung.kunde.eInvoice && rechnung.kunde.eInvoice.format;
+    if (!format || format === 'none') {
+      return;
+    }
+
+    const fehler = this.validiere(rechnung, { profil: format === 'zugferd' ? 'en16931' : 'xrechnung' });
+    if (fehler.length > 0) {
+      throw new AppError('Die Rechnung erfüllt nicht die Pflichtangaben der E-Rechnung und kann nicht versendet werden', 400, fehler);
+    }
+  }
+
+  /**
+   * Render an invoice as XRechnung in UBL 2.1 syntax
+   * @param {Object} rechnung - Rechnung (kunde and umzug populated)
+   * @param {Object} firma - Company master data
+   * @returns {String} - XML document
+   */
+  static erzeugeUbl(rechnung, firma = companyConfig) {
+    const d = this.erfasseDaten(rechnung, firma);
+    const eur = { currencyID: d.waehrung };
+    const steuerkategorie = (name, kategorie, satz, befreiungsgrund) => knoten(name, [
+      wert('cbc:ID', kategorie),
+      wert('cbc:Percent', satz),
+      wert('cbc:TaxExemptionReason', befreiungsgrund),
+      knoten('cac:TaxScheme', [wert('cbc:ID', 'VAT')])
+    ]);
+    const adresse = (partei) => knoten('cac:PostalAddress', [
+      wert('cbc:StreetName', partei.strasse),
+      wert('cbc:CityName', partei.ort),
+      wert('cbc:PostalZone', partei.plz),
+      knoten('cac:Country', [wert('cbc:IdentificationCode', partei.land)])
+    ]);
+    const steuerregistrierung = (id, schema) => (id
+      ? knoten('cac:PartyTaxScheme', [wert('cbc:CompanyID', id), knoten('cac:TaxScheme', [wert('cbc:ID', schema)])])
+      : '');
+
+    const inhalt = [
+      wert('cbc:CustomizationID', XRECHNUNG_KENNUNG),
+      wert('cbc:ProfileID', PEPPOL_PROZESS),
+      wert('cbc:ID', d.nummer),
+      wert('cbc:IssueDate', isoDatum(d.datum)),
+      wert('cbc:DueDate', isoDatum(d.faelligkeit)),
+      wert('cbc:InvoiceTypeCode', d.typcode),
+      wert('cbc:Note', d.notiz),
+      wert('cbc:DocumentCurrencyCode', d.waehrung),
+      wert('cbc:BuyerReference', d.kaeuferreferenz),
+      d.leistungszeitraum.von ? knoten('cac:InvoicePeriod', [
+        wert('cbc:StartDate', isoDatum(d.leistungszeitraum.von)),
+        wert('cbc:EndDate', isoDatum(d.leistungszeitraum.bis))
+      ]) : '',
+      knoten('cac:AccountingSupplierParty', [knoten('cac:Party', [
+        wert('cbc:EndpointID', d.verkaeufer.email, { schemeID: 'EM' }),
+        adresse(d.verkaeufer),
+        steuerregistrierung(d.verkaeufer.ustId, 'VAT'),
+        steuerregistrierung(d.verkaeufer.steuernummer, 'FC'),
+        knoten('cac:PartyLegalEntity', [
+          wert('cbc:RegistrationName', d.verkaeufer.name),
+          wert('cbc:CompanyID', d.verkaeufer.handelsregister)
+        ]),
+        knoten('cac:Contact', [
+          wert('cbc:Name', d.verkaeufer.kontakt.name),
+          wert('cbc:Telephone', d.verkaeufer.kontakt.telefon),
+          wert('cbc:ElectronicMail', d.verkaeufer.kontakt.email)
+        ])
+      ])]),
+      knoten('cac:AccountingCustomerParty', [knoten('cac:Party', [
+        wert('cbc:EndpointID', d.kaeufer.email, { schemeID: 'EM' }),
+        adresse(d.kaeufer),
+        steuerregistrierung(d.kaeufer.ustId, 'VAT'),
+        knoten('cac:PartyLegalEntity', [wert('cbc:RegistrationName', d.kaeufer.name)]),
+        knoten('cac:Contact', [wert('cbc:Name', d.kaeufer.kontakt)])
+      ])]),
+      knoten('cac:PaymentMeans', [
+        wert('cbc:PaymentMeansCode', d.zahlung.code),
+        wert('cbc:PaymentID', d.zahlung.verwendungszweck),
+        d.zahlung.iban ? knoten('cac:PayeeFinancialAccount', [
+          wert('cbc:ID', d.zahlung.iban),
+          wert('cbc:Name', d.zahlung.kontoinhaber),
+          d.zahlung.bic ? knoten('cac:FinancialInstitutionBranch', [wert('cbc:ID', d.zahlung.bic)]) : ''
+        ]) : ''
+      ]),
+      knoten('cac:PaymentTerms', [wert('cbc:Note', d.zahlungsbedingungen)]),
+      d.nachlass ? knoten('cac:AllowanceCharge', [
+        wert('cbc:ChargeIndicator', 'false'),
+        wert('cbc:AllowanceChargeReason', d.nachlass.grund),
+        wert('cbc:Amount', betrag(d.nachlass.betrag), eur),
+        steuerkategorie('cac:TaxCategory', d.nachlass.kategorie, d.nachlass.satz)
+      ]) : '',
+      knoten('cac:TaxTotal', [
+        wert('cbc:TaxAmount', betrag(d.summen.steuer), eur),
+        ...d.steuern.map(gruppe => knoten('cac:TaxSubtotal', [
+          wert('cbc:TaxableAmount', betrag(gruppe.basis), eur),
+          wert('cbc:TaxAmount', betrag(gruppe.betrag), eur),
+          steuerkategorie('cac:TaxCategory', gruppe.kategorie, gruppe.satz, gruppe.befreiungsgrund)
+        ]))
+      ]),
+      knoten('cac:LegalMonetaryTotal', [
+        wert('cbc:LineExtensionAmount', betrag(d.summen.positionen), eur),
+        wert('cbc:TaxExclusiveAmount', betrag(d.summen.netto), eur),
+        wert('cbc:TaxInclusiveAmount', betrag(d.summen.brutto), eur),
+        d.nachlass ? wert('cbc:AllowanceTotalAmount', betrag(d.summen.nachlaesse), eur) : '',
+        wert('cbc:PayableAmount', betrag(d.summen.faellig), eur)
+      ]),
+      ...d.positionen.map(pos => knoten('cac:InvoiceLine', [
+        wert('cbc:ID', pos.id),
+        wert('cbc:InvoicedQuantity', pos.menge, { unitCode: pos.einheit }),
+        wert('cbc:LineExtensionAmount', betrag(pos.netto), eur),
+        knoten('cac:Item', [
+          wert('cbc:Description', pos.beschreibung),
+          wert('cbc:Name', pos.name),
+          steuerkategorie('cac:ClassifiedTaxCategory', pos.kategorie, pos.satz)
+        ]),
+        knoten('cac:Price', [wert('cbc:PriceAmount', betrag(pos.preis), eur)])
+      ]))
+    ];
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + knoten('ubl:Invoice', inhalt, {
+      'xmlns:ubl': 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+      'xmlns:cac': 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+      'xmlns:cbc': 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2'
+    }) + '\n';
+  }
+
+  /**
+   * Render an invoice in UN/CEFACT CII syntax (XRechnung or ZUGFeRD/Factur-X EN 16931)
+   * @param {Object} rechnung - Rechnung (kunde and umzug populated)
+   * @param {Object} options - { profil: 'xrechnung' | 'en16931', firma }
+   * @returns {String} - XML document
+   */
+  static erzeugeCii(rechnung, options = {}) {
+    const { profil = 'xrechnung', firma = companyConfig } = options;
+    const d = this.erfasseDaten(rechnung, firma);
+    const datum = (name, wertDatum) => (wertDatum
+      ? knoten(name, [wert('udt:DateTimeString', ciiDatum(wertDatum), { format: '102' })])
+      : '');
+    const adresse = (partei) => knoten('ram:PostalTradeAddress', [
+      wert('ram:PostcodeCode', partei.plz),
+      wert('ram:LineOne', partei.strasse),
+      wert('ram:CityName', partei.ort),
+      wert('ram:CountryID', partei.land)
+    ]);
+    const steuer = (gruppe, mitBetraegen) => knoten('ram:ApplicableTradeTax', [
+      mitBetraegen ? wert('ram:CalculatedAmount', betrag(gruppe.betrag)) : '',
+      wert('ram:TypeCode', 'VAT'),
+      mitBetraegen ? wert('ram:ExemptionReason', gruppe.befreiungsgrund) : '',
+      mitBetraegen ? wert('ram:BasisAmount', betrag(gruppe.basis)) : '',
+      wert('ram:CategoryCode', gruppe.kategorie),
+      wert('ram:RateApplicablePercent', gruppe.satz)
+    ]);
+
+    const inhalt = [
+      knoten('rsm:ExchangedDocumentContext', [
+        profil === 'xrechnung'
+          ? knoten('ram:BusinessProcessSpecifiedDocumentContextParameter', [wert('ram:ID', PEPPOL_PROZESS)])
+          : '',
+        knoten('ram:GuidelineSpecifiedDocumentContextParameter', [
+          wert('ram:ID', profil === 'xrechnung' ? XRECHNUNG_KENNUNG : EN16931_KENNUNG)
+        ])
+      ]),
+      knoten('rsm:ExchangedDocument', [
+        wert('ram:ID', d.nummer),
+        wert('ram:TypeCode', d.typcode),
+        datum('ram:IssueDateTime', d.datum),
+        d.notiz ? knoten('ram:IncludedNote', [wert('ram:Content', d.notiz)]) : ''
+      ]),
+      knoten('rsm:SupplyChainTradeTransaction', [
+        ...d.positionen.map(pos => knoten('ram:IncludedSupplyChainTradeLineItem', [
+          knoten('ram:AssociatedDocumentLineDocument', [wert('ram:LineID', pos.id)]),
+          knoten('ram:SpecifiedTradeProduct', [wert('ram:Name', pos.name), wert('ram:Description', pos.beschreibung)]),
+          knoten('ram:SpecifiedLineTradeAgreement', [
+            knoten('ram:NetPriceProductTradePrice', [wert('ram:ChargeAmount', betrag(pos.preis))])
+          ]),
+          knoten('ram:SpecifiedLineTradeDelivery', [wert('ram:BilledQuantity', pos.menge, { unitCode: pos.einheit })]),
+          knoten('ram:SpecifiedLineTradeSettlement', [
+            steuer(pos, false),
+            knoten('ram:SpecifiedTradeSettlementLineMonetarySummation', [wert('ram:LineTotalAmount', betrag(pos.netto))])
+          ])
+        ])),
+        knoten('ram:ApplicableHeaderTradeAgreement', [
+          wert('ram:BuyerReference', d.kaeuferreferenz),
+          knoten('ram:SellerTradeParty', [
+            wert('ram:Name', d.verkaeufer.name),
+            d.verkaeufer.handelsregister
+              ? knoten('ram:SpecifiedLegalOrganization', [wert('ram:ID', d.verkaeufer.handelsregister)])
+              : '',
+            knoten('ram:DefinedTradeContact', [
+              wert('ram:PersonName', d.verkaeufer.kontakt.name),
+              knoten('ram:TelephoneUniversalCommunication', [wert('ram:CompleteNumber', d.verkaeufer.kontakt.telefon)]),
+              knoten('ram:EmailURIUniversalCommunication', [wert('ram:URIID', d.verkaeufer.kontakt.email)])
+            ]),
+            adresse(d.verkaeufer),
+            knoten('ram:URIUniversalCommunication', [wert('ram:URIID', d.verkaeufer.email, { schemeID: 'EM' })]),
+            d.verkaeufer.ustId
+              ? knoten('ram:SpecifiedTaxRegistration', [wert('ram:ID', d.verkaeufer.ustId, { schemeID: 'VA' })])
+              : '',
+            d.verkaeufer.steuernummer
+              ? knoten('ram:SpecifiedTaxRegistration', [wert('ram:ID', d.verkaeufer.steuernummer, { schemeID: 'FC' })])
+              : ''
+          ]),
+          knoten('ram:BuyerTradeParty', [
+            wert('ram:Name', d.kaeufer.name),
+            d.kaeufer.kontakt ? knoten('ram:DefinedTradeContact', [wert('ram:PersonName', d.kaeufer.kontakt)]) : '',
+            adresse(d.kaeufer),
+            knoten('ram:URIUniversalCommunication', [wert('ram:URIID', d.kaeufer.email, { schemeID: 'EM' })]),
+            d.kaeufer.ustId
+              ? knoten('ram:SpecifiedTaxRegistration', [wert('ram:ID', d.kaeufer.ustId, { schemeID: 'VA' })])
+              : ''
+          ])
+        ]),
+        knoten('ram:ApplicableHeaderTradeDelivery', [], {}, true),
+        knoten('ram:ApplicableHeaderTradeSettlement', [
+          wert('ram:PaymentReference', d.zahlung.verwendungszweck),
+          wert('ram:InvoiceCurrencyCode', d.waehrung),
+          knoten('ram:SpecifiedTradeSettlementPaymentMeans', [
+            wert('ram:TypeCode', d.zahlung.code),
+            d.zahlung.iban ? knoten('ram:PayeePartyCreditorFinancialAccount', [
+              wert('ram:IBANID', d.zahlung.iban),
+              wert('ram:AccountName', d.zahlung.kontoinhaber)
+            ]) : '',
+            d.zahlung.bic ? knoten('ram:PayeeSpecifiedCreditorFinancialInstitution', [wert('ram:BICID', d.zahlung.bic)]) : ''
+          ]),
+          ...d.steuern.map(gruppe => steuer(gruppe, true)),
+          d.leistungszeitraum.von ? knoten('ram:BillingSpecifiedPeriod', [
+            datum('ram:StartDateTime', d.leistungszeitraum.von),
+            datum('ram:EndDateTime', d.leistungszeitraum.bis)
+          ]) : '',
+          d.nachlass ? knoten('ram:SpecifiedTradeAllowanceCharge', [
+            knoten('ram:ChargeIndicator', [wert('udt:Indicator', 'false')]),
+            wert('ram:ActualAmount', betrag(d.nachlass.betrag)),
+            wert('ram:Reason', d.nachlass.grund),
+            knoten('ram:CategoryTradeTax', [
+              wert('ram:TypeCode', 'VAT'),
+              wert('ram:CategoryCode', d.nachlass.kategorie),
+              wert('ram:RateApplicablePercent', d.nachlass.satz)
+            ])
+          ]) : '',
+          knoten('ram:SpecifiedTradePaymentTerms', [
+            wert('ram:Description', d.zahlungsbedingungen),
+            datum('ram:DueDateDateTime', d.faelligkeit)
+          ]),
+          knoten('ram:SpecifiedTradeSettlementHeaderMonetarySummation', [
+            wert('ram:LineTotalAmount', betrag(d.summen.positionen)),
+            d.nachlass ? wert('ram:AllowanceTotalAmount', betrag(d.summen.nachlaesse)) : '',
+            wert('ram:TaxBasisTotalAmount', betrag(d.summen.netto)),
+            wert('ram:TaxTotalAmount', betrag(d.summen.steuer), { currencyID: d.waehrung }),
+            wert('ram:GrandTotalAmount', betrag(d.summen.brutto)),
+            wert('ram:DuePayableAmount', betrag(d.summen.faellig))
+          ])
+        ])
+      ])
+    ];
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + knoten('rsm:CrossIndustryInvoice', inhalt, {
+      'xmlns:rsm': 'urn:un:unece:uncefact:data:standard:CrossIndustryInvoice:100',
+      'xmlns:ram': 'urn:un:unece:uncefact:data:standard:ReusableAggregateBusinessInformationEntity:100',
+      'xmlns:qdt': 'urn:un:unece:uncefact:data:standard:QualifiedDataType:100',
+      'xmlns:udt': 'urn:un:unece:uncefact:data:standard:UnqualifiedDataType:100'
+    }) + '\n';
+  }
+
+  /**
+   * Render a ZUGFeRD/Factur-X hybrid invoice (PDF/A-3 with embedded CII XML)
+   * @param {Object} rechnung - Rechnung (kunde and umzug populated)
+   * @returns {Promise<Buffer>} - PDF
+   */
+  static erzeugeZugferd(rechnung) {
+    const xml = this.erzeugeCii(rechnung, { profil: 'en16931' });
+    return PdfService.renderRechnung(rechnung, {
+      eRechnung: { xml, dateiname: 'factur-x.xml', konformitaet: 'EN 16931' }
+    });
+  }
+}
+
+module.exports = XRechnungService;
@@ -0,0 +1,411 @@
+/**
+ * zweifaktor.service.js - Zwei-Faktor-Anmeldung mit zeitbasierten Einmalcodes (TOTP, RFC 6238)
+ * Einrichtung mit Bestätigung durch einen ersten Code, zweiter Anmeldeschritt nach dem Passwort,
+ * einmalige Wiederherstellungscodes und Pflicht für Administratoren und Benutzer mit Zugriff auf Finanzdaten.
+ */
+
+const crypto = require('crypto');
+const { User } = require('../models');
+const Mitarbeiter = require('../models/mitarbeiter.model');
+const BerechtigungService = require('./berechtigung.service');
+const zweiFaktorConfig = require('../config/zweifaktor.config');
+const { AppError } = require('../utils/error.utils');
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Ohne Einrichtung erreichbar, damit Pflicht-Benutzer 2FA aktivieren können
+const OHNE_EINRICHTUNG = /\/auth\/(2fa(\/|$)|me$|check$|logout$)/;
+
+const base32 = (puffer) => {
+  let bits = '';
+  puffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+  return (bits.match(/.{1,5}/g) || []).map(block => BASE32[parseInt(block.padEnd(5, '0'), 2)]).join('');
+};
+
+const base32Dekodieren = (text) => {
+  const bits = text.toUpperCase().replace(/[\s=]/g, '').split('').map(zeichen => {
+    const wert = BASE32.indexOf(zeichen);
+    if (wert < 0) {
+      throw new Error('Ungültiges Base32-Zeichen');
+    }
+    return wert.toString(2).padStart(5, '0');
+  }).join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+// Ergebnis der Pflichtprüfung je Benutzer (wird bei jeder Anfrage benötigt)
+const pflichtCache = new Map();
+
+const hash = (wert) => crypto.createHash('sha256').update(wert).digest('hex');
+
+// Wiederherstellungscodes ohne Trennzeichen und Groß-/Kleinschreibung vergleichen
+const normalisieren = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+class ZweiFaktorService {
+  /**
+   * New random shared secret (160 bit, Base32)
+   * @returns {String}
+   */
+  static geheimnis() {
+    return base32(crypto.randomBytes(20));
+  }
+
+  /**
+   * TOTP code for a time step (HOTP with HMAC-SHA1, RFC 4226)
+   * @param {String} geheimnis - Base32 secret
+   * @param {Number} schritt - Time step (Unix time / period)
+   * @param {Object} config - 2FA configuration
+   * @returns {String} Zero-padded code
+   */
+  static code(geheimnis, schritt, config = zweiFaktorConfig) {
+    const zaehler = Buffer.alloc(8);
+    zaehler.writeBigUInt64BE(BigInt(schritt));
+    const hmac = crypto.createHmac('sha1', base32Dekodieren(geheimnis)).update(zaehler).digest();
+    const versatz = hmac[hmac.length - 1] & 0x0f;
+    const zahl = hmac.readUInt32BE(versatz) & 0x7fffffff;
+    return String(zahl % 10 ** config.stellen).padStart(config.stellen, '0');
+  }
+
+  /**
+   * Time step of a point in time
+   * @param {Date|Number} zeitpunkt
+   * @param {Object} config - 2FA configuration
+   * @returns {Number}
+   */
+  static schritt(zeitpunkt = Date.now(), config = zweiFaktorConfig) {
+    return Math.floor(new Date(zeitpunkt).getTime() / 1000 / config.periodeSekunden);
+  }
+
+  /**
+   * Check a TOTP code allowing for clock drift; codes of already used steps are rejected
+   * @param {String} geheimnis - Base32 secret
+   * @param {String} code - Entered code
+   * @param {Object} options - { zeitpunkt, letzterSchritt, config }
+   * @returns {Number|null} Matching time step or null
+   */
+  static pruefeCode(geheimnis, code, { zeitpunkt = Date.now(), letzterSchritt = null, config = zweiFaktorConfig } = {}) {
+    const eingabe = String(code || '').replace(/\s/g, '');
+    if (!geheimnis || !new RegExp(`^\\d{${config.stellen}}$`).test(eingabe)) {
+      return null;
+    }
+
+    const aktuell = this.schritt(zeitpunkt, config);
+    for (let abweichung = -config.toleranzSchritte; abweichung <= config.toleranzSchritte; abweichung++) {
+      const schritt = aktuell + abweichung;
+      if (letzterSchritt != null && schritt <= letzterSchritt) {
+        continue;
+      }
+      const erwartet = this.code(geheimnis, schritt, config);
+      if (crypto.timingSafeEqual(Buffer.from(erwartet), Buffer.from(eingabe))) {
+        return schritt;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Provisioning URI for authenticator apps (shown as QR code by the client)
+   * @param {Object} user - User (email)
+   * @param {String} geheimnis - Base32 secret
+   * @param {Object} config - 2FA configuration
+   * @returns {String} otpauth://totp/... URI
+   */
+  static otpauthUri(user, geheimnis, config = zweiFaktorConfig) {
+    const label = encodeURIComponent(`${config.issuer}:${user.email}`);
+    const parameter = new URLSearchParams({
+      secret: geheimnis,
+      issuer: config.issuer,
+      algorithm: 'SHA1',
+      digits: String(config.stellen),
+      period: String(config.periodeSekunden)
+    });
+    return `otpauth://totp/${label}?${parameter}`;
+  }
+
+  /**
+   * New set of one-time recovery codes
+   * @param {Object} config - 2FA configuration
+   * @returns {Object} { codes: plain codes for the user, hashes: for storage }
+   */
+  static wiederherstellungscodes(config = zweiFaktorConfig) {
+    const codes = Array.from({ length: config.wiederherstellungscodes }, () => {
+      const code = base32(crypto.randomBytes(7)).slice(0, 10);
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(code => hash(normalisieren(code))) };
+  }
+
+  /**
+   * Whether 2FA is mandatory for a user (by role, by permission or by the position of the linked employee).
+   * The result is cached per user for `pflichtCacheSekunden`.
+   * @param {Object} user - User
+   * @param {Object} config - 2FA configuration
+   * @returns {Promise<Boolean>}
+   */
+  static async istPflicht(user, config = zweiFaktorConfig) {
+    if (config.pflichtRollen.includes(user.role) || BerechtigungService.hatEine(user, config.pflichtBerechtigungen)) {
+      return true;
+    }
+    if (config.pflichtPositionen.length === 0) {
+      return false;
+    }
+
+    const schluessel = String(user._id);
+    const eintrag = pflichtCache.get(schluessel);
+    if (eintrag && eintrag.bis > Date.now()) {
+      return eintrag.pflicht;
+    }
+    const pflicht = Boolean(await Mitarbeiter.exists({ userId: user._id, position: { $in: config.pflichtPositionen } }));
+    pflichtCache.set(schluessel, { pflicht, bis: Date.now() + config.pflichtCacheSekunden * 1000 });
+    return pflicht;
+  }
+
+  /**
+   * Forget cached policy results, e.g. after a change of position
+   * @param {String} userId - User ID; all users if omitted
+   */
+  static pflichtVergessen(userId) {
+    if (userId) {
+      pflichtCache.delete(String(userId));
+    } else {
+      pflichtCache.clear();
+    }
+  }
+
+  /**
+   * Whether a request must be refused until the user has set up 2FA
+   * @param {Object} user - Authenticated user
+   * @param {String} pfad - Original URL of the request
+   * @returns {Promise<Boolean>}
+   */
+  static async mussEinrichten(user, pfad) {
+    if (user.twoFactorEnabled || OHNE_EINRICHTUNG.test(String(pfad).split('?')[0])) {
+      return false;
+    }
+    return this.istPflicht(user);
+  }
+
+  /**
+   * Start enrolment: store a new, not yet active secret
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { geheimnis, otpauthUri }
+   */
+  static async einrichten(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('Benutzer nicht gefunden', 404);
+    }
+    if (user.twoFactorEnabled) {
+      throw new AppError('Die Zwei-Faktor-Anmeldung ist bereits aktiv', 409);
+    }
+
+    const geheimnis = this.geheimnis();
+    user.twoFactorSecret = geheimnis;
+    await user.save({ validateBeforeSave: false });
+
+    return { geheimnis, otpauthUri: this.otpauthUri(user, geheimnis) };
+  }
+
+  /**
+   * Confirm enrolment with a first code from the app and activate 2FA
+   * @param {String} userId - User ID
+   * @param {String} code - TOTP code
+   * @returns {Promise<Object>} { wiederherstellungscodes }
+   */
+  static async bestaetigen(userId, code) {
+    const user = await User.findById(userId).select('+twoFactorSecret');
+    if (!user) {
+      throw new AppError('Benutzer nicht gefunden', 404);
+    }
+    if (user.twoFactorEnabled) {
+      throw new AppError('Die Zwei-Faktor-Anmeldung ist bereits aktiv', 409);
+    }
+    if (!user.twoFactorSecret) {
+      throw new AppError('Bitte zuerst die Einrichtung starten', 400);
+    }
+
+    const schritt = this.pruefeCode(user.twoFactorSecret, code);
+    if (schritt === null) {
+      throw new AppError('Der Code ist ungültig', 400);
+    }
+
+    const { codes, hashes } = this.wiederherstellungscodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorConfirmedAt = new Date();
+    user.twoFactorLastStep = schritt;
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    return { wiederherstellungscodes: codes };
+  }
+
+  /**
+   * Check a TOTP or recovery code of an active user and consume it (user needs the 2FA fields selected)
+   * @param {Object} user - User document
+   * @param {String} code - TOTP or recovery code
+   * @returns {Object|null} { wiederherstellungscode: Boolean } or null if invalid
+   */
+  static verbrauche(user, code) {
+    const schritt = this.pruefeCode(user.twoFactorSecret, code, { letzterSchritt: user.twoFactorLastStep });
+    if (schritt !== null) {
+      user.twoFactorLastStep = schritt;
+      return { wiederherstellungscode: false };
+    }
+
+    const codeHash = hash(normalisieren(code));
+    const codes = user.twoFactorRecoveryCodes || [];
+    if (normalisieren(code).length === 10 && codes.includes(codeHash)) {
+      user.twoFactorRecoveryCodes = codes.filter(eintrag => eintrag !== codeHash);
+      return { wiederherstellungscode: true };
+    }
+    return null;
+  }
+
+  /**
+   * Start the second login step after a correct password
+   * @param {Object} user - User document
+   * @param {Object} config - 2FA configuration
+   * @returns {Promise<String>} Login challenge to send back with the code
+   */
+  static async anmeldungStarten(user, config = zweiFaktorConfig) {
+    const challenge = crypto.randomBytes(32).toString('hex');
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        twoFactorChallenge: hash(challenge),
+        twoFactorChallengeExpire: new Date(Date.now() + config.anmeldungMinuten * 60 * 1000),
+        twoFactorChallengeAttempts: 0
+      }
+    });
+    return challenge;
+  }
+
+  /**
+   * Complete the login with a TOTP or recovery code
+   * @param {String} challenge - Challenge from the first login step
+   * @param {String} code - TOTP or recovery code
+   * @param {Object} config - 2FA configuration
+   * @returns {Promise<Object>} { user, wiederherstellungscode, verbleibendeCodes }
+   */
+  static async anmeldungAbschliessen(challenge, code, config = zweiFaktorConfig) {
+    const user = await User.findOne({
+      twoFactorChallenge: hash(String(challenge || '')),
+      twoFactorChallengeExpire: { $gt: new Date() }
+    }).select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep +twoFactorChallengeAttempts');
+
+    if (!user || !user.twoFactorEnabled) {
+      throw new AppError('Die Anmeldung ist abgelaufen. Bitte erneut mit dem Passwort anmelden.', 401);
+    }
+    if (user.isActive === false) {
+      throw new AppError('Dieses Konto wurde deaktiviert', 401);
+    }
+
+    const ergebnis = this.verbrauche(user, code);
+    if (!ergebnis) {
+      user.twoFactorChallengeAttempts = (user.twoFactorChallengeAttempts || 0) + 1;
+      if (user.twoFactorChallengeAttempts >= config.hoechstFehlversuche) {
+        user.twoFactorChallenge = undefined;
+        user.twoFactorChallengeExpire = undefined;
+      }
+      await user.save({ validateBeforeSave: false });
+      throw new AppError('Der Code ist ungültig', 401);
+    }
+
+    user.twoFactorChallenge = undefined;
+    user.twoFactorChallengeExpire = undefined;
+    user.twoFactorChallengeAttempts = undefined;
+    user.lastLogin = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    return {
+      user,
+      wiederherstellungscode: ergebnis.wiederherstellungscode,
+      verbleibendeCodes: user.twoFactorRecoveryCodes.length
+    };
+  }
+
+  /**
+   * Replace the recovery codes (requires a valid code)
+   * @param {String} userId - User ID
+   * @param {String} code - TOTP or recovery code
+   * @returns {Promise<Object>} { wiederherstellungscodes }
+   */
+  static async neueWiederherstellungscodes(userId, code) {
+    const user = await this.ladeAktiven(userId);
+    if (!this.verbrauche(user, code)) {
+      throw new AppError('Der Code ist ungültig', 400);
+    }
+
+    const { codes, hashes } = this.wiederherstellungscodes();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+    return { wiederherstellungscodes: codes };
+  }
+
+  /**
+   * Switch 2FA off (requires a valid code; not possible where 2FA is mandatory)
+   * @param {String} userId - User ID
+   * @param {String} code - TOTP or recovery code
+   */
+  static async deaktivieren(userId, code) {
+    const user = await this.ladeAktiven(userId);
+    if (await this.istPflicht(user)) {
+      throw new AppError('Für dieses Konto ist die Zwei-Faktor-Anmeldung vorgeschrieben', 403);
+    }
+    if (!this.verbrauche(user, code)) {
+      throw new AppError('Der Code ist ungültig', 400);
+    }
+    await this.zuruecksetzen(user._id);
+  }
+
+  /**
+   * Remove 2FA from an account, e.g. by an admin after the phone was lost
+   * @param {String} userId - User ID
+   * @returns {Promise<Boolean>} Whether the user exists
+   */
+  static async zuruecksetzen(userId) {
+    const ergebnis = await User.updateOne({ _id: userId }, {
+      $set: { twoFactorEnabled: false },
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorConfirmedAt: 1,
+        twoFactorRecoveryCodes: 1,
+        twoFactorLastStep: 1,
+        twoFactorChallenge: 1,
+        twoFactorChallengeExpire: 1,
+        twoFactorChallengeAttempts: 1
+      }
+    });
+    return ergebnis.matchedCount > 0;
+  }
+
+  /**
+   * 2FA state of a user
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { aktiv, pflicht, eingerichtetAm, verbleibendeCodes }
+   */
+  static async status(userId) {
+    const user = await User.findById(userId).select('+twoFactorRecoveryCodes');
+    if (!user) {
+      throw new AppError('Benutzer nicht gefunden', 404);
+    }
+    return {
+      aktiv: user.twoFactorEnabled,
+      pflicht: await this.istPflicht(user),
+      eingerichtetAm: user.twoFactorConfirmedAt,
+      verbleibendeCodes: user.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0
+    };
+  }
+
+  static async ladeAktiven(userId) {
+    const user = await User.findById(userId).select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep');
+    if (!user) {
+      throw new AppError('Benutzer nicht gefunden', 404);
+    }
+    if (!user.twoFactorEnabled) {
+      throw new AppError('Die Zwei-Faktor-Anmeldung ist nicht aktiv', 400);
+    }
+    return user;
+  }
+}
+
+module.exports = ZweiFaktorService;
@@ -0,0 +1,209 @@
+// tests/controllers/belegerstellung.test.js - Rechnung aus Umzug, Angebot aus Aufnahme
+const { expect } = require('chai');
+const umzugController = require('../../controllers/umzug.controller');
+const aufnahmeController = require('../../controllers/aufnahme.controller');
+const Umzug = require('../../models/umzug.model');
+const Aufnahme = require('../../models/aufnahme.model');
+const Rechnung = require('../../models/rechnung.model');
+const Angebot = require('../../models/angebot.model');
+const ClientService = require('../../services/client.service');
+
+// Handler aufrufen; liefert die Antwort oder den an next() übergebenen Fehler
+const aufruf = (handler, req) => new Promise(resolve => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body });
+      return this;
+    }
+  };
+  const ergebnis = handler(req, res, error => resolve({ error }));
+  if (ergebnis && ergebnis.catch) {
+    ergebnis.catch(error => resolve({ error }));
+  }
+});
+
+describe('Belegerstellung', () => {
+  const originale = {
+    umzugFindById: Umzug.findById,
+    aufnahmeFindById: Aufnahme.findById,
+    rechnungFindById: Rechnung.findById,
+    rechnungCreate: Rechnung.create,
+    rechnungCount: Rechnung.countDocuments,
+    angebotCreate: Angebot.create,
+    angebotCount: Angebot.countDocuments,
+    findOrCreateByKontakt: ClientService.findOrCreateByKontakt
+  };
+
+  afterEach(() => {
+    Umzug.findById = originale.umzugFindById;
+    Aufnahme.findById = originale.aufnahmeFindById;
+    Rechnung.findById = originale.rechnungFindById;
+    Rechnung.create = originale.rechnungCreate;
+    Rechnung.countDocuments = originale.rechnungCount;
+    Angebot.create = originale.angebotCreate;
+    Angebot.countDocuments = originale.angebotCount;
+    ClientService.findOrCreateByKontakt = originale.findOrCreateByKontakt;
+  });
+
+  describe('umzug.generateInvoice', () => {
+    const umzug = (ueberschreibung = {}) => ({
+      _id: 'umzug1',
+      status: 'geplant',
+      preis: { final: { netto: 1000, mwst: 19 } },
+      getNettoPreis() {
+        return this.preis.final.netto;
+      },
+      auftraggeber: {
+        name: 'Max Mustermann',
+        email: 'max@example.de',
+        toObject() {
+          return { name: 'Max Mustermann', email: 'max@example.de' };
+        }
+      },
+      auszugsadresse: { ort: 'Berlin' },
+      einzugsadresse: { strasse: 'Neuweg', hausnummer: '2', plz: '20095', ort: 'Hamburg' },
+      extraLeistungen: [{ beschreibung: 'Klaviertransport', preis: 150, menge: 2 }],
+      startDatum: new Date(2026, 9, 1),
+      endDatum: new Date(2026, 9, 2),
+      async save() {
+        this.gespeichert = true;
+      },
+      ...ueberschreibung
+    });
+    const req = (body = {}) => ({ params: { id: 'umzug1' }, body, user: { id: 'user1' } });
+
+    it('should create an invoice for the client of the move and link it', async () => {
+      const daten = umzug();
+      let kontakt;
+      let rechnungsdaten;
+      Umzug.findById = async () => daten;
+      Rechnung.countDocuments = async () => 4;
+      ClientService.findOrCreateByKontakt = async (angaben, userId) => {
+        kontakt = { angaben, userId };
+        return { _id: 'client1' };
+      };
+      Rechnung.create = async (werte) => {
+        rechnungsdaten = werte;
+        return { _id: 'rechnung1', ...werte };
+      };
+
+      const { status, body } = await aufruf(umzugController.generateInvoice, req({ zahlungsziel: '30' }));
+
+      expect(status).to.equal(201);
+      expect(body.data._id).to.equal('rechnung1');
+      expect(kontakt.userId).to.equal('user1');
+      expect(kontakt.angaben).to.include({ name: 'Max Mustermann', email: 'max@example.de' });
+      expect(kontakt.angaben.adresse.ort).to.equal('Hamburg');
+      expect(rechnungsdaten.kunde).to.equal('client1');
+      expect(rechnungsdaten.rechnungNummer).to.match(/^REC\d{4}-005$/);
+      expect(rechnungsdaten.mehrwertsteuer).to.equal(19);
+      expect(rechnungsdaten.positionsliste.map(pos => [pos.bezeichnung, pos.gesamtpreis])).to.eql([
+        ['Umzug Berlin - Hamburg', 1000],
+        ['Klaviertransport', 300]
+      ]);
+      expect(Math.round((rechnungsdaten.faelligkeitsdatum - Date.now()) / 86400000)).to.equal(30);
+      expect(daten.rechnungId).to.equal('rechnung1');
+      expect(daten.gespeichert).to.equal(true);
+    });
+
+    it('should use the given client without looking it up', async () => {
+      let rechnungsdaten;
+      Umzug.findById = async () => umzug();
+      Rechnung.countDocuments = async () => 0;
+      ClientService.findOrCreateByKontakt = async () => {
+        throw new Error('darf nicht gesucht werden');
+      };
+      Rechnung.create = async (werte) => {
+        rechnungsdaten = werte;
+        return { _id: 'rechnung1', ...werte };
+      };
+
+      const { status } = await aufruf(umzugController.generateInvoice, req({ kunde: 'client9' }));
+
+      expect(status).to.equal(201);
+      expect(rechnungsdaten.kunde).to.equal('client9');
+    });
+
+    it('should refuse a second active invoice and moves without price', async () => {
+      Umzug.findById = async () => umzug({ rechnungId: 'rechnung0' });
+      Rechnung.findById = async () => ({ rechnungNummer: 'REC2610-001', status: 'Entwurf' });
+
+      const doppelt = await aufruf(umzugController.generateInvoice, req());
+      expect(doppelt.error.statusCode).to.equal(409);
+      expect(doppelt.error.message).to.match(/REC2610-001/);
+
+      Umzug.findById = async () => umzug({ preis: { final: { netto: null } }, getNettoPreis: () => null });
+      const ohnePreis = await aufruf(umzugController.generateInvoice, req());
+      expect(ohnePreis.error.statusCode).to.equal(400);
+
+      Umzug.findById = async () => umzug({ status: 'storniert' });
+      const storniert = await aufruf(umzugController.generateInvoice, req());
+      expect(storniert.error.statusCode).to.equal(400);
+    });
+  });
+
+  describe('aufnahme.erstelleAngebot', () => {
+    const aufnahme = () => ({
+      _id: 'aufnahme1',
+      kundenName: 'Max Mustermann',
+      email: 'max@example.de',
+      telefon: '0511 123456',
+      auszugsadresse: { strasse: 'Altweg', hausnummer: '1', plz: '10115', ort: 'Berlin', etage: 0, aufzug: false, entfernung: 0 },
+      einzugsadresse: { strasse: 'Neuweg', hausnummer: '2', plz: '20095', ort: 'Hamburg', etage: 0, aufzug: false, entfernung: 0 },
+      raeume: [{ name: 'Wohnzimmer', moebel: [{ name: 'Sofa', anzahl: 1, groesse: { volumen: 2 } }] }],
+      async save() {
+        this.gespeichert = true;
+      }
+    });
+
+    it('should create an Angebot for the client of the Aufnahme and link it', async () => {
+      const daten = aufnahme();
+      let kontakt;
+      let angebotsdaten;
+      Aufnahme.findById = async () => daten;
+      Angebot.countDocuments = async () => 0;
+      ClientService.findOrCreateByKontakt = async (angaben) => {
+        kontakt = angaben;
+        return { _id: 'client1' };
+      };
+      Angebot.create = async (werte) => {
+        angebotsdaten = werte;
+        return { _id: 'angebot1', ...werte };
+      };
+
+      const { status, body } = await aufruf(aufnahmeController.erstelleAngebot, {
+        params: { id: 'aufnahme1' },
+        body: { gueltigkeitTage: 14 },
+        user: { id: 'user1' }
+      });
+
+      expect(status).to.equal(201);
+      expect(body.angebot._id).to.equal('angebot1');
+      expect(kontakt).to.include({ name: 'Max Mustermann', email: 'max@example.de', telefon: '0511 123456' });
+      expect(kontakt.adresse.ort).to.equal('Hamburg');
+      expect(angebotsdaten).to.include({ kunde: 'client1', aufnahme: 'aufnahme1', erstelltVon: 'user1' });
+      expect(angebotsdaten.angebotNummer).to.match(/^ANG\d{4}-001$/);
+      expect(angebotsdaten.positionsliste).to.not.be.empty;
+      expect(daten.angebot).to.equal('angebot1');
+      expect(daten.status).to.equal('angebot_erstellt');
+      expect(daten.gespeichert).to.equal(true);
+    });
+
+    it('should answer 404 for an unknown Aufnahme', async () => {
+      Aufnahme.findById = async () => null;
+
+      const { status } = await aufruf(aufnahmeController.erstelleAngebot, {
+        params: { id: 'aufnahme0' },
+        body: {},
+        user: { id: 'user1' }
+      });
+
+      expect(status).to.equal(404);
+    });
+  });
+});
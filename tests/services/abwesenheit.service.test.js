@@ -0,0 +1,168 @@
+// tests/services/abwesenheit.service.test.js
+const { expect } = require('chai');
+const AbwesenheitService = require('../../services/abwesenheit.service');
+const Abwesenheit = require('../../models/abwesenheit.model');
+const Mitarbeiter = require('../../models/mitarbeiter.model');
+const Benachrichtigung = require('../../models/benachrichtigung.model');
+const abwesenheitConfig = require('../../config/abwesenheit.config');
+
+describe('AbwesenheitService', () => {
+  const config = { ...abwesenheitConfig, urlaubstage: 28, uebertragBisMonat: 3, uebertragHoechstTage: null, auAbTag: 4 };
+
+  const mitarbeiter = (overrides = {}) => ({
+    _id: '64b000000000000000000001',
+    vorname: 'Anna',
+    nachname: 'Groß',
+    bundesland: 'NW',
+    einstellungsdatum: new Date(2025, 0, 1),
+    arbeitszeit: { wochenstunden: 40, arbeitstage: [1, 2, 3, 4, 5], urlaubstage: 30 },
+    ...overrides
+  });
+
+  const urlaub = (von, bis, status = 'genehmigt') => ({ art: 'Urlaub', von, bis, status });
+
+  describe('arbeitstage', () => {
+    it('should skip weekends and public holidays', () => {
+      // 30.03.-10.04.2026 mit Karfreitag und Ostermontag
+      expect(AbwesenheitService.arbeitstage(new Date(2026, 2, 30), new Date(2026, 3, 10), mitarbeiter())).to.equal(8);
+      expect(AbwesenheitService.arbeitstage(new Date(2026, 2, 30), new Date(2026, 3, 10), mitarbeiter({
+        arbeitszeit: { arbeitstage: [1, 3] }
+      }))).to.equal(3);
+    });
+  });
+
+  describe('jahresanspruch', () => {
+    it('should grant one twelfth per full month in the year of entry', () => {
+      expect(AbwesenheitService.jahresanspruch(mitarbeiter(), 2026, config)).to.equal(30);
+      expect(AbwesenheitService.jahresanspruch(mitarbeiter({ einstellungsdatum: new Date(2026, 6, 1) }), 2026, config)).to.equal(15);
+      expect(AbwesenheitService.jahresanspruch(mitarbeiter({
+        einstellungsdatum: new Date(2026, 4, 15),
+        arbeitszeit: {}
+      }), 2026, config)).to.equal(16.33);
+      expect(AbwesenheitService.jahresanspruch(mitarbeiter(), 2024, config)).to.equal(0);
+    });
+  });
+
+  describe('urlaubskonto', () => {
+    it('should carry over the rest and let it expire after March', () => {
+      const abwesenheiten = [
+        urlaub(new Date(2025, 7, 4), new Date(2025, 7, 29)), // 20 Tage, Rest 10
+        urlaub(new Date(2026, 1, 2), new Date(2026, 1, 6)), // 5 Tage aus dem Übertrag
+        urlaub(new Date(2026, 6, 6), new Date(2026, 6, 10), 'beantragt'),
+        urlaub(new Date(2026, 7, 3), new Date(2026, 7, 7), 'abgelehnt')
+      ];
+
+      const imFebruar = AbwesenheitService.urlaubskonto(mitarbeiter(), 2026, abwesenheiten, { stichtag: new Date(2026, 1, 20), config });
+      expect(imFebruar.uebertrag).to.equal(10);
+      expect(imFebruar.verfallen).to.equal(0);
+      expect(imFebruar.rest).to.equal(35);
+      expect(imFebruar.verfuegbar).to.equal(30);
+
+      const imMai = AbwesenheitService.urlaubskonto(mitarbeiter(), 2026, abwesenheiten, { stichtag: new Date(2026, 4, 1), config });
+      expect(imMai.verfallen).to.equal(5);
+      expect(imMai.genommen).to.equal(5);
+      expect(imMai.rest).to.equal(30);
+      expect(imMai.beantragt).to.equal(5);
+    });
+
+    it('should cap the carry-over', () => {
+      const konto = AbwesenheitService.urlaubskonto(mitarbeiter(), 2026, [], {
+        stichtag: new Date(2026, 0, 10),
+        config: { ...config, uebertragHoechstTage: 5 }
+      });
+
+      expect(konto.uebertrag).to.equal(5);
+      expect(konto.rest).to.equal(35);
+    });
+  });
+
+  describe('urlaubUnterbrechen', () => {
+    const find = Abwesenheit.find;
+
+    afterEach(() => {
+      Abwesenheit.find = find;
+    });
+
+    it('should credit sick days during leave back to the leave account (§9 BUrlG)', async () => {
+      // 05.-16.10.2026: 10 Arbeitstage Urlaub, krank vom 07.-09.10.
+      const eintrag = { ...urlaub(new Date(2026, 9, 5), new Date(2026, 9, 16)), tage: 10, krankheit: [], save: async () => {} };
+      Abwesenheit.find = async () => [eintrag];
+
+      const krankheit = { _id: 'k1', art: 'Krankheit', von: new Date(2026, 9, 7), bis: new Date(2026, 9, 9) };
+      expect(await AbwesenheitService.urlaubUnterbrechen(krankheit, mitarbeiter())).to.equal(3);
+      expect(eintrag.tage).to.equal(7);
+      expect(eintrag.krankheit[0]).to.include({ abwesenheit: 'k1' });
+
+      const konto = AbwesenheitService.urlaubskonto(mitarbeiter(), 2026, [eintrag], { stichtag: new Date(2026, 9, 20), config });
+      expect(konto.genommen).to.equal(7);
+      expect(konto.rest).to.equal(23);
+    });
+  });
+
+  describe('entscheiden', () => {
+    const findById = Abwesenheit.findById;
+    const mitarbeiterFindById = Mitarbeiter.findById;
+    const insertMany = Benachrichtigung.insertMany;
+
+    beforeEach(() => {
+      Mitarbeiter.findById = () => ({ select: async () => ({ vorname: 'Anna', nachname: 'Groß', userId: 'u1' }) });
+      Abwesenheit.findById = async () => ({ ...urlaub(new Date(2026, 9, 26), new Date(2026, 9, 30), 'beantragt'), save: async () => {} });
+      Benachrichtigung.insertMany = async () => [];
+    });
+
+    afterEach(() => {
+      Abwesenheit.findById = findById;
+      Mitarbeiter.findById = mitarbeiterFindById;
+      Benachrichtigung.insertMany = insertMany;
+    });
+
+    it('should only let users with abwesenheit:approve:own decide on their own requests', async () => {
+      const fehler = await AbwesenheitService.entscheiden('a1', false, { id: 'u1', role: 'mitarbeiter', roles: ['vorarbeiter'] })
+        .catch(error => error);
+      expect(fehler.statusCode).to.equal(403);
+
+      const { abwesenheit } = await AbwesenheitService.entscheiden('a1', false, {
+        id: 'u1', role: 'mitarbeiter', roles: ['vorarbeiter'], permissions: ['abwesenheit:approve:own']
+      });
+      expect(abwesenheit.status).to.equal('abgelehnt');
+    });
+  });
+
+  describe('verfuegbarkeitFuer', () => {
+    it('should prefer the running absence over the next one', () => {
+      const abwesenheiten = [
+        { _id: 'a', art: 'Urlaub', status: 'genehmigt', von: new Date(2026, 9, 26), bis: new Date(2026, 9, 30) },
+        { _id: 'b', art: 'Krankheit', status: 'genehmigt', von: new Date(2026, 9, 19), bis: new Date(2026, 9, 21) },
+        { _id: 'c', art: 'Urlaub', status: 'genehmigt', von: new Date(2026, 9, 1), bis: new Date(2026, 9, 5) }
+      ];
+
+      const heute = AbwesenheitService.verfuegbarkeitFuer(abwesenheiten, new Date(2026, 9, 20, 12));
+      expect(heute.status).to.equal('krank');
+      expect(heute.laufend).to.equal(true);
+
+      const spaeter = AbwesenheitService.verfuegbarkeitFuer(abwesenheiten, new Date(2026, 9, 22));
+      expect(spaeter.abwesenheit).to.equal('a');
+      expect(spaeter.laufend).to.equal(false);
+      expect(AbwesenheitService.verfuegbarkeitFuer(abwesenheiten, new Date(2026, 10, 1))).to.equal(null);
+    });
+
+    it('should show a sickness during leave as sick', () => {
+      const abwesenheiten = [
+        { _id: 'a', art: 'Urlaub', status: 'genehmigt', von: new Date(2026, 9, 12), bis: new Date(2026, 9, 23) },
+        { _id: 'b', art: 'Krankheit', status: 'genehmigt', von: new Date(2026, 9, 19), bis: new Date(2026, 9, 20) }
+      ];
+
+      expect(AbwesenheitService.verfuegbarkeitFuer(abwesenheiten, new Date(2026, 9, 19, 12)).abwesenheit).to.equal('b');
+    });
+  });
+
+  describe('auErforderlich', () => {
+    it('should require a certificate from the fourth calendar day', () => {
+      const krank = { art: 'Krankheit', status: 'genehmigt', von: new Date(2026, 9, 19), bis: new Date(2026, 9, 21) };
+
+      expect(AbwesenheitService.auErforderlich(krank, config)).to.equal(false);
+      expect(AbwesenheitService.auErforderlich({ ...krank, bis: new Date(2026, 9, 22) }, config)).to.equal(true);
+      expect(AbwesenheitService.auErforderlich({ ...krank, bis: new Date(2026, 9, 22), au: 'upload' }, config)).to.equal(false);
+    });
+  });
+});
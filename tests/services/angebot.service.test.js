@@ -0,0 +1,103 @@
+// tests/services/angebot.service.test.js
+const { expect } = require('chai');
+const AngebotService = require('../../services/angebot.service');
+const preistabelle = require('../../config/preise.config');
+
+describe('AngebotService', () => {
+  const basisAufnahme = () => ({
+    kundenName: 'Max Mustermann',
+    auszugsadresse: { strasse: 'Altweg', hausnummer: '1', plz: '10115', ort: 'Berlin', etage: 0, aufzug: false, entfernung: 0 },
+    einzugsadresse: { strasse: 'Neuweg', hausnummer: '2', plz: '20095', ort: 'Hamburg', etage: 0, aufzug: false, entfernung: 0 },
+    raeume: []
+  });
+
+  describe('volumenProStueck', () => {
+    it('should prefer the recorded volume', () => {
+      expect(AngebotService.volumenProStueck({ groesse: { volumen: 2.5, laenge: 100, breite: 100, hoehe: 100 } })).to.equal(2.5);
+    });
+
+    it('should calculate the volume from dimensions in cm', () => {
+      expect(AngebotService.volumenProStueck({ groesse: { laenge: 200, breite: 60, hoehe: 100 } })).to.equal(1.2);
+    });
+
+    it('should fall back to the category default', () => {
+      expect(AngebotService.volumenProStueck({ kategorie: 'bett' })).to.equal(preistabelle.volumenProKategorie.bett);
+    });
+  });
+
+  describe('kalkuliere', () => {
+    it('should create transport, personal and material positions from the inventory', () => {
+      const aufnahme = basisAufnahme();
+      aufnahme.raeume.push({
+        name: 'Wohnzimmer',
+        moebel: [
+          { name: 'Schrank', kategorie: 'schrank', anzahl: 2, groesse: { volumen: 2 }, service: { demontage: true, montage: true } },
+          { name: 'Kartons', kategorie: 'karton', anzahl: 20, groesse: { volumen: 0.1 } }
+        ]
+      });
+
+      const { positionen, inventar, nettobetrag } = AngebotService.kalkuliere(aufnahme);
+
+      expect(inventar.volumen).to.equal(6);
+      expect(inventar.kartons).to.equal(20);
+      expect(inventar.demontage).to.equal(2);
+
+      const kategorien = positionen.map(position => position.kategorie);
+      expect(kategorien).to.include.members(['transport', 'personal', 'material']);
+
+      const transport = positionen.find(position => position.einheit === 'm³' && position.kategorie === 'transport');
+      expect(transport.menge).to.equal(6);
+      expect(transport.einzelpreis).to.equal(preistabelle.transport.proKubikmeter);
+
+      const summe = positionen.reduce((s, position) => s + position.gesamtpreis, 0);
+      expect(nettobetrag).to.be.closeTo(summe, 0.001);
+    });
+
+    it('should add floor surcharges only for floors without elevator at the configured rate', () => {
+      const aufnahme = basisAufnahme();
+      aufnahme.gesamtvolumen = 10;
+      aufnahme.auszugsadresse.etage = 3;
+      aufnahme.einzugsadresse.etage = 2;
+      aufnahme.einzugsadresse.aufzug = true;
+
+      const tabelle = {
+        ...preistabelle,
+        zuschlaege: { ...preistabelle.zuschlaege, etageOhneAufzugProKubikmeter: 2, etageMitAufzugProKubikmeter: 0 }
+      };
+      const { positionen } = AngebotService.kalkuliere(aufnahme, tabelle);
+      const etagen = positionen.filter(position => position.bezeichnung.startsWith('Etagenzuschlag'));
+
+      expect(etagen).to.have.lengthOf(1);
+      expect(etagen[0].einzelpreis).to.equal(6);
+      expect(etagen[0].gesamtpreis).to.equal(60);
+    });
+
+    it('should support the flat furniture flags of older Aufnahmen', () => {
+      const aufnahme = basisAufnahme();
+      aufnahme.raeume.push({
+        name: 'Küche',
+        moebel: [{ name: 'Vitrine', kategorie: 'schrank', anzahl: 1, zerbrechlich: true, verpackung: true }]
+      });
+
+      const { inventar } = AngebotService.kalkuliere(aufnahme);
+
+      expect(inventar.zerbrechlich).to.equal(1);
+      expect(inventar.verpackung).to.equal(1);
+    });
+
+    it('should price booked additional services from the table', () => {
+      const aufnahme = basisAufnahme();
+      aufnahme.gesamtvolumen = 5;
+      aufnahme.zusatzleistungen = { packservice: true, custom: [{ beschreibung: 'Halteverbotszone', preis: 95 }] };
+
+      const { positionen } = AngebotService.kalkuliere(aufnahme);
+      const zusatz = positionen.filter(position => position.kategorie === 'zusatzleistung');
+
+      expect(zusatz.map(position => position.einzelpreis)).to.deep.equal([preistabelle.zusatzleistungen.packservice, 95]);
+    });
+
+    it('should reject an Aufnahme without inventory and volume', () => {
+      expect(() => AngebotService.kalkuliere(basisAufnahme())).to.throw(/kein Inventar/);
+    });
+  });
+});
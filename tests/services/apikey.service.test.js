@@ -0,0 +1,97 @@
+// tests/services/apikey.service.test.js
+const { expect } = require('chai');
+const ApiKeyService = require('../../services/apikey.service');
+const ZweiFaktorService = require('../../services/zweifaktor.service');
+const { authApiKey } = require('../../middleware/auth');
+
+describe('ApiKeyService', () => {
+  describe('erzeugeSchluessel', () => {
+    it('should create prefixed keys and store only their hash', () => {
+      const { schluessel, praefix, hash } = ApiKeyService.erzeugeSchluessel();
+
+      expect(schluessel).to.match(/^hum_[A-Za-z0-9_-]{43}$/);
+      expect(schluessel.startsWith(praefix)).to.equal(true);
+      expect(praefix).to.have.length(12);
+      expect(hash).to.match(/^[0-9a-f]{64}$/);
+      expect(hash).to.not.include(schluessel.slice(4));
+      expect(ApiKeyService.erzeugeSchluessel().schluessel).to.not.equal(schluessel);
+      expect(ApiKeyService.istApiKey(schluessel)).to.equal(true);
+      expect(ApiKeyService.istApiKey('eyJhbGciOiJIUzI1NiJ9.e30.x')).to.equal(false);
+    });
+  });
+
+  describe('benoetigterScope', () => {
+    it('should derive the scope from area and method', () => {
+      expect(ApiKeyService.benoetigterScope({ method: 'GET', originalUrl: '/api/umzuege/123?seite=2' })).to.equal('umzuege:read');
+      expect(ApiKeyService.benoetigterScope({ method: 'POST', originalUrl: '/api/zeiterfassung' })).to.equal('zeiterfassung:write');
+      expect(ApiKeyService.benoetigterScope({ method: 'DELETE', originalUrl: '/api/finanzen/rechnungen/1' })).to.equal('finanzen:write');
+    });
+
+    it('should keep account and key management out of reach', () => {
+      expect(ApiKeyService.benoetigterScope({ method: 'GET', originalUrl: '/api/auth/me' })).to.equal(null);
+      expect(ApiKeyService.benoetigterScope({ method: 'POST', originalUrl: '/api/api-keys' })).to.equal(null);
+      expect(ApiKeyService.benoetigterScope({ method: 'GET', originalUrl: '/api/users' })).to.equal(null);
+    });
+  });
+
+  describe('erlaubt', () => {
+    it('should let write include read of the same area only', () => {
+      const scopes = ['umzuege:write', 'finanzen:read'];
+
+      expect(ApiKeyService.erlaubt(scopes, 'umzuege:read')).to.equal(true);
+      expect(ApiKeyService.erlaubt(scopes, 'umzuege:write')).to.equal(true);
+      expect(ApiKeyService.erlaubt(scopes, 'finanzen:read')).to.equal(true);
+      expect(ApiKeyService.erlaubt(scopes, 'finanzen:write')).to.equal(false);
+      expect(ApiKeyService.erlaubt(scopes, 'mitarbeiter:read')).to.equal(false);
+      expect(ApiKeyService.erlaubt(scopes, null)).to.equal(false);
+    });
+  });
+
+  describe('authApiKey', () => {
+    const authentifizieren = ApiKeyService.authentifizieren;
+    const benoetigterScope = ApiKeyService.benoetigterScope;
+    const mussEinrichten = ZweiFaktorService.mussEinrichten;
+
+    afterEach(() => {
+      ApiKeyService.authentifizieren = authentifizieren;
+      ApiKeyService.benoetigterScope = benoetigterScope;
+      ZweiFaktorService.mussEinrichten = mussEinrichten;
+    });
+
+    // Middleware aufrufen; liefert Status und Antwort oder 'next'
+    const anmelden = (req) => new Promise(resolve => {
+      const res = {
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(body) {
+          resolve({ status: this.statusCode, body });
+        }
+      };
+      authApiKey(req, res, () => resolve('next'), 'hum_schluessel');
+    });
+
+    it('should refuse keys of owners who still have to set up mandatory 2FA', async () => {
+      const user = { _id: 'u1', role: 'admin', isActive: true };
+      const req = { ip: '127.0.0.1', originalUrl: '/api/umzuege' };
+      let pruefung;
+      ApiKeyService.authentifizieren = async () => ({ user, apiKey: { scopes: ['umzug:read'] } });
+      ApiKeyService.benoetigterScope = () => 'umzug:read';
+      ZweiFaktorService.mussEinrichten = async (...args) => {
+        pruefung = args;
+        return true;
+      };
+
+      const antwort = await anmelden(req);
+      expect(antwort.status).to.equal(403);
+      expect(antwort.body.code).to.equal('TWO_FACTOR_SETUP_REQUIRED');
+      expect(pruefung).to.eql([user, '/api/umzuege']);
+      expect(req.user).to.equal(undefined);
+
+      ZweiFaktorService.mussEinrichten = async () => false;
+      expect(await anmelden(req)).to.equal('next');
+      expect(req.user).to.equal(user);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+// tests/services/arbzg.service.test.js
+const { expect } = require('chai');
+const ArbzgService = require('../../services/arbzg.service');
+const StundenzettelService = require('../../services/stundenzettel.service');
+const arbzgConfig = require('../../config/arbzg.config');
+
+describe('ArbzgService', () => {
+  const config = { ...arbzgConfig, ruhezeitStunden: 11 };
+
+  const eintrag = (tag, startzeit, endzeit, pause = 0, monat = 10) => ({
+    datum: new Date(2026, monat, tag), startzeit, endzeit, pause
+  });
+
+  const pruefen = (zeiterfassungen, arbeitszeiten = [], options = {}) => ArbzgService.pruefen(
+    StundenzettelService.schichten(zeiterfassungen, arbeitszeiten), { config, ...options }
+  );
+  const arten = (ergebnis) => ergebnis.verstoesse.map(verstoss => verstoss.art);
+
+  describe('pruefen', () => {
+    it('should accept a regular working day', () => {
+      const ergebnis = pruefen([eintrag(2, '07:00', '16:00', 60)]);
+
+      expect(ergebnis.verstoesse).to.have.lengthOf(0);
+      expect(ergebnis.kennzahlen.hoechsteTagesarbeitszeit).to.equal(8);
+    });
+
+    it('should flag missing breaks after six and nine hours', () => {
+      const ergebnis = pruefen([eintrag(2, '07:00', '14:30', 20), eintrag(3, '07:00', '17:00', 30)]);
+
+      expect(arten(ergebnis)).to.deep.equal(['pause', 'pause']);
+      expect(ergebnis.verstoesse[0].grenze).to.equal(30);
+      expect(ergebnis.verstoesse[1].grenze).to.equal(45);
+      expect(ergebnis.verstoesse[1].meldung).to.include('§4 ArbZG');
+    });
+
+    it('should only count breaks of at least 15 minutes and limit work without a break', () => {
+      const ergebnis = pruefen([], [{
+        datum: new Date(2026, 10, 2),
+        startzeit: '06:00',
+        endzeit: '15:00',
+        pausen: [{ start: '06:30', ende: '06:40' }, { start: '07:00', ende: '07:30' }]
+      }]);
+
+      expect(arten(ergebnis)).to.deep.equal(['arbeitsblock']);
+      expect(ergebnis.verstoesse[0].wert).to.equal(7.5);
+    });
+
+    it('should flag more than ten hours and short rest periods', () => {
+      const ergebnis = pruefen([eintrag(2, '06:00', '17:30', 60), eintrag(2, '19:00', '22:00'), eintrag(3, '06:00', '12:00')]);
+
+      expect(arten(ergebnis)).to.deep.equal(['hoechstarbeitszeit', 'ruhezeit']);
+      expect(ergebnis.verstoesse[0].wert).to.equal(13.5);
+      expect(ergebnis.verstoesse[1].wert).to.equal(8);
+      expect(ergebnis.kennzahlen.kuerzesteRuhezeit).to.equal(8);
+    });
+
+    it('should warn when the average over the compensation period exceeds 48 hours', () => {
+      const eintraege = [];
+      for (let tag = new Date(2026, 4, 4); tag < new Date(2026, 10, 15); tag.setDate(tag.getDate() + 1)) {
+        if (tag.getDay() !== 0) {
+          eintraege.push({ datum: new Date(tag), startzeit: '07:00', endzeit: '17:45', pause: 45 });
+        }
+      }
+      const ergebnis = pruefen(eintraege, [], { von: new Date(2026, 10, 9), bis: new Date(2026, 10, 14) });
+
+      expect(arten(ergebnis)).to.deep.equal(['durchschnitt']);
+      expect(ergebnis.verstoesse[0].schwere).to.equal('warnung');
+      expect(ergebnis.kennzahlen.durchschnittWochenstunden).to.equal(60);
+      expect(ArbzgService.abzulehnen(ergebnis.verstoesse, { ...config, modus: 'ablehnen' })).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+// tests/services/archiv.service.test.js
+const { expect } = require('chai');
+const { PassThrough, Readable } = require('stream');
+const yazl = require('yazl');
+const ArchivService = require('../../services/archiv.service');
+const storageConfig = require('../../config/storage.config');
+
+// ZIP-Archiv im Speicher erzeugen: { name: inhalt }
+const erstelleZip = (dateien) => new Promise((resolve, reject) => {
+  const zip = new yazl.ZipFile();
+  Object.entries(dateien).forEach(([name, inhalt]) => zip.addBuffer(Buffer.from(inhalt), name));
+  zip.end();
+  const teile = [];
+  zip.outputStream.on('data', teil => teile.push(teil));
+  zip.outputStream.on('error', reject);
+  zip.outputStream.on('end', () => resolve(Buffer.concat(teile)));
+});
+
+describe('ArchivService', () => {
+  describe('entpacke', () => {
+    it('should hand valid entries to the callback and report rejected ones', async () => {
+      const zip = await erstelleZip({
+        'Rechnungen/rechnung.pdf': '%PDF-1.4',
+        'notiz.txt': 'Hallo',
+        'programm.exe': 'MZ',
+        '__MACOSX/._notiz.txt': 'x',
+        '.DS_Store': 'x'
+      });
+
+      const { ergebnisse, abgelehnt } = await ArchivService.entpacke(
+        zip,
+        async ({ name, buffer }) => `${name}:${buffer.toString()}`,
+        ({ name }) => (name.endsWith('.exe') ? 'Dateityp nicht erlaubt' : null)
+      );
+
+      expect(ergebnisse).to.eql(['rechnung.pdf:%PDF-1.4', 'notiz.txt:Hallo']);
+      expect(abgelehnt).to.eql([{ datei: 'programm.exe', fehler: 'Dateityp nicht erlaubt' }]);
+    });
+
+    it('should reject an entry when the callback fails with a client error', async () => {
+      const zip = await erstelleZip({ 'kaputt.jpg': 'kein Bild' });
+      const { ergebnisse, abgelehnt } = await ArchivService.entpacke(zip, async () => {
+        const fehler = new Error('Das Bild konnte nicht gelesen werden');
+        fehler.statusCode = 400;
+        throw fehler;
+      });
+
+      expect(ergebnisse).to.have.lengthOf(0);
+      expect(abgelehnt[0].fehler).to.equal('Das Bild konnte nicht gelesen werden');
+    });
+
+    it('should check the limits for the whole archive before handing on any entry', async () => {
+      const archiv = storageConfig.archiv;
+      const verarbeitet = [];
+      const verarbeite = async ({ name }) => verarbeitet.push(name);
+      const fehlerVon = (zip) => ArchivService.entpacke(zip, verarbeite).then(() => null, error => error);
+
+      try {
+        storageConfig.archiv = { ...archiv, maxEintraege: 2 };
+        const zuViele = await fehlerVon(await erstelleZip({ 'a.txt': 'a', 'b.txt': 'b', 'c.txt': 'c', '.DS_Store': 'x' }));
+        expect(zuViele.statusCode).to.equal(400);
+        expect(zuViele.message).to.match(/mehr als 2 Dateien/);
+
+        storageConfig.archiv = { ...archiv, maxEntpacktMb: 1 };
+        const zuGross = await fehlerVon(await erstelleZip({ 'a.txt': 'a', 'gross.txt': 'x'.repeat(1024 * 1024) }));
+        expect(zuGross.message).to.match(/größer als 1 MB/);
+
+        expect(verarbeitet).to.eql([]);
+      } finally {
+        storageConfig.archiv = archiv;
+      }
+    });
+
+    it('should reject data that is not a ZIP archive', async () => {
+      let fehler;
+      try {
+        await ArchivService.entpacke(Buffer.from('kein Archiv'), async () => {});
+      } catch (error) {
+        fehler = error;
+      }
+      expect(fehler.statusCode).to.equal(400);
+    });
+  });
+
+  describe('schreibe', () => {
+    it('should stream all entries into an archive that can be unpacked again', async () => {
+      const ziel = new PassThrough();
+      const teile = [];
+      ziel.on('data', teil => teile.push(teil));
+
+      const eindeutig = ArchivService.eindeutigeNamen();
+      await ArchivService.schreibe([
+        { name: eindeutig('bild/foto.jpg'), oeffnen: async () => Readable.from([Buffer.from('eins')]) },
+        { name: eindeutig('bild/foto.jpg'), oeffnen: async () => Readable.from([Buffer.from('zwei')]) }
+      ], ziel);
+
+      const { ergebnisse } = await ArchivService.entpacke(
+        Buffer.concat(teile),
+        async ({ name, buffer }) => `${name}:${buffer.toString()}`
+      );
+      expect(ergebnisse).to.eql(['foto.jpg:eins', 'foto (2).jpg:zwei']);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+// tests/services/audit.service.test.js
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const AuditService = require('../../services/audit.service');
+
+describe('AuditService', () => {
+  describe('diff', () => {
+    it('should list changed fields with dot paths and normalized values', () => {
+      const kunde = new mongoose.Types.ObjectId();
+      const alt = { status: 'Entwurf', betrag: 100, adresse: { plz: '30159', ort: 'Hannover' }, positionen: [{ menge: 1 }] };
+      const neu = {
+        status: 'Gesendet',
+        betrag: 100,
+        adresse: { plz: '30161', ort: 'Hannover' },
+        positionen: [{ menge: 2 }],
+        kunde,
+        versendetAm: new Date('2026-03-02T08:00:00Z')
+      };
+
+      expect(AuditService.diff(alt, neu)).to.deep.equal([
+        { feld: 'status', alt: 'Entwurf', neu: 'Gesendet' },
+        { feld: 'adresse.plz', alt: '30159', neu: '30161' },
+        { feld: 'positionen', alt: [{ menge: 1 }], neu: [{ menge: 2 }] },
+        { feld: 'kunde', neu: kunde.toHexString() },
+        { feld: 'versendetAm', neu: '2026-03-02T08:00:00.000Z' }
+      ]);
+    });
+
+    it('should skip secrets, timestamps, ignored fields and paths that were not modified', () => {
+      const alt = { name: 'A', password: 'x', updatedAt: new Date(0), lastLogin: new Date(0), telefon: '1' };
+      const neu = { name: 'B', password: 'y', updatedAt: new Date(), lastLogin: new Date() };
+
+      expect(AuditService.diff(alt, neu, { ignorieren: ['lastLogin'] }).map(a => a.feld)).to.deep.equal(['name', 'telefon']);
+      expect(AuditService.diff(alt, neu, { ignorieren: ['lastLogin'], pfade: ['name'] })).to.deep.equal([
+        { feld: 'name', alt: 'A', neu: 'B' }
+      ]);
+    });
+
+    it('should record all values on creation and deletion and shorten long texts', () => {
+      const bild = 'x'.repeat(3000);
+
+      const erstellt = AuditService.diff(null, { name: 'Neu', bild });
+      expect(erstellt[0]).to.deep.equal({ feld: 'name', neu: 'Neu' });
+      expect(erstellt[1].neu).to.have.length(2001);
+
+      expect(AuditService.diff({ name: 'Weg' }, null)).to.deep.equal([{ feld: 'name', alt: 'Weg' }]);
+    });
+  });
+
+  describe('filter', () => {
+    it('should build the query from entity, user, action, field and period', () => {
+      const filter = AuditService.filter({
+        entitaet: 'Rechnung',
+        benutzer: '507f1f77bcf86cd799439011',
+        aktion: 'geaendert',
+        feld: 'status',
+        von: '2026-01-01',
+        bis: '2026-01-31T23:59:59Z'
+      });
+
+      expect(filter.entitaet).to.equal('Rechnung');
+      expect(filter.benutzer).to.equal('507f1f77bcf86cd799439011');
+      expect(filter['aenderungen.feld']).to.equal('status');
+      expect(filter.zeitpunkt.$gte.toISOString()).to.equal('2026-01-01T00:00:00.000Z');
+      expect(filter.zeitpunkt.$lte.toISOString()).to.equal('2026-01-31T23:59:59.000Z');
+      expect(AuditService.filter({})).to.deep.equal({});
+    });
+  });
+
+  describe('maskieren', () => {
+    it('should hide salary values from readers without HR permission', () => {
+      const eintraege = [{
+        entitaet: 'Mitarbeiter',
+        aenderungen: [
+          { feld: 'gehalt.brutto', alt: 3000, neu: 3200 },
+          { feld: 'telefon', alt: '1', neu: '2' }
+        ]
+      }];
+
+      const maskiert = AuditService.maskieren(eintraege, { role: 'mitarbeiter', permissions: ['audit:read'] });
+      expect(maskiert[0].aenderungen).to.deep.equal([
+        { feld: 'gehalt.brutto', verborgen: true },
+        { feld: 'telefon', alt: '1', neu: '2' }
+      ]);
+      expect(AuditService.maskieren(eintraege, { role: 'admin' })).to.equal(eintraege);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+// tests/services/berechtigung.service.test.js
+const { expect } = require('chai');
+const BerechtigungService = require('../../services/berechtigung.service');
+
+describe('BerechtigungService', () => {
+  describe('hat', () => {
+    it('should grant everything to admins and the default set to plain employees', () => {
+      const admin = { role: 'admin' };
+      const mitarbeiter = { role: 'mitarbeiter' };
+
+      expect(BerechtigungService.hat(admin, 'mitarbeiter:gehalt:read')).to.equal(true);
+      expect(BerechtigungService.hat(mitarbeiter, 'umzug:write')).to.equal(true);
+      expect(BerechtigungService.hat(mitarbeiter, 'aufnahme:write')).to.equal(true);
+      expect(BerechtigungService.hat(mitarbeiter, 'umzug:delete')).to.equal(false);
+      expect(BerechtigungService.hat(mitarbeiter, 'rechnung:approve')).to.equal(false);
+      expect(BerechtigungService.hat(mitarbeiter, 'mitarbeiter:gehalt:read')).to.equal(false);
+      expect(BerechtigungService.hat(null, 'umzug:read')).to.equal(false);
+    });
+
+    it('should replace the default set by named roles plus individual permissions', () => {
+      const fahrer = { role: 'mitarbeiter', roles: ['fahrer'], permissions: ['rechnung:read'] };
+      const buchhaltung = { role: 'mitarbeiter', roles: ['buchhaltung'] };
+
+      expect(BerechtigungService.hat(fahrer, 'fahrtenbuch:write')).to.equal(true);
+      expect(BerechtigungService.hat(fahrer, 'rechnung:read')).to.equal(true);
+      expect(BerechtigungService.hat(fahrer, 'umzug:write')).to.equal(false);
+      expect(BerechtigungService.hat(buchhaltung, 'rechnung:approve')).to.equal(true);
+      expect(BerechtigungService.hat(buchhaltung, 'mitarbeiter:gehalt:read')).to.equal(true);
+      expect(BerechtigungService.hatEine(fahrer, ['umzug:delete', 'fahrzeug:read'])).to.equal(true);
+    });
+
+    it('should keep customer data and other users\' files from drivers', () => {
+      const fahrer = { role: 'mitarbeiter', roles: ['fahrer'] };
+
+      expect(BerechtigungService.hat(fahrer, 'client:read')).to.equal(false);
+      expect(BerechtigungService.hat(fahrer, 'client:write')).to.equal(false);
+      expect(BerechtigungService.hat(fahrer, 'upload:read')).to.equal(false);
+      expect(BerechtigungService.hat(fahrer, 'upload:write')).to.equal(true);
+      expect(BerechtigungService.hat({ role: 'mitarbeiter' }, 'client:delete')).to.equal(false);
+    });
+
+    it('should only grant known permissions in the role configuration', () => {
+      const { liste, standard, rollen } = require('../../config/berechtigungen.config');
+      const vergeben = [...standard, ...Object.values(rollen).flatMap(rolle => rolle.berechtigungen)];
+
+      vergeben.forEach(gewaehrt => {
+        expect(liste.some(name => BerechtigungService.deckt(gewaehrt, name)), gewaehrt).to.equal(true);
+      });
+    });
+  });
+
+  describe('deckt', () => {
+    it('should expand trailing wildcards only', () => {
+      expect(BerechtigungService.deckt('mitarbeiter:*', 'mitarbeiter:gehalt:read')).to.equal(true);
+      expect(BerechtigungService.deckt('umzug:*', 'umzug:delete')).to.equal(true);
+      expect(BerechtigungService.deckt('umzug:*', 'umzugskosten:read')).to.equal(false);
+      expect(BerechtigungService.deckt('umzug:read', 'umzug:write')).to.equal(false);
+      expect(BerechtigungService.rollenMit('abwesenheit:approve')).to.deep.equal(['vorarbeiter']);
+    });
+  });
+
+  describe('felderEntfernen', () => {
+    const eigeneId = '507f1f77bcf86cd799439011';
+    const antwort = {
+      success: true,
+      data: [
+        { vorname: 'Anna', userId: '507f1f77bcf86cd799439099', gehalt: { brutto: 3000 }, notfallkontakt: { name: 'B' } },
+        { vorname: 'Max', userId: { _id: eigeneId, name: 'Max' }, gehalt: { brutto: 2800 }, notfallkontakt: { name: 'C' } }
+      ]
+    };
+
+    it('should hide salary and emergency contact except in the own record', () => {
+      const ergebnis = BerechtigungService.felderEntfernen(antwort, { _id: eigeneId, role: 'mitarbeiter', roles: ['disponent'] });
+
+      expect(ergebnis.data[0]).to.not.have.property('gehalt');
+      expect(ergebnis.data[0]).to.not.have.property('notfallkontakt');
+      expect(ergebnis.data[0].vorname).to.equal('Anna');
+      expect(ergebnis.data[1].gehalt.brutto).to.equal(2800);
+      expect(antwort.data[0].gehalt.brutto).to.equal(3000);
+    });
+
+    it('should keep the fields for HR and reject writes without permission', () => {
+      const ergebnis = BerechtigungService.felderEntfernen(antwort, { _id: eigeneId, roles: ['buchhaltung'] });
+      expect(ergebnis).to.equal(antwort);
+
+      expect(() => BerechtigungService.pruefeFeldaenderung({ role: 'mitarbeiter' }, { telefon: '0511', gehalt: { brutto: 1 } }))
+        .to.throw('gehalt');
+      BerechtigungService.pruefeFeldaenderung({ roles: ['buchhaltung'] }, { gehalt: { brutto: 1 } });
+    });
+  });
+});
@@ -0,0 +1,55 @@
+// tests/services/bild.service.test.js
+const { expect } = require('chai');
+const sharp = require('sharp');
+const BildService = require('../../services/bild.service');
+
+// Handyfoto im Hochformat: quer gespeichert, Ausrichtung über EXIF, mit GPS-Position
+const handyfoto = () => sharp({ create: { width: 400, height: 200, channels: 3, background: '#3366cc' } })
+  .jpeg()
+  .withMetadata({ orientation: 6 })
+  .withExif({
+    IFD0: { Make: 'Testkamera' },
+    IFD2: { DateTimeOriginal: '2026:10:18 14:30:05', OffsetTimeOriginal: '+02:00' },
+    IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '52/1 31/1 0/1' }
+  })
+  .toBuffer();
+
+describe('BildService', () => {
+  describe('verarbeite', () => {
+    it('should orient the image and strip EXIF including GPS', async () => {
+      const { original } = await BildService.verarbeite(await handyfoto(), 'image/jpeg');
+      const metadaten = await sharp(original.buffer).metadata();
+
+      expect([original.breite, original.hoehe]).to.eql([200, 400]);
+      expect(metadaten.exif).to.equal(undefined);
+      expect(metadaten.orientation).to.equal(undefined);
+      expect(original.buffer.includes(Buffer.from('Testkamera'))).to.equal(false);
+    });
+
+    it('should create thumbnail and web variants and read the capture time', async () => {
+      const { varianten, aufgenommenAm } = await BildService.verarbeite(await handyfoto(), 'image/jpeg');
+
+      expect([varianten.thumbnail.breite, varianten.thumbnail.hoehe]).to.eql([160, 320]);
+      expect([varianten.web.breite, varianten.web.hoehe]).to.eql([200, 400]); // nicht vergrößert
+      expect(varianten.web.mimetype).to.equal('image/jpeg');
+      expect(aufgenommenAm.toISOString()).to.equal('2026-10-18T12:30:05.000Z');
+    });
+
+    it('should reject files that are not readable images', async () => {
+      let fehler;
+      try {
+        await BildService.verarbeite(Buffer.from('kein Bild'), 'image/jpeg');
+      } catch (error) {
+        fehler = error;
+      }
+      expect(fehler.statusCode).to.equal(400);
+    });
+  });
+
+  describe('leseAufnahmezeit', () => {
+    it('should return null without usable EXIF data', () => {
+      expect(BildService.leseAufnahmezeit(undefined)).to.equal(null);
+      expect(BildService.leseAufnahmezeit(Buffer.from('Exif\0\0XXXXXXXXXXXX'))).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+// tests/services/client.service.test.js
+const { expect } = require('chai');
+const ClientService = require('../../services/client.service');
+const Client = require('../../models/client');
+
+describe('ClientService', () => {
+  describe('findOrCreateByKontakt', () => {
+    const findOne = Client.findOne;
+    const create = Client.create;
+
+    afterEach(() => {
+      Client.findOne = findOne;
+      Client.create = create;
+    });
+
+    const kontakt = {
+      name: 'Max Mustermann',
+      email: 'Max@Example.de',
+      telefon: '0511 123456',
+      kontaktperson: 'Erika Muster',
+      adresse: { strasse: 'Neuweg', hausnummer: '2', plz: '20095', ort: 'Hamburg', land: 'Deutschland' }
+    };
+
+    it('should find the client by the normalised email address first', async () => {
+      const abfragen = [];
+      Client.findOne = async (filter) => {
+        abfragen.push(filter);
+        return { _id: 'c1' };
+      };
+      Client.create = async () => {
+        throw new Error('darf nicht angelegt werden');
+      };
+
+      const client = await ClientService.findOrCreateByKontakt(kontakt, 'u1');
+
+      expect(client._id).to.equal('c1');
+      expect(abfragen).to.eql([{ email: 'max@example.de' }]);
+    });
+
+    it('should fall back to name and phone number', async () => {
+      const abfragen = [];
+      Client.findOne = async (filter) => {
+        abfragen.push(filter);
+        return filter.name ? { _id: 'c2' } : null;
+      };
+
+      const client = await ClientService.findOrCreateByKontakt(kontakt, 'u1');
+
+      expect(client._id).to.equal('c2');
+      expect(abfragen[1]).to.eql({ name: 'Max Mustermann', phone: '0511 123456' });
+    });
+
+    it('should create a client with the given address as billing address', async () => {
+      let angelegt;
+      Client.findOne = async () => null;
+      Client.create = async (daten) => {
+        angelegt = daten;
+        return { _id: 'c3', ...daten };
+      };
+
+      const client = await ClientService.findOrCreateByKontakt({ ...kontakt, email: undefined }, 'u1');
+
+      expect(client._id).to.equal('c3');
+      expect(angelegt).to.eql({
+        name: 'Max Mustermann',
+        contactPerson: 'Erika Muster',
+        email: undefined,
+        phone: '0511 123456',
+        address: { street: 'Neuweg 2', zipCode: '20095', city: 'Hamburg', country: 'Deutschland' },
+        createdBy: 'u1'
+      });
+    });
+  });
+});
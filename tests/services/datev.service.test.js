@@ -0,0 +1,97 @@
+// tests/services/datev.service.test.js
+const { expect } = require('chai');
+const DatevService = require('../../services/datev.service');
+const datevConfig = require('../../config/datev.config');
+
+describe('DatevService', () => {
+  const skr03 = datevConfig.konten.SKR03;
+  const skr04 = datevConfig.konten.SKR04;
+
+  describe('formatBetrag', () => {
+    it('should use a decimal comma without thousands separator', () => {
+      expect(DatevService.formatBetrag(1234.5)).to.equal('1234,50');
+      expect(DatevService.formatBetrag(-19.999)).to.equal('20,00');
+    });
+  });
+
+  describe('belegfeld', () => {
+    it('should drop characters DATEV does not accept', () => {
+      expect(DatevService.belegfeld('REC2610-001')).to.equal('REC2610-001');
+      expect(DatevService.belegfeld('RE 2026_01')).to.equal('RE202601');
+    });
+  });
+
+  describe('wirtschaftsjahr', () => {
+    it('should handle fiscal years not starting in January', () => {
+      const wj = DatevService.wirtschaftsjahr(new Date(2026, 1, 15), '0701');
+      expect(wj.beginn.getFullYear()).to.equal(2025);
+      expect(wj.beginn.getMonth()).to.equal(6);
+      expect(wj.ende.getFullYear()).to.equal(2026);
+      expect(wj.ende.getMonth()).to.equal(5);
+    });
+  });
+
+  describe('buchungenRechnung', () => {
+    const rechnung = {
+      rechnungNummer: 'REC2610-001',
+      ausstellungsdatum: new Date(2026, 9, 5),
+      faelligkeitsdatum: new Date(2026, 9, 19),
+      mehrwertsteuer: 19,
+      gesamtbetrag: 226.1,
+      kunde: { name: 'Muster GmbH' },
+      steuersaetze: [
+        { satz: 19, nettobetrag: 100, steuerbetrag: 19 },
+        { satz: 7, nettobetrag: 100, steuerbetrag: 7 }
+      ]
+    };
+
+    it('should book one line per VAT rate with the matching BU key', () => {
+      const buchungen = DatevService.buchungenRechnung(rechnung, skr03);
+      expect(buchungen).to.have.length(2);
+      expect(buchungen[0]).to.include({ umsatz: 119, konto: '10000', gegenkonto: '8200', buSchluessel: '3' });
+      expect(buchungen[1]).to.include({ umsatz: 107, buSchluessel: '2' });
+      expect(buchungen[0].belegfeld2).to.equal('191026');
+    });
+
+    it('should use SKR04 revenue accounts and a booking override', () => {
+      const [buchung] = DatevService.buchungenRechnung({ ...rechnung, steuersaetze: [] }, skr04);
+      expect(buchung.gegenkonto).to.equal('4200');
+      const [abweichend] = DatevService.buchungenRechnung({ ...rechnung, buchung: { sachkonto: '8210' } }, skr03);
+      expect(abweichend.gegenkonto).to.equal('8210');
+    });
+  });
+
+  describe('buchungProjektkosten', () => {
+    it('should book vehicle costs with input tax against the creditor', () => {
+      const buchung = DatevService.buchungProjektkosten({
+        kostennummer: 'PK2610-001', kategorie: 'Fahrzeuge', betrag: 59.5, steuersatz: 19, datum: new Date(2026, 9, 1)
+      }, skr03);
+      expect(buchung).to.include({ konto: '4500', gegenkonto: '70000', buSchluessel: '9', belegfeld1: 'PK2610-001' });
+    });
+
+    it('should book personnel costs without input tax and cash payments against the cash account', () => {
+      const buchung = DatevService.buchungProjektkosten({
+        kategorie: 'Personal', betrag: 300, steuersatz: 19, zahlungsmethode: 'Bar', datum: new Date(2026, 9, 1), _id: 'abc'
+      }, skr04);
+      expect(buchung).to.include({ konto: '6000', gegenkonto: '1600', buSchluessel: '' });
+    });
+  });
+
+  describe('buchungszeile', () => {
+    it('should format a booking line', () => {
+      const zeile = DatevService.buchungszeile({
+        umsatz: 119, konto: '10000', gegenkonto: '8200', buSchluessel: '3',
+        belegdatum: new Date(2026, 9, 5), belegfeld1: 'REC2610-001', buchungstext: 'Rechnung "A"'
+      }).split(';');
+      expect(zeile.slice(0, 11)).to.deep.equal(['119,00', '"S"', '"EUR"', '', '', '', '10000', '8200', '"3"', '0510', '"REC2610-001"']);
+      expect(zeile[13]).to.equal('"Rechnung ""A"""');
+      expect(zeile).to.have.length(38);
+    });
+  });
+
+  describe('kodieren', () => {
+    it('should encode umlauts and the euro sign as Windows-1252', () => {
+      expect([...DatevService.kodieren('ä€')]).to.deep.equal([0xe4, 0x80]);
+    });
+  });
+});
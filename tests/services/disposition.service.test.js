@@ -0,0 +1,126 @@
+// tests/services/disposition.service.test.js
+const { expect } = require('chai');
+const DispositionService = require('../../services/disposition.service');
+
+describe('DispositionService', () => {
+  const mitarbeiter = (verfuegbarkeit) => ({ vorname: 'Max', nachname: 'Muster', verfuegbarkeit });
+
+  describe('abwesenheit', () => {
+    it('should ignore available employees', () => {
+      const ma = mitarbeiter({ status: 'verfuegbar' });
+      expect(DispositionService.abwesenheit(ma, new Date(2026, 9, 1), new Date(2026, 9, 2))).to.equal(null);
+    });
+
+    it('should report sick leave overlapping the period', () => {
+      const ma = mitarbeiter({ status: 'krank', von: new Date(2026, 8, 28), bisWann: new Date(2026, 9, 1) });
+      expect(DispositionService.abwesenheit(ma, new Date(2026, 9, 1, 8), new Date(2026, 9, 1, 18))).to.equal('krank');
+    });
+
+    it('should ignore vacation outside the period', () => {
+      const ma = mitarbeiter({ status: 'urlaub', von: new Date(2026, 9, 5), bisWann: new Date(2026, 9, 10) });
+      expect(DispositionService.abwesenheit(ma, new Date(2026, 9, 1), new Date(2026, 9, 4))).to.equal(null);
+    });
+
+    it('should treat a missing end date as open-ended', () => {
+      const ma = mitarbeiter({ status: 'krank', von: new Date(2026, 9, 1) });
+      expect(DispositionService.abwesenheit(ma, new Date(2026, 11, 24), new Date(2026, 11, 24))).to.equal('krank');
+    });
+
+    it('should report approved absences beyond the current availability', () => {
+      const ma = { ...mitarbeiter({ status: 'verfuegbar' }), _id: '64b000000000000000000001' };
+      const abwesenheiten = [{ mitarbeiter: '64b000000000000000000001', art: 'Urlaub', von: new Date(2026, 11, 21), bis: new Date(2026, 11, 31) }];
+
+      expect(DispositionService.abwesenheit(ma, new Date(2026, 11, 28), new Date(2026, 11, 28), abwesenheiten)).to.equal('urlaub');
+      expect(DispositionService.abwesenheit(ma, new Date(2027, 0, 4), new Date(2027, 0, 4), abwesenheiten)).to.equal(null);
+    });
+  });
+
+  describe('pruefeKonflikte', () => {
+    it('should not query anything without resources', async () => {
+      const konflikte = await DispositionService.pruefeKonflikte({ startDatum: new Date(), mitarbeiter: [], fahrzeuge: [] });
+      expect(konflikte).to.deep.equal([]);
+    });
+  });
+
+  describe('ressourcenplan', () => {
+    it('should reject periods longer than three months', async () => {
+      try {
+        await DispositionService.ressourcenplan(new Date(2026, 0, 1), new Date(2026, 5, 1));
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+    });
+  });
+
+  describe('darfFahren', () => {
+    it('should allow B vehicles for C licence holders', () => {
+      expect(DispositionService.darfFahren(['C'], 'B')).to.equal(true);
+    });
+
+    it('should not allow C vehicles with C1', () => {
+      expect(DispositionService.darfFahren(['B', 'C1'], 'C')).to.equal(false);
+    });
+
+    it('should accept lower-case classes and default to B', () => {
+      expect(DispositionService.darfFahren(['ce'], 'C1E')).to.equal(true);
+      expect(DispositionService.darfFahren(['B'])).to.equal(true);
+    });
+  });
+
+  describe('kombinationen', () => {
+    const fahrzeuge = [
+      { id: 'sprinter1', volumen: 14, ladegewicht: 1000, kosten: 120 },
+      { id: 'sprinter2', volumen: 14, ladegewicht: 1000, kosten: 120 },
+      { id: 'lkw', volumen: 40, ladegewicht: 3500, kosten: 260 },
+      { id: 'pkw', volumen: 2, ladegewicht: 400, kosten: 70 }
+    ];
+
+    it('should pick the cheapest single vehicle when it suffices', () => {
+      const [beste] = DispositionService.kombinationen(fahrzeuge, { volumen: 12, gewicht: 900 });
+      expect(beste.fahrzeuge.map(f => f.id)).to.deep.equal(['sprinter1']);
+      expect(beste.kosten).to.equal(120);
+    });
+
+    it('should combine vehicles when that is cheaper', () => {
+      const [beste] = DispositionService.kombinationen(fahrzeuge, { volumen: 26, gewicht: 1800 });
+      expect(beste.fahrzeuge.map(f => f.id)).to.deep.equal(['sprinter1', 'sprinter2']);
+      expect(beste.kosten).to.equal(240);
+    });
+
+    it('should respect the payload', () => {
+      const [beste] = DispositionService.kombinationen(fahrzeuge, { volumen: 10, gewicht: 2500 });
+      expect(beste.fahrzeuge.map(f => f.id)).to.deep.equal(['lkw']);
+    });
+
+    it('should return nothing if the fleet is too small', () => {
+      expect(DispositionService.kombinationen(fahrzeuge, { volumen: 100, gewicht: 0 })).to.deep.equal([]);
+    });
+  });
+
+  describe('fahrerZuordnen', () => {
+    it('should give the only C driver to the truck', () => {
+      const fahrzeuge = [
+        { id: 'sprinter', fuehrerscheinklasse: 'B' },
+        { id: 'lkw', fuehrerscheinklasse: 'C' }
+      ];
+      const fahrer = [
+        { id: 'a', fuehrerscheinklassen: ['B', 'C'], imTeam: false },
+        { id: 'b', fuehrerscheinklassen: ['B'], imTeam: false }
+      ];
+      const { zuordnung, vollstaendig } = DispositionService.fahrerZuordnen(fahrzeuge, fahrer);
+      expect(vollstaendig).to.equal(true);
+      expect(zuordnung.get('lkw').id).to.equal('a');
+      expect(zuordnung.get('sprinter').id).to.equal('b');
+    });
+
+    it('should report missing drivers', () => {
+      const { zuordnung, vollstaendig } = DispositionService.fahrerZuordnen(
+        [{ id: 'lkw', fuehrerscheinklasse: 'CE' }],
+        [{ id: 'a', fuehrerscheinklassen: ['C'], imTeam: true }]
+      );
+      expect(vollstaendig).to.equal(false);
+      expect(zuordnung.get('lkw')).to.equal(null);
+    });
+  });
+});
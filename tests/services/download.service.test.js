@@ -0,0 +1,109 @@
+// tests/services/download.service.test.js
+const { expect } = require('chai');
+const DownloadService = require('../../services/download.service');
+
+const upload = {
+  _id: '64b000000000000000000001',
+  originalname: 'Schadensfoto Küche.jpg',
+  filename: '1700000000000-ab12.jpg',
+  pfad: 'bild/1700000000000-ab12.jpg',
+  mimetype: 'image/jpeg',
+  bezugModell: 'Umzug',
+  hochgeladenVon: '64b0000000000000000000aa'
+};
+const admin = { _id: '64b0000000000000000000ad', role: 'admin' };
+const mitarbeiter = { _id: '64b0000000000000000000bb', role: 'mitarbeiter' };
+
+const parameter = (url) => Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+
+describe('DownloadService', () => {
+  describe('erzeugeLink / pruefeLink', () => {
+    it('should accept an unmodified link until it expires', () => {
+      const { url, gueltigBis } = DownloadService.erzeugeLink(upload, mitarbeiter, { minuten: 10, inline: true });
+      expect(url).to.include(`/api/uploads/${upload._id}/download?`);
+
+      const query = parameter(url);
+      expect(query.inline).to.equal('true');
+      const link = DownloadService.pruefeLink(upload._id, query);
+      expect(link.ausgestelltVon).to.equal(mitarbeiter._id);
+      expect(Math.abs(link.gueltigBis - gueltigBis)).to.be.below(1000);
+    });
+
+    it('should reject tampered and expired links', () => {
+      const query = parameter(DownloadService.erzeugeLink(upload, mitarbeiter).url);
+
+      expect(() => DownloadService.pruefeLink('64b000000000000000000002', query)).to.throw(/Ungültiger Download-Link/);
+      expect(() => DownloadService.pruefeLink(upload._id, { ...query, ablauf: String(Number(query.ablauf) + 3600) }))
+        .to.throw(/Ungültiger Download-Link/);
+      expect(() => DownloadService.pruefeLink(upload._id, { ...query, von: admin._id })).to.throw(/Ungültiger Download-Link/);
+      expect(() => DownloadService.pruefeLink(upload._id, {})).to.throw(/Ungültiger Download-Link/);
+
+      const ablauf = Math.floor(Date.now() / 1000) - 60;
+      const abgelaufen = { ablauf: String(ablauf), von: mitarbeiter._id, signatur: DownloadService.signatur(upload._id, ablauf, mitarbeiter._id) };
+      expect(() => DownloadService.pruefeLink(upload._id, abgelaufen)).to.throw(/abgelaufen/);
+    });
+  });
+
+  describe('darfZugreifen', () => {
+    it('should allow staff for move documents but keep finance documents for admins', async () => {
+      expect(await DownloadService.darfZugreifen(mitarbeiter, upload)).to.equal(true);
+      expect(await DownloadService.darfZugreifen(mitarbeiter, { ...upload, bezugModell: 'Rechnung' })).to.equal(false);
+      expect(await DownloadService.darfZugreifen(admin, { ...upload, bezugModell: 'Rechnung' })).to.equal(true);
+      expect(await DownloadService.darfZugreifen(null, upload)).to.equal(false);
+    });
+
+    it('should decide by the permissions of named roles', async () => {
+      const fahrer = { _id: '64b0000000000000000000cc', role: 'mitarbeiter', roles: ['fahrer'] };
+      const buchhaltung = { _id: '64b0000000000000000000dd', role: 'mitarbeiter', roles: ['buchhaltung'] };
+
+      expect(await DownloadService.darfZugreifen(fahrer, upload)).to.equal(false);
+      expect(await DownloadService.darfZugreifen(fahrer, { ...upload, bezugModell: 'Dokument' })).to.equal(false);
+      expect(await DownloadService.darfZugreifen(buchhaltung, { ...upload, bezugModell: 'Rechnung' })).to.equal(true);
+      expect(await DownloadService.darfZugreifen(buchhaltung, { ...upload, bezugModell: 'Aufnahme' })).to.equal(false);
+    });
+
+    it('should always allow the uploader', async () => {
+      const uploader = { _id: upload.hochgeladenVon, role: 'mitarbeiter' };
+      expect(await DownloadService.darfZugreifen(uploader, { ...upload, bezugModell: 'Rechnung' })).to.equal(true);
+    });
+  });
+
+  describe('filtereZugriff', () => {
+    it('should drop uploads the user may not download, also with a populated uploader', async () => {
+      const fahrer = { _id: upload.hochgeladenVon, role: 'mitarbeiter', roles: ['fahrer'] };
+      const eigene = { ...upload, _id: '64b000000000000000000003', hochgeladenVon: { _id: upload.hochgeladenVon, name: 'Fahrer' } };
+      const fremde = { ...upload, _id: '64b000000000000000000004', hochgeladenVon: { _id: admin._id, name: 'Admin' } };
+
+      const sichtbar = await DownloadService.filtereZugriff(fahrer, [eigene, fremde]);
+      expect(sichtbar.map(datei => datei._id)).to.eql([eigene._id]);
+      expect(await DownloadService.filtereZugriff(mitarbeiter, [eigene, fremde])).to.have.length(2);
+    });
+  });
+
+  describe('datei / header', () => {
+    it('should only display safe types inline and encode the file name', () => {
+      const header = DownloadService.header(DownloadService.datei(upload), true);
+      expect(header['Content-Disposition']).to.equal(
+        'inline; filename="Schadensfoto K_che.jpg"; filename*=UTF-8\'\'Schadensfoto%20K%C3%BCche.jpg'
+      );
+      expect(header['Cache-Control']).to.equal('private, no-store');
+
+      const html = DownloadService.header({ mimetype: 'text/html', name: 'x.html' }, true);
+      expect(html['Content-Disposition']).to.match(/^attachment;/);
+    });
+
+    it('should serve image variants and fall back to the original', () => {
+      const foto = {
+        ...upload,
+        bild: { varianten: { thumbnail: { pfad: 'bild/1700000000000-ab12-thumbnail.jpg', mimetype: 'image/jpeg' } } }
+      };
+      expect(DownloadService.datei(foto, 'thumbnail')).to.eql({
+        pfad: 'bild/1700000000000-ab12-thumbnail.jpg',
+        mimetype: 'image/jpeg',
+        name: 'Schadensfoto Küche-thumbnail.jpg'
+      });
+      expect(DownloadService.datei(foto, 'web').pfad).to.equal(upload.pfad);
+      expect(DownloadService.datei({ ...upload, mimetype: 'application/pdf' }, 'thumbnail').pfad).to.equal(upload.pfad);
+    });
+  });
+});
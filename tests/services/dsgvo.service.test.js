@@ -0,0 +1,189 @@
+// tests/services/dsgvo.service.test.js
+const { expect } = require('chai');
+const DsgvoService = require('../../services/dsgvo.service');
+const Client = require('../../models/client');
+
+const stichtag = new Date('2026-10-19T00:00:00Z');
+
+describe('DsgvoService', () => {
+  describe('frist', () => {
+    it('should start retention at the end of the calendar year of the document', () => {
+      expect(DsgvoService.aufbewahrenBis('2016-03-15', 10).toISOString()).to.equal('2027-01-01T00:00:00.000Z');
+
+      expect(DsgvoService.frist('Rechnung', '2016-03-15', stichtag).bis.toISOString()).to.equal('2027-01-01T00:00:00.000Z');
+      expect(DsgvoService.frist('Rechnung', '2015-12-31', stichtag)).to.equal(null);
+      expect(DsgvoService.frist('Angebot', '2020-06-01', stichtag).grund).to.match(/Handelsbrief/);
+      expect(DsgvoService.frist('Angebot', '2019-06-01', stichtag)).to.equal(null);
+    });
+  });
+
+  describe('person', () => {
+    it('should require an identifying criterion and match phone numbers regardless of formatting', () => {
+      expect(() => DsgvoService.person({ typ: 'kunde' })).to.throw(/Telefonnummer ist erforderlich/);
+      expect(DsgvoService.person({ typ: 'kunde', email: ' Max@Example.de ' })).to.deep.equal({ typ: 'kunde', email: 'max@example.de' });
+
+      const person = DsgvoService.person({ typ: 'kunde', telefon: '0511 123456' });
+      expect(DsgvoService.kontaktPasst({ telefon: '0511/12 34 56' }, person)).to.equal(true);
+      expect(DsgvoService.kontaktPasst({ telefon: '0511 1234567' }, person)).to.equal(false);
+      expect(DsgvoService.kontaktPasst({ email: 'max@example.de' }, { email: 'max@example.de' })).to.equal(true);
+    });
+  });
+
+  describe('ergaenzeKontakt', () => {
+    const findById = Client.findById;
+
+    afterEach(() => {
+      Client.findById = findById;
+    });
+
+    it('should search by the contact data of the customer when only the ID is given', async () => {
+      Client.findById = () => ({ select: () => ({ lean: async () => ({ email: 'Max@Example.de', phone: '0511 123456' }) }) });
+
+      expect(await DsgvoService.ergaenzeKontakt({ typ: 'kunde', clientId: 'c1' })).to.deep.equal({
+        typ: 'kunde', clientId: 'c1', email: 'max@example.de', telefon: '0511 123456'
+      });
+      expect(await DsgvoService.ergaenzeKontakt({ typ: 'kunde', clientId: 'c1', email: 'anders@example.de' }))
+        .to.include({ email: 'anders@example.de', telefon: '0511 123456' });
+    });
+  });
+
+  describe('aenderung', () => {
+    it('should pseudonymize required fields, remove the rest and keep invoice recipient data during retention', () => {
+      const client = {
+        _id: '507f1f77bcf86cd799439011',
+        name: 'Max Mustermann',
+        email: 'max@example.de',
+        phone: '0511 123456',
+        address: { street: 'Hauptstr. 1', city: 'Hannover', zipCode: '30159' }
+      };
+
+      expect(DsgvoService.aenderung('Client', client)).to.deep.equal({
+        update: { $set: { name: 'DSGVO gelöscht' }, $unset: { email: '', phone: '', address: '' } },
+        felder: ['name', 'email', 'phone', 'address'],
+        behalten: []
+      });
+      expect(DsgvoService.aenderung('Client', client, { aufbewahren: true })).to.deep.equal({
+        update: { $unset: { email: '', phone: '' } },
+        felder: ['email', 'phone'],
+        behalten: ['name', 'address']
+      });
+      expect(DsgvoService.aenderung('User', { _id: 'abc', email: 'max@example.de' }).update.$set.email)
+        .to.equal('geloescht-abc@dsgvo.invalid');
+    });
+  });
+
+  describe('planeKunde', () => {
+    it('should keep invoiced records with reason and pseudonymize or delete everything else, including expired documents', () => {
+      const person = { typ: 'kunde', email: 'max@example.de' };
+      const daten = {
+        Client: [{ _id: 'c1', name: 'Max Mustermann', email: 'max@example.de', address: { city: 'Hannover' } }],
+        Rechnung: [{ _id: 'r1', kunde: 'c1', umzug: 'u1', ausstellungsdatum: new Date('2022-05-10') }],
+        Angebot: [{ _id: 'a1', kunde: 'c1', erstelltAm: new Date('2018-01-10') }],
+        Umzug: [
+          {
+            _id: 'u1',
+            status: 'abgeschlossen',
+            auftraggeber: { name: 'Max Mustermann', telefon: '0511 123456', email: 'max@example.de' },
+            auszugsadresse: { strasse: 'Hauptstr.', hausnummer: '1', plz: '30159', ort: 'Hannover' }
+          },
+          {
+            _id: 'u2',
+            status: 'abgeschlossen',
+            auftraggeber: { name: 'Erika Muster', telefon: '0511 999' },
+            kontakte: [
+              { name: 'Max Mustermann', telefon: '0511 123456', email: 'max@example.de' },
+              { name: 'Hausmeister', telefon: '0511 777' }
+            ]
+          }
+        ],
+        Aufnahme: [{ _id: 'f1', kundenName: 'Max Mustermann', email: 'max@example.de' }],
+        Project: [{ _id: 'p1', name: 'Umzug Mustermann', description: 'Klavier im 3. OG', client: 'c1' }],
+        Upload: [
+          { _id: 'd1', bezugModell: 'Rechnung', bezugId: 'r1', pfad: 'rechnung.pdf' },
+          { _id: 'd2', bezugModell: 'Aufnahme', bezugId: 'f1', pfad: 'wohnzimmer.jpg' }
+        ]
+      };
+
+      const schritte = DsgvoService.planeKunde(daten, person, stichtag);
+      const schritt = (schrittId) => schritte.find(eintrag => eintrag.id === schrittId);
+
+      expect(schritt('r1').aktion).to.equal('aufbewahren');
+      expect(schritt('a1').aktion).to.equal('loeschen');
+      expect(schritt('c1').update).to.deep.equal({ $unset: { email: '' }, $set: { isActive: false } });
+      expect(schritt('c1').aufbewahrung.bis.toISOString()).to.equal('2033-01-01T00:00:00.000Z');
+      expect(schritt('u1').felder).to.deep.equal(['auftraggeber.telefon', 'auftraggeber.email']);
+      expect(schritt('u1').aufbewahrung.behalten).to.deep.equal(['auftraggeber.name', 'auszugsadresse']);
+      expect(schritt('u2').felder).to.deep.equal(['kontakte']);
+      expect(schritt('u2').update.$set.kontakte).to.deep.equal([
+        { name: 'DSGVO gelöscht', telefon: 'DSGVO gelöscht' },
+        { name: 'Hausmeister', telefon: '0511 777' }
+      ]);
+      expect(schritt('f1').felder).to.deep.equal(['kundenName', 'email']);
+      expect(schritt('p1').update).to.deep.equal({ $set: { name: 'DSGVO gelöscht' }, $unset: { description: '' } });
+      expect(schritt('d1').aktion).to.equal('aufbewahren');
+      expect(schritt('d2').aktion).to.equal('loeschen');
+
+      const bericht = DsgvoService.bericht(schritte);
+      expect(bericht.geloescht).to.deep.equal([{ entitaet: 'Angebot', id: 'a1' }, { entitaet: 'Upload', id: 'd2' }]);
+      expect(bericht.pseudonymisiert.map(eintrag => eintrag.id)).to.deep.equal(['c1', 'u1', 'u2', 'f1', 'p1']);
+      expect(bericht.aufbewahrt.map(eintrag => eintrag.entitaet)).to.deep.equal(['Rechnung', 'Client', 'Umzug', 'Upload']);
+      expect(bericht.aufbewahrt[0].grund).to.match(/§147 Abs. 1 Nr. 4 AO/);
+    });
+  });
+
+  describe('planeMitarbeiter', () => {
+    it('should keep payroll data and recent time records and delete expired ones, the login and API keys', () => {
+      const daten = {
+        Mitarbeiter: [{
+          _id: 'm1',
+          userId: 'b1',
+          vorname: 'Anna',
+          nachname: 'Schmidt',
+          telefon: '0170 1234567',
+          gehalt: { brutto: 3000 },
+          notfallkontakt: { name: 'Peter' },
+          austrittsdatum: new Date('2025-06-30')
+        }],
+        User: [{ _id: 'b1', name: 'Anna Schmidt', email: 'anna@example.de' }],
+        Zeiterfassung: [
+          { _id: 'z1', datum: new Date('2025-06-02') },
+          { _id: 'z2', datum: new Date('2019-03-01') }
+        ],
+        Stempelung: [{ _id: 's1', kommen: { zeit: new Date('2025-06-02T06:00:00Z'), position: { lat: 52.37, lng: 9.73 } } }],
+        Abwesenheit: [{ _id: 'w1', bis: new Date('2018-08-10') }],
+        Fahrtenbuch: [{ _id: 'f1', datum: new Date('2025-05-12') }, { _id: 'f2', datum: new Date('2015-04-01') }],
+        Upload: [{ _id: 'd1', bezugModell: 'Mitarbeiter', bezugId: 'm1', pfad: 'vertrag.pdf' }],
+        ApiKey: [{ _id: 'k1' }],
+        Benachrichtigung: [{ _id: 'n1' }],
+        DateiZugriff: [{ _id: 'a1' }],
+        AuditLog: [
+          { _id: 'l1', entitaet: 'Umzug', entitaetId: 'u1', benutzer: 'b1' },
+          { _id: 'l2', entitaet: 'Rechnung', entitaetId: 'r1', benutzer: 'b1' },
+          { _id: 'l3', entitaet: 'Mitarbeiter', entitaetId: 'm1', benutzer: 'admin' }
+        ]
+      };
+
+      const bericht = DsgvoService.bericht(DsgvoService.planeMitarbeiter(daten, stichtag));
+
+      expect(bericht.pseudonymisiert).to.deep.equal([
+        { entitaet: 'Mitarbeiter', id: 'm1', felder: ['telefon', 'notfallkontakt'] },
+        { entitaet: 'User', id: 'b1', felder: ['name', 'email'] },
+        { entitaet: 'Stempelung', id: 's1', felder: ['kommen.position'] }
+      ]);
+      expect(bericht.geloescht).to.deep.equal([
+        { entitaet: 'Zeiterfassung', id: 'z2' },
+        { entitaet: 'Abwesenheit', id: 'w1' },
+        { entitaet: 'ApiKey', id: 'k1' },
+        { entitaet: 'Benachrichtigung', id: 'n1' },
+        { entitaet: 'DateiZugriff', id: 'a1' }
+      ]);
+      expect(bericht.aufbewahrt.map(eintrag => eintrag.id || eintrag.entitaet))
+        .to.deep.equal(['m1', 'z1', 's1', 'd1', 'Fahrtenbuch', 'AuditLog']);
+      expect(bericht.aufbewahrt[0]).to.include({ grund: 'Lohnkonto (§41 Abs. 1 EStG, §147 Abs. 1 Nr. 5 AO)' });
+      expect(bericht.aufbewahrt[0].behalten).to.deep.equal(['vorname', 'nachname', 'gehalt']);
+      expect(bericht.aufbewahrt[4]).to.include({ anzahl: 2 });
+      expect(bericht.aufbewahrt[4].aufbewahrenBis.toISOString()).to.equal('2036-01-01T00:00:00.000Z');
+      expect(bericht.aufbewahrt[5].anzahl).to.equal(2);
+    });
+  });
+});
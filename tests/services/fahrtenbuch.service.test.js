@@ -0,0 +1,121 @@
+// tests/services/fahrtenbuch.service.test.js
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const FahrtenbuchService = require('../../services/fahrtenbuch.service');
+
+describe('FahrtenbuchService', () => {
+  const fahrzeug = new mongoose.Types.ObjectId();
+  const benutzer = new mongoose.Types.ObjectId();
+
+  // Builds a correctly chained list of entries
+  const kette = (werteListe) => {
+    let vorheriger = FahrtenbuchService.START_HASH;
+    return werteListe.map((werte, index) => {
+      const eintrag = {
+        _id: new mongoose.Types.ObjectId(),
+        fahrzeug,
+        nummer: index + 1,
+        art: 'buchung',
+        storno: false,
+        erfasstVon: benutzer,
+        erfasstAm: new Date(2026, 8, 1),
+        vorherigerHash: vorheriger,
+        ...werte
+      };
+      eintrag.hash = FahrtenbuchService.hash(eintrag, vorheriger);
+      vorheriger = eintrag.hash;
+      return eintrag;
+    });
+  };
+
+  const fahrt = (tag, kmStart, kmEnde, werte = {}) => ({
+    typ: 'fahrt', datum: new Date(2026, 8, tag), kmStart, kmEnde, zweck: 'dienstlich', ...werte
+  });
+  const tankung = (tag, kilometerstand, liter, betrag, werte = {}) => ({
+    typ: 'tankung', datum: new Date(2026, 8, tag), kilometerstand, liter, betrag, kraftstoff: 'Diesel', vollgetankt: true, ...werte
+  });
+
+  describe('pruefeKette', () => {
+    it('should accept an intact chain and detect altered entries', () => {
+      const eintraege = kette([fahrt(1, 1000, 1100), fahrt(2, 1100, 1250)]);
+      expect(FahrtenbuchService.pruefeKette(eintraege).gueltig).to.equal(true);
+
+      eintraege[0].kmEnde = 1050;
+      const ergebnis = FahrtenbuchService.pruefeKette(eintraege);
+
+      expect(ergebnis.gueltig).to.equal(false);
+      expect(ergebnis.fehler[0].nummer).to.equal(1);
+    });
+
+    it('should detect removed entries and a changed month closing', () => {
+      const eintraege = kette([fahrt(1, 1000, 1100), fahrt(2, 1100, 1250), fahrt(3, 1250, 1300)]);
+      const abschluss = { monat: '2026-09', letzteNummer: 3, letzterHash: eintraege[2].hash };
+
+      const ergebnis = FahrtenbuchService.pruefeKette([eintraege[0], eintraege[2]], [abschluss]);
+
+      expect(ergebnis.gueltig).to.equal(false);
+      expect(ergebnis.fehler.map(f => f.meldung).join(' ')).to.include('Verkettung');
+    });
+  });
+
+  describe('wirksameEintraege', () => {
+    it('should apply the latest correction and drop cancelled bookings', () => {
+      const eintraege = kette([fahrt(1, 1000, 1100), fahrt(2, 1100, 1250)]);
+      const [erste, zweite] = eintraege;
+      eintraege.push(
+        { ...fahrt(1, 1000, 1090), _id: new mongoose.Types.ObjectId(), nummer: 3, art: 'korrektur', korrigiert: erste._id },
+        { ...fahrt(1, 1000, 1095), _id: new mongoose.Types.ObjectId(), nummer: 4, art: 'korrektur', korrigiert: erste._id },
+        { ...fahrt(2, 1100, 1250), _id: new mongoose.Types.ObjectId(), nummer: 5, art: 'korrektur', korrigiert: zweite._id, storno: true }
+      );
+
+      const wirksam = FahrtenbuchService.wirksameEintraege(eintraege);
+
+      expect(wirksam).to.have.lengthOf(1);
+      expect(wirksam[0].nummer).to.equal(1);
+      expect(wirksam[0].kmEnde).to.equal(1095);
+    });
+  });
+
+  describe('pruefeKilometer', () => {
+    const wirksam = kette([fahrt(1, 1000, 1100), tankung(2, 1150, 40, 70), fahrt(3, 1150, 1300)]);
+
+    it('should reject trips that start below the last odometer reading', () => {
+      expect(FahrtenbuchService.pruefeKilometer(wirksam, fahrt(4, 1290, 1400))).to.include('unter');
+      expect(FahrtenbuchService.pruefeKilometer(wirksam, fahrt(4, 1300, 1300))).to.include('größer');
+      expect(FahrtenbuchService.pruefeKilometer(wirksam, fahrt(4, 1320, 1400))).to.equal(null);
+    });
+
+    it('should keep corrections between their neighbours', () => {
+      const ersetzt = wirksam[1]._id;
+
+      expect(FahrtenbuchService.pruefeKilometer(wirksam, tankung(2, 1160, 40, 70), ersetzt)).to.include('über');
+      expect(FahrtenbuchService.pruefeKilometer(wirksam, tankung(2, 1120, 40, 70), ersetzt)).to.equal(null);
+    });
+
+    it('should not let new entries start below the odometer reading of the vehicle', () => {
+      expect(FahrtenbuchService.pruefeKilometer([], fahrt(1, 900, 1000), null, 950)).to.include('Kilometerstand des Fahrzeugs');
+      expect(FahrtenbuchService.pruefeKilometer(wirksam, fahrt(4, 1320, 1400), null, 1350)).to.include('1350 km');
+      expect(FahrtenbuchService.pruefeKilometer(wirksam, fahrt(4, 1350, 1400), null, 1350)).to.equal(null);
+    });
+  });
+
+  describe('berechneVerbrauch', () => {
+    it('should measure consumption from full tank to full tank', () => {
+      const ergebnis = FahrtenbuchService.berechneVerbrauch([
+        tankung(1, 1000, 50, 85),
+        fahrt(2, 1000, 1300),
+        tankung(3, 1300, 20, 34, { vollgetankt: false }),
+        fahrt(4, 1300, 1500),
+        tankung(5, 1500, 40, 68),
+        fahrt(6, 1500, 1600, { zweck: 'privat' }),
+        tankung(6, 1600, 5, 10, { kraftstoff: 'AdBlue' })
+      ]);
+
+      expect(ergebnis.kilometer).to.equal(600);
+      expect(ergebnis.kilometerPrivat).to.equal(100);
+      expect(ergebnis.verbrauchPro100km).to.equal(12);
+      expect(ergebnis.kraftstoffkosten).to.equal(197);
+      expect(ergebnis.kostenProKm).to.equal(0.3283);
+    });
+  });
+});
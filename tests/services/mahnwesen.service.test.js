@@ -0,0 +1,183 @@
+// tests/services/mahnwesen.service.test.js
+const { expect } = require('chai');
+const MahnwesenService = require('../../services/mahnwesen.service');
+const SperreService = require('../../services/sperre.service');
+const Rechnung = require('../../models/rechnung.model');
+const mahnwesenConfig = require('../../config/mahnwesen.config');
+
+describe('MahnwesenService', () => {
+  const config = {
+    ...mahnwesenConfig,
+    verzugszinsen: { ...mahnwesenConfig.verzugszinsen, basiszinssatz: 2, pauschaleUnternehmer: 40 }
+  };
+
+  const rechnung = (overrides = {}) => ({
+    rechnungNummer: 'REC2608-001',
+    gesamtbetrag: 1000,
+    faelligkeitsdatum: new Date(2026, 7, 1),
+    mahnstufe: 0,
+    zahlungserinnerungen: [],
+    kunde: { name: 'Muster GmbH', type: 'Privat' },
+    ...overrides
+  });
+
+  describe('berechneVerzugszinsen', () => {
+    it('should use base rate + 5 points for consumers', () => {
+      const zinsen = MahnwesenService.berechneVerzugszinsen(1000, new Date(2026, 0, 1), new Date(2026, 0, 74), { config });
+      expect(zinsen.zinssatz).to.equal(7);
+      expect(zinsen.zinstage).to.equal(73);
+      expect(zinsen.verzugszinsen).to.equal(14);
+    });
+
+    it('should use base rate + 9 points for businesses', () => {
+      const zinsen = MahnwesenService.berechneVerzugszinsen(1000, new Date(2026, 0, 1), new Date(2026, 0, 74), { unternehmer: true, config });
+      expect(zinsen.zinssatz).to.equal(11);
+      expect(zinsen.verzugszinsen).to.equal(22);
+    });
+  });
+
+  describe('naechsteStufe', () => {
+    it('should wait the configured days after the due date', () => {
+      const wartetage = config.stufen[0].wartetage;
+      expect(MahnwesenService.naechsteStufe(rechnung(), new Date(2026, 7, 1 + wartetage - 1), config)).to.equal(null);
+      expect(MahnwesenService.naechsteStufe(rechnung(), new Date(2026, 7, 1 + wartetage), config).stufe).to.equal(1);
+    });
+
+    it('should count the waiting days from the deadline of the previous level', () => {
+      const vorherige = rechnung({
+        mahnstufe: 1,
+        zahlungserinnerungen: [{ mahnstufe: 1, datum: new Date(2026, 7, 8), zahlungsfrist: new Date(2026, 7, 15) }]
+      });
+      const wartetage = config.stufen[1].wartetage;
+
+      expect(MahnwesenService.naechsteStufe(vorherige, new Date(2026, 7, 15 + wartetage - 1), config)).to.equal(null);
+      expect(MahnwesenService.naechsteStufe(vorherige, new Date(2026, 7, 15 + wartetage), config).bezeichnung).to.equal('1. Mahnung');
+    });
+
+    it('should stop after the Inkasso level', () => {
+      expect(MahnwesenService.naechsteStufe(rechnung({ mahnstufe: 4 }), new Date(2027, 0, 1), config)).to.equal(null);
+    });
+  });
+
+  describe('berechneMahnung', () => {
+    it('should not charge interest or fees for the payment reminder', () => {
+      const stufe = { ...config.stufen[0], gebuehr: 0 };
+      const mahnung = MahnwesenService.berechneMahnung(rechnung(), stufe, new Date(2026, 7, 10), config);
+
+      expect(mahnung.verzugszinsen).to.equal(0);
+      expect(mahnung.forderungGesamt).to.equal(1000);
+    });
+
+    it('should add fee, interest and the business flat rate only once', () => {
+      const firma = rechnung({ kunde: { name: 'Muster GmbH', type: 'Firma' } });
+      const ersteMahnung = MahnwesenService.berechneMahnung(firma, config.stufen[1], new Date(2026, 7, 25), config);
+
+      expect(ersteMahnung.verzugspauschale).to.equal(40);
+      expect(ersteMahnung.forderungGesamt).to.equal(
+        Math.round((1000 + config.stufen[1].gebuehr + 40 + ersteMahnung.verzugszinsen) * 100) / 100
+      );
+
+      firma.mahnstufe = 2;
+      firma.zahlungserinnerungen = [ersteMahnung];
+      const zweiteMahnung = MahnwesenService.berechneMahnung(firma, config.stufen[2], new Date(2026, 8, 15), config);
+
+      expect(zweiteMahnung.verzugspauschale).to.equal(0);
+      expect(zweiteMahnung.bisherigeGebuehren).to.equal(config.stufen[1].gebuehr + 40);
+    });
+
+    it('should only dun and charge interest on the balance left after partial payments', () => {
+      const teilbezahlt = rechnung({
+        status: 'Teilbezahlt',
+        zahlungen: [{ betrag: 400, datum: new Date(2026, 7, 5) }, { betrag: 100.5, datum: new Date(2026, 7, 12) }]
+      });
+      const stufe = { ...config.stufen[1], gebuehr: 5 };
+      const mahnung = MahnwesenService.berechneMahnung(teilbezahlt, stufe, new Date(2026, 8, 1), config);
+      const zinsen = MahnwesenService.berechneVerzugszinsen(499.5, teilbezahlt.faelligkeitsdatum, new Date(2026, 8, 1), { config });
+
+      expect(mahnung.offenerBetrag).to.equal(499.5);
+      expect(mahnung.verzugszinsen).to.equal(zinsen.verzugszinsen);
+      expect(mahnung.forderungGesamt).to.equal(Math.round((499.5 + 5 + zinsen.verzugszinsen) * 100) / 100);
+    });
+  });
+
+  describe('mahnlauf', () => {
+    const erwerben = SperreService.erwerben;
+    const freigeben = SperreService.freigeben;
+    const findUeberfaellig = Rechnung.findUeberfaellig;
+
+    afterEach(() => {
+      SperreService.erwerben = erwerben;
+      SperreService.freigeben = freigeben;
+      Rechnung.findUeberfaellig = findUeberfaellig;
+    });
+
+    it('should refuse a run while another process holds the lock', async () => {
+      SperreService.erwerben = async () => null;
+      Rechnung.findUeberfaellig = async () => {
+        throw new Error('darf nicht laufen');
+      };
+
+      let fehler;
+      await MahnwesenService.mahnlauf().catch(error => { fehler = error; });
+      expect(fehler.statusCode).to.equal(409);
+    });
+
+    it('should skip invoices another run dunned in the meantime and release the lock', async () => {
+      const freigegeben = [];
+      let erstellt;
+      SperreService.erwerben = async () => 'inhaber';
+      SperreService.freigeben = async (name, inhaber) => freigegeben.push([name, inhaber]);
+      const gemahnt = rechnung({
+        _id: 'r1',
+        faelligkeitsdatum: new Date(2026, 7, 1),
+        zahlungen: [],
+        mahnungErstellen: async (mahnung) => {
+          erstellt = mahnung;
+          return null;
+        }
+      });
+      Rechnung.findUeberfaellig = async () => [gemahnt];
+
+      const ergebnis = await MahnwesenService.mahnlauf({ stichtag: new Date(2026, 9, 1), config: { ...config, emailVersand: true } });
+
+      expect(erstellt.mahnstufe).to.equal(1);
+      expect(ergebnis.anzahl).to.equal(0);
+      expect(ergebnis.fehler).to.eql([]);
+      expect(freigegeben).to.eql([['mahnlauf', 'inhaber']]);
+    });
+  });
+
+  describe('Rechnung.mahnungErstellen', () => {
+    it('should only save while the invoice is below the new level', async () => {
+      const doc = new Rechnung({ rechnungNummer: 'REC2608-001', mahnstufe: 1, status: 'Überfällig' });
+      let bedingung;
+      doc.save = async function() {
+        bedingung = this.$where;
+        throw new Rechnung.base.Error.DocumentNotFoundError({ _id: this._id }, 'Rechnung', 1, {});
+      };
+
+      expect(await doc.mahnungErstellen({ mahnstufe: 2, bezeichnung: '1. Mahnung' })).to.equal(null);
+      expect(bedingung).to.eql({ mahnstufe: { $not: { $gte: 2 } } });
+      expect(doc.$where).to.equal(undefined);
+
+      let fehler;
+      await doc.mahnungErstellen({ mahnstufe: 1 }).catch(error => { fehler = error; });
+      expect(fehler.message).to.match(/bereits erreicht/);
+      expect(fehler.statusCode).to.equal(409);
+    });
+
+    it('should keep the status of partly paid invoices', async () => {
+      const doc = new Rechnung({ rechnungNummer: 'REC2608-002', status: 'Teilbezahlt', zahlungen: [{ betrag: 100 }] });
+      const offen = new Rechnung({ rechnungNummer: 'REC2608-003', status: 'Offen' });
+      doc.save = offen.save = async function() {
+        return this;
+      };
+
+      await doc.mahnungErstellen({ mahnstufe: 1, bezeichnung: 'Zahlungserinnerung' });
+      await offen.mahnungErstellen({ mahnstufe: 1, bezeichnung: 'Zahlungserinnerung' });
+
+      expect(doc.status).to.equal('Teilbezahlt');
+      expect(offen.status).to.equal('Überfällig');
+    });
+  });
+});
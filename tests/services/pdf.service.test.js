@@ -0,0 +1,125 @@
+// tests/services/pdf.service.test.js
+const { expect } = require('chai');
+const PdfService = require('../../services/pdf.service');
+const Rechnung = require('../../models/rechnung.model');
+const companyConfig = require('../../config/company.config');
+
+describe('PdfService', () => {
+  const rechnung = (ueberschreibung = {}) => ({
+    rechnungNummer: 'REC2610-001',
+    ausstellungsdatum: new Date(2026, 9, 5),
+    faelligkeitsdatum: new Date(2026, 9, 19),
+    mehrwertsteuer: 19,
+    kunde: {
+      name: 'Max Mustermann',
+      contactPerson: 'Erika Muster',
+      address: { street: 'Hauptstr. 1', zipCode: '30159', city: 'Hannover', country: 'Deutschland' }
+    },
+    positionsliste: [
+      { bezeichnung: 'Umzug Pauschale', menge: 1, einheit: 'Pauschale', einzelpreis: 1000, steuersatz: 19 },
+      { bezeichnung: 'Packer & Träger', menge: 2.5, einheit: 'Std.', einzelpreis: 40 },
+      { bezeichnung: 'Lagerung', menge: 1, einzelpreis: 50, steuersatz: 0 }
+    ],
+    ...ueberschreibung
+  });
+
+  describe('normalisiereRechnung', () => {
+    it('should group taxes by rate and compute the totals from the positions', () => {
+      const summen = PdfService.normalisiereRechnung(rechnung());
+
+      expect(summen.positionen.map(pos => pos.netto)).to.eql([1000, 100, 50]);
+      expect(summen.positionen[1].steuersatz).to.equal(19);
+      expect(summen.positionen[2].einheit).to.equal('Stück');
+      expect(summen.steuersaetze).to.eql([
+        { satz: 19, nettobetrag: 1100, steuerbetrag: 209 },
+        { satz: 0, nettobetrag: 50, steuerbetrag: 0 }
+      ]);
+      expect(summen.nettosumme).to.equal(1150);
+      expect(summen.steuerbetrag).to.equal(209);
+      expect(summen.gesamtbetrag).to.equal(1359);
+    });
+
+    it('should prefer stored tax groups and totals', () => {
+      const summen = PdfService.normalisiereRechnung(rechnung({
+        steuersaetze: [{ satz: 7, nettobetrag: 100, steuerbetrag: 7 }],
+        preisgestaltung: { nettosumme: 100, rabatt: { betrag: 10 }, gesamtbetrag: 97 }
+      }));
+
+      expect(summen.steuersaetze).to.eql([{ satz: 7, nettobetrag: 100, steuerbetrag: 7 }]);
+      expect(summen.rabatt).to.equal(10);
+      expect(summen.gesamtbetrag).to.equal(97);
+    });
+
+    it('should print a total that matches the rounded taxes of mixed rates', () => {
+      const gespeichert = new Rechnung({
+        rechnungNummer: 'REC2610-002',
+        mehrwertsteuer: 19,
+        positionsliste: [
+          { bezeichnung: 'Verpackung', menge: 1, einzelpreis: 0.5, steuersatz: 7 },
+          { bezeichnung: 'Klebeband', menge: 1, einzelpreis: 0.5, steuersatz: 19 }
+        ]
+      });
+      gespeichert.betraegeBerechnen();
+
+      expect(gespeichert.steuersaetze.map(gruppe => gruppe.steuerbetrag)).to.eql([0.04, 0.1]);
+      expect(gespeichert.gesamtbetrag).to.equal(1.14);
+
+      const summen = PdfService.normalisiereRechnung(gespeichert.toObject());
+      expect(summen.steuerbetrag).to.equal(0.14);
+      expect(summen.gesamtbetrag).to.equal(1.14);
+      expect(Rechnung.offenerBetrag(gespeichert)).to.equal(1.14);
+    });
+  });
+
+  describe('empfaengerZeilen', () => {
+    it('should use the customer address and omit the home country', () => {
+      expect(PdfService.empfaengerZeilen(rechnung())).to.eql([
+        'Max Mustermann', 'z. Hd. Erika Muster', 'Hauptstr. 1', '30159 Hannover', null
+      ]);
+    });
+
+    it('should fall back to the shipping recipient', () => {
+      const zeilen = PdfService.empfaengerZeilen(rechnung({
+        kunde: 'c1',
+        ansprechpartner: { name: 'Max Mustermann' },
+        versanddetails: { empfaenger: { adresse: { strasse: 'Hauptstr. 1', plz: '30159', ort: 'Hannover' } } }
+      }));
+      expect(zeilen).to.eql(['Max Mustermann', 'Hauptstr. 1', '30159 Hannover']);
+    });
+  });
+
+  describe('leistungszeitraumText', () => {
+    it('should use the service period, the move dates or the invoice date', () => {
+      expect(PdfService.leistungszeitraumText(rechnung({
+        leistungszeitraum: { von: new Date(2026, 9, 1), bis: new Date(2026, 9, 2) }
+      }))).to.equal('01.10.2026 - 02.10.2026');
+      expect(PdfService.leistungszeitraumText(rechnung({
+        umzug: { startDatum: new Date(2026, 9, 3), endDatum: new Date(2026, 9, 3) }
+      }))).to.equal('03.10.2026');
+      expect(PdfService.leistungszeitraumText(rechnung())).to.equal('05.10.2026');
+    });
+  });
+
+  describe('createDocument', () => {
+    const schriften = companyConfig.schriften;
+
+    afterEach(() => {
+      companyConfig.schriften = schriften;
+    });
+
+    it('should refuse PDF/A documents without embeddable fonts', () => {
+      companyConfig.schriften = { normal: '', fett: '' };
+      expect(() => PdfService.createDocument({}, { pdfA: true })).to.throw(/PDF_SCHRIFT/);
+      expect(PdfService.createDocument({})).to.be.an('object');
+    });
+  });
+
+  describe('renderRechnung', () => {
+    it('should render a PDF document', async () => {
+      const buffer = await PdfService.renderRechnung(rechnung());
+
+      expect(Buffer.isBuffer(buffer)).to.equal(true);
+      expect(buffer.subarray(0, 5).toString()).to.equal('%PDF-');
+    });
+  });
+});
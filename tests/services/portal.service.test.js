@@ -0,0 +1,88 @@
+// tests/services/portal.service.test.js
+const { expect } = require('chai');
+const jwt = require('jsonwebtoken');
+const PortalService = require('../../services/portal.service');
+const Rechnung = require('../../models/rechnung.model');
+const portalConfig = require('../../config/portal.config');
+
+describe('PortalService', () => {
+  describe('erzeugeLink / pruefeToken', () => {
+    it('should sign a link for the normalised email address', () => {
+      const { token, url, gueltigBis } = PortalService.erzeugeLink(' Kunde@Example.com ');
+      expect(url).to.include(`token=${encodeURIComponent(token)}`);
+      expect(gueltigBis.getTime()).to.be.above(Date.now());
+      expect(PortalService.pruefeToken(token)).to.eql({ email: 'kunde@example.com' });
+    });
+
+    it('should reject expired links', () => {
+      const token = jwt.sign({ typ: 'kundenportal' }, portalConfig.secret, {
+        subject: 'kunde@example.com',
+        expiresIn: -10,
+        algorithm: portalConfig.algorithm,
+        issuer: portalConfig.issuer,
+        audience: portalConfig.audience
+      });
+      expect(() => PortalService.pruefeToken(token)).to.throw(/abgelaufen/);
+    });
+
+    it('should reject tokens of another scope or secret', () => {
+      const fremd = jwt.sign({ id: '1', typ: 'access' }, 'anderes-secret', { subject: 'kunde@example.com' });
+      expect(() => PortalService.pruefeToken(fremd)).to.throw(/Ungültiger Anmeldelink/);
+
+      const falscheZielgruppe = jwt.sign({ typ: 'kundenportal' }, portalConfig.secret, {
+        subject: 'kunde@example.com',
+        algorithm: portalConfig.algorithm,
+        issuer: portalConfig.issuer,
+        audience: 'lagerlogix-api'
+      });
+      expect(() => PortalService.pruefeToken(falscheZielgruppe)).to.throw(/Ungültiger Anmeldelink/);
+    });
+  });
+
+  describe('umzugAnsicht', () => {
+    it('should hide internal fields of the move', () => {
+      const ansicht = PortalService.umzugAnsicht({
+        _id: 'u1',
+        kundennummer: 'K-1',
+        status: 'bestaetigt',
+        statusHistory: [{ status: 'bestaetigt', changedAt: new Date(2026, 9, 1), changedBy: 'user1', reason: 'intern' }],
+        dokumente: [{ _id: 'd1', name: 'Auftrag.pdf', pfad: '/uploads/datei-1.pdf', kategorie: 'vertrag' }],
+        mitarbeiter: [{ mitarbeiterId: 'm1' }],
+        preis: { netto: 1000 },
+        notizen: [{ text: 'intern' }]
+      });
+
+      expect(ansicht.statusHistory[0]).to.eql({ status: 'bestaetigt', changedAt: new Date(2026, 9, 1) });
+      expect(ansicht.dokumente[0]).to.eql({ id: 'd1', name: 'Auftrag.pdf', kategorie: 'vertrag', datum: undefined });
+      expect(ansicht).to.not.have.property('mitarbeiter');
+      expect(ansicht).to.not.have.property('notizen');
+      expect(ansicht).to.not.have.property('preis');
+      expect(ansicht.kundenzufriedenheit).to.equal(null);
+    });
+  });
+
+  describe('offeneRechnungen', () => {
+    const find = Rechnung.find;
+    const zugriffsbereich = PortalService.zugriffsbereich;
+
+    afterEach(() => {
+      Rechnung.find = find;
+      PortalService.zugriffsbereich = zugriffsbereich;
+    });
+
+    it('should show the balance left after partial payments', async () => {
+      PortalService.zugriffsbereich = async () => ({ umzugIds: [], kundenIds: [] });
+      Rechnung.find = () => ({
+        sort: async () => [
+          { _id: 'r1', rechnungNummer: 'R-1', status: 'Teilbezahlt', gesamtbetrag: 1190, zahlungen: [{ betrag: 500 }] },
+          { _id: 'r2', rechnungNummer: 'R-2', status: 'Gesendet', gesamtbetrag: 238 }
+        ]
+      });
+
+      const { rechnungen, summeOffen } = await PortalService.offeneRechnungen('kunde@example.de');
+
+      expect(rechnungen.map(rechnung => rechnung.offenerBetrag)).to.eql([690, 238]);
+      expect(summeOffen).to.equal(928);
+    });
+  });
+});
@@ -0,0 +1,239 @@
+// tests/services/realtime.service.test.js
+const { expect } = require('chai');
+const RealtimeService = require('../../services/realtime.service');
+const jwt = require('jsonwebtoken');
+const auth = require('../../middleware/auth');
+const ZweiFaktorService = require('../../services/zweifaktor.service');
+const Mitarbeiter = require('../../models/mitarbeiter.model');
+const Umzug = require('../../models/umzug.model');
+
+const umzugId = '64b000000000000000000001';
+const fahrzeugId = '64b000000000000000000002';
+
+// Minimaler Socket: merkt sich Räume und Handler
+const socket = (user, handshake = {}) => ({
+  user,
+  handshake: { auth: {}, headers: {}, ...handshake },
+  raeume: [],
+  handler: {},
+  join(raum) { this.raeume.push(raum); },
+  leave(raum) { this.raeume = this.raeume.filter(r => r !== raum); },
+  on(event, handler) { this.handler[event] = handler; },
+  disconnect() {
+    this.getrennt = true;
+    if (this.handler.disconnect) this.handler.disconnect();
+  }
+});
+
+// Handshake ausführen, liefert den Fehler aus next() oder null
+const anmelden = (client) => new Promise(resolve => RealtimeService.authenticate(client, (error) => resolve(error || null)));
+
+describe('RealtimeService', () => {
+  const verifyToken = auth.verifyToken;
+  const findOne = Mitarbeiter.findOne;
+  const exists = Umzug.exists;
+  const mussEinrichten = ZweiFaktorService.mussEinrichten;
+
+  beforeEach(() => {
+    ZweiFaktorService.mussEinrichten = async () => false;
+  });
+
+  afterEach(() => {
+    auth.verifyToken = verifyToken;
+    Mitarbeiter.findOne = findOne;
+    Umzug.exists = exists;
+    ZweiFaktorService.mussEinrichten = mussEinrichten;
+    RealtimeService.namespace = null;
+  });
+
+  describe('authenticate', () => {
+    it('should attach the user of a valid token from auth or the Bearer header', async () => {
+      const user = { _id: 'u1', role: 'mitarbeiter', isActive: true };
+      auth.verifyToken = async (token) => (token === 'gueltig' ? user : null);
+
+      const client = socket(null, { auth: { token: 'gueltig' } });
+      expect(await anmelden(client)).to.equal(null);
+      expect(client.user).to.equal(user);
+
+      const perHeader = socket(null, { headers: { authorization: 'Bearer gueltig' } });
+      expect(await anmelden(perHeader)).to.equal(null);
+      expect(perHeader.user).to.equal(user);
+    });
+
+    it('should refuse missing, invalid and expired tokens and inactive users', async () => {
+      expect((await anmelden(socket(null))).message).to.match(/Kein Authentifizierungstoken/);
+
+      auth.verifyToken = async () => ({ _id: 'u1', isActive: false });
+      expect((await anmelden(socket(null, { auth: { token: 't' } }))).message).to.match(/Nicht authentifiziert/);
+
+      auth.verifyToken = async () => {
+        throw Object.assign(new Error('jwt expired'), { name: 'TokenExpiredError' });
+      };
+      expect((await anmelden(socket(null, { auth: { token: 't' } }))).message).to.match(/Sitzung abgelaufen/);
+
+      auth.verifyToken = async () => {
+        throw Object.assign(new Error('invalid signature'), { name: 'JsonWebTokenError' });
+      };
+      expect((await anmelden(socket(null, { auth: { token: 't' } }))).message).to.match(/Ungültiges Token/);
+    });
+
+    it('should refuse users who still have to set up mandatory 2FA', async () => {
+      const user = { _id: 'u1', role: 'admin', isActive: true };
+      auth.verifyToken = async () => user;
+      let pruefung;
+      ZweiFaktorService.mussEinrichten = async (...args) => {
+        pruefung = args;
+        return true;
+      };
+
+      const client = socket(null, { auth: { token: 't' } });
+      expect((await anmelden(client)).message).to.match(/Zwei-Faktor-Anmeldung/);
+      expect(pruefung).to.eql([user, '/realtime']);
+      expect(client.user).to.equal(null);
+    });
+
+    it('should remember when the token expires', async () => {
+      const exp = Math.floor(Date.now() / 1000) + 900;
+      const token = jwt.sign({ id: 'u1', exp }, 'geheim');
+      auth.verifyToken = async () => ({ _id: 'u1', isActive: true });
+
+      const client = socket(null, { auth: { token } });
+      expect(await anmelden(client)).to.equal(null);
+      expect(client.tokenAblauf).to.equal(exp * 1000);
+    });
+  });
+
+  describe('Token-Ablauf / benutzerTrennen', () => {
+    it('should disconnect the socket when the token expires', async () => {
+      const client = socket({ _id: 'u1', role: 'mitarbeiter', roles: ['fahrer'] });
+      client.tokenAblauf = Date.now() + 20;
+      RealtimeService.handleConnection(client);
+
+      expect(client.getrennt).to.equal(undefined);
+      await new Promise(resolve => setTimeout(resolve, 40));
+      expect(client.getrennt).to.equal(true);
+    });
+
+    it('should disconnect all sockets of a deactivated user', () => {
+      const getrennt = [];
+      RealtimeService.namespace = {
+        in: (raum) => ({ disconnectSockets: (schliessen) => getrennt.push([raum, schliessen]) })
+      };
+
+      RealtimeService.benutzerTrennen('u1');
+
+      expect(getrennt).to.eql([['user:u1', true]]);
+      RealtimeService.namespace = null;
+      RealtimeService.benutzerTrennen('u1');
+    });
+  });
+
+  describe('clusterOptionen', () => {
+    it('should use the MongoDB adapter with expiring events and WebSocket only', async () => {
+      const indizes = [];
+      const db = {
+        collection: (name) => ({
+          name,
+          createIndex: async (...args) => indizes.push([name, ...args])
+        })
+      };
+
+      const optionen = RealtimeService.clusterOptionen(db);
+
+      expect(optionen.transports).to.eql(['websocket']);
+      expect(optionen.adapter).to.be.a('function');
+      expect(indizes).to.eql([['socket.io-adapter-events', { createdAt: 1 }, { expireAfterSeconds: 3600 }]]);
+    });
+  });
+
+  describe('darfAbonnieren', () => {
+    it('should allow rooms of moves and vehicles with read permission only', async () => {
+      const mitarbeiter = { _id: 'u1', role: 'mitarbeiter' };
+
+      expect(await RealtimeService.darfAbonnieren(mitarbeiter, `umzug:${umzugId}`)).to.equal(true);
+      expect(await RealtimeService.darfAbonnieren(mitarbeiter, `fahrzeug:${fahrzeugId}`)).to.equal(true);
+      expect(await RealtimeService.darfAbonnieren(mitarbeiter, 'role:admin')).to.equal(false);
+      expect(await RealtimeService.darfAbonnieren(mitarbeiter, 'umzug:123')).to.equal(false);
+      expect(await RealtimeService.darfAbonnieren(mitarbeiter, null)).to.equal(false);
+    });
+
+    it('should allow vehicles of the own moves without read permission', async () => {
+      const aufnehmer = { _id: 'u2', role: 'mitarbeiter', roles: ['aufnehmer'] };
+      let filter;
+      Mitarbeiter.findOne = () => ({ select: async () => ({ _id: 'm1' }) });
+      Umzug.exists = async (bedingung) => {
+        filter = bedingung;
+        return bedingung['fahrzeuge.fahrzeugId'] === fahrzeugId ? { _id: umzugId } : null;
+      };
+
+      expect(await RealtimeService.darfAbonnieren(aufnehmer, `fahrzeug:${fahrzeugId}`)).to.equal(true);
+      expect(filter).to.eql({ 'fahrzeuge.fahrzeugId': fahrzeugId, 'mitarbeiter.mitarbeiterId': 'm1' });
+      expect(await RealtimeService.darfAbonnieren(aufnehmer, `fahrzeug:${umzugId}`)).to.equal(false);
+
+      Mitarbeiter.findOne = () => ({ select: async () => null });
+      expect(await RealtimeService.darfAbonnieren(aufnehmer, `fahrzeug:${fahrzeugId}`)).to.equal(false);
+    });
+
+    it('should look up moves by the team of the move', async () => {
+      // Rolle vorübergehend ohne umzug:read
+      const user = { _id: 'u3', role: 'mitarbeiter', roles: ['aufnehmer'] };
+      const config = require('../../config/berechtigungen.config');
+      const aufnehmer = config.rollen.aufnehmer.berechtigungen;
+      config.rollen.aufnehmer.berechtigungen = aufnehmer.filter(berechtigung => berechtigung !== 'umzug:read');
+      let filter;
+      Mitarbeiter.findOne = () => ({ select: async () => ({ _id: 'm1' }) });
+      Umzug.exists = async (bedingung) => {
+        filter = bedingung;
+        return { _id: umzugId };
+      };
+
+      try {
+        expect(await RealtimeService.darfAbonnieren(user, `umzug:${umzugId}`)).to.equal(true);
+        expect(filter).to.eql({ _id: umzugId, 'mitarbeiter.mitarbeiterId': 'm1' });
+      } finally {
+        config.rollen.aufnehmer.berechtigungen = aufnehmer;
+      }
+    });
+  });
+
+  describe('handleConnection', () => {
+    it('should join the dispatch room with disposition:read only', () => {
+      const fahrer = socket({ _id: 'u1', role: 'mitarbeiter', roles: ['fahrer'] });
+      const buchhaltung = socket({ _id: 'u2', role: 'mitarbeiter', roles: ['buchhaltung'] });
+
+      RealtimeService.handleConnection(fahrer);
+      RealtimeService.handleConnection(buchhaltung);
+
+      expect(fahrer.raeume).to.eql(['user:u1', 'role:mitarbeiter', 'disposition']);
+      expect(buchhaltung.raeume).to.eql(['user:u2', 'role:mitarbeiter']);
+    });
+
+    it('should only join subscribed rooms the user may see', async () => {
+      const client = socket({ _id: 'u2', role: 'mitarbeiter', roles: ['aufnehmer'] });
+      Mitarbeiter.findOne = () => ({ select: async () => ({ _id: 'm1' }) });
+      Umzug.exists = async () => null;
+      RealtimeService.handleConnection(client);
+
+      const antwort = await new Promise(resolve => client.handler.subscribe(`fahrzeug:${fahrzeugId}`, resolve));
+      expect(antwort).to.eql({ success: false, raum: `fahrzeug:${fahrzeugId}` });
+      expect(client.raeume).to.not.include(`fahrzeug:${fahrzeugId}`);
+
+      const erlaubt = await new Promise(resolve => client.handler.subscribe(`umzug:${umzugId}`, resolve));
+      expect(erlaubt).to.eql({ success: true, raum: `umzug:${umzugId}` });
+      expect(client.raeume).to.include(`umzug:${umzugId}`);
+    });
+
+    it('should refuse the subscription if the lookup fails', async () => {
+      const client = socket({ _id: 'u2', role: 'mitarbeiter', roles: ['aufnehmer'] });
+      Mitarbeiter.findOne = () => ({
+        select: async () => {
+          throw new Error('Datenbank nicht erreichbar');
+        }
+      });
+      RealtimeService.handleConnection(client);
+
+      const antwort = await new Promise(resolve => client.handler.subscribe(`fahrzeug:${fahrzeugId}`, resolve));
+      expect(antwort.success).to.equal(false);
+    });
+  });
+});
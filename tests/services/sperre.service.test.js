@@ -0,0 +1,85 @@
+// tests/services/sperre.service.test.js
+const { expect } = require('chai');
+const SperreService = require('../../services/sperre.service');
+const IntervallJob = require('../../utils/intervall-job');
+const Sperre = require('../../models/sperre.model');
+
+describe('SperreService', () => {
+  const findOneAndUpdate = Sperre.findOneAndUpdate;
+  const erwerben = SperreService.erwerben;
+
+  afterEach(() => {
+    Sperre.findOneAndUpdate = findOneAndUpdate;
+    SperreService.erwerben = erwerben;
+  });
+
+  describe('erwerben', () => {
+    it('should take over a missing or expired lock', async () => {
+      let aufruf;
+      Sperre.findOneAndUpdate = async (filter, update, options) => {
+        aufruf = { filter, update, options };
+        return null;
+      };
+
+      const vorher = Date.now();
+      const inhaber = await SperreService.erwerben('mahnlauf', 60000);
+
+      expect(inhaber).to.be.a('string').and.include(`:${process.pid}:`);
+      expect(aufruf.filter._id).to.equal('mahnlauf');
+      expect(aufruf.filter.bis.$lte.getTime()).to.be.at.least(vorher);
+      expect(aufruf.update.$set.inhaber).to.equal(inhaber);
+      expect(aufruf.update.$set.bis - aufruf.filter.bis.$lte).to.equal(60000);
+      expect(aufruf.options).to.eql({ upsert: true });
+    });
+
+    it('should return null while another process holds the lock', async () => {
+      Sperre.findOneAndUpdate = async () => {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      };
+      expect(await SperreService.erwerben('mahnlauf', 60000)).to.equal(null);
+
+      Sperre.findOneAndUpdate = async () => {
+        throw new Error('Datenbank nicht erreichbar');
+      };
+      let fehler;
+      await SperreService.erwerben('mahnlauf', 60000).catch(error => { fehler = error; });
+      expect(fehler.message).to.equal('Datenbank nicht erreichbar');
+    });
+  });
+
+  describe('IntervallJob', () => {
+    it('should run the job only in the process that gets the lock', async () => {
+      const sperren = [];
+      let laeufe = 0;
+      const job = new IntervallJob('Test', 60 * 60 * 1000, async () => {
+        laeufe += 1;
+      });
+
+      SperreService.erwerben = async (name, dauerMs) => {
+        sperren.push({ name, dauerMs });
+        return 'inhaber';
+      };
+      expect(await job.ausfuehren()).to.equal(true);
+      expect(sperren).to.eql([{ name: 'job:Test', dauerMs: 54 * 60 * 1000 }]);
+
+      SperreService.erwerben = async () => null;
+      expect(await job.ausfuehren()).to.equal(false);
+      expect(laeufe).to.equal(1);
+    });
+
+    it('should not throw if the job fails', async () => {
+      SperreService.erwerben = async () => 'inhaber';
+      const job = new IntervallJob('Test', 60000, async () => {
+        throw new Error('Fehlgeschlagen');
+      });
+      const error = console.error;
+      console.error = () => {};
+
+      try {
+        expect(await job.ausfuehren()).to.equal(false);
+      } finally {
+        console.error = error;
+      }
+    });
+  });
+});
@@ -0,0 +1,109 @@
+// tests/services/stempel.service.test.js
+const { expect } = require('chai');
+const StempelService = require('../../services/stempel.service');
+const GeocodingService = require('../../services/geocoding.service');
+const stempeluhrConfig = require('../../config/stempeluhr.config');
+
+describe('StempelService', () => {
+  const config = { ...stempeluhrConfig, radiusMeter: 300, hoechstGenauigkeitMeter: 250 };
+  // Auszug in Bielefeld, Einzug in Gütersloh
+  const standorte = [
+    { ort: 'auszug', lat: 52.0302, lng: 8.5325 },
+    { ort: 'einzug', lat: 51.9069, lng: 8.3786 }
+  ];
+
+  describe('entfernung', () => {
+    it('should calculate the great-circle distance in metres', () => {
+      const entfernung = GeocodingService.entfernung(standorte[0], standorte[1]);
+      expect(entfernung).to.be.above(17000);
+      expect(entfernung).to.be.below(17600);
+      expect(GeocodingService.entfernung(standorte[0], standorte[0])).to.equal(0);
+    });
+  });
+
+  describe('geokodieren', () => {
+    it('should not contact any service without GEOCODING_URL', async () => {
+      const abrufen = GeocodingService.abrufen;
+      GeocodingService.abrufen = () => { throw new Error('Dienst darf nicht aufgerufen werden'); };
+      try {
+        const adresse = { strasse: 'Hauptstr.', hausnummer: '1', plz: '33602', ort: 'Bielefeld' };
+        expect(await GeocodingService.geokodieren(adresse, { ...config.geocoding, url: '' })).to.equal(null);
+      } finally {
+        GeocodingService.abrufen = abrufen;
+      }
+    });
+  });
+
+  describe('pruefeStandort', () => {
+    it('should accept positions near any address of the move', () => {
+      const ergebnis = StempelService.pruefeStandort({ lat: 51.9075, lng: 8.3790 }, standorte, config);
+
+      expect(ergebnis.geprueft).to.equal(true);
+      expect(ergebnis.innerhalb).to.equal(true);
+      expect(ergebnis.ort).to.equal('einzug');
+      expect(ergebnis.entfernung).to.be.below(100);
+    });
+
+    it('should reject distant positions and allow for the GPS accuracy', () => {
+      // Rund 450 m nördlich des Auszugs
+      const position = { lat: 52.0342, lng: 8.5325 };
+
+      expect(StempelService.pruefeStandort(position, standorte, config).innerhalb).to.equal(false);
+      expect(StempelService.pruefeStandort({ ...position, genauigkeit: 200 }, standorte, config).innerhalb).to.equal(true);
+    });
+
+    it('should not check without geocoded addresses', () => {
+      expect(StempelService.pruefeStandort({ lat: 52, lng: 8 }, [], config)).to.deep.equal({ geprueft: false, innerhalb: false });
+    });
+  });
+
+  describe('stempel', () => {
+    const ermittleStandorte = StempelService.standorte;
+    const zeit = new Date(2026, 9, 19, 7, 0);
+    const daten = { latitude: 52.0302, longitude: 8.5325, genauigkeit: 20 };
+
+    afterEach(() => {
+      StempelService.standorte = ermittleStandorte;
+    });
+
+    it('should reject positions outside the radius', async () => {
+      StempelService.standorte = async () => standorte;
+
+      const fehler = await StempelService.stempel({}, { latitude: 52.0342, longitude: 8.5325 }, zeit, {}, config)
+        .catch(error => error);
+      expect(fehler.statusCode).to.equal(400);
+      expect(fehler.message).to.match(/von der nächsten Umzugsadresse entfernt/);
+    });
+
+    it('should flag the stamp for review if the addresses could not be geocoded', async () => {
+      StempelService.standorte = async () => [];
+
+      const { stempel, hinweise } = await StempelService.stempel({}, daten, zeit, {}, config);
+      expect(stempel.geofence).to.deep.equal({ geprueft: false, innerhalb: false, nachpruefen: true });
+      expect(hinweise[0]).to.match(/nachträglich geprüft/);
+
+      const gewarnt = await StempelService.stempel({}, daten, zeit, {}, { ...config, modus: 'warnen' });
+      expect(gewarnt.stempel.geofence).to.not.have.property('nachpruefen');
+    });
+  });
+
+  describe('abrechnen', () => {
+    const kommen = new Date(2026, 9, 19, 7, 0);
+    const um = (stunde, minute = 0) => new Date(2026, 9, 19, stunde, minute);
+
+    it('should add the statutory break without cutting below the threshold', () => {
+      expect(StempelService.abrechnen(kommen, um(13, 20))).to.include({ pauseAutomatisch: 20, arbeitsMinuten: 360 });
+      expect(StempelService.abrechnen(kommen, um(16, 20))).to.include({ pauseAutomatisch: 30, arbeitsMinuten: 530 });
+      expect(StempelService.abrechnen(kommen, um(17, 0))).to.include({ pauseAutomatisch: 45, arbeitsMinuten: 555 });
+      expect(StempelService.abrechnen(kommen, um(12, 0))).to.include({ pauseAutomatisch: 0, arbeitsMinuten: 300 });
+    });
+
+    it('should respect stamped breaks and ignore interruptions below 15 minutes', () => {
+      const lang = StempelService.abrechnen(kommen, um(16, 0), [{ beginn: um(11, 0), ende: um(11, 30) }]);
+      expect(lang).to.include({ pauseGestempelt: 30, pauseAutomatisch: 0, arbeitsMinuten: 510 });
+
+      const kurz = StempelService.abrechnen(kommen, um(15, 0), [{ beginn: um(11, 0), ende: um(11, 10) }]);
+      expect(kurz).to.include({ pauseGestempelt: 10, pauseAutomatisch: 30, arbeitsMinuten: 440 });
+    });
+  });
+});
@@ -0,0 +1,118 @@
+// tests/services/stundenzettel.service.test.js
+const { expect } = require('chai');
+const StundenzettelService = require('../../services/stundenzettel.service');
+const lohnConfig = require('../../config/lohn.config');
+const { feiertage } = require('../../utils/feiertage.utils');
+
+describe('StundenzettelService', () => {
+  const config = { ...lohnConfig, bundesland: 'NW', minijob: { verdienstgrenze: 603, mindestlohn: 13.90 } };
+
+  const mitarbeiter = (overrides = {}) => ({
+    _id: '64b000000000000000000001',
+    vorname: 'Anna',
+    nachname: 'Groß',
+    personalnummer: '1001',
+    arbeitszeit: { beschaeftigungsart: 'Vollzeit', wochenstunden: 40, arbeitstage: [1, 2, 3, 4, 5] },
+    arbeitszeiten: [],
+    ...overrides
+  });
+
+  const eintrag = (tag, startzeit, endzeit, pause = 0, monat = 11) => ({
+    datum: new Date(2026, monat, tag), startzeit, endzeit, pause, taetigkeit: 'Umzug'
+  });
+
+  describe('feiertage', () => {
+    it('should include movable and state specific holidays', () => {
+      const nrw = feiertage(2026, 'NW');
+      const sachsen = feiertage(2026, 'SN');
+
+      expect(nrw.get('2026-04-03')).to.equal('Karfreitag');
+      expect(nrw.get('2026-06-04')).to.equal('Fronleichnam');
+      expect(nrw.has('2026-10-31')).to.equal(false);
+      expect(sachsen.get('2026-11-18')).to.equal('Buß- und Bettag');
+      expect(feiertage(2026).size).to.equal(9);
+    });
+  });
+
+  describe('soll', () => {
+    it('should spread the weekly hours over working days without holidays', () => {
+      const soll = StundenzettelService.soll('2026-12', mitarbeiter({
+        arbeitszeit: { wochenstunden: 20, arbeitstage: [1, 3, 5] }
+      }), 'NW');
+
+      expect(soll.arbeitstage).to.equal(12);
+      expect(soll.feiertage).to.have.lengthOf(1);
+      expect(soll.stunden).to.equal(80);
+    });
+
+    it('should only count days after the start of employment', () => {
+      const soll = StundenzettelService.soll('2026-12', mitarbeiter({ einstellungsdatum: new Date(2026, 11, 28) }), 'NW');
+
+      expect(soll.arbeitstage).to.equal(4);
+      expect(soll.stunden).to.equal(32);
+    });
+  });
+
+  describe('zuschlagsminuten', () => {
+    it('should split a night shift into holiday and night surcharges', () => {
+      const schicht = StundenzettelService.schicht({ datum: new Date(2026, 11, 31), startzeit: '22:00', endzeit: '03:00' });
+      const minuten = StundenzettelService.zuschlagsminuten(schicht, 'NW');
+
+      expect(schicht.minuten).to.equal(300);
+      expect(minuten.feiertag125).to.equal(300);
+      expect(minuten.nacht25).to.equal(120);
+      expect(minuten.nacht40).to.equal(180);
+    });
+
+    it('should use the higher rate on Christmas Eve afternoon only', () => {
+      const schicht = StundenzettelService.schicht({
+        datum: new Date(2026, 11, 24), startzeit: '12:00', endzeit: '18:00', pausen: [{ start: '15:00', ende: '15:30' }]
+      });
+      const minuten = StundenzettelService.zuschlagsminuten(schicht, 'NW');
+
+      expect(minuten.feiertag150).to.equal(210);
+      expect(minuten.feiertag125).to.equal(0);
+    });
+  });
+
+  describe('berechnen', () => {
+    it('should compute overtime and ignore working times covered by time entries', () => {
+      const zettel = StundenzettelService.berechnen(mitarbeiter({
+        arbeitszeit: { wochenstunden: 10, arbeitstage: [1, 2, 3, 4, 5] },
+        arbeitszeiten: [
+          { datum: new Date(2026, 11, 1), startzeit: '08:00', endzeit: '12:00', pausen: [] },
+          { datum: new Date(2026, 11, 2), startzeit: '08:00', endzeit: '12:00', pausen: [] }
+        ]
+      }), '2026-12', [eintrag(1, '07:00', '17:00', 60), eintrag(6, '08:00', '12:00')], config);
+
+      expect(zettel.summen.ist).to.equal(17);
+      expect(zettel.summen.soll).to.equal(44);
+      expect(zettel.summen.ueberstunden).to.equal(-27);
+      expect(zettel.summen.zuschlaege.sonntag).to.equal(4);
+      expect(zettel.tage).to.have.lengthOf(31);
+    });
+
+    it('should flag Minijobs above the hour cap', () => {
+      const zettel = StundenzettelService.berechnen(mitarbeiter({
+        arbeitszeit: { beschaeftigungsart: 'Minijob', wochenstunden: 10, arbeitstage: [1, 2, 3, 4, 5] },
+        gehalt: { stundensatz: 15 }
+      }), '2026-11', [2, 3, 4, 5, 6].map(tag => eintrag(tag, '08:00', '17:00', 30, 10)), config);
+
+      expect(zettel.minijob.hoechststunden).to.equal(40.2);
+      expect(zettel.minijob.ueberschritten).to.equal(true);
+      expect(zettel.hinweise[0]).to.include('Minijob-Grenze');
+    });
+  });
+
+  describe('lohnCsv', () => {
+    it('should write one row per wage type with decimal commas', () => {
+      const zettel = StundenzettelService.berechnen(mitarbeiter(), '2026-12', [eintrag(6, '18:00', '22:00')], config);
+      const zeilen = StundenzettelService.lohnCsv([zettel], lohnConfig.lohnarten).toString('latin1').trim().split('\r\n');
+
+      expect(zeilen).to.have.lengthOf(4);
+      expect(zeilen[1]).to.equal('1001;12/2026;100;4,00;1;;;"Arbeitsstunden"');
+      expect(zeilen[2]).to.include(';300;2,00;');
+      expect(zeilen[3]).to.include(';310;4,00;');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+// tests/services/wartung.service.test.js
+const { expect } = require('chai');
+const WartungService = require('../../services/wartung.service');
+const wartungConfig = require('../../config/wartung.config');
+
+describe('WartungService', () => {
+  const config = { ...wartungConfig, vorlaufTage: [30, 7, 1], vorlaufKilometer: 1000 };
+  const stichtag = new Date(2026, 9, 19);
+
+  const fahrzeug = (overrides = {}) => ({
+    kennzeichen: 'M-LX 101',
+    bezeichnung: 'Sprinter',
+    typ: 'Transporter',
+    kilometerstand: 48500,
+    wartungsintervalle: [],
+    erinnerungen: [],
+    ...overrides
+  });
+
+  describe('faelligkeiten', () => {
+    it('should use whichever of kilometres and months is reached first', () => {
+      const ergebnis = WartungService.faelligkeiten(fahrzeug({
+        wartungsintervalle: [{
+          art: 'Inspektion', kilometer: 30000, monate: 12,
+          letzteDurchfuehrung: new Date(2026, 2, 1), letzterKilometerstand: 19000
+        }]
+      }), stichtag, config);
+
+      expect(ergebnis).to.have.lengthOf(1);
+      expect(ergebnis[0].faelligAm.getMonth()).to.equal(2);
+      expect(ergebnis[0].faelligBeiKm).to.equal(49000);
+      expect(ergebnis[0].restKm).to.equal(500);
+      expect(ergebnis[0].status).to.equal('bald');
+    });
+
+    it('should take the HU date from the vehicle and mark it overdue', () => {
+      const ergebnis = WartungService.faelligkeiten(fahrzeug({ tuev: new Date(2026, 9, 10) }), stichtag, config);
+
+      expect(ergebnis[0].art).to.equal('Hauptuntersuchung');
+      expect(ergebnis[0].restTage).to.equal(-9);
+      expect(ergebnis[0].status).to.equal('ueberfaellig');
+    });
+  });
+
+  describe('offeneErinnerungen', () => {
+    it('should remind once per lead time stage', () => {
+      const auto = fahrzeug({ tuev: new Date(2026, 9, 24) });
+      const erste = WartungService.offeneErinnerungen(auto, stichtag, config);
+
+      expect(erste).to.have.lengthOf(1);
+      expect(erste[0].stufe).to.equal(7);
+      expect(erste[0].inhalt).to.include('in 5 Tagen');
+
+      auto.erinnerungen.push({ art: erste[0].art, faelligkeit: erste[0].faelligkeit, stufe: erste[0].stufe });
+      expect(WartungService.offeneErinnerungen(auto, stichtag, config)).to.have.lengthOf(0);
+      expect(WartungService.offeneErinnerungen(auto, new Date(2026, 9, 23), config)[0].stufe).to.equal(1);
+    });
+
+    it('should remind when the kilometre limit approaches', () => {
+      const erinnerungen = WartungService.offeneErinnerungen(fahrzeug({
+        wartungsintervalle: [{ art: 'Ölwechsel', kilometer: 15000, letzterKilometerstand: 34000 }]
+      }), stichtag, config);
+
+      expect(erinnerungen).to.have.lengthOf(1);
+      expect(erinnerungen[0].faelligkeit).to.equal('km:49000');
+      expect(erinnerungen[0].stufe).to.equal(1);
+    });
+  });
+
+  describe('uebernehmeDurchfuehrung', () => {
+    it('should reset the interval and set the next HU date', () => {
+      const auto = fahrzeug({
+        tuev: new Date(2026, 9, 24),
+        wartungsintervalle: [{ art: 'Hauptuntersuchung', monate: 24 }],
+        erinnerungen: [{ art: 'Hauptuntersuchung', faelligkeit: '2026-10-24', stufe: 7 }]
+      });
+
+      WartungService.uebernehmeDurchfuehrung(auto, {
+        art: 'Hauptuntersuchung',
+        durchgefuehrtAm: new Date(2026, 9, 20),
+        kilometerstand: 48600
+      }, config);
+
+      expect(auto.tuev.getFullYear()).to.equal(2028);
+      expect(auto.kilometerstand).to.equal(48600);
+      expect(auto.wartungsintervalle[0].letzterKilometerstand).to.equal(48600);
+      expect(auto.erinnerungen).to.have.lengthOf(0);
+    });
+  });
+
+  describe('blockiert', () => {
+    it('should block every day of a multi-day workshop stay', () => {
+      const wartung = { termin: new Date(2026, 9, 20, 8), terminBis: new Date(2026, 9, 22, 17) };
+
+      expect(WartungService.blockiert(wartung, new Date(2026, 9, 21), new Date(2026, 9, 21))).to.equal(true);
+      expect(WartungService.blockiert(wartung, new Date(2026, 9, 23), new Date(2026, 9, 25))).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+// tests/services/xrechnung.service.test.js
+const { expect } = require('chai');
+const XRechnungService = require('../../services/xrechnung.service');
+
+describe('XRechnungService', () => {
+  const firma = {
+    name: 'Hummert Umzug GmbH',
+    adresse: { strasse: 'Musterstraße 1', plz: '12345', ort: 'Musterstadt', land: 'Deutschland' },
+    kontakt: { ansprechpartner: 'Erika Muster', telefon: '+49 123 456789', email: 'rechnung@example.com' },
+    steuer: { steuernummer: '', ustId: 'DE123456789' },
+    handelsregister: { gericht: 'Amtsgericht Musterstadt', nummer: 'HRB 12345' },
+    bankverbindung: { kontoinhaber: 'Hummert Umzug GmbH', iban: 'DE02 1203 0000 0000 2020 51', bic: 'BYLADEM1001' }
+  };
+
+  const rechnung = (ueberschreibung = {}) => ({
+    rechnungNummer: 'REC2610-001',
+    ausstellungsdatum: new Date(2026, 9, 5),
+    faelligkeitsdatum: new Date(2026, 9, 19),
+    mehrwertsteuer: 19,
+    leistungszeitraum: { von: new Date(2026, 9, 1), bis: new Date(2026, 9, 2) },
+    kunde: {
+      name: 'Stadt Musterstadt',
+      address: { street: 'Rathausplatz 1', zipCode: '54321', city: 'Musterstadt', country: 'Deutschland' },
+      email: 'einkauf@musterstadt.de',
+      eInvoice: { format: 'xrechnung-ubl', buyerReference: '991-12345-67' }
+    },
+    positionsliste: [
+      { bezeichnung: 'Umzug Pauschale', menge: 1, einheit: 'Pauschale', einzelpreis: 1000, steuersatz: 19 },
+      { bezeichnung: 'Packer & Träger', menge: 2.5, einheit: 'Stunden', einzelpreis: 33.34, steuersatz: 19 },
+      { bezeichnung: 'Lagerung', menge: 1, einheit: 'Stück', einzelpreis: 50, steuersatz: 0 }
+    ],
+    ...ueberschreibung
+  });
+
+  describe('validiere', () => {
+    it('should accept a complete invoice', () => {
+      expect(XRechnungService.validiere(rechnung(), { firma })).to.have.length(0);
+    });
+
+    it('should report missing XRechnung business terms', () => {
+      const fehler = XRechnungService.validiere(rechnung({
+        kunde: { name: 'Privat', address: { street: 'Weg 1' } }
+      }), { firma: { ...firma, kontakt: { ...firma.kontakt, ansprechpartner: '' } } });
+      const bts = fehler.map(f => f.bt);
+      expect(bts).to.include.members(['BT-10', 'BT-41', 'BT-49', 'BT-52', 'BT-53']);
+    });
+
+    it('should only check the EN 16931 core for ZUGFeRD', () => {
+      const fehler = XRechnungService.validiere(rechnung({
+        kunde: { name: 'Privat', address: { street: 'Weg 1' } }
+      }), { profil: 'en16931', firma });
+      expect(fehler).to.have.length(0);
+    });
+
+    it('should require positions and a seller tax number', () => {
+      const fehler = XRechnungService.validiere(rechnung({ positionsliste: [] }), {
+        profil: 'en16931',
+        firma: { ...firma, steuer: { steuernummer: '', ustId: '' } }
+      });
+      expect(fehler.map(f => f.bt)).to.include.members(['BG-25', 'BT-31']);
+    });
+  });
+
+  describe('erfasseDaten', () => {
+    it('should map the hour abbreviation of quotes to HUR', () => {
+      const daten = XRechnungService.erfasseDaten(rechnung({
+        positionsliste: [{ bezeichnung: 'Packer', menge: 3, einheit: 'Std.', einzelpreis: 40, steuersatz: 19 }]
+      }), firma);
+      expect(daten.positionen[0].einheit).to.equal('HUR');
+    });
+
+    it('should compute consistent VAT breakdown and totals', () => {
+      const daten = XRechnungService.erfasseDaten(rechnung(), firma);
+      expect(daten.steuern).to.have.length(2);
+      expect(daten.steuern[0]).to.include({ kategorie: 'S', satz: 19, basis: 1083.35, betrag: 205.84 });
+      expect(daten.steuern[1]).to.include({ kategorie: 'E', satz: 0, basis: 50, betrag: 0 });
+      expect(daten.summen).to.include({ positionen: 1133.35, steuer: 205.84, brutto: 1339.19 });
+      expect(daten.positionen[1].einheit).to.equal('HUR');
+      expect(daten.zahlung.iban).to.equal('DE02120300000000202051');
+    });
+
+    it('should book a discount as document level allowance', () => {
+      const daten = XRechnungService.erfasseDaten(rechnung({
+        preisgestaltung: { rabatt: { betrag: 83.35 } }
+      }), firma);
+      expect(daten.nachlass).to.include({ betrag: 83.35, kategorie: 'S', satz: 19 });
+      expect(daten.steuern[0].basis).to.equal(1000);
+      expect(daten.summen).to.include({ netto: 1050, steuer: 190, brutto: 1240 });
+    });
+  });
+
+  describe('erzeugeUbl', () => {
+    it('should render an XRechnung UBL invoice', () => {
+      const xml = XRechnungService.erzeugeUbl(rechnung(), firma);
+      expect(xml).to.include('<cbc:CustomizationID>urn:cen.eu:en16931:2017#compliant#urn:xeinkauf.de:kosit:xrechnung_3.0</cbc:CustomizationID>');
+      expect(xml).to.include('<cbc:BuyerReference>991-12345-67</cbc:BuyerReference>');
+      expect(xml).to.include('<cbc:IssueDate>2026-10-05</cbc:IssueDate>');
+      expect(xml).to.include('<cbc:Name>Packer &amp; Träger</cbc:Name>');
+      expect(xml).to.include('<cbc:InvoicedQuantity unitCode="HUR">2.5</cbc:InvoicedQuantity>');
+      expect(xml).to.include('<cbc:PayableAmount currencyID="EUR">1339.19</cbc:PayableAmount>');
+      expect(xml).to.include('<cbc:TaxExemptionReason>');
+    });
+  });
+
+  describe('erzeugeCii', () => {
+    it('should render the XRechnung guideline and dates in format 102', () => {
+      const xml = XRechnungService.erzeugeCii(rechnung(), { firma });
+      expect(xml).to.include('<ram:ID>urn:cen.eu:en16931:2017#compliant#urn:xeinkauf.de:kosit:xrechnung_3.0</ram:ID>');
+      expect(xml).to.include('<udt:DateTimeString format="102">20261005</udt:DateTimeString>');
+      expect(xml).to.include('<ram:DuePayableAmount>1339.19</ram:DuePayableAmount>');
+    });
+
+    it('should use the EN 16931 guideline for ZUGFeRD', () => {
+      const xml = XRechnungService.erzeugeCii(rechnung(), { profil: 'en16931', firma });
+      expect(xml).to.include('<ram:ID>urn:cen.eu:en16931:2017</ram:ID>');
+      expect(xml).to.not.include('xrechnung');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+// tests/services/zweifaktor.service.test.js
+const { expect } = require('chai');
+const ZweiFaktorService = require('../../services/zweifaktor.service');
+const Mitarbeiter = require('../../models/mitarbeiter.model');
+const zweiFaktorConfig = require('../../config/zweifaktor.config');
+
+describe('ZweiFaktorService', () => {
+  const config = { ...zweiFaktorConfig, periodeSekunden: 30, stellen: 6, toleranzSchritte: 1 };
+  // Testgeheimnis aus RFC 6238 ("12345678901234567890")
+  const geheimnis = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  describe('code', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      expect(ZweiFaktorService.code(geheimnis, ZweiFaktorService.schritt(59 * 1000, config), config)).to.equal('287082');
+      expect(ZweiFaktorService.code(geheimnis, ZweiFaktorService.schritt(1111111109 * 1000, config), config)).to.equal('081804');
+      expect(ZweiFaktorService.code(geheimnis, ZweiFaktorService.schritt(2000000000 * 1000, config), config)).to.equal('279037');
+    });
+  });
+
+  describe('pruefeCode', () => {
+    const zeitpunkt = 1111111109 * 1000;
+
+    it('should accept codes within the clock drift tolerance', () => {
+      const schritt = ZweiFaktorService.schritt(zeitpunkt, config);
+
+      expect(ZweiFaktorService.pruefeCode(geheimnis, '081804', { zeitpunkt, config })).to.equal(schritt);
+      expect(ZweiFaktorService.pruefeCode(geheimnis, '081804', { zeitpunkt: zeitpunkt + 30 * 1000, config })).to.equal(schritt);
+      expect(ZweiFaktorService.pruefeCode(geheimnis, '081804', { zeitpunkt: zeitpunkt + 90 * 1000, config })).to.equal(null);
+      expect(ZweiFaktorService.pruefeCode(geheimnis, '81804', { zeitpunkt, config })).to.equal(null);
+    });
+
+    it('should reject a code that was already used', () => {
+      const schritt = ZweiFaktorService.schritt(zeitpunkt, config);
+
+      expect(ZweiFaktorService.pruefeCode(geheimnis, '081804', { zeitpunkt, letzterSchritt: schritt, config })).to.equal(null);
+    });
+  });
+
+  describe('istPflicht', () => {
+    const exists = Mitarbeiter.exists;
+    let abfragen;
+
+    beforeEach(() => {
+      abfragen = 0;
+      Mitarbeiter.exists = async () => { abfragen += 1; return null; };
+      ZweiFaktorService.pflichtVergessen();
+    });
+
+    afterEach(() => {
+      Mitarbeiter.exists = exists;
+    });
+
+    it('should require 2FA for roles with access to financial data', async () => {
+      expect(await ZweiFaktorService.istPflicht({ _id: 'u1', role: 'admin' })).to.equal(true);
+      expect(await ZweiFaktorService.istPflicht({ _id: 'u2', role: 'mitarbeiter', roles: ['buchhaltung'] })).to.equal(true);
+      expect(await ZweiFaktorService.istPflicht({ _id: 'u3', role: 'mitarbeiter', permissions: ['lohn:export'] })).to.equal(true);
+      expect(await ZweiFaktorService.istPflicht({ _id: 'u4', role: 'mitarbeiter', roles: ['fahrer'] })).to.equal(false);
+    });
+
+    it('should cache the position check per user', async () => {
+      const user = { _id: 'u4', role: 'mitarbeiter' };
+      await ZweiFaktorService.istPflicht(user);
+      await ZweiFaktorService.istPflicht(user);
+      expect(abfragen).to.equal(1);
+
+      ZweiFaktorService.pflichtVergessen('u4');
+      await ZweiFaktorService.istPflicht(user);
+      expect(abfragen).to.equal(2);
+    });
+  });
+
+  describe('einrichtung', () => {
+    it('should create secrets and URIs for authenticator apps', () => {
+      const neu = ZweiFaktorService.geheimnis();
+      expect(neu).to.match(/^[A-Z2-7]{32}$/);
+
+      const uri = ZweiFaktorService.otpauthUri({ email: 'chef@hummert.de' }, neu, { ...config, issuer: 'Hummert Umzug' });
+      expect(uri).to.match(/^otpauth:\/\/totp\/Hummert%20Umzug%3Achef%40hummert\.de\?/);
+      expect(uri).to.include(`secret=${neu}`);
+      expect(uri).to.include('digits=6');
+    });
+  });
+
+  describe('verbrauche', () => {
+    it('should accept each recovery code only once', () => {
+      const { codes, hashes } = ZweiFaktorService.wiederherstellungscodes(config);
+      expect(codes).to.have.length(10);
+      expect(codes[0]).to.match(/^[A-Z2-7]{5}-[A-Z2-7]{5}$/);
+
+      const user = { twoFactorSecret: geheimnis, twoFactorRecoveryCodes: hashes };
+      expect(ZweiFaktorService.verbrauche(user, codes[3].toLowerCase().replace('-', ''))).to.deep.equal({ wiederherstellungscode: true });
+      expect(user.twoFactorRecoveryCodes).to.have.length(9);
+      expect(ZweiFaktorService.verbrauche(user, codes[3])).to.equal(null);
+    });
+
+    it('should remember the time step of an accepted code', () => {
+      const user = { twoFactorSecret: geheimnis, twoFactorRecoveryCodes: [] };
+      const schritt = ZweiFaktorService.schritt();
+      const code = ZweiFaktorService.code(geheimnis, schritt);
+
+      expect(ZweiFaktorService.verbrauche(user, code)).to.deep.equal({ wiederherstellungscode: false });
+      expect(user.twoFactorLastStep).to.equal(schritt);
+      expect(ZweiFaktorService.verbrauche(user, code)).to.equal(null);
+    });
+  });
+});
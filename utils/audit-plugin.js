@@ -0,0 +1,109 @@
+/**
+ * audit-plugin.js
+ *
+ * Mongoose plugin that records every create, update and delete of a model in the audit log
+ * (see services/audit.service.js): document saves (including BaseService.create), query updates
+ * (findByIdAndUpdate, updateOne, updateMany) and deletes (doc.deleteOne, deleteMany, findByIdAndDelete).
+ *
+ * Usage: schema.plugin(require('../utils/audit-plugin'), { ignorieren: ['lastLogin'] })
+ */
+
+const AuditService = require('../services/audit.service');
+
+const UPDATES = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+const DELETES = ['findOneAndDelete', 'deleteOne', 'deleteMany'];
+const EINZELN = ['findOneAndUpdate', 'updateOne', 'findOneAndDelete', 'deleteOne'];
+
+const schnappschuss = (doc) => doc.toObject({ depopulate: true, transform: false, virtuals: false, getters: false });
+
+module.exports = function auditPlugin(schema, optionen = {}) {
+  const ignorieren = optionen.ignorieren || [];
+
+  // Documents matched by a query before it changes them
+  async function betroffene() {
+    let abfrage = this.model.find(this.getFilter()).lean();
+    if (EINZELN.includes(this.op)) {
+      abfrage = abfrage.sort(this.getOptions().sort || {}).limit(1);
+    }
+    this._auditVorher = await abfrage;
+  }
+
+  schema.pre('save', async function() {
+    this.$locals.auditNeu = this.isNew;
+    if (!this.isNew) {
+      this.$locals.auditPfade = this.directModifiedPaths();
+      this.$locals.auditVorher = this.$locals.auditPfade.length
+        ? await this.constructor.findById(this._id).lean()
+        : null;
+    }
+  });
+
+  schema.post('save', async function(doc) {
+    const neu = doc.$locals.auditNeu;
+    if (!neu && !doc.$locals.auditVorher) {
+      return;
+    }
+
+    await AuditService.protokollieren({
+      entitaet: doc.constructor.modelName,
+      entitaetId: doc._id,
+      aktion: neu ? 'erstellt' : 'geaendert',
+      // Nur geänderte Pfade vergleichen: das Dokument kann mit eingeschränkter Projektion geladen sein
+      aenderungen: neu
+        ? AuditService.diff(null, schnappschuss(doc), { ignorieren })
+        : AuditService.diff(doc.$locals.auditVorher, schnappschuss(doc), { ignorieren, pfade: doc.$locals.auditPfade })
+    });
+    doc.$locals.auditVorher = null;
+  });
+
+  schema.post('insertMany', async function(docs) {
+    for (const doc of docs) {
+      await AuditService.protokollieren({
+        entitaet: this.modelName,
+        entitaetId: doc._id,
+        aktion: 'erstellt',
+        aenderungen: AuditService.diff(null, schnappschuss(doc), { ignorieren })
+      });
+    }
+  });
+
+  schema.pre(UPDATES, betroffene);
+
+  schema.post(UPDATES, async function(ergebnis) {
+    const vorher = this._auditVorher || [];
+    const ids = vorher.map(doc => doc._id);
+    // Upsert: das angelegte Dokument war vorher nicht vorhanden
+    const angelegt = ergebnis && (ergebnis.upsertedId || (ergebnis._id && !vorher.length ? ergebnis._id : null));
+    if (angelegt) {
+      ids.push(angelegt);
+    }
+    if (!ids.length) {
+      return;
+    }
+
+    const nachher = await this.model.find({ _id: { $in: ids } }).lean();
+    for (const doc of nachher) {
+      const alt = vorher.find(eintrag => String(eintrag._id) === String(doc._id));
+      await AuditService.protokollieren({
+        entitaet: this.model.modelName,
+        entitaetId: doc._id,
+        aktion: alt ? 'geaendert' : 'erstellt',
+        aenderungen: AuditService.diff(alt || null, doc, { ignorieren })
+      });
+    }
+  });
+
+  // doc.deleteOne() löst ebenfalls die Query-Middleware aus (Filter auf die ID)
+  schema.pre(DELETES, { document: false, query: true }, betroffene);
+
+  schema.post(DELETES, { document: false, query: true }, async function() {
+    for (const doc of this._auditVorher || []) {
+      await AuditService.protokollieren({
+        entitaet: this.model.modelName,
+        entitaetId: doc._id,
+        aktion: 'geloescht',
+        aenderungen: AuditService.diff(doc, null, { ignorieren })
+      });
+    }
+  });
+};
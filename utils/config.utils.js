@@ -0,0 +1,31 @@
+/**
+ * config.utils.js - Helpers for numeric settings from environment variables
+ */
+
+/**
+ * Parse a number, falling back to the default for missing or invalid values
+ * @param {String} wert - Raw value (e.g. from process.env)
+ * @param {Number} standard - Default value
+ * @returns {Number}
+ */
+const zahl = (wert, standard) => {
+  const parsed = parseFloat(wert);
+  return Number.isFinite(parsed) ? parsed : standard;
+};
+
+/**
+ * Parse a number greater than 0 (intervals, periods, limits), falling back to the default otherwise
+ * An interval of 0 would make setInterval run continuously.
+ * @param {String} wert - Raw value (e.g. from process.env)
+ * @param {Number} standard - Default value
+ * @returns {Number}
+ */
+const positiv = (wert, standard) => {
+  const parsed = zahl(wert, standard);
+  return parsed > 0 ? parsed : standard;
+};
+
+module.exports = {
+  zahl,
+  positiv
+};
@@ -0,0 +1,109 @@
+/**
+ * feiertage.utils.js - Gesetzliche Feiertage in Deutschland je Bundesland
+ * Bundesländer als Kürzel (BW, BY, BE, BB, HB, HH, HE, MV, NI, NW, RP, SL, SN, ST, SH, TH).
+ * Feiertage, die nur in einzelnen Gemeinden gelten (Fronleichnam in Teilen von Sachsen und
+ * Thüringen, Mariä Himmelfahrt in Bayern, Augsburger Friedensfest), sind nicht enthalten.
+ */
+
+const BUNDESLAENDER = ['BW', 'BY', 'BE', 'BB', 'HB', 'HH', 'HE', 'MV', 'NI', 'NW', 'RP', 'SL', 'SN', 'ST', 'SH', 'TH'];
+
+const zweistellig = (zahl) => String(zahl).padStart(2, '0');
+
+/**
+ * Date key YYYY-MM-DD in local time
+ * @param {Date} datum - Date
+ * @returns {String}
+ */
+const datumSchluessel = (datum) => {
+  const d = new Date(datum);
+  return `${d.getFullYear()}-${zweistellig(d.getMonth() + 1)}-${zweistellig(d.getDate())}`;
+};
+
+/**
+ * Easter Sunday (Gregorian calendar, anonymous algorithm)
+ * @param {Number} jahr - Year
+ * @returns {Date}
+ */
+const ostersonntag = (jahr) => {
+  const a = jahr % 19;
+  const b = Math.floor(jahr / 100);
+  const c = jahr % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const monat = Math.floor((h + l - 7 * m + 114) / 31);
+  const tag = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(jahr, monat - 1, tag);
+};
+
+/**
+ * Public holidays of a year
+ * @param {Number} jahr - Year
+ * @param {String} bundesland - State code; without a state only nationwide holidays are returned
+ * @returns {Map<String, String>} YYYY-MM-DD -> name
+ */
+const feiertage = (jahr, bundesland) => {
+  const ostern = ostersonntag(jahr);
+  const relativ = (tage) => new Date(jahr, ostern.getMonth(), ostern.getDate() + tage);
+  // Buß- und Bettag: Mittwoch vor dem 23. November
+  const bussUndBettag = new Date(jahr, 10, 22);
+  bussUndBettag.setDate(22 - ((bussUndBettag.getDay() + 4) % 7));
+
+  const liste = [
+    [new Date(jahr, 0, 1), 'Neujahr'],
+    [new Date(jahr, 0, 6), 'Heilige Drei Könige', ['BW', 'BY', 'ST']],
+    [new Date(jahr, 2, 8), 'Internationaler Frauentag', ['BE', 'MV']],
+    [relativ(-2), 'Karfreitag'],
+    [ostern, 'Ostersonntag', ['BB']],
+    [relativ(1), 'Ostermontag'],
+    [new Date(jahr, 4, 1), 'Tag der Arbeit'],
+    [relativ(39), 'Christi Himmelfahrt'],
+    [relativ(49), 'Pfingstsonntag', ['BB']],
+    [relativ(50), 'Pfingstmontag'],
+    [relativ(60), 'Fronleichnam', ['BW', 'BY', 'HE', 'NW', 'RP', 'SL']],
+    [new Date(jahr, 7, 15), 'Mariä Himmelfahrt', ['SL']],
+    [new Date(jahr, 8, 20), 'Weltkindertag', ['TH']],
+    [new Date(jahr, 9, 3), 'Tag der Deutschen Einheit'],
+    [new Date(jahr, 9, 31), 'Reformationstag', ['BB', 'HB', 'HH', 'MV', 'NI', 'SN', 'ST', 'SH', 'TH']],
+    [new Date(jahr, 10, 1), 'Allerheiligen', ['BW', 'BY', 'NW', 'RP', 'SL']],
+    [bussUndBettag, 'Buß- und Bettag', ['SN']],
+    [new Date(jahr, 11, 25), '1. Weihnachtsfeiertag'],
+    [new Date(jahr, 11, 26), '2. Weihnachtsfeiertag']
+  ];
+
+  return new Map(liste
+    .filter(([, , laender]) => !laender || laender.includes(bundesland))
+    .map(([datum, name]) => [datumSchluessel(datum), name]));
+};
+
+// Zwischenspeicher je Jahr und Bundesland
+const cache = new Map();
+
+/**
+ * Name of the public holiday on a date
+ * @param {Date} datum - Date
+ * @param {String} bundesland - State code
+ * @returns {String|null}
+ */
+const feiertag = (datum, bundesland) => {
+  const jahr = new Date(datum).getFullYear();
+  const schluessel = `${jahr}-${bundesland || ''}`;
+  if (!cache.has(schluessel)) {
+    cache.set(schluessel, feiertage(jahr, bundesland));
+  }
+  return cache.get(schluessel).get(datumSchluessel(datum)) || null;
+};
+
+module.exports = {
+  BUNDESLAENDER,
+  datumSchluessel,
+  ostersonntag,
+  feiertage,
+  feiertag
+};
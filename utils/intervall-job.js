@@ -0,0 +1,72 @@
+// utils/intervall-job.js - Wiederkehrende Hintergrundaufgaben (Mahnlauf, Wartung, ...)
+const SperreService = require('../services/sperre.service');
+
+class IntervallJob {
+  /**
+   * @param {String} name - Name for logs and the lock
+   * @param {Number} intervallMs - Interval between runs
+   * @param {Function} job - Async task; may return a message to log
+   * @param {Object} options - { sofort: run once right after start }
+   */
+  constructor(name, intervallMs, job, options = {}) {
+    this.name = name;
+    this.intervallMs = intervallMs;
+    this.job = job;
+    this.sofort = Boolean(options.sofort);
+    this.intervalId = null;
+  }
+
+  /**
+   * Start the scheduled task
+   */
+  start() {
+    if (this.intervalId) {
+      console.log(`${this.name} scheduler already running`);
+      return;
+    }
+
+    if (this.sofort) {
+      this.ausfuehren();
+    }
+    this.intervalId = setInterval(() => this.ausfuehren(), this.intervallMs);
+
+    console.log(`${this.name} scheduler started (every ${this.intervallMs / 60000} min)`);
+  }
+
+  /**
+   * Stop the scheduled task
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      console.log(`${this.name} scheduler stopped`);
+    }
+  }
+
+  /**
+   * Run the task once, unless another process already ran it in this interval
+   * @returns {Promise<Boolean>} - True, wenn dieser Prozess den Lauf ausgeführt hat
+   */
+  async ausfuehren() {
+    try {
+      // Die Sperre wird nicht freigegeben, sondern läuft kurz vor dem nächsten Intervall ab:
+      // von den Prozessen im Cluster führt so nur der erste je Intervall den Lauf aus
+      const inhaber = await SperreService.erwerben(`job:${this.name}`, Math.floor(this.intervallMs * 0.9));
+      if (!inhaber) {
+        return false;
+      }
+
+      const meldung = await this.job();
+      if (meldung) {
+        console.log(`${this.name}: ${meldung}`);
+      }
+      return true;
+    } catch (error) {
+      console.error(`${this.name} error:`, error);
+      return false;
+    }
+  }
+}
+
+module.exports = IntervallJob;
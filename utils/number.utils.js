@@ -0,0 +1,31 @@
+/**
+ * number.utils.js - Helpers for document number ranges (Nummernkreise)
+ */
+
+/**
+ * Generate a unique number of the form PREFIXYYMM-NNN
+ * based on the number of documents of the current month
+ * @param {Model} model - Mongoose model
+ * @param {String} fieldName - Field that holds the number
+ * @param {String} prefix - Prefix (e.g. 'REC', 'ANG')
+ * @returns {Promise<String>} - Next number
+ */
+const generateUniqueNumber = async (model, fieldName, prefix) => {
+  const date = new Date();
+  const year = date.getFullYear().toString().substr(-2);
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  
+  // Zähle vorhandene Dokumente dieses Monats
+  const countQuery = {};
+  const regexPattern = `^${prefix}${year}${month}`;
+  countQuery[fieldName] = { $regex: regexPattern };
+  
+  const count = await model.countDocuments(countQuery);
+  const number = (count + 1).toString().padStart(3, '0');
+  
+  return `${prefix}${year}${month}-${number}`;
+};
+
+module.exports = {
+  generateUniqueNumber
+};
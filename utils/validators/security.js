@@ -111,15 +111,25 @@ const rateLimiters = {
     skipSuccessfulRequests: true, // Don't count successful requests
   }),
   
-  // Rate limit for file uploads
+  // Rate limit for file uploads (downloads and listings are not counted)
   upload: rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 20, // 20 uploads per window
+    skip: (req) => req.method === 'GET',
     message: 'Zu viele Uploads, bitte versuchen Sie es später erneut.',
     standardHeaders: true,
     legacyHeaders: false,
   }),
   
+  // Rate limit for customer portal login links (every request sends an email)
+  portalLink: rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: process.env.NODE_ENV === 'test' ? 100 : 5,
+    message: 'Zu viele Anfragen für Anmeldelinks, bitte versuchen Sie es später erneut.',
+    standardHeaders: true,
+    legacyHeaders: false,
+  }),
+  
   // Rate limit for financial operations
   financial: rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes